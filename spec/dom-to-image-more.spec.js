@@ -74,6 +74,54 @@
                     .then(done).catch(done);
             });
 
+            it('should render to webp', function(done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function() {
+                        return domtoimage.toWebp(domNode());
+                    })
+                    .then(function(dataUrl) {
+                        assert.match(dataUrl, /^data:image\/webp;base64,/);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render to blob of the given type', function(done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function() {
+                        return domtoimage.toImage(domNode(), { mimeType: 'image/jpeg', quality: 0.5 });
+                    })
+                    .then(function(blob) {
+                        assert.equal(blob.type, 'image/jpeg');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should reject image types the browser cannot encode', function(done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function() {
+                        assert.isFalse(domtoimage.canEncode('image/x-unknown'));
+                        return domtoimage.toImage(domNode(), { mimeType: 'image/x-unknown' });
+                    })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.equal(error.code, 'UNSUPPORTED_IMAGE_TYPE');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should fall back to the given image types', function(done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function() {
+                        return domtoimage.toImage(domNode(), { mimeType: 'image/x-unknown', fallback: 'image/png', report: true });
+                    })
+                    .then(function(report) {
+                        assert.equal(report.result.type, 'image/png');
+                        assert.equal(report.warnings[0].code, 'UNSUPPORTED_IMAGE_TYPE');
+                    })
+                    .then(done).catch(done);
+            });
+
             it('should render bigger node', function(done) {
                 loadTestPage('bigger/dom-node.html', 'bigger/style.css', 'bigger/control-image')
                     .then(function() {
@@ -380,6 +428,48 @@
                     .then(done).catch(done);
             });
 
+            it('should crop to the bounding box of non-background pixels', function(done) {
+                var node = paddedBlock();
+
+                domtoimage.toPixelData(node, { autoCrop: true })
+                    .then(function(pixels) {
+                        assert.equal(pixels.width, 20);
+                        assert.equal(pixels.height, 10);
+                        assert.deepEqual(Uint8Array.from(pixels.data.slice(0, 4)), Uint8Array.from([255, 0, 0, 255]));
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should keep auto crop padding and treat bgcolor as background', function(done) {
+                var node = paddedBlock();
+
+                domtoimage.toCanvas(node, { bgcolor: '#ffffff', autoCrop: { padding: 5, tolerance: 8 } })
+                    .then(function(canvas) {
+                        assert.equal(canvas.width, 30);
+                        assert.equal(canvas.height, 20);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            function paddedBlock() {
+                var node = document.createElement('div');
+                node.style.width = '100px';
+                node.style.padding = '40px';
+                var block = document.createElement('div');
+                block.style.width = '20px';
+                block.style.height = '10px';
+                block.style.backgroundColor = '#ff0000';
+                node.appendChild(block);
+                document.body.appendChild(node);
+                return node;
+            }
+
             function compareToControlImage(image, tolerance) {
                 assert.isTrue(imagediff.equal(image, controlImage(), tolerance), 'rendered and control images should be same');
             }
@@ -447,170 +537,1670 @@
             }
         });
 
-        describe('inliner', function() {
+        describe('text', function() {
 
-            var NO_BASE_URL = null;
+            it('should render text to svg with the AA font', function(done) {
+                domtoimage.textToSvg('(´・ω・`)')
+                    .then(function(dataUrl) {
+                        assert.include(dataUrl, '(´・ω・`)');
+                        assert.include(dataUrl, 'font-family: "aahub"');
+                    })
+                    .then(done).catch(done);
+            });
 
-            it('should parse urls', function() {
-                var parse = domtoimage.impl.inliner.impl.readUrls;
+            it('should lay text out with 2ch metrics', function(done) {
+                domtoimage.textToSvg('　∧＿∧\n（　´∀｀）')
+                    .then(function(dataUrl) {
+                        assert.include(dataUrl, 'font-size: 16px');
+                        assert.include(dataUrl, 'line-height: 18px');
+                        assert.include(dataUrl, 'white-space: pre');
+                    })
+                    .then(done).catch(done);
+            });
 
-                assert.deepEqual(parse('url("http://acme.com/file")'), ['http://acme.com/file']);
-                assert.deepEqual(parse('url(foo.com), url(\'bar.org\')'), ['foo.com', 'bar.org']);
+            it('should render text to png', function(done) {
+                domtoimage.textToPng('ｷﾀ━━━━(ﾟ∀ﾟ)━━━━!!')
+                    .then(function(dataUrl) {
+                        assert.match(dataUrl, /^data:image\/png;base64,/);
+                    })
+                    .then(done).catch(done);
             });
 
-            it('should ignore data urls', function() {
-                var parse = domtoimage.impl.inliner.impl.readUrls;
+            it('should render text to canvas sized to the text', function(done) {
+                domtoimage.fromText('AA\nAA\nAA', { padding: 4 })
+                    .then(function(canvas) {
+                        assert.equal(canvas.height, 3 * 18 + 8);
+                    })
+                    .then(done).catch(done);
+            });
 
-                assert.deepEqual(parse('url(foo.com), url(data:AAA)'), ['foo.com']);
+            it('should remove the laid out node from the document', function(done) {
+                var childCount = document.body.childNodes.length;
+                domtoimage.textToBlob('AA')
+                    .then(function(blob) {
+                        assert.equal(blob.type, 'image/png');
+                        assert.equal(document.body.childNodes.length, childCount);
+                    })
+                    .then(done).catch(done);
             });
 
-            it('should inline url', function(done) {
-                var inline = domtoimage.impl.inliner.impl.inline;
+            it('should render Shift_JIS bytes', function(done) {
+                domtoimage.textToSvg(new Uint8Array([0x81, 0x40, 0x81, 0xc8, 0x81, 0x51, 0x81, 0xc8, 0x26, 0x23, 0x39, 0x38, 0x32, 0x39, 0x3b]))
+                    .then(function(dataUrl) {
+                        assert.include(dataUrl, '　∧＿∧♥');
+                    })
+                    .then(done).catch(done);
+            });
 
-                inline('url(http://acme.com/image.png), url(foo.com)', 'http://acme.com/image.png',
-                        NO_BASE_URL,
-                        function() {
-                            return Promise.resolve('AAA');
-                        })
-                    .then(function(result) {
-                        assert.equal(result, 'url(data:image/png;base64,AAA), url(foo.com)');
+            it('should measure dot widths of AA lines', function(done) {
+                domtoimage.measure('A\nAAA\nAA\n')
+                    .then(function(metrics) {
+                        assert.equal(metrics.lines.length, 3);
+                        assert.equal(metrics.widestLine.index, 1);
+                        assert.equal(metrics.widestLine.text, 'AAA');
+                        assert.closeTo(metrics.lines[1].width, 3 * metrics.lines[0].width, 2);
+                        assert.equal(metrics.height, 3 * 18);
+                        assert.isAtLeast(metrics.width, metrics.widestLine.width);
                     })
                     .then(done).catch(done);
             });
 
-            it('should resolve urls if base url given', function(done) {
-                var inline = domtoimage.impl.inliner.impl.inline;
+            it('should recognize the text of rendered AA', function(done) {
+                var text = '　 ∧＿∧\n（　´∀｀）\n\n|　 ⊂　　ﾉ';
+                domtoimage.textToPng(text, { bgcolor: '#fff' })
+                    .then(domtoimage.recognizeAA)
+                    .then(function(recognized) {
+                        assert.equal(recognized.replace(/ 　/g, '　 '), text);
+                    })
+                    .then(done).catch(done);
+            });
 
-                inline('url(images/image.png)', 'images/image.png', 'http://acme.com/',
-                        function(url) {
-                            return Promise.resolve({
-                                'http://acme.com/images/image.png': 'AAA'
-                            }[url]);
-                        }
-                    )
-                    .then(function(result) {
-                        assert.equal(result, 'url(data:image/png;base64,AAA)');
+            it('should recognize AA rendered at scale and with padding', function(done) {
+                var options = { scale: 2, padding: 4, lineSpacing: 4 };
+                domtoimage.textToPng('(´・ω・`)', Object.assign({ bgcolor: '#000', color: '#fff' }, options))
+                    .then(function(dataUrl) {
+                        return domtoimage.recognizeAA(dataUrl, options);
+                    })
+                    .then(function(recognized) {
+                        assert.equal(recognized, '(´・ω・`)');
                     })
                     .then(done).catch(done);
             });
 
-            it('should inline all urls', function(done) {
-                var inlineAll = domtoimage.impl.inliner.inlineAll;
+            it('should convert images to AA', function(done) {
+                var canvas = document.createElement('canvas');
+                canvas.width = 200;
+                canvas.height = 54;
+                var ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, 200, 54);
+                ctx.fillStyle = '#000';
+                ctx.fillRect(0, 24, 200, 4);
+
+                domtoimage.imageToAA(canvas, { charset: 'ascii' })
+                    .then(function(text) {
+                        var lines = text.split('\n');
+                        assert.equal(lines.length, 2);
+                        assert.equal(lines[0], '');
+                        assert.notMatch(lines[1], /^ *$/);
+                        return domtoimage.measure(text);
+                    })
+                    .then(function(metrics) {
+                        assert.closeTo(metrics.lines[1].width, 200, 16);
+                    })
+                    .then(done).catch(done);
+            });
 
-                inlineAll('url(http://acme.com/image.png), url("foo.com/font.ttf")',
-                        NO_BASE_URL,
-                        function(url) {
-                            return Promise.resolve({
-                                'http://acme.com/image.png': 'AAA',
-                                'foo.com/font.ttf': 'BBB'
-                            }[url]);
-                        }
-                    )
-                    .then(function(result) {
-                        assert.equal(result, 'url(data:image/png;base64,AAA), url("data:application/font-truetype;base64,BBB")');
+            it('should convert DOM nodes to AA at the given width', function(done) {
+                var node = document.createElement('div');
+                node.style.width = '400px';
+                node.style.height = '100px';
+                node.style.border = '4px solid black';
+                document.body.appendChild(node);
+
+                domtoimage.imageToAA(node, { widthInDots: 100, bgcolor: '#fff' })
+                    .then(function(text) {
+                        return domtoimage.measure(text);
+                    })
+                    .then(function(metrics) {
+                        assert.isAtMost(metrics.width, 100 + 16);
+                        assert.isAtMost(metrics.lines.length, 2);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
                     })
                     .then(done).catch(done);
             });
-        });
 
-        describe('util', function() {
+            it('should match glyph templates against the pixels of a line', function() {
+                var bar = { text: '|', width: 2, ink: new Float32Array([0, 1, 0, 1]) };
+                var space = { text: ' ', width: 2, ink: new Float32Array(4) };
+                var white = [255, 255, 255, 255];
+                var black = [0, 0, 0, 255];
+                var data = new Uint8ClampedArray([].concat(white, black, white, white, white, black, white, black, white, white, white, black));
+
+                var recognized = domtoimage.impl.recognizer.recognize({ data: data, width: 6, height: 2 }, [space, bar], {
+                    lineHeight: 2,
+                    top: 0,
+                    left: 0
+                });
+                assert.equal(recognized, '| |');
+            });
 
-            it('should get and encode resource', function(done) {
-                var getAndEncode = domtoimage.impl.util.getAndEncode;
-                getResource('util/fontawesome.base64')
-                    .then(function(testResource) {
-                        return getAndEncode(BASE_URL + 'util/fontawesome.woff2')
-                            .then(function(resource) {
-                                assert.equal(resource, testResource);
-                            });
+            it('should measure a node with its computed font and box', function(done) {
+                var node = document.createElement('pre');
+                node.style.fontFamily = 'aahub';
+                node.style.fontSize = '16px';
+                node.style.lineHeight = '20px';
+                node.style.padding = '5px';
+                node.textContent = 'AA\nAA';
+                document.body.appendChild(node);
+
+                domtoimage.measure(node)
+                    .then(function(metrics) {
+                        assert.equal(metrics.font, 'aahub');
+                        assert.equal(metrics.height, 2 * 20 + 10);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
                     })
                     .then(done).catch(done);
             });
 
-            it('should return empty result if cannot get resource', function(done) {
-                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/not-found')
-                    .then(function(resource) {
-                        assert.equal(resource, '');
-                    }).then(done).catch(done);
+            it('should measure a node with the AA font of its style sheet', function(done) {
+                var aaFonts = domtoimage.impl.aaFonts;
+                aaFonts.register('test-aa', aaFonts.get('aahub').source);
+                var style = document.createElement('style');
+                style.textContent = '.test-aa-text { font-family: "test-aa", sans-serif; }';
+                var node = document.createElement('pre');
+                node.className = 'test-aa-text';
+                node.textContent = 'AA';
+                document.head.appendChild(style);
+                document.body.appendChild(node);
+
+                domtoimage.measure(node)
+                    .then(function(metrics) {
+                        assert.equal(metrics.font, 'test-aa');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                        document.head.removeChild(style);
+                        aaFonts.unregister('test-aa');
+                    })
+                    .then(done).catch(done);
             });
 
-            it('should return placeholder result if cannot get resource and placeholder is provided', function(done) {
-                var placeholder = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAAJcEhZcwAADsMAAA7DAcdvqGQAAAAMSURBVBhXY7h79y4ABTICmGnXPbMAAAAASUVORK5CYII=";
-                var original = domtoimage.impl.options.imagePlaceholder;
-                domtoimage.impl.options.imagePlaceholder = placeholder;
-                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/not-found')
-                    .then(function(resource) {
-                        var placeholderData = placeholder.split(/,/)[1];
-                        assert.equal(resource, placeholderData);
-                        domtoimage.impl.options.imagePlaceholder = original;
-                    }).then(done).catch(done);
+            it('should size rendered text from the measured AA metrics', function(done) {
+                var text = '　∧＿∧\n（　´∀｀）';
+                Promise.all([domtoimage.measure(text), domtoimage.fromText(text)])
+                    .then(function(results) {
+                        assert.equal(results[1].width, results[0].width);
+                        assert.equal(results[1].height, results[0].height);
+                    })
+                    .then(done).catch(done);
             });
 
-            it('should parse extension', function() {
-                var parse = domtoimage.impl.util.parseExtension;
+            it('should reject when the AA font is not registered', function(done) {
+                domtoimage.textToPng('AA', { font: 'no-such-font' })
+                    .then(function() {
+                        done(new Error('should not render'));
+                    }, function(error) {
+                        assert.include(error.message, 'no-such-font');
+                    })
+                    .then(done).catch(done);
+            });
 
-                assert.equal(parse('http://acme.com/font.woff'), 'woff');
-                assert.equal(parse('../FONT.TTF'), 'TTF');
-                assert.equal(parse('../font'), '');
-                assert.equal(parse('font'), '');
+            it('should report an unregistered AA font when asked for a report', function(done) {
+                domtoimage.textToSvg('AA', { font: 'no-such-font', report: true })
+                    .then(function(report) {
+                        assert.isUndefined(report.result);
+                        assert.equal(report.errors[0].code, 'FONT_MISSING');
+                    })
+                    .then(done).catch(done);
             });
+        });
 
-            it('should guess mime type from url', function() {
-                var mime = domtoimage.impl.util.mimeType;
+        describe('svg paths', function() {
+            var node;
 
-                assert.equal(mime('http://acme.com/font.woff'), 'application/font-woff');
-                assert.equal(mime('IMAGE.PNG'), 'image/png');
-                assert.equal(mime('http://acme.com/image'), '');
+            beforeEach(function() {
+                node = document.createElement('div');
+                node.style.width = '100px';
+                node.style.height = '40px';
+                document.body.appendChild(node);
             });
 
-            it('should resolve url', function() {
-                var resolve = domtoimage.impl.util.resolveUrl;
+            afterEach(function() {
+                document.body.removeChild(node);
+            });
 
-                assert.equal(resolve('font.woff', 'http://acme.com'), 'http://acme.com/font.woff');
-                assert.equal(resolve('/font.woff', 'http://acme.com/fonts/woff'), 'http://acme.com/font.woff');
+            it('should draw backgrounds and borders as rects', function(done) {
+                node.style.backgroundColor = 'rgb(255, 0, 0)';
+                node.style.borderTop = '2px solid rgb(0, 0, 255)';
 
-                assert.equal(resolve('../font.woff', 'http://acme.com/fonts/woff/'), 'http://acme.com/fonts/font.woff');
-                assert.equal(resolve('../font.woff', 'http://acme.com/fonts/woff'), 'http://acme.com/font.woff');
+                domtoimage.toSvgPaths(node)
+                    .then(function(dataUrl) {
+                        assert.notInclude(dataUrl, 'foreignObject');
+                        assert.include(dataUrl, '<rect x="0" y="0" width="100" height="42" fill="rgb(255, 0, 0)"/>');
+                        assert.include(dataUrl, '<rect x="0" y="0" width="100" height="2" fill="rgb(0, 0, 255)"/>');
+                    })
+                    .then(done).catch(done);
             });
 
-            it('should generate uids', function() {
-                var uid = domtoimage.impl.util.uid;
-                assert(uid().length >= 4);
-                assert.notEqual(uid(), uid());
+            it('should keep text without AA font as text', function(done) {
+                node.style.fontFamily = 'serif';
+                node.textContent = 'A&B';
+
+                domtoimage.toSvgPaths(node)
+                    .then(function(dataUrl) {
+                        assert.include(dataUrl, 'font-family="serif"');
+                        assert.equal(dataUrl.match(/<text /g).length, 1);
+                        assert.include(dataUrl, '>A&amp;B</text>');
+                        assert.notInclude(dataUrl, '<use');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should convert AA font text to glyph outlines', function(done) {
+                if (!domtoimage.impl.fontData.decompressors.brotli) return this.skip();
+
+                domtoimage.textToSvgPaths('∀∀', { report: true })
+                    .then(function(report) {
+                        assert.deepEqual(report.warnings, []);
+                        assert.equal(report.result.match(/<path id=/g).length, 1);
+                        assert.equal(report.result.match(/<use /g).length, 2);
+                        assert.notInclude(report.result, '<text');
+                    })
+                    .then(done).catch(done);
             });
         });
 
-        describe('web fonts', function() {
-            var fontFaces = domtoimage.impl.fontFaces;
+        describe('tiles', function() {
+            var util = domtoimage.impl.util;
+            var newCanvas = util.newCanvas;
+            var node;
+
+            beforeEach(function() {
+                node = document.createElement('div');
+                node.style.width = '40px';
+                node.style.height = '25px';
+                node.style.backgroundColor = 'rgb(0, 0, 255)';
+                document.body.appendChild(node);
+            });
 
-            it('should read non-local font faces', function(done) {
-                loadTestPage('fonts/web-fonts/empty.html', 'fonts/web-fonts/rules.css')
+            afterEach(function() {
+                util.newCanvas = newCanvas;
+                document.body.removeChild(node);
+            });
+
+            it('should render the node as tiles with their offsets', function(done) {
+                domtoimage.toTiles(node, { maxTileWidth: 30, maxTileHeight: 10 })
+                    .then(function(tiles) {
+                        assert.deepEqual(tiles.map(function(tile) {
+                            return [tile.x, tile.y, tile.width, tile.height, tile.result.width, tile.result.height];
+                        }), [
+                            [0, 0, 30, 10, 30, 10],
+                            [30, 0, 10, 10, 10, 10],
+                            [0, 10, 30, 10, 30, 10],
+                            [30, 10, 10, 10, 10, 10],
+                            [0, 20, 30, 5, 30, 5],
+                            [30, 20, 10, 5, 10, 5]
+                        ]);
+                        assert.deepEqual(Array.from(tiles[5].result.getContext('2d').getImageData(9, 4, 1, 1).data), [0, 0, 255, 255]);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render tiles as blobs', function(done) {
+                domtoimage.toTiles(node, { maxTileHeight: 20, type: 'blob' })
+                    .then(function(tiles) {
+                        assert.equal(tiles.length, 2);
+                        assert.equal(tiles[1].y, 20);
+                        assert.equal(tiles[1].result.type, 'image/png');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should stitch tiles when the canvas is too large', function(done) {
+                util.newCanvas = function(width, height) {
+                    return width * height <= 400 ? newCanvas(width, height) : null;
+                };
+
+                domtoimage.toPixelData(node, { maxTileWidth: 20, maxTileHeight: 20, report: true })
+                    .then(function(report) {
+                        assert.equal(report.warnings[0].code, 'CANVAS_TOO_LARGE');
+                        assert.equal(report.result.length, 40 * 25 * 4);
+                        assert.deepEqual(Array.from(report.result.subarray(-4)), [0, 0, 255, 255]);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should crop stitched images', function(done) {
+                util.newCanvas = function(width, height) {
+                    return width * height <= 400 ? newCanvas(width, height) : null;
+                };
+                node.style.backgroundColor = '';
+                node.style.padding = '5px 0 0 10px';
+                node.innerHTML = '<div style="width: 10px; height: 5px; background-color: rgb(255, 0, 0)"></div>';
+
+                domtoimage.toPixelData(node, { maxTileWidth: 20, maxTileHeight: 20, autoCrop: { padding: 1 }, report: true })
+                    .then(function(report) {
+                        assert.equal(report.warnings[0].code, 'CANVAS_TOO_LARGE');
+                        assert.equal(report.result.width, 12);
+                        assert.equal(report.result.height, 7);
+                        assert.equal(report.result.data.length, 12 * 7 * 4);
+                        assert.deepEqual(Array.from(report.result.data.subarray(0, 4)), [0, 0, 0, 0]);
+                        assert.deepEqual(Array.from(report.result.data.subarray((12 + 1) * 4, (12 + 2) * 4)), [255, 0, 0, 255]);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should stitch png data URLs when the canvas is too large', function(done) {
+                util.newCanvas = function(width, height) {
+                    return width * height <= 400 ? newCanvas(width, height) : null;
+                };
+
+                domtoimage.toPng(node, { maxTileWidth: 20, maxTileHeight: 20 })
+                    .then(function(dataUrl) {
+                        assert.equal(dataUrl.indexOf('data:image/png;base64,'), 0);
+                        var chunks = domtoimage.impl.png.readChunks(domtoimage.impl.util.decodeBase64(dataUrl.split(',')[1]));
+                        assert.deepEqual(Array.from(chunks[0].data.subarray(0, 8)), [0, 0, 0, 40, 0, 0, 0, 25]);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should reject when the canvas is too large and stitching is off', function(done) {
+                util.newCanvas = function() {
+                    return null;
+                };
+
+                domtoimage.toPng(node, { stitch: false })
                     .then(function() {
-                        return fontFaces.impl.readAll();
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.equal(error.code, 'CANVAS_TOO_LARGE');
                     })
-                    /*
-                    .then(function(webFonts) {
-                        assert.equal(webFonts.length, 3);
+                    .then(done).catch(done);
+            });
+        });
 
-                        var sources = webFonts.map(function(webFont) {
-                            return webFont.src();
-                        });
-                        assertSomeIncludesAll(sources, ['http://fonts.com/font1.woff', 'http://fonts.com/font1.woff2']);
-                        assertSomeIncludesAll(sources, ['http://fonts.com/font2.ttf?v1.1.3']);
-                        assertSomeIncludesAll(sources, ['data:font/woff2;base64,AAA']);
+        describe('animation', function() {
+
+            it('should render AA frames to an animated gif', function(done) {
+                domtoimage.toAnimation(['(´・ω・`)', '(´・ω・`)ｼｮﾎﾞｰﾝ'], { delays: [500, 1000], bgcolor: '#fff' })
+                    .then(function(blob) {
+                        assert.equal(blob.type, 'image/gif');
+                        return new Response(blob).arrayBuffer();
+                    })
+                    .then(function(buffer) {
+                        var bytes = new Uint8Array(buffer);
+                        assert.equal(String.fromCharCode.apply(null, bytes.subarray(0, 6)), 'GIF89a');
+                        assert.equal(bytes[bytes.length - 1], 0x3B);
                     })
-                    */
-                    .then(pass)
                     .then(done).catch(done);
             });
 
-            /*
-            function assertSomeIncludesAll(haystacks, needles) {
-                assert(
-                    haystacks.some(function(haystack) {
-                        return needles.every(function(needle) {
-                            return (haystack.indexOf(needle) !== -1);
-                        });
+            it('should render node frames to an apng', function(done) {
+                var node = document.createElement('div');
+                node.style.width = '20px';
+                node.style.height = '10px';
+                node.style.backgroundColor = 'red';
+                document.body.appendChild(node);
+
+                domtoimage.toAnimation([node, node], { format: 'apng', loop: 3 })
+                    .then(function(blob) {
+                        assert.equal(blob.type, 'image/apng');
+                        return new Response(blob).arrayBuffer();
+                    })
+                    .then(function(buffer) {
+                        var text = String.fromCharCode.apply(null, new Uint8Array(buffer));
+                        assert.include(text, 'acTL\u0000\u0000\u0000\u0002\u0000\u0000\u0000\u0003');
+                        assert.equal(text.match(/fcTL/g).length, 2);
+                        assert.equal(text.match(/fdAT/g).length, 1);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should reject unsupported animation formats', function(done) {
+                domtoimage.toAnimation(['AA'], { format: 'mng' })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.include(error.message, 'mng');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should keep exact colors and transparency when quantizing', function() {
+                var quantized = domtoimage.impl.gif.quantize(new Uint8Array([
+                    255, 0, 0, 255,
+                    0, 0, 255, 255,
+                    255, 0, 0, 255,
+                    0, 0, 0, 0
+                ]));
+
+                assert.deepEqual(quantized.palette, [255, 0, 0, 0, 0, 255, 0, 0, 0]);
+                assert.deepEqual(Array.from(quantized.indices), [0, 1, 0, 2]);
+                assert.equal(quantized.transparent, 2);
+            });
+
+            it('should keep the alpha of translucent colors when asked to', function() {
+                var quantized = domtoimage.impl.gif.quantize(new Uint8Array([
+                    255, 0, 0, 255,
+                    255, 0, 0, 128,
+                    0, 0, 0, 0
+                ]), 256, true);
+
+                assert.deepEqual(quantized.palette, [255, 0, 0, 255, 255, 0, 0, 128, 0, 0, 0, 0]);
+                assert.deepEqual(Array.from(quantized.indices), [0, 1, 2]);
+            });
+
+            it('should checksum png chunks', function() {
+                var chunk = domtoimage.impl.png.chunk('IEND', []);
+                assert.deepEqual(Array.from(chunk), [0, 0, 0, 0, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82]);
+            });
+        });
+
+        describe('color modes', function() {
+
+            it('should write 1-bit png', function(done) {
+                domtoimage.textToPng('(´・ω・`)', { colorMode: '1bit', bgcolor: '#fff' })
+                    .then(function(dataUrl) {
+                        var header = pngHeader(dataUrl);
+                        assert.equal(header.bitDepth, 1);
+                        assert.equal(header.colorType, 0);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should write indexed png', function(done) {
+                domtoimage.textToPng('(´・ω・`)', { colorMode: 'palette', colors: 16 })
+                    .then(function(dataUrl) {
+                        var header = pngHeader(dataUrl);
+                        assert.isAtMost(header.bitDepth, 4);
+                        assert.equal(header.colorType, 3);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should threshold 1-bit pixels', function() {
+                var image = grayImage([10, 127, 128, 250]);
+                domtoimage.impl.colorModes.reduce(image, { colorMode: '1bit' });
+                assert.deepEqual(Array.from(image.data), [0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255, 255, 255, 255, 255, 255]);
+            });
+
+            it('should diffuse the error of 1-bit pixels', function() {
+                var values = [];
+                for (var i = 0; i < 64; i++) values.push(128);
+                var image = grayImage(values);
+                domtoimage.impl.colorModes.reduce(image, { colorMode: '1bit', dither: 'floyd-steinberg' });
+
+                var white = 0;
+                for (i = 0; i < 64; i++) white += image.data[i * 4] / 255;
+                assert.closeTo(white, 32, 2);
+            });
+
+            it('should keep translucent palette colors', function() {
+                var image = grayImage([0, 255, 0, 255]);
+                image.data[7] = 128;
+                domtoimage.impl.colorModes.reduce(image, { colorMode: 'palette' });
+                var chunks = domtoimage.impl.png.readChunks(domtoimage.impl.png.encode(image, 'palette'));
+
+                assert.equal(image.data[7], 128);
+                assert.deepEqual(Array.from(chunks[2].data), [255, 128]);
+            });
+
+            it('should keep the palette colors of indexed png', function() {
+                var image = grayImage([0, 255, 0, 255]);
+                image.data[3] = 0;
+                var png = domtoimage.impl.png.encode(image, 'palette');
+                var chunks = domtoimage.impl.png.readChunks(png);
+
+                assert.equal(chunks[0].data[8], 2);
+                assert.deepEqual(Array.from(chunks[1].data), [0, 0, 0, 255, 255, 255, 0, 0, 0]);
+                assert.deepEqual(Array.from(chunks[2].data), [0]);
+            });
+
+            it('should reject unsupported color modes', function(done) {
+                domtoimage.textToPng('AA', { colorMode: 'cmyk' })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.include(error.message, 'cmyk');
+                    })
+                    .then(done).catch(done);
+            });
+
+            function grayImage(values) {
+                var data = new Uint8ClampedArray(values.length * 4);
+                values.forEach(function(value, index) {
+                    data.set([value, value, value, 255], index * 4);
+                });
+                return { data: data, width: values.length, height: 1 };
+            }
+
+            function pngHeader(dataUrl) {
+                var chunks = domtoimage.impl.png.readChunks(domtoimage.impl.util.decodeBase64(dataUrl.split(',')[1]));
+                return { bitDepth: chunks[0].data[8], colorType: chunks[0].data[9] };
+            }
+        });
+
+        describe('png text', function() {
+
+            it('should write metadata into png blobs', function(done) {
+                domtoimage.textToBlob('(´・ω・`)', { metadata: { title: 'shobon', author: '名無し' } })
+                    .then(domtoimage.readPngText)
+                    .then(function(metadata) {
+                        assert.equal(metadata.title, 'shobon');
+                        assert.equal(metadata.author, '名無し');
+                        assert.equal(metadata.text, '(´・ω・`)');
+                        assert.equal(metadata.font, 'aahub');
+                        assert.equal(metadata.keywords['AA Text'], '(´・ω・`)');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should write metadata into png data urls', function(done) {
+                domtoimage.textToPng('AA', { metadata: true })
+                    .then(domtoimage.readPngText)
+                    .then(function(metadata) {
+                        assert.equal(metadata.text, 'AA');
+                        assert.isUndefined(metadata.title);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not write metadata unless asked to', function(done) {
+                domtoimage.textToPng('AA')
+                    .then(domtoimage.readPngText)
+                    .then(function(metadata) {
+                        assert.deepEqual(metadata.keywords, {});
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should read back compressed texts', function(done) {
+                var png = domtoimage.impl.png;
+                var text = '　　∧＿∧\n　（　´∀｀）\n'.repeat(100);
+                var image = { data: new Uint8Array(4), width: 1, height: 1 };
+
+                png.readText(png.writeText(png.encode(image), { 'AA Text': text }))
+                    .then(function(texts) {
+                        assert.equal(texts['AA Text'], text);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should reject files that are not png', function() {
+                assert.throws(function() {
+                    domtoimage.impl.png.readChunks(new Uint8Array(16));
+                }, 'not a PNG file');
+            });
+        });
+
+        describe('pdf', function() {
+
+            it('should print AA texts to pdf pages', function(done) {
+                domtoimage.toPdf(['(´・ω・`)', '(´・ω・`)ｼｮﾎﾞｰﾝ'], { title: 'shobon' })
+                    .then(pdfText)
+                    .then(function(text) {
+                        assert.match(text, /^%PDF-1\.4/);
+                        assert.equal(text.match(/\/Type \/Page /g).length, 2);
+                        assert.include(text, '/Count 2');
+                        assert.match(text, /%%EOF\n$/);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should split tall nodes into pages', function(done) {
+                var node = document.createElement('div');
+                node.style.width = '100px';
+                node.style.height = '1000px';
+                node.style.backgroundColor = 'red';
+                document.body.appendChild(node);
+
+                domtoimage.toPdf(node, { pageSize: [300, 300], margins: 0 })
+                    .then(pdfText)
+                    .then(function(text) {
+                        assert.include(text, '/Count 3');
+                        assert.include(text, '/MediaBox [0 0 300 300]');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should embed pages as raster when asked to', function(done) {
+                domtoimage.toPdf('AA', { raster: 'always', pageSize: 'fit' })
+                    .then(pdfText)
+                    .then(function(text) {
+                        assert.include(text, '/Subtype /Image');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should size B pages to JIS by default', function() {
+                var pageSize = domtoimage.impl.pdf.pageSize;
+
+                assert.deepEqual(pageSize('b4'), [728.5, 1031.81]);
+                assert.deepEqual(pageSize('B5'), [515.91, 728.5]);
+                assert.deepEqual(pageSize('isoB4'), [708.66, 1000.63]);
+            });
+
+            it('should reject unsupported page sizes', function(done) {
+                domtoimage.toPdf('AA', { pageSize: 'a0' })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.include(error.message, 'a0');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should map glyphs back to unicode', function() {
+                var cmap = domtoimage.impl.pdf.impl.toUnicode([
+                    { codePoint: 0x3042, glyphId: 1 },
+                    { codePoint: 0x20000, glyphId: 2 },
+                    { codePoint: 0x41, glyphId: 0 }
+                ]);
+
+                assert.include(cmap, '2 beginbfchar\n<0001> <3042>\n<0002> <D840DC00>\nendbfchar');
+            });
+
+            function pdfText(blob) {
+                assert.equal(blob.type, 'application/pdf');
+                return new Response(blob).arrayBuffer()
+                    .then(function(buffer) {
+                        return Array.from(new Uint8Array(buffer)).map(function(byte) {
+                            return String.fromCharCode(byte);
+                        }).join('');
+                    });
+            }
+        });
+
+        describe('collections', function() {
+            var parse = domtoimage.parseCollection;
+
+            it('should parse MLT entries separated by [SPLIT] lines', function() {
+                assert.deepEqual(parse('　∧＿∧\r\n（　´∀｀）\r\n[SPLIT]\r\n(ﾟ∀ﾟ)\r\n'), [
+                    { title: '', text: '　∧＿∧\n（　´∀｀）' },
+                    { title: '', text: '(ﾟ∀ﾟ)' }
+                ]);
+            });
+
+            it('should skip empty MLT entries', function() {
+                assert.deepEqual(parse('[SPLIT]\nA\n[SPLIT]\n\n[SPLIT]\n', { format: 'mlt' }), [
+                    { title: '', text: 'A' }
+                ]);
+            });
+
+            it('should parse AST entries headed by [AA][title] lines', function() {
+                assert.deepEqual(parse('[AAMZXXXX]\n[AA][ギコ]\n　∧＿∧\n\n[AA][モナー]\n（　´∀｀）\n'), [
+                    { title: 'ギコ', text: '　∧＿∧' },
+                    { title: 'モナー', text: '（　´∀｀）' }
+                ]);
+            });
+
+            it('should parse Shift_JIS collection bytes', function() {
+                var bytes = new Uint8Array([0x5b, 0x41, 0x41, 0x5d, 0x5b, 0x41, 0x5d, 0x0d, 0x0a, 0x81, 0x40, 0x81, 0xc8]);
+                assert.deepEqual(parse(bytes, { encoding: 'shift_jis' }), [
+                    { title: 'A', text: '　∧' }
+                ]);
+            });
+
+            it('should reject unsupported collection formats', function() {
+                assert.throws(function() {
+                    parse('A', { format: 'txt' });
+                }, /unsupported AA collection format/);
+            });
+
+            it('should render one image per collection entry', function(done) {
+                domtoimage.renderCollection('[AA][one]\n(ﾟ∀ﾟ)\n[AA][two]\n(´・ω・`)', { type: 'svg' })
+                    .then(function(rendered) {
+                        assert.deepEqual(rendered.map(function(entry) {
+                            return entry.title;
+                        }), ['one', 'two']);
+                        assert.include(rendered[0].result, '(ﾟ∀ﾟ)');
+                        assert.include(rendered[1].result, '(´・ω・`)');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should reject or report collections that cannot be parsed', function(done) {
+                domtoimage.renderCollection('A', { format: 'txt' })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.match(error.message, /unsupported AA collection format/);
+                        return domtoimage.renderCollection('A', { format: 'txt', report: true });
+                    })
+                    .then(function(report) {
+                        assert.isUndefined(report.result);
+                        assert.equal(report.errors[0].code, 'RENDER_FAILED');
+                        assert.match(report.errors[0].message, /unsupported AA collection format/);
+                    })
+                    .then(done).catch(done);
+            });
+        });
+
+        describe('report', function() {
+
+            it('should report failed fetches as warnings', function(done) {
+                var node = nodeWithImage('http://acme.test/missing.png');
+
+                domtoimage.toSvg(node, { report: true, fetcher: rejectingFetcher })
+                    .then(function(report) {
+                        assert.match(report.result, /^data:image\/svg\+xml/);
+                        assert.equal(report.warnings.length, 1);
+                        assert.equal(report.warnings[0].code, 'FETCH_FAILED');
+                        assert.equal(report.warnings[0].url, 'http://acme.test/missing.png');
+                        assert.isNumber(report.warnings[0].time);
+                        assert.deepEqual(report.errors, []);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should report timeouts', function(done) {
+                var node = nodeWithImage('http://acme.test/slow.png');
+
+                domtoimage.toSvg(node, {
+                        report: true,
+                        fetcher: function() {
+                            var error = new Error('timeout');
+                            error.code = 'TIMEOUT';
+                            return Promise.reject(error);
+                        }
+                    })
+                    .then(function(report) {
+                        assert.equal(report.warnings[0].code, 'TIMEOUT');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should reject on the first warning in strict mode', function(done) {
+                var node = nodeWithImage('http://acme.test/missing.png');
+
+                domtoimage.toPng(node, { strict: true, fetcher: rejectingFetcher })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.equal(error.code, 'FETCH_FAILED');
+                        assert.equal(error.url, 'http://acme.test/missing.png');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should report render failures as errors', function(done) {
+                domtoimage.toPng(null, { report: true })
+                    .then(function(report) {
+                        assert.isUndefined(report.result);
+                        assert.equal(report.errors.length, 1);
+                        assert.equal(report.errors[0].code, 'RENDER_FAILED');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should report AA fonts that are not registered', function(done) {
+                var node = document.createElement('div');
+                document.body.appendChild(node);
+
+                domtoimage.toSvg(node, { report: true, fonts: ['no-such-font'] })
+                    .then(function(report) {
+                        assert.equal(report.warnings[0].code, 'FONT_MISSING');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            function rejectingFetcher() {
+                return Promise.reject(new Error('cannot fetch'));
+            }
+
+            function nodeWithImage(src) {
+                var node = document.createElement('div');
+                var image = document.createElement('img');
+                image.src = src;
+                node.appendChild(image);
+                document.body.appendChild(node);
+                return node;
+            }
+        });
+
+        describe('shadow dom', function() {
+            var constructed = 0;
+
+            before(function() {
+                if (customElements.get('aa-test-viewer')) return;
+                customElements.define('aa-test-viewer', class extends HTMLElement {
+                    constructor() {
+                        super();
+                        constructed++;
+                        var shadowRoot = this.attachShadow({ mode: this.getAttribute('mode') || 'open' });
+                        shadowRoot.innerHTML = '<style>b { color: rgb(255, 0, 0); }</style>' +
+                            '<b>shadow text</b><slot>fallback text</slot>';
+                        this.closedRoot = shadowRoot;
+                    }
+                });
+            });
+
+            it('should render open shadow roots with their slots', function(done) {
+                var node = viewer('open', '<i>slotted text</i>');
+                var before = constructed;
+
+                domtoimage.toSvg(node)
+                    .then(svgMarkup)
+                    .then(function(svg) {
+                        assert.include(svg, 'shadow text');
+                        assert.include(svg, 'slotted text');
+                        assert.notInclude(svg, 'fallback text');
+                        assert.notInclude(svg, 'b { color');
+                        assert.match(svg, /<b [^>]*style="[^"]*color: rgb\(255, 0, 0\)/);
+                        assert.equal(constructed, before);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render closed shadow roots through the resolver', function(done) {
+                var node = viewer('closed', '');
+
+                domtoimage.toSvg(node)
+                    .then(svgMarkup)
+                    .then(function(svg) {
+                        assert.notInclude(svg, 'shadow text');
+                        return domtoimage.toSvg(node, {
+                            resolveShadowRoot: function(element) {
+                                return element.closedRoot;
+                            }
+                        });
+                    })
+                    .then(svgMarkup)
+                    .then(function(svg) {
+                        assert.include(svg, 'shadow text');
+                        assert.include(svg, 'fallback text');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            function viewer(mode, html) {
+                var node = document.createElement('div');
+                node.innerHTML = '<aa-test-viewer mode="' + mode + '">' + html + '</aa-test-viewer>';
+                document.body.appendChild(node);
+                return node;
+            }
+
+            function svgMarkup(dataUrl) {
+                return dataUrl.replace(/^data:image\/svg\+xml;charset=utf-8,/, '').replace(/%23/g, '#').replace(/%0A/g, '\n');
+            }
+        });
+
+        describe('canvas and video', function() {
+            var BLACK_PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+            it('should read WebGL canvases right after redrawing them', function(done) {
+                var node = document.createElement('div');
+                var canvas = document.createElement('canvas');
+                canvas.width = 10;
+                canvas.height = 10;
+                node.appendChild(canvas);
+                document.body.appendChild(node);
+                var gl = canvas.getContext('webgl', { preserveDrawingBuffer: false });
+                var redrawn = [];
+
+                domtoimage.toPixelData(node, {
+                        width: 10,
+                        height: 10,
+                        redrawCanvas: function(target) {
+                            redrawn.push(target);
+                            gl.clearColor(1, 0, 0, 1);
+                            gl.clear(gl.COLOR_BUFFER_BIT);
+                        }
+                    })
+                    .then(function(pixels) {
+                        assert.deepEqual(redrawn, [canvas]);
+                        assert.deepEqual(Array.prototype.slice.call(pixels, 0, 4), [255, 0, 0, 255]);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should read all canvases in one animation frame', function(done) {
+                var node = document.createElement('div');
+                node.innerHTML = '<canvas></canvas><div><canvas></canvas></div><canvas></canvas>';
+                document.body.appendChild(node);
+                var requestAnimationFrame = window.requestAnimationFrame;
+                var frames = 0;
+                window.requestAnimationFrame = function(callback) {
+                    frames++;
+                    return requestAnimationFrame.call(window, callback);
+                };
+
+                domtoimage.toSvg(node)
+                    .then(function(dataUrl) {
+                        assert.equal(frames, 1);
+                        assert.equal(dataUrl.match(/<img /g).length, 3);
+                    })
+                    .then(function() {
+                        window.requestAnimationFrame = requestAnimationFrame;
+                        document.body.removeChild(node);
+                    }, function(error) {
+                        window.requestAnimationFrame = requestAnimationFrame;
+                        throw error;
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should report tainted canvases with the reason', function(done) {
+                var node = document.createElement('div');
+                var canvas = document.createElement('canvas');
+                canvas.toDataURL = function() {
+                    throw new DOMException('The canvas has been tainted by cross-origin data.', 'SecurityError');
+                };
+                node.appendChild(canvas);
+                document.body.appendChild(node);
+
+                domtoimage.toSvg(node, { report: true })
+                    .then(function(report) {
+                        assert.equal(report.warnings[0].code, 'TAINTED_CANVAS');
+                        assert.equal(report.warnings[0].node, canvas);
+                        assert.include(report.warnings[0].reason, 'cross-origin');
+                        assert.include(report.result, '<canvas');
+                        return domtoimage.toSvg(node, { strict: true });
+                    })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.equal(error.code, 'TAINTED_CANVAS');
+                        assert.include(error.reason, 'cross-origin');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render the poster of videos without frames', function(done) {
+                var node = document.createElement('div');
+                node.innerHTML = '<video poster="' + BLACK_PIXEL + '" width="20" height="10"></video>';
+                document.body.appendChild(node);
+
+                domtoimage.toSvg(node)
+                    .then(function(dataUrl) {
+                        assert.notInclude(dataUrl, '<video');
+                        assert.include(dataUrl, '<img src="' + BLACK_PIXEL + '"');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+        });
+
+        describe('form state', function() {
+
+            it('should copy checked, selected and value states', function(done) {
+                var node = form('<input type="checkbox" id="on"><input type="checkbox" id="off" checked>' +
+                    '<input type="radio" name="r" id="r1" checked><input type="radio" name="r" id="r2">' +
+                    '<select><option id="o1" selected>1</option><option id="o2">2</option></select>' +
+                    '<progress max="10"></progress><meter max="10"></meter>' +
+                    '<div contenteditable>before</div>');
+                node.querySelector('#on').checked = true;
+                node.querySelector('#off').checked = false;
+                node.querySelector('#r2').checked = true;
+                node.querySelector('select').selectedIndex = 1;
+                node.querySelector('progress').value = 4;
+                node.querySelector('meter').value = 7;
+                node.querySelector('[contenteditable]').textContent = 'edited';
+
+                render(node)
+                    .then(function(clone) {
+                        assert.isTrue(clone.querySelector('#on').hasAttribute('checked'));
+                        assert.isFalse(clone.querySelector('#off').hasAttribute('checked'));
+                        assert.isFalse(clone.querySelector('#r1').hasAttribute('checked'));
+                        assert.isTrue(clone.querySelector('#r2').hasAttribute('checked'));
+                        assert.isFalse(clone.querySelector('#o1').hasAttribute('selected'));
+                        assert.isTrue(clone.querySelector('#o2').hasAttribute('selected'));
+                        assert.equal(clone.querySelector('progress').getAttribute('value'), '4');
+                        assert.equal(clone.querySelector('meter').getAttribute('value'), '7');
+                        assert.equal(clone.querySelector('[contenteditable]').textContent, 'edited');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should copy textarea values as text and keep their scroll position', function(done) {
+                var node = form('<textarea id="plain"></textarea>' +
+                    '<textarea id="scrolled" rows="2" style="overflow: scroll"></textarea>');
+                var value = '<b>AA</b>\n' + new Array(20).join('line\n');
+                node.querySelector('#plain').value = value;
+                node.querySelector('#scrolled').value = value;
+                node.querySelector('#scrolled').scrollTop = 30;
+                var scrollTop = node.querySelector('#scrolled').scrollTop;
+
+                render(node)
+                    .then(function(clone) {
+                        assert.equal(clone.querySelector('#plain').value, value);
+                        assert.isNull(clone.querySelector('b'));
+
+                        assert.isNull(clone.querySelector('#scrolled'));
+                        var box = clone.lastChild.firstChild;
+                        assert.equal(box.textContent, value);
+                        assert.equal(box.style.transform, 'translate(0px, ' + -scrollTop + 'px)');
+                        assert.equal(box.parentNode.style.overflow, 'hidden');
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            function form(html) {
+                var node = document.createElement('div');
+                node.innerHTML = html;
+                document.body.appendChild(node);
+                return node;
+            }
+
+            function render(node) {
+                return domtoimage.toSvg(node)
+                    .then(function(dataUrl) {
+                        var markup = dataUrl.replace(/^data:image\/svg\+xml;charset=utf-8,/, '')
+                            .replace(/%23/g, '#').replace(/%0A/g, '\n');
+                        var svg = new DOMParser().parseFromString(markup, 'image/svg+xml');
+                        return svg.getElementsByTagNameNS('http://www.w3.org/1999/xhtml', 'div')[0];
+                    });
+            }
+        });
+
+        describe('scroll', function() {
+
+            it('should render scrollers scrolled as they are on screen', function(done) {
+                var node = scrollers();
+                var pane = node.querySelector('#pane');
+                var text = node.querySelector('#text');
+                pane.scrollTop = 40;
+                text.scrollTop = 20;
+
+                render(node, { scroll: 'preserve' })
+                    .then(function(svg) {
+                        var clone = svg.getElementsByTagNameNS('http://www.w3.org/1999/xhtml', 'div')[0];
+                        assert.equal(clone.querySelector('#pane > div').style.transform, 'translate(0px, -40px)');
+                        var span = clone.querySelector('#text > span');
+                        assert.equal(span.style.position, 'relative');
+                        assert.equal(span.style.top, '-20px');
+                        return render(node);
+                    })
+                    .then(function(svg) {
+                        var clone = svg.getElementsByTagNameNS('http://www.w3.org/1999/xhtml', 'div')[0];
+                        assert.equal(clone.querySelector('#pane > div').style.transform, 'none');
+                        assert.isNull(clone.querySelector('#text > span'));
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should expand scrollers to their full content size', function(done) {
+                var node = scrollers();
+                var pane = node.querySelector('#pane');
+                pane.scrollTop = 40;
+                var height = node.offsetHeight;
+
+                render(node, { scroll: 'expand' })
+                    .then(function(svg) {
+                        var clone = svg.getElementsByTagNameNS('http://www.w3.org/1999/xhtml', 'div')[0];
+                        var paneClone = clone.querySelector('#pane');
+                        assert.equal(paneClone.style.overflow, 'visible');
+                        assert.equal(paneClone.style.minHeight, '200px');
+                        assert.equal(clone.style.height, 'auto');
+                        // The pane and the three lines of text, both fully shown
+                        assert.equal(Number(svg.documentElement.getAttribute('height')), 200 + 60);
+                        assert.equal(pane.scrollTop, 40);
+                        assert.equal(pane.getAttribute('style'), 'height: 50px; overflow: auto;');
+                        assert.equal(node.offsetHeight, height);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should measure expanded scrollers once per render', function(done) {
+                var node = scrollers();
+                var observer = new MutationObserver(function() {});
+                observer.observe(node, { attributes: true, subtree: true });
+                var svgRecords;
+
+                domtoimage.toSvg(node, { scroll: 'expand' })
+                    .then(function() {
+                        svgRecords = observer.takeRecords().length;
+                        assert.isAbove(svgRecords, 0);
+                        return domtoimage.toPixelData(node, { scroll: 'expand' });
+                    })
+                    .then(function() {
+                        assert.equal(observer.takeRecords().length, svgRecords);
+                    })
+                    .then(function() {
+                        observer.disconnect();
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should expand scrollers inside shadow roots', function(done) {
+                var node = document.createElement('div');
+                document.body.appendChild(node);
+                node.attachShadow({ mode: 'open' }).innerHTML =
+                    '<div style="height: 50px; overflow: auto;"><div style="height: 200px;"></div></div>';
+
+                render(node, { scroll: 'expand' })
+                    .then(function(svg) {
+                        assert.equal(Number(svg.documentElement.getAttribute('height')), 200);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            function scrollers() {
+                var node = document.createElement('div');
+                node.style.height = '80px';
+                node.innerHTML = '<div id="pane" style="height: 50px; overflow: auto;"><div style="height: 200px;"></div></div>' +
+                    '<div id="text" style="height: 20px; overflow: auto; line-height: 20px;">1<br>2<br>3</div>';
+                document.body.appendChild(node);
+                return node;
+            }
+
+            function render(node, options) {
+                return domtoimage.toSvg(node, options)
+                    .then(function(dataUrl) {
+                        var markup = dataUrl.replace(/^data:image\/svg\+xml;charset=utf-8,/, '')
+                            .replace(/%23/g, '#').replace(/%0A/g, '\n');
+                        return new DOMParser().parseFromString(markup, 'image/svg+xml');
+                    });
+            }
+        });
+
+        describe('frames', function() {
+            var PLACEHOLDER = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+            it('should render same-origin frames', function(done) {
+                frame('<p style="color: rgb(0, 0, 255)">frame text</p>')
+                    .then(function(node) {
+                        return domtoimage.toSvg(node)
+                            .then(function(dataUrl) {
+                                var image = svgImages(dataUrl)[0];
+                                assert.ok(image, 'frame image');
+                                assert.include(frameMarkup(image), 'frame text');
+                                assert.match(frameMarkup(image), /<p [^>]*style="[^"]*color: rgb\(0, 0, 255\)/);
+                                assert.include(image.getAttribute('style'), 'width: 200px');
+                            })
+                            .then(function() {
+                                document.body.removeChild(node);
+                            });
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render cross-origin frames through the hook or the placeholder', function(done) {
+                var node = document.createElement('div');
+                var frames = [];
+                node.innerHTML = '<iframe src="about:blank" sandbox></iframe>';
+                document.body.appendChild(node);
+
+                domtoimage.toSvg(node, {
+                        report: true,
+                        renderFrame: function(frame) {
+                            frames.push(frame);
+                            return Promise.resolve(PLACEHOLDER);
+                        }
+                    })
+                    .then(function(report) {
+                        assert.deepEqual(frames, [node.firstChild]);
+                        assert.equal(report.warnings.length, 0);
+                        assert.equal(svgImages(report.result)[0].getAttribute('src'), PLACEHOLDER);
+                        return domtoimage.toSvg(node, { report: true, framePlaceholder: PLACEHOLDER });
+                    })
+                    .then(function(report) {
+                        assert.equal(report.warnings[0].code, 'CROSS_ORIGIN_FRAME');
+                        assert.equal(svgImages(report.result)[0].getAttribute('src'), PLACEHOLDER);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            function frame(html) {
+                var node = document.createElement('div');
+                var iframe = document.createElement('iframe');
+                iframe.style.width = '200px';
+                iframe.style.height = '100px';
+                node.appendChild(iframe);
+                document.body.appendChild(node);
+                return new Promise(function(resolve) {
+                    iframe.onload = function() {
+                        resolve(node);
+                    };
+                    iframe.srcdoc = html;
+                });
+            }
+
+            function svgImages(dataUrl) {
+                var markup = unescapeSvg(dataUrl);
+                var svg = new DOMParser().parseFromString(markup, 'image/svg+xml');
+                return Array.prototype.slice.call(svg.getElementsByTagNameNS('http://www.w3.org/1999/xhtml', 'img'));
+            }
+
+            function frameMarkup(image) {
+                return unescapeSvg(image.getAttribute('src'));
+            }
+
+            function unescapeSvg(dataUrl) {
+                return dataUrl.replace(/^data:image\/svg\+xml;charset=utf-8,/, '').replace(/%(23|0A|25)/g, function(escaped) {
+                    return decodeURIComponent(escaped);
+                });
+            }
+        });
+
+        describe('inliner', function() {
+
+            var NO_BASE_URL = null;
+
+            it('should parse urls', function() {
+                var parse = domtoimage.impl.inliner.impl.readUrls;
+
+                assert.deepEqual(parse('url("http://acme.com/file")'), ['http://acme.com/file']);
+                assert.deepEqual(parse('url(foo.com), url(\'bar.org\')'), ['foo.com', 'bar.org']);
+            });
+
+            it('should ignore data urls', function() {
+                var parse = domtoimage.impl.inliner.impl.readUrls;
+
+                assert.deepEqual(parse('url(foo.com), url(data:AAA)'), ['foo.com']);
+            });
+
+            it('should inline url', function(done) {
+                var inline = domtoimage.impl.inliner.impl.inline;
+
+                inline('url(http://acme.com/image.png), url(foo.com)', 'http://acme.com/image.png',
+                        NO_BASE_URL,
+                        function() {
+                            return Promise.resolve('AAA');
+                        })
+                    .then(function(result) {
+                        assert.equal(result, 'url(data:image/png;base64,AAA), url(foo.com)');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should resolve urls if base url given', function(done) {
+                var inline = domtoimage.impl.inliner.impl.inline;
+
+                inline('url(images/image.png)', 'images/image.png', 'http://acme.com/',
+                        function(url) {
+                            return Promise.resolve({
+                                'http://acme.com/images/image.png': 'AAA'
+                            }[url]);
+                        }
+                    )
+                    .then(function(result) {
+                        assert.equal(result, 'url(data:image/png;base64,AAA)');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should inline all urls', function(done) {
+                var inlineAll = domtoimage.impl.inliner.inlineAll;
+
+                inlineAll('url(http://acme.com/image.png), url("foo.com/font.ttf")',
+                        NO_BASE_URL,
+                        function(url) {
+                            return Promise.resolve({
+                                'http://acme.com/image.png': 'AAA',
+                                'foo.com/font.ttf': 'BBB'
+                            }[url]);
+                        }
+                    )
+                    .then(function(result) {
+                        assert.equal(result, 'url(data:image/png;base64,AAA), url("data:application/font-truetype;base64,BBB")');
+                    })
+                    .then(done).catch(done);
+            });
+        });
+
+        describe('util', function() {
+
+            it('should get and encode resource', function(done) {
+                var getAndEncode = domtoimage.impl.util.getAndEncode;
+                getResource('util/fontawesome.base64')
+                    .then(function(testResource) {
+                        return getAndEncode(BASE_URL + 'util/fontawesome.woff2')
+                            .then(function(resource) {
+                                assert.equal(resource, testResource);
+                            });
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should return empty result if cannot get resource', function(done) {
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/not-found')
+                    .then(function(resource) {
+                        assert.equal(resource, '');
+                    }).then(done).catch(done);
+            });
+
+            it('should return placeholder result if cannot get resource and placeholder is provided', function(done) {
+                var placeholder = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAAJcEhZcwAADsMAAA7DAcdvqGQAAAAMSURBVBhXY7h79y4ABTICmGnXPbMAAAAASUVORK5CYII=";
+                var original = domtoimage.impl.options.imagePlaceholder;
+                domtoimage.impl.options.imagePlaceholder = placeholder;
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/not-found')
+                    .then(function(resource) {
+                        var placeholderData = placeholder.split(/,/)[1];
+                        assert.equal(resource, placeholderData);
+                        domtoimage.impl.options.imagePlaceholder = original;
+                    }).then(done).catch(done);
+            });
+
+            it('should use the placeholder of the render context', function(done) {
+                var getAndEncode = domtoimage.impl.util.getAndEncode;
+                Promise.all([
+                        getAndEncode(BASE_URL + 'util/not-found', { imagePlaceholder: 'data:image/png;base64,AAA' }),
+                        getAndEncode(BASE_URL + 'util/not-found', { imagePlaceholder: 'data:image/png;base64,BBB' })
+                    ])
+                    .then(function(resources) {
+                        assert.deepEqual(resources, ['AAA', 'BBB']);
+                    }).then(done).catch(done);
+            });
+
+            it('should not write rendering options into impl options', function(done) {
+                var node = document.createElement('div');
+                document.body.appendChild(node);
+
+                domtoimage.toSvg(node, { cacheBust: true, useCredentials: true, imagePlaceholder: 'data:image/png;base64,AAA' })
+                    .then(function() {
+                        assert.isUndefined(domtoimage.impl.options.cacheBust);
+                        assert.isUndefined(domtoimage.impl.options.useCredentials);
+                        assert.isUndefined(domtoimage.impl.options.imagePlaceholder);
+                    })
+                    .then(function() {
+                        document.body.removeChild(node);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should use local resources instead of fetching them', function(done) {
+                domtoimage.impl.util.getAndEncode('http://acme.com/image.png', {
+                        resources: { 'http://acme.com/image.png': 'data:image/png;base64,AAA' },
+                        fetcher: function() {
+                            return Promise.reject(new Error('should not fetch'));
+                        }
+                    })
+                    .then(function(resource) {
+                        assert.equal(resource, 'AAA');
+                    }).then(done).catch(done);
+            });
+
+            it('should resolve the URLs of local resources once', function() {
+                var resources = domtoimage.impl.util.resolveResources({ 'image.png': 'data:image/png;base64,AAA' });
+
+                assert.equal(resources.get('image.png'), 'data:image/png;base64,AAA');
+                assert.equal(resources.get(new URL('image.png', document.baseURI).href), 'data:image/png;base64,AAA');
+                assert.strictEqual(domtoimage.impl.util.resolveResources(resources), resources);
+            });
+
+            it('should encode resources returned by a custom fetcher', function(done) {
+                var requested;
+                domtoimage.impl.util.getAndEncode('http://acme.com/font.woff', {
+                        fetcher: function(url) {
+                            requested = url;
+                            return Promise.resolve(new Uint8Array([1, 2, 3]).buffer);
+                        }
+                    })
+                    .then(function(resource) {
+                        assert.equal(requested, 'http://acme.com/font.woff');
+                        assert.equal(resource, 'AQID');
+                    }).then(done).catch(done);
+            });
+
+            it('should retry failed fetches with backoff', function(done) {
+                var fetch = global.fetch;
+                var attempts = 0;
+                global.fetch = function() {
+                    attempts++;
+                    if (attempts < 3) return Promise.reject(new Error('network error'));
+                    return Promise.resolve(new Response(new Blob(['AA'])));
+                };
+
+                domtoimage.impl.util.fetchResource('http://acme.com/image.png', { retries: 2, backoff: 1 })
+                    .then(function(blob) {
+                        global.fetch = fetch;
+                        assert.equal(attempts, 3);
+                        assert.equal(blob.size, 2);
+                    }, function(error) {
+                        global.fetch = fetch;
+                        throw error;
+                    }).then(done).catch(done);
+            });
+
+            it('should time out fetches', function(done) {
+                var fetch = global.fetch;
+                global.fetch = function() {
+                    return new Promise(function() {});
+                };
+
+                domtoimage.impl.util.fetchResource('http://acme.com/image.png', { timeout: 10 })
+                    .then(function() {
+                        global.fetch = fetch;
+                        throw new Error('should time out');
+                    }, function(error) {
+                        global.fetch = fetch;
+                        assert.include(error.message, 'timeout of 10ms');
+                    }).then(done).catch(done);
+            });
+
+            it('should parse extension', function() {
+                var parse = domtoimage.impl.util.parseExtension;
+
+                assert.equal(parse('http://acme.com/font.woff'), 'woff');
+                assert.equal(parse('../FONT.TTF'), 'TTF');
+                assert.equal(parse('../font'), '');
+                assert.equal(parse('font'), '');
+            });
+
+            it('should guess mime type from url', function() {
+                var mime = domtoimage.impl.util.mimeType;
+
+                assert.equal(mime('http://acme.com/font.woff'), 'application/font-woff');
+                assert.equal(mime('IMAGE.PNG'), 'image/png');
+                assert.equal(mime('http://acme.com/image'), '');
+            });
+
+            it('should resolve url', function() {
+                var resolve = domtoimage.impl.util.resolveUrl;
+
+                assert.equal(resolve('font.woff', 'http://acme.com'), 'http://acme.com/font.woff');
+                assert.equal(resolve('/font.woff', 'http://acme.com/fonts/woff'), 'http://acme.com/font.woff');
+
+                assert.equal(resolve('../font.woff', 'http://acme.com/fonts/woff/'), 'http://acme.com/fonts/font.woff');
+                assert.equal(resolve('../font.woff', 'http://acme.com/fonts/woff'), 'http://acme.com/font.woff');
+            });
+
+            it('should decode Shift_JIS text with NEC and IBM extension characters', function() {
+                var decode = domtoimage.impl.util.decodeText;
+
+                assert.equal(decode(new Uint8Array([0x82, 0xa0, 0x87, 0x40, 0xfa, 0x40, 0xed, 0x40]), 'shift_jis'), 'あ①ⅰ纊');
+                assert.equal(decode(new Uint8Array([0x81, 0x40, 0x81, 0xc8, 0x81, 0x51, 0x81, 0xc8]).buffer, 'cp932'), '　∧＿∧');
+            });
+
+            it('should decode EUC-JP text', function() {
+                var decode = domtoimage.impl.util.decodeText;
+
+                assert.equal(decode(new Uint8Array([0xa4, 0xa2, 0xa4, 0xa4, 0xb4, 0xc1]), 'euc-jp'), 'あい漢');
+            });
+
+            it('should detect AA text encoding', function() {
+                var decode = domtoimage.impl.util.decodeText;
+
+                assert.equal(decode(new Uint8Array([0x81, 0x40, 0x81, 0xc8, 0x81, 0x51, 0x81, 0xc8])), '　∧＿∧');
+                assert.equal(decode(new Uint8Array([0xa4, 0xa2, 0xa4, 0xa4, 0xb4, 0xc1])), 'あい漢');
+                assert.equal(decode(new Uint8Array([0xe3, 0x81, 0x82])), 'あ');
+            });
+
+            it('should decode numeric character references', function() {
+                var decode = domtoimage.impl.util.decodeCharacterReferences;
+
+                assert.equal(decode('&#9829;&#x2665;&#X2665;&amp;'), '♥♥♥&amp;');
+                assert.equal(decode('&#55296;'), '&#55296;');
+            });
+
+            it('should reject unsupported AA text encodings', function() {
+                assert.throws(function() {
+                    domtoimage.impl.util.decodeText(new Uint8Array([0x41]), 'koi8-r');
+                }, /unsupported AA text encoding/);
+            });
+
+            it('should reject text in unsupported encodings from the text entry points', function(done) {
+                var bytes = new Uint8Array([0x41]);
+
+                domtoimage.textToSvg(bytes, { encoding: 'koi8-r' })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.match(error.message, /unsupported AA text encoding/);
+                        return domtoimage.measure(bytes, { encoding: 'koi8-r' });
+                    })
+                    .then(function() {
+                        throw new Error('should reject');
+                    }, function(error) {
+                        assert.match(error.message, /unsupported AA text encoding/);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should wait until the image is decoded', function(done) {
+                var image = new Image();
+                var decoded = false;
+                image.decode = function() {
+                    return delay(50)().then(function() {
+                        decoded = true;
+                    });
+                };
+
+                domtoimage.impl.util.whenReady(image, 1000)
+                    .then(function(result) {
+                        assert.equal(result, image);
+                        assert.isTrue(decoded);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should stop waiting for readiness after the timeout', function(done) {
+                var image = new Image();
+                image.decode = function() {
+                    return new Promise(function() {});
+                };
+                var start = Date.now();
+
+                domtoimage.impl.util.whenReady(image, 50)
+                    .then(function(result) {
+                        assert.equal(result, image);
+                        assert.isBelow(Date.now() - start, 1000);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should wait for the embedded fonts and clear the timeout', function(done) {
+                var image = new Image();
+                image.decode = function() {
+                    return Promise.resolve();
+                };
+                var loaded = false;
+                var cleared = [];
+                var clearTimeout = window.clearTimeout;
+                window.clearTimeout = function(timer) {
+                    cleared.push(timer);
+                    return clearTimeout.apply(window, arguments);
+                };
+
+                domtoimage.impl.util.whenReady(image, 1000, delay(50)().then(function() {
+                        loaded = true;
+                    }))
+                    .then(function() {
+                        window.clearTimeout = clearTimeout;
+                        assert.isTrue(loaded);
+                        assert.equal(cleared.length, 1);
+                    })
+                    .then(done).catch(function(error) {
+                        window.clearTimeout = clearTimeout;
+                        done(error);
+                    });
+            });
+
+            it('should generate uids', function() {
+                var uid = domtoimage.impl.util.uid;
+                assert(uid().length >= 4);
+                assert.notEqual(uid(), uid());
+            });
+        });
+
+        describe('web fonts', function() {
+            var fontFaces = domtoimage.impl.fontFaces;
+
+            it('should read non-local font faces', function(done) {
+                loadTestPage('fonts/web-fonts/empty.html', 'fonts/web-fonts/rules.css')
+                    .then(function() {
+                        return fontFaces.impl.readAll();
+                    })
+                    /*
+                    .then(function(webFonts) {
+                        assert.equal(webFonts.length, 3);
+
+                        var sources = webFonts.map(function(webFont) {
+                            return webFont.src();
+                        });
+                        assertSomeIncludesAll(sources, ['http://fonts.com/font1.woff', 'http://fonts.com/font1.woff2']);
+                        assertSomeIncludesAll(sources, ['http://fonts.com/font2.ttf?v1.1.3']);
+                        assertSomeIncludesAll(sources, ['data:font/woff2;base64,AAA']);
+                    })
+                    */
+                    .then(pass)
+                    .then(done).catch(done);
+            });
+
+            /*
+            function assertSomeIncludesAll(haystacks, needles) {
+                assert(
+                    haystacks.some(function(haystack) {
+                        return needles.every(function(needle) {
+                            return (haystack.indexOf(needle) !== -1);
+                        });
                     }),
                     '\nnone of\n[ ' + haystacks.join('\n') + ' ]\nincludes all of \n[ ' + needles.join(', ') + ' ]'
                 );
@@ -618,6 +2208,212 @@
             */
         });
 
+        describe('aa fonts', function() {
+            var aaFonts = domtoimage.impl.aaFonts;
+
+            afterEach(function() {
+                aaFonts.unregister('test-aa');
+            });
+
+            it('should register the bundled aahub font', function() {
+                assert.include(aaFonts.names(), 'aahub');
+                assert.equal(aaFonts.get('AAHUB').format, 'woff2');
+            });
+
+            it('should read font families from the node tree', function() {
+                var node = nodeWithFont('"MS PGothic", aahub, sans-serif');
+                assert.deepEqual(aaFonts.impl.readFamilies(node), ['ms pgothic', 'aahub', 'sans-serif']);
+            });
+
+            it('should embed only referenced AA fonts', function(done) {
+                Promise.all([
+                        aaFonts.resolveAll(nodeWithFont('aahub')),
+                        aaFonts.resolveAll(nodeWithFont('serif'))
+                    ])
+                    .then(function(cssStrings) {
+                        assert.include(cssStrings[0], '@font-face { font-family: "aahub"; src: url(data:font/woff2;base64,');
+                        assert.equal(cssStrings[1], '');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should embed AA font registered from an ArrayBuffer', function(done) {
+                aaFonts.register('test-aa', new Uint8Array([0x77, 0x4f, 0x46, 0x46, 0, 0]).buffer);
+
+                aaFonts.resolveAll(nodeWithFont('test-aa'))
+                    .then(function(cssText) {
+                        assert.include(cssText, 'src: url(data:font/woff;base64,d09GRgAA) format("woff");');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should only embed AA fonts allowed by the fonts option', function(done) {
+                aaFonts.register('test-aa', 'data:font/woff2;base64,AAA');
+
+                aaFonts.resolveAll(nodeWithFont('aahub, test-aa'), ['test-aa'])
+                    .then(function(cssText) {
+                        assert.include(cssText, 'font-family: "test-aa"');
+                        assert.notInclude(cssText, 'font-family: "aahub"');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not add embedded AA fonts to the document', function(done) {
+                aaFonts.register('test-aa', aaFonts.get('aahub').source);
+
+                aaFonts.resolveAll(nodeWithFont('test-aa'))
+                    .then(function(cssText) {
+                        assert.include(cssText, 'font-family: "test-aa"');
+                        assert.isFalse(Array.from(document.fonts).some(function(face) {
+                            return face.family.replace(/"/g, '') === 'test-aa';
+                        }));
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should load the embedded faces before drawing', function(done) {
+                aaFonts.register('test-aa', aaFonts.get('aahub').source);
+                var families = [];
+                var load = FontFace.prototype.load;
+                FontFace.prototype.load = function() {
+                    families.push(this.family.replace(/"/g, ''));
+                    return load.apply(this, arguments);
+                };
+
+                var node = nodeWithFont('test-aa');
+                node.firstChild.textContent = 'AA';
+                document.body.appendChild(node);
+
+                domtoimage.toPng(node, { fonts: ['test-aa'] })
+                    .then(function() {
+                        FontFace.prototype.load = load;
+                        document.body.removeChild(node);
+                        assert.include(families, 'test-aa');
+                    })
+                    .then(done).catch(function(error) {
+                        FontFace.prototype.load = load;
+                        done(error);
+                    });
+            });
+
+            it('should report embedded faces that cannot load', function(done) {
+                aaFonts.register('test-aa', 'data:font/woff;base64,d09GRgAA');
+                var node = nodeWithFont('test-aa');
+                node.firstChild.textContent = 'AA';
+                document.body.appendChild(node);
+
+                domtoimage.toPng(node, { fonts: ['test-aa'], subsetFonts: false, report: true })
+                    .then(function(report) {
+                        document.body.removeChild(node);
+                        assert.isTrue(report.warnings.some(function(warning) {
+                            return warning.code === 'FONT_MISSING' && warning.message.indexOf('test-aa') !== -1;
+                        }));
+                    })
+                    .then(done).catch(done);
+            });
+
+            function nodeWithFont(fontFamily) {
+                var node = document.createElement('div');
+                var child = document.createElement('span');
+                child.style.fontFamily = fontFamily;
+                node.appendChild(child);
+                return node;
+            }
+        });
+
+        describe('font data', function() {
+            var fontData = domtoimage.impl.fontData;
+
+            it('should collect code points of text, input values and generated content', function() {
+                var node = document.createElement('div');
+                node.innerHTML = '<span>aB</span><input value="1"><style>p:before { content: "\u2605"; } p:after { content: \'z\'; }</style>';
+
+                assert.deepEqual(fontData.codePoints(node), [0x31, 0x41, 0x42, 0x5A, 0x61, 0x62, 0x7A, 0x2605]);
+            });
+
+            it('should write sfnt files with a valid checksum adjustment', function() {
+                var tables = {
+                    head: new Uint8Array(54),
+                    name: new Uint8Array([1, 2, 3])
+                };
+                var font = fontData.impl.writeSfnt(0x00010000, tables);
+                var view = new DataView(font.buffer);
+
+                assert.equal(view.getUint16(4), 2);
+                assert.equal(font.length % 4, 0);
+                // The whole font sums up to the magic number once head.checkSumAdjustment is set
+                var sum = 0;
+                for (var i = 0; i < font.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+                assert.equal(sum, 0xB1B0AFBA);
+            });
+
+            it('should embed the whole font when it cannot be subset', function(done) {
+                var dataUrl = 'data:font/woff2;base64,AAA';
+
+                var context = { options: { report: true }, report: { startTime: Date.now(), warnings: [], errors: [] } };
+
+                fontData.subsetDataUrl(dataUrl, [0x41])
+                    .then(function(subsetted) {
+                        assert.equal(subsetted.dataUrl, dataUrl);
+                        assert.isNull(subsetted.format);
+                        assert.instanceOf(subsetted.error, Error);
+                        return fontData.subsetCss('@font-face { src: url(' + dataUrl + ') format("woff2"); }', [0x41], context);
+                    })
+                    .then(function(cssText) {
+                        assert.equal(cssText, '@font-face { src: url(data:font/woff2;base64,AAA) format("woff2"); }');
+                        assert.equal(context.report.warnings[0].code, 'FONT_NOT_SUBSET');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should subset the aahub font to the used glyphs', function(done) {
+                if (!fontData.decompressors.brotli) return this.skip();
+                var dataUrl = domtoimage.impl.aaFonts.get('aahub').source;
+
+                Promise.all([
+                        fontData.load(dataUrl),
+                        fontData.subsetDataUrl(dataUrl, [0x3042, 0x41])
+                    ])
+                    .then(function(results) {
+                        assert.equal(results[1].format, 'truetype');
+                        assert.isBelow(results[1].dataUrl.length, dataUrl.length / 5);
+                        return Promise.all([results[0], fontData.parse(domtoimage.impl.util.decodeBase64(results[1].dataUrl.split(/,/)[1]))]);
+                    })
+                    .then(function(fonts) {
+                        var font = fonts[0];
+                        var subset = fonts[1];
+                        var glyphId = font.glyphIndex(0x3042);
+                        // The layout tables of aahub keep its glyph IDs valid
+                        assert.equal(subset.numGlyphs, font.numGlyphs);
+                        assert.deepEqual(subset.tables.GSUB, font.tables.GSUB);
+                        assert.equal(subset.glyphIndex(0x41), font.glyphIndex(0x41));
+                        assert.equal(subset.glyphIndex(0x3042), glyphId);
+                        assert.equal(subset.glyphIndex(0x42), 0);
+                        assert.equal(subset.glyph(font.glyphIndex(0x42)).length, 0);
+                        assert.equal(subset.advanceWidth(glyphId), font.advanceWidth(glyphId));
+                        assert.deepEqual(subset.glyph(glyphId), font.glyph(glyphId));
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should keep the glyphs the used ones can be substituted with', function(done) {
+                if (!fontData.decompressors.brotli) return this.skip();
+                var dataUrl = domtoimage.impl.aaFonts.get('aahub').source;
+
+                fontData.load(dataUrl)
+                    .then(function(font) {
+                        return Promise.all([font, fontData.parse(fontData.subset(font, [0x28]))]);
+                    })
+                    .then(function(fonts) {
+                        var font = fonts[0];
+                        // The rtla feature of aahub mirrors parentheses in right-to-left text
+                        assert.deepEqual(fonts[1].glyph(font.glyphIndex(0x29)), font.glyph(font.glyphIndex(0x29)));
+                        assert.equal(fonts[1].glyphIndex(0x29), 0);
+                    })
+                    .then(done).catch(done);
+            });
+        });
+
         describe('images', function() {
 
             it('should not inline images with data url', function(done) {
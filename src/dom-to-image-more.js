@@ -5,6 +5,15 @@
     var inliner = newInliner();
     var fontFaces = newFontFaces();
     var images = newImages();
+    var fontData = newFontData();
+    var aaFonts = newAaFonts();
+    var svgPaths = newSvgPaths();
+    var collections = newCollections();
+    var png = newPng();
+    var gif = newGif();
+    var colorModes = newColorModes();
+    var recognizer = newRecognizer();
+    var pdf = newPdf();
 
     // Default impl options
     var defaultOptions = {
@@ -13,19 +22,100 @@
         // Default cache bust is false, it will use the cache
         cacheBust: false,
         // Use (existing) authentication credentials for external URIs (CORS requests)
-        useCredentials: false
+        useCredentials: false,
+        // Default is the built-in fetch() based fetcher
+        fetcher: undefined,
+        // Default is no local resources, everything is fetched
+        resources: undefined,
+        // Timeout of every fetch attempt, retries after the first one and the delay before the first retry
+        fetchTimeout: 30000,
+        fetchRetries: 0,
+        fetchBackoff: 200
+    };
+
+    // Tiles of 4096x4096 fit the canvas size limits of every browser, mobile ones included
+    var MAX_TILE_SIZE = 4096;
+
+    // PDF points per CSS pixel, 72 per inch against 96
+    var PT_PER_PX = 0.75;
+
+    // Console methods logging the warnings the caller can act on when no report is requested, at the levels failed
+    // fetches and unreadable stylesheets always were. The other warnings are only reported.
+    var WARNING_LOGS = {
+        FETCH_FAILED: 'error',
+        TIMEOUT: 'error',
+        CORS_STYLESHEET: 'log',
+        FONT_MISSING: 'log',
+        TAINTED_CANVAS: 'log'
+    };
+
+    // FontFace descriptors and the @font-face properties they are read from
+    var FONT_FACE_DESCRIPTORS = {
+        weight: 'font-weight',
+        style: 'font-style',
+        stretch: 'font-stretch',
+        unicodeRange: 'unicode-range'
+    };
+
+    // PNG text chunk keywords of the options.metadata fields, Title and Author being predefined by the PNG specification
+    var PNG_TEXT_KEYWORDS = {
+        title: 'Title',
+        author: 'Author',
+        text: 'AA Text',
+        font: 'AA Font'
+    };
+
+    // Shift_JIS lead bytes of the symbol, alphanumeric, kana, Greek, Cyrillic, box drawing and NEC special character rows
+    var SJIS_NON_KANJI_ROWS = [0x81, 0x82, 0x83, 0x84, 0x87];
+
+    // Kanji commonly used in AA for their strokes, also looked for by recognizeAA besides the non-kanji Shift_JIS characters
+    var AA_KANJI = '丶丿乂亠从个冂冖冫凵几勹匚十卅厂厶又口囗夊夕大小尸山川巛工巾干幺广廾弋弓彡彳心戈斤爪父爻片王田疋白皿目矛' +
+        '矢石禾立竹米糸羊耳自臼艮虫血行衣';
+
+    // Default AA text layout, 2ch style: 16px font with 2px line spacing
+    var defaultTextOptions = {
+        font: 'aahub',
+        fontSize: 16,
+        lineSpacing: 2
     };
 
     var domtoimage = {
         toSvg: toSvg,
+        toSvgPaths: toSvgPaths,
         toPng: toPng,
         toJpeg: toJpeg,
         toBlob: toBlob,
+        toWebp: toWebp,
+        toImage: toImage,
+        canEncode: util.canEncode,
         toPixelData: toPixelData,
         toCanvas: toCanvas,
+        toTiles: toTiles,
+        toAnimation: toAnimation,
+        toPdf: toPdf,
+        fromText: fromText,
+        textToSvg: textToSvg,
+        textToSvgPaths: textToSvgPaths,
+        textToPng: textToPng,
+        textToBlob: textToBlob,
+        parseCollection: collections.parse,
+        renderCollection: renderCollection,
+        measure: measure,
+        recognizeAA: recognizeAA,
+        imageToAA: imageToAA,
+        readPngText: readPngText,
         impl: {
             fontFaces: fontFaces,
             images: images,
+            aaFonts: aaFonts,
+            fontData: fontData,
+            svgPaths: svgPaths,
+            collections: collections,
+            png: png,
+            gif: gif,
+            colorModes: colorModes,
+            recognizer: recognizer,
+            pdf: pdf,
             util: util,
             inliner: inliner,
             options: {}
@@ -51,23 +141,73 @@
      * @param {Number} options.scale - a Number multiplier to scale up the canvas before rendering to reduce fuzzy images, defaults to 1.0.
      * @param {String} options.imagePlaceholder - dataURL to use as a placeholder for failed images, default behaviour is to fail fast on images we can't fetch
      * @param {Boolean} options.cacheBust - set to true to cache bust by appending the time to the request url
+     * @param {Function} options.fetcher - function(url, {timeout, retries, backoff, useCredentials}) fetching the
+     *          external resources, should return a promise of a Blob, an ArrayBuffer or a data URL.
+     *          Defaults to the built-in fetch() based fetcher, domtoimage.impl.util.fetchResource.
+     * @param {Object} options.resources - map of URLs to data URLs, Blobs or ArrayBuffers used instead of fetching them
+     * @param {Number} options.fetchTimeout - timeout of every fetch attempt in milliseconds, defaults to 30000
+     * @param {Number} options.fetchRetries - number of retries of failed fetches, defaults to 0
+     * @param {Number} options.fetchBackoff - delay before the first retry in milliseconds, doubled for every next one, defaults to 200
+     * @param {Boolean|Object} options.autoCrop - trim raster output to the bounding box of non-background pixels,
+     *          the top left pixel's color being the background. Applies to every raster output, not to SVG.
+     * @param {Number} options.autoCrop.padding - pixels of background to keep around the bounding box, defaults to 0
+     * @param {Number} options.autoCrop.tolerance - maximum per-channel difference (0-255) still counted as background, defaults to 0
+     * @param {String|Array} options.fonts - name(s) of the registered AA fonts that may be embedded, defaults to all
+     *          registered fonts. Only the fonts referenced by the node's computed font-family are embedded.
+     * @param {Boolean} options.subsetFonts - set to false to embed whole fonts instead of subsets with just the glyphs
+     *          of the node's text, defaults to true. Fonts that cannot be subset are always embedded whole.
+     * @param {Number} options.readyTimeout - maximum time in milliseconds to wait for the embedded fonts and images
+     *          to be decoded before drawing the SVG on the canvas, defaults to 3000.
+     * @param {String} options.colorMode - 'grayscale', '1bit' (black and white, transparency flattened on white) or 'palette',
+     *          to reduce the colors of raster output. PNG output is then written as a grayscale, 1-bit or indexed file.
+     * @param {String} options.dither - how 1bit and palette colors are picked: 'threshold' (default), 'ordered' or 'floyd-steinberg'
+     * @param {Number} options.threshold - luminance (0-255) from which 1bit pixels turn white, defaults to 128
+     * @param {Number} options.colors - maximum number of palette colors (2-256), transparency included, defaults to 256
+     * @param {Boolean|Object} options.metadata - set to write PNG and blob output metadata into iTXt chunks, true
+     *          to write the node's text and AA font only, @see {@link readPngText}
+     * @param {String} options.metadata.title - the title
+     * @param {String} options.metadata.author - the author
+     * @param {String} options.metadata.text - the source text, defaults to the node's text
+     * @param {String} options.metadata.font - the AA font name, defaults to the first registered AA font of the node
+     * @param {String} options.scroll - 'preserve' to render the descendants scrolled as they are on screen, 'expand' to render
+     *          every scroller at its full content size. By default they render scrolled to the top.
+     * @param {Function} options.redrawCanvas - function(canvas) re-drawing a canvas, or returning a promise of it, right before
+     *          it is read. WebGL canvases without preserveDrawingBuffer are blank unless they are re-drawn or animated.
+     * @param {Function} options.renderFrame - function(iframe) returning an image data URL, or a promise of one, of a cross-origin frame.
+     *          Same-origin frames are rendered like the node itself.
+     * @param {String} options.framePlaceholder - dataURL to use as a placeholder for cross-origin frames renderFrame does not render,
+     *          which are left empty by default
+     * @param {Function} options.resolveShadowRoot - function(element) returning the closed shadow root of the element, if any.
+     *          Open shadow roots are rendered in place of the children of their host, with slots showing their assigned nodes.
+     * @param {Boolean} options.stitch - set to false to reject with CANVAS_TOO_LARGE instead of stitching PNG, blob and pixel data
+     *          output from tiles when it exceeds the browser canvas size limit. Other raster output always rejects, @see {@link toTiles}
+     * @param {Boolean} options.report - set to true to fulfill with a {result, warnings, errors, duration} report
+     *          instead of the bare result. Failures are then reported in errors instead of rejecting.
+     * @param {Boolean} options.strict - set to true to reject on the first warning
      * @return {Promise} - A promise that is fulfilled with a SVG image data URL
      * */
     function toSvg(node, options) {
-        options = options || {};
-        copyOptions(options);
+        return render(options, function(context) {
+            return makeSvg(node, context);
+        });
+    }
+
+    function makeSvg(node, context) {
+        var options = context.options;
         return Promise.resolve(node)
             .then(function(node) {
-                return cloneNode(node, options.filter, true);
+                return cloneNode(node, context, true);
+            })
+            .then(function(clone) {
+                return embedFonts(clone, context);
+            })
+            .then(function(clone) {
+                return inlineImages(clone, context);
             })
-            .then(embedFonts)
-            .then(inlineImages)
             .then(applyOptions)
             .then(function(clone) {
-                return makeSvgDataUri(clone,
-                    options.width || util.width(node),
-                    options.height || util.height(node)
-                );
+                var size = nodeSize(node, context);
+                return makeSvgDataUri(clone, size.width, size.height);
             });
 
         function applyOptions(clone) {
@@ -84,21 +224,55 @@
         }
     }
 
+    /**
+     * Converts the node to pure SVG, without <foreignObject>: backgrounds and borders become rectangles and the text
+     * in registered AA fonts becomes the glyph outlines, so it renders the same without the font and outside browsers.
+     * It works from the node's live layout, the node has to be attached to the document.
+     * @param {Node} node - The DOM Node object to render
+     * @param {Object} options - Rendering options, @see {@link toSvg}. Only filter, bgcolor, width, height and fonts apply.
+     * @return {Promise} - A promise that is fulfilled with a SVG image data URL
+     * */
+    function toSvgPaths(node, options) {
+        return render(options, function(context) {
+            return svgPaths.render(node, context)
+                .then(function(svg) {
+                    return 'data:image/svg+xml;charset=utf-8,' + util.escapeXhtml(svg);
+                });
+        });
+    }
+
     /**
      * @param {Node} node - The DOM Node object to render
      * @param {Object} options - Rendering options, @see {@link toSvg}
-     * @return {Promise} - A promise that is fulfilled with a Uint8Array containing RGBA pixel data.
+     * @return {Promise} - A promise that is fulfilled with a Uint8Array containing RGBA pixel data,
+     *          or with {data, width, height} of the cropped image when options.autoCrop is set.
      * */
     function toPixelData(node, options) {
-        return draw(node, options || {})
-            .then(function(canvas) {
-                return canvas.getContext('2d').getImageData(
-                    0,
-                    0,
-                    util.width(node),
-                    util.height(node)
-                ).data;
-            });
+        return render(options, function(context) {
+            return draw(node, context)
+                .then(function(canvas) {
+                    return pixelData(canvas, context);
+                }, function(error) {
+                    return stitchWhenTooLarge(error, node, context)
+                        .then(function(image) {
+                            return context.options.autoCrop ? image : image.data;
+                        });
+                });
+        });
+
+        function pixelData(canvas, context) {
+            var options = context.options;
+            if (options.autoCrop) {
+                return {
+                    data: canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data,
+                    width: canvas.width,
+                    height: canvas.height
+                };
+            }
+
+            var size = nodeSize(node, context);
+            return canvas.getContext('2d').getImageData(0, 0, size.width, size.height).data;
+        }
     }
 
     /**
@@ -107,10 +281,28 @@
      * @return {Promise} - A promise that is fulfilled with a PNG image data URL
      * */
     function toPng(node, options) {
-        return draw(node, options || {})
-            .then(function(canvas) {
-                return canvas.toDataURL();
-            });
+        return render(options, function(context) {
+            return draw(node, context)
+                .then(function(canvas) {
+                    return pngDataUrl(canvas, context.options);
+                }, function(error) {
+                    return stitchWhenTooLarge(error, node, context)
+                        .then(function(image) {
+                            // The browser base64 encodes blobs of stitched sizes far cheaper than encodeBase64
+                            return util.encodeResource(new Blob([png.encode(image, context.options.colorMode)], {
+                                type: 'image/png'
+                            }));
+                        })
+                        .then(function(content) {
+                            return util.dataAsUrl(content, 'image/png');
+                        });
+                })
+                .then(function(dataUrl) {
+                    var text = pngText(node, context.options);
+                    if (!text) return dataUrl;
+                    return util.dataAsUrl(util.encodeBase64(png.writeText(util.decodeBase64(dataUrl.split(',')[1]), text)), 'image/png');
+                });
+        });
     }
 
     /**
@@ -119,21 +311,189 @@
      * @return {Promise} - A promise that is fulfilled with a JPEG image data URL
      * */
     function toJpeg(node, options) {
-        options = options || {};
-        return draw(node, options)
-            .then(function(canvas) {
-                return canvas.toDataURL('image/jpeg', options.quality || 1.0);
-            });
+        return render(options, function(context) {
+            return draw(node, context)
+                .then(function(canvas) {
+                    return canvas.toDataURL('image/jpeg', context.options.quality || 1.0);
+                });
+        });
+    }
+
+    /**
+     * @param {Node} node - The DOM Node object to render
+     * @param {Object} options - Rendering options, @see {@link toImage}
+     * @return {Promise} - A promise that is fulfilled with a WebP image data URL
+     * */
+    function toWebp(node, options) {
+        return render(Object.assign({}, options, { mimeType: 'image/webp' }), function(context) {
+            return draw(node, context)
+                .then(function(canvas) {
+                    return encodeCanvas(canvas, context);
+                })
+                .then(function(blob) {
+                    return util.encodeResource(blob)
+                        .then(function(content) {
+                            return util.dataAsUrl(content, blob.type);
+                        });
+                });
+        });
     }
 
     /**
+     * Renders the node as an image of any type the browser can encode canvases as.
      * @param {Node} node - The DOM Node object to render
      * @param {Object} options - Rendering options, @see {@link toSvg}
-     * @return {Promise} - A promise that is fulfilled with a PNG image blob
+     * @param {String} options.mimeType - MIME type of the image, e.g. 'image/webp' or 'image/avif', defaults to 'image/png'
+     * @param {Number} options.quality - a Number between 0 and 1 indicating image quality of lossy types, defaults to the browser's
+     * @param {String|Array} options.fallback - MIME type(s) to try in turn when the browser cannot encode options.mimeType,
+     *          each one reported as an UNSUPPORTED_IMAGE_TYPE warning. Rejects with UNSUPPORTED_IMAGE_TYPE when none can be encoded.
+     * @return {Promise} - A promise that is fulfilled with an image blob of the type it was encoded as
+     * */
+    function toImage(node, options) {
+        return render(options, function(context) {
+            return draw(node, context)
+                .then(function(canvas) {
+                    return encodeCanvas(canvas, context);
+                });
+        });
+    }
+
+    /**
+     * Browsers encode types they do not support as PNG instead of failing, so the type of the blob tells whether it was honored.
+     * @param {HTMLCanvasElement} canvas - The canvas to encode
+     * @param {Object} context - The render context
+     * @return {Promise} - A promise that is fulfilled with a blob of options.mimeType, or of the first options.fallback type encoded
+     * */
+    function encodeCanvas(canvas, context) {
+        var options = context.options;
+        var types = [options.mimeType || 'image/png'].concat(options.fallback || []);
+
+        return encode(0);
+
+        function encode(index) {
+            if (index === types.length) {
+                return Promise.reject(renderError(newReportEntry(context, 'UNSUPPORTED_IMAGE_TYPE',
+                    'the browser cannot encode images as ' + types.join(' or '))));
+            }
+
+            return util.canvasToBlob(canvas, types[index], options.quality)
+                .then(function(blob) {
+                    if (!blob || blob.type !== types[index]) return encode(index + 1);
+
+                    if (index > 0) {
+                        reportWarning(context, 'UNSUPPORTED_IMAGE_TYPE', 'the browser cannot encode images as ' +
+                            types.slice(0, index).join(' or ') + ', encoded as ' + types[index] + ' instead');
+                    }
+                    return blob;
+                });
+        }
+    }
+
+    /**
+     * @param {Node} node - The DOM Node object to render
+     * @param {Object} options - Rendering options, @see {@link toSvg}
+     * @return {Promise} - A promise that is fulfilled with a PNG image blob, @see {@link toImage} for other types
      * */
     function toBlob(node, options) {
-        return draw(node, options || {})
-            .then(util.canvasToBlob);
+        return render(options, function(context) {
+            return draw(node, context)
+                .then(function(canvas) {
+                    return pngBlob(canvas, context.options);
+                }, function(error) {
+                    return stitchWhenTooLarge(error, node, context)
+                        .then(function(image) {
+                            return new Blob([png.encode(image, context.options.colorMode)], {
+                                type: 'image/png'
+                            });
+                        });
+                })
+                .then(function(blob) {
+                    var text = pngText(node, context.options);
+                    if (!text) return blob;
+                    return util.encodeResource(blob)
+                        .then(function(content) {
+                            return new Blob([png.writeText(util.decodeBase64(content), text)], {
+                                type: 'image/png'
+                            });
+                        });
+                });
+        });
+    }
+
+    /**
+     * Reads the options.metadata of toPng and toBlob back from a PNG file.
+     * @param {Blob|ArrayBuffer|Uint8Array|String} source - The PNG file, or its data URL
+     * @return {Promise} - A promise that is fulfilled with {title, author, text, font, keywords}, keywords mapping every
+     *          tEXt, zTXt and iTXt keyword of the file to its text, the other fields being undefined when missing
+     * */
+    function readPngText(source) {
+        return util.encodeResource(source)
+            .then(function(content) {
+                return png.readText(util.decodeBase64(content));
+            })
+            .then(function(keywords) {
+                var metadata = {};
+                Object.keys(PNG_TEXT_KEYWORDS).forEach(function(field) {
+                    metadata[field] = keywords[PNG_TEXT_KEYWORDS[field]];
+                });
+                metadata.keywords = keywords;
+                return metadata;
+            });
+    }
+
+    function pngText(node, options) {
+        if (!options.metadata) return null;
+
+        var metadata = Object.assign({
+            text: node.innerText || node.textContent,
+            font: nodeLayout(node, {}).font
+        }, options.metadata);
+        var text = {};
+        Object.keys(PNG_TEXT_KEYWORDS).forEach(function(field) {
+            if (metadata[field]) text[PNG_TEXT_KEYWORDS[field]] = String(metadata[field]);
+        });
+        return text;
+    }
+
+    /**
+     * Renders the node as a series of tiles, for nodes exceeding the browser canvas size limit.
+     * @param {Node} node - The DOM Node object to render
+     * @param {Object} options - Rendering options, @see {@link toSvg}
+     * @param {Number} options.maxTileWidth - maximum tile width in canvas pixels, defaults to 4096
+     * @param {Number} options.maxTileHeight - maximum tile height in canvas pixels, defaults to 4096
+     * @param {String} options.type - 'canvas' (default), 'blob' or 'png' (data URL)
+     * @return {Promise} - A promise that is fulfilled with an array of {x, y, width, height, result} tiles in rows from the
+     *          top left, x and y being the offsets of the tile in canvas pixels
+     * */
+    function toTiles(node, options) {
+        return render(options, function(context) {
+            var outputs = {
+                canvas: function(canvas) {
+                    return canvas;
+                },
+                blob: pngBlob,
+                png: pngDataUrl
+            };
+            var output = outputs[context.options.type || 'canvas'];
+            if (!output) throw new Error('unsupported tile output type: ' + context.options.type);
+
+            return drawTiles(node, context, function(canvas, region) {
+                // Tiles are reduced one by one, error diffusion and palettes do not carry over from one to the next
+                if (context.options.colorMode) reduceColors(canvas, context.options);
+                return Promise.resolve(output(canvas, context.options))
+                    .then(function(result) {
+                        // Only canvas tiles are kept, the others are released one by one
+                        if (result !== canvas) canvas.width = canvas.height = 0;
+                        return {
+                            x: region.x,
+                            y: region.y,
+                            width: region.width,
+                            height: region.height,
+                            result: result
+                        };
+                    });
+            });
+        });
     }
 
     /**
@@ -142,669 +502,6243 @@
      * @return {Promise} - A promise that is fulfilled with a canvas object
      * */
     function toCanvas(node, options) {
-        return draw(node, options || {});
+        return render(options, function(context) {
+            return draw(node, context);
+        });
     }
 
-    function copyOptions(options) {
-        // Copy options to impl options for use in impl
-        if (typeof(options.imagePlaceholder) === 'undefined') {
-            domtoimage.impl.options.imagePlaceholder = defaultOptions.imagePlaceholder;
-        } else {
-            domtoimage.impl.options.imagePlaceholder = options.imagePlaceholder;
-        }
+    /**
+     * @param {Array} frames - DOM nodes and AA texts (strings or encoded bytes, @see {@link fromText}) to render as the frames
+     * @param {Object} options - Rendering options, @see {@link toSvg}, and the text layout options of AA frames, @see {@link fromText}
+     * @param {String} options.format - 'gif' (default) or 'apng'. GIF frames are quantized to 256 colors.
+     * @param {Number|Array} options.delays - display time of every frame in milliseconds, or of each one, defaults to 100
+     * @param {Number} options.loop - number of times to play the animation, 0 (default) loops forever
+     * @return {Promise} - A promise that is fulfilled with an image/gif or image/apng Blob, sized to the largest frame
+     * */
+    function toAnimation(frames, options) {
+        return render(options, function(context) {
+            var options = context.options;
+            var encoders = {
+                gif: gif.encode,
+                apng: png.encodeAnimation
+            };
+            var format = (options.format || 'gif').toLowerCase();
+            if (!encoders[format]) throw new Error('unsupported animation format: ' + options.format);
+            if (!frames || !frames.length) throw new Error('an animation needs at least one frame');
 
-        if (typeof(options.cacheBust) === 'undefined') {
-            domtoimage.impl.options.cacheBust = defaultOptions.cacheBust;
-        } else {
-            domtoimage.impl.options.cacheBust = options.cacheBust;
-        }
+            var canvases = [];
+            var done = Promise.resolve();
+            frames.forEach(function(frame) {
+                done = done
+                    .then(function() {
+                        return drawFrame(frame, context);
+                    })
+                    .then(function(canvas) {
+                        canvases.push(canvas);
+                    });
+            });
 
-        if(typeof(options.useCredentials) === 'undefined') {
-            domtoimage.impl.options.useCredentials = defaultOptions.useCredentials;
-        } else {
-            domtoimage.impl.options.useCredentials = options.useCredentials;
-        }
+            return done.then(function() {
+                var bytes = encoders[format](animationFrames(canvases, options), {
+                    loop: options.loop || 0
+                });
+                return new Blob([bytes], {
+                    type: 'image/' + format
+                });
+            });
+        });
     }
 
-    function draw(domNode, options) {
-        return toSvg(domNode, options)
-            .then(util.makeImage)
-            .then(util.delay(100))
-            .then(function(image) {
-                var scale = typeof(options.scale) !== 'number' ? 1 : options.scale;
-                var canvas = newCanvas(domNode, scale);
-                var ctx = canvas.getContext('2d');
-                if (image) {
-                    ctx.scale(scale, scale);
-                    ctx.drawImage(image, 0, 0);
-                }
-                return canvas;
-            });
+    function drawFrame(frame, context) {
+        if (frame instanceof Node) return draw(frame, context);
 
-        function newCanvas(domNode, scale) {
-            var canvas = document.createElement('canvas');
-            canvas.width = (options.width || util.width(domNode)) * scale;
-            canvas.height = (options.height || util.height(domNode)) * scale;
+        return renderText(frame, context.options, function(node, options) {
+            return draw(node, Object.assign({}, context, {
+                options: options
+            }));
+        });
+    }
 
+    // Frames smaller than the largest one are drawn at its top left corner
+    function animationFrames(canvases, options) {
+        var width = Math.max.apply(null, canvases.map(function(canvas) {
+            return canvas.width;
+        }));
+        var height = Math.max.apply(null, canvases.map(function(canvas) {
+            return canvas.height;
+        }));
+
+        return canvases.map(function(canvas, index) {
+            var frame = document.createElement('canvas');
+            frame.width = width;
+            frame.height = height;
+            var ctx = frame.getContext('2d');
             if (options.bgcolor) {
-                var ctx = canvas.getContext('2d');
                 ctx.fillStyle = options.bgcolor;
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.fillRect(0, 0, width, height);
             }
+            if (canvas.width && canvas.height) ctx.drawImage(canvas, 0, 0);
 
-            return canvas;
-        }
+            var delay = Array.isArray(options.delays) ? options.delays[index] : options.delays;
+            return {
+                data: ctx.getImageData(0, 0, width, height).data,
+                width: width,
+                height: height,
+                delay: typeof(delay) === 'number' ? delay : 100
+            };
+        });
     }
 
-    function cloneNode(node, filter, root) {
-        if (!root && filter && !filter(node)) return Promise.resolve();
+    /**
+     * Makes a PDF of the nodes, one or more pages each. Text in registered AA fonts is embedded as real, selectable text
+     * with the font, backgrounds and borders are drawn as vectors. Pages with content that cannot be expressed like that
+     * (images, canvases, form controls, shadows, other fonts...) are embedded as the raster draw() renders, with the text
+     * laid over it invisibly to keep it selectable. Nodes taller than a page are split at the lines of their text.
+     * @param {Node|Array} nodes - The DOM nodes and AA texts (strings or encoded bytes, @see {@link fromText}) to print
+     * @param {Object} options - Rendering options, @see {@link toSvg}, and the text layout options of AA texts, @see {@link fromText}
+     * @param {String|Array} options.pageSize - 'a4' (default), 'a3', 'a5', 'b4', 'b5' (JIS), 'isoB4', 'isoB5', 'letter', 'legal', [width, height]
+     *          in points, or 'fit' for pages the size of each node
+     * @param {Number|Object} options.margins - page margin in points, or {top, right, bottom, left} ones, defaults to 36.
+     *          Nodes wider than the space between the margins are scaled down to fit.
+     * @param {String} options.raster - 'auto' (default) embeds pages as raster only when needed, 'always' and 'never' force it
+     * @param {String} options.title - The document title
+     * @return {Promise} - A promise that is fulfilled with an application/pdf Blob
+     * */
+    function toPdf(nodes, options) {
+        return render(options, function(context) {
+            var sources = [].concat(nodes);
+            if (!sources.length) throw new Error('a PDF needs at least one node');
 
-        return Promise.resolve(node)
-            .then(makeNodeCopy)
-            .then(function(clone) {
-                return cloneChildren(node, clone, filter);
-            })
-            .then(function(clone) {
-                return processClone(node, clone);
+            var pdfDocument = pdf.newDocument({
+                title: context.options.title
             });
+            return sources.reduce(function(done, source) {
+                    return done.then(function() {
+                        if (source instanceof Node) return addPdfPages(pdfDocument, source, context);
 
-        function makeNodeCopy(node) {
-            if (node instanceof HTMLCanvasElement) return util.makeImage(node.toDataURL());
-            return node.cloneNode(false);
-        }
-
-        function cloneChildren(original, clone, filter) {
-            var children = original.childNodes;
-            if (children.length === 0) return Promise.resolve(clone);
-
-            return cloneChildrenInOrder(clone, util.asArray(children), filter)
+                        return renderText(source, context.options, function(node, options) {
+                            return addPdfPages(pdfDocument, node, Object.assign({}, context, {
+                                options: options
+                            }));
+                        });
+                    });
+                }, Promise.resolve())
                 .then(function() {
-                    return clone;
+                    return new Blob([pdfDocument.toBytes()], {
+                        type: 'application/pdf'
+                    });
                 });
+        });
+    }
 
-            function cloneChildrenInOrder(parent, children, filter) {
-                var done = Promise.resolve();
-                children.forEach(function(child) {
-                    done = done
-                        .then(function() {
-                            return cloneNode(child, filter);
-                        })
-                        .then(function(childClone) {
-                            if (childClone) parent.appendChild(childClone);
+    function addPdfPages(pdfDocument, domNode, context) {
+        var options = context.options;
+        var items = svgPaths.impl.layout(domNode, options, true);
+        var fontNames = [];
+        items.forEach(function(item) {
+            if (item.font && fontNames.indexOf(item.font) === -1) fontNames.push(item.font);
+        });
+
+        return Promise.all(
+                fontNames.map(function(name) {
+                    return aaFonts.outlines(name, context)
+                        .catch(function(error) {
+                            reportWarning(context, 'FONT_MISSING', 'cannot embed AA font in PDF: ' + name + ', ' + error.message);
+                            return null;
                         });
+                })
+            )
+            .then(function(fonts) {
+                var fontIndexes = {};
+                fontNames.forEach(function(name, index) {
+                    if (fonts[index] && fonts[index].tables.glyf) fontIndexes[name] = {
+                        index: pdfDocument.addFont(fonts[index], name),
+                        font: fonts[index]
+                    };
                 });
-                return done;
-            }
-        }
 
-        function processClone(original, clone) {
-            if (!(clone instanceof Element)) return clone;
+                var raster = options.raster === 'always' ||
+                    (options.raster !== 'never' && (needsRaster(domNode, options) || !expressible(items, fontIndexes)));
+                return (raster ? loadImage(domNode, context) : Promise.resolve(null))
+                    .then(function(image) {
+                        drawPdfPages(pdfDocument, domNode, context, items, fontIndexes, image);
+                    });
+            });
+    }
 
-            return Promise.resolve()
-                .then(cloneStyle)
-                .then(clonePseudoElements)
-                .then(copyUserInput)
-                .then(fixSvg)
-                .then(function() {
-                    return clone;
-                });
+    function drawPdfPages(pdfDocument, domNode, context, items, fontIndexes, image) {
+        var options = context.options;
+        var box = nodeSize(domNode, context);
+        var width = box.width;
+        var height = box.height;
+        var margins = pdf.margins(options.margins);
+        var pageSize = pdf.pageSize(options.pageSize, width * PT_PER_PX + margins.left + margins.right,
+            height * PT_PER_PX + margins.top + margins.bottom);
+        var contentWidth = pageSize[0] - margins.left - margins.right;
+        var contentHeight = pageSize[1] - margins.top - margins.bottom;
+        // Points per CSS pixel, nodes wider than the page are scaled down
+        var scale = Math.min(PT_PER_PX, contentWidth / width);
+        var size = canvasSize(domNode, context);
 
-            function cloneStyle() {
-                let source, target;
-                copyStyle(window.getComputedStyle(original), clone.style);
+        pageSlices(items, height, contentHeight / scale).forEach(function(slice) {
+            var page = pdfDocument.addPage(pageSize[0], pageSize[1]);
 
-                function copyStyle(source, target) {
-                    target.fontStretch == '';
-                    if (source.cssText) {
-                        target.cssText = source.cssText;
-                          target.font = source.font; // here, we re-assign the font prop.
-                    } else copyProperties(source, target);
-                    target.fontStretch = 'normal';
+            if (image) {
+                var region = {
+                    x: 0,
+                    y: Math.floor(slice.top * size.scale),
+                    width: size.width,
+                    height: Math.max(1, Math.min(size.height - Math.floor(slice.top * size.scale), Math.ceil(slice.height * size.scale)))
+                };
+                var canvas = util.newCanvas(region.width, region.height);
+                if (!canvas) throw canvasTooLarge(context, region);
 
-                    function copyProperties(source, target) {
-                        util.asArray(source).forEach(function(name) {
-                            target.setProperty(
-                                name,
-                                source.getPropertyValue(name),
-                                source.getPropertyPriority(name)
-                            );
-                        });
-                    }
-                }
+                drawRegion(canvas, image, options, region, size.scale);
+                page.drawImage(canvas.getContext('2d').getImageData(0, 0, region.width, region.height),
+                    margins.left, margins.top, width * scale, region.height / size.scale * scale);
+                canvas.width = canvas.height = 0;
+            } else if (options.bgcolor) {
+                page.fillRect(margins.left, margins.top, width * scale, slice.height * scale, options.bgcolor);
             }
 
-            function clonePseudoElements() {
-                [':before', ':after'].forEach(function(element) {
-                    clonePseudoElement(element);
+            items.forEach(function(item) {
+                if (item.type === 'rect') {
+                    if (image) return;
+                    var top = Math.max(item.y, slice.top);
+                    var bottom = Math.min(item.y + item.height, slice.top + slice.height);
+                    if (bottom > top) page.fillRect(margins.left + item.x * scale, margins.top + (top - slice.top) * scale,
+                        item.width * scale, (bottom - top) * scale, item.color);
+                    return;
+                }
+
+                var font = fontIndexes[item.font];
+                if (!font) return;
+                var ascent = font.font.ascender / (font.font.ascender - font.font.descender);
+                var characters = item.characters.filter(function(character) {
+                    return (character.top >= slice.top || slice.top === 0) && character.top < slice.top + slice.height &&
+                        font.font.glyphIndex(character.text.codePointAt(0));
+                }).map(function(character) {
+                    return {
+                        text: character.text,
+                        x: margins.left + character.x * scale,
+                        y: margins.top + (character.top + character.height * ascent - slice.top) * scale
+                    };
                 });
+                if (characters.length) page.showText(font.index, item.size * scale, item.color, characters, !!image);
+            });
+        });
+    }
 
-                function clonePseudoElement(element) {
-                    var style = window.getComputedStyle(original, element);
-                    var content = style.getPropertyValue('content');
+    // Splits the node into page high slices, moving the breaks up to the top of the text lines they would cut through
+    function pageSlices(items, height, sliceHeight) {
+        var characters = [];
+        items.forEach(function(item) {
+            if (item.type === 'text') characters = characters.concat(item.characters);
+        });
 
-                    if (content === '' || content === 'none') return;
+        var slices = [];
+        var top = 0;
+        while (height - top > sliceHeight) {
+            var bottom = lineBreakAbove(characters, top, top + sliceHeight);
+            slices.push({
+                top: top,
+                height: bottom - top
+            });
+            top = bottom;
+        }
+        slices.push({
+            top: top,
+            height: height - top
+        });
+        return slices;
+    }
 
-                    var className = util.uid();
-                    var currentClass = clone.getAttribute('class');
-                    if (currentClass) {
-                        clone.setAttribute('class', currentClass + ' ' + className);
-                    }
+    function lineBreakAbove(characters, top, bottom) {
+        var moved = true;
+        while (moved) {
+            moved = false;
+            for (var i = 0; i < characters.length; i++) {
+                var character = characters[i];
+                if (character.top > top && character.top < bottom && character.top + character.height > bottom) {
+                    bottom = character.top;
+                    moved = true;
+                }
+            }
+        }
+        return bottom;
+    }
 
-                    var styleElement = document.createElement('style');
-                    styleElement.appendChild(formatPseudoElementStyle(className, element, style));
-                    clone.appendChild(styleElement);
+    // Text in AA fonts with outlines for all its visible characters can be embedded as text
+    function expressible(items, fontIndexes) {
+        return items.every(function(item) {
+            if (item.type !== 'text') return true;
 
-                    function formatPseudoElementStyle(className, element, style) {
-                        var selector = '.' + className + ':' + element;
-                        var cssText = style.cssText ? formatCssText(style) : formatCssProperties(style);
-                        return document.createTextNode(selector + '{' + cssText + '}');
+            var font = fontIndexes[item.font];
+            return font && item.characters.every(function(character) {
+                return /^\s$/.test(character.text) || font.font.glyphIndex(character.text.codePointAt(0));
+            });
+        });
+    }
 
-                        function formatCssText(style) {
-                            var content = style.getPropertyValue('content');
-                            return style.cssText + ' content: ' + content + ';';
-                        }
+    function needsRaster(domNode, options) {
+        var RASTER_ONLY = /^(IMG|PICTURE|CANVAS|SVG|VIDEO|IFRAME|OBJECT|EMBED|INPUT|TEXTAREA|SELECT)$/;
+        var NONE = {
+            'background-image': 'none',
+            'box-shadow': 'none',
+            'text-shadow': 'none',
+            'transform': 'none',
+            'filter': 'none',
+            'opacity': '1',
+            'border-top-left-radius': '0px',
+            'border-top-right-radius': '0px',
+            'border-bottom-left-radius': '0px',
+            'border-bottom-right-radius': '0px'
+        };
 
-                        function formatCssProperties(style) {
+        return check(domNode, true);
 
-                            return util.asArray(style)
-                                .map(formatProperty)
-                                .join('; ') + ';';
+        function check(node, root) {
+            if (!(node instanceof Element) || (!root && options.filter && !options.filter(node))) return false;
+            if (RASTER_ONLY.test(node.tagName.toUpperCase())) return true;
 
-                            function formatProperty(name) {
-                                return name + ': ' +
-                                    style.getPropertyValue(name) +
-                                    (style.getPropertyPriority(name) ? ' !important' : '');
-                            }
-                        }
-                    }
-                }
-            }
+            var style = window.getComputedStyle(node);
+            if (style.getPropertyValue('display') === 'none') return false;
+            var styled = Object.keys(NONE).some(function(property) {
+                var value = style.getPropertyValue(property);
+                return value && value !== NONE[property];
+            });
+            var generated = [':before', ':after'].some(function(element) {
+                var content = window.getComputedStyle(node, element).getPropertyValue('content');
+                return content && content !== 'none' && content !== 'normal';
+            });
 
-            function copyUserInput() {
-                if (original instanceof HTMLTextAreaElement) clone.innerHTML = original.value;
-                if (original instanceof HTMLInputElement) clone.setAttribute("value", original.value);
-            }
+            return styled || generated || composedChildren(node, options).some(function(child) {
+                return check(child);
+            });
+        }
+    }
 
-            function fixSvg() {
-                if (!(clone instanceof SVGElement)) return;
-                clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    /**
+     * @param {String|ArrayBuffer|Uint8Array} text - The Shift_JIS art to render, as a string or as encoded bytes
+     * @param {Object} options - Rendering options, @see {@link toSvg}, plus the text layout options
+     * @param {String} options.encoding - encoding of byte input: 'shift_jis', 'cp932', 'euc-jp', 'utf-8' or 'auto' (default)
+     * @param {String} options.font - name of the registered AA font to lay the text out with, defaults to 'aahub'
+     * @param {Number} options.fontSize - font size in pixels, defaults to 16
+     * @param {Number} options.lineSpacing - space between lines in pixels, defaults to 2
+     * @param {String} options.color - text color, any valid CSS color value
+     * @param {Number} options.padding - padding around the text in pixels, defaults to 0
+     * @return {Promise} - A promise that is fulfilled with a canvas object
+     * */
+    function fromText(text, options) {
+        return reportedText(text, options, toCanvas);
+    }
 
-                if (!(clone instanceof SVGRectElement)) return;
-                ['width', 'height'].forEach(function(attribute) {
+    /**
+     * @param {String|ArrayBuffer|Uint8Array} text - The Shift_JIS art to render, @see {@link fromText}
+     * @param {Object} options - Rendering options, @see {@link fromText}
+     * @return {Promise} - A promise that is fulfilled with a SVG image data URL
+     * */
+    function textToSvg(text, options) {
+        return reportedText(text, options, toSvg);
+    }
+
+    /**
+     * @param {String|ArrayBuffer|Uint8Array} text - The Shift_JIS art to render, @see {@link fromText}
+     * @param {Object} options - Rendering options, @see {@link fromText}
+     * @return {Promise} - A promise that is fulfilled with a SVG image data URL of the glyph outlines, @see {@link toSvgPaths}
+     * */
+    function textToSvgPaths(text, options) {
+        return reportedText(text, options, toSvgPaths);
+    }
+
+    /**
+     * @param {String|ArrayBuffer|Uint8Array} text - The Shift_JIS art to render, @see {@link fromText}
+     * @param {Object} options - Rendering options, @see {@link fromText}
+     * @return {Promise} - A promise that is fulfilled with a PNG image data URL
+     * */
+    function textToPng(text, options) {
+        return reportedText(text, options, toPng);
+    }
+
+    /**
+     * @param {String|ArrayBuffer|Uint8Array} text - The Shift_JIS art to render, @see {@link fromText}
+     * @param {Object} options - Rendering options, @see {@link fromText}
+     * @return {Promise} - A promise that is fulfilled with a PNG image blob
+     * */
+    function textToBlob(text, options) {
+        return reportedText(text, options, toBlob);
+    }
+
+    /**
+     * @param {Array|String|ArrayBuffer|Uint8Array} entries - {title, text} entries, or a MLT/AST collection file to parse
+     * @param {Object} options - Rendering options, @see {@link fromText}
+     * @param {String} options.type - 'png' (default), 'svg', 'svgPaths' or 'blob'
+     * @param {String} options.format - collection file format when entries is a file, @see {@link newCollections}
+     * @return {Promise} - A promise that is fulfilled with an array of {title, text, result} entries, one per rendered AA
+     * */
+    function renderCollection(entries, options) {
+        options = options || {};
+        var renderers = {
+            png: textToPng,
+            svg: textToSvg,
+            svgPaths: textToSvgPaths,
+            blob: textToBlob
+        };
+        var renderEntry = renderers[options.type || 'png'];
+        if (!renderEntry) return Promise.reject(new Error('unsupported collection output type: ' + options.type));
+
+        return Promise.resolve(entries)
+            .then(function(entries) {
+                return Array.isArray(entries) ? entries : collections.parse(entries, options);
+            })
+            .then(renderAll, function(error) {
+                // Reported like a failed render when a report is requested
+                return render(options, function() {
+                    throw error;
+                });
+            });
+
+        function renderAll(entries) {
+            var rendered = [];
+            var done = Promise.resolve();
+            entries.forEach(function(entry) {
+                done = done
+                    .then(function() {
+                        return renderEntry(entry.text, entryOptions(entry));
+                    })
+                    .then(function(result) {
+                        rendered.push({
+                            title: entry.title,
+                            text: entry.text,
+                            result: result
+                        });
+                    });
+            });
+            return done.then(function() {
+                return rendered;
+            });
+        }
+
+        // Entry titles are the default metadata titles
+        function entryOptions(entry) {
+            if (!options.metadata || !entry.title) return options;
+            return Object.assign({}, options, {
+                metadata: Object.assign({ title: entry.title }, options.metadata)
+            });
+        }
+    }
+
+    /**
+     * @param {String|Node} textOrNode - The AA text, or a DOM Node whose text is measured with its computed font
+     * @param {Object} options - Text layout options, @see {@link fromText}
+     * @return {Promise} - A promise that is fulfilled with the dot widths of every line, the widest line,
+     *          and the bounding width and height, which can be passed as options.width and options.height
+     * */
+    function measure(textOrNode, options) {
+        options = options || {};
+        var layout = textOrNode instanceof Node ? nodeLayout(textOrNode, options) : textLayout(options);
+        var text = textOrNode instanceof Node ? textOrNode.innerText || textOrNode.textContent : textOrNode;
+
+        return Promise.resolve(text)
+            .then(function(source) {
+                text = decodedText(source, options);
+                return aaFonts.load(layout.font);
+            })
+            .then(function() {
+                var context = document.createElement('canvas').getContext('2d');
+                context.font = layout.fontSize + 'px "' + layout.font + '"';
+
+                var lines = textLines(text).map(function(line) {
+                    return {
+                        text: line,
+                        width: context.measureText(line).width
+                    };
+                });
+                var widest = lines.reduce(function(widest, line, index) {
+                    return line.width > lines[widest].width ? index : widest;
+                }, 0);
+
+                return {
+                    font: layout.font,
+                    lineHeight: layout.lineHeight,
+                    lines: lines.map(function(line) {
+                        return {
+                            text: line.text,
+                            width: Math.round(line.width)
+                        };
+                    }),
+                    widestLine: {
+                        index: widest,
+                        text: lines[widest].text,
+                        width: Math.round(lines[widest].width)
+                    },
+                    width: Math.ceil(lines[widest].width) + layout.box.left + layout.box.right,
+                    height: lines.length * layout.lineHeight + layout.box.top + layout.box.bottom
+                };
+            });
+
+        // A trailing line break does not start another line in preformatted text
+        function textLines(text) {
+            var lines = text.replace(/\r\n?/g, '\n').split('\n');
+            if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+            return lines;
+        }
+    }
+
+    /**
+     * Recognizes the text of an AA image by matching the glyphs of an AA font against its pixels, dot by dot and line by line.
+     * The image has to be laid out like fromText lays text out, in the font it was rendered with.
+     * @param {HTMLCanvasElement|HTMLImageElement|ImageData|Blob|String} source - The image, or its data URL
+     * @param {Object} options - Text layout options, @see {@link fromText}: font, fontSize, lineSpacing and padding
+     * @param {Number} options.scale - the scale the image was rendered with, defaults to 1
+     * @param {String} options.characters - the characters to look for, defaults to ASCII, half-width katakana,
+     *          the non-kanji characters of Shift_JIS and the kanji AA are commonly drawn with.
+     *          Characters the font has no glyph for are left out when its outlines can be read.
+     * @return {Promise} - A promise that is fulfilled with the recognized text, without trailing spaces and empty lines
+     * */
+    function recognizeAA(source, options) {
+        options = options || {};
+        var layout = textLayout(options);
+        var scale = typeof(options.scale) === 'number' ? options.scale : 1;
+
+        var characters = options.characters || aaCharacters(SJIS_NON_KANJI_ROWS, AA_KANJI);
+
+        return Promise.all([readPixels(source), glyphTemplates(layout, scale, characters)])
+            .then(function(results) {
+                return recognizer.recognize(results[0], results[1], {
+                    lineHeight: Math.round(layout.lineHeight * scale),
+                    top: Math.round(layout.box.top * scale),
+                    left: Math.round(layout.box.left * scale)
+                });
+            });
+    }
+
+    /**
+     * Converts an image to Shift_JIS art, picking the characters of an AA font whose glyphs match the darkness and the edges
+     * of every line the best. Glyphs take their proportional widths, so the lines stay aligned when rendered in the font.
+     * @param {Node|HTMLCanvasElement|HTMLImageElement|ImageData|Blob|String} source - The image, its URL, or a DOM Node to render with toCanvas
+     * @param {Object} options - Rendering options of DOM nodes, @see {@link toSvg}, and the text layout options, @see {@link fromText}:
+     *          font, fontSize and lineSpacing
+     * @param {Number} options.widthInDots - width of the AA in dots, the pixels of the font size, defaults to the width of the source.
+     *          The height keeps the aspect ratio.
+     * @param {String} options.charset - the characters to draw with: 'ascii', 'aa' (default, ASCII, half-width katakana and the
+     *          Shift_JIS symbols), 'sjis' (the characters recognizeAA looks for) or a string of the characters
+     * @return {Promise} - A promise that is fulfilled with the AA text
+     * */
+    function imageToAA(source, options) {
+        options = options || {};
+        var layout = textLayout(options);
+        // Canvases, images and videos are Nodes too, their own pixels are read
+        var pixelSource = ['HTMLCanvasElement', 'HTMLImageElement', 'HTMLVideoElement', 'ImageData'].some(function(className) {
+            return isInstance(source, className);
+        });
+        var raster = source instanceof Node && !pixelSource ?
+            toCanvas(source, Object.assign({}, options, { report: false })) : readPixels(source);
+
+        return Promise.all([
+                raster.then(function(pixels) {
+                    return resizedPixels(pixels, options.widthInDots);
+                }),
+                glyphTemplates(layout, 1, charset(options.charset))
+            ])
+            .then(function(results) {
+                return recognizer.convert(results[0], results[1], { lineHeight: layout.lineHeight });
+            });
+
+        function charset(name) {
+            if (!name || name === 'aa') return aaCharacters([0x81], '');
+            if (name === 'sjis') return aaCharacters(SJIS_NON_KANJI_ROWS, AA_KANJI);
+            if (name === 'ascii') {
+                var characters = [];
+                for (var code = 0x20; code < 0x7F; code++) characters.push(String.fromCharCode(code));
+                return characters;
+            }
+            return name;
+        }
+    }
+
+    function resizedPixels(source, width) {
+        var canvas = source;
+        if (!(source instanceof HTMLCanvasElement)) {
+            canvas = document.createElement('canvas');
+            canvas.width = source.width;
+            canvas.height = source.height;
+            canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(source.data), source.width, source.height), 0, 0);
+        }
+        if (!width || width === canvas.width) return canvasImage(canvas);
+
+        var resized = document.createElement('canvas');
+        resized.width = Math.max(1, Math.round(width));
+        resized.height = Math.max(1, Math.round(canvas.height * resized.width / canvas.width));
+        var ctx = resized.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, resized.width, resized.height);
+        return canvasImage(resized);
+    }
+
+    function readPixels(source) {
+        if (source && source.data && typeof source.width === 'number') return Promise.resolve(source);
+
+        if (typeof source === 'string') return util.makeImage(source).then(readPixels);
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            return util.encodeResource(source)
+                .then(function(content) {
+                    return util.makeImage(util.dataAsUrl(content, source.type || 'image/png'));
+                })
+                .then(readPixels);
+        }
+
+        if (source instanceof HTMLCanvasElement) return Promise.resolve(canvasImage(source));
+
+        var canvas = document.createElement('canvas');
+        canvas.width = source.naturalWidth || source.videoWidth || source.width;
+        canvas.height = source.naturalHeight || source.videoHeight || source.height;
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        return Promise.resolve(canvasImage(canvas));
+    }
+
+    /**
+     * Draws every character alone in its line box, black on white, the way the AA text renders lay it out.
+     * Characters drawing the same pixels as an earlier one are left out.
+     * @return {Promise} - A promise that is fulfilled with {text, width, ink} templates, ink holding the darkness (0-1)
+     *          of the width x lineHeight pixels
+     * */
+    function glyphTemplates(layout, scale, characters) {
+        var fontSize = layout.fontSize * scale;
+        var lineHeight = Math.round(layout.lineHeight * scale);
+
+        return Promise.all([aaFonts.load(layout.font), fontCharacters(layout.font, characters)])
+            .then(function(results) {
+                var canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(fontSize * 4);
+                canvas.height = lineHeight;
+                var ctx = canvas.getContext('2d');
+                ctx.font = fontSize + 'px "' + layout.font + '"';
+
+                // Half-leading above the font's ascent, as CSS places the baseline in a line box
+                var metrics = ctx.measureText('M');
+                var ascent = metrics.fontBoundingBoxAscent || fontSize * 0.88;
+                var descent = metrics.fontBoundingBoxDescent || fontSize * 0.12;
+                var baseline = (lineHeight - ascent - descent) / 2 + ascent;
+
+                var seen = {};
+                return results[1].map(function(character) {
+                    var width = Math.min(canvas.width, Math.round(ctx.measureText(character).width));
+                    if (!width) return null;
+
+                    ctx.fillStyle = '#fff';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    ctx.fillStyle = '#000';
+                    ctx.fillText(character, 0, baseline);
+                    var pixels = ctx.getImageData(0, 0, width, lineHeight).data;
+
+                    var ink = new Float32Array(width * lineHeight);
+                    var key = width + ':';
+                    for (var i = 0; i < ink.length; i++) {
+                        ink[i] = (255 - pixels[i * 4]) / 255;
+                        key += pixels[i * 4].toString(36);
+                    }
+                    if (seen[key]) return null;
+                    seen[key] = true;
+
+                    return {
+                        text: character,
+                        width: width,
+                        ink: ink
+                    };
+                }).filter(Boolean);
+            });
+    }
+
+    function fontCharacters(name, characters) {
+        var candidates = Array.from(characters);
+
+        return aaFonts.outlines(name)
+            .then(function(font) {
+                return candidates.filter(function(character) {
+                    return font.glyphIndex(character.codePointAt(0)) > 0;
+                });
+            }, function() {
+                return candidates;
+            });
+    }
+
+    /**
+     * Spaces first, the earlier of the characters drawing the same pixels being the one recognized.
+     * @param {Array} leads - The Shift_JIS lead bytes of the rows to add
+     * @param {String} kanji - The kanji to add
+     * @return {Array} - Spaces, ASCII, half-width katakana and the characters of the rows and kanji
+     * */
+    function aaCharacters(leads, kanji) {
+        var characters = [' ', '\u3000'];
+        var code;
+        for (code = 0x21; code < 0x7F; code++) characters.push(String.fromCharCode(code));
+        for (code = 0xFF61; code < 0xFFA0; code++) characters.push(String.fromCharCode(code));
+
+        if (typeof TextDecoder !== 'undefined') {
+            var decoder = new TextDecoder('shift_jis');
+            leads.forEach(function(lead) {
+                for (var trail = 0x40; trail < 0xFD; trail++) {
+                    if (trail === 0x7F) continue;
+                    var character = decoder.decode(new Uint8Array([lead, trail]));
+                    if (character.length === 1 && character !== '\uFFFD' && characters.indexOf(character) === -1) characters.push(character);
+                }
+            });
+        }
+        return characters.concat(Array.from(kanji));
+    }
+
+    function textLayout(options) {
+        var fontSize = typeof(options.fontSize) === 'number' ? options.fontSize : defaultTextOptions.fontSize;
+        var lineSpacing = typeof(options.lineSpacing) === 'number' ? options.lineSpacing : defaultTextOptions.lineSpacing;
+        var padding = options.padding || 0;
+
+        return {
+            font: options.font || defaultTextOptions.font,
+            fontSize: fontSize,
+            lineHeight: fontSize + lineSpacing,
+            padding: padding,
+            box: {
+                left: padding,
+                right: padding,
+                top: padding,
+                bottom: padding
+            }
+        };
+    }
+
+    function nodeLayout(node, options) {
+        var style = window.getComputedStyle(node);
+        var fontSize = parseFloat(style.getPropertyValue('font-size'));
+        var lineHeight = parseFloat(style.getPropertyValue('line-height'));
+        // readFamilies reads inline styles, which only clones carry in full
+        var registered = style.getPropertyValue('font-family').split(',').map(function(family) {
+            return family.trim().replace(/^['"]|['"]$/g, '');
+        }).filter(function(family) {
+            return aaFonts.get(family);
+        });
+
+        return {
+            font: options.font || (registered.length ? aaFonts.get(registered[0]).name : defaultTextOptions.font),
+            fontSize: fontSize,
+            lineHeight: isNaN(lineHeight) ? fontSize + defaultTextOptions.lineSpacing : lineHeight,
+            box: {
+                left: px('padding-left') + px('border-left-width'),
+                right: px('padding-right') + px('border-right-width'),
+                top: px('padding-top') + px('border-top-width'),
+                bottom: px('padding-bottom') + px('border-bottom-width')
+            }
+        };
+
+        function px(property) {
+            return parseFloat(style.getPropertyValue(property)) || 0;
+        }
+    }
+
+    // Decoding and measuring the text come before the render and its report, their failures are reported like its own
+    function reportedText(text, options, renderNode) {
+        return renderText(text, options, renderNode)
+            .catch(function(error) {
+                if (!options || !options.report) throw error;
+                return render(options, function() {
+                    throw error;
+                });
+            });
+    }
+
+    function renderText(text, options, render) {
+        options = options || {};
+
+        var layout = textLayout(options);
+        var holder = document.createElement('div');
+        holder.style.position = 'absolute';
+        holder.style.left = '-100000px';
+        holder.style.top = '0';
+        var node;
+
+        return Promise.resolve(text)
+            .then(function(source) {
+                text = decodedText(source, options);
+                node = makeTextNode(text, layout, options);
+                holder.appendChild(node);
+                return measure(text, options);
+            })
+            .then(function(metrics) {
+                document.body.appendChild(holder);
+                return render(node, Object.assign({}, options, {
+                    metadata: options.metadata && Object.assign({ text: text, font: layout.font }, options.metadata),
+                    fonts: options.fonts || [layout.font],
+                    width: options.width || metrics.width,
+                    height: options.height || metrics.height
+                }));
+            })
+            .then(function(result) {
+                removeHolder();
+                return result;
+            }, function(error) {
+                removeHolder();
+                throw error;
+            });
+
+        function removeHolder() {
+            if (holder.parentNode) holder.parentNode.removeChild(holder);
+        }
+    }
+
+    // Decoding throws on unsupported encodings, it runs in the promise chains to reject them
+    function decodedText(text, options) {
+        return typeof text === 'string' ? text : util.decodeText(text, options.encoding);
+    }
+
+    function makeTextNode(text, layout, options) {
+        var node = document.createElement('pre');
+        node.style.boxSizing = 'border-box';
+        node.style.margin = '0';
+        node.style.padding = layout.padding + 'px';
+        node.style.fontFamily = '"' + layout.font + '"';
+        node.style.fontSize = layout.fontSize + 'px';
+        node.style.lineHeight = layout.lineHeight + 'px';
+        node.style.whiteSpace = 'pre';
+        node.style.letterSpacing = '0';
+        node.style.wordWrap = 'normal';
+        if (options.color) node.style.color = options.color;
+        node.textContent = text.replace(/\r\n?/g, '\n');
+        return node;
+    }
+
+    /**
+     * Every render gets its own context, so that concurrent renders with different options don't interfere.
+     * Calls into impl without a context fall back to domtoimage.impl.options.
+     * @param {Object} options - Rendering options, @see {@link toSvg}
+     * @return {Object} - The render context
+     * */
+    function newRenderContext(options) {
+        return {
+            options: options,
+            imagePlaceholder: option('imagePlaceholder'),
+            cacheBust: option('cacheBust'),
+            useCredentials: option('useCredentials'),
+            fetcher: option('fetcher'),
+            resources: util.resolveResources(option('resources')),
+            fetchTimeout: option('fetchTimeout'),
+            fetchRetries: option('fetchRetries'),
+            fetchBackoff: option('fetchBackoff'),
+            strict: !!options.strict,
+            // Style sheets of the shadow trees cloned, read for their font faces like the document's
+            styleSheets: [],
+            // Elements expanded with options.scroll 'expand', whose ancestors grow to contain them
+            expandedNodes: [],
+            // Sizes of the nodes measured expanded, by node
+            expandedSizes: new Map(),
+            // The @font-face CSS embedded in the image, whose faces draw() waits for
+            fontCss: '',
+            report: {
+                startTime: Date.now(),
+                warnings: [],
+                errors: []
+            }
+        };
+
+        function option(name) {
+            return typeof(options[name]) === 'undefined' ? defaultOptions[name] : options[name];
+        }
+    }
+
+    /**
+     * Runs a render with its own context.
+     * @param {Object} options - Rendering options, @see {@link toSvg}
+     * @param {Function} produce - function(context) rendering the result
+     * @return {Promise} - A promise that is fulfilled with the result, or with the report when options.report is set
+     * */
+    function render(options, produce) {
+        var context = newRenderContext(options || {});
+
+        return Promise.resolve(context)
+            .then(produce)
+            .then(function(result) {
+                return context.options.report ? makeReport(result) : result;
+            }, function(error) {
+                if (!context.options.report || context.strict) throw error;
+                context.report.errors.push(newReportEntry(context, error.code || 'RENDER_FAILED', error.message || String(error), error));
+                return makeReport();
+            });
+
+        function makeReport(result) {
+            return {
+                result: result,
+                warnings: context.report.warnings,
+                errors: context.report.errors,
+                duration: Date.now() - context.report.startTime
+            };
+        }
+    }
+
+    /**
+     * Records a warning in the render report, or logs it when the caller did not ask for a report.
+     * @param {Object} context - The render context, impl calls without one only log
+     * @param {String} code - FETCH_FAILED, TIMEOUT, CORS_STYLESHEET, IMAGE_DECODE, FONT_MISSING, FONT_NOT_SUBSET,
+     *          CANVAS_TOO_LARGE, UNSUPPORTED_IMAGE_TYPE, CROSS_ORIGIN_FRAME or TAINTED_CANVAS
+     * @param {String} message - Human readable description
+     * @param {Object} details - url, node, duration and reason involved, when known
+     * @throws {Error} - The warning as an error with its code, in strict mode
+     * */
+    function reportWarning(context, code, message, details) {
+        var entry = newReportEntry(context, code, message, details);
+        if (!context || !context.report) {
+            logWarning(entry);
+            return entry;
+        }
+
+        context.report.warnings.push(entry);
+        if (context.strict) throw renderError(entry);
+        if (!context.options.report) logWarning(entry);
+        return entry;
+    }
+
+    function logWarning(entry) {
+        if (WARNING_LOGS[entry.code]) console[WARNING_LOGS[entry.code]](entry.message);
+    }
+
+    function newReportEntry(context, code, message, details) {
+        details = details || {};
+        var report = context && context.report;
+        return {
+            code: code,
+            message: message,
+            url: details.url,
+            node: details.node,
+            reason: details.reason,
+            time: report ? Date.now() - report.startTime : undefined,
+            duration: details.duration
+        };
+    }
+
+    function renderError(entry) {
+        var error = new Error(entry.message);
+        error.code = entry.code;
+        error.url = entry.url;
+        error.node = entry.node;
+        error.reason = entry.reason;
+        return error;
+    }
+
+    function draw(domNode, context) {
+        var options = context.options;
+        var size = canvasSize(domNode, context);
+        var canvas = util.newCanvas(size.width, size.height);
+        if (!canvas) return Promise.reject(canvasTooLarge(context, size));
+
+        return loadImage(domNode, context)
+            .then(function(image) {
+                drawRegion(canvas, image, options, {
+                    x: 0,
+                    y: 0,
+                    width: size.width,
+                    height: size.height
+                }, size.scale);
+                if (options.autoCrop) canvas = cropCanvas(canvas, options.autoCrop, size.scale);
+                if (options.colorMode) reduceColors(canvas, options);
+                return canvas;
+            });
+    }
+
+    function reduceColors(canvas, options) {
+        var ctx = canvas.getContext('2d');
+        var image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        ctx.putImageData(colorModes.reduce(image, options), 0, 0);
+    }
+
+    // Canvases encode RGBA PNG only, the grayscale, 1-bit and indexed files of reduced color modes take the built-in encoder
+    function pngDataUrl(canvas, options) {
+        if (!options.colorMode) return canvas.toDataURL();
+        return util.dataAsUrl(util.encodeBase64(png.encode(canvasImage(canvas), options.colorMode)), 'image/png');
+    }
+
+    function pngBlob(canvas, options) {
+        if (!options.colorMode) return util.canvasToBlob(canvas);
+        return Promise.resolve(new Blob([png.encode(canvasImage(canvas), options.colorMode)], {
+            type: 'image/png'
+        }));
+    }
+
+    function canvasImage(canvas) {
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Draws the node on canvases no larger than options.maxTileWidth x options.maxTileHeight, one at a time.
+     * @param {Node} domNode - The DOM Node to render
+     * @param {Object} context - The render context
+     * @param {Function} onTile - function(canvas, region) called with every tile, region being its {x, y, width, height}
+     *          in canvas pixels, may return a promise
+     * @return {Promise} - A promise that is fulfilled with the results of onTile, in rows from the top left
+     * */
+    function drawTiles(domNode, context, onTile) {
+        var options = context.options;
+        var size = canvasSize(domNode, context);
+        var tileWidth = Math.max(1, Math.min(size.width, options.maxTileWidth || MAX_TILE_SIZE));
+        var tileHeight = Math.max(1, Math.min(size.height, options.maxTileHeight || MAX_TILE_SIZE));
+
+        var regions = [];
+        for (var y = 0; y < size.height; y += tileHeight) {
+            for (var x = 0; x < size.width; x += tileWidth) {
+                regions.push({
+                    x: x,
+                    y: y,
+                    width: Math.min(tileWidth, size.width - x),
+                    height: Math.min(tileHeight, size.height - y)
+                });
+            }
+        }
+
+        return loadImage(domNode, context)
+            .then(function(image) {
+                return regions.reduce(function(done, region) {
+                    return done.then(function(results) {
+                        var canvas = util.newCanvas(region.width, region.height);
+                        if (!canvas) throw canvasTooLarge(context, region);
+
+                        return Promise.resolve(onTile(drawRegion(canvas, image, options, region, size.scale), region))
+                            .then(function(result) {
+                                return results.concat([result]);
+                            });
+                    });
+                }, Promise.resolve([]));
+            });
+    }
+
+    // Stitches tiles into the pixels of an image too large for a single canvas
+    function stitchTiles(domNode, context) {
+        var size = canvasSize(domNode, context);
+        var image = {
+            data: new Uint8ClampedArray(size.width * size.height * 4),
+            width: size.width,
+            height: size.height
+        };
+
+        return drawTiles(domNode, context, function(canvas, region) {
+                var tile = canvas.getContext('2d').getImageData(0, 0, region.width, region.height).data;
+                for (var row = 0; row < region.height; row++) {
+                    image.data.set(
+                        tile.subarray(row * region.width * 4, (row + 1) * region.width * 4),
+                        ((region.y + row) * size.width + region.x) * 4
+                    );
+                }
+                canvas.width = canvas.height = 0;
+            })
+            .then(function() {
+                return image;
+            });
+    }
+
+    /**
+     * Renders images too large for a canvas from tiles when the error is CANVAS_TOO_LARGE, unless options.stitch is false.
+     * @param {Error} error - The error drawing the whole node failed with
+     * @param {Node} domNode - The DOM Node to render
+     * @param {Object} context - The render context
+     * @return {Promise} - A promise that is fulfilled with the {data, width, height} pixels of the stitched tiles,
+     *          cropped to options.autoCrop and reduced to options.colorMode like drawn canvases
+     * */
+    function stitchWhenTooLarge(error, domNode, context) {
+        if (error.code !== 'CANVAS_TOO_LARGE' || context.options.stitch === false) return Promise.reject(error);
+
+        reportWarning(context, 'CANVAS_TOO_LARGE', error.message + ', stitching it from tiles', { node: domNode });
+        return stitchTiles(domNode, context)
+            .then(function(image) {
+                var options = context.options;
+                if (options.autoCrop) image = cropImage(image, options.autoCrop, canvasSize(domNode, context).scale);
+                return options.colorMode ? colorModes.reduce(image, options) : image;
+            });
+    }
+
+    function loadImage(domNode, context) {
+        return makeSvg(domNode, context)
+            .then(function(uri) {
+                return util.makeImage(uri, context);
+            })
+            .then(function(image) {
+                return util.whenReady(image, context.options.readyTimeout, fontFaces.loadAll(context.fontCss, context));
+            });
+    }
+
+    function drawRegion(canvas, image, options, region, scale) {
+        var ctx = canvas.getContext('2d');
+
+        if (options.bgcolor) {
+            ctx.fillStyle = options.bgcolor;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        if (image) {
+            ctx.translate(-region.x, -region.y);
+            ctx.scale(scale, scale);
+            ctx.drawImage(image, 0, 0);
+        }
+        return canvas;
+    }
+
+    function canvasSize(domNode, context) {
+        var options = context.options;
+        var scale = typeof(options.scale) !== 'number' ? 1 : options.scale;
+        var box = nodeSize(domNode, context);
+        return {
+            width: Math.floor(box.width * scale),
+            height: Math.floor(box.height * scale),
+            scale: scale
+        };
+    }
+
+    function canvasTooLarge(context, size) {
+        return renderError(newReportEntry(context, 'CANVAS_TOO_LARGE',
+            'canvas of ' + size.width + 'x' + size.height + ' exceeds the browser canvas size limit'));
+    }
+
+    function cropCanvas(canvas, autoCrop, scale) {
+        var width = canvas.width;
+        var height = canvas.height;
+        if (!width || !height) return canvas;
+
+        var box = cropBox(canvas.getContext('2d').getImageData(0, 0, width, height).data, width, height, autoCrop, scale);
+        if (!box) return canvas;
+
+        var cropped = document.createElement('canvas');
+        cropped.width = box.width;
+        cropped.height = box.height;
+        cropped.getContext('2d').drawImage(canvas, box.left, box.top, box.width, box.height, 0, 0, box.width, box.height);
+        return cropped;
+    }
+
+    // Stitched images are too large for a canvas, so their pixels are copied
+    function cropImage(image, autoCrop, scale) {
+        if (!image.width || !image.height) return image;
+
+        var box = cropBox(image.data, image.width, image.height, autoCrop, scale);
+        if (!box) return image;
+
+        var data = new Uint8ClampedArray(box.width * box.height * 4);
+        for (var row = 0; row < box.height; row++) {
+            var start = ((box.top + row) * image.width + box.left) * 4;
+            data.set(image.data.subarray(start, start + box.width * 4), row * box.width * 4);
+        }
+        return {
+            data: data,
+            width: box.width,
+            height: box.height
+        };
+    }
+
+    /**
+     * @param {Uint8ClampedArray} pixels - RGBA pixels
+     * @param {Number} width - The width of the pixels
+     * @param {Number} height - The height of the pixels
+     * @param {Boolean|Object} autoCrop - options.autoCrop
+     * @param {Number} scale - Canvas pixels per CSS pixel of autoCrop.padding
+     * @return {Object} - The {left, top, width, height} of the non-background pixels and their padding,
+     *          null when there is nothing but background
+     * */
+    function cropBox(pixels, width, height, autoCrop, scale) {
+        var padding = Math.round((autoCrop.padding || 0) * scale);
+        var tolerance = autoCrop.tolerance || 0;
+        // The top left pixel is taken as the background color, transparent or options.bgcolor
+        var background = [pixels[0], pixels[1], pixels[2], pixels[3]];
+        var box = { left: width, top: height, right: -1, bottom: -1 };
+
+        for (var y = 0; y < height; y++) {
+            for (var x = 0; x < width; x++) {
+                if (isBackground((y * width + x) * 4)) continue;
+                if (x < box.left) box.left = x;
+                if (x > box.right) box.right = x;
+                if (y < box.top) box.top = y;
+                if (y > box.bottom) box.bottom = y;
+            }
+        }
+        if (box.right < 0) return null;
+
+        var left = Math.max(0, box.left - padding);
+        var top = Math.max(0, box.top - padding);
+        return {
+            left: left,
+            top: top,
+            width: Math.min(width, box.right + 1 + padding) - left,
+            height: Math.min(height, box.bottom + 1 + padding) - top
+        };
+
+        function isBackground(offset) {
+            // Fully transparent pixels are background whatever their color channels hold
+            if (background[3] === 0 && pixels[offset + 3] <= tolerance) return true;
+
+            for (var channel = 0; channel < 4; channel++) {
+                if (Math.abs(pixels[offset + channel] - background[channel]) > tolerance) return false;
+            }
+            return true;
+        }
+    }
+
+    /**
+     * @param {Node} node - The node
+     * @param {Object} options - Rendering options, for options.resolveShadowRoot
+     * @return {Array} - The children of the node as they are rendered: those of its shadow root when it has one, the nodes
+     *          assigned to a slot instead of its fallback content, and the node's own children otherwise
+     * */
+    function composedChildren(node, options) {
+        var shadowRoot = shadowRootOf(node, options);
+        if (shadowRoot) return util.asArray(shadowRoot.childNodes);
+
+        if (typeof HTMLSlotElement !== 'undefined' && node instanceof HTMLSlotElement && node.getRootNode() instanceof ShadowRoot) {
+            var assigned = node.assignedNodes();
+            if (assigned.length) return assigned;
+        }
+        return util.asArray(node.childNodes);
+    }
+
+    // Open shadow roots, closed ones through options.resolveShadowRoot
+    function shadowRootOf(node, options) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        return node.shadowRoot || (options.resolveShadowRoot && options.resolveShadowRoot(node)) || null;
+    }
+
+    function isShadowStyleSheet(node) {
+        var isStyleSheet = node instanceof HTMLStyleElement || (node instanceof HTMLLinkElement && /\bstylesheet\b/i.test(node.rel));
+        return isStyleSheet && typeof ShadowRoot !== 'undefined' && node.getRootNode() instanceof ShadowRoot;
+    }
+
+    // Nodes of frames are instances of the classes of their own window
+    function isInstance(node, className) {
+        var view = node && node.ownerDocument && node.ownerDocument.defaultView;
+        if (typeof window[className] === 'function' && node instanceof window[className]) return true;
+        return !!view && view !== window && typeof view[className] === 'function' && node instanceof view[className];
+    }
+
+    function computedStyle(node, pseudoElement) {
+        return (node.ownerDocument.defaultView || window).getComputedStyle(node, pseudoElement);
+    }
+
+    /**
+     * Same-origin frames are rendered by the whole pipeline into an image of their viewport, cross-origin ones by
+     * options.renderFrame, or replaced with options.framePlaceholder.
+     * @param {HTMLIFrameElement} frame - The frame to copy
+     * @param {Object} context - The render context
+     * @return {Promise} - A promise that is fulfilled with the copy, an image or an empty frame
+     * */
+    function copyFrame(frame, context) {
+        var options = context.options;
+        var frameDocument = null;
+        try {
+            frameDocument = frame.contentDocument;
+        } catch (e) {
+            // Cross-origin
+        }
+
+        if (frameDocument && frameDocument.documentElement) {
+            return makeSvg(frameDocument.documentElement, Object.assign({}, context, {
+                    options: Object.assign({}, options, {
+                        width: frame.clientWidth,
+                        height: frame.clientHeight,
+                        bgcolor: undefined,
+                        style: undefined
+                    }),
+                    styleSheets: util.asArray(frameDocument.styleSheets)
+                }))
+                .then(function(dataUrl) {
+                    // Escaped once more, as the data URL of the parent image is decoded before this one
+                    return frameImage(dataUrl.replace(/%/g, '%25'));
+                });
+        }
+
+        return Promise.resolve(options.renderFrame ? options.renderFrame(frame) : undefined)
+            .then(function(dataUrl) {
+                if (dataUrl) return frameImage(dataUrl);
+
+                reportWarning(context, 'CROSS_ORIGIN_FRAME', 'cannot render cross-origin frame: ' + frame.src, {
+                    url: frame.src,
+                    node: frame
+                });
+                return options.framePlaceholder ? frameImage(options.framePlaceholder) : copyElement(frame);
+            });
+
+        function frameImage(dataUrl) {
+            var image = document.createElement('img');
+            image.src = dataUrl;
+            return image;
+        }
+    }
+
+    function isCustomElement(node) {
+        return node instanceof HTMLElement && node.localName.indexOf('-') > 0 &&
+            typeof customElements !== 'undefined' && !!customElements.get(node.localName);
+    }
+
+    /**
+     * @param {Node} node - The DOM Node to render
+     * @param {Object} context - The render context
+     * @return {Object} - {width, height} of the image of the node, its whole content unless options set them
+     * */
+    function nodeSize(node, context) {
+        var options = context.options;
+        var size;
+        if (options.scroll === 'expand' && !(options.width && options.height)) {
+            // Measured once per render, as measuring lays the page out expanded
+            if (!context.expandedSizes.has(node)) context.expandedSizes.set(node, expandedSize(node, options));
+            size = context.expandedSizes.get(node);
+        } else {
+            size = { width: util.width(node), height: util.height(node) };
+        }
+        return {
+            width: options.width || size.width,
+            height: options.height || size.height
+        };
+    }
+
+    /**
+     * Lays the node out with its scrollers expanded like in its clone, measures it and restores it. It all happens
+     * synchronously, the page is never displayed expanded.
+     * */
+    function expandedSize(node, options) {
+        var elements = [];
+        var expandedNodes = [];
+        collect(node, true);
+
+        var expanded = elements
+            .map(function(element) {
+                var expansion = scrollExpansion(element, expandedNodes);
+                if (expansion) expandedNodes.push(element);
+                return {
+                    element: element,
+                    expansion: expansion,
+                    style: element.getAttribute('style'),
+                    scrollTop: element.scrollTop,
+                    scrollLeft: element.scrollLeft
+                };
+            })
+            .filter(function(entry) {
+                return entry.expansion;
+            });
+
+        expanded.forEach(function(entry) {
+            setStyles(entry.element.style, entry.expansion);
+        });
+        var size = { width: util.width(node), height: util.height(node) };
+        expanded.forEach(function(entry) {
+            if (entry.style === null) entry.element.removeAttribute('style');
+            else entry.element.setAttribute('style', entry.style);
+            entry.element.scrollTop = entry.scrollTop;
+            entry.element.scrollLeft = entry.scrollLeft;
+        });
+        return size;
+
+        // The elements cloneNode copies, descendants first like it processes them
+        function collect(current, root) {
+            if (current.nodeType !== Node.ELEMENT_NODE) return;
+            if (!root && options.filter && !options.filter(current)) return;
+
+            composedChildren(current, options).forEach(function(child) {
+                collect(child);
+            });
+            elements.push(current);
+        }
+    }
+
+    /**
+     * Scrollers with more content than they show lose their scrollbars and grow to their content size, keeping at least
+     * their size on screen, and their ancestors grow in turn to contain them.
+     * @param {Element} element - An element of the node
+     * @param {Element[]} expandedNodes - The descendants of the element already expanded
+     * @return {Object} - The style properties expanding the element, or null when it stays as it is
+     * */
+    function scrollExpansion(element, expandedNodes) {
+        var style = computedStyle(element);
+        var tall = element.scrollHeight > element.clientHeight;
+        var wide = element.scrollWidth > element.clientWidth;
+
+        if (/auto|scroll/.test(style.overflowX + ' ' + style.overflowY) && (tall || wide)) {
+            var borderWidth = parseFloat(style.borderLeftWidth) + parseFloat(style.borderRightWidth);
+            var borderHeight = parseFloat(style.borderTopWidth) + parseFloat(style.borderBottomWidth);
+            return {
+                overflow: 'visible',
+                boxSizing: 'border-box',
+                maxWidth: 'none',
+                maxHeight: 'none',
+                width: Math.max(element.offsetWidth, element.scrollWidth + borderWidth) + 'px',
+                height: 'auto',
+                minHeight: Math.max(element.offsetHeight, element.scrollHeight + borderHeight) + 'px'
+            };
+        }
+
+        var containsExpanded = expandedNodes.some(function(node) {
+            return node !== element && composedContains(element, node);
+        });
+        return containsExpanded ? { height: 'auto', minHeight: style.height } : null;
+    }
+
+    // contains() through shadow roots and slots
+    function composedContains(ancestor, node) {
+        for (var current = node; current; current = current.assignedSlot || current.parentNode || current.host) {
+            if (current === ancestor) return true;
+        }
+        return false;
+    }
+
+    /**
+     * The image shows every scroller scrolled to the top, so its children are shifted back by its scroll offsets:
+     * elements by a transform, or relative positioning for inline ones, and text wrapped in spans.
+     * @param {Element} original - The scroller
+     * @param {Element} clone - Its copy, with its children copied
+     * */
+    function shiftScrolledChildren(original, clone) {
+        var left = original.scrollLeft;
+        var top = original.scrollTop;
+        if (!left && !top) return;
+
+        util.asArray(clone.childNodes).forEach(function(child) {
+            if (child.nodeType === Node.TEXT_NODE && child.nodeValue.trim()) {
+                var span = document.createElement('span');
+                clone.replaceChild(span, child);
+                span.appendChild(child);
+                shift(span);
+            }
+            if (child.nodeType === Node.ELEMENT_NODE) shift(child);
+        });
+
+        function shift(element) {
+            var style = element.style;
+            if (style.display && style.display !== 'inline') {
+                var transform = style.transform && style.transform !== 'none' ? ' ' + style.transform : '';
+                style.transform = 'translate(' + -left + 'px, ' + -top + 'px)' + transform;
+                return;
+            }
+
+            if (!style.position || style.position === 'static') style.position = 'relative';
+            style.left = offset(style.left, left);
+            style.top = offset(style.top, top);
+        }
+
+        function offset(value, scroll) {
+            if (!value || value === 'auto') return -scroll + 'px';
+            return 'calc(' + value + ' - ' + scroll + 'px)';
+        }
+    }
+
+    function setStyles(style, properties) {
+        Object.keys(properties).forEach(function(property) {
+            style[property] = properties[property];
+        });
+    }
+
+    function copyElement(node) {
+        // Nodes of frames are copied into this document, where they take the styles like the others
+        if (node.ownerDocument && node.ownerDocument !== document) return document.importNode(node, false);
+        return node.cloneNode(false);
+    }
+
+    /**
+     * The canvases of the node are all read together in one animation frame, as WebGL ones without preserveDrawingBuffer
+     * keep their contents only until the frame they are drawn in is displayed, or right after options.redrawCanvas
+     * re-drew them.
+     * @param {Node} node - The root node being cloned
+     * @param {Object} context - The render context
+     * @return {Promise} - A promise that is fulfilled with a Map of the canvases to their {dataUrl} or {error}
+     * */
+    function readCanvases(node, context) {
+        var options = context.options;
+        var canvases = [];
+        collect(node, true);
+        if (!canvases.length) return Promise.resolve(new Map());
+
+        var redraw = options.redrawCanvas;
+        var ready = redraw ? Promise.all(canvases.map(function(canvas) {
+            return redraw(canvas);
+        })) : util.nextFrame();
+        return ready
+            .then(function() {
+                return new Map(canvases.map(function(canvas) {
+                    return [canvas, canvasDataUrl(canvas)];
+                }));
+            });
+
+        function collect(current, root) {
+            if (!root && options.filter && !options.filter(current)) return;
+            if (isInstance(current, 'HTMLCanvasElement')) canvases.push(current);
+            composedChildren(current, options).forEach(function(child) {
+                collect(child);
+            });
+        }
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas - The canvas to copy
+     * @param {Object} context - The render context, with the canvases read by readCanvases
+     * @return {Promise} - A promise that is fulfilled with an image of the canvas, or an empty canvas when it is tainted
+     * */
+    function copyCanvas(canvas, context) {
+        return (context.canvases || Promise.resolve(new Map()))
+            .then(function(canvases) {
+                return copyPixels(canvases.get(canvas) || canvasDataUrl(canvas), canvas, context,
+                    'the canvas has cross-origin images drawn on it');
+            });
+    }
+
+    /**
+     * @param {HTMLVideoElement} video - The video to copy
+     * @param {Object} context - The render context
+     * @return {Promise} - A promise that is fulfilled with an image of the current frame, the poster image before the
+     *          first frame is loaded, or an empty video when the frame is tainted
+     * */
+    function copyVideo(video, context) {
+        var HAVE_CURRENT_DATA = 2;
+        if (video.readyState < HAVE_CURRENT_DATA || !video.videoWidth) {
+            if (!video.poster) return copyElement(video);
+            var poster = document.createElement('img');
+            poster.src = video.poster;
+            return poster;
+        }
+
+        var canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        return copyPixels(canvasDataUrl(canvas), video, context, 'the video ' + (video.currentSrc || video.src) +
+            ' is cross-origin and not served with CORS headers');
+    }
+
+    function canvasDataUrl(canvas) {
+        try {
+            return { dataUrl: canvas.toDataURL() };
+        } catch (error) {
+            return { error: error };
+        }
+    }
+
+    function copyPixels(pixels, original, context, taintReason) {
+        if (pixels.error) {
+            var reason = pixels.error.name === 'SecurityError' ? taintReason : pixels.error.message;
+            reportWarning(context, 'TAINTED_CANVAS', 'cannot read the pixels of a ' + original.localName + ': ' + reason, {
+                node: original,
+                reason: reason
+            });
+            return copyElement(original);
+        }
+        return util.makeImage(pixels.dataUrl, context);
+    }
+
+    // Cloning a custom element runs its constructor, an element of a document without custom element registry stays inert
+    function copyCustomElement(element) {
+        var copy = document.implementation.createHTMLDocument('').createElement(element.localName);
+        util.asArray(element.attributes).forEach(function(attribute) {
+            copy.setAttribute(attribute.name, attribute.value);
+        });
+        return document.adoptNode(copy);
+    }
+
+    function cloneNode(node, context, root) {
+        var filter = context.options.filter;
+        if (!root && filter && !filter(node)) return Promise.resolve();
+        // Shadow tree styles are scoped to it, they are inlined like the others and only read for their font faces
+        if (!root && isShadowStyleSheet(node)) return Promise.resolve();
+        if (root) context.canvases = readCanvases(node, context);
+
+        return Promise.resolve(node)
+            .then(makeNodeCopy)
+            .then(function(clone) {
+                return cloneChildren(node, clone);
+            })
+            .then(function(clone) {
+                return processClone(node, clone);
+            });
+
+        function makeNodeCopy(node) {
+            if (isInstance(node, 'HTMLCanvasElement')) return copyCanvas(node, context);
+            if (isInstance(node, 'HTMLVideoElement')) return copyVideo(node, context);
+            if (isInstance(node, 'HTMLIFrameElement')) return copyFrame(node, context);
+            // The text of textareas cannot be scrolled in the image, the scrolled ones are copied as boxes shifting it
+            if (isInstance(node, 'HTMLTextAreaElement') && (node.scrollTop || node.scrollLeft)) return document.createElement('div');
+            if (isCustomElement(node)) return copyCustomElement(node);
+            return copyElement(node);
+        }
+
+        function cloneChildren(original, clone) {
+            var shadowRoot = shadowRootOf(original, context.options);
+            if (shadowRoot) {
+                context.styleSheets.push.apply(context.styleSheets,
+                    util.asArray(shadowRoot.styleSheets).concat(util.asArray(shadowRoot.adoptedStyleSheets || [])));
+            }
+
+            var children = composedChildren(original, context.options);
+            if (children.length === 0) return Promise.resolve(clone);
+
+            return cloneChildrenInOrder(clone, children)
+                .then(function() {
+                    return clone;
+                });
+
+            function cloneChildrenInOrder(parent, children) {
+                var done = Promise.resolve();
+                children.forEach(function(child) {
+                    done = done
+                        .then(function() {
+                            return cloneNode(child, context);
+                        })
+                        .then(function(childClone) {
+                            if (childClone) parent.appendChild(childClone);
+                        });
+                });
+                return done;
+            }
+        }
+
+        function processClone(original, clone) {
+            if (!(clone instanceof Element)) return clone;
+
+            return Promise.resolve()
+                .then(cloneStyle)
+                .then(clonePseudoElements)
+                .then(copyUserInput)
+                .then(copyScroll)
+                .then(fixSvg)
+                .then(function() {
+                    return clone;
+                });
+
+            function cloneStyle() {
+                let source, target;
+                copyStyle(computedStyle(original), clone.style);
+
+                function copyStyle(source, target) {
+                    target.fontStretch == '';
+                    if (source.cssText) {
+                        target.cssText = source.cssText;
+                          target.font = source.font; // here, we re-assign the font prop.
+                    } else copyProperties(source, target);
+                    target.fontStretch = 'normal';
+
+                    function copyProperties(source, target) {
+                        util.asArray(source).forEach(function(name) {
+                            target.setProperty(
+                                name,
+                                source.getPropertyValue(name),
+                                source.getPropertyPriority(name)
+                            );
+                        });
+                    }
+                }
+            }
+
+            function clonePseudoElements() {
+                [':before', ':after'].forEach(function(element) {
+                    clonePseudoElement(element);
+                });
+
+                function clonePseudoElement(element) {
+                    var style = computedStyle(original, element);
+                    var content = style.getPropertyValue('content');
+
+                    if (content === '' || content === 'none') return;
+
+                    var className = util.uid();
+                    var currentClass = clone.getAttribute('class');
+                    if (currentClass) {
+                        clone.setAttribute('class', currentClass + ' ' + className);
+                    }
+
+                    var styleElement = document.createElement('style');
+                    styleElement.appendChild(formatPseudoElementStyle(className, element, style));
+                    clone.appendChild(styleElement);
+
+                    function formatPseudoElementStyle(className, element, style) {
+                        var selector = '.' + className + ':' + element;
+                        var cssText = style.cssText ? formatCssText(style) : formatCssProperties(style);
+                        return document.createTextNode(selector + '{' + cssText + '}');
+
+                        function formatCssText(style) {
+                            var content = style.getPropertyValue('content');
+                            return style.cssText + ' content: ' + content + ';';
+                        }
+
+                        function formatCssProperties(style) {
+
+                            return util.asArray(style)
+                                .map(formatProperty)
+                                .join('; ') + ';';
+
+                            function formatProperty(name) {
+                                return name + ': ' +
+                                    style.getPropertyValue(name) +
+                                    (style.getPropertyPriority(name) ? ' !important' : '');
+                            }
+                        }
+                    }
+                }
+            }
+
+            function copyUserInput() {
+                if (isInstance(original, 'HTMLTextAreaElement')) copyTextAreaValue();
+                if (isInstance(original, 'HTMLInputElement')) {
+                    clone.setAttribute("value", original.value);
+                    copyFlag('checked', original.checked);
+                }
+                if (isInstance(original, 'HTMLOptionElement')) copyFlag('selected', original.selected);
+                if (isInstance(original, 'HTMLMeterElement')) clone.setAttribute('value', original.value);
+                // Indeterminate progress bars have no position
+                if (isInstance(original, 'HTMLProgressElement') && original.position >= 0) {
+                    clone.setAttribute('value', original.value);
+                }
+            }
+
+            function copyTextAreaValue() {
+                if (clone instanceof HTMLTextAreaElement) {
+                    clone.textContent = original.value;
+                    return;
+                }
+
+                var text = document.createElement('div');
+                text.textContent = original.value;
+                if (context.options.scroll !== 'expand') {
+                    text.style.transform = 'translate(' + -original.scrollLeft + 'px, ' + -original.scrollTop + 'px)';
+                }
+                clone.textContent = '';
+                clone.appendChild(text);
+                clone.style.overflow = 'hidden';
+            }
+
+            function copyFlag(attribute, value) {
+                if (value) clone.setAttribute(attribute, '');
+                else clone.removeAttribute(attribute);
+            }
+
+            function copyScroll() {
+                var mode = context.options.scroll;
+                // Textareas have their text shifted already
+                if (mode === 'preserve' && !root && !isInstance(original, 'HTMLTextAreaElement')) {
+                    shiftScrolledChildren(original, clone);
+                }
+                if (mode === 'expand') {
+                    var expansion = scrollExpansion(original, context.expandedNodes);
+                    if (!expansion) return;
+                    setStyles(clone.style, expansion);
+                    context.expandedNodes.push(original);
+                }
+            }
+
+            function fixSvg() {
+                if (!(clone instanceof SVGElement)) return;
+                clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+
+                if (!(clone instanceof SVGRectElement)) return;
+                ['width', 'height'].forEach(function(attribute) {
                     var value = clone.getAttribute(attribute);
                     if (!value) return;
 
-                    clone.style.setProperty(attribute, value);
+                    clone.style.setProperty(attribute, value);
+                });
+            }
+        }
+    }
+
+    function embedFonts(node, context) {
+        return Promise.all([fontFaces.resolveAll(context), aaFonts.resolveAll(node, context.options.fonts, context)])
+            .then(function(cssStrings) {
+                var cssText = cssStrings.filter(Boolean).join('\n');
+                if (context.options.subsetFonts === false) return cssText;
+                return fontData.subsetCss(cssText, fontData.codePoints(node), context);
+            })
+            .then(function(cssText) {
+                context.fontCss = cssText;
+                var styleNode = document.createElement('style');
+                node.appendChild(styleNode);
+                styleNode.appendChild(document.createTextNode(cssText));
+                return node;
+            });
+    }
+
+    function inlineImages(node, context) {
+        return images.inlineAll(node, context)
+            .then(function() {
+                return node;
+            });
+    }
+
+    function makeSvgDataUri(node, width, height) {
+        return Promise.resolve(node)
+            .then(function(node) {
+                node.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
+                return new XMLSerializer().serializeToString(node);
+            })
+            .then(util.escapeXhtml)
+            .then(function(xhtml) {
+                return '<foreignObject x="0" y="0" width="100%" height="100%">' + xhtml + '</foreignObject>';
+            })
+            .then(function(foreignObject) {
+                return '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '">' +
+                    foreignObject + '</svg>';
+            })
+            .then(function(svg) {
+                return 'data:image/svg+xml;charset=utf-8,' + svg;
+            });
+    }
+
+    function newUtil() {
+        // Canvases up to 4096x4096 work in every browser, larger ones are tried out before being drawn on
+        var SAFE_CANVAS_SIDE = 4096;
+        var encodableTypes = {};
+
+        return {
+            escape: escape,
+            parseExtension: parseExtension,
+            mimeType: mimeType,
+            dataAsUrl: dataAsUrl,
+            encodeBase64: encodeBase64,
+            decodeBase64: decodeBase64,
+            asBytes: asBytes,
+            decodeText: decodeText,
+            decodeCharacterReferences: decodeCharacterReferences,
+            isDataUrl: isDataUrl,
+            canvasToBlob: canvasToBlob,
+            newCanvas: newCanvas,
+            canEncode: canEncode,
+            resolveUrl: resolveUrl,
+            getAndEncode: getAndEncode,
+            resolveResources: resolveResources,
+            fetchResource: fetchResource,
+            encodeResource: encodeResource,
+            uid: uid(),
+            delay: delay,
+            nextFrame: nextFrame,
+            whenReady: whenReady,
+            asArray: asArray,
+            escapeXhtml: escapeXhtml,
+            makeImage: makeImage,
+            width: width,
+            height: height
+        };
+
+        function mimes() {
+            /*
+             * Only WOFF and EOT mime types for fonts are 'real'
+             * see http://www.iana.org/assignments/media-types/media-types.xhtml
+             */
+            var WOFF = 'application/font-woff';
+            var JPEG = 'image/jpeg';
+
+            return {
+                'woff': WOFF,
+                'woff2': WOFF,
+                'ttf': 'application/font-truetype',
+                'eot': 'application/vnd.ms-fontobject',
+                'png': 'image/png',
+                'jpg': JPEG,
+                'jpeg': JPEG,
+                'gif': 'image/gif',
+                'tiff': 'image/tiff',
+                'svg': 'image/svg+xml'
+            };
+        }
+
+        function parseExtension(url) {
+            var match = /\.([^\.\/]*?)(\?|$)/g.exec(url);
+            if (match) return match[1];
+            else return '';
+        }
+
+        function mimeType(url) {
+            var extension = parseExtension(url).toLowerCase();
+            return mimes()[extension] || '';
+        }
+
+        function isDataUrl(url) {
+            return url.search(/^(data:)/) !== -1;
+        }
+
+        function toBlob(canvas, type, quality) {
+            return new Promise(function(resolve) {
+                var dataUrl = canvas.toDataURL(type, quality);
+                var binaryString = window.atob(dataUrl.split(',')[1]);
+                var length = binaryString.length;
+                var binaryArray = new Uint8Array(length);
+
+                for (var i = 0; i < length; i++)
+                    binaryArray[i] = binaryString.charCodeAt(i);
+
+                // The type the browser actually encoded, PNG when it does not support the requested one
+                resolve(new Blob([binaryArray], {
+                    type: dataUrl.slice(5, dataUrl.indexOf(';'))
+                }));
+            });
+        }
+
+        /**
+         * @param {HTMLCanvasElement} canvas - The canvas to encode
+         * @param {String} type - MIME type of the image, defaults to 'image/png'
+         * @param {Number} quality - between 0 and 1, for lossy types
+         * @return {Promise} - A promise that is fulfilled with the image blob, of type image/png when the browser cannot encode type
+         * */
+        function canvasToBlob(canvas, type, quality) {
+            if (canvas.toBlob)
+                return new Promise(function(resolve, reject) {
+                    canvas.toBlob(function(blob) {
+                        if (blob) resolve(blob);
+                        else reject(new Error('cannot encode the canvas as ' + (type || 'image/png')));
+                    }, type, quality);
+                });
+
+            return toBlob(canvas, type, quality);
+        }
+
+        /**
+         * @param {String} type - MIME type of the image
+         * @return {Boolean} - Whether the browser can encode canvases as images of that type
+         * */
+        function canEncode(type) {
+            if (!(type in encodableTypes)) {
+                var canvas = document.createElement('canvas');
+                canvas.width = canvas.height = 1;
+                encodableTypes[type] = canvas.toDataURL(type).indexOf('data:' + type + ';') === 0;
+            }
+            return encodableTypes[type];
+        }
+
+        /**
+         * Browsers leave canvases beyond their size limit blank instead of failing,
+         * so a pixel drawn in the bottom right corner has to read back before the canvas is drawn on.
+         * @param {Number} width - The canvas width
+         * @param {Number} height - The canvas height
+         * @return {HTMLCanvasElement} - A canvas of that size, or null when it cannot be drawn on
+         * */
+        function newCanvas(width, height) {
+            var canvas = document.createElement('canvas');
+            try {
+                canvas.width = width;
+                canvas.height = height;
+                if (width <= SAFE_CANVAS_SIDE && height <= SAFE_CANVAS_SIDE) return canvas;
+
+                var ctx = canvas.getContext('2d');
+                if (ctx) {
+                    ctx.fillRect(width - 1, height - 1, 1, 1);
+                    var fits = ctx.getImageData(width - 1, height - 1, 1, 1).data[3] === 255;
+                    ctx.clearRect(width - 1, height - 1, 1, 1);
+                    if (fits) return canvas;
+                }
+            } catch (e) {
+                // Too large to be sized or read
+            }
+            canvas.width = canvas.height = 0;
+            return null;
+        }
+
+        function resolveUrl(url, baseUrl) {
+            var doc = document.implementation.createHTMLDocument();
+            var base = doc.createElement('base');
+            doc.head.appendChild(base);
+            var a = doc.createElement('a');
+            doc.body.appendChild(a);
+            base.href = baseUrl;
+            a.href = url;
+            return a.href;
+        }
+
+        function uid() {
+            var index = 0;
+
+            return function() {
+                return 'u' + fourRandomChars() + index++;
+
+                function fourRandomChars() {
+                    /* see http://stackoverflow.com/a/6248722/2519373 */
+                    return ('0000' + (Math.random() * Math.pow(36, 4) << 0).toString(36)).slice(-4);
+                }
+            };
+        }
+
+        function makeImage(uri, context) {
+            context = context || domtoimage.impl.options;
+            if (uri === 'data:,') return Promise.resolve();
+            return new Promise(function(resolve, reject) {
+                var image = new Image();
+                if(context.useCredentials) {
+                    image.crossOrigin = 'use-credentials';
+                }
+                image.onload = function() {
+                    resolve(image);
+                };
+                image.onerror = function() {
+                    var error = new Error('cannot decode image' + (isDataUrl(uri) ? '' : ': ' + uri));
+                    error.code = 'IMAGE_DECODE';
+                    error.url = isDataUrl(uri) ? undefined : uri;
+                    reject(error);
+                };
+                image.src = uri;
+            });
+        }
+
+        /**
+         * @param {String} url - The URL of the resource
+         * @param {Object} context - The render context, defaults to domtoimage.impl.options
+         * @return {Promise} - A promise that is fulfilled with the base64-encoded resource content,
+         *          the placeholder content or an empty string when the resource cannot be fetched
+         * */
+        function getAndEncode(url, context) {
+            context = context || domtoimage.impl.options;
+
+            var startTime;
+            var resource = findResource(context.resources, url);
+            if (typeof resource !== 'undefined') return encodeResource(resource).catch(fail);
+
+            if (context.cacheBust) {
+                // Cache bypass so we dont have CORS issues with cached images
+                // Source: https://developer.mozilla.org/en/docs/Web/API/XMLHttpRequest/Using_XMLHttpRequest#Bypassing_the_cache
+                url += ((/\?/).test(url) ? "&" : "?") + (new Date()).getTime();
+            }
+
+            var placeholder;
+            if (context.imagePlaceholder) {
+                var split = context.imagePlaceholder.split(/,/);
+                if (split && split[1]) {
+                    placeholder = split[1];
+                }
+            }
+
+            var fetcher = context.fetcher || fetchResource;
+            startTime = Date.now();
+            return Promise.resolve()
+                .then(function() {
+                    return fetcher(url, {
+                        timeout: context.fetchTimeout,
+                        retries: context.fetchRetries,
+                        backoff: context.fetchBackoff,
+                        useCredentials: context.useCredentials
+                    });
+                })
+                .then(encodeResource)
+                .catch(function(error) {
+                    fail(error);
+                    return placeholder || '';
+                });
+
+            function fail(error) {
+                var code = error.code === 'TIMEOUT' ? 'TIMEOUT' : 'FETCH_FAILED';
+                reportWarning(context, code, error.message || String(error), {
+                    url: url,
+                    duration: startTime ? Date.now() - startTime : undefined
+                });
+                return '';
+            }
+        }
+
+        /**
+         * The built-in fetcher, retrying network errors, timeouts and server errors with exponential backoff.
+         * @param {String} url - The URL of the resource
+         * @param {Object} options - Fetch options
+         * @param {Number} options.timeout - timeout of every attempt in milliseconds, defaults to 30000
+         * @param {Number} options.retries - number of retries after the first attempt, defaults to 0
+         * @param {Number} options.backoff - delay before the first retry in milliseconds, doubled for every next one, defaults to 200
+         * @param {Boolean} options.useCredentials - send credentials with cross-origin requests
+         * @return {Promise} - A promise that is fulfilled with the resource Blob
+         * */
+        function fetchResource(url, options) {
+            options = options || {};
+            var timeout = typeof(options.timeout) === 'number' ? options.timeout : 30000;
+            var retries = options.retries || 0;
+            var backoff = typeof(options.backoff) === 'number' ? options.backoff : 200;
+            var attempt = 0;
+
+            return fetchWithRetries();
+
+            function fetchWithRetries() {
+                return fetchOnce()
+                    .catch(function(error) {
+                        if (!error.retry || attempt >= retries) throw error;
+                        return delay(backoff * Math.pow(2, attempt++))()
+                            .then(fetchWithRetries);
+                    });
+            }
+
+            function fetchOnce() {
+                var controller = typeof AbortController === 'undefined' ? null : new AbortController();
+
+                return new Promise(function(resolve, reject) {
+                    var timer = setTimeout(function() {
+                        if (controller) controller.abort();
+                        var error = fetchError('timeout of ' + timeout + 'ms occured while fetching resource: ' + url, true);
+                        error.code = 'TIMEOUT';
+                        reject(error);
+                    }, timeout);
+
+                    fetch(url, {
+                            credentials: options.useCredentials ? 'include' : 'same-origin',
+                            signal: controller ? controller.signal : undefined
+                        })
+                        .then(function(response) {
+                            if (!response.ok) throw fetchError('cannot fetch resource: ' + url + ', status: ' + response.status, response.status >= 500);
+                            return response.blob();
+                        }, function(error) {
+                            throw fetchError('cannot fetch resource: ' + url + ', ' + error.message, true);
+                        })
+                        .then(function(blob) {
+                            clearTimeout(timer);
+                            resolve(blob);
+                        }, function(error) {
+                            clearTimeout(timer);
+                            reject(error);
+                        });
+                });
+            }
+
+            function fetchError(message, retry) {
+                var error = new Error(message);
+                error.retry = retry;
+                return error;
+            }
+        }
+
+        function findResource(resources, url) {
+            resources = resolveResources(resources);
+            if (!resources) return undefined;
+            return resources.has(url) ? resources.get(url) : resources.get(resolveUrl(url, document.baseURI));
+        }
+
+        /**
+         * Render contexts resolve the keys of options.resources once, rather than on every fetch.
+         * @param {Object|Map} resources - map of URLs to resources, or one already resolved
+         * @return {Map} - The resources by their URLs as given and as absolute URLs, the URLs as given taking precedence
+         * */
+        function resolveResources(resources) {
+            if (!resources || resources instanceof Map) return resources;
+
+            var resolved = new Map();
+            var keys = Object.keys(resources);
+            keys.forEach(function(key) {
+                var absoluteUrl = resolveUrl(key, document.baseURI);
+                if (!resolved.has(absoluteUrl)) resolved.set(absoluteUrl, resources[key]);
+            });
+            keys.forEach(function(key) {
+                resolved.set(key, resources[key]);
+            });
+            return resolved;
+        }
+
+        /**
+         * @param {String|Blob|ArrayBuffer|Uint8Array} resource - A data URL, or the raw resource content
+         * @return {Promise} - A promise that is fulfilled with the base64-encoded content
+         * */
+        function encodeResource(resource) {
+            if (typeof resource === 'string') {
+                if (!isDataUrl(resource)) return Promise.reject(new Error('resource content must be a data URL, a Blob or an ArrayBuffer'));
+                var split = resource.split(/,/);
+                if (/;base64$/.test(split[0])) return Promise.resolve(split.slice(1).join(','));
+                return Promise.resolve(encodeBase64(new TextEncoder().encode(decodeURIComponent(split.slice(1).join(',')))));
+            }
+
+            if (typeof Blob !== 'undefined' && resource instanceof Blob) {
+                return new Promise(function(resolve, reject) {
+                    var encoder = new FileReader();
+                    encoder.onloadend = function() {
+                        if (encoder.error) reject(encoder.error);
+                        else resolve(encoder.result.split(/,/)[1] || '');
+                    };
+                    encoder.readAsDataURL(resource);
+                });
+            }
+
+            return Promise.resolve(encodeBase64(resource));
+        }
+
+        function dataAsUrl(content, type) {
+            return 'data:' + type + ';base64,' + content;
+        }
+
+        function encodeBase64(data) {
+            var bytes = asBytes(data);
+            var CHUNK = 0x8000;
+            var binaryString = '';
+            for (var i = 0; i < bytes.length; i += CHUNK)
+                binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+            return window.btoa(binaryString);
+        }
+
+        function asBytes(data) {
+            if (data instanceof Uint8Array) return data;
+            if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            return new Uint8Array(data);
+        }
+
+        function decodeBase64(content) {
+            var binaryString = window.atob(content);
+            var bytes = new Uint8Array(binaryString.length);
+            for (var i = 0; i < binaryString.length; i++) bytes[i] = binaryString.charCodeAt(i);
+            return bytes;
+        }
+
+        function escape(string) {
+            return string.replace(/([.*+?^${}()|\[\]\/\\])/g, '\\$1');
+        }
+
+        function delay(ms) {
+            return function(arg) {
+                return new Promise(function(resolve) {
+                    setTimeout(function() {
+                        resolve(arg);
+                    }, ms);
+                });
+            };
+        }
+
+        /**
+         * @return {Promise} - A promise that is fulfilled in the next animation frame, or after a timeout in hidden
+         *          documents, which get no animation frames
+         * */
+        function nextFrame() {
+            var FRAME_TIMEOUT = 100;
+            return new Promise(function(resolve) {
+                if (typeof requestAnimationFrame === 'function') requestAnimationFrame(resolve);
+                setTimeout(resolve, FRAME_TIMEOUT);
+            });
+        }
+
+        /**
+         * @param {Image} image - The image made from the SVG data URL
+         * @param {Number} timeout - maximum time in milliseconds to wait, defaults to 3000
+         * @param {Promise} faces - optional promise of the fonts embedded in the image loading, @see {@link fontFaces.loadAll}
+         * @return {Promise} - A promise that is fulfilled with the image once the document and embedded fonts are loaded
+         *          and the image is decoded, or once the timeout elapses
+         * */
+        function whenReady(image, timeout, faces) {
+            var READY_TIMEOUT = 3000;
+            if (!image) return Promise.resolve(image);
+
+            timeout = typeof timeout === 'number' ? timeout : READY_TIMEOUT;
+            var deadline = Date.now() + timeout;
+            var timer;
+            var ready = Promise.all([fontsLoaded(), faces, decoded()]);
+            var timedOut = new Promise(function(resolve) {
+                timer = setTimeout(resolve, timeout);
+            });
+            return Promise.race([ready, timedOut])
+                .then(function() {
+                    clearTimeout(timer);
+                    return image;
+                });
+
+            function fontsLoaded() {
+                if (document.fonts && document.fonts.ready) return document.fonts.ready;
+                return Promise.resolve();
+            }
+
+            function decoded() {
+                if (typeof image.decode !== 'function') return poll();
+                // Some browsers reject decode() for SVG images they can still draw
+                return image.decode().catch(poll);
+            }
+
+            function poll() {
+                var POLL_INTERVAL = 10;
+                return new Promise(function(resolve) {
+                    check();
+
+                    function check() {
+                        if ((image.complete && image.naturalWidth !== 0) || Date.now() > deadline) resolve();
+                        else setTimeout(check, POLL_INTERVAL);
+                    }
+                });
+            }
+        }
+
+        function asArray(arrayLike) {
+            var array = [];
+            var length = arrayLike.length;
+            for (var i = 0; i < length; i++) array.push(arrayLike[i]);
+            return array;
+        }
+
+        function encodings() {
+            /*
+             * The WHATWG Shift_JIS decoder is Windows-31J (CP932), so NEC special characters,
+             * NEC-selected IBM extensions and IBM extensions are all covered by it
+             */
+            var SHIFT_JIS = 'shift_jis';
+            var EUC_JP = 'euc-jp';
+
+            return {
+                'shift_jis': SHIFT_JIS,
+                'shift-jis': SHIFT_JIS,
+                'sjis': SHIFT_JIS,
+                'cp932': SHIFT_JIS,
+                'ms932': SHIFT_JIS,
+                'windows-31j': SHIFT_JIS,
+                'euc-jp': EUC_JP,
+                'eucjp': EUC_JP,
+                'utf-8': 'utf-8',
+                'utf8': 'utf-8'
+            };
+        }
+
+        /**
+         * @param {ArrayBuffer|Uint8Array} data - The encoded AA text
+         * @param {String} encoding - 'shift_jis', 'cp932', 'euc-jp', 'utf-8' or 'auto' (the default)
+         * @return {String} - The decoded text with numeric character references resolved
+         * */
+        function decodeText(data, encoding) {
+            var bytes = asBytes(data);
+            var label = (encoding || 'auto').toLowerCase();
+
+            if (typeof TextDecoder === 'undefined') throw new Error('TextDecoder is not supported, cannot decode ' + label);
+            if (label === 'auto') label = detectEncoding(bytes);
+            else if (!encodings()[label]) throw new Error('unsupported AA text encoding: ' + encoding);
+
+            return decodeCharacterReferences(new TextDecoder(encodings()[label]).decode(bytes));
+        }
+
+        function detectEncoding(bytes) {
+            if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+
+            var candidates = ['utf-8', 'shift_jis', 'euc-jp']
+                .map(function(label) {
+                    try {
+                        return {
+                            label: label,
+                            score: score(new TextDecoder(encodings()[label], { fatal: true }).decode(bytes))
+                        };
+                    } catch (e) {
+                        return { label: label, score: -1 };
+                    }
+                })
+                .sort(function(a, b) {
+                    return b.score - a.score;
+                });
+
+            return candidates[0].score < 0 ? 'shift_jis' : candidates[0].label;
+
+            // Full width characters count for, rare and private use ones against the candidate
+            function score(text) {
+                return count(/[\u3000-\u30ff\u4e00-\u9fff\uff01-\uff5e\u2500-\u257f]/g) - 2 * count(/[\u0080-\u00ff\ue000-\uf8ff]/g);
+
+                function count(pattern) {
+                    var match = text.match(pattern);
+                    return match ? match.length : 0;
+                }
+            }
+        }
+
+        function decodeCharacterReferences(text) {
+            return text.replace(/&#(x[0-9a-f]+|[0-9]+);/gi, function(reference, code) {
+                var codePoint = code[0] === 'x' || code[0] === 'X' ? parseInt(code.slice(1), 16) : parseInt(code, 10);
+                if (codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) return reference;
+                return String.fromCodePoint(codePoint);
+            });
+        }
+
+        function escapeXhtml(string) {
+            return string.replace(/#/g, '%23').replace(/\n/g, '%0A');
+        }
+
+        function width(node) {
+            var leftBorder = px(node, 'border-left-width');
+            var rightBorder = px(node, 'border-right-width');
+            return node.scrollWidth + leftBorder + rightBorder;
+        }
+
+        function height(node) {
+            var topBorder = px(node, 'border-top-width');
+            var bottomBorder = px(node, 'border-bottom-width');
+            return node.scrollHeight + topBorder + bottomBorder;
+        }
+
+        function px(node, styleProperty) {
+            var value = window.getComputedStyle(node).getPropertyValue(styleProperty);
+            return parseFloat(value.replace('px', ''));
+        }
+    }
+
+    function newInliner() {
+        var URL_REGEX = /url\(['"]?([^'"]+?)['"]?\)/g;
+
+        return {
+            inlineAll: inlineAll,
+            shouldProcess: shouldProcess,
+            impl: {
+                readUrls: readUrls,
+                inline: inline
+            }
+        };
+
+        function shouldProcess(string) {
+            return string.search(URL_REGEX) !== -1;
+        }
+
+        function readUrls(string) {
+            var result = [];
+            var match;
+            while ((match = URL_REGEX.exec(string)) !== null) {
+                result.push(match[1]);
+            }
+            return result.filter(function(url) {
+                return !util.isDataUrl(url);
+            });
+        }
+
+        function inline(string, url, baseUrl, get) {
+            return Promise.resolve(url)
+                .then(function(url) {
+                    return baseUrl ? util.resolveUrl(url, baseUrl) : url;
+                })
+                .then(get || util.getAndEncode)
+                .then(function(data) {
+                    return util.dataAsUrl(data, util.mimeType(url));
+                })
+                .then(function(dataUrl) {
+                    return string.replace(urlAsRegex(url), '$1' + dataUrl + '$3');
+                });
+
+            function urlAsRegex(url) {
+                return new RegExp('(url\\([\'"]?)(' + util.escape(url) + ')([\'"]?\\))', 'g');
+            }
+        }
+
+        function inlineAll(string, baseUrl, get) {
+            if (nothingToInline()) return Promise.resolve(string);
+
+            return Promise.resolve(string)
+                .then(readUrls)
+                .then(function(urls) {
+                    var done = Promise.resolve(string);
+                    urls.forEach(function(url) {
+                        done = done.then(function(string) {
+                            return inline(string, url, baseUrl, get);
+                        });
+                    });
+                    return done;
+                });
+
+            function nothingToInline() {
+                return !shouldProcess(string);
+            }
+        }
+    }
+
+    function newFontFaces() {
+        return {
+            resolveAll: resolveAll,
+            loadAll: loadAll,
+            impl: {
+                readAll: readAll
+            }
+        };
+
+        /**
+         * Loads the embedded faces as FontFaces of their own, never added to document.fonts:
+         * document.fonts.ready only tells about the fonts of the document, not those of the image.
+         * @param {String} cssText - The @font-face CSS embedded in the image
+         * @param {Object} context - The render context, faces failing to load are reported as FONT_MISSING warnings
+         * @return {Promise} - A promise that is fulfilled once every face has loaded or failed to
+         * */
+        function loadAll(cssText, context) {
+            if (!cssText || typeof FontFace === 'undefined') return Promise.resolve();
+
+            var doc = document.implementation.createHTMLDocument('');
+            var style = doc.createElement('style');
+            style.textContent = cssText;
+            doc.head.appendChild(style);
+
+            return Promise.all(
+                util.asArray(style.sheet ? style.sheet.cssRules : [])
+                .filter(function(rule) {
+                    return rule.type === CSSRule.FONT_FACE_RULE;
+                })
+                .map(function(rule) {
+                    var family = rule.style.getPropertyValue('font-family').replace(/^["']|["']$/g, '');
+                    var descriptors = {};
+                    Object.keys(FONT_FACE_DESCRIPTORS).forEach(function(descriptor) {
+                        var value = rule.style.getPropertyValue(FONT_FACE_DESCRIPTORS[descriptor]);
+                        if (value) descriptors[descriptor] = value;
+                    });
+
+                    return Promise.resolve()
+                        .then(function() {
+                            return new FontFace(family, rule.style.getPropertyValue('src'), descriptors).load();
+                        })
+                        .catch(function(error) {
+                            reportWarning(context, 'FONT_MISSING', 'cannot load embedded font: ' + family, { reason: error });
+                        });
+                })
+            );
+        }
+
+        function resolveAll(context) {
+            return readAll(context)
+                .then(function(webFonts) {
+                    return Promise.all(
+                        webFonts.map(function(webFont) {
+                            return webFont.resolve(function(url) {
+                                return util.getAndEncode(url, context);
+                            });
+                        })
+                    );
+                })
+                .then(function(cssStrings) {
+                    return cssStrings.join('\n');
+                });
+        }
+
+        function readAll(context) {
+            return Promise.resolve(util.asArray(document.styleSheets).concat(context ? context.styleSheets || [] : []))
+                .then(getCssRules)
+                .then(selectWebFontRules)
+                .then(function(rules) {
+                    return rules.map(newWebFont);
+                });
+
+            function selectWebFontRules(cssRules) {
+                return cssRules
+                    .filter(function(rule) {
+                        return rule.type === CSSRule.FONT_FACE_RULE;
+                    })
+                    .filter(function(rule) {
+                        return inliner.shouldProcess(rule.style.getPropertyValue('src'));
+                    });
+            }
+
+            function getCssRules(styleSheets) {
+                var cssRules = [];
+                styleSheets.forEach(function(sheet) {
+                    if (sheet.hasOwnProperty("cssRules")) {
+                        try {
+                            util.asArray(sheet.cssRules || []).forEach(cssRules.push.bind(cssRules));
+                        } catch (e) {
+                            reportWarning(context, 'CORS_STYLESHEET', 'Error while reading CSS rules from ' + sheet.href + ', ' + e.toString(), {
+                                url: sheet.href,
+                                node: sheet.ownerNode
+                            });
+                        }
+                    }
+                });
+                return cssRules;
+            }
+
+            function newWebFont(webFontRule) {
+                return {
+                    resolve: function resolve(get) {
+                        var baseUrl = (webFontRule.parentStyleSheet || {}).href;
+                        return inliner.inlineAll(webFontRule.cssText, baseUrl, get);
+                    },
+                    src: function() {
+                        return webFontRule.style.getPropertyValue('src');
+                    }
+                };
+            }
+        }
+    }
+
+    function newImages() {
+        return {
+            inlineAll: inlineAll,
+            impl: {
+                newImage: newImage
+            }
+        };
+
+        function newImage(element) {
+            return {
+                inline: inline
+            };
+
+            function inline(get, context) {
+                if (util.isDataUrl(element.src)) return Promise.resolve();
+
+                var url = element.src;
+                var fetched;
+                return Promise.resolve(url)
+                    .then(get || util.getAndEncode)
+                    .then(function(data) {
+                        fetched = !!data;
+                        return util.dataAsUrl(data, util.mimeType(url));
+                    })
+                    .then(function(dataUrl) {
+                        return new Promise(function(resolve, reject) {
+                            element.onload = resolve;
+                            // for any image with invalid src(such as <img src />), just ignore it
+                            element.onerror = function() {
+                                try {
+                                    if (fetched) reportWarning(context, 'IMAGE_DECODE', 'cannot decode image: ' + url, {
+                                        url: url,
+                                        node: element
+                                    });
+                                    resolve();
+                                } catch (error) {
+                                    reject(error);
+                                }
+                            };
+                            element.src = dataUrl;
+                        });
+                    });
+            }
+        }
+
+        function inlineAll(node, context) {
+            if (!(node instanceof Element)) return Promise.resolve(node);
+
+            return inlineBackground(node)
+                .then(function() {
+                    if (node instanceof HTMLImageElement)
+                        return newImage(node).inline(get, context);
+                    else
+                        return Promise.all(
+                            util.asArray(node.childNodes).map(function(child) {
+                                return inlineAll(child, context);
+                            })
+                        );
+                });
+
+            function get(url) {
+                return util.getAndEncode(url, context);
+            }
+
+            function inlineBackground(node) {
+                var background = node.style.getPropertyValue('background');
+
+                if (!background) return Promise.resolve(node);
+
+                return inliner.inlineAll(background, undefined, get)
+                    .then(function(inlined) {
+                        node.style.setProperty(
+                            'background',
+                            inlined,
+                            node.style.getPropertyPriority('background')
+                        );
+                    })
+                    .then(function() {
+                        return node;
+                    });
+            }
+        }
+    }
+
+    function newFontData() {
+        // Known table tags of the WOFF2 table directory, in the order of their index
+        var WOFF2_TAGS = [
+            'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep',
+            'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE',
+            'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt',
+            'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar',
+            'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+        ];
+        // Tables a subset keeps as they are, the glyph tables are rebuilt and everything else is dropped
+        var KEPT_TABLES = ['OS/2', 'name', 'cvt ', 'fpgm', 'prep', 'gasp'];
+        // Layout tables referencing glyphs by their IDs, which subsets of fonts having them keep
+        var LAYOUT_TABLES = ['GDEF', 'GSUB', 'GPOS', 'kern'];
+        // GSUB lookup types
+        var SINGLE = 1;
+        var MULTIPLE = 2;
+        var ALTERNATE = 3;
+        var LIGATURE = 4;
+        var EXTENSION = 7;
+        var REVERSE_CHAINING = 8;
+        var SFNT_VERSION = 0x00010000;
+        var COLLECTION = 0x74746366;
+        var CACHE_SIZE = 16;
+
+        // Composite glyph flags
+        var ARG_1_AND_2_ARE_WORDS = 0x0001;
+        var ARGS_ARE_XY_VALUES = 0x0002;
+        var WE_HAVE_A_SCALE = 0x0008;
+        var MORE_COMPONENTS = 0x0020;
+        var WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+        var WE_HAVE_A_TWO_BY_TWO = 0x0080;
+        var WE_HAVE_INSTRUCTIONS = 0x0100;
+
+        var cache = new Map();
+        var decompressors = {
+            deflate: nativeDecompressor('deflate'),
+            brotli: nativeDecompressor('brotli')
+        };
+
+        return {
+            parse: parse,
+            load: load,
+            subset: subset,
+            subsetDataUrl: subsetDataUrl,
+            subsetCss: subsetCss,
+            codePoints: codePoints,
+            glyphPath: glyphPath,
+            decompressors: decompressors,
+            impl: {
+                readSfnt: readSfnt,
+                readWoff: readWoff,
+                readWoff2: readWoff2,
+                writeSfnt: writeSfnt
+            }
+        };
+
+        /**
+         * @param {ArrayBuffer|Uint8Array} data - A TrueType/OpenType, WOFF or WOFF2 font file
+         * @return {Promise} - A promise that is fulfilled with the parsed font
+         * */
+        function parse(data) {
+            var bytes = util.asBytes(data);
+            var signature = readTag(bytes, 0);
+
+            return Promise.resolve()
+                .then(function() {
+                    if (signature === 'wOF2') return readWoff2(bytes);
+                    if (signature === 'wOFF') return readWoff(bytes);
+                    return readSfnt(bytes);
+                });
+        }
+
+        /**
+         * @param {String} dataUrl - A base64 font data URL
+         * @return {Promise} - A promise that is fulfilled with the parsed font, cached by data URL
+         * */
+        function load(dataUrl) {
+            return cached(dataUrl).font;
+        }
+
+        function cached(dataUrl) {
+            var entry = cache.get(dataUrl);
+            if (entry) return entry;
+
+            entry = {
+                font: Promise.resolve(dataUrl)
+                    .then(function(dataUrl) {
+                        if (!/^data:[^,]*;base64,/.test(dataUrl)) throw new Error('font is not a base64 data URL');
+                        return parse(util.decodeBase64(dataUrl.split(/,/)[1]));
+                    }),
+                subsets: new Map()
+            };
+            remember(cache, dataUrl, entry);
+            return entry;
+        }
+
+        function remember(map, key, value) {
+            map.set(key, value);
+            if (map.size > CACHE_SIZE) map.delete(map.keys().next().value);
+        }
+
+        /**
+         * @param {String} dataUrl - A base64 font data URL
+         * @param {Array} codePoints - The code points the subset has to cover
+         * @return {Promise} - A promise that is fulfilled with the {dataUrl, format} of the subset font, cached by glyph set,
+         *          or with the {dataUrl, error} of the whole font when it cannot be subset (CFF outlines, missing decompression support)
+         * */
+        function subsetDataUrl(dataUrl, codePoints) {
+            var entry = cached(dataUrl);
+            var key = codePoints.join(',');
+            var subsetted = entry.subsets.get(key);
+            if (subsetted) return subsetted;
+
+            subsetted = entry.font
+                .then(function(font) {
+                    return {
+                        dataUrl: util.dataAsUrl(util.encodeBase64(subset(font, codePoints)), 'font/ttf'),
+                        format: 'truetype'
+                    };
+                })
+                .catch(function(error) {
+                    return {
+                        dataUrl: dataUrl,
+                        format: null,
+                        error: error
+                    };
+                });
+            remember(entry.subsets, key, subsetted);
+            return subsetted;
+        }
+
+        /**
+         * @param {String} cssText - @font-face rules with inlined data URLs
+         * @param {Array} codePoints - The code points the subsets have to cover
+         * @param {Object} context - The render context the fonts embedded whole are reported to
+         * @return {Promise} - A promise that is fulfilled with the CSS text referencing the subset fonts
+         * */
+        function subsetCss(cssText, codePoints, context) {
+            var FONT_URL = /url\((['"]?)(data:[^'")]+)\1\)(\s*format\((['"]?)[^'")]*\4\))?/g;
+            var matches = [];
+            var match;
+            while ((match = FONT_URL.exec(cssText)) !== null) matches.push(match);
+            if (!matches.length) return Promise.resolve(cssText);
+
+            return Promise.all(
+                    matches.map(function(match) {
+                        return subsetDataUrl(match[2], codePoints)
+                            .then(function(subsetted) {
+                                if (subsetted.error) {
+                                    reportWarning(context, 'FONT_NOT_SUBSET',
+                                        'cannot subset font, embedding it whole: ' + subsetted.error.message);
+                                }
+                                if (!subsetted.format) return match[0];
+                                return 'url(' + subsetted.dataUrl + ') format("' + subsetted.format + '")';
+                            });
+                    })
+                )
+                .then(function(replacements) {
+                    var index = 0;
+                    return cssText.replace(FONT_URL, function() {
+                        return replacements[index++];
+                    });
+                });
+        }
+
+        /**
+         * @param {Node} node - The cloned node
+         * @return {Array} - The sorted code points of the text, input values and pseudo-element content in the tree
+         * */
+        function codePoints(node) {
+            var found = {};
+
+            collect(node);
+            return Object.keys(found)
+                .map(Number)
+                .sort(function(a, b) {
+                    return a - b;
+                });
+
+            function collect(node) {
+                if (node.nodeType === 3) {
+                    add(node.data);
+                } else if (node instanceof HTMLStyleElement) {
+                    addContent(node.textContent);
+                } else if (node instanceof Element) {
+                    if (node.hasAttribute('value')) add(node.getAttribute('value'));
+                    util.asArray(node.childNodes).forEach(collect);
+                }
+            }
+
+            function addContent(cssText) {
+                var CONTENT = /content\s*:\s*(["'])((?:\\.|(?!\1)[^\\])*)\1/g;
+                var match;
+                while ((match = CONTENT.exec(cssText)) !== null) add(match[2]);
+            }
+
+            // Both cases, text-transform may change the glyphs actually drawn
+            function add(text) {
+                [text, text.toUpperCase(), text.toLowerCase()].forEach(function(text) {
+                    for (var i = 0; i < text.length; i++) {
+                        var codePoint = text.codePointAt(i);
+                        if (codePoint > 0xFFFF) i++;
+                        found[codePoint] = true;
+                    }
+                });
+            }
+        }
+
+        function nativeDecompressor(format) {
+            if (typeof DecompressionStream === 'undefined') return null;
+            try {
+                new DecompressionStream(format);
+            } catch (e) {
+                return null;
+            }
+
+            return function(bytes) {
+                var stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+                return new Response(stream).arrayBuffer();
+            };
+        }
+
+        function decompress(format, bytes) {
+            var decompressor = decompressors[format];
+            if (!decompressor) return Promise.reject(new Error(format + ' decompression is not supported, cannot read font'));
+            return Promise.resolve(decompressor(bytes)).then(util.asBytes);
+        }
+
+        function readSfnt(bytes) {
+            var data = view(bytes);
+            var flavor = data.getUint32(0);
+            if (flavor === COLLECTION) throw new Error('font collections are not supported');
+
+            var tables = {};
+            for (var i = 0; i < data.getUint16(4); i++) {
+                var record = 12 + i * 16;
+                var offset = data.getUint32(record + 8);
+                tables[readTag(bytes, record)] = bytes.subarray(offset, offset + data.getUint32(record + 12));
+            }
+            return newFont(flavor, tables);
+        }
+
+        function readWoff(bytes) {
+            var data = view(bytes);
+            var entries = [];
+            for (var i = 0; i < data.getUint16(12); i++) {
+                var record = 44 + i * 20;
+                entries.push({
+                    tag: readTag(bytes, record),
+                    offset: data.getUint32(record + 4),
+                    compLength: data.getUint32(record + 8),
+                    origLength: data.getUint32(record + 12)
+                });
+            }
+
+            return Promise.all(
+                    entries.map(function(entry) {
+                        var stored = bytes.subarray(entry.offset, entry.offset + entry.compLength);
+                        return entry.compLength < entry.origLength ? decompress('deflate', stored) : stored;
+                    })
+                )
+                .then(function(contents) {
+                    var tables = {};
+                    entries.forEach(function(entry, index) {
+                        tables[entry.tag] = contents[index];
+                    });
+                    return newFont(data.getUint32(4), tables);
+                });
+        }
+
+        function readWoff2(bytes) {
+            var data = view(bytes);
+            var flavor = data.getUint32(4);
+            if (flavor === COLLECTION) throw new Error('font collections are not supported');
+
+            var input = newReader(bytes, 48);
+            var entries = [];
+            for (var i = 0; i < data.getUint16(12); i++) {
+                var flags = input.uint8();
+                var tag = (flags & 0x3f) === 0x3f ? readTag(bytes, input.skip(4)) : WOFF2_TAGS[flags & 0x3f];
+                var version = flags >> 6;
+                var origLength = input.base128();
+                // glyf and loca are transformed by version 0, every other table by versions other than 0
+                var transformed = tag === 'glyf' || tag === 'loca' ? version === 0 : version !== 0;
+                entries.push({
+                    tag: tag,
+                    transformed: transformed,
+                    length: transformed ? input.base128() : origLength
+                });
+            }
+
+            return decompress('brotli', bytes.subarray(input.position, input.position + data.getUint32(20)))
+                .then(function(stream) {
+                    var tables = {};
+                    var position = 0;
+                    entries.forEach(function(entry) {
+                        tables[entry.tag] = stream.subarray(position, position + entry.length);
+                        position += entry.length;
+                    });
+
+                    var transformed = {};
+                    entries.forEach(function(entry) {
+                        transformed[entry.tag] = entry.transformed;
+                    });
+
+                    var xMins;
+                    if (transformed.glyf) {
+                        var glyf = reconstructGlyf(tables.glyf);
+                        tables.glyf = glyf.glyf;
+                        tables.loca = glyf.loca;
+                        xMins = glyf.xMins;
+                    }
+                    if (transformed.hmtx) tables.hmtx = reconstructHmtx(tables, xMins);
+                    return newFont(flavor, tables);
+                });
+        }
+
+        // See https://www.w3.org/TR/WOFF2/#glyf_table_format
+        function reconstructGlyf(bytes) {
+            var data = view(bytes);
+            var optionFlags = data.getUint16(2);
+            var numGlyphs = data.getUint16(4);
+            var indexFormat = data.getUint16(6);
+
+            var offset = 36;
+            var streams = ['nContour', 'nPoints', 'flag', 'glyph', 'composite', 'bbox', 'instruction']
+                .reduce(function(streams, name, index) {
+                    var size = data.getUint32(8 + index * 4);
+                    streams[name] = newReader(bytes.subarray(offset, offset + size), 0);
+                    offset += size;
+                    return streams;
+                }, {});
+            var overlapBitmap = optionFlags & 1 ? bytes.subarray(offset, offset + ((numGlyphs + 7) >> 3)) : null;
+            var bboxBitmap = streams.bbox.source.subarray(0, ((numGlyphs + 31) >> 5) << 2);
+            streams.bbox.skip(bboxBitmap.length);
+
+            var glyphs = [];
+            var xMins = [];
+            for (var i = 0; i < numGlyphs; i++) {
+                var nContours = streams.nContour.int16();
+                var hasBbox = bboxBitmap[i >> 3] & (0x80 >> (i & 7));
+
+                if (nContours === 0) {
+                    glyphs.push(new Uint8Array(0));
+                    xMins.push(0);
+                } else if (nContours < 0) {
+                    glyphs.push(compositeGlyph());
+                    xMins.push(view(glyphs[i]).getInt16(2));
+                } else {
+                    glyphs.push(simpleGlyph(nContours, hasBbox, overlapBitmap && overlapBitmap[i >> 3] & (0x80 >> (i & 7))));
+                    xMins.push(view(glyphs[i]).getInt16(2));
+                }
+            }
+
+            var loca = writeLoca(glyphs, indexFormat);
+            return {
+                glyf: loca.glyf,
+                loca: loca.loca,
+                xMins: xMins
+            };
+
+            function compositeGlyph() {
+                var start = streams.composite.position;
+                var flags;
+                var haveInstructions = false;
+                do {
+                    flags = streams.composite.uint16();
+                    haveInstructions = haveInstructions || !!(flags & WE_HAVE_INSTRUCTIONS);
+                    streams.composite.skip(2 + componentArgumentsLength(flags));
+                } while (flags & MORE_COMPONENTS);
+                var components = streams.composite.source.subarray(start, streams.composite.position);
+
+                var instructions = new Uint8Array(0);
+                if (haveInstructions) instructions = streams.instruction.read(streams.glyph.uint255());
+
+                var out = newWriter(10 + components.length + (haveInstructions ? 2 + instructions.length : 0));
+                out.int16(-1);
+                for (var k = 0; k < 4; k++) out.int16(streams.bbox.int16());
+                out.bytes(components);
+                if (haveInstructions) {
+                    out.uint16(instructions.length);
+                    out.bytes(instructions);
+                }
+                return out.result();
+            }
+
+            function simpleGlyph(nContours, hasBbox, overlaps) {
+                var endPoints = [];
+                var nPoints = 0;
+                for (var c = 0; c < nContours; c++) {
+                    nPoints += streams.nPoints.uint255();
+                    endPoints.push(nPoints - 1);
+                }
+
+                var points = [];
+                var x = 0;
+                var y = 0;
+                for (var p = 0; p < nPoints; p++) {
+                    var flag = streams.flag.uint8();
+                    var delta = readTriplet(flag & 0x7f, streams.glyph);
+                    x += delta.x;
+                    y += delta.y;
+                    points.push({
+                        x: x,
+                        y: y,
+                        onCurve: !(flag >> 7)
+                    });
+                }
+
+                var instructions = streams.instruction.read(streams.glyph.uint255());
+                var bbox = hasBbox ? [streams.bbox.int16(), streams.bbox.int16(), streams.bbox.int16(), streams.bbox.int16()] : boundingBox(points);
+                return writeSimpleGlyph(endPoints, points, instructions, bbox, overlaps);
+            }
+        }
+
+        // See https://www.w3.org/TR/WOFF2/#triplet_decoding
+        function readTriplet(flag, input) {
+            var b0, b1, b2;
+
+            if (flag < 10) return delta(0, sign(flag, ((flag & 14) << 7) + input.uint8()));
+            if (flag < 20) return delta(sign(flag, (((flag - 10) & 14) << 7) + input.uint8()), 0);
+            if (flag < 84) {
+                b0 = flag - 20;
+                b1 = input.uint8();
+                return delta(sign(flag, 1 + (b0 & 0x30) + (b1 >> 4)), sign(flag >> 1, 1 + ((b0 & 0x0c) << 2) + (b1 & 0x0f)));
+            }
+            if (flag < 120) {
+                b0 = flag - 84;
+                b1 = input.uint8();
+                b2 = input.uint8();
+                return delta(sign(flag, 1 + (Math.floor(b0 / 12) << 8) + b1), sign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + b2));
+            }
+            if (flag < 124) {
+                b0 = input.uint8();
+                b1 = input.uint8();
+                b2 = input.uint8();
+                return delta(sign(flag, (b0 << 4) + (b1 >> 4)), sign(flag >> 1, ((b1 & 0x0f) << 8) + b2));
+            }
+            b0 = input.uint16();
+            b1 = input.uint16();
+            return delta(sign(flag, b0), sign(flag >> 1, b1));
+
+            function sign(flag, value) {
+                return flag & 1 ? value : -value;
+            }
+
+            function delta(x, y) {
+                return {
+                    x: x,
+                    y: y
+                };
+            }
+        }
+
+        // See https://www.w3.org/TR/WOFF2/#hmtx_table_format
+        function reconstructHmtx(tables, xMins) {
+            var input = newReader(tables.hmtx, 0);
+            var flags = input.uint8();
+            var numGlyphs = view(tables.maxp).getUint16(4);
+            var numberOfHMetrics = view(tables.hhea).getUint16(34);
+
+            var advanceWidths = [];
+            var i;
+            for (i = 0; i < numberOfHMetrics; i++) advanceWidths.push(input.uint16());
+
+            var out = newWriter(numberOfHMetrics * 2 + numGlyphs * 2);
+            for (i = 0; i < numberOfHMetrics; i++) {
+                out.uint16(advanceWidths[i]);
+                out.int16(flags & 1 ? xMins[i] : input.int16());
+            }
+            for (i = numberOfHMetrics; i < numGlyphs; i++) out.int16(flags & 2 ? xMins[i] : input.int16());
+            return out.result();
+        }
+
+        function newFont(flavor, tables) {
+            ['head', 'hhea', 'maxp', 'hmtx', 'cmap'].forEach(function(tag) {
+                if (!tables[tag]) throw new Error('font has no ' + tag + ' table');
+            });
+
+            var head = view(tables.head);
+            var hhea = view(tables.hhea);
+            var numberOfHMetrics = hhea.getUint16(34);
+            var characters = null;
+
+            return {
+                flavor: flavor,
+                tables: tables,
+                unitsPerEm: head.getUint16(18),
+                ascender: hhea.getInt16(4),
+                descender: hhea.getInt16(6),
+                lineGap: hhea.getInt16(8),
+                numGlyphs: view(tables.maxp).getUint16(4),
+                glyphIndex: glyphIndex,
+                characterMap: characterMap,
+                advanceWidth: advanceWidth,
+                leftSideBearing: leftSideBearing,
+                glyph: glyph
+            };
+
+            function characterMap() {
+                if (!characters) characters = readCmap(tables.cmap);
+                return characters;
+            }
+
+            function glyphIndex(codePoint) {
+                return characterMap()[codePoint] || 0;
+            }
+
+            function advanceWidth(glyphId) {
+                return view(tables.hmtx).getUint16(4 * Math.min(glyphId, numberOfHMetrics - 1));
+            }
+
+            function leftSideBearing(glyphId) {
+                if (glyphId < numberOfHMetrics) return view(tables.hmtx).getInt16(4 * glyphId + 2);
+                return view(tables.hmtx).getInt16(4 * numberOfHMetrics + 2 * (glyphId - numberOfHMetrics));
+            }
+
+            /**
+             * @param {Number} glyphId - The glyph index
+             * @return {Uint8Array} - The glyf table entry of the glyph, empty for glyphs without outlines
+             * */
+            function glyph(glyphId) {
+                if (!tables.glyf || !tables.loca) throw new Error('font has no TrueType outlines');
+
+                var loca = view(tables.loca);
+                var start, end;
+                if (head.getInt16(50) === 0) {
+                    start = loca.getUint16(glyphId * 2) * 2;
+                    end = loca.getUint16(glyphId * 2 + 2) * 2;
+                } else {
+                    start = loca.getUint32(glyphId * 4);
+                    end = loca.getUint32(glyphId * 4 + 4);
+                }
+                return tables.glyf.subarray(start, end);
+            }
+        }
+
+        function readCmap(bytes) {
+            var data = view(bytes);
+            var subtables = [];
+            for (var i = 0; i < data.getUint16(2); i++) {
+                var record = 4 + i * 8;
+                var offset = data.getUint32(record + 4);
+                subtables.push({
+                    platform: data.getUint16(record),
+                    encoding: data.getUint16(record + 2),
+                    format: data.getUint16(offset),
+                    offset: offset
+                });
+            }
+
+            var unicode = subtables.filter(function(subtable) {
+                return subtable.platform === 0 || (subtable.platform === 3 && (subtable.encoding === 1 || subtable.encoding === 10));
+            });
+            var full = unicode.filter(function(subtable) {
+                return subtable.format === 12;
+            })[0];
+            var bmp = unicode.filter(function(subtable) {
+                return subtable.format === 4;
+            })[0];
+
+            if (full) return readFormat12(full.offset);
+            if (bmp) return readFormat4(bmp.offset);
+            throw new Error('font has no Unicode character map');
+
+            function readFormat4(offset) {
+                var map = {};
+                var segCount = data.getUint16(offset + 6) / 2;
+                var endCodes = offset + 14;
+                var startCodes = endCodes + segCount * 2 + 2;
+                var idDeltas = startCodes + segCount * 2;
+                var idRangeOffsets = idDeltas + segCount * 2;
+
+                for (var segment = 0; segment < segCount; segment++) {
+                    var end = data.getUint16(endCodes + segment * 2);
+                    var idDelta = data.getInt16(idDeltas + segment * 2);
+                    var idRangeOffset = data.getUint16(idRangeOffsets + segment * 2);
+
+                    for (var code = data.getUint16(startCodes + segment * 2); code <= end && code !== 0xFFFF; code++) {
+                        var glyphId;
+                        if (idRangeOffset === 0) {
+                            glyphId = (code + idDelta) & 0xFFFF;
+                        } else {
+                            var glyphOffset = idRangeOffsets + segment * 2 + idRangeOffset + (code - data.getUint16(startCodes + segment * 2)) * 2;
+                            glyphId = data.getUint16(glyphOffset);
+                            if (glyphId !== 0) glyphId = (glyphId + idDelta) & 0xFFFF;
+                        }
+                        if (glyphId) map[code] = glyphId;
+                    }
+                }
+                return map;
+            }
+
+            function readFormat12(offset) {
+                var map = {};
+                for (var group = 0; group < data.getUint32(offset + 12); group++) {
+                    var record = offset + 16 + group * 12;
+                    var start = data.getUint32(record);
+                    var startGlyph = data.getUint32(record + 8);
+                    for (var code = start; code <= data.getUint32(record + 4); code++) map[code] = startGlyph + code - start;
+                }
+                return map;
+            }
+        }
+
+        /**
+         * @param {Object} font - A parsed TrueType flavored font
+         * @param {Number} glyphId - The glyph index
+         * @param {Number} scale - Pixels per font unit, defaults to 1
+         * @return {String} - The SVG path data of the glyph outline, relative to its origin on the baseline
+         * */
+        function glyphPath(font, glyphId, scale) {
+            scale = scale || 1;
+            return glyphContours(font, glyphId, 0).map(function(contour) {
+                return contourPath(contour, scale);
+            }).join('');
+        }
+
+        function glyphContours(font, glyphId, depth) {
+            var glyph = font.glyph(glyphId);
+            if (glyph.length < 10) return [];
+            if (view(glyph).getInt16(0) >= 0) return simpleContours(glyph);
+            if (depth > 8) throw new Error('composite glyph nesting is too deep: ' + glyphId);
+
+            var contours = [];
+            var input = newReader(glyph, 10);
+            var flags;
+            do {
+                flags = input.uint16();
+                var component = input.uint16();
+                var dx, dy;
+                if (flags & ARG_1_AND_2_ARE_WORDS) {
+                    dx = input.int16();
+                    dy = input.int16();
+                } else {
+                    dx = (input.uint8() << 24) >> 24;
+                    dy = (input.uint8() << 24) >> 24;
+                }
+                // Components positioned by matching points are rare in AA fonts and placed at their origin
+                if (!(flags & ARGS_ARE_XY_VALUES)) dx = dy = 0;
+
+                var matrix = [1, 0, 0, 1];
+                if (flags & WE_HAVE_A_SCALE) {
+                    matrix[0] = matrix[3] = f2dot14(input.int16());
+                } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+                    matrix[0] = f2dot14(input.int16());
+                    matrix[3] = f2dot14(input.int16());
+                } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+                    matrix = [f2dot14(input.int16()), f2dot14(input.int16()), f2dot14(input.int16()), f2dot14(input.int16())];
+                }
+
+                contours = contours.concat(transformed(glyphContours(font, component, depth + 1), matrix, dx, dy));
+            } while (flags & MORE_COMPONENTS);
+            return contours;
+
+            function f2dot14(value) {
+                return value / 16384;
+            }
+        }
+
+        function transformed(contours, matrix, dx, dy) {
+            return contours.map(function(contour) {
+                return contour.map(function(point) {
+                    return {
+                        x: matrix[0] * point.x + matrix[2] * point.y + dx,
+                        y: matrix[1] * point.x + matrix[3] * point.y + dy,
+                        onCurve: point.onCurve
+                    };
+                });
+            });
+        }
+
+        function simpleContours(glyph) {
+            var input = newReader(glyph, 10);
+            var nContours = view(glyph).getInt16(0);
+            var endPoints = [];
+            for (var c = 0; c < nContours; c++) endPoints.push(input.uint16());
+            input.skip(input.uint16());
+
+            var nPoints = nContours ? endPoints[nContours - 1] + 1 : 0;
+            var flags = [];
+            while (flags.length < nPoints) {
+                var flag = input.uint8();
+                var repeat = flag & 0x08 ? input.uint8() : 0;
+                for (var r = 0; r <= repeat; r++) flags.push(flag);
+            }
+
+            var xs = coordinates(0x02, 0x10);
+            var ys = coordinates(0x04, 0x20);
+            var contours = [];
+            var start = 0;
+            endPoints.forEach(function(end) {
+                var contour = [];
+                for (var p = start; p <= end; p++) contour.push({
+                    x: xs[p],
+                    y: ys[p],
+                    onCurve: !!(flags[p] & 0x01)
+                });
+                if (contour.length) contours.push(contour);
+                start = end + 1;
+            });
+            return contours;
+
+            function coordinates(shortFlag, sameOrPositiveFlag) {
+                var values = [];
+                var value = 0;
+                flags.forEach(function(flag) {
+                    if (flag & shortFlag) value += flag & sameOrPositiveFlag ? input.uint8() : -input.uint8();
+                    else if (!(flag & sameOrPositiveFlag)) value += input.int16();
+                    values.push(value);
+                });
+                return values;
+            }
+        }
+
+        // Quadratic outlines, consecutive off-curve points imply an on-curve point halfway between them
+        function contourPath(points, scale) {
+            var first = points[0];
+            var last = points[points.length - 1];
+            var start, sequence;
+            if (first.onCurve) {
+                start = first;
+                sequence = points.slice(1);
+            } else if (last.onCurve) {
+                start = last;
+                sequence = points.slice(0, -1);
+            } else {
+                start = midpoint(first, last);
+                sequence = points.slice();
+            }
+
+            var path = 'M' + coordinate(start);
+            var control = null;
+            sequence.forEach(function(point) {
+                if (point.onCurve) {
+                    path += control ? 'Q' + coordinate(control) + ' ' + coordinate(point) : 'L' + coordinate(point);
+                    control = null;
+                } else {
+                    if (control) path += 'Q' + coordinate(control) + ' ' + coordinate(midpoint(control, point));
+                    control = point;
+                }
+            });
+            // Z draws the closing line back to the start
+            if (control) path += 'Q' + coordinate(control) + ' ' + coordinate(start);
+            return path + 'Z';
+
+            function midpoint(a, b) {
+                return {
+                    x: (a.x + b.x) / 2,
+                    y: (a.y + b.y) / 2,
+                    onCurve: true
+                };
+            }
+
+            // Font units grow upwards, SVG user units downwards
+            function coordinate(point) {
+                return round(point.x * scale) + ' ' + round(-point.y * scale);
+            }
+
+            function round(value) {
+                return Math.round(value * 100) / 100 || 0;
+            }
+        }
+
+        /**
+         * Fonts with layout tables keep them along with the glyph IDs they reference, the glyphs left out being emptied,
+         * so that ligatures, kerning and contextual forms render like in the page.
+         * @param {Object} font - A parsed TrueType flavored font
+         * @param {Array} codePoints - The code points the subset has to cover
+         * @return {Uint8Array} - The subset font as a TrueType file
+         * */
+        function subset(font, codePoints) {
+            var oldIds = [0];
+            var included = { 0: true };
+            var mapped = [];
+            codePoints.forEach(function(codePoint) {
+                var glyphId = font.glyphIndex(codePoint);
+                if (!glyphId) return;
+                addGlyph(glyphId);
+                mapped.push({
+                    codePoint: codePoint,
+                    glyphId: glyphId
+                });
+            });
+            // Composite glyphs pull in their components and GSUB the glyphs they can be substituted with,
+            // which are appended and visited in turn
+            for (var i = 0; i < oldIds.length; i++) {
+                components(font.glyph(oldIds[i])).map(componentId).forEach(addGlyph);
+                if (i === oldIds.length - 1 && font.tables.GSUB) substitutes(font.tables.GSUB, included).forEach(addGlyph);
+            }
+
+            var layout = LAYOUT_TABLES.some(function(tag) {
+                return font.tables[tag];
+            });
+            if (layout) {
+                oldIds = [];
+                for (i = 0; i < font.numGlyphs; i++) oldIds.push(i);
+            } else {
+                oldIds.sort(function(a, b) {
+                    return a - b;
+                });
+            }
+
+            var newIds = {};
+            oldIds.forEach(function(oldId, newId) {
+                newIds[oldId] = newId;
+            });
+
+            var glyphs = oldIds.map(function(oldId) {
+                if (!included[oldId]) return new Uint8Array(0);
+                var glyph = font.glyph(oldId).slice();
+                components(glyph).forEach(function(component) {
+                    view(glyph).setUint16(component.offset, newIds[component.glyphId]);
+                });
+                return glyph;
+            });
+            // Short offsets halve the loca table of fonts keeping all their glyph IDs
+            var glyfLength = glyphs.reduce(function(length, glyph) {
+                return length + padded(glyph.length);
+            }, 0);
+            var indexFormat = glyfLength < 0x20000 ? 0 : 1;
+            var loca = writeLoca(glyphs, indexFormat);
+
+            var hmtx = newWriter(oldIds.length * 4);
+            oldIds.forEach(function(oldId) {
+                hmtx.uint16(font.advanceWidth(oldId));
+                hmtx.int16(font.leftSideBearing(oldId));
+            });
+
+            var tables = {
+                glyf: loca.glyf,
+                loca: loca.loca,
+                hmtx: hmtx.result(),
+                cmap: writeCmap(mapped.map(function(entry) {
+                    return {
+                        codePoint: entry.codePoint,
+                        glyphId: newIds[entry.glyphId]
+                    };
+                })),
+                head: patched(font.tables.head, function(data) {
+                    data.setInt16(50, indexFormat);
+                }),
+                hhea: patched(font.tables.hhea, function(data) {
+                    data.setUint16(34, oldIds.length);
+                }),
+                maxp: patched(font.tables.maxp, function(data) {
+                    data.setUint16(4, oldIds.length);
+                }),
+                post: postVersion3(font.tables.post)
+            };
+            KEPT_TABLES.concat(LAYOUT_TABLES).forEach(function(tag) {
+                if (font.tables[tag]) tables[tag] = font.tables[tag];
+            });
+            return writeSfnt(SFNT_VERSION, tables);
+
+            function componentId(component) {
+                return component.glyphId;
+            }
+
+            function addGlyph(glyphId) {
+                if (included[glyphId]) return;
+                included[glyphId] = true;
+                oldIds.push(glyphId);
+            }
+        }
+
+        /**
+         * Contextual lookups only apply the other lookups, which are read on their own.
+         * @param {Uint8Array} gsub - The GSUB table
+         * @param {Object} included - The glyph IDs in the subset, as keys
+         * @return {Array} - The IDs of the glyphs the included glyphs can be substituted with
+         * */
+        function substitutes(gsub, included) {
+            var data = view(gsub);
+            var found = [];
+            var lookupList = data.getUint16(8);
+            var lookupCount = data.getUint16(lookupList);
+
+            for (var lookup = 0; lookup < lookupCount; lookup++) {
+                var offset = lookupList + data.getUint16(lookupList + 2 + lookup * 2);
+                var type = data.getUint16(offset);
+                var subtableCount = data.getUint16(offset + 4);
+                for (var i = 0; i < subtableCount; i++) subtable(type, offset + data.getUint16(offset + 6 + i * 2));
+            }
+            return found;
+
+            function subtable(type, offset) {
+                if (type === EXTENSION) {
+                    subtable(data.getUint16(offset + 2), offset + data.getUint32(offset + 4));
+                    return;
+                }
+
+                var glyphs = coverage(offset + data.getUint16(offset + 2));
+                if (type === SINGLE && data.getUint16(offset) === 1) {
+                    glyphs.forEach(function(glyphId) {
+                        if (included[glyphId]) found.push((glyphId + data.getInt16(offset + 4)) & 0xFFFF);
+                    });
+                } else if (type === SINGLE) {
+                    glyphs.forEach(function(glyphId, index) {
+                        if (included[glyphId]) found.push(data.getUint16(offset + 6 + index * 2));
+                    });
+                } else if (type === MULTIPLE || type === ALTERNATE) {
+                    glyphs.forEach(function(glyphId, index) {
+                        if (included[glyphId]) found.push.apply(found, glyphArray(offset + data.getUint16(offset + 6 + index * 2)));
+                    });
+                } else if (type === LIGATURE) {
+                    glyphs.forEach(function(glyphId, index) {
+                        if (included[glyphId]) ligatures(offset + data.getUint16(offset + 6 + index * 2));
+                    });
+                } else if (type === REVERSE_CHAINING) {
+                    var position = offset + 4;
+                    position += 2 + data.getUint16(position) * 2;
+                    position += 2 + data.getUint16(position) * 2;
+                    glyphs.forEach(function(glyphId, index) {
+                        if (included[glyphId]) found.push(data.getUint16(position + 2 + index * 2));
+                    });
+                }
+            }
+
+            // A ligature is only formed when all its components are included, the first one being the covered glyph
+            function ligatures(offset) {
+                var count = data.getUint16(offset);
+                for (var i = 0; i < count; i++) {
+                    var ligature = offset + data.getUint16(offset + 2 + i * 2);
+                    var complete = true;
+                    for (var component = 1; component < data.getUint16(ligature + 2); component++)
+                        complete = complete && !!included[data.getUint16(ligature + 2 + component * 2)];
+                    if (complete) found.push(data.getUint16(ligature));
+                }
+            }
+
+            function glyphArray(offset) {
+                var glyphs = [];
+                var count = data.getUint16(offset);
+                for (var i = 0; i < count; i++) glyphs.push(data.getUint16(offset + 2 + i * 2));
+                return glyphs;
+            }
+
+            // The glyphs of the coverage table, in the order of their coverage index
+            function coverage(offset) {
+                var glyphs = [];
+                var count = data.getUint16(offset + 2);
+                for (var i = 0; i < count; i++) {
+                    if (data.getUint16(offset) === 1) {
+                        glyphs.push(data.getUint16(offset + 4 + i * 2));
+                        continue;
+                    }
+                    var range = offset + 4 + i * 6;
+                    for (var glyphId = data.getUint16(range); glyphId <= data.getUint16(range + 2); glyphId++)
+                        glyphs[data.getUint16(range + 4) + glyphId - data.getUint16(range)] = glyphId;
+                }
+                return glyphs;
+            }
+        }
+
+        function components(glyph) {
+            var found = [];
+            if (glyph.length < 10 || view(glyph).getInt16(0) >= 0) return found;
+
+            var input = newReader(glyph, 10);
+            var flags;
+            do {
+                flags = input.uint16();
+                found.push({
+                    offset: input.position,
+                    glyphId: input.uint16()
+                });
+                input.skip(componentArgumentsLength(flags));
+            } while (flags & MORE_COMPONENTS);
+            return found;
+        }
+
+        function componentArgumentsLength(flags) {
+            var length = flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2;
+            if (flags & WE_HAVE_A_SCALE) length += 2;
+            else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) length += 4;
+            else if (flags & WE_HAVE_A_TWO_BY_TWO) length += 8;
+            return length;
+        }
+
+        function writeSimpleGlyph(endPoints, points, instructions, bbox, overlaps) {
+            var flags = [];
+            var xs = newWriter(points.length * 2);
+            var ys = newWriter(points.length * 2);
+            var previous = { x: 0, y: 0 };
+
+            points.forEach(function(point, index) {
+                var flag = point.onCurve ? 0x01 : 0;
+                if (index === 0 && overlaps) flag |= 0x40;
+                flag |= coordinate(point.x - previous.x, xs, 0x02, 0x10);
+                flag |= coordinate(point.y - previous.y, ys, 0x04, 0x20);
+                flags.push(flag);
+                previous = point;
+            });
+
+            var packedFlags = [];
+            for (var i = 0; i < flags.length; i++) {
+                var repeat = 0;
+                while (i + repeat + 1 < flags.length && flags[i + repeat + 1] === flags[i] && repeat < 255) repeat++;
+                if (repeat > 1) {
+                    packedFlags.push(flags[i] | 0x08, repeat);
+                    i += repeat;
+                } else {
+                    packedFlags.push(flags[i]);
+                }
+            }
+
+            var x = xs.result();
+            var y = ys.result();
+            var out = newWriter(10 + endPoints.length * 2 + 2 + instructions.length + packedFlags.length + x.length + y.length);
+            out.int16(endPoints.length);
+            bbox.forEach(out.int16);
+            endPoints.forEach(out.uint16);
+            out.uint16(instructions.length);
+            out.bytes(instructions);
+            out.bytes(packedFlags);
+            out.bytes(x);
+            out.bytes(y);
+            return out.result();
+
+            function coordinate(delta, out, shortFlag, sameOrPositiveFlag) {
+                if (delta === 0) return sameOrPositiveFlag;
+                if (delta > -256 && delta < 256) {
+                    out.uint8(Math.abs(delta));
+                    return shortFlag | (delta > 0 ? sameOrPositiveFlag : 0);
+                }
+                out.int16(delta);
+                return 0;
+            }
+        }
+
+        function boundingBox(points) {
+            var xs = points.map(function(point) {
+                return point.x;
+            });
+            var ys = points.map(function(point) {
+                return point.y;
+            });
+            return [Math.min.apply(null, xs), Math.min.apply(null, ys), Math.max.apply(null, xs), Math.max.apply(null, ys)];
+        }
+
+        function writeLoca(glyphs, indexFormat) {
+            var offsets = [0];
+            glyphs.forEach(function(glyph) {
+                offsets.push(offsets[offsets.length - 1] + padded(glyph.length));
+            });
+
+            var glyf = new Uint8Array(offsets[offsets.length - 1]);
+            glyphs.forEach(function(glyph, index) {
+                glyf.set(glyph, offsets[index]);
+            });
+
+            var loca = newWriter(offsets.length * (indexFormat === 0 ? 2 : 4));
+            offsets.forEach(function(offset) {
+                if (indexFormat === 0) loca.uint16(offset / 2);
+                else loca.uint32(offset);
+            });
+            return {
+                glyf: glyf,
+                loca: loca.result()
+            };
+        }
+
+        function writeCmap(entries) {
+            entries.sort(function(a, b) {
+                return a.codePoint - b.codePoint;
+            });
+
+            // Runs of consecutive code points mapped to consecutive glyphs share a segment or group
+            var runs = [];
+            entries.forEach(function(entry) {
+                var last = runs[runs.length - 1];
+                if (last && entry.codePoint === last.end + 1 && entry.glyphId === last.glyphId + entry.codePoint - last.start) last.end++;
+                else runs.push({ start: entry.codePoint, end: entry.codePoint, glyphId: entry.glyphId });
+            });
+
+            var bmpRuns = runs.filter(function(run) {
+                return run.end < 0xFFFF;
+            });
+            var segCount = bmpRuns.length + 1;
+            var format4Length = 16 + segCount * 8;
+            var format12Length = 16 + runs.length * 12;
+
+            var out = newWriter(4 + 16 + format4Length + format12Length);
+            out.uint16(0);
+            out.uint16(2);
+            out.uint16(3);
+            out.uint16(1);
+            out.uint32(20);
+            out.uint16(3);
+            out.uint16(10);
+            out.uint32(20 + format4Length);
+
+            var entrySelector = Math.floor(Math.log(segCount) / Math.LN2);
+            out.uint16(4);
+            out.uint16(format4Length);
+            out.uint16(0);
+            out.uint16(segCount * 2);
+            out.uint16(Math.pow(2, entrySelector) * 2);
+            out.uint16(entrySelector);
+            out.uint16(segCount * 2 - Math.pow(2, entrySelector) * 2);
+            bmpRuns.forEach(function(run) {
+                out.uint16(run.end);
+            });
+            out.uint16(0xFFFF);
+            out.uint16(0);
+            bmpRuns.forEach(function(run) {
+                out.uint16(run.start);
+            });
+            out.uint16(0xFFFF);
+            bmpRuns.forEach(function(run) {
+                out.uint16((run.glyphId - run.start) & 0xFFFF);
+            });
+            out.uint16(1);
+            for (var i = 0; i < segCount; i++) out.uint16(0);
+
+            out.uint16(12);
+            out.uint16(0);
+            out.uint32(format12Length);
+            out.uint32(0);
+            out.uint32(runs.length);
+            runs.forEach(function(run) {
+                out.uint32(run.start);
+                out.uint32(run.end);
+                out.uint32(run.glyphId);
+            });
+            return out.result();
+        }
+
+        function postVersion3(post) {
+            var out = new Uint8Array(32);
+            if (post) out.set(post.subarray(0, 32));
+            view(out).setUint32(0, 0x00030000);
+            return out;
+        }
+
+        function patched(table, patch) {
+            var copy = table.slice();
+            patch(view(copy));
+            return copy;
+        }
+
+        /**
+         * @param {Number} flavor - The sfnt version, 0x00010000 for TrueType outlines
+         * @param {Object} tables - Table contents by tag
+         * @return {Uint8Array} - The font file
+         * */
+        function writeSfnt(flavor, tables) {
+            var tags = Object.keys(tables).sort();
+            var entrySelector = Math.floor(Math.log(tags.length) / Math.LN2);
+            var searchRange = Math.pow(2, entrySelector) * 16;
+
+            var length = 12 + tags.length * 16;
+            tags.forEach(function(tag) {
+                length += padded(tables[tag].length);
+            });
+
+            var out = new Uint8Array(length);
+            var data = view(out);
+            data.setUint32(0, flavor);
+            data.setUint16(4, tags.length);
+            data.setUint16(6, searchRange);
+            data.setUint16(8, entrySelector);
+            data.setUint16(10, tags.length * 16 - searchRange);
+
+            var offset = 12 + tags.length * 16;
+            var headOffset = -1;
+            tags.forEach(function(tag, index) {
+                var table = tables[tag];
+                var record = 12 + index * 16;
+                out.set(table, offset);
+                if (tag === 'head') {
+                    headOffset = offset;
+                    data.setUint32(offset + 8, 0);
+                }
+                for (var k = 0; k < 4; k++) out[record + k] = tag.charCodeAt(k);
+                data.setUint32(record + 4, checksum(out.subarray(offset, offset + padded(table.length))));
+                data.setUint32(record + 8, offset);
+                data.setUint32(record + 12, table.length);
+                offset += padded(table.length);
+            });
+
+            if (headOffset !== -1) data.setUint32(headOffset + 8, (0xB1B0AFBA - checksum(out)) >>> 0);
+            return out;
+        }
+
+        function checksum(bytes) {
+            var data = view(bytes);
+            var sum = 0;
+            for (var i = 0; i + 4 <= bytes.length; i += 4) sum = (sum + data.getUint32(i)) >>> 0;
+            return sum;
+        }
+
+        function padded(length) {
+            return (length + 3) & ~3;
+        }
+
+        function readTag(bytes, offset) {
+            return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+        }
+
+        function view(bytes) {
+            return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        }
+
+        function newReader(bytes, position) {
+            var data = view(bytes);
+            var reader = {
+                source: bytes,
+                position: position,
+                skip: skip,
+                read: read,
+                uint8: uint8,
+                uint16: uint16,
+                int16: int16,
+                uint255: uint255,
+                base128: base128
+            };
+            return reader;
+
+            function skip(length) {
+                var start = reader.position;
+                reader.position += length;
+                return start;
+            }
+
+            function uint8() {
+                return data.getUint8(skip(1));
+            }
+
+            function uint16() {
+                return data.getUint16(skip(2));
+            }
+
+            function int16() {
+                return data.getInt16(skip(2));
+            }
+
+            function read(length) {
+                var start = skip(length);
+                return bytes.subarray(start, start + length);
+            }
+
+            // See https://www.w3.org/TR/WOFF2/#255UInt16
+            function uint255() {
+                var code = uint8();
+                if (code === 253) return uint16();
+                if (code === 255) return uint8() + 253;
+                if (code === 254) return uint8() + 253 * 2;
+                return code;
+            }
+
+            // See https://www.w3.org/TR/WOFF2/#UIntBase128
+            function base128() {
+                var value = 0;
+                for (var i = 0; i < 5; i++) {
+                    var code = uint8();
+                    value = value * 128 + (code & 0x7f);
+                    if (!(code & 0x80)) return value;
+                }
+                throw new Error('invalid UIntBase128 value in WOFF2 font');
+            }
+        }
+
+        function newWriter(capacity) {
+            var bytes = new Uint8Array(capacity);
+            var data = view(bytes);
+            var position = 0;
+
+            return {
+                uint8: uint8,
+                uint16: uint16,
+                int16: int16,
+                uint32: uint32,
+                bytes: writeBytes,
+                result: result
+            };
+
+            function uint8(value) {
+                data.setUint8(position, value);
+                position += 1;
+            }
+
+            function uint16(value) {
+                data.setUint16(position, value);
+                position += 2;
+            }
+
+            function int16(value) {
+                data.setInt16(position, value);
+                position += 2;
+            }
+
+            function uint32(value) {
+                data.setUint32(position, value);
+                position += 4;
+            }
+
+            function writeBytes(values) {
+                bytes.set(values, position);
+                position += values.length;
+            }
+
+            function result() {
+                return bytes.subarray(0, position);
+            }
+        }
+    }
+
+    function newSvgPaths() {
+        var TRANSPARENT = /^(transparent|rgba\(.*,\s*0\))$/;
+
+        return {
+            render: render,
+            impl: {
+                layout: layout
+            }
+        };
+
+        /**
+         * @param {Node} node - The DOM Node to convert, it has to be attached to the document to be laid out
+         * @param {Object} context - The render context
+         * @return {Promise} - A promise that is fulfilled with the SVG text of the node's backgrounds, borders and glyph outlines
+         * */
+        function render(node, context) {
+            var options = context.options;
+            var width = options.width || util.width(node);
+            var height = options.height || util.height(node);
+            var items = layout(node, options);
+
+            var fontNames = [];
+            items.forEach(function(item) {
+                if (item.font && fontNames.indexOf(item.font) === -1) fontNames.push(item.font);
+            });
+
+            return Promise.all(
+                    fontNames.map(function(name) {
+                        return aaFonts.outlines(name, context)
+                            .catch(function(error) {
+                                reportWarning(context, 'FONT_MISSING', 'cannot read outlines of AA font: ' + name + ', ' + error.message);
+                                return null;
+                            });
+                    })
+                )
+                .then(function(fonts) {
+                    var outlines = {};
+                    fontNames.forEach(function(name, index) {
+                        outlines[name] = fonts[index];
+                    });
+                    return makeSvg(items, outlines, width, height, options.bgcolor);
+                });
+        }
+
+        /**
+         * Reads the painted boxes and the position of every character from the live layout.
+         * @param {Node} node - The root node
+         * @param {Object} options - Rendering options, for filter and fonts
+         * @param {Boolean} whitespace - set to true to keep the laid out whitespace characters
+         * @return {Array} - {type: 'rect', x, y, width, height, color} and {type: 'text', font, family, size, color, characters}
+         *          items in painting order, characters being {text, x, top, height}
+         * */
+        function layout(node, options, whitespace) {
+            var origin = node.getBoundingClientRect();
+            var range = document.createRange();
+            var allowed = options.fonts ? [].concat(options.fonts).map(function(name) {
+                return name.toLowerCase();
+            }) : null;
+            var items = [];
+
+            collect(node, true);
+            return items;
+
+            function collect(node, root) {
+                if (!root && options.filter && !options.filter(node)) return;
+                if (node.nodeType === 3) return collectText(node);
+                if (!(node instanceof Element)) return;
+
+                var style = window.getComputedStyle(node);
+                if (style.getPropertyValue('display') === 'none') return;
+                if (style.getPropertyValue('visibility') !== 'hidden') collectBoxes(node, style);
+                composedChildren(node, options).forEach(function(child) {
+                    collect(child);
+                });
+            }
+
+            function collectBoxes(element, style) {
+                util.asArray(element.getClientRects()).forEach(function(box) {
+                    addRect(box.left, box.top, box.width, box.height, style.getPropertyValue('background-color'));
+
+                    var top = borderWidth('top');
+                    var right = borderWidth('right');
+                    var bottom = borderWidth('bottom');
+                    var left = borderWidth('left');
+                    addRect(box.left, box.top, box.width, top, borderColor('top'));
+                    addRect(box.right - right, box.top, right, box.height, borderColor('right'));
+                    addRect(box.left, box.bottom - bottom, box.width, bottom, borderColor('bottom'));
+                    addRect(box.left, box.top, left, box.height, borderColor('left'));
+                });
+
+                function borderWidth(side) {
+                    var borderStyle = style.getPropertyValue('border-' + side + '-style');
+                    if (borderStyle === 'none' || borderStyle === 'hidden') return 0;
+                    return parseFloat(style.getPropertyValue('border-' + side + '-width')) || 0;
+                }
+
+                function borderColor(side) {
+                    return style.getPropertyValue('border-' + side + '-color');
+                }
+            }
+
+            function addRect(x, y, width, height, color) {
+                if (width <= 0 || height <= 0 || !color || TRANSPARENT.test(color)) return;
+                items.push({
+                    type: 'rect',
+                    x: x - origin.left,
+                    y: y - origin.top,
+                    width: width,
+                    height: height,
+                    color: color
+                });
+            }
+
+            function collectText(textNode) {
+                var parent = textNode.parentNode;
+                if (!(parent instanceof Element)) return;
+
+                var style = window.getComputedStyle(parent);
+                var color = style.getPropertyValue('color');
+                if (style.getPropertyValue('visibility') === 'hidden' || TRANSPARENT.test(color)) return;
+
+                var family = style.getPropertyValue('font-family');
+                var font = family.split(',').map(function(name) {
+                    return name.trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+                }).filter(function(name) {
+                    return aaFonts.get(name) && (!allowed || allowed.indexOf(name) !== -1);
+                })[0];
+
+                var text = textNode.data;
+                var characters = [];
+                for (var i = 0; i < text.length; i++) {
+                    var length = text.codePointAt(i) > 0xFFFF ? 2 : 1;
+                    var character = text.substr(i, length);
+                    range.setStart(textNode, i);
+                    range.setEnd(textNode, i + length);
+                    var box = range.getClientRects()[0];
+                    if (box && box.width > 0 && (whitespace || !/^\s$/.test(character))) characters.push({
+                        text: character,
+                        x: box.left - origin.left,
+                        top: box.top - origin.top,
+                        height: box.height
+                    });
+                    i += length - 1;
+                }
+                if (!characters.length) return;
+
+                items.push({
+                    type: 'text',
+                    font: font ? aaFonts.get(font).name : null,
+                    family: family,
+                    size: parseFloat(style.getPropertyValue('font-size')),
+                    color: color,
+                    characters: characters
+                });
+            }
+        }
+
+        function makeSvg(items, outlines, width, height, bgcolor) {
+            var glyphs = {};
+            var defs = [];
+            var fontIds = Object.keys(outlines);
+
+            var content = items.map(function(item) {
+                if (item.type === 'rect') return '<rect x="' + round(item.x) + '" y="' + round(item.y) + '" width="' + round(item.width) +
+                    '" height="' + round(item.height) + '" fill="' + escapeXml(item.color) + '"/>';
+
+                var font = item.font && outlines[item.font];
+                return font ? glyphRun(item, font, fontIds.indexOf(item.font)) : textRuns(item, item.characters);
+            }).join('');
+
+            return '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="' + width +
+                '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">' +
+                (bgcolor ? '<rect width="100%" height="100%" fill="' + escapeXml(bgcolor) + '"/>' : '') +
+                (defs.length ? '<defs>' + defs.join('') + '</defs>' : '') +
+                content + '</svg>';
+
+            // Every distinct glyph and size is defined once and placed with <use>
+            function glyphRun(item, font, fontIndex) {
+                var scale = item.size / font.unitsPerEm;
+                var ascent = font.ascender / (font.ascender - font.descender);
+                var missing = [];
+
+                var uses = item.characters.map(function(character) {
+                    var glyphId = font.glyphIndex(character.text.codePointAt(0));
+                    if (!glyphId) {
+                        missing.push(character);
+                        return '';
+                    }
+
+                    var id = 'g' + fontIndex + '-' + glyphId + '-' + String(item.size).replace('.', '_');
+                    if (!(id in glyphs)) {
+                        glyphs[id] = fontData.glyphPath(font, glyphId, scale);
+                        if (glyphs[id]) defs.push('<path id="' + id + '" d="' + glyphs[id] + '"/>');
+                    }
+                    if (!glyphs[id]) return '';
+
+                    // The character box spans the font's ascent and descent, the baseline divides it in their ratio
+                    return '<use xlink:href="#' + id + '" x="' + round(character.x) + '" y="' +
+                        round(character.top + character.height * ascent) + '"/>';
+                }).join('');
+                return '<g fill="' + escapeXml(item.color) + '">' + uses + '</g>' + textRuns(item, missing);
+            }
+
+            // Characters without outlines are kept as text, a <text> per line placing every character at its position,
+            // at an approximate baseline
+            function textRuns(item, characters) {
+                var lines = [];
+                characters.forEach(function(character) {
+                    var line = lines[lines.length - 1];
+                    if (!line || line.top !== character.top) {
+                        line = { top: character.top, height: character.height, characters: [] };
+                        lines.push(line);
+                    }
+                    line.characters.push(character);
+                });
+
+                return lines.map(function(line) {
+                    return '<text x="' + line.characters.map(function(character) {
+                            return round(character.x);
+                        }).join(' ') + '" y="' + round(line.top + line.height * 0.8) +
+                        '" font-family="' + escapeXml(item.family) + '" font-size="' + item.size + '" fill="' + escapeXml(item.color) + '">' +
+                        escapeXml(line.characters.map(function(character) {
+                            return character.text;
+                        }).join('')) + '</text>';
+                }).join('');
+            }
+        }
+
+        function round(value) {
+            return Math.round(value * 100) / 100;
+        }
+
+        function escapeXml(string) {
+            return String(string)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+    }
+
+    function newAaFonts() {
+        var FORMATS = {
+            'woff2': 'woff2',
+            'woff': 'woff',
+            'ttf': 'truetype',
+            'otf': 'opentype'
+        };
+        var registry = {};
+
+        register('aahub', 'data:font/woff2;base64,' + aahubFont(), { format: 'woff2' });
+
+        return {
+            register: register,
+            unregister: unregister,
+            get: get,
+            names: names,
+            load: load,
+            outlines: outlines,
+            resolveAll: resolveAll,
+            impl: {
+                readFamilies: readFamilies,
+                sniffFormat: sniffFormat
+            }
+        };
+
+        /**
+         * @param {String} name - The font-family name the font is referenced by
+         * @param {String|ArrayBuffer|Uint8Array} source - font URL, data URL or the raw font file
+         * @param {Object} descriptor - optional @font-face descriptors
+         * @param {String} descriptor.format - 'woff2', 'woff', 'truetype' or 'opentype', sniffed when omitted
+         * @param {String} descriptor.weight - font-weight descriptor
+         * @param {String} descriptor.style - font-style descriptor
+         * @return {Object} - The registered font entry
+         * */
+        function register(name, source, descriptor) {
+            if (!name) throw new Error('AA font name is required');
+            if (!source) throw new Error('AA font source is required for ' + name);
+
+            descriptor = descriptor || {};
+            var font = {
+                name: name,
+                source: source,
+                format: descriptor.format,
+                weight: descriptor.weight,
+                style: descriptor.style,
+                fontFace: null,
+                loaded: null,
+                face: null
+            };
+            unregister(name);
+            registry[name.toLowerCase()] = font;
+            return font;
+        }
+
+        function unregister(name) {
+            var font = get(name);
+            if (font && font.face) document.fonts.delete(font.face);
+            delete registry[name.toLowerCase()];
+        }
+
+        function get(name) {
+            return registry[name.toLowerCase()];
+        }
+
+        function names() {
+            return Object.keys(registry).map(function(key) {
+                return registry[key].name;
+            });
+        }
+
+        /**
+         * Makes the font available to the document, so that nodes laid out with it are measured correctly.
+         * @param {String} name - The name of a registered font
+         * @return {Promise} - A promise that is fulfilled with the font entry once the font is loaded
+         * */
+        function load(name) {
+            var font = get(name);
+            if (!font) return Promise.reject(renderError(newReportEntry(null, 'FONT_MISSING', 'AA font is not registered: ' + name)));
+            if (typeof FontFace === 'undefined' || !document.fonts) return Promise.resolve(font);
+
+            if (!font.loaded) {
+                font.loaded = readDataUrl(font)
+                    .then(function(dataUrl) {
+                        font.face = new FontFace(font.name, 'url(' + dataUrl + ')', {
+                            weight: font.weight || 'normal',
+                            style: font.style || 'normal'
+                        });
+                        document.fonts.add(font.face);
+                        return font.face.load();
+                    })
+                    .then(function() {
+                        return font;
+                    }, function(error) {
+                        font.loaded = null;
+                        throw error;
+                    });
+            }
+            return font.loaded;
+        }
+
+        /**
+         * @param {String} name - The name of a registered font
+         * @param {Object} context - The render context used to fetch fonts registered by URL
+         * @return {Promise} - A promise that is fulfilled with the parsed font, for reading glyph outlines
+         * */
+        function outlines(name, context) {
+            var font = get(name);
+            if (!font) return Promise.reject(new Error('AA font is not registered: ' + name));
+
+            return readDataUrl(font, context)
+                .then(function(dataUrl) {
+                    if (!dataUrl) throw new Error('cannot read AA font: ' + font.name);
+                    return fontData.load(dataUrl);
+                });
+        }
+
+        /**
+         * @param {Node} node - The cloned node whose computed font-family declarations decide what gets embedded
+         * @param {String|Array} fonts - names of the registered fonts allowed for this call, defaults to all of them
+         * @param {Object} context - The render context used to fetch fonts registered by URL
+         * @return {Promise} - A promise that is fulfilled with the @font-face CSS text of the referenced fonts
+         * */
+        function resolveAll(node, fonts, context) {
+            var allowed = fonts ? [].concat(fonts).map(function(name) {
+                return name.toLowerCase();
+            }) : Object.keys(registry);
+
+            allowed.forEach(function(family) {
+                if (!registry[family]) reportWarning(context, 'FONT_MISSING', 'AA font is not registered: ' + family);
+            });
+
+            // The faces are only embedded in the image, whose decoding draw() waits for, never added to document.fonts
+            var used = readFamilies(node).filter(function(family) {
+                return registry[family] && allowed.indexOf(family) !== -1;
+            });
+            return Promise.all(
+                    used.map(function(family) {
+                        return fontFace(registry[family], context);
+                    })
+                )
+                .then(function(cssStrings) {
+                    return cssStrings.filter(Boolean).join('\n');
+                });
+        }
+
+        function fontFace(font, context) {
+            return cachedFontFace(font, context)
+                .then(function(cssText) {
+                    if (cssText) return cssText;
+
+                    // Not cached, so that the next render tries to fetch the font again
+                    font.fontFace = null;
+                    reportWarning(context, 'FONT_MISSING', 'cannot embed AA font: ' + font.name, {
+                        url: typeof font.source === 'string' && !util.isDataUrl(font.source) ? font.source : undefined
+                    });
+                    return '';
+                });
+        }
+
+        function cachedFontFace(font, context) {
+            if (!font.fontFace) {
+                font.fontFace = readDataUrl(font, context)
+                    .then(function(dataUrl) {
+                        if (!dataUrl) return '';
+
+                        return '@font-face { font-family: "' + font.name + '"; ' +
+                            'src: url(' + dataUrl + ')' + formatHint(font, dataUrl) + '; ' +
+                            (font.weight ? 'font-weight: ' + font.weight + '; ' : '') +
+                            (font.style ? 'font-style: ' + font.style + '; ' : '') +
+                            'font-display: swap; }';
+                    });
+            }
+            return font.fontFace;
+        }
+
+        function readDataUrl(font, context) {
+            var source = font.source;
+
+            if (typeof source !== 'string') {
+                var format = sniffFormat(source);
+                return Promise.resolve(util.dataAsUrl(util.encodeBase64(source), format ? 'font/' + format : 'application/octet-stream'));
+            }
+            if (util.isDataUrl(source)) return Promise.resolve(source);
+
+            return util.getAndEncode(source, context)
+                .then(function(data) {
+                    if (!data) return '';
+                    return util.dataAsUrl(data, util.mimeType(source) || 'application/octet-stream');
+                });
+        }
+
+        function formatHint(font, dataUrl) {
+            var format = font.format;
+            if (!format && typeof font.source === 'string' && !util.isDataUrl(font.source))
+                format = FORMATS[util.parseExtension(font.source).toLowerCase()];
+            if (!format && /;base64,/.test(dataUrl)) format = sniffFormat(util.decodeBase64(dataUrl.split(/,/)[1].slice(0, 8)));
+            return format ? ' format("' + format + '")' : '';
+        }
+
+        function sniffFormat(source) {
+            var bytes = util.asBytes(source);
+            var signature = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+
+            if (signature === 'wOF2') return 'woff2';
+            if (signature === 'wOFF') return 'woff';
+            if (signature === 'OTTO') return 'opentype';
+            if (signature === 'true' || signature === '\u0000\u0001\u0000\u0000') return 'truetype';
+            return '';
+        }
+
+        function readFamilies(node) {
+            var families = [];
+
+            collect(node);
+            return families;
+
+            function collect(node) {
+                if (!(node instanceof Element)) return;
+
+                if (node instanceof HTMLStyleElement) {
+                    var declaration = /font-family\s*:\s*([^;}]+)/g;
+                    var match;
+                    while ((match = declaration.exec(node.textContent)) !== null) add(match[1]);
+                } else if (node.style) {
+                    add(node.style.getPropertyValue('font-family'));
+                }
+
+                util.asArray(node.childNodes).forEach(collect);
+            }
+
+            function add(value) {
+                (value || '').split(',').forEach(function(family) {
+                    family = family.trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+                    if (family && families.indexOf(family) === -1) families.push(family);
+                });
+            }
+        }
+    }
+
+    function newCollections() {
+        var SPLIT = '[SPLIT]';
+        var AST_HEADER = /^\[AA\]\[(.*)\]$/;
+
+        return {
+            parse: parse,
+            impl: {
+                parseMlt: parseMlt,
+                parseAst: parseAst,
+                detectFormat: detectFormat
+            }
+        };
+
+        /**
+         * @param {String|ArrayBuffer|Uint8Array} data - The collection file, as text or as encoded bytes
+         * @param {Object} options - Parsing options
+         * @param {String} options.format - 'mlt', 'ast' or 'auto' (default)
+         * @param {String} options.encoding - encoding of byte input, @see {@link util.decodeText}
+         * @return {Array} - The {title, text} entries of the collection
+         * */
+        function parse(data, options) {
+            options = options || {};
+            var text = typeof data === 'string' ? data : util.decodeText(data, options.encoding);
+            var format = (options.format || 'auto').toLowerCase();
+            if (format === 'auto') format = detectFormat(text);
+
+            if (format === 'mlt') return parseMlt(text);
+            if (format === 'ast') return parseAst(text);
+            throw new Error('unsupported AA collection format: ' + options.format);
+        }
+
+        function detectFormat(text) {
+            return lines(text).some(function(line) {
+                return AST_HEADER.test(line);
+            }) ? 'ast' : 'mlt';
+        }
+
+        // MLT entries are separated by [SPLIT] lines and have no titles
+        function parseMlt(text) {
+            var entries = [];
+            var current = [];
+
+            lines(text).forEach(function(line) {
+                if (line === SPLIT) {
+                    addEntry('', current);
+                    current = [];
+                } else {
+                    current.push(line);
+                }
+            });
+            addEntry('', current);
+            return entries;
+
+            function addEntry(title, lines) {
+                var entry = newEntry(title, lines);
+                if (entry.text) entries.push(entry);
+            }
+        }
+
+        // AST entries start with a [AA][title] line, anything before the first one is a file header
+        function parseAst(text) {
+            var entries = [];
+            var title = null;
+            var current = [];
+
+            lines(text).forEach(function(line) {
+                var header = AST_HEADER.exec(line);
+                if (header) {
+                    if (title !== null) entries.push(newEntry(title, current));
+                    title = header[1];
+                    current = [];
+                } else {
+                    current.push(line);
+                }
+            });
+            if (title !== null) entries.push(newEntry(title, current));
+            return entries;
+        }
+
+        function newEntry(title, lines) {
+            var end = lines.length;
+            while (end > 0 && lines[end - 1] === '') end--;
+            return {
+                title: title,
+                text: lines.slice(0, end).join('\n')
+            };
+        }
+
+        function lines(text) {
+            return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+        }
+    }
+
+    function newPng() {
+        var SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+        // Longer iTXt texts are compressed
+        var MAX_PLAIN_TEXT = 1024;
+        var crcTable = null;
+
+        return {
+            encode: encode,
+            encodeAnimation: encodeAnimation,
+            chunk: chunk,
+            readChunks: readChunks,
+            writeText: writeText,
+            readText: readText,
+            impl: {
+                crc32: crc32,
+                adler32: adler32,
+                deflate: deflate,
+                filter: filter
+            }
+        };
+
+        /**
+         * @param {Object} image - {data, width, height} RGBA pixels, like ImageData
+         * @param {String} colorMode - 'grayscale', '1bit' or 'palette' to write a grayscale, 1-bit or indexed file of the image
+         *          reduced to that mode, @see {@link newColorModes}. Defaults to a RGBA file.
+         * @return {Uint8Array} - The PNG file
+         * */
+        function encode(image, colorMode) {
+            var packers = {
+                'grayscale': packGrayscale,
+                '1bit': packOneBit,
+                'palette': packPalette
+            };
+            if (colorMode && !packers[colorMode]) throw new Error('unsupported color mode: ' + colorMode);
+
+            var packed = colorMode ? packers[colorMode](image) : {
+                colorType: 6,
+                bitDepth: 8,
+                bytesPerPixel: 4,
+                data: image.data,
+                chunks: []
+            };
+            var scanlines = filter({
+                data: packed.data,
+                width: image.width,
+                height: image.height
+            }, packed.bytesPerPixel, packed.data.length / image.height);
+
+            return concat([
+                SIGNATURE,
+                header(image.width, image.height, packed.bitDepth, packed.colorType)
+            ].concat(packed.chunks, [
+                chunk('IDAT', deflate(scanlines)),
+                chunk('IEND', [])
+            ]));
+        }
+
+        // Gray with alpha only when some pixel is not opaque
+        function packGrayscale(image) {
+            var data = image.data;
+            var pixels = data.length / 4;
+            var opaque = true;
+            var i;
+            for (i = 0; i < pixels && opaque; i++) opaque = data[i * 4 + 3] === 255;
+
+            var bytesPerPixel = opaque ? 1 : 2;
+            var out = new Uint8Array(pixels * bytesPerPixel);
+            for (i = 0; i < pixels; i++) {
+                out[i * bytesPerPixel] = data[i * 4];
+                if (!opaque) out[i * 2 + 1] = data[i * 4 + 3];
+            }
+            return {
+                colorType: opaque ? 0 : 4,
+                bitDepth: 8,
+                bytesPerPixel: bytesPerPixel,
+                data: out,
+                chunks: []
+            };
+        }
+
+        function packOneBit(image) {
+            var data = image.data;
+            var indices = new Uint8Array(data.length / 4);
+            for (var i = 0; i < indices.length; i++) indices[i] = data[i * 4] >= 128 ? 1 : 0;
+            return {
+                colorType: 0,
+                bitDepth: 1,
+                bytesPerPixel: 1,
+                data: packBits(indices, image.width, image.height, 1),
+                chunks: []
+            };
+        }
+
+        // Fully transparent pixels share the first palette entry, which keeps the tRNS chunk a single byte
+        function packPalette(image) {
+            var data = image.data;
+            var pixels = data.length / 4;
+            var palette = [];
+            var lookup = new Map();
+            var indices = new Uint8Array(pixels);
+            var transparent = false;
+            var i;
+
+            for (i = 0; i < pixels && !transparent; i++) transparent = data[i * 4 + 3] === 0;
+            if (transparent) {
+                palette.push([0, 0, 0, 0]);
+                lookup.set(-1, 0);
+            }
+
+            for (i = 0; i < pixels; i++) {
+                var alpha = data[i * 4 + 3];
+                var key = alpha === 0 ? -1 : alpha * 0x1000000 + (data[i * 4] << 16) + (data[i * 4 + 1] << 8) + data[i * 4 + 2];
+                var index = lookup.get(key);
+                if (index === undefined) {
+                    if (palette.length === 256) throw new Error('image has more than 256 colors, cannot write an indexed PNG');
+                    index = palette.length;
+                    palette.push([data[i * 4], data[i * 4 + 1], data[i * 4 + 2], alpha]);
+                    lookup.set(key, index);
+                }
+                indices[i] = index;
+            }
+
+            var bitDepth = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : palette.length <= 16 ? 4 : 8;
+            var alphas = palette.map(function(color) {
+                return color[3];
+            });
+            while (alphas.length && alphas[alphas.length - 1] === 255) alphas.pop();
+
+            var chunks = [chunk('PLTE', [].concat.apply([], palette.map(function(color) {
+                return color.slice(0, 3);
+            })))];
+            if (alphas.length) chunks.push(chunk('tRNS', alphas));
+            return {
+                colorType: 3,
+                bitDepth: bitDepth,
+                bytesPerPixel: 1,
+                data: packBits(indices, image.width, image.height, bitDepth),
+                chunks: chunks
+            };
+        }
+
+        // Scanlines of values of bitDepth bits, the leftmost pixel in the high order bits of each byte
+        function packBits(values, width, height, bitDepth) {
+            var perByte = 8 / bitDepth;
+            var bytesPerLine = Math.ceil(width / perByte);
+            var out = new Uint8Array(bytesPerLine * height);
+            for (var y = 0; y < height; y++) {
+                for (var x = 0; x < width; x++) {
+                    var shift = 8 - bitDepth * (x % perByte + 1);
+                    out[y * bytesPerLine + Math.floor(x / perByte)] |= values[y * width + x] << shift;
+                }
+            }
+            return out;
+        }
+
+        /**
+         * @param {Array} frames - {data, width, height, delay} RGBA frames of the animation canvas size, delay in milliseconds
+         * @param {Object} options - Animation options
+         * @param {Number} options.loop - number of times to play the animation, 0 loops forever
+         * @return {Uint8Array} - The APNG file
+         * */
+        function encodeAnimation(frames, options) {
+            var width = frames[0].width;
+            var height = frames[0].height;
+            var sequence = 0;
+            var chunks = [SIGNATURE, header(width, height), chunk('acTL', uint32(frames.length).concat(uint32(options.loop || 0)))];
+
+            frames.forEach(function(frame, index) {
+                var control = [].concat(
+                    uint32(sequence++), uint32(width), uint32(height), uint32(0), uint32(0),
+                    uint16(Math.min(Math.round(frame.delay), 0xFFFF)), uint16(1000),
+                    // No disposal, every frame replaces the whole canvas
+                    [0, 0]
+                );
+                chunks.push(chunk('fcTL', control));
+
+                var data = deflate(filter(frame));
+                if (index === 0) {
+                    chunks.push(chunk('IDAT', data));
+                } else {
+                    chunks.push(chunk('fdAT', concat([uint32(sequence++), data])));
+                }
+            });
+            chunks.push(chunk('IEND', []));
+            return concat(chunks);
+        }
+
+        function header(width, height, bitDepth, colorType) {
+            return chunk('IHDR', [].concat(uint32(width), uint32(height), [bitDepth || 8, colorType === undefined ? 6 : colorType, 0, 0, 0]));
+        }
+
+        /**
+         * @param {String} type - The four letter chunk type
+         * @param {Array|Uint8Array} data - The chunk data
+         * @return {Uint8Array} - The chunk with its length and CRC
+         * */
+        function chunk(type, data) {
+            var typeAndData = concat([type.split('').map(function(character) {
+                return character.charCodeAt(0);
+            }), data]);
+            return concat([uint32(data.length), typeAndData, uint32(crc32(typeAndData))]);
+        }
+
+        /**
+         * @param {Uint8Array} bytes - The PNG file
+         * @return {Array} - The {type, data} chunks of the file, data being a view of the file bytes
+         * */
+        function readChunks(bytes) {
+            bytes = util.asBytes(bytes);
+            var isPng = bytes.length >= SIGNATURE.length && SIGNATURE.every(function(value, index) {
+                return bytes[index] === value;
+            });
+            if (!isPng) throw new Error('not a PNG file');
+
+            var data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            var chunks = [];
+            var offset = SIGNATURE.length;
+            while (offset + 12 <= bytes.length) {
+                var length = data.getUint32(offset);
+                if (offset + 12 + length > bytes.length) throw new Error('truncated PNG chunk at offset ' + offset);
+                chunks.push({
+                    type: latin1(bytes.subarray(offset + 4, offset + 8)),
+                    data: bytes.subarray(offset + 8, offset + 8 + length)
+                });
+                offset += 12 + length;
+            }
+            return chunks;
+        }
+
+        /**
+         * Adds an iTXt chunk per text right after the header, where readers stopping at the image data still find them.
+         * @param {Uint8Array} bytes - The PNG file
+         * @param {Object} texts - Map of Latin-1 keywords of 1 to 79 characters to the texts
+         * @return {Uint8Array} - The PNG file with the text chunks
+         * */
+        function writeText(bytes, texts) {
+            var parts = [SIGNATURE];
+            readChunks(bytes).forEach(function(existing) {
+                parts.push(chunk(existing.type, existing.data));
+                if (existing.type !== 'IHDR') return;
+
+                Object.keys(texts).forEach(function(keyword) {
+                    parts.push(textChunk(keyword, texts[keyword]));
+                });
+            });
+            return concat(parts);
+        }
+
+        function textChunk(keyword, text) {
+            if (!/^[\x20-\x7E\xA1-\xFF]{1,79}$/.test(keyword)) throw new Error('invalid PNG text keyword: ' + keyword);
+
+            var encoded = new TextEncoder().encode(text);
+            var compressed = encoded.length > MAX_PLAIN_TEXT;
+            return chunk('iTXt', concat([
+                keyword.split('').map(function(character) {
+                    return character.charCodeAt(0);
+                }),
+                // No language tag and no translated keyword
+                [0, compressed ? 1 : 0, 0, 0, 0],
+                compressed ? deflate(encoded) : encoded
+            ]));
+        }
+
+        /**
+         * @param {Uint8Array} bytes - The PNG file
+         * @return {Promise} - A promise that is fulfilled with a map of the tEXt, zTXt and iTXt keywords to their texts
+         * */
+        function readText(bytes) {
+            var texts = {};
+            return Promise.all(readChunks(bytes).map(function(entry) {
+                var data = entry.data;
+                var separator = data.indexOf(0);
+                if (separator < 1) return null;
+
+                var keyword = latin1(data.subarray(0, separator));
+                if (entry.type === 'tEXt') {
+                    texts[keyword] = latin1(data.subarray(separator + 1));
+                } else if (entry.type === 'zTXt') {
+                    return inflate(data.subarray(separator + 2))
+                        .then(function(text) {
+                            texts[keyword] = latin1(text);
+                        });
+                } else if (entry.type === 'iTXt') {
+                    var language = data.indexOf(0, separator + 3);
+                    var translated = data.indexOf(0, language + 1);
+                    if (language < 0 || translated < 0) return null;
+
+                    var text = data.subarray(translated + 1);
+                    return (data[separator + 1] ? inflate(text) : Promise.resolve(text))
+                        .then(function(text) {
+                            texts[keyword] = new TextDecoder('utf-8').decode(text);
+                        });
+                }
+                return null;
+            }))
+                .then(function() {
+                    return texts;
                 });
+        }
+
+        function inflate(bytes) {
+            var decompressor = fontData.decompressors.deflate;
+            if (!decompressor) return Promise.reject(new Error('deflate decompression is not supported, cannot read compressed PNG text'));
+            return Promise.resolve(decompressor(bytes)).then(util.asBytes);
+        }
+
+        function latin1(bytes) {
+            var string = '';
+            for (var i = 0; i < bytes.length; i++) string += String.fromCharCode(bytes[i]);
+            return string;
+        }
+
+        /**
+         * Prefixes every scanline with the filter that makes it the most compressible, by the minimum sum of absolute differences.
+         * @param {Object} image - {data, width, height} pixels
+         * @param {Number} bytesPerPixel - defaults to 4 (RGBA)
+         * @param {Number} bytesPerLine - defaults to width * bytesPerPixel
+         * @return {Uint8Array} - The filtered scanlines
+         * */
+        function filter(image, bytesPerPixel, bytesPerLine) {
+            bytesPerPixel = bytesPerPixel || 4;
+            bytesPerLine = bytesPerLine || image.width * bytesPerPixel;
+            var data = util.asBytes(image.data);
+            var out = new Uint8Array((bytesPerLine + 1) * image.height);
+            var candidates = [0, 1, 2, 3, 4].map(function() {
+                return new Uint8Array(bytesPerLine);
+            });
+
+            for (var y = 0; y < image.height; y++) {
+                var line = y * bytesPerLine;
+                var best = 0;
+                var bestSum = Infinity;
+                for (var type = 0; type < 5; type++) {
+                    var candidate = candidates[type];
+                    var sum = 0;
+                    for (var x = 0; x < bytesPerLine; x++) {
+                        var left = x >= bytesPerPixel ? data[line + x - bytesPerPixel] : 0;
+                        var up = y > 0 ? data[line + x - bytesPerLine] : 0;
+                        var upLeft = y > 0 && x >= bytesPerPixel ? data[line + x - bytesPerLine - bytesPerPixel] : 0;
+                        var value = (data[line + x] - predict(type, left, up, upLeft)) & 0xFF;
+                        candidate[x] = value;
+                        sum += value < 128 ? value : 256 - value;
+                    }
+                    if (sum < bestSum) {
+                        best = type;
+                        bestSum = sum;
+                    }
+                }
+                out[y * (bytesPerLine + 1)] = best;
+                out.set(candidates[best], y * (bytesPerLine + 1) + 1);
+            }
+            return out;
+        }
+
+        function predict(type, left, up, upLeft) {
+            if (type === 0) return 0;
+            if (type === 1) return left;
+            if (type === 2) return up;
+            if (type === 3) return (left + up) >> 1;
+
+            var estimate = left + up - upLeft;
+            var toLeft = Math.abs(estimate - left);
+            var toUp = Math.abs(estimate - up);
+            var toUpLeft = Math.abs(estimate - upLeft);
+            if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+            return toUp <= toUpLeft ? up : upLeft;
+        }
+
+        /**
+         * A zlib stream of a single fixed Huffman block, with LZ77 matches found through hash chains.
+         * @param {Uint8Array} data - The bytes to compress
+         * @return {Uint8Array} - The zlib stream
+         * */
+        function deflate(data) {
+            var WINDOW = 32768;
+            var MAX_CHAIN = 32;
+            var MIN_MATCH = 3;
+            var MAX_MATCH = 258;
+            var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+            var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+            var DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073,
+                4097, 6145, 8193, 12289, 16385, 24577];
+            var DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+            data = util.asBytes(data);
+            var out = newBitWriter(data.length + (data.length >> 3) + 64);
+            var head = new Int32Array(1 << 15).fill(-1);
+            var previous = new Int32Array(WINDOW);
+
+            // zlib header: deflate with a 32K window, no dictionary
+            out.bits(0x78, 8);
+            out.bits(0x01, 8);
+            out.bits(1, 1);
+            out.bits(1, 2);
+
+            var position = 0;
+            while (position < data.length) {
+                var match = longestMatch(position);
+                if (match.length >= MIN_MATCH) {
+                    writeLength(match.length);
+                    writeDistance(match.distance);
+                    for (var end = position + match.length; position < end; position++) insert(position);
+                } else {
+                    writeSymbol(data[position]);
+                    insert(position++);
+                }
+            }
+            writeSymbol(256);
+            out.align();
+
+            var checksum = adler32(data);
+            out.bits(checksum >>> 24, 8);
+            out.bits((checksum >>> 16) & 0xFF, 8);
+            out.bits((checksum >>> 8) & 0xFF, 8);
+            out.bits(checksum & 0xFF, 8);
+            return out.result();
+
+            function hash(position) {
+                return ((data[position] << 10) ^ (data[position + 1] << 5) ^ data[position + 2]) & 0x7FFF;
+            }
+
+            function insert(position) {
+                if (position + MIN_MATCH > data.length) return;
+                var key = hash(position);
+                previous[position % WINDOW] = head[key];
+                head[key] = position;
+            }
+
+            function longestMatch(position) {
+                var best = { length: 0, distance: 0 };
+                if (position + MIN_MATCH > data.length) return best;
+
+                var limit = Math.min(MAX_MATCH, data.length - position);
+                var candidate = head[hash(position)];
+                for (var chain = 0; candidate >= 0 && position - candidate <= WINDOW && chain < MAX_CHAIN; chain++) {
+                    if (data[candidate + best.length] === data[position + best.length]) {
+                        var length = 0;
+                        while (length < limit && data[candidate + length] === data[position + length]) length++;
+                        if (length > best.length) {
+                            best = { length: length, distance: position - candidate };
+                            if (length === limit) break;
+                        }
+                    }
+                    var next = previous[candidate % WINDOW];
+                    if (next >= candidate) break;
+                    candidate = next;
+                }
+                return best;
+            }
+
+            // Fixed Huffman codes, see RFC 1951 3.2.6
+            function writeSymbol(symbol) {
+                if (symbol < 144) out.huffman(0x30 + symbol, 8);
+                else if (symbol < 256) out.huffman(0x190 + symbol - 144, 9);
+                else if (symbol < 280) out.huffman(symbol - 256, 7);
+                else out.huffman(0xC0 + symbol - 280, 8);
+            }
+
+            function writeLength(length) {
+                var code = LENGTH_BASE.length - 1;
+                while (LENGTH_BASE[code] > length) code--;
+                writeSymbol(257 + code);
+                out.bits(length - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+            }
+
+            function writeDistance(distance) {
+                var code = DISTANCE_BASE.length - 1;
+                while (DISTANCE_BASE[code] > distance) code--;
+                out.huffman(code, 5);
+                out.bits(distance - DISTANCE_BASE[code], DISTANCE_EXTRA[code]);
             }
         }
-    }
 
-    function embedFonts(node) {
-        return fontFaces.resolveAll()
-            .then(function(cssText) {
-                var styleNode = document.createElement('style');
-                node.appendChild(styleNode);
-                styleNode.appendChild(document.createTextNode(cssText));
-                return node;
-            });
-    }
+        function newBitWriter(capacity) {
+            var bytes = new Uint8Array(capacity);
+            var length = 0;
+            var buffer = 0;
+            var count = 0;
 
-    function inlineImages(node) {
-        return images.inlineAll(node)
-            .then(function() {
-                return node;
-            });
-    }
+            return {
+                bits: bits,
+                huffman: huffman,
+                align: align,
+                result: result
+            };
 
-    function makeSvgDataUri(node, width, height) {
-        return Promise.resolve(node)
-            .then(function(node) {
-                node.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
-                return new XMLSerializer().serializeToString(node);
-            })
-            .then(util.escapeXhtml)
-            .then(function(xhtml) {
-                return '<foreignObject x="0" y="0" width="100%" height="100%">' + xhtml + '</foreignObject>';
-            })
-            .then(function(foreignObject) {
-                return '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '"><style type="text/css"><![CDATA[ @font-face { font-family: "aahub"; src: url(d09GMgABAAAAApBUAA8AAAAF6egAAo/1AAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP0ZGVE0cGh4bMByBXAZgAJ8qEQgKlLUcj7UoATYCJAPSDAvTFAAEIAWOZweBxG9bW3+0BJ5Onr33bWn/ut02BQBUug0B4K9SVTft2hHRydLCvqvqHFsIF+iUScZfQUsumar9AXWXwPDLZ5Rn////////////L046hlbAGkCx92tNkMLgZlq07inG3BoWS1heiVnMS8sWCKz6Aj1Wl0W2hrVYpwU21M0tbRtUd1iyq7I81L39gy73Y5WHW/IIh3Eolk3dII7TtJOdafaWTykCNIUbph6GqUnljFrnKgjnss1YDBx1cd6woqzZhbxs8MMTXsU15mXpLlz0GxftdnmntVX0u6N5aWV7ef04c31Z61X4xs7K/VpT+zSb1e7igcoK7PBRLvwElNRNPlFvk6SeMmWXSeGg1mXSwMJelkSTJlMSjZnCpMuUpDTS2iTpPdyEuzFkOJwKScqu9OJWtry8sqUYn0GxoCk8Zbi0U6I7gubNXHocGJxivZuLBnfRaGPfRRDRTTgxmFReCKdcIYJapwjmvkXzuAfRBPP0dBYDPEl35cXdjeQSNesMF7NRGJyM08O+Ns8psnTm9PfU2oapjQaSgjUYsXSy6cVLTS4RnTAQV4RJijBpkoIgQVBsmIFEd9iyHQ3DsrLCImPxIyfZKnLsa37iV8otmnbDel6vVkFxgaWdk4DjuTxVlrPgHleKvbUxBhypN5UVPKKdUIy3nGOGI/X3yTjBqzo+muo1pmrDhgz9qpic7kMdY4gOIqbr5ZzAxmgy6vtQx0jV6+yKpaWM6XZ1ln+qY3WMMeDo9X2puYjMhKPX961mRmbC0et9MfW7YnbNKuah+vOg/rI61901s7/6llT71y7Mqrt11dVOq+QN0Ti8L1gmlE4XWWSTQy75SFoNeYynZ6ufPjy/zT/33kd4h4qDj6gPeJS0YOSYLNQZUYtqf7XLrB/d/BoPX3PPey7sJnn8EYsgcXw1kZAkTC0Ly0KJ8sA/Xa939m8Ivsj+STmBVGibs6n8e6YkCiDA/9KlL9AZsNsvB+juvGFczWgDqB/gi0eVxuW5iuYkQ9G7KL0Bvs6IJVIZQIWhPsYe3dt3P0wK2CG1EhAkkC5LAhnhOhEmtWVhKhygZAptQJu2m8+jDQojQHiMw0gShHAERW5RL8c7qsJo/+tTtT+3e4asvbcbs6yiSYckb4ppegbAkBwCIARRWBmr4rpQEn4G/gRq/7AyFMqUlw4KdMi5gdl9IU7cC+yBAw8wsEQ7b2MgkQbyQf7dm2vf29yX87+c5vibKG5pJxazig0fZUuPZIRZQ8Km2EIARA+MFfUnCv6ecGovhTtyXderRMRLsrIlez+RXBFL8aqVElEgEckqkRsxIxJRSzNSKmoxFclii/LliEb0oCdSaOQZMRWt6EEO35CJfIWMaOTzlyMakYGpmMoTuCNTcYGrmCMTuMJVzOEbet4h2GYHBkY02qgIKiqKRKaEYETOqUvdfrpwkfHr/MX/ymXr/lc//0tn1ePj939rAcO9CCllbFlja0CWB4D3LUSOrRrrEFC9So/SuzAIAj9U9f8reDgYDAaBEEiJFEklW5bztW9IL6b//8YUy9RuWe92/Q5PuOk/vMilJppgIokmmEgCiSaag4tc5AIXuMhFLpJokFCDBgka2rgm5ZBDo8YWK7S4Yktb7OxqO/zFL65SQ43tscYOf+lq/+jm9v2df9Nf+uv+bJUSlbaxXgx03Ukc9+PfaTmjZyfpjF58nENI1uUjWDoq0GZA8tuNLeMhpxC1f/H1D5EMJdjU2V1MJZqGZll/2VRHbysgGR9CYWDd84aQP0IdhCP0PCYptNW1AcBA3r//V1fdK8GEc/Rgg2QTZjJ0SEzHSNOZxsY32HqNjRFgtpjM7tIz/nlv+u+96T9JNgKLZGNZtuVItmVbhuwg2zcQJtDDbv742tr/+1St77L+qkYbGyERIGKjEUkisxEySSGRvFWXRFsCSdjC2LQlz+rMkb38IazdF0jrT85RE5OkickywoYcBmhuXdTutt2i2IAVbKQMxjbojSpHpcBgwySltBFB+ffFRL/AasSsT1BB/TcKrE8V9NMcArd1uBYyRBQEBFwT1wYUZThxIaAyXSMxbTlzNCxLxZGWTc3SbKik1tvXZ5a2v9LWVmt/vwRpbeERmamFB9GyC3uC2la1Rd4TIqKbik439fNjYjz/6wHSP3+dccCM1hoYoLl1dI3KkRtjbGPBGIsOGFEltIhBiBiJhR2ob1S+1f+vX7qN/ed5LnF7it95ETTfN7XqsicHVfGhINlkOTiwwNhgxzPrwBzjwlW9++v+LWiQJTvuVqMkx5ZsiQN22DDjhkPwv9f5qbsK3rdENRdNihKnFywAlAE83u6c/E4wsXZZslOlskPscClLk6bO/+X066tmuGp7q25JMryXSGxIXhsSh/ABS6px63RniD7wNjl/Z2/tYAOFGyHJMAU+LHGz+MPzc+t9KhdsY+Q2NmLUAhj0qlgGG7EBEhJpASoSJiYYfYp1hxVYZ+WdZ4J659nU3alXxoDu7tOyEhHAAA5GbgtgwFPBpMXYj4NAiATfd8i/Jmn7xl8I9ljzSnBYRqiAFgR17JElEPG6WbsuejxCmKoVomNV3+yHrgclWOIYIjkg6ECkm3ZO0ucKEM/+3mxVbv5iiIVVByub1XUbrJBNrOH07knhnmGd4eV/P4F6/5MMP7Ng+Jn0TGdC95FVENOZBXuVBfQI1d2rTylZmdm1U1X0xZIFI2BUw8o+IbUlheFcnGFKx1KeMeufYVsHX2vP8o8/xYEpD7anayNbLkSDYcGQxF4Ek00wRKmKk3gJnw+EUm2xAUz9hKnq+iBdQFVQcoFKTuAUSEyh3ObS2hRPaVv9BxsAUjIKJfMBSgZIRSYp+fIPSjbgSoLNtZR/qOFBl39Ktv8pl3/QBU/JPryoxITlVjpdSqEzTB69rJkrQDcg3aVP2bKs2XJ7liG35/ZabveY/12W0g6YkbkJ9ztoiHyaP5q3q9Uppe85pRRUfxuN9DVzKa0BaJjHA3Ew2xdmmP+/VO3bFkgFqqPk3/PHPdG/f3RPiGdvqf1TWE6Kq7TGvfdVgS9UQRVAuqoASiiAlAGQkgCQkglQ6gIYugBSMin1d1P2bx9ZHUb2T+5wPO4/SQCpdlOy2/mH7j+TV7OaWez8Q1xNyLtVjMt49vPXfqklUkQuGc8e2IHQMeKQFoIFxv27/7+EtwTgiNxN5MlOjagllojGnpM1yvf/P3/6TjTAgLBoHypbYM2GCySgnSjBjq+oWdnCTgafH30+fwpkGOAAwzDHhw8v3jN6Jxpw8ET7tXyHl2CWCYlE7Dd7f7F96Py0kMQn/SOaLCYlXAqIVSLw1C+dTW7/3qPsDNL+xLrePrW43l3kHQqJkYzHITOxAp5/2vvv7CuzVP6kUBwaox/WvbZ/P+mTfim9OCQRDlC2qkgPD/kbC+k/guOHZjWUAPxjc+MoesFAtDR7EVE5kQLKkuGuhxJRMwx1Tv47dkFQLtQ5dbfv/3Oj+3gduIPcyqnIICISJIQgQUTsMPvux09LfHtj7rwF0ySFbPGL4yKHiAgRYhGCP2Ou96HeqruzXLkBAcFRmq159/c4/E2/AlSZOp74XQQrWb/2TCd/82vZJ9pVu9ISsUKBGCQO83/zMmf/bO3Yv9+uu+tSQUVhJ5BNwpgBdPDn8kuL9p7We8N2322GDGUlkEASMqb+vUHmdChoj63r6NVa5QQSCFfeN4G/Gg2no1cyEa+4xCDw307yM9z+X/tF/T+7bvQKGQs4Adpmo9lsePWcWYXmpOJA6/O/fgAEgNd/fzCKl8V3fimnJXejAugAKALBZyPoyKjZDcerJEHzvq4rFjXihyamz31FPHyI57Uo/ZhvkvuY+PN/aBVAJv1UgimrThK0/4m+IvEhFlTY4wkm+pBLJ+0s+dHqR6pfrH6h+sPqD6p/rP6BIwduOPGCM7dceMkdr3ngiUfe8Mw7xkRNBE/pgQMeYSaXPrTTiUAmk/la7mDOdlKClCJlSDlSgVQh1bQal/2shdHv5xf5gCLxCuZmsT2Ft/cfH0/qfzf2/0WENwFQ+TSXrA+RDx9O9D8Bx4PW9T26/P11QFP3VyBBAHIAA6QJdAmhFCCDyMreLUauxx7VNBh2uR0IQkUgNEKBxBE/RY96h6OH5p35NfqfmlRe6sl9Zl/c9/bLS7fPYSWshTy0wtmTZp973gWWtt4bGB4Pz4TXh/1AhyAo5QrCRCYjRchS5BLyPTKE/IH8jYQZv7JD4ruuka7trq/l9QpKoVUkKtIVNYoVin5lkDJUuVj5u2pCDakxNUfNU0vUSvWQ+oqb2s3s9sF9rftLDV8j1lRrES1Dmz9Vk7Wp2gxtjrZE69Cu0e7XnvE0eC71dENaZkN3eoxgSAXCZ3jGLjoNmvIRu8ZXNw//bn77YRYG3xFTcnb9p/UoMIyAIySgF1fxJ5eH/4IqybcvPQzdgp7CAKFeXAI7w2rYk/iR4L4GsmT3K+DNCIiwkXSkBFmJfIcMIsPIC+Q/xi84q+wI14Wur+Q1CkDBUeiq2KDoVQLFTOVKFdCPPlWhPpOn1B1w79UAGpFGqgW1mJap9SwyOTlPW6Zt1PZo+z0Rb135XJ31U+hK3syNOFK11DtReU1Gczbd7Bw6lbvr/3zmQf4H8omGXNS7vt62XIhGIeFQ/3d1ttssRi3KJ9VUWUnFFVUYpnSpkoVTU/LladHg/wdZ/mzb78XPvxzdBhet7vu/P54/2vj9vD549+3XXn3h3uvaDVOnv920bzv652hh+90pVpR3q5vtttxCA/umB99/MPOB5QF+78Md7Oa/t/+6PXEbpN/QYfoL+il9nx6he+il9GJ6Nl1Pz6BTaDNtoJU0h6ZonEZphKwl/UkdeXFFnf/Jf+ayXgVAhJDVc4DIuQQFSADzec/464FExcGALCwuAtLfvBiST+6Q90hB/++knvxFHhYbgFbirNuBdAA9/QM5DvQq9AbkBNDb9SdyBuh96APIWaBvQT+AnId+Dv0acu2nvWEC5DZMzsgDmFLIK7AeVQV5FRYt5HWYnvFA3oCJlIC8DbPSDuQDmKu6gXwM8wr5FOavASCfwdKEfAHLrr2BfAkbKOQ72JQ6Fcj3sFlGfoTNE/IT7In6HJCfYS8I+Qv2EjcACcM28S40EoFQBc0GIYoVQPNBqGIr0KdBaOdTQBeB0N2XX/ln4RrCdejPCLcQtK9+RbiP8C30d4QfENbJYl7/hRCGxUHEL6m/whIgKmTMALE/CDOC8eIixZS8mnkLmFn+tIqNA0zP6Rdf75bAlTAfSOv6wGuMlFO67lYFUoyNBuk5YWNAeonvABsL0mVeAfYMmKmnga0E8zlhr2K+g68Dew3ze/wRQcBC/QOhA6xGlm1dqEuQVYN1nclqwbrBZHVg3SayerDu5C6QNYD1av0WWRNYvzfZCLDtMdlIsF0jslFge5T/IRsNdvgxyDn2y9ffkK+diNkI8p9ki9kKCkF24LOgkOPIQ1G0giPJ5Sg6wbGKB0AxBByHnm8ARRc4biKKTeC4pd4Ois3guFsU28FxLx8GxQ5wPMZnQLEfHK/wI1AcA8dn/BwUb+C4wqug+AHX8TkBin87b5m3QfG//sJWQv7Cv1ESPAsuRckIMDtBKZfD5hQoHXLOXAClX67F/wFlCiT/vqL7z4QVLIIQjrAISthgEYywSSIEws64HI/DdRtdKN41DMY2w2KnIbhOcLghG/vQ3sQIeNGIOGwkvGc0OGFkBt4sNMOmCMXY81073XL2fHmb+f0YwIF4ltrvbPz3PHiavdz7rfZzv/4beBUd/M0FN6ND9uIWdMdnF7eix/oFbmOkwO2MFngikwTuYIrAncwVuMvWLXduFwncyyaB+9gp8CR2C9zPPoEHOCLwZM4LPIWbBJ7K/QJP40nh6TwvPIOXhGfyhvAsfnDxbPR4sfAcKgi8F5Vd8CD6Vzq8NyWE51JO4CEqC7wPtQXel4YC70cbgfcnCDyPfgLPZ5QXPGuWwAewVOCFrBZ4EVsEXuw56TsFvITrBF7GeYGXc6vAK7hT4JW8LLyKD714M3wqvIavhNfyjxij43VoOCc6Xo+Gi0THG9Bwieh4Ixqu3DJ4ExquOfJaAG9Gw32jg7ei4f7RwdvQ8JLo4O1o+Gh08A40/ELLeCcafm/k74MPRMO/HFB8sChABQCLigA8AIgiEciEmb+7SYEQL31H8eN9DI/9AQAE3+0BAMwnptLktHDG/nbZhvwjcBb4Apm4qpIYGgMTC1Zs2F1M3wg54oQzLsTQEw1aHkFHLHriiCcBEQNGTEiYsWDFhp1EHDhx4caDFx9J+AmQTAqppJFOBplkkU0OvQjSm1xC9KEv/ehPHvkUMIBCiiimhFLKKKeCSqqopoZa6qingUaaaKaFVtpop4NOBjKIpz3jOS9YbIV1Nttki2222m6n3XbZY6/99jngoMOOOuKYE44747Szzt1AkxnKMEbNYDPZaCJjJs90RjfxrFVdbEof7hELmNGZrWjZNm6Xscy1jB1OecwQxnfD9C6Tnmsc82a4wTzuKcun3JS/rtft+l6/63m9nPx4ykPT5ebekQt/JQKAFZs1va//jfSkFz3hJc/rtsBCL1tqGWCJNdZa7TdyT/SIVXlgHpyHXJhH5+G5F0AePny7r8CHIKD9krj3kKXvQkpzD6InlX/NIlPFSZ1IFAYKcWQryvQvJAJV6k9Qh0rYhy9UHh6J4DG1yveeOkPkOK1GIojPNQpdCEfoqM5671HeimQdtanK5jTMKdSykoQA+TDKIQkZDiGYzslsnT1CJ0YSu5qIB4sicrLL+kaErdUHJG4bIBYouBCdMjpiPQLfVFQkKWer6jwDaXiS8nYrcH6iCmOhSirGFEWxxhKJbvWoWiWCkCT9s5pMu8SYk7VsS2bo2RnSTpFJM6RtMoMuPmvL7gQzSIzUKs2DyHXo3fsRc0+cj8L8s/MslljFHyX8CCMNpKbJlmwLNWbsdHLnG4FICjPKe9XLKHZMV14KLNgCGs4wyNnRSzIT0JoSx16VQziAXy8NU34NFVCvmcmHxsR9iC0U1Fo5Xp402zHCDR3wiAPqFAShlsVv25iPlwoDy5NMhrlDmSq9qmaPzy1rnTOraX6giQuk7P6hJSxOI3bKliWOOHlDPkKrDjWFrrUHcl000LJml5fvX1q2iBhaZZipRGrXJBD2BHYuEO2Aa49Nz84lyGDW3ZhRAplyDKWPGdgDRH7MLhTj0Z6jIGjSxjK0i+0dxLlDZChhdi9fytb5/vpXq/pNItKLcmCxaUXFBC1EsmEccbqwXPhYgT2BWzkOQfHiK1oSaCQBdoT8Hx+RQdloPLdgwXOvH3KH/Sej84PxZRcUY8bsJCOkQeMVNvjihjGgsfLl3BRgbcZ5bC8QX55Gz6+6NPQGA7I/wvrhqxvZIbRbsVNpu+C03MN8DSf9HbaVTRl+MLeem0hMMmHK7g5WGLJf/lUhsIqVSgg/YcqtICypMNqsdkdYztvAVlBvore7H2QyjpwhilljxSFeJ4R9tL1NSLLpIfMRsE+qPTvZ04rrF5qP2IsfMEK7l92x7xnsJXWhkos1iOXPJJS9Ullh2OtaDKrohyXQJjEnRy1VjvhUQ8bwgyRh5elAD9H1g+WhGnFm/0K7TNm7FLMJsRcu+PDGBYkd9iP82onEHuvx3IINOwphHUlYUeBdqUvsb+Ewcu8urNihsU2Q2CslbMnDhazUVX7dbgjc7R7rOawuzsKQjeBwCaASskFc5417H2ZjyIQjZlgG053rOS1EIZH/j7nXGpVTkiK7rer685GFPZnhTcqthnhzMMOQJ0yhYSWk3CrifEC8Wo5w7FrqVMyKGKVoEwHE0Eigpq5WrLoRe+sWUnfBDo4Eq1Bp/XyAB0bUZ5SgKV7YuOzarB0icmPm5646G5KZQ9w0KZXEAG/jdyWusnN3yancqxYlL+vWu6lt3BvujVcrvGQD3Ljsb5x7Z4dD7BCa5HFox1RiF/ObIXPdjyz3uFvBy/Zyv1wCr3JZdN3xMtPYJ5bdKIhRcfgAZRkbjYlF4SrF7pVXPQauoGtGmzElY96n6q5RjD7BaAqT2pJkXrfQNUOfKSUQd9djlGn6FCwaeffGQdestptJqTJ8eOPlptlZgGadlGBlWaR03rS7MQE0SyN9xAKCtecZo5jNKWU03rO4kjrE1fmplivpdLnDDe7Mjb1LN9FPM8lln0vqVcvprOc722rc2aCys6Km2lP35hCnthkq92Eo3jdXTtV0pmDWGTsFoBsUFQTRiFabhFBMY7XxOjABoAYNLbCgiBhU0EKathHT2nbRHTAdemvnWscRy4sxXEVpHDIa1+SmcSbbNxgVzRv7pqH+PrlpBjZ5yHM/512PjP48t733OcYe8QT0ksUbb23BwKYo0DskiWLEps1j4cp0d5Ia2LE1Y7IDS/KA5DKiHwJStvnQOufZpHOIaLrDFeZRKEakCvNpGeJuwaPOGa7anJp0aI56GuOYRru19/bZ80+GcbgN+3AlhQ/txXNF0MmU8Hg8Pjs7F9PY1A+966Rtd4uxW0aN7ouLu8twOwxutRuMb+26zie92Gx2x+S9uEW/fqURK6V9urjoUxV3sdrU6RP74t1QrAVQZbM2apQzQIkjToA5A8foa2jPlJgVKcagYGMze2AgawBkERGRuMJyDEvvj0OLB8SEyNXCOUKlohiyqvECYGzYO892Ytb5QVO0Kaw9nqNFQpcQV3492lN6dt8mccnvivk88q26+HoZy8p2VjdPY0pdiiMvLSeuMW4I96910q2cu+JWinKuXAVX9Q9dYu3eiBTfeR1b9u6W272IaqcpOnVQd7dLyd24q7CwhiLtbPdapGVukrjEG86z99FXXgzi3P3w42dnU7gh3L5FQEpNGqSzs0de6PWxuNY9PmqldalKva821bE6VOYb++15O1jbWbtoF0AL5LHz/uOwWnXvLfXt2l3zkQ/7wj2RcAjj3KHD6xHx2FpdYlQoQthsXuUnYRVFRmVrSW1S6lAwrEp3JWe2LJytp9GuK9M0rPEpXO1vXOEqxY2HTNXNgO6PL2uZJcW1VGaJvmvd2vA6pdfH6xUBA3azjE2MY0yp8dSVKfgpKbbIaFPMATXboYuxpKROU1QHluV+TSar/J7HYRbYKC1Fn5JFxtqP8RkY1ouKADktZE5uQtMc3ktV9F5QMRbExspwqHdza0eGiFlYAwUa4GEt50gCVI9hF48hkpzzmDcQWdVhTGbn0yZpVdhmW+6fu2o/J7MJab7v7WIydJvvrkdUqNSWh+TutlF+VCn1iKe8utTUhDueTG1WWIz2zo5ncwibg50Q04jt/bl3so4d/TS/n1Svn05yuHohPOiukTx+EdQFsfd+f85OmlL8bvk4TNFx28mqAj/xrMSeb1+nh4e3SSXAv2j4q96u5ONv5Lb15qvdncRlcXgcfcxhP2qP0lX2CDZpH3GYQ3h0CvuC2YmDKhQopjRogIXRTI41aOOs9/AIo1weioBV1gCn8OgCRGvwOPSDYmTpjDk3551zfu262Y1uiYZTssWch3UeTilkJgzrlfZ6uwqqtVp2sALBZjbaqwtkltu6q+sZDyGFTIECeitNc3EcBgFkMQF0rUH3A+BqdUxagI4ZFap+IGpWa0MAZsVozx74xAscv2BXnWmvgUyGUFecMqWMx1X9tSfW/ryy+4J8yzEwvX3u/RsNQX1UL+J8imDEiOBjzML5zbOLvMpA3toNJZ9yvkWGGiCL+I72GBCU6jwQIzsAcNFBvhgBCxiAgE+BqpqBartsgDfAhRYAI6wlAhkmrxQyECs8xipWy9EA5eBQnVcEaqiqcUmIEYlkyaUd413b2aXr0I46C5ZOc6ud7VKnzND0EQlBQ4ALEcr4mA/hUwuwJ0ZYWc8AhANVMPQsbaq2wnI8O1Q0qi9Xa7+ORxQAGAR5hOqKqOsAL9kxVZXVkpiRRRaLtnRglZGn7AimMIZ0W6FtvatXWEFZmVYiksdVcKgWFRaoxGvwXvUEr3XtHKh763rO+VChY3nYZs2wIMI48XRzw0zU7ngKmrZ+kQvnwjRZbvDQZ8uhjSxODIyJ2uULhirP7FYT+lzLvVd2vXBTZVErGyuX1gLBi1i/tuLDY+is1REXeBbLNlmSU4TFWbsZSndgpQPX63R74IOVjopV3cRTZBd3MWyij31YRLeJgUf5OfYcT8ziYtwy6xij51jCECUO6eBNkpWzsrBx6RVUz2pnd14yAwh2SPUzGo1tUovlhQhoC/EGg+W+xsqZlb6IL1Z5epOTNVMYpiA8BfXcKcwTDSK1Y4nQVloGArq6+mGyWkhcdjw2T/zwQIEylATsCXZ2EnHhhVruwrR7onE1BSDbR6k0LTam9EmfEgGK156JckfTopMohnvo0CyeeDPxaWInwfMmN7HHniOVlzpNakangZ3COnoSF9SN4Zq/ctJBeDg1huIynwgrwToWRcwi44zfzVaqpwJNkgC2ZsfsooLhoqPBV4JXryAqhazznKoAwpzhP8fQPhIlgVU5YLMNFLqEMTyzCgzugQtuhWNU4gRITG1q3+xr0oRtw6pBWIytITmo1GwQoEmtMltmr5XWTnztYu90lWSPmMApqKYQNJ2+5wf+o9YvQoyy2QCIsdw8hqi/utn88rQ9jO/N00PAy2c8d59htoBqfapfJNWXMcj7y3X3tvvgWTt13Uevu25avv+inzbd/+N3/7PPVwk4LBbTi+dn92e+GcMH353Tp7n93y6otc75Ylu5nsedK+MXMn8yT/+X82d3gQL1C68a4V8ykRBxcMlpcMFBRudP6fYoD3w9D27wy/D47VfrTzr7M7+7uU/Png7D96dvt3j/N/JnYbHY/8TcLhfbzX8H3u/2SMjblDAuzu7+a1k9WXW69P/+R3atu9+QGAaVH99uz4+nZp7/29en470SAnv4EdyC6ZNq7P5OltNvWpGeaddl4G2/7PDwaiq5+MthQPKMEZ93Ja1CtJ/27fd/JzdN/EhSlJTlcxidwbM3uWF/6026hkSqg6k1UqxrkxBrneWPL26b0tP0o+9bgyFdnSbZz7SqqJ9xP/j8O3+RShJRETclihVWNQuSKW2VmiXOuqo0pdUnTVL5S9P8VvqnX1oUWfxg/KDvlt3w/jyOcT3063UkIBIB9AfWMYv9aAai/pGKqEZRaYC2DcDq16wTsc4c9tebyPvreOSJ9fTk5T2XtE7b7ZeX7mN3JSxrORfHMsngxMvQB+lFOIVFMiX1Bm7aJk1dVdJmkaZYkg05xZn7lh1DSSbEonDoV+tmYwDYwqwR32BKxlsz0vhkt4S1O5UFURS/OI7Hq8uP3hfxpRx9LjOX0fLrJlain1/SQpS0dPUMgDm46Fh7Phh7dHrJ2AXehp9aEa0CQRtlxupwh6r6/gtjneCola5QocPo1A35W+7nO0T0Dr3/Ea2I+pmJeEZLhHLzipYUsXMlOg/vf+h6V0SLdJxyPBGdcg72syYaeqJlnxRcnrPo07BtRnZEjr9ndWzqxLGYfUnWT4UXMhANg/otuzNix7fizuMreUXxmuX6nedHc0Ert44bmi79q/ni+jG4r0nfPSMqRHeDULtcOdaUiG4Apy54XxrVaToRXReisRupbYk40EwWsg6HifJAFxdeEwpENO1pmoKG5UiHboiBhcB4YwGWQ5t3cq4lavdOI3W8JRErhPaFJ37OiUTbdxlzK6LqoHBJa/hQ4DgTE+Vju3zYWMDUUhelKbKIiUJ653S6IVoWhcJn/yx9jTaAgM/P3gN2RADwQLTviJ6XCFxNw329/woAnp6oHevu7RkYqAHgU5gnehg4A4AwrQDASNw1sMIfEvCSTTIOIBCt9q4bwjVtzI8hP4TAwHEK3y4jgMNUd2xqXIF/NYGuAAKaVRnDkoh/6lRKBygRGaD+bgeHSbiHBS/hVAAgwfRVAlAK0xJoV0SDt3ixsWGBdt+W5+vPJsL0SQtcDvaH+pFIH+p6T7wk4CPuagOcT3dUf47ZI/FpAtypjjXwpI5AAMgLUJ8pBvUE3FFQo8bLQQITAWNd6wvRnuxLAL9IAM0APgEBSMfwDr5PCaCbib0Bt4WMTx+As60fvCvNpIAZ1QWqP+qksfZ1vQWW9Z0BagJORKn9koiMYfM2JCAkqIRHYuoa50xElojPvweLGqg3sIzkFFaFLes28MWpHUeIsOSabm/pFql++eK4AN4aAsJ7j8iMfKL6b2rhA7j08dyh1fmsWuKnL4FfUVs+h2U/JC9CAJ6ow1QJym+FHXdU10+JeBuW66cnoABsPgAQZuOEYK1saSnTQmEzze+fWM/giUbQiXCaInw4SaSpzbpERM5mfuWq45DMJsVtE4IuDWDi/JFnn0W3TlRm1eTJy9hGX2jOv70w3idEn9f4re2LK6QmJpUxrtbrJr8zzFqokQ/xspOMjYwuJFLGpui+iGo+YbyCTdazhzKMvHfSTnc+22mj2TXQFbBZRSfrppe161w+gGG8bUUbYNHEBHQSRGLi/pJWsoDQw0MNUswx7QSvNYc3DO15A2BP9icJ0G+73l3/5JFFidvcx7gfPPk9b7gw2okJWEdc4I8BKuTU0iORvdjzXfpjogjzbZpT3T1dsw6Qvw8e8VDq+iUVoGzh6iuMDdGKAnURdd/GXpJVL7VPbPMCHy+Jg1lLrfU71eMlrzeD75R0xhWgYyqgkUHv/YQhHVbQutZnRCJMj+ixwoVzi+TEFdD5B89pKQBeeR59elWvuEiJkuaG7fgceEpPFgl1RuRqo9x+OknC3tJar6g/QBd/ukhGWyD0NJm4hrWpNfRT5WbRjFDHNAs4o7l+uAr0wDTJGjVw4bX2P1YLvSK5KjU6HZpiDjt43A/FPuOWwnJwcrYiUdB+lRQIOKAYaRcBIKHz3MvAoi8azcwpg5wuZvU8bPRTMKDhLGUcKidAkCvu3Rpd8Ve26+HSHYnxTcrlrd32bV82e5/uWs7YtE+UuZtHmgRII0DPYrEbdJoHkfVPaT/WwcpCnaA6yzSVHgonrTf4GKnsJwRwOFLI9Cm3lnm4LeJK4rTv8bf7bY6VqBGlEgyOBoxbhBB/prbfBsBNJqj7IwLdR4u1PK6A/0pxzROsxggTKNASCCNqZEJzfQwK4sKVXKBIztREcHAmpEs5NGj4QvQj32TA1FkSB7ZOI67zbZkqyCzAxig/kbTjU21lwopSGGK8365MXO/QennrZGgTCJfuMK1sH66iMKaeIkqZjXUIom3KcAIrrTyzuYQExjx4+QPE3czHBi5rewUWjQ2ZQaQlsVeFA+C5NIMtpliM/qxxMCJtF0Nd3ohJuA5ofFsA0BEDhWNYXg8OmIocBwrTIeX3sOJ7VVgpIaTYEQbFxl2Bwpm+XcLlGdLhzvh7ZATuJWou8S/cgSiGlc7qMNp2S2ed3qtJwvRkPJEezbdOV+pP/1y2wL0xXEErerWgMLT+Rh/HikdMU2D4JwNQyv4k0+ooBkil0gjCY4nIKis/8/xE9hmaWWKVvuc+Cb1f3MHWi6Hfqt+7r07SiPQytxne37CvT3m9bQAIqLQ1itqUm3wz5UJcejGBPTbSeJ7PsFhmNNk4usXzoZBrKur+lAiWAzlI6ZVRtCvbxRmTz8uWGz1ZwmmgGtAKQ9maK9eR6/Y8U3o3cJnHC4luAltd1vCE80dCsRNoZ+x+GQP7xczE3JXtw41oTcjfQDjEvUkfYC1t5keHfYLP2yDIDcWv4goKXjfhOpqxqnACmtvVASX5PNSjmtsc5tAVYN2gLkAg47noBGL0OUZSw0vEo634fmF6edoR6LnhxXKa7T4aVGeUE4WuNThVqjEEmGw/YF0vUZTVeSAASXgZRTOUoJi4aUFsiExOq7OzJ+JKkY5stVtWsZ3PZd2xgMM13giYDB5+9GU73JHTahXakrkgAnZXks8b4IugQ1Hc+WhHIDiouOJB9WIEsIXCVND4gpyJ8dWJeE2pD9adzkP27IlYW/oGSsNrTWRsU9tWFGZrGfGQ6/M9XtmgJTVm+hKz4TQ73zWNHsBerqR8arGe3BtXCQIOmboSFDCQ6cMmbCkKbpGfkMazJ3QNN8Y9bLKaXKzWoF6FrB6FFOt6/wBkSG0xwQ4sEAg0yzwpQH/lMMllpC4Du2DMEMuZP0lUJtiP62QPUCGucOsxZWd5SJGBBlGz4f50GFbnbjdPEzihY9VQJjf7BF9nA3AEXT3b2K0fwc+Lep+tcbar4mg2J+hD5w3HzipKj4ZVG3fK6sp2dxFpOVi5PR/U7god/4ZwM8oLfN1xubI+PcysR7oQwXC8IZ9HEa6B6AygpFAcq9bHB5SgXyISTQAXzLWmbNyo+Mqs5sx4MGOX8JCWZk0HYkVq+ac4V/QUBBuXokM+9GbZxJ6hvd75AuGLRotjQi04iiy5Lc9weNlhpWMmCM/BxXwVheUnCGxxb0As9967go1CG1P6K7TMTi2xsJIjjclhRRX3bPYOwSf0OQ2lCd99TnXI2Qnd7flVfe2N/aujpmZDx7BvAl5U8HDKmDfatlty314ZMIQlw7ipmOprFbMEGFZtUBkRTsKmmSbkMwancPRlipfC9ukChjoYYb35Q3yBqe8AyvYMEYA+WlYpveioJks5sQv5Ax6I52nDUE4VG8Y/jEYLo7Nl4C2AcRr2hXUdBANLy9HGMTcKWB4wwvDQTu4CGYygCaowMKZAlZRM6kTbxFrSXm3xcKVCYlFF5EQ58Gzq7OLgDd3O7ODDaeHS8weNNW5/8fxqvPL2JOaerah/9CNtjRyCUgZoM8pjG3CIDbuLLAAjrysZhk2vZ2ndOT4v8IbsLCwDK7Bpag4vy6rtp0n+JnWScXteMgEJT5ZRZsl8Yrfm3mwW8IkNY86AbhQcMPv9Pp+Bj5LSpBHkvlOkBBdPwL+PzSadGW3v6BIsd5vHQJi3fMt66u/b17/pn/PvWFWUiokQ0Nyle0fKHe6FF6SA5A6b4wEqoCT+tm0n4+DyWkCQK0SIZMlDVtQGfpkpr9WzQa0alDqRvgGQmk8VvmfFRp9YXgiBOyCgUyr8ofavj7lHwIR3KbbPfWYGLGKBAxTdnuyxWP2WkFsqgRoKAxkdEBZXm1Yb2pB2Juw4WJ77iipRaif1dPqVHCz3WbBZglNKtVKpcTq2Vfu/F2TSG+eco367Wrk/HqGMMIMNj1JY75Xtec+2Vh5Mk1RnAcZNP67Q+pBq5ydA4O2Ds0oWJZZ8fsC0EbqeU5jqJWQgZQm93iKpDdKA0CFJWAHc6pPRKXoGJGWm3GgT4+eoj76UTQpE8vpFXNpSTHZEwDhnT6WbKsTSYNhm7M7bXmRs8iiPswMXzmDW2XA2QeCK7SFG7odSl4yhOdfIU3CFRvQrQmWmURg9nxSe/gA56QVtiB+NuZ42ZI2SurUWgoxuPNimfLFpTIa6HFjKoJQWtwuGdpwZK0iKPSWoBYiF0YUb1HJMgpQW1GXPmICw1n1pai5BtRFqMGOFyswQHgVUWwgjrW7nKb76LkI7kWCY+7bGfDVuXmdK/hxc5AprHollvY9Xhfrt/ui9xPEeDwnoF+aPNBzqZXJgevY0S9iqOMeU+90pNWVrYqK3cIheTwCKDsAm4vRrOZHYt3fP6dTWvn0PNZ8UcEzn6LWDrx6Q1MPuzyZBLLhhYxthEdQ1jHnRsa6lYZi7BmZCg0bCGK1HwkaMgEeT5SXO2I4rfvRJR7ts7WwoYImZTSXRxvYzSpBklZigCL158XhF4v3+PvDrVm7t/9/8e5Zp3Be8BxWefqEuCBZ8gxL1M8E2YucIQAstk/ApxVTkU0kIZTqo3qIeK+S+dkXf3mS0p2ObOBVP32JmpKb8WKyhkvhzN0ku4ltdLyZTY+TXv+ZuMoEyy1l0QN3lJ7HW3IjB5NOKkMBv/o4Q8to66vPfbRgEVV3vztOV69MRTj6ligrP/9AIBO9VKeGeltOVz+XC9KFXT45b+wSQMVpcbRMAAenGzUJrGq6it0E+1hT8D+gFENQlbW3pYBy3ogv9po0IxxMbmGUMBv+Y7d8r2vbLfW187yFYZ+/Fm6m9tgUCcjQyr2cgHHiDhJug1GmU2lFlcEnNdzyNjD97W1EGI+xJDxuHe2UnUEFXiMQGcIXnViG/huc+LAWCXQQZr9/Ml7RBlTqQQ3gBSoa+JoX6TnspWYILnpOfxBO8FTtyerlD/BWZ6PN5TD9b9IqdcrTtlDljTo/x0ei9+kfpQkDwZ0SXKHA+dTw8KgmqvJAsmfN5BmZY+8RPYmacl9K7LHwoSDYPfJPjMwyOPPdPIccpTfheHh0bZyE2mlriVBtXRHzRqPibWGf+wNoNCApT/5XcKgpjuMpALGqeHemEC2SMWSA0pPskj1+41Jc2VgPw6gs/B16JiH7Ixi4EyjjscXZDmxlfo8gLjfwaAQqRdlyjxpCMteJFH7UHI6FasaUjoPA67wf/NmjQu5VOesq76JBpIIyngQFEEvXLW2M9dm5RS+fMFntPJhQbZSPFU+pwEooSy5Nx2fJhncjlJCa5/W/erlnch1OwZqB4WLPGunhYQ4h/WXp3KRf1MX/oh9wcWwnu+J4HfSx14z/no8YeLOfgniH6j/vD2nNqI3/TL4OXRV6A12Q1lIyBjwYNUdfHzSTfst6wgHyTDhs34fiYvgiRrnPXzw8RRvdd8uVY+5X9iAC+pF0ZiEP53dAIG/yBCI/zPsoAbBvKLLjh28OZpGESoiDFk6mf/ZExcjoew2omFiLAONtqSfCSu/XRCGDn+9CjZA194U9eFwSTX0+iRCGuex5r9t7qy94aMnF3/EQWs3hPmm7k9JIDtCfzc5Jf3p9mHP1zJna5QNlJBAe7zQZ/l+VeTb6x7k/HJhEwEKpP9NuEzXlbfVAQEgSE9J654WaSZVrw54QsdOkMcp4kGrGaIVtdBCSIi2O9yrVYOigU0kJmgrJixjLjMtyhrOT5U72HL41qVyZCaRecDiOMd75LhZmSs7QRD6pd3mxyIZQvI7VHKMOM7+ntanp7UjUzF/0op6nNPL3NKg6dzMz0TbQK+RiHLc18hQN/qXap92pcJzf1f0NrZyNU3R4fcEjFqj5ZoMj8b7534oHDRJS8Awfdvt/S5ufHugSAOZKOGv15mrIQwuirFsALHeMrEVyukgkQRqTBSM1JAl4EOSDwqWf9FMoe6TUlpBSZcXUwqVf1OyIrdlc+CL5ovIBSAeUDSawkxguZHpZQ+pHbhUuNcbd5H2YQLdJIZ/bg0VAgBQgoUz6TgiDzsBp8h/+YxxBcrceMjwCY7ZaXNT/Y+bGNfQi14jZc0x4sZv9GyzA/E3HiIm9frX9OXxZNNJHr/vM+0tkqJ64i/PicROliP/VWBDcdAILe9E2xDHM2sLrymdbGxUMAG5toTHUUM0wrDMod/5uN8pn+Ln7usZ2TVNRjSGP4AaBrTH61a/UacpA5xGsga50KpB0/axovInjUTtRHvrovx7sHTB8LfOYpWJA+9RBKQoFXrhAsr1+MbOctUlI0ZW1vyhHUWJ9JMo8pnTBkIf/JSuXk4RzG7GEV/ickCBYqHY9qBPOL2SvAmwfWGTWpjZB4gcDZnncT7Rb4jQYgWHj9jfoShW0fakz13lvfidgzBYY9aSJBeDxTXZXe5ZymGeIVvxvEPMaZmabjTrtHqqO7bUPXucTj3R59kwpk/68ZnX0drmu7i3kDxYNMaYUYgLvPr+C7XGnpZd4s6T2iaiXmRMZ4OTomXYZCIjU7dh+diuDJrY+ftG7ZWCUFXZVNTPvcH4uTHYMrK3Wj3fUy165w+7H5TuWhs70Str5VB5eOeWzCIbl2uucoyjoH2YmB0qS+jNEDSIkqoRuX7HKFEWjWcloVbWdaJyZ92NWxTvyTod1qZiUwCON+4u69bR6ABpvsWBIyh2qrkluGmqVldo4SdsC+WTWh33NaD9McJaB8qJizrkR+sFtB3z1WH/KMQZhm0EK+dwxWWBMyGTdVKaRMgyylXR3ZNibUo7L2vWFAOiIChk8cfs/J71lKsWj3Cx6bRPeOYbhcv3hrXaQkDs+/YxZm5qEZ6Wn310s9jnaKRiRpS1umsqPx4k3HePfxiensF42B0Tn54i2qPx74VaAYnaOiVK9TFoN57yUS5fWK5a+2pI68HKOVge+3rGJItE8uG+uZdXzcL79c3jc861v5CZg7GFjAuBkL0NfMTkk2zZYZWsd5u7EN8P3SWsfinaHH96GPGhjwLiVDY9z9bAtFKH7IeqbskhpbYVBD3Xx+ZGRanGMbZDSpEszU6A7Bd7C5ZlSq39t1ywSK8i9X6U4c5PlXX/9e8a180oouX/NYzS2/+FvIAOM38m1VLK19HmJDtYJlZjnZxjQQxhNgz2thbyC2njibU2qBLF1eDQn43xtRVkzPUG6VZwQI3sqLqa4ylpjHymf/3ZtAC75g2tTgQZVSHy6VOTmyOzsouKST+1TvogpBOCye8A1hFZUn9N3umgZ390zSBh8S4YLdAEEZeTCsh6vPspCTQQi33MZWGQatQoaHRasxaQ78bfvYNMkTULEnDJ7LlqNQsdUKme64VbdTmlGUg4LpUBABegZ3jbqPlpzxv9jtBl7d/JrrxzcJub3P2H4ekIHbVNYIdGmi4gxj8MrRefMmUu3j+6AWPAQKdPVtuYeMUnMC5XC1KHqluNdXv86kNMFVTGWNKw7Yf0zZJ0uXN8iEThux6rtxldLFpiN1B4KLrGuftdDJcCCjvt4dIRFoqhHB6oypvsQOgUIlGsI6wh7BiRpvj21VnuoxhC5VjCgm8cYjwQmGoRjqm6iTjEOlz4ZGlBDfWWuZ8oMkleAmH3wT7LsvqSWWvHJSITJ9Aw42fdZHhXhNQOiE6a/cDoznij4fMm6aO9SxAXOynX3i26EgJs+nWhLE0C3aqKF/5vt1CV3pEC7ErZQxf5M9A8FWyDUxAUF8A/MUE2MIX2ajfZ44xBtmxdfArdmYBLi87C3smsGjN7kIe6ONu+bD4VOdMk4bBEbZD2lsVUPx7uAi1sr82cPhr9WKkjgKn3spQQ9/ggLLhcivayVRa9mgvs3Z7Smmw1WkH+QMk/MgrsFcFuve2HOxFjikgmkq4VtI0LEktpyRUvFzSnXeZ9R+kutpukGH8IB5dVOR50swJRJLyqmM6CXIMTvvM2ySgC/LvwSdIqW59HmtTQPDt+wlARzd0JTVi2Vyf0oNAj0XfihOK6vj4ZABgoXTm0uLxfTEsbgRWG0rlsJn+B+CWzyPAG5HuRYXEjLuRfHSCTWy+guSMC8UBxD9BRPfyEBeoTeeEvgenh/qO35Egi8wDIYWHxuhIxUghNWEc/RAT3NCO5bA0StnmFFfS5vQtrCTKTVyG3b0Jk/w+tY7tOCDwcnp1YGPiMPkKJDPUqif+4oydqH6qEgxb4GYFe5qAqUn0AoBa4i0RihiySG7ul9iLHCjKQeNoCqY865XylMXc4XEDDSe/uBb/HwIJWMfDPdIH5qBwsScl5+m0s61zgIX42ijigZJCPwv3J5y0oZnmSqlwve//Qv5N5slKrfC40Qq1vPYRhQU7d9C2P+UX+9NKFzm4YEQKjg0OCL6eaJgK+eFJcw0guMUJf9GFxbyk7M+X1YCMy5Hqs2iqST6dVdqAXAwgBgAGYA5MYySW0mKooMTiRMBH5O+NuKPaOr5/BCKICAmLwguWTVgViEOaadyKp2bkttFksGKbYzE2SALwAbGrya94AR9NRxT+n/LJlmVxwa2ka+PXIuq5Q8NU3cFy9b1daGZ5/dWS3r+TAjw2s2QEQJKZrtTfx+6TvJUQmWlgcWGJ3fKv8GbTuZDH34by+4CnRdaKBFYf0aep3SBrk3qdX7CiaM7Un6+QEVBpoZFzGWCLoqZEq0yO+BNVSmQS/IHtDRarZISTDVOSczUAXKiseCEXDCgGyoxPTG518xJfRcE2Dsh8UNPp2bCFzUUATMalhIK0VqqzslyWyYukZnIF6ajajPy0Bv+KWDp/rTHQg4LgmWS7vutZYoCVaIQyCFLWbxLzJzPosWAk2Qbvobvo7z47TgutQMniIUE7LiYJ+z7dO5wesaEwXZMGbmKczy/RkWrPFw97Jtva2vw7N9nOx0ZEITIbW+H8aYBQR3nSkYnqsGnLFF0xdmltoERloDzQqyd4mGbfKgaB2VP9mM/QUGGB2qZAgSBz28JqcGeEckZzfSy0s1E9/J6v48hFpLKqkUTEEyG6a7YKp+MH09e06pmZsZoXQet4bL7lYh6plGLBVqR5uiUVB1OUB+h8ZoIcOMUbhDZLObeHn48FKOBKYJQFxusNp7+khIcHy6aie/HbhZQ7MxiovQU441xZdBwXj7EoVIwjXQagjjUPOidFw2sUEZ3lNVsM8FqlgXiVTMwvt1oFekYPIkqaQURz/84PJlyniJTwwvUXVfiVp2dCBtM9N6zARGgw60zVtiTDradaYCgpXmFHE83lKMcZHudPuxYFO6k3LKrIxI1gupbzNx+IHPJK0vIgbxOORWZgNdR4gkh/4fsY36dT2KzCbIxC5m4q/keq4+WdQvjQO6VSjnSPGsA3tD40ds+l2ygVdrd2zNMHFMBqGlvUAgM17QLG1H5MAwsP7mC/lOkI+lGqP6ZUqcLuE0GxJuxgnrjwuzc00GJJoDrdP2+eJ+EgMQyO0f9mYGHMeHiL36C8eByLBx1nCdWX7ExxbQJ4GkZ7PdrSk1udDFC4oySUlesy+8whJa8Y6BkDgyfkb2HOPpDPzQ6AxQWcq1rhG9OlTZmTnDpa4B1iEsKW2H4m+ZdrtHYOPX2ITUsuqHcvX3OKn77D2Kqb+cY16rmt7OQ11IMs55C7hibPxtRMa7ymhabuCcPE9+Z95TDKKZYdEhL2IxxUlrHWPNnzwqcT/FSpE8KCZE55+Upi5GkUSPdIAer4XY0FcThB/xyGDrNJ9QTI1dhJ6ml8nFtnL4B2pMs5bYIz7PEdkmFOpbNoI3Up4o/hmqxU3O2eLhPMqeiVfF8bMvjOsPr9KWqIENVYBSBqnNb5KxLDzm4aosbsqnjZ+jd/sKygc/wxNdd+a1nGsspuLoI/WBq5SSCmYPnx/rbIuQDpIIffhdluI1thhl4pGvvMhBywK2tviV6L9HtiA5aMOQt5KzHzMDLH7bvAu7BEx8PyYqndf8mNhIfkg0PdHo20BEZ3tP+wDVe/T5j1fHDVT3/99Qpxvop+WfGNKrKj8noRWh/7ondKlRifrh2asbUr1ldATCPH4St2uumU6rCQYREga4nTp98Tp7oteeNrfIlBISGWJ0qLg6z+LiFI8loBaPB+PSwKZubrXxHts8Zi2q7xUf9CvbBYaKCKMyx5QunVVCUPBokB20D77rUaAs9PiaB2AJx8Ba0fNrkDpMEvlbYDp86XaAPDuYsWQwdGSd39EKPsWPuo6uiGLKLsCkZq+hjAuOIa/Up6MAxOWNhzElxIR/hl0Y0fCgWZvu/p4tI157lUd8b1Zw+HlZEZFmdHR/aKIvDz2h1lCsNU/+68JGXc2QfHPhjg0TzLdwl+MduWiZMDDtJ2bkiwSQIHZKG5dP4FvxOvPfvYXHCZ5iqLF6gFEoElYraNmxaczYNyiKOy7/bUKJIBcdIp9rIWcWSu2J7ZwEtFq11Z6c77fnRGzRUIKps65trP6mjJIG17sICwyl0hrSk1Vw/vAj3QjFzhWV76T5vzgoeVmcxPEOYcW+teYknAbzP1csQs233uP3qbabyDJzQ/AlIuN+tIEP3dHWWX/ZsMO+Ba/GIO8nx4uxTY7Sdghr+dDjb7mLgzQdLnj5R65yG8MfmNVDLrVNAzzquAS/xKqjwFiC6+qzY5a1GMOy2w2esbYz3LclK26RJ3brVQUeYCid2eqOfX1hYSeWsxbLXtLuZ0nu1/TbZjpC4/kzOnM4nq50Pilrs3g4Wj14e1gm2SJQW99Y552oDoFbiG2Ol+j1edfZqHzStNRDoLlitw6bDWXpIq+1d8J3F14gM56gsMa34+ScK1wZwiMgdNirHKhMqxsQF/AbIR10VwE6rZ5LBRt7IfmFPDq3Rgu1cZXFU/zJYwRaUt8JqVFJEASz6iHdy5pMGe3JXD4levVoGrpqWaKW27hzvgmO2ElelgiLGpzEP8phebOVnojxiAE8cWiMPftAUMvqeggkd2mKFQRqXHjBdW8rWUJre39LvtFK9G//uW184ku2ZB5DYNi4S4zYBcmRWyAMMX/zovTozKFdtJnkNifJShVQvMe0IQQBgV2dra7G9NouAV2ZQnJA5j1wQeE4lLBQ/81lBeTmDxkqlgm0qI9C5YVI21O1pyyWKG67DoC+5QFqbU79nEz7djsdtIaPARML0PJQQTPUgzLmL6xfbIFGUo/UJku6roVbJi4GMJfz3Y9Bi7TxzZYeZz2ct7iArm7bdcuRuOjpbuLtc+sBuEJEDvgoXJz31CvFmcMRn5ymuBAOXphmZWr67Ol2SVHYdik6rf0XrQIBSZtFw3FPUky5UQmt7NsIbTLOlaKk/+sDIOxbvX+FQkTU7OJ3HdC+IpVhmJwau6E8UGXR96hnPBcvOCyu4hGX1BqsDR8mMIhC9cx7S9Z4OuerjSntUhPSx89yPfIG/cMmz0d/AYs8lORoAeROgAORREqIychN12g7Eq2MTBsllnN23MGkf7vR7iCX9SRg7t6VZTe7co6w8Pmpjpd08gbPz5/a4lSFDxiqxRkDQlCEWts815VG/6EdmXU7xfIBCZQCQOf6S5Hm06DpB05eckGMPJ+6upBIbF3gfa3InZM7nhzRiSBtfjvvQn5+7XSXzVORmMHy/euNWZVTXRsAKx4GHy8Eq6fq6kA+Fv1TKOHXqo4e/eIW7z5ZsYx90zrTIVQ+MoAm9dMUNJJwyBNraqr4NkmkjO6Fk1ml3Z3gQi1NzpLo5ojXgB3+IYxH2PSQQggTmhmg6PR4eCBj1qsebSyxkvfq07ZXx1jKdZcDDmMR2XxosXmiiERRKC21seUOFx+QH/2DiaiUnqyrvBbhJEXE4LrhucuwlzV0djlZx+DJCWh+V2h0mFJp1aDFGtv4kEVDxcErUvAnDAYBtVxpW71uzXKxpUGJ0M8Tql0GOzxcI4XeK3OSI/HCwoHmkPWGOcBPqM+QD5Tne1YlpFRLhLg0na0xpA7ysXsTBrBH8ooehQjhzFHvBll3AbQresA3xA745h0lTDqfyubJ0lIyq507mATX3LBXcXxawgMubi271K9Jppnr9goDIGD9624vnoYVFhsQ6Bn7zgEnXgoeHLmhcV+VQflkJhGQ0nMiRKm7wjNOsqjn2pVWk43oPgbOD0CfW4wvqisN+wJR6K3XMREaBzWkQ7qvTvJO0hoVuo43thKw5YF6uoTUQdfuNNVPDHEm4M9LCsz4geCfp66xJBCkJNIqd/aHAI0spvXO3MV0cXkSfFpg/4dcpDeFAKNdHnGozAdMLdyOPFZrR/K3rtASVP5RUVsRSwaytkfAC6nUHrnec4eFrMIB3mFAPo4DDLYaMf+bMTa/KpdiqAVigRldmSQbc7nzVuxs6pKoaCMeN7WHJgns+P4Hhu4zGnJzbPiMAYWM4XAzADUlV1GJweMHPy3OUBeLRZQdcJI4wynHkCznHB18yzhKzPFJod3W3obOnbQ6JR+1EeNF1whyfQmHMaWA4BFAc/JHHJtaDdvfQP6LNY0BgNmwhRxity8IC6UqycqAgS2ia2cZ19mKwJXFZgmaimgbu15Onp9XaBK/OG5SPj56nzVzXGWJEtGxEzUwD7Ayod3tF7UFAYPcKn2liEHFx/QcEP+2y5ZxMOu0UUFSynBvoM1ABbzl8MCglHAP9ruMOaDMYYaIGRPz5F0QENyQ6v4OYvMXWyypNOd2nnCleYipR9htri7SVnC4rrI7J2uKivyWltsjsRbzjnqapwUKQX2RyCMLRTeRjxlaQrSclQCS2k5mDuI4N4sCg8pCzv2rVQN+K0KvOIzIeLspl/SDD5PLqZzLZ5pdkOl7cKkbHWse0k4cbaT+AveOwjKNXoM0Eo5OGUHdc4p+6WRROPOvJEgHN09GyD7ulLpcO03AFki7b61EVdJON4jKJqNeTtijvLo01n5J08Wu1qfd5OrVKh/ufwJhf/DThMyrJPIn0PUv4qZEU4AWJ65sZU1lQxmjcLYp/Tq5RPCUWSUmzZce2HKK6GDap/Km9TqdImV+G7MwTOSYwHABJJ3100hP9c4TwSXtXFO+Yb/qHsm9Gh7e9HDqf4ocCqCs0Qvv6rpHblbcy6xpTHcaI4WVv7JAQTr8rOfP79MpvMjazS+jEh/n9KURoSoeb4c58sOv7P3RtaIgdJvzvXeyvwuG8af1G1waaY6GExGK4vu5pZEvYffVE0prpG/aRj1Cu8TG6beWlZlL1YEcXhy0X3Xgesg+P87779TW1gD7my8u35+BMjC2GE91oR8hEsntWkl3Z2LuvlCiw55tZp4IfqlZ/e7NkBqDl/MOxbeEvtxfTnR4Jb0pcamWB9CFXVuQsgFSQhKCDI6I6Ti7C76mqsKwWYV6rsQ6JhwIo0dQnR9levn2xHrxtPuXHiAlX1wVAQzulw2KtqmRYmkZGqURYqYhQgJiYK3cGysoQOk7HLdAQtOABxVk9/PLowOclN+1eFP1NSrP514hNfD1eG6Qob5hTbBTI8YHu6ErquJTJVrf36TpGj/Y2zfC3GcRmp2tl4p/epTxTb2OcCQZpIvmR4+Mdm2Ookr0aN0ber3lYBd9nzrnbLDLlvevp954WVHBJM3vreYF9XgHWLElX4Z0CdWKdZaXDghrqSWweMZyMLTJ4AlWCyjLNRVidiKtd4pvauBYXtbdj3mY/DgdC9vH750ASEbv4qtlhLicnrng/3y99q+XS/qefzR0EOhcXqOUP2Nrnx4ydTOdTOZDMsviEd3+4UD9rlgp39MJowlJixIqJW1ZgcayozAtSFWmkUrZKahWuH7IKO6QzN68L0CW+o5oAIgoYLD2FmyNS6ovXV+2Wd62Fh8yZIwrAHQ686h7EwXDAbLffTYTI9BEeCf13Q0qTC7D0WsA1m5sO4ROV5ww1NA5rPRYOInReZWplm1gcJfT4ZiHJGw5k9KUYTjhB4mUmUz559fyw1eo+n8Ux+0NYp7TXAgp80mIB7k5whFOO2O5afTVB3WooF/DngjWANjrvKNHPs1pjhD3s8N2KxXR4s6zuQ0AGeBYIbM6OS9mXUZWMYUh21/MHhdgFc8utPPA1mSfg/D78phnNSXgd9pjaecD7wKlU/hY+wdgzaQSjREm1fF+GlJbQXu+FVtMzzzFo+QrnP1tLG+RSOEIhb+nBaXBmF6+/DCxAYNO5z89urGyfu11PzIQFbm0925Aar/nJP3mPAUkJ4t4OigsNV895W/8xlLUCdJX9V+HVwQVL316hOsOYcJkN9K1Yl5dQJSwsEAm7zeAYkU9xV4LZTWeUkMhuMoobf/dtaBCCGdipzDAjeW9x/+zOfWvgdE6qRAq7wT7oKraLgbxEP4g7Zcov+u9Qdmzee4ahA1sWZ+rBVYcRs/MZJbwidk2c81YwBuoJcsMttYBJtMprvbhoGhQffwIQPJK2XvL1ai5l4IHocu6dBxPuv5Of2sevnmAFY1OX2xhCiEy037L++bG78XbJ8aOyRIesqg0elV0aRejCVtfF62gJ/FQo/+CojkkyKap9n159c5wSLz1dzr0UiWfDPi8Kiad3KJ4Lk6GOjxjBHsfDQ7YlfwRPA/xCJTC4lilezTFGYZbuLezCdvQZ5j+o4Lmg5TXPEjEQO8dIZitu/gAAs1RmXWwgsbg8jdqaROIrqYXg6GNYJB2BHUaHIzu7qTXmdooSel0yRUC03u1Vmu3m7wcVcR5c1FT0tiNqtnJESyyZ0lABfq4T/5K9k6uMKtkH7niZ1dw7qJGJf989SIRgtIrks6ySGzy75UmpcFg4JEyaO6RuIEiHh6tFNPLJZitf03meW4WAuP7qUOZANJ+QYa0U/r5dWs6sF7nwgPd5eTJZEHdhKoDcvfRtFpYkSO4tdRunt82w2z6uTv7DZyUN758euSbgodyby6Y6y89K5T5ajsUT/g2ExNgW+XHQ8R086Xz3d+9BLP1l/jggrEc3nadeVRDJjJHRE6Fj+Ma6BqJu0ctJcAMjxuZgxNAyRZernw67xGmp0ARmnRdOXBUwqCn5eEnl15MxEtHwhtntc50j+sRxHrg0GftEJ71a07ofn4peeIlMjsmLQ0rp1IJ+uaZfXqzY0qBLAj4+XjCb5sQZ7HZO/8PxTd4nwYjD6Bq1xV+xodfWNvD4xjNWbqXUFDaSyi17AxRS4i4N4V7iXBvmDfpJOv+aJ4tW+xnHR4z8R71Op1wzuMvdQgHKbsxZ1GoYmg63JXmNy1oACul0yuyT28JGX6J6TdHTtocLt0koXLLsncQ1Gl3wMfAiLxMG1L7ASQlDZ8OpT/T4Hc3UZLQxqg2EnWNBZr/DzubrfigOGLf6s+wZfiv87vjOpvPSwetH/RYflKyDejitMRM1ohuocatLZwTuulXfEvfrZtNeO9+OT0k5o7TGJHzr5jOg/Lq9ti81Stgtlv41LQqoiVrYPZhg8pSyCGFlq5WLPtBNFLIGhbT+gTyGUGSSvkZG6OubNea2vbl33xuftu1/e9/e+yd3xx+cvn88X2m/JwiXlc7EIyAEHO7fe3nELS8Ytk0eP8XHaoTOn8+9Fpu/q7ObCr0BL69GeR5OJNTH13ZRRr0jJG5uBIPX6BCIb6PFeUV9Hd9UdBjY6/yN7MKOmw++2tj0SrJRSrFl+irt6dGn+rtnx25CBlTf7QD/thMXYUA5cg7W9lUTqt8S3KBeNY32yj6xN3v34IzD8rBebFQ7UVxtVKDOq+nxa/4P+tFfcMIYRt8DP12qlT6XyP1dHphiy2hhTY8MveAM7vSVdhuYG8RWx1IgDK+7+exrXbRROTmj4dwPfDEhMemA7F/F4hdw0J4QrY596Wua2GpH2ruj7/RvPhvaQv2puBtMiOG4Ts1TjQP2ntU17NPhjBCQeBQBiV0RPIyl7BK8y5EYn1Q70Qqy/Gkedl4/FcQd7k+86WOVoyKsIOiy8oLQdfORj4DLiA5yG1KQ2teQmkPRfRZvTc98V5PABxZxOdNt6W5NNPcKSNSPdfJ9a/uxYUFufDI0OFJqwI3H2PnOSsLJFaMXBOlLWsLxcsfH8DTYKpVTAPyYCTGRcyH0OIOa3d5CcxB9ETjVIjSjDlEwYGG54vjYT66hiyQKoaxhmYTd1hfhSIx14ZwSNm4bXcZ2uAR5RYAd0eArYitZF+lfeuTyUWWMJr9d4TGfqu9KFK/b3FHGrw80qXZnvo1If8tAw5FsBFcH/QFJ1oG5aZLA/GQ0LDWSznS2AEWWbuy8kbfj+Z7zbvTqeS2p2nl4u+6+g55yKE5WFKS7Xn1lpwHknE5hsUYKBycdLuuqBUpZtnFyUhsxGSZKA1UOwIoPnvG6UTWs9BYbhbd9qZ9Me7P5hN3SEOc7my7i552HhxYk7gbLJ9b4zmDJYhZD65AlJ6dtbvq2PROVFLxoC8fQK8QdCCSKajh/2Wa8PszCs3qXeiSqxrlp7ZI695UET4dILiONOXaJmxX+tmLNjNyhbNM6rnKLoHoB0qIGitB5YvFGUR3X9irtQtUEnS2WKrWiFH5DDS5hV+AyhXBaiBoPbc1KF4vQthzmtJBaPcuHsUMi4pumA1T2o3FzRq2gSOJlQKy58CaNnoOP0lixfbAy0VA9ae8RTZMvnp9QoVV6zEabObA5hVz0ZSUPBvItR7b5umQk59U4XS2oH7ltCo7kwEJzvdgMkQ+tba6DnJrw8KBGNK4WuzRihcDBHV8qIxT0h+Do9a/SRv6fUY+p5FbBCxSCQVraL99WD9M1u06nMKquN/2iQz9nrUqSFvM8Lyp2Ke1GCmvtArfnbP7ksZbOnkx9Ih+FFVNI29VLCc95hyXewG0rF7enRgsGYZxxS2DZHa3wXjp8iQIdMxcpqKzFSwqCxh7UoDNGML+T78x9pGbnXOyTOIZjAk8D52jhK5WC28yvCRg1jOqX5U4CGr2/EtT2osG83v49PJA8ZjDPj0RRE1I4IP8DNU5GQ3C/QcvDbChdT+uToURi/WxAOFGa6dP+NBQY7TCNQnrp3FJtgtAobXD4UC2w4/a8VkugjIXRS6OfjRFlilD0s00tB2UtbRnkRaNOE4WZ1heqkDwIOdZbY30B1B+ioueFx34/NV0oLddDjb6rLPkCGgTJAozWcX1HG2dCwBTd3+5vUoYPoptA5f45P1cl+NIEXbdyckT8jr08M8xTeax3ikk3TwjFcPkR6eNU0mgSB5SI27EWKJ/gwvLJHOud+hYhkTWJOgrJk0aMmH7FO2X8JBrOj5/oXljua4fod/vxmsmDdcJBnANOqTL4BpIOS8lO2LjdH1MmNNCsWdZxb3PSNDsMKEOxDAksgHYe1ymDpi/9Yf1Bev7WEq3J8aln3Fk7s3XltdX4z1aZl4/Nkc/iouSMqWVeocXJeeickCkQexxbmgnQSxvb0m+c08YDi+d9oZTJLF4zW4FdtCsohR7TnaibIUKP5nBkdY3bVWuiERTuC98Da6/kClJD8sijHJMYMDyF83FJWGR7KE8xrEYEzoJAlSYntlr0vW48Rd+pdCEbaGsUCIprxui83n4jKDjWeaKyXtpa8sAWUrq55vPSBvJCTXy3N/oNSl3zLvtu2qhP2RpuQvumbIIZ+9UmGFyEQ6FrmuQXUtpZRDkf6DsvM69Nzg7mO47lYK5eLbGDoNatLLrUZcLPrSQu8QAk7Jo0QYHHnfmwhschV2Dx62GokhJKPxEM6xbV2oWBH5thmPT4zfpZUqvaoMTMuOtJLNTGj+u9VeWCCHZtdYqJDzrHOCGxsP5LBXLlYobMcGcxM/sK54aVEiW8lnY2uY3dqVz4+O6IYHhTfGk7GlUQV/EDH+/2En51u8o8FkYoKi3OtNL0d2V3VEnUQ7wp3u7mtlfqhMAszFzcorgALqZSKvcC/ThFNr7EiT/UmJNhckB5KdpiAxFyPWZBcnwJpSYT5PUhwFq8O1UHXpT1ZlzhjV1tPtrVEQ8hGDMXrYT5XRMOuGYtNeo4TRn/X9ujLfidjiyuza+Duv07x/hjygpq6ckhd4Q6umR8fb2UBrjBsqfAd31AVE1uOOku4GC8Ha4p0TDIlp8pdLutud71VWcwk40kD/i2DbUyPZdh+yW3VxWQ00XGq8/QFt6EmFJ+sFWXvEFKpcKsBpAkLFS7dRcQlWFzwjtMPBAvNX/g3+hW4LVW3F/pNK8HJ1yXaNFIPgzs2jqHeMKVx7snswOsJlm94Nejj4XsIKknA8OGWAfvo2rdCIMldgfEVoecGufHVYXB4E8uahu4KD3kqsmYhfGdQeX9BDfxFOOUm1pzOc0pylEnd/Y0olEq9Wg8w2SdJ7XxblH37JbJsbWz/2a2oULbQ1aPLmRXtnk935K8wUpKaW9QMhFngvvfKXKfZ0/giovT5IPVQ7H0LXi70FlMYSDDxdMJdu3D1dyhOLXReSbR1mCHcTYKooSb5kYNtM+RtZsdQx4ZmwugvtxYbqq4ezI97hVqXL7KOBh7TQrIQtGlvEvfq16hbuFP6SAzimetEHz+E1vkVaanNI0vXNxTXpom0ueUGtnq8HrlNoYOxtCmc/Wb655otB9lJ5F0KIPZClOIBvw5QbJykanSVw2K8kKXFLh42Vt4I2/Bu8AaX3PR+199vLeVpA6ajtfDbm3Fvfcnx8qUck3UlZbiOQQ3lUwI6KCx8lPLt0UudxcNsZhuQ4Ak0CosThM5BTM6kOuJisvfiT9Q7flTMT17d8toAQHGvh+I7CdNF1LO1VJ4TXG61DIEpNp+hrYQ1RQIi0bIk83ednOuZQKMTavVFplVBQKyiy7bRlpyLcOA8DdzcJ4FdDVpgA6LcBdZg9GKCbs3PQ2YVnd3Fw3Mu4V5x5OLQOB+hsUKPLLhGLqRcGUFAgQBBWxe2K6RCDoyER32KhQEw6m0oqSH2CoUu0nhUGRQ25SEhNLN3FGebzgTmpYNvoJ0sVCzsAtbVvMZJ8OAuHXcmoYEtBIbcQJbmy5AcSWWz3VxhqYH5uiCmb+JyihLismC2INSrdwl4Tq1ywlTFsVWwYHEPcIHvB5xoRID0enlORt08W7Mrw51zxBgL6j1iy4DEGw0Srq10ew7N1J5eIUaQ9hkQWuuz25a8owShC0eNa+OZV91Fgba0M87y3vqZ5fHXT4BUvjlWA0jUHu6ftMWEuaAzh6CfM5hMcUeYAfpe+K83GJO+ake6wJxak8EzICPk0pfpjYNzElRrvlptNU28iQyPRP06tIxVMCywpDXbJCDsIWJE4LvvdOthTdJ1piv5sTALPfj2oMewinXXdmY+n6Qt8rKbMzwBObPEU4tJ1JMYQWZA7PfvO64AiDBhafVIdqE7bT/cOYhpY0b1PPom6SyZZy5rFVj2h4xHoZoDEHDC0SihSgh39KkS350ETVwXJU1NCECVG+RRtjaXTFJ5vTqvSSVJhMhMdX1f7wlw3QPSljNtLQGPvMWJN//EYl4e9rqHF3+CtT5lGZcKB9bcJdEFjOKfAc19CEHiHwKvd4m0GsyFMBcfLKSW2EK14f0t1RWnNpMV3+UIu70Agb3uRwkZ2dyeOSJSKCYgSH9N8M9WQiWnvOlVEFSUVjX+oTYJTgdlL7HFzJ8uF4r/92P+qvNTTX8wDyhGpRmv+tytIvs4JisQUO6Xrprtg9deFvJiRDo6zyPeWKDGY861Js4bujL50Psik/ej0TFGX9Uc6scu5wTDjbFHz+4nmeLUx2frv+soPiY8UMn/hDptRYO8SFBrdckPqr3wjUIHQ470UqJ2kJBeByNeMp2nKamsuvnOSsNdSQs+r+Fh/jIA1zA9aTYFVMsdO+vcWsXu/CAoBNyhg4v4ivc5Dpwnf1rTCNPVbe5SdGkg7vcJ6RDnalX3aY77HTHpgo2ekk0ofxbw1oen+NAhkEgC2wzWvHVh/wrppLrzZHu2v/ekNFzOvxeeMaPAwh5oeevkj3h47Ff6FlVIH/BLidK62Et2HRk2DIsUSXUR2nVW9vWMvoChOq0wxlsWGwaPHNT9lFrnsgkBut5EUV0MtnQkhv+Xw2RzclaKINPGqtGoyh2EAgkN62KXEEZXbZkcDgTp1XxhLxa6Jyt/QDF8hAl0u3UZ8qvCDx3DpWqphMvkk0pQOktSjKVfOtn1D3lIzNCSyyhRqVAe986sSvRyX0tIAECOPn3dv7PGgdelJvVlpOXOvDFgPHxWYPpICLmXpkfohr/nVWVsP4TcAhWb3PGlxCrSzRFuUEXf+bM8lZZjEv/ttAJL3wMOZ8Za4a62xqHVIlNXW3yeFXAKkKzK9eOTdoHNcL54ieuJ+emnEQmJISyTU6nPKbOGxKJ1hH+hh22xGFooZAlnBOFR35gl/2cAqWdx7Ypwa4GOPapuNi++yrmmg7RctsedZQS/D3sXLSF9iP/lTX3bmtHa0/Xmz9rC/EtWn1y8eRJF2s/5Eua6AyE5JNVTPnp8yne9RlghFWJI9jTRT9dom0ouDM819MkePjS2LZM8G8OdStwo82xkE8MBwXZsNseOZd99CsT62RrqKDeqI5tJic9LeF3HSZe4AmF1D7tBpzmlUvtUwldO66k5OplzLxh3ZEX0pAL6XlxrpzQFRkqYMcBL2Er13HvX2rA+xkFaTR4TBvtDH9D8Xt94MwvE+AVmfD9fUsg3LQzjtZWCzM97heRM8LpKymHu/MzBg8MQBzQMmpkZK5EyaakkAIgmtlpSIxrEkKZDZeAEhuqWQuMM3Sy+ZBBZPmJc04XxprJZcM6TZ3mDMXbl5SemEqwJkqDQnvuIQKGC6QMSnV661HDVhvvh0zgBijft9X2qH2yLqG8DVeI7Da5tZcHrhzaG5kG7VB2AfyMguDkwag8N/MdMMBwfzeesAW1oY6kUxHNPrehWM8HVa0VpieKXBfXwwUT8n2sZ4JCVZRn7/N2FjqT6BvKQs/ARyciNetoMEhruG3dF4w6SjI1jiDGPBRKa0sjyJ9cMbZGfUta1Bt7r+vmdpN10xrJuUFNuRBaW4XvlQPuvAHmp7Z+Jkj7bAcvlbxAmYKov7NO93MIclA61BlfMSY7YGImTozRZ5AmfM2w633AHGYH8/PSlkS/eiYr/jVOwpGy5xuNF70Q7cayuMG5/Vdy4gtGPhMWUFdv7bI44DlnvyoKEroi5KKvDbqZBtUmrp6JcU+evH3spCFtRiHRMU9tA9rqq9C3ejMPmZCWSOu6vrrzmtb2sXUAVw5AAYab3HqTFCKQy9sEr68M4glhzAiHByZIw9QeMY5jAHKWIx8NDDGQDcJMMBgMHYD2uzlGX8eW5RhNsUzo+BGYfNPVguJ6w0XUfquP3f5aaQBy1KF/XmZyENwz9+wPc00wMUKbA9LTvJ5SpchsGihlY6WZBIGPubuLjNTsSPd6OMgmD4IbN7mObkfZIA1Ud/VSVLCuoBZoO9jJpAU6+A0ICYDEcV1eDyN1vYxJn6JOmbxZM906OQGBNNxwnhLT6sbTHlIpU6Y2gk9ZjYxQFLgykSgG+Qmj0aSWJfN7VaUtXOd/o5VrkRPt4SzcyIX8IAe64E/Zt3+EA5JXG7Ze/UPod+W19Fbne+W2HxEnfIk1F36lj7JhD8Sd7tO8e188ngwD9hLsQ9UnYAqJJxgdbJnjldLdhnCLphLRsqX9iftVNI02K+dfAdJIuw14BotjxitdMOX6jaAov6a6+2e6f0VAePB2yAg2zcCdp4NAUHrg7v4hq1Fq3NGMPWtYdwxAcTFOxtiCvBzSlMUas1WH5ix2itXOZt/AiUiyAomyvZkuzFvV7FtGPvJMEFSsVelDCeNdyrJ/OkCVXHpB1q+qqqNUVX3nmR0UQfOafGI4PTlvAsa5KhSnK/j9TWW2zJ+7q6J7uesY4A3egjiy7l72VMeIDljvph1lP0Z18AHThspOmhDmgyasTj/igR4kyftJigIQWq8LvPHULDRErQ86MtJ8btYnGc6+HoymhSAH8XuUkfgba4Hjk/pYC16Qvrex5ZfZbKuYKwbN/bgwd3JW4tHCzxzrEiFyTMrjLxbDRfe+5C7l79+1tiYuvuFx3bSC0iDf5aflnru6fve9gWW+hhrtm3ly1yjMPihQCSvrv0Pg186gnhVGJQBInOXSK13EsDcs7Zwbvzqs54ZvCT/YW7W3+lwG2Zf/ZE6ORXIE47fRBxaRkYKRYFGR8FDSOIELhsxNSMU4UPGnOebgflNwlfJhFrhXM0Csj6qIKA1ioyqYMpqJyszk5vKV/Dt/lJmvPJ2d3lomi21uFiudpuHQCA+SrikYYwmXeM5FoQweRugrttR+/g3A57UUElaEnDa8FAxw7YE+rU2YlhJGGVmX4K/Hy6efeGM+rEw1Lt+r5wtCdscTndkltCCGWpLeqc4GYiORVbihTscZ6aofWGpb17LCtmsT3MibS9JH7a6MZ9Zmg7rc3FzUx9OuHj8Ju1S5H8NJTv5Fn49IWVsQjMkLHQ5+gpGu/Y0oblALXPxk5vL4gPpTQnjKQvb8lRu47OOnsWE4ytCGv5S2nXHDy7GZZHxGR33jKg3+XhtOqMxg+tK0dnXiHVn5i5uZuhGni0MLNboRBe/E7SKxW7b4EZEelqXFf1Y1lhH7Hif2uFLtH8Bba/NhZ5p+TK47lk1MbajEZedmsKnFFJX7OpmbLaHSjH34sNRj/tXQtIFSei3iQHiFpkncwCf0wt98M9+6j2sT6LZd0cbruTdrZD4nV5Mv0Dpgzbz9s1sbaBBJ/I/gta6+Ioee5M8Kv97P1QdUELj6Wf+rjd2PVj/syH/6Gjn9rVbIMdfhswdRs03eoGYWzw562hB9jVi+d6WlNU8FMxpSNL0T84/cZgYc8r/xJ7uvrR50MoBEiRU7/muAWs9xfJsh2Ew08BTW9BK+oZBuApa45i4Su3wRxulsbPK7Dlt9tfMf2oP0WPCk/MTnUxh+lcWaeoypN89TA4uRAOcpG93kMBpEmDgXI8r/QpBtrPfKrSSLdHipH9FRuPaL8TUPQlh4Z9zot0izeXYjcLHhXXVrqdjK/N/8WX2fZyO6e9a9eNoC4S/SAm/3rjvvA7ekdOXuPVG8o8Q8dFPi+meGYMUhwHrOABCeuq/6JUgn7j3b7D+WmUbzmipldU8qONIJltHf+RceaHwWfW8ZS57GspbiqpRA11/LpT0NVLd1XSUFSF2zAg1S55F/vBjcuClq9IJrfb5fXJSeMGg95MaQaLQgnzVZ3+F+nFFT3HVV3l+1l/4rZ+stqujqO1ZsJyDzNXByglLQOYZICkqdsqsOQoA/EQKXp/xQmp8AXI+up50hgzH9//WwWEjhU7z5f21w+fiPJw+QCxsNDkyVSii+jWDDR1CmmN4NGpXfHd/sHiKavRybYh90M1FkKF7Hi2c1WqrDxRHpUjHxg4HZJ09O7EX4+RSkeqWpjkSskmaiu7Okrpjtnc/E4+YEflA2P7M7M4QqkRV/9zvcqImskY+5mXLfF7myRzxJjGvoNRgiGv5Q5j2k+7OUxh/wrkgNfIpaWneW0eVF3KY9aK4f8pksgOSzvDm8uB8Hgkh9IgIwoosMVkD9TnGyS4/DBb88XHuYQ6xVTjE5b8hkx3KKz3oL5+ztDMmYmMZ0wjRsSEsPmBx1lKeZZOiTByr7hL+n4lnJUfCqE9UHDGzqS5BcuWwaEYw2UJNoYFKytIj7zwvxLmBLp96zg3Y856WW6JD5Tc0dT4Y1o4yqlxj0Mi4LnDGsGZ96QcN48qJe9cKvqD/oX7nMmrpdve9+eapSjSOsi+IHH/CnYUW+Lxic16vO7aHef9n3l8vlfsX5i9igf0HVS/ioDkcyfv+dDk7G/jDMeC7V/VxT1rJt0+SAL9zLYN6rnC4p9BUly/LeBRYgqwn5LJ03+Xkieu5wFsfVM0x2wRPv/XiKuJt09MJqsw/it/VKsJsPusv5oPZgC/zIJS9PzGqx1GZfTUpLKBF6wKrTCOYcGA3D37YXj8TrzFj7PRD5eGiy+aYxinf39te+RxfQvnj0h+yoYZnOpI/04+i4khwZdEhBHYQCQNxT+MFoiqWb+w/BUoY8AQZRvpr/++Mz0PrYAq0be3K+/0DOR56OnlrARkGNmetpCcwtUjp4/x2HkC2q+RNgywh77tKtADJx5DaVj3I584uIlg3WChLPRz4T+Xu/dUOhlDWNsGcqWrJ64NgzFVOZnzaLlM0oovJ0l5BF5UyRk0rMyAjbZPRxe9VhAhgjy0Bjx+n+nVvLAlTycxeX1c+ZNQYbfZ/vVdsxQTd9j2XZdnAMyDsQJRBEOlP56c6kLGQTqDgJ8qlJEauEeREVHIjiZMJ4vclKxCChGPcJ407I/X04fg7QQSKuk2C3OcaQY2xYSz9nVmRCO3mIGYU888B9nlZTvW2n93U9tS+W3WbJKu7WcpVGDPUqQNKsXOp20q5Qv0z0UpMVsJKYLtUeK0dQ8t8Oe4r3qwCgZNj/eXA3UZx4cZf+ZcXye+bJ2jFNeLZaZlVOc0l95wkow3Ux+zUwZvlB50RP4mJ+3M2tjGbqokF4U8gdhSr4aRgCdgOAiKrCjMLkEEEjgtQJBvowjsYU38DkMj7VGWJ0kMyKVgTBdU7JLgLgph8lPDc5hWsC4Jl+TqrGqh3yyCAfWLaPX4rlZWUQdtOgtWqJEp6YaqtUANPanBqleHJO3dQsZI3SFr0Nu/wxUpwmqeCtvdlcQvbCx2eUMzeV9avgoYqf4Sh6EQCcwrvsnwd/rz9J9zgAvdskTge9gUfclooSTu4Z+t/uTZZBbU82SkH23UIabk6frtFplNH3sgTdOM9B58O4QtmU48Ivt+ct1ZCh86EeGKabSyDQ51LPG8xxl1ceaDVf0D1x1c7x7rUnulcfb4eOIKyWRmzRT5nHj3rMQY/EtCepYuqWqtT0urfddXRlURNPyOl7noFYMcuDbvWD+eBhUfXMxE0Vj86WyIvc3NWhoKNhLUYCaiJhpnxnl4IhJEyDuPXHZzv33Ka7V/GGQokb024Xxn/S59W2lmNfOADnzKUdoQCNJrXodok1rri2ma8EsATBeioa+cZaFLLH42NWFtmaMNkfrWh0QPEmStizh2cXEQozIcWzziIaq0odhJQm5w1H5/5tfMcOi3H35JFMlX/BaOgOdjh5GtD2duX/dt3svKETbikLxuxm6a6JMMx4sAwhnO5L8Ha8e8HJpGOZByHsehKezzbwZse/yrpFJgAzEq9CMPJf2cZfrkv7Jpe/4dGf+z6TLaB8SAMjn73azRycH1F2asb0l8UGTeTGiYRryClHqVyDmGudQ2J7xGTJFz7vkzGU43sx+0GUb97/UCb/1L0oweSRREkmpySr92+IBs7iwSkX+ylFg3jguN4b0sxsJwgZDA55CVXWUrcVBq68zPeUGv09GiyT4zpytTwKzBQ7LnR4tr4oB7+ZpkdZhMPjB4cWXDIhZCEj/4pSxuH0KJpJLgOxSL+iZtQ1nWFBV9EgV/FDys710IIcuj18yMdnZUlMGLdfTwOmwmhoxuzfNlucO9sU9ewgACBnORPkx1OC5lmjfe3furXhDVe+6/rz0Xf31AZwO7C0MzbVRTON1fr6TR1noX03iEl8m1f2KPe/a7jxlc7xCnWP3tdhjN3FPa519UzUiOL907Jv46mgMiQq6xnKE8htIlYiDvWGFk5Jm7PkvchwN1hLX26eiPdoQT9K+b14170D9khyQLn0dZDq6tSTDYP8PGffnYx/UayDuFeals3DhTkK31s41JoEVCuXzAKSq0G8ALCPCqZUMAChrKzQKkTHpFOvtbaZXVv3CfSDqEUgg2+syhVyGI/1wWk9GKnwfVn2IAteJdpiQWJWxYQ6Tb52rimUsYNX/w0QkzLmdk/h5pLjLazCg+tor5Fg/zxFnooSleewIb9J0iVaTz4i19vZMfuHEBRcZ5qWAyGXiN3BtjwbDxwVg+aQrwjzG+dGiEMEatZJszZvz63Zn+D0+X89ehUGa4mPpl9qNV4gdynXPnEdQHw5uZOX56QAQuWeHtUNG6NP7+z25ibD+/8QLRv/ykgeLPuL/+ShAGWVeZ0FN0Gam5N5B6XBnMutuf5ip242UrHctRY35ti5/8X/gkwvlAZXwu3s36wDvw8NvWTrIzCq7hJL//8DJYKJaRfLKNHLXWw0nozloZJeKrzhstZwTPlYc2URlVWrab60017tvwjttfBdc1A679sNVGdcILYuDTmPvp5bW2PmtB94JRtIrXtJ4mQgs551A3Ho8f3ptIDR+D/e/7J1ywVMueBDCplPuMS0iF3GULwt6jgJ0d0SrdeVKGGWmShNBIb/iIWjtIHimxZifgtXJ+ifRLrp9kh5SPTLuXO2V1fMkBGNz27NhZKMi7hhNWAcngQtbdDD6c1k8YE//Zfx0f0pTR47fKJm3iNTSIX82iWsJWIBZSfwuDlzD7epe/6boLOOqURsAH2OD6z+lfhQ/4ZYaYlWzLM2B2KBr3/u8c3StHYXrA/YiCzBobwZbStFpUtDZQjE++YJtb+TR2pK75vfvN9HJ9MI3e6kpATI6g6dDYReomx9Pldb73IT8XIw5QNLtg1mtaCX7xc4ZJUTUDC1OoqrQmGQEnkd1CcpI9irQ6tJyaeoxSxzdauNRErVviVOhjFlNTvYDeddOdLi70WmWtPNpZPMLmP9IESziNsxLanfkTOnaHHIVZWaYDoT4U1RHmFqPaZ86V545h7lPZNpGGNA3u7VLjsRv2/cGKh+eYNGPHyI/t2vODtn7QoHA/ks7lgWEADPXCRflVs4YUxxfbHjJj6A/Cai6P+I8sxa8osFDmspfOFNtRS33Rgz2TBz7kGGF7kj6mcsC1hoCfUljmjCt4HFjK2CHtRVXOt6VwoWIjml7ewQJm/y0z4kZosdsc2KbdsPv7WAldNRPXVP6HZMhaJETkZsktAHT26r4pXc6qzeH2V88z7sZYN6RYR9i9Mw0lO1HXJG9aFxwTpSSSecNJ6tc+TDS4L+Hd344NTDEuGvJ/Cvf+rY5BJVtASzkTjPN0EdTy1WiE+yiGPWn6iRs+nIm7C4qHuMMVaaoKcpNSI39vJ+sB+Y1TyyGO0eqD2Qd1Gi9OcHhsU/acxu9KOsPvuxRMHrZrZGQ3efs8jkUB7zBb35WIJFK64IVk5x1nOlegDc0Kf3bCyhO4OOcuKPTyKImHkORyZQS1r01d0RiXls/ddktX/q52/ltSBuiGOnTeTouZVyIvkd2Zckkck8bSFowO9z2RESj7kMGKVyEOpfiVhC4+bvTG0CrLjkybSueQxcB9MFkkYibi51KW3IbBBKFuKHZUCNuMFYJqucu4uwD8xQWCUE5iNKZf6Q57AdEWyPJ3JuX7d/0w+/mzYUKRiupnsCd1xhR5R+C/Cz25FGFfQhyw1mn9sZigIO9goY/v7sOVRKq2469hzkyTewZwPyIANVtNpqlAaIfpgN8hPdG6gopQACizz5aRqDxpKWUexqKxjuR4UdaaUVIZPOGqFef7CG7ZQNLM6yi3PTg5i403uaceUArMlVAyUne/mXafUkJAhOP+1bkpetgOaPJ5IsWGxCE9oXVziBmQiRdifFLNL69yedAmZEvBkuK+9WZ/3S1SN/TGvVrDuryxbqJz/T8gwPt7nKtMSKCI6gs5YjY7jRP3UG+XC8aTpuoY2Z9mGJy1z1MSG58viBdFrt97Su1ucwYyxUxupEruZQc2fzp5MgsMly2JJOsKrlmnco51A3eeXDWKz3C4ug81AsRJXOMlpCu5o2Z4Gb5GoO/iv0fgyJyt/IKPMgpU0bBIB28evcpI0scfbqwWN6/wwHkqE0gTHibITkB8BkUroxkgdofE2LffQZWy994NJzn7gUuR94wiEghYn1XbOaD92Y+RxT9FErG62EPtzp/YZgddhNFJzEYbb5CSHyR9/pUe8fnXkjju6o6l5oYxPotsMZW1WZfPK5MRmvHp9zqrmNWwVNl6QamxtZ+oW/2f2HDSaZ46yRhfsIy1uyzNDzecFwJmdP3Kpym5+LmVI58NLH8420kQ4OdGNCfEPHP8fiPAo4gZlLtTZjOWJZd6CizdlKRCsZjm9/vsMyf33/UKktW/i6tdHW7TPtGAEzaFSC7cD4IHlmAb238/wZlirwDmBgzHPauFEb7Yj9foQLpKrLAmXmmZCx7M4jNGOFFNIvbII61dD/ggLz8mawmsdRqpuQ6qRq9AROsc+O52ImYwLqdUxGXLWprjxDoCdzu14ZhVEDiEzzx2wGXFL2DLH2Sj7EFpWhJSqspWVZ7ziXkfS+fKtrfEqpQMggo3m4yqOvKXZmGmuuoZrHUonsquPo0hl+vhwiCAMTMJeUazVnQZzystYVmqkqBiZmzeajdhkntXIUmCAUBY6TfO+pn1Jv5d2RVPW66T7vHueT6eT3FLhMFygb/kY/82DPKw7NdGKLFPmfFL7qmPMVt0bx21PfMHE7/xobedmv64E3HsvWXNU8NmavHQ4U7buR1vhQ8LVm1wPi31+lF5HDU8eGzIsXDqS1bF5SdjmsVwXS4vyTVlgz6zFaVNdgzTCgLsTHDcw2IpMD6is7t0wa8JidWQflUIryrqkFK0isOLHd2gWOTEKzds7emGsTnFvEH+q5urmf/wyuhsciLIJU6ryL5sICPA9PCQ59MGivFCWWHzpKTRqgwMIiliem858r0qLDJ49p9fN+kEoYDdWVZph/V3Shm4dPUT15wSLes2IxlrKKZrj+Phbl9yuBVEXisMdIoLs+874sJc9gr1VDj9dWyaI7+beP8UKDjZWilbcTcfkQYk/UjD4A3pT89ZO0RRe/b+C1TABybqU1HOZ3L58WcGEj6o3TFg7bvVYKAx74c1E0uWTeXwi6etEgZI+plyZFn8wUhSdheqSDhYLLNq5VMcoHkG3Z3PIxG4PPy/kJmzOQZOz9sW5Fwkh1Pt/rVYOZ6f7FEXwxrKyh3YmrDIC+G6v4ygWFREWOtQyzeeoTVXrA/jDk0dvRC6HNk9GilfAVW9fSNQOxdT5ZxpuC9lPrb+JpQfPc4oip/c4CcTY3zHZAeC9YYLmME78ybUw/a+n3nGQ9NL1/XKmU2ejbRtHPfdL4Onis0kxmny5bYY+GAl3ZDx2YAEnWxqTIv4tXhqwn7z04pJAFbRs3GgDLY8WXsWF7gHLSmj1T326PHVxeE0vdiWtsGOuIJtjVBAnsxWbujRqR9sfqZe5ec5BHCVE9Wh1yNvKBeaifHcTnSQAFmkEHJ0GmxdwMCtUpS45GFWM/FH596x1t8GEoxJqrRBKZFfneoLV8cgwHpKNDvS9UNERTffVyeqOlvilYISw+UB8GSjGYcu6Hy1ekqDEQVhLfQLYW5oDLPyikOaSpNK61Ntsm6J9z5C2cFOBN9Us1g9jCkVvaxTg7AUWAn3lTVF/gJCxrYhSDsj1gaYL0aHyOM4x+b0mvBP9e8GkU5E8OFybBbdWaGYY2Q1pDtNdmlJPHbYm6sRqQOOFiDLIDFDy4/pfXhHkC5Na+eUKY3+2eG/yW7EZAQmTb5jhCmWmgLBTkMxNhiG7ba4hquv86oHv8gweaZrOKvd4FJ/wP7DvUn2hT/Fnf+v8xqhW20+M+hgCnszP0eA3U/3PdawKRWmcq+xhoeFxpEghERhHxrJov3UQ28QqZQi3R8JzQubW5fb1TRIke7mLjf6/g304fB3NKcNKsAp3KXwbLa7gXjArWgvDswGUUdmcOSL7F8QsDB6R/fLzVASe55qpuQa6qn5w1XvFUH7DVoBBMzKD5DCZNziLAn0CgGLgBfGSGqHtWmOY5RKFqckgTklyjEbOFBmVPnn1Yi7Q8FR2+TkB8HsB+p/oV5xFV5ww2kT/7UnrV+Q68fznClUAPj/BDkjn9x8Dt7mVgMjyvgO84w5jhF2FR35wt6SwBxaVR9CwEHHq9GXPl6SzAiH5sNnWioD32gOdMI0JfUv3fVmVfFVvIQi2ArikT+kI62SyI8OyzgxHXHS/zGRpg5IlYthjwvjdCB91CC+7ihBJ09N3kYKT6cMsMwYySY53skAMpxCnXBn9tBQi/J+I0Ezjt/58vjjlfDvwvDt/rbgrs3zKDkryB1St+KQu/cAVOLpOjSw/DgLYpJi4JH8udwtbLKZgyKViTNGI1vBlaGbSwTq1sHY64bm5GDViNVvj3PCdae6A9KLxizI1Bf4zVM51wQHT+H+PT0g/mrPVE6F9rTAdzqaeDrxnqf+MBG7pKLbjf8pqunoyfN6vVXA+dCfumC4Oh1JofOR+9W2cNd6jVt1+oEze63Flldz29a15XnpiPxYFKpqObX1fmP8VSiBnnbEPlMY7GfRsjHHPJWFHw5ISGyIsIOpU8wSE7Fsyc3D6Gr4G//D3tYsnH7Busuawj0W37bpYfsJ4u+FgSREnT18bqOBbWzErTUJ3HSAFbThxxMzb43864SZ5i8Yh+9PyK3ac3jvs9c/I9nsp5/djxULX3W+bzZPfkp3bH/Z65+95uLOZ1ypQGWQfB7isf06RVFvAz49Fk3F2Oywf1LRVxbxK0Yg7CuejC6Uz0CDh2fiIQ6G4JNddJ/SZ5BUydUvz7ZPp1AW+vP+oOvm3rommcv2wZF+zUOb4CpVT7RKn5pOOVA1iq9jhn4tWM8Kxra74jNe3FKkofue17P2517VyPU2q2fatsggoetmeqR4weGIti2VSaY1YtpaV7Ml/kjT3Zwu5vwMP5Kg+deddfMvq7Yl7v9VgLS1+NZt+XS340H7lLrVCTy5R4nZi6v3fNBOLxAZ7UPw34RENAxU0mnxiMTHcMxTe91HmuZ3Fw/kMttHrtaoddT7dCqkKih+LjE7Zp0zQfXgA+9xYVL5h0p6i6q61pZzw4U39bTiJ2E3LH5aX98YkSP1vQIrVaIkF/TGQ7Vn9UJhFA+S00kD7y/LEsSmqL53yF6s0htjYCfGaRd66j5JUZCgUBAC8wMTBW5bciMrqPvVGLE3G7I+8rogGzIhrQP1wnyva2RRzMM0vWJawI9N2j00BgUuAKGLX/jM96LcBHIRQmJAwylTzj+Nn1HeAKlSp/iqMmxFV2WRWUKaB0yIlYyaLgIRQXm5in5V9r322FsYeD9e9VxacZaasQL6qXLyHTPoU6wYPNCIOowThu3OwCBmOp50Njl14uyA0W4LLJxGmeBhXEDw/Yghn9SqVG13GRLttqKcQDusGRhfxOi86PzMNZZ83AXs3Dr9J1OmzV8tUdw+VwlJ1hX0FRoJKVRWotKvgXOw7hc9neTuMmb8diod4a1roPjrcSix6kimu77vBb/pxwdHMhqRDeiXGhrwUu5wDE3Srs8xY7ICMonJ5g6BiwyNR509nSGiBe4pZjCVGnZg0828S/1ROdquN4SQZrmMAgMYGMPg8a3JH65RahEsIyGLBAKKxHYfLnpH0nWhOO3Bp9wVZ7hB0oUaYlu/VlVyXqDIWccoIE5we5UnLIZu2BedP+G1kgeRSFJSrOMsOCYNk16yaXHPZoLwL/WMfGapAx6c7a5GBGN3X9oJR0/YsYjxKsK6HjOYb3cBjURwxCgrtN37CU6RL+ZNuLG6S2hn3odxzExhaME/K/vatEcXO36eZREOZXW5zU+cFIt9OodWsutK+OLVagR5PnR7HldB+hRXnsbLu+q7TljxvrU8/uHqnsrtRxsckhvaX4nus17vLG79p67bHX+4SrbueMScm5EHIHAyEYg//s63o88o4bGKP2aUZ9qujcA9Pa2/i0om1lcfZdKbKT0esSFYNDCUBUEC7teX3xaQU0PPlPZCUneZ8uF4hohtrpVfcnqZCP+1tTnfOdIsPgvQZOPOcXFm/1pONGmlhO1F5SI/52OKTBhUoe/CU40PaGqKOw5+Wy7TKSUiFgW+z5XM7FDjFye2u4+LCh1/YyJJdhfrUsolNWdVEnb1uL9dSOL2CX93HZlHzBK0DB/IqYzo5Yh7gLLLyYK9rGIYsTdlwevDK1J89Vki8aHSz0ukuPVpfKWB0khXpFTP2aAMx8x8CGuiDwW24dDm2ekxDahekU9UUMNqoy5X0jvH2Xq51bMvAImxscKPoV43uOJZZrSgP63yJXk58hoVqkfZ31eG7Uyskl/Uqfe57bCaNK3UfpLCNZpYdtJ0pz2sgTmm3omIVHPJqEfNbWW7Jlfcu2XY1/zz8cW6qWWJO2wRTb9P1/iQ62sEzuL41KHUSHUbOowYYH92EW4OTWIPRFdDEnBrzLlt2v4Is27JAeRogoKH8PFn+85MBVm6aN0vY9SQbAiJPlNxeB04yx7yq7kke4j5qQQEWyN9lISTC+rRdLN83nqt7ASFoo7MeQe7nI/whSeP7nCRgmWPHk0tTyXZyX6/gv88TGR9Ak+Rgs2Z2LQ3ZJ0cBlPeN17fv9/a/vG7oWhrn9wq/zllTrrl+uNaJ+abRf2payIf87SPLWsJUbU6Ax3/YCmAr3eqsyhRtwHTHmZDZLXGx4CAMrL2Hm3e6l7oQyRTdPNVd/fe0Sra1hgUylib0c/6uPZxAxFBIQF+pwQeHISAaUFZJrRtQykXFtYWXqG52L4hN8xnRwegJoaL+Riwl5aNkiHHGZQXY3dl290UwvpKHZc+yvTzLUssHHLgktje77JLjE2V1JSJAJBpgVGdGP0NB787yDVPYAAwWVQwrdTR7C9ChRdWyvLjn75NItX43loIFVwXp/voIXetpA3+zc/1mhtSTsyr06ToVV7zUfpX1PmByo/aGuu/NZdRVNVqcrC5u7kV8jExErQt9O9dhN19btIiBEeDdDzg32nmgqKsS80WWdkC91gYK/FqKQ80Jy9mpQPbth5LkSJNbOtLF8bNqaXfnreyzwBbrweGmwFWPBkGBVeL4TChfxVYQJqcyPhpCYNjFJEq6mIxSwXAI4raNGZF3qPRg5RL4lpAcIFrjhADZJmFvMCK6RuczO+su8r3J09IbL/WA6oR/zEqsGrX9y0ybouHC7pflBVHh5K0c3SQcOe6CwOoNOoe5y0CEQEWwkii3FhkVMu6HbpCFOEtPx+jKWxXqKEeFWHwU/m573hWLgVNWGuKkOVJQZ/5TWtdhUrI1Q0J/HyeNkwDxrv5vRgwQc5DhbX0WYvxEKhen2KVhsyAehl+200SSKd9DPQkJ4yb5NhNG9obMjoOx165tumEE42hup2ixhfKXXqH44iEerSUSeXyQHOZzyW18+1aZgTm+h19y1hCTSdjmYNbfB99hMco15fepm5jC+Tj+qeO7oJKT2EDTL8i2+YLwkjmLI1627SJIyQj+ZF7cBv8DX2WDartuUGXHizfRM3ObEfuvyvWCI/o3cKuKqo60ohGGsx+ZHaeH6YcxFnw04wRCa+2xzQM4kwOdOGbcOeck12Eixo/1n4/avWQV6YgXMMdAvNszbFdvkNhXMwFtiVdVsqplgWwL3s5W8RqjKDHenjCkL09kLgXLOIeptEk6grsUilXoY2e6wI+ahQB85A6KOb/AZY20Vvt6IYt6jwlXvBbcZ7LwmS+8CA2fycI7PFtuCb3JI8XxuyjrZe9t/ORgPXqokA8UhG6BGbu36OH0FQf6oA35UHTnARhVCzi518u3XwBSuVnTQeyYqpl2IQqBCZMoO1DcMJN+eu1w+Z+n5tMMM7bO9Q1OroqmatmzpGtmtjbd2BRMUcI9p0WmPrh/5fbKqEURjObliqUHrVdatJqwXnUMK9VEFCnA+wfdWVwgN3TYhHPq0abJzWfjx4fOUtImmjCQgpmkTjMCLefVjU9fbBFaNG/iSwKpP8+nCpyCpCW1BbbvJFJFH5i3iiegtnDb56IsK9T+ndhhrOVZH1ZghbuxKcMbUgbPJE8NnLUkmmM5RuqtFstZC3B3+GNMO/Bu3JFEpPXh1jAt28onk/wK6F27KS3xBJtZW+DyvYg+j87Apc7cDPSQ4TGQ9oIvtM7JjgS5tJCZifZIhoSmlITPpdBy6JuQZ4D3wys/RnCLPdXjhcyU3eVtJ2NngmXTOzvT9tA+J1iYoqRS0fdAzyDefXztRscAks3oUo18dl6UscQU41WTKyoTXIxJbVWNZ5K71WxsF7KTfKTyf6tjBEhUU5+B/Fgvyq9f52Xwynmi3WGzstIaZi70K9cd4+M7E5OYTNG4/K84LiGs2mpzeehqCzkhf8PjiuVq5cRVzqvGYEigzt6hFPFeQlM9TO/8Zx00BFCy5jLpNUtP6gjBdUUId2sJGakRsHfYrH12lJZfry5mEJQzrkutZ/4ItGXhxdBuOFpk5LEr1pJrBlXWuEckGA88M8IqLSSwETLBFhRLmW9CcXn0io7w8g5g0aBXkhcdNoChJQ4hqyQD1NxDhRAKZ5+DK05mWYyWnF5zhR5tqrq+A8/uiiJ47+7Uf9LwCzl9VxmjvT3XoXVWJMIgJ6yJ3p6Hb5gHjZi+FIk+y43zgW5VIxAjLXV7+PSqj9Fafg1s+demz8iUpb/CU/4mXuGh2mmQAJWwpAA3wqtwEXHY8bp6erUpG04e3kqSsgLAQEoT6iBtk3WfskrWGxu13k1yMCJN9jc3ylvgQVjrB92SzaToCGe+lQ64Mb9XEgknvPZDkeC7NzyWXJ1hQ25sJo8/LPrdgnbVAE1yilEBwiX2hpSJzTR2XFfpvx+bj4KdaEVXrgXaO2v4HK0yHCBghVYojV3erBB6Hv5LHM/yl6pFeT/zz4LKvPKxIQlnnJZvEpzd95hX4jn006kC/BZA6lUFjtkOKnLAsCmOphVwAJUR94b3lPytegEZYaOHvcK7LgROMnGadb3XFIKX2IzXK8T5EHtUczMOlxAdSGgo4FOttF32oGCxH0d+toKbg8kiinuZO5rzeg7GIg9FJISUH4/rYwn7jRUSKwqg1GcgL9OXH2nho83ryZswn5K+KUlIa58QZCrAnp9ym27oVMUIepagzhmJ+WphtHm2WLlXM2HVdSi7PoRNqSenapx831sudN2APoHtLg5kasOknI4O6t1A6B7t4/sKlt1m1Wqs8Cvijk22qbBXqGRj/Y4go7H9USmS35DYlTc2K1wYQCgEpLQC00cAdIOaiuVZiNktVi8fxzSR82+VJmZcDVxCM/7ugIt6wmmHTTDem1eDFXj0Ee5IGaVM+7RI86RSjT5S8a6mLkfxVDglMVOISRmdNerT6LKZbQ/FGvoUc1G1dV47gle3DQD6AeZqVQWh8rV1+jckldOqy6YLOJsidjtq4jMKc0jfSsgHkDKVx6EboRkdjupZWvbNBUeCFeGMuwddFpG+EX4kaXrCktc09MR5R2TxVFrLDc4crKyaql2rUGFro1ipAUL35ZLp0B903+srnxMTy46Dd1JABxV3aJQsjgbY+cm1kTPPjkxFjA7ehMqOkzV/JAJDTHvjyAsmHihuUPtiNF2oa8mPqclkMNe0sdFLChTYoJYFSFyCpKU1m41lbj+q4z2JkqNR/tbF3G4qjDiCwljyyiP1LOabzNQ32T9E7PCs4pHw3eR1u03vXeRp+gsne85Mt673rnM2SJ/7tsBybBK/FJ+0CmQqtT5TS/0zn4+aPP+g+Q5D9xlRyJZC8epW6fPBJB88OePaAec3HrLy1mnKFHxfCjHDZ1qZP3F17DtK5OGATEVGWEOy49fWC8GNmsNgazmpEmnoskekUgeC0ekle6CZdPV476rQVPIEKpOopUPgQXVLmEBAyzU+gXJukXdGE86gdiYhBIEsyfUOakg2u3brNzrYm+wfW3PFKt/05j7GYdKdEwPzjk0vOB8mMYhmB4n5v7psab3HtU6x3egk+PLgmUXn99csAnq6q5/iMG5LphHaW3SECtFdSzoigJkE8F8ovyvbA5VIOmygxaRI4P/ke6Gj6HHjVIEnyeIp1PCxExhzkYuB/ATYHb/n5CG9kDAg9xRo+kaHCzqGriRzWXV+/iK8Nefvit0hxI1SMjFD2ZDtSvDk9iW/Gc4E8Cipzq5VDsaVjhWgp26DOWzzEnTTditJsbLbEMSGWSgPwhCO7kpHs71nNuolwXu5VbdDgvSkflL5CDl4iXKr5hCHeaw+EQ5TD9tFbkcSs1Gg2dB7jHFMDh5ra+hj8uWMopmDeyx05hcsTvQQD004JE6fA6hoeaNRNieWtyKsdWHc7Pcq0gRHTXwlkbNcA1cEk26Zu94mdA8eDPBHjj8JS4mu1uIkepGbQklVb4APrgqirqAiAr4z/mzQg2pb4bFguXJdGZs4kg5DURy1g8kISJbwIyEcd79Sw5KJG7Vdw/uPCUxlAolxTRnZJDDoKU54fTH/R3yl5vqE8rc/XfeZzYWzBVGdwg9oD+sXNpbtrjyF6uFlQK+lL7Tmr2Qamg5TTnyfw2Tg9oTQ6bzHaTCs0UEOxGWc2cJPZ2l4NUuNIwkgtWgtKwbVavWU+kL9UofydAgvcpCEQ2l/c0bCyaQWEWEWgu2MoWMAM1heh8GBG87gwL6XAH458z+fpJdj4bM+CQNEeVO0ATD+EQ7IH0gJkkBG2+YA/hk0QezxlTEyhjKJcHefZkz1gEHW4FJcs+61ypvY90Tz1NAdC9J551+wvurv0LCT1l1/QSWnY2FncERbxLBjR/IRXre8nT6V8Sbi47MceAMekfjLJ6vtVXZdubTylLC7t4swIoU6e/EazlZaebIObXKcyvs94uqlq5w9zxrX7fvBL2Wqv1l+4sZNp0wDOo/mojAo+dpt+UnSV+Q2zgUNS/gfNc5d0aYMm2m+2qwENwmdMySS/mmAFtxloLoFUmtyD5ym69TdCO9UOCqIZVtq3qnCDW9oczqgFeSuv2yqlRPwbda0kMxaLIYzNFTSSFF2E33YrirGHMj6LUMaUwpbTa0Yqjrtc+djHsiVom9xMAdgJiDQ8st3n8D5wqd7YupXCx8m/w4lIF/30tBCieintT6PW7AUSe3CiaCq+PZqmBoqLLO4GUo5wk3DClfiWieDN1NoXcKQV1GWsGw46lohEDkV2B/7aKLwLR9Oza5KTXzU5hAsNVBXC3h0//dZO5WoJKjYRnDuBEvPIwfjjq0LuUh9e9DvYDtCaeJv/Vow6j7PhXv6GBvAtYbJOTIloL4XhDuYgQLEXlYqN3UX93l1t7MPNLvC47seBI9Iyo1JKTphqE//Utq0SpVxL44HWdFBng89h/6+T/F5xKRpxRTjSVir9NmkIFlJUWKeyuQS9ysnOgK3DDN41ztyjUO44iJtodc4Iczhg+7AhjD7PubAv5vYmu1OcDzf4P6fmTALYFp8qsco/SSLzBtp+Y+SkgJ3Vtdl7vON/689rYOiMXWrQY0nXsxBYvLTbfGQCKW2ZFldPgU0XTOx9bwKuiWGxXlvGxjvfuZpHvcNWN+hBh8oK4cU2zfU4RbaxqNPczc7IkACiRrzmgrnainqsQ9mXUzQZV1zBZ6wYtdehW8DFG52RNn00VDjLnqut5TPMG8nEhgsgCcy4+oThVNhL2K0UJUQkeGCZBVX22eq0Gf1wz1HCPVqccVczrjo9vgIw/lAXNdIUgb6+Liz2VtpA12cz620a+zyPhwK5uyiCZoPrSKtvcmv6/PJ+QbbdFruimqqy345JM/Ykp9M+xGlhCFXljplptHaa8VyaAzbcA9qkvJSTVo5RQ18I/7LhgRHuzpUOjUUd2pTxQGhynjl97Wnnva8j+nz2eTR+weaekPeUGrI0JDOQjsOXRNCsdncFE2kkSLTdoHW1yFTUN0FxY1HCjk3CEKz+faxUtF1bVdC0jwKbDYWLH8Igwk2jbHlXxRNy002Z/de91fr1IS/xM1O3EAqbtjjtRxVq+31QsJMcwfuxwBJIMH4DoJ0YtoSvkNgl+gkGfDwcARfRs8hGX1xW6GqYG/r4UZ/XXWHY83P0xUWjzzPo1c5t6kPzx3s8xRORjc+V5s+NytWcY1ikjEspZWQH4cyrxm+UeZ0BvnQqzlBEZpWJA4yxPrwJkU9aRIKXBZxQ5IkKTJpBTIi0rVO+Q5MA9Q64twk1dZqbnGWRU3qWL6aF7dYoUPvFgGC+/erYXnQwMFCWTWCN6dy08g4NUQXpnDjxE5tQq2DBQQcUHARp6zAk65QcWHxH3LEEnjdB7/VY8pnpsRbkqtVxKRgvfQn4G4kVesPFTAVeNfr9Ll9y3GXiuNyI+32Sk7Mc6iiT7q0hmUOQmVdT8O1kR3LsEwT3UZoPCTVq8XweshQbO5MhnEtWg1r2YaljDWF1Hd/zm6ZGhg6xO6JLYPmzWu7WCzwD2ybzDMEYvoSFA4/ni2GLcp+0oYjgUj24YEvONgcK9rKDjI2JyeR67WzJBiG5hO6KTQKpYgl54oNvtlFEG1ADWUCYYl518TSkGXkj4xq2V7MElkcX9opceFVD8/k+L88Ppn84ii4am4JwNl6ozAxlT4kANZKU2jZW+SnKqo6g90rKIS93+ZotecmFCMaXVNHX92SziqjCO/aeNy9UBaO/K2IH0ZyzcNcz9tE2r8Tdh5TrmZ3v1tx0N87SQW/0kN/nuSkI5mkiY34Cu4JA67A88eidJxbiSgzDWfZoDpsGVXPIoCMssSwCA/Xr5Sf+s+SUJPVGjqvPSTtRnq3Eb9yMXfIlsY/EBvfpB9utrxr63p7U/wkZxRTc5o/6PrC2aQteWtFLRnTE0n0eIbmEMpTgwUIkRe67YxW3jJq0xpqcDaevrXfOURDcU+wOwVW8dJ6qZiO/zsySoQLdrgFzIHjyfsY0l82EgYFXQLtIOL6Fa0MJnX/11+GO0xQAfk3GPl7W9Iw/uewiSSkiutsTl6MdhPlTqYD1s7m8NH/S3KbE++zZwPj6Z/1hfAsRnL9zuPWkmOod16JpBe7r4YpWDj3h31P6+jrLEWQ55OO5A+zUVig0Kcozg9LH/C1bONZEZIUOX0ske/iok9Xc/CvZAnZF9oUQq5676Qo0kXU9iyzPWdUzvY5VbeTLijTRmmdQv4YXa01NTsJsCRYejUAySJ9whcwVFA3KjegdlRVSljt6iuxNQnIIQWJcHpgV7qVGeGcZCplrnUsV3bbRPrZrz1n5eQcbJGU1gZbkvkr8n2rqjFGIUkUvOsFOhf47PoEnmGNomaEQTbN8FihSlSl7oS2YDfaP6jKbm6hgOLo1031LtV8aaeJL6hlxazlUH1BthxlZfTA5nNEclsMoKv61/lHCScsP3KGuqFxr0qCvKo6T5qqoA3JyK8no5utEX60CHjJlcOfFFTI8i0RfVD+d+JJhvBdXretiwo2OJn4kWQG6JfePmoZzCmnAqzy4Cy6WCLjl8OV7h+17QREChVva4ivCIJP4aV+PLX1g9Q7sP2+qsF+tctZmpoBKuoaO+i9xyJsMDkJyFB/WFNO/Kz7cqSKQ3wvvZc8bmEzIgkwFVBOtDBSWl8C75VvFZ5s947oCYhPfc9ynaYPp1bA40zjXnGmPYWf68hBstlVlN7vecxSZkmubKaHKwQrhco4vZLGcb39tzxlpfwq3b10u2PZ8fcQfU73hlBQTyhU8qniWkwYtMZ58Zsw6qEv9ItO25f7XtFbYgdtsCZI2+mwUeOV7PCRoFl3UEFsFGNSYB/KmM3xTrfFG0cMSl/w5GVheu3luhGZ4O6VUcilF5vRUmybxwvhrh0tXYWBhp84LwqhAnvduKY3qsPItXkmf+ePexB5UPJMycgxHwJlU/GwpAPfdDB5wOivKvUR1Cx7K61hE37l845caCrx5K+87silcN54Wr+R1YlJAfNiJ0AgdRb6gzNHOoIiOSDP3yOafPjN/Eaq2pCre1Mal/mxLxkn86/4LCjcz2VF2bf1pvkWbZp9iSpvIpo+KRaxAv56VdKnHmznTSYFLE544aCR1qugoIzHlIVCZjwrydT4vZ7HKGkOXK3Zn5IDwzDAKLuWca13l0JF5CPA81ppofOxsLzLUWgevY5cvsr4whEL9vF2yG3Vomi6ZtqYFexJDJqlf5hZ7FDdUJKO3L4eEcOHzX86sskNKYccQsGTzT0nZp5ZR7FW2jcsxCsZUlm2/Lv/LteIE65dljQrKxxaKpb5NKv6Yz6eZZfTaWrmIHWkxV/J+bSlsH9zuk3gryVUK+5ZWPHmMqrDfWBXH1AFKPfZktRu50HuAg5Z+ZDqbclwuFZgLqGspU1v+9nGP+ShMe1o7vYDGRGuiPEGD1ubt2Ygdcss8x5LYYXxY/sA1fkeB21414qhS2dG9eoFCEtkcel+KOmrnAtnRha3Ab8sOAacKsoIbm6k9DPicrKbjrvvQ/z05XaVcY77kIWf7Tc0wLlQ2A4MyFrUQnGynUBsqn1WwYHXPAFurocLA6sZSMeEuN74yTOUM4bQxZkKq7DpijWYXbmin6SjgScJMk62ZYIkBZecC96bGpRSssfVy9aaaq3Y8kcEV8hPbTW5kddOsmypvHaLHZFgtL4tq/fEedSCdUCieoiBTtllwSQXjTR2A/BpwTJtkYYhuTnLHr1xfOF7QsdO3NMxovc9crqalevn5HsFgkdrXVcG5fK097nhly8BTu1hWUqXW68zkQkVev+UXri+Do6kpaeRynioFIXGPdWGhoePF9Wz/4iYNgyxeUek63ekSwcE5X2rzMEIfy2hl0yoNWIQCbJhDH1lAkhUaCjCNpk1Voi8l9MQksyKa7jWE5TtdjItFaMQ1nAUznvaC+C79FgMFw5zSZvop/Wv4lGvQMEXjoagPX5PBICRaVoYzqYsFFqEjPKvgWnk2bbhxRyV3k8zRKY3CbUo8X+WyjraL2IPCVeNEVc2wIO0NSihlXOtOHrpz6219qinY8SVYu3+vlELyI4yB7MnJBQkpJghQD+kmBQoE8NXInluEFJQiUCwNwPRUg7It3C3vZNfW1vhSiIXUW1jS8QyRqRcfl0dIL7w2G0pSCtkmg07HFFDxAfgGanXwyBpWj0JInXx49PctTN5H4PmCQb2ZPnSsOMDk+vPdyr9YC3Yx+fX8tm0KruTkHz2ZEVFYLVbD6luYucWyWx5SRdEL7iIMhESZQ+4tSerumcqOgH/vTerNLjaiFMNQPyDW1/OSpGmiYMEKMCGwI7wslAKauEyiaPoBHcvONveHdMkbtINB+bUmTiVDF5plHeihEZct0lysJ5lj1U8aemgXiC7Ib5CmWATWf66Y6WqooXVIHkVx/dFxKLDu9O1mVx9sD81qOnuF+87D0cp6NpCaSKExdeQGeVfda91WlOXdUd2rh8a9OrkndHetVx+c5lskLyX2+JoxF4NyZXRyPWtli3SOzPtifWIiWgqXxqyvtG8RN8TRkdgrmf46PnSQxzsB3iGmbFFYaVrBddsdkZX5JrunAkxLAXgqK8pVtRMhMVNecZTlF6SK45POmUUiWZa9YfXEtQjtgE+ya4tXD37QDVRVgAA9lUW4ohowTeYgwUPMqRgziX7jeMHJBQLH7Qs8wT3d7TqlXCspTZKpuJr3OkWq519Xo4DtjSVIopUqlYOeqcgL3psNk/vlsbiaNfs6g+1R8qA0F7wg3ZI5WgxfyEllXP0FyERKn9zqxhfamptvl+yFo2koS7MBXfRUWbef0cR2+lklt5MKgn4IiXfcFDArbL8me2UnvOJV2atxQsnYj4tKwsoOaocLv1kGkOpNVlKSWzDrzTSVLlVPreiIJ2dTV+P0kW7piRR/0xnS0EiiDTU7w0WiCYCPnSXaLzpdwAzKBu2du+lb/JhKl8bMuGJmKE4NaBfolGTtF3WtMn7L7FfLWwltiZ8ngGkdhOfanqxsEtD0KiOs00mucTngsLIh5bdJUJGkm7frhDOt5IxJ5f4heaToUFiX1STjuil2y6+QJwoS9OIdkiudKN+WFf8iaKlabjOGxprvdl8ZSc7pZOZje6B4cjiajNKjaif6ljIAF0fceI+rcJpFKI3Mh3mUdKU50hmUylc6TVJpcxlShGQ1CQl5qzyqziLfCfpc6P6W1h1hJFMDvvINxGTF6N7iXGwFNVzmDpwVt61GsUO/CPvBE75yLibBSEQmOkOwdCM7OljajaqVmimIk36BWJ2DpwxPxMQpA1Kw677Q6IJ46XjIzG0aUvWZqTh64IpCuUOfvUJfgVQulcOFHm+080kOSeyLzEaTU7eSZzwr7mjBCf3N+4OdAhAbogcwVpu+O2yPHrQjyVisi/ROmvsPSS0F8codeBP3suRG7ty4LZCJg0Ucp+Z4qsgVW8ZoueEjzdaCOE14yb7vCWChQ5+xEU3ez60OZ/a1OxS4PHTbunAG03e97dZXmpYnPAXwQedOQm9x49Tbv25kOMkcBjLe6O0CuaVLyv5kh/OhRx/V3CR8eM/n8dKLEWy0mgaTNHMc1uB0TcYFHuL05G46E+azFhPbOlfN8ZNaBl4VgzHTmvCG1B+ZvMGiElrkoRKhV4fu2/HuQiX7ocaTsVDwL/txcSvTeS1bWe/xefL3CaqzpSLfurY2dLS6y5U4N0UceiyySCsX0cYXH1baaRq+W4PHBpgt00Yxxrq/WvoCm/bI1fpwFE9+v7/5SkzbeHSslYsdSrdaYG6Ny8fhJFud8D1NoEFCJi7OihsV+jjlj9sY8foQB3GjYdYxQama2Ex1tWdovmAgW5fseeQjyRRyK9XtbkaizpKPldGsMZlvNIkeGVwfebsTmaW4jyscDwp6BHkBtjojQPv49kCfzCzUpx527V7bNDSRqTedKzG+1Q3lk8UAqFSCWsHKjUshlZcYJgbm6pC1fvClJ+Seuqp1mSp9DAPAMktUoFeNr405jcq04LWlrU0qY5vgHXNcjYUorEOpO+kHn+ljdzGlMtOhl7cp4Y2aylRnfLxTxzDJD2JGSlNMmzNNn5l8KTPEKcJmiiHzibMuEoKU6sxnb6zpJxUz4GD5N2hTV09ZeopVHD1sJV9sFFXF4qI0QlObb6DxeKaLrRz2JrjLl3X1VS7H2UIrQvUzLidJdOVWdeO2r3c1gQUn+ckD1Cwc1WdpNXOvnHs2lnyslkuWRtau9bjo+hhn/9mi3K97A8+hG2frg4oDllRKOkNt2MQKVinLLttdIW6OG0MPBLwxsy5zO0BkXePRJ1zQrLMdCsTJz5DIa+sJiqbh8fnvUYIUyoTMENgb7eegHLVI66nAWhMbuSbYhuG9Wpxj6M0AiV9lktSG+9ppnZC5XM+Ux4QCQpCHLRIge0IC1gUlbDcFaBWYrTL+MyFRLE5/xMQPuSqapDyGORWSMv7EpflAE+wZqZelfrhUbDlk4RVtm/Z44akTnu57uf+ZXt2Nx5OMp0Iv8PXMtxRGKHW5yAhD2ipuJwVm0ir7OKrx9c+C45GMZQ7HOTgYOyWKuctu9KoFzY84MmZVXPAeoaDkQTaABVc7dJVKMge3m4/amUHqLz9vNMN29hK/0qg9zlb86JmJiSeL69P01U2AfPt1ufWph1q8sYOIbb0m6kk3+I/lpnyq290KxJixelLTz7Q6lNWHk6Bj/xM8Co3lllGtIwSb8917eSEBNPsIDfJMKUAvk471LUwe8gMWecLB0PtAKwcI2pGVfpMxQpXMu+HTBm87IwTBGCaCLNRzmArImSwMQ+cWxZYq0NRo74G7w4w0kUIYDBIn0i6yhBXS/jSOhRcoV8Twov/dKrjvuovliOJerfs0OM6VB/b5o3xQAa7i6pVrWofFAeARWZGDZ+1O+FCErRJhES9VklCnDgzFQDUsCD+pCVNPBaOkiwseGeWjYtgL85XcpsyZAAwPGwK3W1EpS0kmsJ+RWmq6bD/kHzChM17DhoBh1lpFnf/49cp1X4paV8Nu2GwBB+torbDuTW6JikOdQipU0g9hf0r+D5d5kFxFefOZd2gi3TiLxcZkgQMdlkVFgxS7xcqAz5b5AUd9Tk0VpiO/O9VVUgO1Wfe2s0Hr6kg3RWd3MX0bd5Uvvh2DG/YaZKGU85NBQF4n1HEJYY2+Lubvcb2zZ+Jtj7NK6W+F1HricfQbLLOTPTE/2ERfk9CVcK6QdiyRZ7FZC5GgYIqZsSVkOmOXu4nloecY1KN05tDvrnCdrnM/piVwA8yGKUx3TxeP+NXsgcS1CZF2aYMuBb/atlyXJ124NQGVG0AJ15DPSr97uWmbz0tqTQhVONQtruDpErfdxZK12Nvoteiqd8yYqbkZhxQMrY9v95KMS9LP0MluabuqUGJ5cLxYMHFacwCu2p8wBQYs65DGlrLoYkm+NSeCDVXyaEG4s9C282ku99Nj2UqQW9zApMzrGne4ziWJobRv3ryePQAFqibMDgNtkJeNpEA1f0WHSn+WjrSHmdI7uc048O/U98sz4IWzdobSmPtr4VQnD3zf1VgutTRYLeTiex1DgLDvDpVOsmfIFgSWjdZ1dvfb3GNL7CAV5dcSH2s1SO0y45pr1oUcglyTDiQcoSQ1/fXRlLX1nfL82l9e//Na3zillutDfgV+eG+udDRDnbyWiEe1kusoR44ZsPqdCNkNyuI0N1x4dxNq2BMvt1MKoxMOtN35PFL2x1BNMiuKusbwupAFaq15TrmoaVWf8+0dbypAM0e4YNuWll9sgBOhlg1TIzm4Yc6ZgYJmNmO/8TPFctbtUW6DegiK3kPIScF9zCQNlW/uTZH/FkudsvH7Hm/dusQtp8Ke9rZanst0UPjcUldaJbaq3PAWruyiLgTx5lprJXtJL3Ir26ea56zJ8tbvjuc5Np3yPZ+Jm0zNZp0hnBiGHeotxMVMIaCv4M7ZpZFGqvIy0CXPwPkkKEDYUM11HJvNDQFw9FV5f9SwpK09f6wFiV6w9crHgNKqExPMdAlam4ObxfTJhAZbn0QPfMKlKu2DiY2X/EJyohaUJqAjkDVC3eSFFfTatgTYY9PaJY8d8xceaUSxA39Hu5f8YufcCCPD7iKbXmqoBZkOSyCOLKMXHOw5PxRX2FlZr/TMdOpftdXncH97hYd8Yz2dN8PqFP6/KilK3kJ/4zN2DSxiINX0r2to2ZqqUXFm1Kb0SGx79v+kFuFNjHHHsK/TlrFCN3nXR172pR+DrOq5D2xQ2PBkwMK+qR70rLvvzpgFC/Y5yR8UxcpLxXeokk3Xc+1MC1XwraNtThG/x4fOAHwxYtVbydbb+03GTz+g8Z77HsxBKabDyEA1nx0pY4+sCj+D76ZDKYOjcDRUOxdR9cY+/abzaEjYj5A6oDcvjh5dIQnLwCRPiCoNnOWmUb2v1ymjoSFZBLdtPWd0HSa+Om6tPZbyBWcyUM7yeDHdn32jESZj0D4/uwnjkpAtKn9qIS86849LGY+HoPTZyZStfLcPLenrrPt8D6bCT3RtuZHkxVXVt+0+qeVu4VuVGwu8c67ZyrCZ7I9zjS0qytIBPIDIhcpgx/DZZhiQx+lv3LdpleJpN1ic5XUpV23x0gUqOGYpwT9Adi2GyfoCQVVLPc7pu53b1RN7ELUmW5pCYkC1ZJjcyXqBSaA2B2fgj9I06L05cGVy2kvC13JPCz0mVOAtTmU4Fud+L2ZG+M4u7fUMSP10XbOhs0CHFMXp3tL0aiM1kWHWHwoKwREGfgZ+ye9IF4QDS6/ypeQT9g2BlDXV8wlWadkbtHRyy9Bd8T/osGlVgatq0eakZWL2x/u3XGTojhnLWAAZmDPh/KSXyk31ULWEBiNJwb1S8YZGH6Fv045KOACUM9VFpc8XIpHOW5KTp+GDhRmZDlNb2CpOOKRReMgPy51KvwydtjzA57et6Q9p60KlEkUZb7Rozy2UW76NAkl5jCtEhqZPHgEFlafu0I3uoi1DJ2tEOIVLNgF7RTc/LO1Y36Ock7oZ/GxU+iXoMxrAMn+7TRM2fGlasK45WJ5FR9LMLKPlwYShacsBlHAyAjTy5hrbnPtgGFayMDn/eWMpdNRyqCmv5j+yvyf+l4deyTZutO8GebgDfnGHakLjOE29OvABrp1HjW0IU4b/afB2YvMm13I29RoNHR4lPnkJy8Fjh1ZwMpZ+yJ37Zibsl2A9NhOxTPwL4MAMtLLFJNixfkv/chNmjRY1Wuez5P9l820L/uyPf3F/wvsaa30W3IkOR6Kn5qVtmJIWpXRef0NNHS8Ld7ZXG29tfkls8kre/sfNLkLM/cdxh+VTQ4WiGai/RBmp/ilyro8reWo9taLh5OwZfm9vukpD5XneNNeG3K+Qn8al3lhJwNoKm+2MWbdHI17U7CaPuz9EfK/wEK4+2ByoZCqmR63pR+QcD1SqRs8Oo9MO4XwxrTAYr9IWj9ty/yjs/v7K05Pg3jo24IGG1tyhuG1wPe7N14RT5QhLSvxXdRMXbPpXlbofrHr1SpPx1VBtzE/uZqd4NNpGjHfTtm6/2OnkHeLN87UUcvG0cH85R6/fA4RtD517tfri5VdE1bTbiPdevMLEJ89eYTLepUWCV7HwuseatRdtM0Fu9Okg9cTo3KtiG2D3fcz5M5ljTRPEB23NDpj/zx+qNWp4e0z8QLmlKjjYpFH8t8gFxq9aL6scipbDvF9UFcdYq3Uj/nmaxP5O7N/CzdAEWkFu5Wp3Ub2N7ofeMHBV/iLxdSN764cc8Ts7yjwgYTjQYnnlXsrz3uRS+9BU4beGImLxu7vsHtRm/7xxO/7ng3IX/uKJHZBKJW3nWLwndmhufZOCu5a6UsZTIrWsmP7UeXxb5J9lX+pYe9bsJSP/jJxhCr86CUJUnSZ/PX2+iSR0DBYO26UPytv9TDBoa6zjiIcNhO5yfX/NehTmJ0KzUwPF2q2Qtlp5+tApGwe9bjTv17QoId9SBFpU/jfJO84E76gYW5rSy+Etahp1SL/xFRH7szokehWfnMXCvrMWinfwmzPp122alUqhoIqR+CNBHVTkJqKL3Y5b6xukaEPS0wa1SFlOQK9JBFdregf+7WBgo5AZnuCqI0m4DEpOYSjMKjkbsHoDdFLG7zIEIEZlhju/uFmzqCWi/49D5TNFj+9D91yNpHXgroUDsXIWV/3LbXKdenE0B1jmqglEW00s2zw8xBJS6nna11MPzxlxxGgK/njmOdqhiKLr05tYQXu17UYo1zjCCl7lGaWXPcZOycFpPNoCSqEGA4x+BhUK1sqW2Xd8yBGW9UUW2UwUmGMdrxco97ZVrcHVA9Pu/DFXgDJOFmPkhqblpOMEG3Hb0CVYyQ8ruETkPamHeDrtf+4kDvVAUu5L7avBjq1ycnm0LlkkP5qEdrpSWxIPqI2Ho24S8ipOubUufh658p5cejQP8O4EOa/wHkbCVCy99k1dhNUntTwfcSRn+Ec/7oZfrBVNfmViyKG8PIDA1vHayrL6kAbaqQOA1T3SlpUropI+521zT7WTvlCPK5HA2+QhcmjqcwVzSoGGjJnDBN/KHTrRQRNfsUG00nNCvsfT2hWpqfvHOTPXsB1n2Gb51fz9z/58KxjOgc00InLUOz1ErkYbY50D5E7/72ZgH/qzUXAmz/pApovlBl5rhKJPQ4TUixb5+CSxPQagYLV2qvs8fQHuuUhflGvThOhTEmcpGDPuPLfpg/PRyJFDs9/CYJj0mPR9byHwtw1cWu1err6BNw/DdRyIIov9+dckgvRLo89sfpwdnEajcSuaZA65WhyZsTHjG1vS2JK7zRy6Oqdxeg5oDWtB5seIf5Cb+wa5klOis9c25NnpydoJPUTq8lEH4BhkduPaLdIBdRLzA9TkYaZ0pJxLoKzfDZPIpKQiOkpoxt/Tktld/0CM6GZiEYcnxAr1KIBMu91VHJmBNkvRV32HAefAp5usYzXG5k1SLzFz1Eu0e841JDO5ftOaC8YXqezOSVrFmMt2REkw0W6bLaO72/WZztnwv8i4bPnMj3HPEnhIWORfTalqgM01wuJuw0epwKRuPqa3AzAp3E/aWizb2P3DL2TfSXGwpOUh27hnckmU2R03yD04ZVa6pUfXjPzCPsIGx3LB/1D725A/+CP9dyW/nrkidcTnex4ysgmUV8XMzqb9pSPh4K+Z5Jbk63zxR7ERYpPoyIjI3VRHTcCymYlHx/zL4KpTdgT++fANcJ+pBdJtwmb4AblJFlOogO9yRXub/+aOKQvmhxWHeYkUcIzTnp0ss6LaZb4ojpJFHiX95p3ERCm/F5F612KWEjQYobognLi8cLIEHCb6ManKbu0b+jjL3pbbNo63FzHkx8s0hSKAyrJImOYj5aNP+ZudqIPiwnjZ5oNoygM1frET6P8pNWpoVhOJ5Tjh+7FOX0oFewS+otM10MJbjyZWS1ze9C8LtYB78sg43HiGb2Zt+SdY94pJcParb1FKShwkt7zFVKBR/UzXmKPU+qX6rQ3U/7VmDKaZ+U6ocWHjArm5MuAEfXRf6ErG6mXjgtpThI8WFtSHRZ+uRigsjF2l+OUYmhnwn1Qns/H8lPs3Q0hTbzsYNjurQzRBkTm5qY8Hh3FqrN4v2t5ajpYmu02U2Rf2CCYicmaejpDBsrfba2KtAE/ubJy88k/87z3EaCLtnirmgGOAtbw7myz1RJA0pv4sTuYRCovFIoWmVEv0UxrLpmwBxYav94iJUf/GcCk5yitMJy+hl3ihUY+pH7dCZMBe2FkQPfswAEKWLD4b5ZLAXmyTD1QwLVHrDn058t539Tt/6hvdt0bevcJdu2tbNQmc60670W/bwTpLzYwHKUbWhImHcrNo64n2PFZThXnrPOend4nUbNbcklAQ9HBDuSYbF66J282A1DbQCKW/BJAdE3xgZ9GJw9HfuQWMZgCJmbu6C7So2HZFwPRUY8JZGe80kXoB9bJV0JF/x6Lro8vI68qPcZbF2Woh0EryDshLw4WAk8qiy8Qmze2BAmxlo1HIXWa3z8Jr1uvU6PgLdpAHmK4KJKXnXBxyjGZ6vAE1CBry6iQ16+9SejML66vaq1sZw51E95qSRcePAh0YC/llLUBd4vqgRfCWGpMdRpnIHCw/MyrgeXMiPfz5XbTDnssfIjyvhQH/VWAEwq4sbef+89Q8KD7Fe6fETOagIIMivXNoRcTogR+WsQ384yRmlwL0ymsiUhxGN4vqONBtkt6GTdeoVcZpc2C96PO6ftN266XGlIUlgs/zO+XCEi3/GlEwWksSmAaNpCXa7Wlazxc+lP0tjHD1FIQ9MuyIQwnlWreZUFkZYzWCU+ovV032GyMvhyItoRpJoEkxLOLV1lwqiG5tlS2DTdMS9rSnMbwPO8+/5pdPpTP+9Z5J8MmW+SHv7cibaV2PFoCw7wm25w47mlKyTsemKKkOxQa948yxZSNMKoXORAZVPZ6CybxNn75qCtI5c4B8aYhJod1f7nAaKWrxaC2S28LGHkv+CCRa0HEiLVdXA3FRGR5ABMQGInIx/G8J8IxBp1kCEY7+PJoDEClqjkas3HOqL1B9+UUMtSOu7A508sKbqiwZawAtYej2V58FvS77MU6lMMx/JXQpcYDCcCexOK0doW2tM9/gvtIE2s0KxP0jzgiyVLoo/IA9ElzlVVvxA0euwWA4XrvJBuxDoSAIBL5pOGP3SYkr4g1epny7Ydu4TOpmQc46iH32fwmfvB2sOCGAVa1L/IP8g9zcb/g12SfUfUZAITk+IQDDIGjVeTqemu3Z6LOlhkypYqLbDMLiry0iU/jNDDPQQpd+E7u/01+cZjaVODY5kBmfRlepKELPqBmmzaD/+2v6sz3x8IxVgDwClEVAVv8b00Db6YbGECFlSncUpE5ef1rCYiyPsC0ywtCTjz+kNJACNOSuuN78vpgTirXWsae0oqfMWVuXwFMA7TDZI1jMQgaKXaFFeIp4iu/m79/EkrtFSnTAEQdSdjDpJ/Pp3pOLmQMkdzimdwM/4VrAUQ/nPkQssq+cJHTpvH3hLnSnjgj+iTerTbaV68Ixb0xCpqZ1dLA2qFAUVnyTeOXANc+EZypHiLI4aZqz6Do0vFGH/9v4JaBC390xsri0d4X7FhNI9o2SfEhStvgwowYcnjieIQEYVnB0E2Qqv+iREkHhTRGNE0kF084j0gBSljX8g4O/yzh/XxeIyUl5yearJY92GX8BL/KSgXUL6OfJPrB8VGrqiB+7gvjECkUmuh3a38d8jBz9M2GBitR9Zqrp1BLV0lCgESQx1H3b41g8fMY8rUfUAJFAe+1TwTN5ye1IUFe57CMpWM5kbI1udGZiiWihd3Kgo/mQxAO8L+p/uWsPIlwdkhHIZPHi8QGif8oCLRHvMLknnEuXr6+seFp2vcU1A+uKw5XQQX8PL7PLq3UDTFsJdXjyolDyylH8639sKC9bKKi0YMRfyYwC7vz/C8NyL4WTG49bZqTkk70kKt5nnQdQ6gIVpRINQpo3kThJfF91FiXN/8teAN9d+XsPgYG8sGYwCyPz/lJfQ1Gy51cP7JJh7cVnOKHuvvB3x7f55ZZvKRD91SmcnJYqhlticekcMsYd3lb3mXOqs5dXmGbnGx6tMP/1tCmwatOJVLwoMYVuodmM/CmDfmVfYGIyn97DVVmBnZNnQSz5iNk+V40YovLEXc7gvDmcJKQJw/J3iSHODZqkMvkUMogsmr7ZZ387cF9Hk5ipET1EY91wPLsWPtgTId4fQVeSoxokP8b07kimSlFHosd8zlOe4gqVAD4/jwnZLjl2gashu1gzE7LFqQot2zEzaZQbitYEO9Gw3uXYTLi06oPaaPMMEtRDkIw0d3JdYZKl0b9oUQMJSu7F9eMdB5L0HMLeseR3QheL/+hDni+tqnCK5cHh/OimDDUDlDnHH5qfIVZRTC5ZkaXnr5BoblttaLr65ypkfOdGmUQFDoQXmft4eJn/yaqO+J99lLwbxFx2v0wqA0rxM2iRsg89P5DskVBcJd/pHcih9eN4QY7dRUcnRNaoaS6oVRyZbORRl5ip4532kvkle+QM954UUnipNbRF/Ri/kZswa3yT1GjTKOKiZ/ZxvdIbRE/gNz7xOksaHSgtu7ek7WjtAoeVHfO4nR+zUwTwiETLGRVUffrXnfJR+go+Qyh1W/4MpiN1G7nJgUo2p2CihfAHs6Iw5OmAwRzXJOzmjuKDUMfzeHUgSNOYUDRXj9nVkrEUc1JQGGSxj5QgdlYkEsea8svngcVRfW0oo+XPklKEZcHh/FygW314rIGivrEir01D6vspaMnZB0wMNqfR9VoH384W7ipF/ygW5T5709Dv/HJneABO5o08PZGeV1C8+10k/hJetMFz+5QRcix2fD6ZKgW6OX3hEZvSlr64CuRrC/38rlyBPP3fHaCEq9sHtAUANkua9cJciGV1a29xjIBeeCwWwfZE/GKBUBPIR0nwzbsedME4aCvskKMk8tHemMEIsDkyb3ftMyQWYscB6/iuCuli28cO9DfgNx6161+1phcHxMuDlg/ldCROGbIFIUeM8YU2N17EpVNrqSwIyLdK6radjq3MeFpBIeezbu1iyMdy/LWh2Mc7efxn1hgoCiT+k6PmHnjricc3O6VBkenS6XKg5NZ/Dyjm2KlJ3CaU6kiZ0Z3yghxH4VKqOMPpW4ln7/ibuYyOsFzlCnRP3pDVjiaqhp2SXafSCagYDcc031flZPBklLaro+Ym3IbvaaY36btzMYYQcCg7QgzqAGnu1NlZmL7MnR8uZ2xuBezh0sZU9bNcFNqHpk9J6eTHAJVBM5Sv6WmsLhfkxfyDGC8ogZxFLIntCu4yZosVdpWruDgKacXoACO5+zKZ85helTVvUIPKVXt5QHydpFUIEUPkJWWqzkzlhcbnhRzu70tTedU74oH3pLdqce52DHQMZYGkRXcF+iDk1Mh4FBvzANvvD+3HbhBIxn5NqCvLOxDb/N1S5LMSsrJQALQ1Ixr0et7u3nqHPNfWBpYTESbfKxaIt7UCALx57Vv82ETAJ8KYwx6NXjSLD4FsJh2BIHy+o3FK050JtFlx3oOVsTmeBkW3xJIqXC1+ZKc/BouHucogL8D+T647MZe6oNb9bfkKCBl1JfI50Iv2iCi1QcK28ZVsfp0qZORblQZDzD1vH9RzPMkWvck9s7wAqEwKGgHRMkZMtygBhWC1xHoFPhY9iABFHFxMFUMWYT2S6RssbjQUNEu3dIR4zYitfQbr3EzkzZVZAnJPrvfp7YevWefH6uDTmcWPTonkVR/ys3ypfSHIKH5C7OLbs179QLLVqIuBJRh/ug0fVMGZSr0rcAyultmthBjJn3SZVbghKo9zwrxvcMD+HwLH37BLmaxOUi5fVwtlYsFDu2y5B1xsT/LIjF9Fa1Uq1dVCgsDcLac4CfZgDuyUXJzBShCx4GY9TpO7+2K/o5FP5BaCftZLhCQU9DEgDQb6fE8Jn+PUoLF4JfXfXYzMYpDkbqeSBge4N7//1kpVmeeFcLPDum8KRG656nwEmB5By2G3dD9JHlCYHnAFZX9xwWMpWSx2FnLBBLNxjXDdT5lK9WGaGOHin2Vd9myQLODNGJgNp+RPxoCdEp/qXc9Yolg+XRak9vuEpS9tuKuzYz7/2Urefh5o9mrkEy21Viw8q4fRLPUmWz7ajqNSGS11yAvcSyBs0wIvyjYYPhZY4b4W0Rr+zHUGN+82ZOdCifhM21ZjaOuFcLNBlF5JOC0qV+Yy73fhnWG0w/sy42P48Z27AeUcvXEAkVrq7lvK2OuBQa06aM5cYDrhlqb7hFxa+uigTd+0K1zJhEEVQviteuCdceSEWBo0ZnZsX3fK/IkFZnxeleKBm6vsUD9yN3v4fYBsaquYGPFitgtCDvLZbhz+Z/L1+tHdTSrijxF0WgAI6Jp9U+8suW6bg2ZmaHlm06/Q6ZGCfOHRnWgR8/EBkn0IqDg6p0TrQp6Ogx42cNxjnnrBPMFUXO4AA1+IOyeyQx6YqPqSvj+GPEe3j8RH89qn1WgQl7bAkWAzUIvdaGzcQeJMZpjWbeaC4i1DT1o59awC0Yun2OTu0WUW7SGxdOjpUNv43DtI7RBB5/sTa63GRCcyY0r55P4RIfAabufZuWjc4OquvuXtc0DUaqbLvGO1SWb53fYmYdFEPihGasrk2ECOjQAgb5fa4nYZY2DGeljEObUA2qaAqsFtduload6QZE+cw5ykxNi+mp2XDwLEpSKwwryBeXBailmoPYxmgTCt4egW9K8jXFTfLopcQAwX5yGrj+CDCs9FJorE5zmntXMnaPftOBpl5mQ3gMqrrwM4nIkX+O4ogo+eUXIxXovsjOtownYxXCa8zSbPZNUrOfjunXVAKYuEka+063bmlMhVCQekuS22KOCEOeBUqOkihcdZshjGL2uyFoYHfg0vS0irOrtiu511IqQZ4ojRGI0ys5twFncocZrNFXyqswPg6iVThtQhT1c5wSz/BoJX3RuQLaTQqgVkBDRm6V7bjBgS40fKydopUW0VmYX3SV22sStIhkskFsJpdyAOMX41FpMFQBdVq5yTcO5+nggl5GHtvNJEw2lAE4KdVOgJWDs9r3K6oXhK8V+iRgJCyV/sR0UdnCKYbIt89sW6PzBuBlsNcwzM7GgVqHbHbO6IEMeuxYVMwDVUrEH2wyPZqPfYeDeMsPI34UcvzgzLNG4m/PjmR+eSDXaO84uM0doRg/Fq1ULrY2rNQeEtZRu55N17IuRlw4D4YhuAGL6J/TihQ6q7n55e9IrjxczAqTiyPY+TjGsDxn2A6Lrb906XM/aNMIoFg7KfYJRy3PhykMBVQD1EM4ZjydDSKiNj4pRoNpZFD4hAYdYQNeTcNFjsqRaXt3WaB+03ip2BDM8VzqQ0zs6xiYKQCjH4zDNhV4Sl5mJB1YI3IE2kue1WCNAkY6uJUXN5dGPTyusRc1JUJcLrE5mJnr4IW3FRbMr3csuX5QcgF0VyXbFKCX94BD65/v4SgC6M83SJ38EFA7LyVEF3s3xnQ+jj2WhtzPPHscj4UtdFxXe/eMLczlEJbvOtcamX/FMBky/HgTTYWm5TCT/2ZkELBZTGmy+Y2cHHszkJiG7u08uAeDvaZpezVn3C+Z4ANAO+5QSE5DSUGosWdFnUhNgsT2aPGIc8X+XgOfNU7rs6giOqj2Qide7jCnYl/o+84mGfBVV1LGRNpKKiUrv1TXh+FkNWC4dvPicUFDdS7E+gN6MpZF+w/PJQyYGiPYB/4tNq01+cMYFqO+CqIIK0zDF9XhV5Ouilg82IY8WHwqwyd9fQ52kJn75rghDH1H0aQCs6oCEdRh/brryXEZ3aPJ+qiB26HE9RqMYT+HMwUJrgnHaszmKSlQqHBal3Wch3DNuNA/FuwHG4mOvhXZ1GPxX9Nt8GvOmTN/JyqYBEU8NpLfkWEeBNYTbDyhRtR92BFlDcdZQrUiA90LAGsiiRZxOlO4wIeMnP0H7j8zFo8L7mvgSQrv1i1BjJHdsQkD+lVP7A4rbLXSpPF5106A30MReL+fm/U3vi+p4xCI1bVRN2Mn7k+5E7mKvhI2Mr8N7FCykCAtZ9MjGPc/PyRyO+Oyv8KwO+u9owsJvFNRRwRBFCre+YAh09MZ2PnkasGRjKnlP5XvqZHhG1fn4uz20NA2Xv0JnlXFRqgBZLrcgeREXdZtN8NVIRgt9c4tggEFpla8cCo2wEOzOdNQoClb7FmWEoOebIyqQMn3kztJ0y1DHOmy975AY2JsaQvFcY/sgnBjDfMGT6/V1WST5DkCdx1qjWVA78XUBrECLmVTYizut93q533WlAT96JLk1t48qOpZN38vEx+dSCn2l43w5sJRu+Oye1pcKFcSmV/zocfGG08vqkxcFYKCVJC/Dj5uqPT4kP9VFG7Q7hM1q+YtE+HONsvwTkneAckj2EWVnAGTN9gXRk9J6Q0HlLA3nQjO4Sy1/4Fdzj4M0IeGVA8TUtnKevzCLnHqfYGMjCFRTai/lR0DAo7aK+n8043s/zD9Lk1eFNyrh06lK73Z6wM7gtUkAT+b66KMjsDc57AgbsXViREqFlfgSnrPsgps7zHKmkJXCAAgEPr5xHvIGIf5qjqZxqaRmD+G/+jZO5L6lUZP8+2wDmuPJFfN5F3LMCTnm/hHe3VDstS+2RPKUx7tHdaXmAeJSQRRoiJb6iKLfH6vZhQJLh/GUSvH6uLFPn0BEVu6t0CsMUbOBwZfc9niUwVtMk4dMKAwaex4FAdFU5JGUx903TmghDvcNpEgpoIbJL6J7ZgLGQ9htyhKhCchdhCLTcL5NzHOWTF5BgWLPqUPGJLSs3gkcjcJb85Iw5y39W7kB1BSY3gC506UT5nGKriVAn56Uzh6CSUyG0NbenDprrSodQQYmOf3Sya/PcrlPzQk+IN4nRz5cGVDPkxfsIQdILZL4F7wDKrtHEeyEfDUX7/ErMHovcfsl5a+Nt+HsbnuUfw4GBrWE4FfMhLhOs0RQqwJosm+G2qbMkjpQBwYoRO5cePgAIwERX4TeATWGe1ZZ/aWO8RRL75bSK6bdxfJQDJD6SreUB0Y6YjikCKqEW8Sk8G2GjBVLRzhXKEYec5yUhYjKgbC/JjEb31b82afnQb/LarO3jNK/rVLBj054y03D9Qrjmii8FxHSpf5AD2SLKzFbBZ14gaecdtIUTUTiQgOk4mFIKkfJPmrNfWtzmfST5a/nixGWaI7eVyHMdGYvPyAIKshnR0El4PKTEv6820h249M7pcJRbtXzNiFW8KLht5sgc0eJvSvfDC4VMAfOfaPjEnv+2LHRZ8EqNgdB0y4eaUyltHLDSztkRUm+WTEqEdaXpOxzc71K8y+qn8oAo+OHpC2RT8eQh+u4gHgydNKnXWCsylumPd0vI95z3hMB7N5fahQwKiiJ13WEzZ8Sidj3F24nWKbabrssZSAxQ7WjRvXRfsaNHCA2lAYhUw/PcqzDj9r4d8H3RC7WctcDtV+RoSMKWDihTtRojC2yPjjeSh5NVISQq5qZ8MrwznrCuuFKaEt9PdCjnN2eWWKmyPMTSAxOpbTft6L7Kp0tLSThjD6/062yOp19/nvpbnyZk/R4PvLY4xLSieCPcH0H3FdT9kBm/MDFya2cmknTkyyOAjfjjA0qz8cHvLJX9fY4rcLq0SGs7WMQqWMl34mWEdCPs8DImHiqj4kzgiZ0Hy6hcNghfa2wBv+OQaZ3dNpK3A0AQ/FL8JYZqrkFn649hVNogB80WCqRSVoJJS51IsaO8XeZ37w4NzuDYWYEldmpTFSKrT1dn8VSscNEppHJ8B2Z7Czh8eo02HKZA3I62borvU471Wul5Kjw+nf5Eordh1pRK0o2XFWr4Ku+FBQolpK4DC8DnhIRr0y701A2m8/uUcWq/CrR3TuKNHiSsvG1YIzAYVv7kU3AxuQYHSRnzfv8aFEOeRh7zLXxKmsokCSnDH4k6np55+Kq8p1NG4GLHEofztfKC+nMluHtE/c7b0y/aZ7+Gj+VUfLwLbTLLMmM9mjI+yKt340jrq/nHUFXIr+Vj+F+Iy90VB4pCCVWPrzDhR+UxUCzcbB/6BZlzX0whkz6o20s/B7Q2PqGZ2nQ6Lb5ncqChgpn3zPwKV5qYklYBfK8t55oyDYExswQKj1mCjVicj1IttHwrZ2Un29Rn3bLxu30GpZ69Vok5pHajyxqrnH1GVxF6X3H859GBbE12nZByHE4Tn7UrEk+io0KjO6fTjOqkF/865RZqdGokmuyaFtVI9We1WnZ5Q18dK9btP45QAllUvTrWkIJDDJC3IloyYgX7l22uN+eB063oZ7RS4W1SUDxyq8tR2nQcxHTSsBSY3Ta4aPCZMlhaQxY5EWXRas/mc89xHoMUcJ327OESJoOnv63UlZCQIobIL0VPSaOMJ/YCdmIO8jFwMTOsjIbgDaW2c2oO/nPPzmUSPOUqKUne3tEiQMpbe6qEp57eMGQTgfrxlY7m4uXVMyXJvZkXQQOfyDPpOuWAxIx3AySQ7fNZV6J1/4rGIAMSFMnTHghwD5tAQvOkc5AHt4VczuFWsA+6a95D9HZnLifI40Apbo5Mlz0x73kzJthhx4J1wZjzFi7lRjF4r+VDm9MYHxb1COW082JuraYhxpJxRGl25uPpMbYbYVbrWQvPqWBmYbmFnD53MBK7tWjzZpq+7ZSRtSSG3ylLn2qCjwbVH+FjqZckvCUrP4UHg1dSMCvP7uxYv1jMpeDnlAX30MOsPkxjQ4b3dtMp25pJXSNMcGJXy+RDGJdqg+xHRB7jZvJJ5MC0I0D8WYMSK6KTuC6k4wuEfVwyklG4DFP563OQWXd8yea57O+h85p4G96geC1iKU2QECNiNdj9CW+82aiKP3ViS0Qh+KR4odqct3Zyolfb0NjwCe3HxunXrSPfLYeIkbn/yT0EFhan181sH0T8vZL63+bDNxEz2t6PsTLCC4pn2cewSztlh3egJQQdOzJyhOyRPwXB+HvWqu4+DYOavJbz8LMXoQG8mrUperIfpRaHfsHsYdljJq/bEiKdG1sWUJwS0ZYEnAnk3S4J4cU0iiyzE4UXSorX7dqoSs0xd4267Zp9ENuuwv0DWUKsWRkeTTof64K4rNtpUqEqpkoQ2iA5dlXvyW613jJeIWkuzvL7MrK3pk1bzqfbyZ1y1xXfKG1NKwAfd1Qd23HNMSQ1nmwJo33W1MirS2cmc5wy91dYIoTpTrJsq/w2/OYNLwo8FR47laJFs6gWXV4FpZsVZfoL5wVu9cSvs45sVmL0fYs1T7003WkO2mx5spnnVx2X2aZO6XhElWsLsuqcCW0xho//OQFd5V+pz/thRXDTWReUPY+yEfJS9EdKuXfMOkouEDcAmS6cp4Q+6s9KFxWbcz0IaVtb1TQGLOQN2LEwNU/lcscLWfDmL1/0VXfwDSxrbSavehVMFquZwF7jURWtK9bKWFmS2I15u1LNf9WsE2MrajUbxsD1uyblmIrJqqFjjCyKj+13206ft9xKFMKiaf1d6keBbk2Eq9jukapO1IanvB5tbzAVW2NKS+HkSrlo6GRF+fKo7ZWBS5e8e2SIYHZoApkyFfGxzFCRASDTeTQWgIJoXGfGOM+lXzC3lu3cns91psJM/dUoQwEpCLEV4bVAYZWZlSGinHs7pllxgWmqA4jiSOZOW9JGjaw/tCinDDDoSXqycCl372jDxL74bFt+eQvGjUz05LQCsachPSQJcQdbUBRigu2t3C9NrPZ4Q/7jPputZzpu7rbwxxjHkKT3l9JDzv3U3sMfOOUTFJbJIRmPQOcp6cxyRfjbRpefFkof4PhgINl88hQMZG3ubk/OBF8pdf1gIdUIMuzc6btywtbtP8+dWz3CmccQdn4iv8WOy6zWluPMLUKCa+DFU6qBEk1cE7S5Fcj+0l/4TW0xxQkN6QkrsVX9tjSQc4+YBhytoSg9ZSSf5A7TjOG048f1Xx46eSAye1EtQPujDinXLuiRgDoliReXkwaa8Y48y1wqJQ6mp1FqfVeKvJas2f2smyutxF3gWHG0fSYOM+f+VnsdKUkl5KbsIPryMiMgxTpW4LnXD4tfU5yN/0X2q0DLHJhBc57lOezcaU6cnr+sw6V41M8NOag3vQLrCYYWu9fUQPEOhCaJzFd0YkJJIM89esSMpF9y6CnBt9Wi1QZY556PpfFO/e334jULX8V5i0eiH1ikqtJiGs5foNOB+/VvWLulj0G681sbuzqgJeyS6t7Wp52dorbYsGczfQmls5B7wCZAEmCKR/AbXQBnIgEZlH+I7kR1MJu6OqAsGJ8LSX8wLb0JtmUxoOgMPsOHMDmhppkxvwC9keDOlIcCzTTTHzyhJ2Q8d/udS9SDZxHw4QTOw56rtpwBv4Mrc6ZpnpXL5Uy0Lp1PCn/Onv9mqq1/28bdcwlm1CXcfn3S4vWE2lGuUHXtkQ2TeWeLgEmW+RG3GFNYasxDIFgOoqyvKt4oxfPZmGLdNidvFgQW/bJNHqT/YYLcGwS0ID1F8NtxhNzONCidwkQ684AsRrNUu3znMCxbpJ4SmR1MFH7xhCmUcZpdOte4eQiBFcv/KuWZ08RNBJn7Kqj0aGp1NMYTQ1wZcRYrIzCl6qLkhgbRRSRQdoqRgEcjCwoKa/DgT78jGD1zAKXWGDklsvlvEbHdluwhuw8KdHYlu+BW00OLRkWI6jU4rByNjOo4nhrDKcLHfbA8qjI6orlGNjyARIYjVncxypMKIOhyJ5kkVINb5cLAI2KImCmBgRJIJ+8oZ6T1/DHViGeiX6CmDYkUnHNxzr6cBi3zTYpzmSozthjG1Etp4kKS31464nckbk1uTAChCnGvfZoPrT5DSh7YtIXrpTEXQQARTr0JbYqx52ZqQgwyly8ZqoaRAZIhxGFy1Ja2TBCe+IB0ZqrkB2qEa0w7ZApHn3+Z4rnt9StvW/YsDnmuJ4Qit82LQ/Pm1WkQJ3dx8rl34eTeWbQ8C8HLZ+CGaOZi1Fy7MOWOMVr61hF5x7CR8tRNvlLxUxyJLE+VexR5MtkdHPReCfOt/N3bT4UII7EiLjVGmJvSVTw98hKlMlT1V7RkG80EQWPm+k4BxPCZ25KhTDIchRQuo7IG4pFaA4ZyAb/GdZ8nTfYsyegxiQqFbhFqFjnPMcnY5nuYTaCcfX7TGrkJnuaEbVLkR3GyhgrucO/M18ZXulpVdWcsIORBKdrmlea/OcXhJr/6AA44ZcPtGRJ+Z+6ZQFwEhYifxG8kmYJIdc92IlkJ59E8DaBQBrqwO8FXBqu2STOmgtni/sjLmb5vS6C7QgfcrYT9zmLWhXUaZe3swiInXGBxqJ8nHv9cuVQv7trsEdVS67jEqUxOHwVIXHX7zUoQrdLAYVUP+zWPtatsH5Wut17cHU2L9B+nCNYO6oU4lYzJVgU3FEqG2CCnFN5BDP5il2GhqBtZpK7J8+xS9QJNL9GpDFJlVyZu/mY4NB8ZHhl+gCdrkYnNw52KdYtP1XLXAmLv5819yoh+P3ZXa9yx79UbNSJxNg3+TvbRmxaQmHyroHEWnkKaUWeoRSfM4FxCb4BsdlPWEZQ7rUvB6HRiwKPZ/XbqbF4gKxnGUvCFgvkHwWmnyx5HSUSpxC7OAdng/8HgeNJJ7WR0ISfNnAygWbdGosDBRL8GIoLzF9Z2lt+uXfFRdG5uAl1C/lfUPMOAhsBcKJjuxeO/Gt+qkxgfkeGE+3b1WKfpjOVUKSJ5ZFJXx4C7ja4MZIJ4Ed+tULcjKzOHIBAIE3rTJfZwfB9gqbvTdJ3cBnbnm6127Qpza4TjhAvmbZWK9AOeUAOXfJp0LrLktOUnRAuFftIHkDhGPWh58sf0PYui1pmRduamHGMvWN+ogDQdBoq4yy7zRJbulTx5UNAIsiGvgM7IWqsXdwXBPGciqeAm5CkKV5Aj73+q7pC9qXvhMHZ3d1quFhXDhhMGLSZEcezhiFJvoTYoKlaXlN7bQkNp8GAQ3Ik56pPG2hlflEKSbp7sg1Zf6lDflyK+r67WnXfhQUGlJxC0J5hdUjedsLgFMgLRAn8FXkzv1Ehc0nDwzo7F5NI8cYmTAhwHXFT4lsWpXOu20E3j6rumetiqWcvBNwI/vF0FGjx0yT1p4OLZjNTShiaDG3QXC1YlMpJU8iyLvOCmsYFx4kUQoXQi4zyAWWr/WKyj6qotIjQ4yBtbD1kEnNLqlLNxbmaIoCK/LcHTp8qO5wBPHxhCoCAZRtPQBk0JOdPYsjAcHh/hH0rCkyoPoutaqVtOsjsNtibmy4m6mkpB/kkxdrw+ZLbPTngwuycMECcTmfK7w2hzjY8zHfLRZ9Fzk9l82rJTDpN4IPbOdfsLkFKxTpdj5syXQwc4ow1HW9Hoi8r1WyE6ldc9nUvwVkjq4u7lWKK8rejN8yk4h832zVmMSeMGZfB05bAmmedU3cntIqb9Lj0H+i7/zAwsav6zq/iu3gMutaZOqMx9blE+f+HeC59VYDBqb5SEYWUeLbFnTgoFX3gw8jQXH37kBoe5wo8n71CimSyeOMmeskSaOa0wbnXYFLko1xASklBoRuRf+3S5w8fzNS8Aptu70BZkTJBaprf1DyvJ1aGIrSHPGTn1zQ+Hq2rPoAqngyl+cZTY7CjLPeXC03f1TmTsvskQ0+4DH/ASPZSFjoEv8ziuYL5Z+olZNAwe2Ub1B/CF1nMFOtmDzgQ8QwqSrKk1b1+gWh0Sj2IRmw6Ox/HTuQK30S6+QL0cLBRytLOZaFVwxiX/Abue694TVi+8SjQtl+crx9hg4FVbXY8QTGtnpsf4ZRW8lD8pllX4REtH6kqCypMpqjUK9sj1LawBn/xYM6ZlFsw/RQdK87SCYw/Pdco2vV2f8/gXxKPwT3mJFe/uWMGWU5fR8y5+8sbHNuKgL7UfozLnddTFKQHepYOs2FGAU9fCKVxdJxXahWJtF2Pmp1Q0VQ12begNVC9tbM1wjk+jDBGLI1i+KFcothcRqMgWTVTWFFsoBPQaHsTeEc5/W6tcHcj5/Hwwt0+JtBs9+6n15HbO3G4lsXxElDZZCcXBanOkjDzKzNvqQghLqV0bcX6BvvFTr6qJlyWvBn7+OPYer/1RpEfkt4fXyVUnRmgZe8mwKLg2pVkdKwLW9h31vXeZT7nx0WqOvcE+x2kSmFvPbhzgeJxoskzm+h497DSZO50V2gb86OL5+y3/WNb04gv4VeBSMrzN9FkzSvmOaNokM/+OfVCpe+AVvYGPrn7uVcWzJcsxm1zw0yk/eAJCjrWshyehX3QdPwE6X/cSwl42h2OClsGWwk2GpMSIlNFHf0/PGZa1RsaiazYabrapZPV29VUF+uLa8DTvKOf4Ttls7ns6cmJ143DGwKK/0fmPZLhRYZEQiQHj2YVxPk568Yu0owtr+sVOA100dAJhl7+AMxfyCF8M1U+0uoLFIibkVHgnR4gRtZq0KG5pzfCk1ZhVAjh6io4wd42YfKu4S4yfsVR6diM/34pJKMcQptdhIklgv3AED/KAPFLcyc7MOY1HSSzfRj7a9hmfnT+A+3bLWuydKFhEHLcht3NvXTaLa6QzgXni3SY1k/CCElUk3i359K1v+tmghZ7ItHMQvvyCqQ/cq8Ix84K43PlDzd83++v7Y7kABWu6y0ukrn6mm3w2PsgXD8ejDSEeyaa0AXr0WxYfgJBRpn9Czq95BZY7xxRY1+e2gHfh6rZ1EbBp2EfPEXMh9acLkRwFUJYKTK+dUkFRVi0+e+Y/e0eCnS+oy8RObbvMI4pnXweyO1oXVaDgDuZjntMUnQEszKlLyCRq4oqMwISLmruPCAmPRQlxxoqglHZTWi8md1XgmcyCvz8E73T8Bn/MXf5LzAHZxt55gAfLfiVjZrjZ5XwFPK2Q6ZLfIh8wLwBPWuQag9yO+mzeHlJGBduIPvcME7p4z2FeYPI1Js43VzPZY5+ZCI4hX/wcpNCquV71Q+uowNyxvLKuZm0FDT4Lu9X2+re1JUmGDQTaDgVStYdc9L+buU67xoQjUP+qdZXdmiEVfYurLGALVQ2cMBImAarLJRNxkbUBQNcTVe5QUo+qs/swdSFnaBo6AJUioimkgFN5OXgOInQWe44TFb2dIWQTQu4YX+40ykllxCNLK7faMIOJ8OUwcBGJmQZOhaNibs/B2S8A0du8nm7Ofjyr2sZaZ2XkA/cwgreMJTbma/fLWdymwNwSowrB9y0wEg6AUMYTwLuh2d5O+Q1Q8nMvACQz4P6WjxfVOaMv+MWsNOusJT56rq6mrv3qvR8Z/smC9CsqHZH94GktqhsISIjWr+8+pF+fqqheUZ1X72MFAVf1lTkFgY64dXNXlDU2+JbNGT7widjuY/qbmbm1knrjvTKJA+uXAxAXlVws/LRlxxNZakqF4aJi//axzEOrwz1xnJTzmP+dMYCoN8IDttOXaUl7kmc/QL2WU49iOjv8/s5/GepfG3F8LI8fp8M18ycs5BxlWENxw16JBah+8VQpmzUJ8jyjfWHBpFN15yFG/puQ5bpFB3uX1mXTSay5AmEzdmKvKXKnM5E3v+fna0CveHN46jxFV+LLpVGMIEfNwQZfzy9XTCNch1iGOABc81cnGJu71CLPtPAJad+Y30geJgj55FyhlnR/7hVwa0p3JkI4IfpkSG1joc80CGaMJ7aUHD2jWC9nP4M4TeKp0BVAW5Gmgm+ajz8LX6jxzhVSWeCHIQclIjejIrVE92oQkRVm9tll1zxZu7qfKOUq3cv/c11rt1sO9zt2kBAxpW5CDc/b7iLfdOoXZbd+DpH++WNltJROnrZT86t6dvn1WhuJBeVq/RyPq3S4qvgxeQw/N8i+rNO51OqF3GCIMwwOnQOHH637fEUmAD+pHi2Je8lR4esavgbyutjcGVy4fx/2wxiTtyCnopDklFGDKGrfVaFV23G0mHCKKwVNLBJ3n4QIDg2aCfuyCRCLthtk/znd5MMFb5cuKm+cX03viQ7TSYx0oMz5gXet0c5JmHDkG3vlz/ZqL3oIHjLc6tvuwFKZlbb25RNllWmxo5MrwIYo3gjky3TWgb41rYLaAdR4qSp7OxrZ9cAWPwOIaZW7sXkMEcaxbNRCoAc46vVA0UROlVfKFC7w0fl8Xdk60B46LrCegLiMXE6WkWB75CsVXW/2rh6KAsb1XSjrWaLj2qyu4cdJTGx3UzcxqWaRFxSxxTACfP2XckALfJ8zuLWRUF1ccKWfklqq3gREqGGi8VxDzL0B2OKrrMYu+7RnACPAgSivVfcQZ3fg0gymhGDFatyVNb2gVDbWFKMbve+IT0PVnvM+PdATbduHAmXKHfoD05ZRKVdL/IajKHDT7zGjIJ+/YizOxFGQxWxXVxlZ+8UzMBmE5voyV2hAdB2qv/GuTUHJQvYXwWnEBhdlqyAlRu1b+H8/hSDShbSgzm7S8mfFN1cSWT+c1yYNuzpUVMUr4AlzD5tM0S8j27MIhvDLS5Ggl1u+DEQTm92MJKt4kbMao3G/dr5BiW8qQAGCd8EsWLcsngTCRtDjxLGIRvnIzfZkVJge1SleckfA0YXNn4uT2VSb2Pjtmn4YNJybpPbzDsJXJ2xEigTO+GMG3I6S/+/si3nEJokPpc/Q8tqOZkdKoG8DgonKhgHByXBrwhfOJWxkZfMdhKpFDQM+Y0cVMMugFp/LoMcPyA663lNrEat7UokyuCgz8Bdi1BHUNb26faAXuTYdwctJNp2BJJPneSmTipHVoRRfKV+h2pfzrYdJgNY5v2UmbIDagioEywzewEQHcCq5zNOY1HHKo8uOtcwMCvMtppm64RGrHzE55Fj2g+iAdefSSIwfA7Tnz/KbaB1iwhhc7e5kAtwSlH8S8lcyu32PboxGyX7bKqBgo4KUOxF/HTKDv7NMBdkpsfPWiSMfzqLM2KsPSxcjzLQBMr/PcgtdCBLKdCSrj04tHusxGGxm8f2n78OjM7yj7rwlcXWRxdKyNsP1o9GKuqLQp1b4QPN7N4sgBqafupgHHy92SMwYMPIiSueWObGPlzp34EI88eep6ACBan1yS6aSxGPnt+dnB+t+yLS7uTo5mttdPXhsu0s6B+nY3Rly1RP24loEBdjr0eU984d2zxU4TbHPXABiO2tVfvm8GRQypkHAfYgbfIEIxSSoCvDFobdtrHpE8MTax4WPqprugm/li7ahn8ZhpN5hbGdJfnL53JsXYD0CV3nw2dtyTdWoEN5NUsN5k7NTYKz2zlrR/4xzI8w8gJH+JLallYUcQunHVGLGEseb21jGFIw4bnxBrUhI7opeDr6Nc4Yk1xmV4AztWunsT8Ys3YRheZaLZnR/inDMPoU6IgQ2Cv7BerWnAjpsy4nkQky3MHPhPmJJi0PYxMPs3urEjthvci3o8GdalOwD0pNxHDBrVUXfsEl+a8zJLQ6/tkQZoDJxOYQLJV0gANSYeCFn1QkWa0IePeY2bIy+FP66fcFO43UsRb+p+ekYeV9EtptOSTJiA6yNxJdF8fbO7ukBZ2iRWAlq8vNO8prAoQotuWaQwKVma5hU80NXZO0MM93TB/pGSE7ZFrieaDwskIFPXWz7aiH9ejZrxZFSccCXCU0GiQgKOFB9SSZHddWFeqhupZY0YuukixfuF9xxruaJGI17LnIjeUWgB4aX/pQezu9LZnd5DIW3k9ocU4a+0hMZKHfOhWOnnHtd31ZPfnIB1Y4SeQRwgI8a3ZBViDHUwyAaCjVTj1PTMMpMikbhh/eOxlaJpbN9/UgasB6T0fMuUpODOwepL2RfbTdra1ZLZ1atAmqbxM14ewoCtacNvpjpdUMhQO28AR4cOgnyvAFZXzGy6PORouqRnp4REHpKGHGDFnlDoJ6G3SLT1ONub4bbwkiXlRiNNXhLiro04gadElmA3SIEqZJ8lIsqWkFSU/Q+ttlABxO1xpLAD4JwrX3QUCr1qcqqkvurWotIHkghSSRjmghjgVFvLlH52rI83ubBADchDAFwWCeD7AMvo7P3XBKKj+3NRrw4GvpKOFfbs8qiY0vx9I4b6BCt2xC5v3HhDsHJvXz0yx8Ai7uX189cpIuSRxt8vQc6nFLWNX70yQBpPxr/LKNjmx7/S5Qc+8imqlSUcEscc7h/xzQ6TI6D9ixJUU/9yK9l21HmDef/Di2IHrk6n55XkEsguL5GIAnPXg6vdolCoaPhwUyQdvrzeHRKgk6Grt9aN/wMApE4QcMjvULDQXBDO9qM0mlMZGbsgjRtojBRWt8Ae/E8rWEBE06WazEmtAUs0xfFMhN59TWJogSuRrWBBScrNVl6tPGjnWNMciWZBQduVxGCpSbHA8oAVw6EYK1krTgFnAo/JQgxCNAZzl8QXThkOHRXdBc4qn5PnY8KilOJkPWX/ui+gcFAQ1Ihn0C8znDNAPwx1189jYC8cw/5HxgjrwEpaj84yaIHDnD7z9Z1GSK0sKYazUcJlnSuThehhHU1aB6SXYRZWHZye92x06BstOH5ydycYzdBxj/fjPPbnBmD0eCeWrNFfccTRfBPSsDcOI/InnxGhRnwkro+o5bGUNc0jqy6ADaL1FTkBxOOhUobP+PipMfVs9pVektNMWqLVHbacplkbZ2u02xoMxT65zP2w2hG5vgZCCmMQFgGhiY+CtSC9ZL1ASRPF4dVG5mbQJ+O5R/TUVzs57PDHFeUTckkv8MQMaQSoKuudTTiKqzieURWbvA3DiORic36BkZOBOgCteCQzFmbw9ejqChaRV02HUMtBuYCUZ4I9MKvppbxKkf7fmDilNh9RHUmGZn74+0f4MFEoNveSpcFDBWYeSrHkDddEdQ/uaPAUtJyvMVmKtiRuz/IWhqsz7Vtcxg8lo99CuvhJ/mhkHGLd+pVbdJsn4ytwynJ26YdHQB2DdmlROMj8Sq4enZ6OSAxgvAzP3qRyqo3guHQ+ylmQfEKEGgLtkF1cvfM5Lxkp1hlDgWP+eHBSgQBcwwefzmQHBEfAeYFXPlQi1/jV3s8YuGBbF9seOR6FmS4931myHvORfPxKlTcc5r3Hj88Z/GcpYeB909FT9VPrjlIgFnRO3fx4e9qWloKBaKzv4LCVZEQQvxyOyKThAOowwuIgTbE/PKTEPFUs0gW66goYEp3koMfXVse+mQEFnplNPvqS+DrsO9CWBINPCwHYwQWRiYzK6ooRm0/xa7ch5RK4QHq2sSfk1GFoS9xHcrv2CxclQaepowQ+wLnec5kRRxjBpSPbcDKsOIWxmATnB/Nh5bBFRJ2KIcmY0cHO3JlgYK+7nvn9WZWNjMTboCrXW2F99eFeHnHnIa8bmHu8E3TwLbyFGbpDMiEIZRIUhTlnQVELpOfO1bONWevj516/e+PEJKjtb5ZufrnKpIBicV9THsfcq+HEFaAzglxooGg8xfMrTmWKHl4Oftr5kymnqlbTiuL4UTzCMmElKIuCoVIcW3CrZiLbKlEZEgnIvEd9IZUSjpJI55b5KHCgOcXk7eLmCl0RBwvlgux+ZXE8uP4zBRmkm5uGcZY1jQV0ubdiiHnkMCLPQbyv/W6B5N/6iofgpdrdBS6bfKBrv4DmGKBJBBCCcEloIScQkqN4cCVVA7zBoaWqRvDlkaF4/O9ah2tiCulnElLF0RXpBF68psyqcPi2HRqSV7LwlU6d8CcmLRKKVLbpA1HwYGd6zTZ7L/Y2S5TMPDQ3xZQ3tJqNC9cD4phNhz3mFv0hALuv1Typfbsgb8kxtYVLECsAtMTIxW6O5PA/2HaKfYx9qxJK+0IlXuUTLEB1sSkmZ6ZVTJZTMfkgKGh9PJIfqzwxyTHH1dMTHntJowWQG2GkhhJnOQ7PtVWQkC8cRdGCsyrMZ2ulEpRTHqqMKYSRWvCdCApQwJ4qjWDgCQCQdQWy4LJoK6wQjwOlFTh83+i6vy2sruFxELJCBWAhcPIsghOGKO02URljLbLskoIKW/d+DFCYM2qiBHEiPAIYqqtrCRMN1G0oHgVpi2dopeELyJEMZ0ZFEizqT2D2iWCq8XRlWlE8Glhxm73gknnNnPeG6CCHvfp7yVZXgfmua4i1tRhiUIkHQJO+pypjppma2sBeCpCHjGvVbql6+lkKKwELyzu5bHLC7KSEeeuYt8qFDNydSQMAdMhIYXjo774k7qUDUI+S8EvL7CzA/4fdEdGKkaO6MC7CTkoyydf/YvPcVg2jZTkiZAGsPg9b3CBUrO+hQOmTOzXHtJW/ZpQm00wZUKX0usgbkTYEMaxCXlTQr+NcngCLJtYF7LWvHm84Wl764bIzfim5+0vz4POiSU1S2sax/8OLQ99cBvAThlotZrPQh1JrvsbQBkvL/HeF3slXuC3fV1gXlPVzF5IXshZuFyxfJQzSh5lN38mYQHg8WSfIZhs/4v9IPDQ0PzsYWIjWivFEchg0DAA6guZt/mCFDT4VnAPingeXkzF9qONPHjaYLk+/cW3MZvtQJK6tt7JcUjv5Q0RfwjLasoDXoyyeUJK9m/HZwnQOIEnIU5daF4WV6PoiFVE6sKxCgPIkKHZXaG+FpXPR5wQzn0Zyxfmg3XdEaRUt18ZjkocXL64/jumHMvGcvo8RPuX+KXTgbLFaq/FlVg0FKTlFvqofVQgCg3ryuJncjVATAvRRyob9mObJpOfxe/yAYrVwCtLEMP8GkPhgXxQBFH5lOGZOFaHlyC3X51iBsUYejYdTE2VQRmFiwuhO27rs9aQY8+uS9/4Ap3h/4gkvbIjALv0dzlyDkqzYiU/9N8Me1WtyS82J88j0ya3AdKMRQFcQoE/fUMKRQ7oP30kVw24TIICoH3ftPmmkrPTmFTksxt54ZMUGQiqejUDBel/15BHimCuimZ8xAJnNBJeQJACIVjZDcmtM1XnLMjKgDt8o04XR4IhFMKMDuQ9DQ65Cuc8HnMO/f3rNmBCWZxF3kxKRBNBVbMz89hDR/uK4RCXh0/CIo7ThXX0KmCt/L38UBGpuPlz78HK/W8vUEBqpDkSbKmq1pWRBm0fKdGcP3RoZZpcqE/g6HybqlYC2/9o0FUSZVZUyoFZkEbTBxeQ5UAq2JrnrVEgBDhwNsacxzv99BoZxpeQgvH2PkRgxvJyOX0wyWcLNTd3rwKrorHZ0b5FUl+vnFxvX4MU3Mx1wnkz+pF8Ddfr6ZSd0oJAgT6dM9Wb3bj31caMlKm6v/JpUYQj0SQSwIKkFBiBxxzJ4OoBEwINUe7UPW648CbegOSN+jCbdn/fhEyZr/MRS8SdiSBggepi1ZfgVGH8sWVmtNE7RRyh7x/fBsk3l84geW9F+Hq6UEY/Rov0ZoGbmplYvIArQsIj8lcGUbyPAdZ3wMNdrhLmrR0vbXJ0UTK8ph5NS+7JgMJB/wHzgFVuZYVv7Q7z7OtWE4LhBf++oHM0cg1oDLMYlLtOWspN1gatKYY514gG7aie7o4x2xGU6CjqhhX1DNkMxTQUQzfdOp3ehpKzp1imgHqU+VTxqdLF/iuw+eXnSwSe4Mv7AJfFeqc1iWe/uWiarehTWO5Eo4fKIFHNYOjFryZPXRv329Sv2goAqSh2SZkL2cNaVFRPznehkZFLChiLDLcfh7p8eWBYxC49ctSFTmLF9UWxZ7shnQhA1f4//X+wvPqlP00Vzh8PcO82F0nDzgHo4YuF8wUoWqbFkAtQiJSq4aEoJsGzRE0pAKnhFTXhUTQ8wM8vcgyqrj2FejSBu/bx55SPIBsG/jq76D8ERM9T855vMt2kuqunA/ZO/i/SY2n3Wg9UpjnocCih1Ix3r6usk/qq55R723TDIt8aM3Atg1ji2kvUPuoUu+mbkfZ2xRkavkOL/R0+3wIMawcUsEo84/AiH7XjZb5dS68GeB7F4+6Lc69GFcbgCEvy0OMRZF8i/kFezqGQQm8sProxGmrCLsTmXd+f8Tf95b3Dy45GVUEgR85DXtFe3dVht07d2/rVDuqdF6kXKSXUc1Rw8Ys5h5mkQCe4uMZlPp4caAxVJDIUtGy3HydjZGQkLV3fSUNFsPHI4kLnxMTYl1pRUGlUDo0WSzY3q2ccDOP//FBsfpbxhBm1VsEKqoq7PCMr+vUxzaEjUYDhyeOP5lHA2zvoMwTyCRcOATcCQ+7o0j8DdMf8CiWQ8QmDLIsGgB+7kj1MSqQkcnjklk+KpcbThQKrOBopiZQsEhZ48hdH9finzxWCJPYDkuG1Kznu+8saAwFQCN0XCmaRWeUaIsEHjXfJc0mW6GPHCiFxGboyDvDGu6a9jqhEFxLadSDqYvjydC7aJ3bySUSsLsLNnYq6YOccKMik0gFlCeIc5E7MguZ4seK9czwBOSf0bxByN9qvrXQ5PDTaLj3jEHCPzu+w0GnqaF7RHtADXvsTUH6co8CLJXkgAT4VwnhaHI2SRE5c3CC4QTPRSBxHRn3mBcQLiWbVjKfGkbNF9BffSgw9wDjvzPfGV98ziWRA5Nf897r9s6kal5IEQ5337joXDXYgiRoQHqoVy8CffPS03/TfQsKxKItri4/6A8Uk7RsNYE1eFQqMpyIrxzNLWt7YQMLgnSGwIJoPEj4MwqJJAOPjlRWglY0FdMDWzEYPXXkz6gV4ZJ4zjKGCgH8l6N2I0UN0FHq8Hp0M4HU52yoGtA1eKrtUGrj5xXZACRCWDmOIeTjKYCuk0xh+tAEBMe6Z0wPNdSiDOeAZNVC/sbwPwumg+WkHypjcYoRTksIDL/KUiM1TAK6+dubQxRl0k5ZjpsT5CDH04Ow76QX3o8mlj3NXgXhXx5lF8TSdnyFoRA69MFCHQ/g7dFiWvF/gqd0AA4G5QEbwMC8YYvPuUYWjk2CAtN4+5ZLjGiwzCYay9oA4vRsOvrgUQDs70a8AA5rpElcpfB3DK4yt8hHlsfioJhAVBqaJl+02iLVsL3iZEGHN3SIFjQ0d7T6e/ZYmAb/jN9Mg2ORujta/72XqV57gqZdgunA78/IWXmDze8YTK7pVDIuPpnkkczjdph8GuZalX3Q07jhaCDHYen+YRY9NMgIGXD07Fw1Z5KSoNbvoIPiEOcMcsUQbgnCPzZnCmho+RdIwusngHEUvAXkw3dKhAJ0I0k3Z5eQ6eMxAjyvhHitED1tip8vWetx1LHV5CfJhEtzny97Np7N7A4w9GgeeOj08Zq8jJkC1iaTRxwzMXPEksVX7Uz1Xn18Qn655s9auZ2cO2wCVXq5tKySNHXYmTKstxdmbcKAoqDgo5+pzON3581MvfVoyDewftLMNjfQocE8Ca7ech/p531TxCYt12BlrpqKHp0LR/hM65N0bodinI7dAwrUl2sQcBnl3NbhmwgD2AHuAvvt4+9J8i7hXFjBJU/8r339LTprgTX77HBpNywPYtFHLZeYI4FVlNvd77vli2VPf9+GwNcXz1wgl6gkagvelDpeNsOei8EU1gPVm1u4/kKyl0FKD89yz98Y3evSVAcv738+DfaXZNoupDa0ewK2zKmV5XW5tbutaYKtQN69EnYuPGlK/qq/GOOG/gK1/d59s8o3/RjKsDD3mPvuFaDUYuFmbjEmbU5bPytVSwBfkJfltu/Iz/jgk5FZJySfjpRYp/0qxOF4QT1JEe/Jl0SqSXJhQQubetK4P+vJMTgYbmun3tDZOYHwRNS2nV03yUBPCKn37ll7XBEL6kC3XtSY0hnmCzVc/fGtNILeWb1ucoEGdQLXbiwK/4a83+prqGTn8l/fuwMMxPLLO1reKRVivUK/ue4w3xkuSFOKN9RYnYbyAl4rRHM0MurvGIjKn8lTUTwQueW6bn+uxbMiQVxYlJd85PutjyYv9pYFuwLRJ/nMMR5xXabLuFZcT811MPAK/U9BTUxknPk6c7Xhhc8kMMPX2bjkoDMA4d01xJE1b2MzCgC0XudaS2Qlf9W96qT/2iz5hnjc/35z580WOk5kzUtaxyfHOY6pnD1nLBY3xDWBxToYjqyYxqcCajIO0lt9/xQd7mBbex6vitOHNWeKkmP/eJFODbavaHz0Oo4fEBH964vlVjAqhBP0RnNZaHlcMYtkdFLRAWzIohd5hacdN6wpmDN6dT7n+G1TVG9+wCM0W6Pl6LNVRKGCgZ/DI2OA27pW3Ozn+Iytc/F7y7APP4kjJVwvh61RYf8LVUO5M8fACBX1rwS3g2YIS8/3Ij0jMmflCzO0hcdD+eTTl6/Zbmxhp0pSHDPi14kknU79NpceEYHF3zwJ2Cw7BgymHK5kzufr7jFIBEL69JVNVV1WXEFMWZT+n/PcK7VVEenJXninIXBV29IKms6aMwWGwQRPR4q7Mr+QJtBcIarZMJ288i1Mkl1eXKu/ERoXm/eaT6u01e8IbRCUpZmcEdjstknVJ2GLIRuwg/uwqLhmUQBrXPHVIXTG8oH99GVzbG18vcRsETy/QY8B9kY7Zt8AMmlhAoW/Lw0Sc3q++lfYwa3+3FvdRueqV5qT7Cqy+1OiU7HmfyIH6OpjWuErGGjPRp6eEiTkjUVC+PUz65rY8q64LXEzXDYeyU7QCXo3ixLvFUvbNwAyOYC1Guqky/5aVxSTL0cpwW2FDiI5nYaM/oULHPkWlcKrztXxmWwtakBihnjjfIHP/qThs8PSSq2920l7GEL+Prlk/XyQr0fY+Hb5nCOOfOtFPDo51kcOlnP/2WuQv7dw8rnAdFr/I4V94kYGDofM3yk7sNMc1Y37ewZY+fNPOHIreriAQv+1kGf7486zH+Bv/tQSGsVafSnNilsx795f49VhQuICicyP3jcDDgR90Zo9NLC1XsWrMHgzia97Ze0hRNEyxwsrdIkJSQUZkK26y8jue8rl0NPJrlsqvvNb5nV1u0ht9LkgqKevIO/E6IU36zixjS163JHXKoKRXYi5LtWDYXlFN+FC5ikAojLahAS+r6EIMq03ja57O2o9itih1YTKVZd51pn6o9nFeLr9X611opK6mmgYEAcJA98DVPocnKoSpccsTDBeai1AwmDQ0j+UlIRspGmUVRyaR491/ngq1kobHKSRcPKm+ZLtyn+kle9BQRYxmGpp3TXvmT6B/M4Ixol7lOmm7NqHwo+7Iul2/jjXlaQNhYwynrQBY/8ri4inWAFBOFnyRFDj1FIl6OuVmHuWpdMTaGWFGsHxNp6T9wl2YMkVeuLH+ydShiV8S5G7lwKJAXqYzjHYKZgh0PnxwYbMbcIzzMW0drf4tJUh3WMUkTBAizAYlMm0eNUkB1DgsmvzOyXQ2KEj74PJkqdsvMkWINBj5a2ECwcD8MrCcjOeoOcFvKKiM1Q8n60oaqU6LrOAVVS/frL3Fh+PNyQDSxsqetOpoOS/8C11kUUW7BieQo9S+O+gckADYJ6YbmWR/B4MWBoTFtebQM8YDgBX6O9tcLEDmE12tyHDyr5MInqrooPVTl3jDc2pfPO5anaLzPNa6md4YdhqeMkVNrbiabiI/thTqWmxSAHBLbs+QWbxNiEMabpjBAGSf7BN5ZiEMLU1LDC5udql8y7e3ZY8gq3LN4ftWYmNoBS0YOvlDrm4BtQXVIIqPMvBhABLM/+dJapnE84mIYhR75/rxS5kkicuJALEoxD6XtRc38H2c+B9Mp4adZxgklyszfj/vofl7C008aHDn+wkYXXRaM67saruvsfPT/THoiyH+xvuHNyQDSlTlrdlUISsouV7h8u1w0mq/JLduLY7TLYBg4o8cXY6vI0eiK/H9OeNK8RrJGvHrP28DCFcsi1tyWCYgh6ycAz8gxowyBdnjk990SYPCopA75OD5uoSlKTm5qr33E1wJCnLiqIrnuB0PNVdKXO86jkcPnDeDeies6XQnG4r9FppXIxyumvGr0zOKc3+86EMiA3NkFy0UGEobhxKZjpnADOuvOE0OhATGwV0OMk3fpm/ehoKQH1wds8PELXBLS265QizUylZskhpjXDgRhD5Ele1qmbnIsXtXlWfZrY9GRV7sDbeGwL1ojlplYoSh8zxXx/z5KCR0UmjLjDxzgaGZawvK4a2WkY2h31lQGIGt7YmvW4jxYVbB1++vIXy6rHJvTA7OXQXPwKSK/SJ4nd/71rMT8ZMyeumbqAtvZj2DTxL26Rhu9zZnZXMWfpBOevq2/45vXXnXGy4cWWGRjkgT4Yi37MPLFgbEA+foomPHbmxe7kX+QPSJDx7/H2AinZEhz83GHzsCHYM/j8No7zlGpjETfVdMfqrKBkZhV5veXKAcuQlB/e48bn94C+yZSJliK+uIQypsJ6UvZL+bgEuEkB8+wyHjhPE54b2Sgix5slcmsIARd8rmBp81L8IyBKy44ALCL9LWkchDKE1YukrXV21OXQ6OFbn9LPhlK6UAdifAIeqRoP6N/jrnLHZsCBMGV/kFHXqCjcuygzZdkYzQus2H/fQVjgzn4ASDMmvG8RhxonJhCZ3cbxbIgoJiOaGn1Zv993McEc+i5bV11TrNL/KwXBeRi1QTeDAb1/iQ/LNhfUZo8Z5sVVLp2pwoZhS5iGjvha4kihj1CgchXH9BjTY3764mCI2VnFRUV7uwLrO4rqaLnjvaL/4t2WVoORTdebpg2SGQvUxoW6/yzlS8vEgQ4vjGDcb5jCtecPmBKl3j068zPUsuTP6bnnw0jvaS5k5RHr0CTEvLACLQU3M1jK1iCwA58vqNqQ1f2kvT2QzWTLbOVZpoztVrHbEyGpvXxE28tvz0OIs8s21DbzDHaUrBM3NZqjKjhj3TLepnr0SMx6Z3Xvlb5lQjpb/pKX8/Dr0YmvVQSWDl/B80kU/shAlOv3fX7cu9Sszy7atqzMdJo+64pP8CC1u7kLIJkLhMHRTILUl01pGCQRCIsx7HZ5UDAynUii8nPeUg4A49r60q51Jqzx3QhUZDirjCNrNCtROLLwg4lXk2mYIUcNorOpYpWEKs+0fX95knGIx4Elbeq6oomErv76S7UFy8VLa0Vdyqjjvf5+x38aILo64lOvfoYYGeULOmNGmg00GB51mXyQB/Tcwf4ghk0Cl1bvWVU1srpNWDZ2xAO3ObUWa0WA3W7p1zr5SlWla9JUIS5tmlfpKUm6UoEa7R1EA9nJcP7WVLvl0NTSzJSQzw8OLmg+uYGsQ1z5iTQ+DhbkPTXRYdRNIuPzWRLmqorWZIyCYPHoPPFfWO89kVBXl4Dso4Na86c3aRYPg8HHF9Uog5OYmE9TCicNQillBSN51Hup1fXblGnSHSgtOWJYcISXHsTALvVcqSuPwC25/JGYqG6R3u1anL3WO5YrGwJqpQVu5UgSqS4l6JeCr7yELj+dmlTH3629okQyn7MfpMiUlh77Ur13FlN3K6RxZBttNKMeocJQu+sucrYx4WstMq15RFWSHjrhW5Vw+by0xbD8pDd8f46ctS0PIKoHsTbIoM1QTMg5E7DX3h39wX8mbYaiCEbncYJUnhbZX8mm6YNi1gZlFNYTIQdeJKOFh2iNbAJnPJRDlJAWwFe9k2ScECUEfJAca05memiBZvrR6td8TVobuqtPp5UEfo7nt/qHy9fRO0dI4JbLwwphibb55/6vNgPz7z53hwovCiltOzoQ/y60AUxZlXoAWrUpItE1BOfYXAzkRpJ0oY2Yw5mLzSE3e4h5Czal5ia3ri68O1EMEM6Og+lxqcH9io9x9bSnIaIKtwUW2RqvHz5mw0Utw6d1aOAIpwnXeJdDc2T5SDsgLu7Zc1EvfNgzwOm+nSApa/5w+0muPEaMJClsOxpcZAjadiWxH1Ao/tJ5ivSuOmZXHhe7YxYe9UPNiGSRZ65vePIHgzDtFFvHGeB6MRaO2vDC4jg4MYGKLAn6igC6cVyJM9DyF4Cw55asjfG2anQ8fKb9Ktc6X82k9yegDy1xXqxEIQenR+mWRiFx64qiB51aPgGyvY4IkFpMfNH4Oxk7dob7d8GHkXqfjTFixoZX7yyofJLo731V34Qtbpq7mJa2iD+Zu1SZjR/zci6mB0cJ7IKrCygmsXJs8mDsRKYAGXo3CkWPGsBD70G26HBa4sYAXJsmzZqhzXROEOlvnrKTNipukNHu1waMRaLafnQoq8v1qTHmR+Oqvc2Gotzauwk3R6SuTqLAhv6MQRdM2bYQMP7/zW/4m/957mQI+DW0zDr3psCMnRTIhck0wgOh1sIBk4E9n7MADaPyPAe+3gc/+LMnpeS0Fty+ZJst7Rt+DdaEIlT5YLrTeNqb4lszNWKOFauCa31P2rkEiOUcf0jiHGAmgTXIReWXnSUnmjx/g5+eYf9eB96ss0RYuWlqntFvld2gW4TJct33k/kuAGZF677Xgn+s1Chyvg21UA9WOJ5mvmxHtRZlgK0Zo+g8nWyPUute+vdbx3KHXHdrVTv6xXqcEIootAI804oQjUtOQxNTLD4mm7OpIDdwmV4+NnO945FDqwtAAAQyWFDmYuKG36KlarVsSaIG1nvw6oTD00kpXkQ5vo81gEfi2iqrlp6Wm7w4ZiT4wjVdkXT6bnMUdtUClwyJmAFSPyHgdAuo9Xy3aNw9MDx1Pci1A3aSy3wjwoEIPy/aQfv+vunGX4jTtBYkz1VwLO6sSd0iagRbCsx/EH8v9fgpiFNvsZyZys7jk/Qodmmr7wr2RyKkEASkdQljMYTGgo1hRe3QBErQz/u8iAo0VZPFvMTI1UXzGxbOFEv4FBMsnj41tAMTfaFI1RhHmDJGXi7wXD6MTZQY3JVku1MccLWlymA8Gyp0O14w6gAP8ZuYby5ZzKRQl8x4uyUmAiVLE7YZdkWQZNA9hc96adN4xAt47LA/cKWWNXE38rWjMOTzk5AcYfVHLY+MpZM3HmE2tArYMM4EhoGZnO3Xj3YhQupnOLS8fzmHF/rGfCHw/U/oYA6AvuVbbvqQyGcwByMArhEgLXzv/MkzxpEYeiE7alo7Wp48RE1h05tePf0uCap6WFxhP9VhHlXVLtxIA5aYIO9pQ7IkBurVKRkfFwadgDv8olLfyGdD5bG8XMIpGZJpCJGoejx7m/eggwXjsMi8ap2VBe7e49JAENFH0YvfHQK0+lqKuEvW9QC6lBx4dYLEAw49BYnIPnrkRznd+CAL9PTDOTWaT/4Thtl/NGeFrSAjfwGbcq3mRQp3D1tyoOA1OW7psbH3tHpOurzryid7UJqMilhUGNpPfwJNZZObkX4FYDNDrxu6WRh165agXAqjUjvI45fJjIKCiBp9EKHQ1l30bdqVzYv8Y7U+LMJwbhMCpdJBYRNi5HoMdXcIqwPcuFNhClpMazJlGYxZGLC+0SgMiOydQ+lNC3WVoA5LZOGRa6nYsbK24c4aWhTCjEeJkg7+Q4xf9eIWRXMHOnVzLzNPmaGH5lay0ojzOd1o6eG/39s86xOyH56/5FoGYs0bRKB41MaUaVidh7+uHIYqhIyWSNuItGZoSaNIyzRY4TibSv6xcCSGykDR+EqRTfGlc8rH30JsbcLxRNA5W/R3SluFub5bqJfLsDfowWco+PAXuvkv0BkcywCPT39Ql0czLvqt7R7z/objqvJ12Gk3Bl+9N6XYBdfiolfQqLj6X0mSClsUERBiKhol6u487GVvJtjq8vi2B+pBQyl9BNpJdcX/hbn5kqB7c37jElcmQqo0qZwTEnktdaUhKpj1HSt2BZlvpSHPag4QPbYqRyk0qRlWuiko8TifH009oxs6ZbDGqAYspAR8Acxf6wLY4AR0uVpA5GppK21j/jESXcHu41yt3vReG9dhGJifTHJnBiZZ2N/jf3M7fGVPOV8JvxZb2pHpzXoxWhIQQTSV8rdXV5uRksYSVID0oTohJ0B3UJYNfGqoC/AL9NZFECkiShR01CChzeNZvhfpP2Y+rRikIQdQTYlmZtkAX633NpdjjLPO7IOGiSxyerQ5MEbEGtvnYXtPpcll62CkOMOXx6IzQbwG7kvS5S7e42uDZ1BiSdPP9N09otXj/9kuJQDEWnpNAIbyyPZAfiuk3xJV9yEkspVPGN725NN4O4TRamaybGLVr6e9iYs1ibyWblKc2siKdLkTHOL/HRlpwI1gQ6gTcBNI3FpqPU8OHPliKiS8dJeFN2BG0CnegM8Aq3x4TpX8kg9x7kjU+symSzc0uuLW9pAxSsCet9M8LjXiRoQJAbJ1DDAoFAJlPDoCSlKR1voP9qUzrIecJoGDPkCPG6QnYoaHvyOyEFAJ4WB08q8R7t4X4xyj5WFG2tX/rIHEGCL1Ofi2neBeaee0uhmq7p38bGma+BwcN/q/4n6kU8s3oalzdSALTvOFxo2jTe7z/09RcQBD11zzIEeddP9XcEsC1zxp9r3KmzjmuH4h1fNbLycLr4SekF0YWOcTE9fCXDABuHNNVy+RqFEGBnlNbd1HTN00DVM/kpgWcTUnFO/oJvI4BOZF13tua3Rny5ip5Y8jdFHX96+9auqCryyEpOI6AgXbae3A5esxNeAV+cgGPsUvvyMnkmX4zRix0lzLJ5cSdzre66vKu+jisyf34VRboLsQc4qkx/EZaJ2PX/a9MZU8nLFMBVjbeMOGI61HbwivRkbBHR/FFMYlUBEAvaVaMX7T8Nmu0lmC66m9NfDKE1/c+ozMyGWGaw9XYvqutBFaTylqn4RSqLWd3Fy/qN/g0MCgHdfJKJ5E176hRXBKcHmbC6nn6jSdMDBpRB2QbtUCJBjYS7uiud0noWzXqTqQAUnv+lYIpz2dBXtsOOvU0bjwiOdjV165UzFUZHAVMvDsi2++e45TB/06GmHYel7iMg5ItFHw/XdmX4493QkY00MOGNab8Q6m5Ha+ZCDbNSp/IdjQjn7vGVAt4E2p8w4aWEhY5QeeQ0HsxeeqMnwN0IZ66N50CxnSQ3wF72y+C30OF/L29/Wo9xRRwC+P6CqWz9XIkGUepeAGdMKsNoY7T0OzoCGicS3ODdcNfyRbcH1BgnjAWe70zhw5sTJo+EX5PF11wQXYM7Jrrxd+u4Et0Y6ctaLlwZO83X5tcDmJ3LcHhPedAdj88xEZFrFyWuBWgpTyPhDDq8jMEX3XBaO6Q5uK3t4NjQG3WgLqMsGEk75YgnnAglESidQQkzPUwN3Pmc6OFAOG2ERtnKimQNuvARPc8jraF0smZgTJ3fP5nO4owIKMBhsMnUu0Kywv07KONLFGZtqQH30NXo3El1tScD3fGBsrWLhIvq0LivcMy6WiPuoad+/i5aq10EZrq/mJ5UgiemNFzJYc2sNFe++swaVUINMMV5SDVJxhJNxgpXCUi5l84Vi9jnhDADozI/ilpPwwN22cuLYMLzbBFXbJ/2dMQJiu/eAti5XmZSElyLY9Ec4poER5ApBJlct7BIKIJVOke4gHDu0tXiperl6uLLV0HsuW0/FFgyijJs9ozl1Lb4qsGpLdUC3JnfLxf1meQNxbdHWtdGsrIhmH7+RBTyy1vw48cnX8vHhlYMVd/7esEMPrP9TVja6GJm+lUKMlMSkPKN6STwlGir93iEx32kkbPg0NMXJm6QIFKyZdPzLAA05aiyTRabq2uXIFMA9eRs9eYKrVvTC4aPylkUYFllCtdNjxahtPGVZYGBJb4R8gLVl8JEJy5DdbdjHFwOhXEGfBwsBhYQhy65vXOeeus0qVsymw2oCXe/5tGLL3ZXjEDxsTfbi2wKGsYvwgYrbFyijpKuut3xAsRNTMqcmJgRfmhmGxq/gFzzYJ5bEeZJGMJVAa2RlQvWmZjM+wCJd4fwOR/Fbk3PIUsDk6kpANWeT8d7FCG5x8vaKf4l+XnEBwBKVXJGj8jgvH7JMgqNuXkp11LcPYhFHzluTRYmMCJt6W6pBTiMrMs9SQ78Mrf3+FdK7ldnlTOJu6bSvEYo2rmbyRwHd137usIcIDQYgoymYnhIqOeZBSccIrHjxDdmYE49MZbPvQ6oJC7vApfP597kcbm84iKQz8A5MPPGwRNXr191furDXc7V+Yf8PM+H3Z1IyLEESDuyAXjESILVzmIDStrN/211DoiWBmkSTCJAcZnT5hOg+eP2dUjLsH9Yv0WBm1h2j/ii+8hgimBsfMYTAFwP4DblN7XnY0z9QkEZKP//rlU0QKGOLuakraVYJpXPknI0va/abULK1hT/mf7rrSJ/8D0YOX/dfNG8//X+goum62A4M3LvSVL2ARx6ApYVhVCmltfb623raXZeCfE3YqyUruLgEvhUSn6WWMxm8bU0PFg4JzZlX1bVb95wKt6+YcogWQfyz/Pav4jBm0saTB51LCEjl3YJBP+bMQEnLIGKkn33hEY3HPLYjSVby50vxbOohjBDDeJlM+fy53q1W40uDy2yMOZfmzBBnRlW+9E6ZYEsHDT7u26mDkZFmxnAi7GYXRZHHivqYYoL+KpZ9Fa0krI70kGGMxT9Aj5oihz4yeJqEBZlb0RjsHYq8sAy0BfBByBH83bbTKC1Qteh7ahGf85BT4gTw6bE64fSZk27LUnMQR6w8sEnoLeTyRphcEoQltd+oq+nq13VL1riVCwWt2R2dv7c5VoQsfC/wiLq2qdoggNcBL0tj/tuLzFy98i1zUUdGZ4u75+YnGTNn1aeRaC0b/9lXKGEiKvPakF/DdXb23WJu3k4Yvc9g4HPW7jjoMQCfh6Rwf/7iZaQ07Q4S8lYD2jaKUh6tFMJEoJ7wPr7uqCKeL9v5J5SB9OXRVVe0nRTXZmJzAHzQLOo2RS6Y7zlCGFc0x01CsIYWGdgUucaOnkio4HhYZk9wJVooW4HnX0llEfixzzRI9q8jmsGwRiQatjegk86WWaH29RW0wJPSJhvRW0S9QvSegDrOF5Jc2RzyZbLJLcHpHBIXhJd/FFMeFygXoy4nzGy5eRwxsYvTBc/v445p1CF2JYX+vqyMV6cXgWeCUgMNIdjSJ9vN5431uxphS2DAcHdMZZOwOVxVwzu/4VzZqade+16OiBZgzbWuW7eiorkiCUPct6ahsco6dICNzZ4AmyTNg0HzkUMGR1gG2n/0UCrK2//mMphgpgBvH/Mxc15aZDMJFuI9lb3jQOHwdvaIminT4OCHejFCzw3nDk9amklsLII34zU/w0dff/7X/kx7T0uCjl3LYBYfMTQY0jEozm8ynrrHMElVuh7vHzmx/juEbvHx715fdVyfk6bRUP1PUdd++zzdMy474dQRsCmKtuaWXfSvvVkVt9JMErh4U2p/Q7OraGO3junWMBoB2Z1ni7PmwC+gxfl2PLHYQDQ94x6loi7AtDvf2AuGoafABoJKb9MbhI/V8tRszIBMA1dL9/aDxL39G1z9vyBDYWSYE9ztIcfH9YuLp5o+qMZMH7Vw/8LgxhQacdO6KCGT6AjCLETT6qxdKlhYajDYz9As9/0/Lw5ymgF5Y+upjyZ/hM4xtfs2Cdz8mRiZ9UHkFkqOlM4/Uq5+w3OuAJo3LLSfUT1qtd+1S2Ed8s3jSWAK7BmH+tax1pr8CYV0DGxUxBpdPTocywFjZHYhgHsQMOwhS19hSJvCxCJGrKDWpYjC9xAsR3ZtQ4eDuDfLkRiA9JxtgA4NQ5UbN+bTycGL13t37C0ojd7vIS3Ml7o5JL25nXV///N07Ch0ZP35yYy8agOhYFe+3r1pnY9poLh8GHFZ+WJa2HlrsBqZ+2OAzTUIju13LPe+0BHvLHYpeArOpRLoIzogoMwpOttC44HIapTC9Z6pfk0qqR5wYQ+tnk1hFePjDw5aa7bjzJy+ok/kkdkd8gc++QvJAV7EAKL41JDyBCatVKm92uo0Z7dOAuTuK1ZjzBGmlyb0tVmwhmTDZZqBOsi2KmHClk8JYO7FeZV167gHFTkmcNgZexZoHtIq51eDnSd3i0G5Sd/yKOD3w+ZeQOihJNqvkPnUwrBwGz3R0gXcoe52YpKWzS4FI8ZugEG25JOJgadBKxTiIWVLvP5BQ1qaT4e/aRFuzJ4+RH60UrXRS4Q5ovpDH76nLo/B4VvNcr2GQUUQdLCarzZkwUXinDVMmjck0EnhSX3w1UP1y7aRzkyLrhCIliOL7twQXTL4jIphfm3QGVSRu2DhcgmquG+4jJL6iYX8+TBFoWAL1ZrkXMkGjEcUhZdf3AiPm7jZLFfOSmKxPg3RjgpFA6bh2M53FyhJZPIGnsQL933B/0PoCaKQzkYRouA/7Goyux8pt95sNBdLFwqeIBFae5GpoUGW20kd0FCxDce60xPzOlI7vWiUfOLj2qINojslds4jecGWvSGz0VeuIFXSKewluZ4fGt9iQiK8skPwP9/TL6cd6Ja6tNeI/4y/gsa7vjn/Yzsik19n5dyCplZ2X9y72SO1FgSEukZ3l50EIxO6OSrp30E61AflDEfBOZb/nPAnj2FaX9bdLc+nrMVPgP/bmkX9FlhqjmcZts/IIP4cdIiNenKPlpxplzQvMnqZ+0NSqvGK/Hq/wkpZj271yia8srUKrwqSvM/KVVnZCeMkBR4uWOQ0eHCpbCN2kqncKCZPUbhU7h6YxIrmQ0y1/FTbxglpb51BGPfSPnCaIjE7eDEcbFMNa4f9O4bYGSi96nusW7Jx1LaI77sMZdXhpPUpEpJLV+LipEOTHU/2XbpCmcXbs21XbMBlHefSxVeTVD971DSGq9nxbMS8IooJbD1bCXRsOId6g3sBGYiXoFXO7f5BcJktkFHYVN5oBnTVtyjM2DonAUyoB//sI4oVpd9BL8UCy1XRdt3xOSxWKC4hpk5QmgIWs+uLWKzipuEALAXfh/RbPssehrzu7X6tc0OMmo+6sZXz1z9qw2wJnbUHapr/uiRyP71N8ic0PIhpooZhWN9hkoyiCw8616h5JCpyqQSovsbvVOuJLCjeZt/1AFtl9+1ajCVB6DPDq17d0cBLbDV3c8OA7KJtSFKmjlslWRP5B7J69m/co6ceMLz61itx0wL0vkN77sn9TxRcqLJn5XMFEOzJdOw+rkUbsALRGgpp6y4eL6LF3Z1fU8mEG7cV5fZTJAQhWMctn5ZqCBMBfi5Vu66o1w42mPv8EK8CLJEKUJVYcL2Ausf4C6Nq+Wn5Zh90xi07zTcnpJ0oYIacMe/hLbT4Ktblw0a1+UpgRGdQ50Z8gjYFML65hWUoWDg9JB79WoPsfKuFc9dGC+yA2OcMFoY0eaB6wpXitUlNojInWL+F1SG0FXPypFl61NH4AZlLqLT6hAn/RD4MVEGhUsL1xzenHotawe6BI1Qi6hiSsm08CRkPspsIZ59ONUfyImO55DLbJHJCKk4cc0RaB06VUNaWuK6rCTIJKiHA2Qc4CGUtVfEsQF9QXlw+fQ3jum/BhBZvlc9dI7W0lfGcuzVXTvyEW1TOacyLIi0HLGZI3pW1LpiFHZjIKFKZMttIL/VAhSgBrPMbppbygxoycDM72pKC5umx34IPDzygbkx85cEoe+4bwfKYB14esfDsNpd7L/flusuTBCdA5zh8DZ0eOeenY4CEEf5g/ksZHp7BO5cWY4+ZcTEkJ8HtMfuZBU9OSUwLvM8Nu2BPwrGwZSLc4W5FZp/45ZKN+w8unX5uZfZW04tXUqnHSg6Z9v6z6mJRNZ3Rz9f6mmaEvta6HbQhIpf/mz51FQkYWMucWtwIPg6E7kVyhi8ZuXdpGCKVrLCs+Kos/YXRjti8NwoHtrBhUkSmPHMLUy8pC5JmigLn4GGKXMFGUwmguBRZUAVIk3L2ll5QE1cEsBef6iKCd58KofCpEWrB0t6Yv2CaEy4WkwVURzl4TlIWRzlrcTbj1z6vGWd2jJ7JAwh8XBg9qVgFJnGRS0t+aurIsgERBNbAmmv7qpUc0cWS8hYFxO4gltDrDo62DUvt1bEeaH+/ARDsLCD+IiTf2EE66cLnjWkfd4zQAfrUZYZgzu5mjclgOOurBR8OYQpjd7ONkgNr0i6KC1+E7qUuIWll5leEfUkXfdKLsR1mh6aMefR+yt/ZUDisbWJ5JzcN48ABBz8F8iasxKfOiFrp5Wmvib992JWBHwfAejtHYSfhWmVjnb66lauLDXOqQ+oYxvTU1HR3v+2Jcbgf62vSYcjGs3geY5UjlRdekE3JAjt2x3z80y2teJsv8he6ZZjoB0VtX5p/VQWTZlLAxOc755mMq92DZ3f+Wz7t3/a5KL+raM3eSGrXCt+QGikNAm1me+uVBuVWxL5xwbXhDC3AKq/SWaGNI+yVwXHvAy/zr93v7ZcPvCf976ahL+vq4GzGA1XJLLjmb8zCSJQky5PkoXNQ8FVt7OvN0B2CcGxtUnyZjr11P00VCFC0/UTk00n/fJd/fyf2TnAvYeCsgpFzALL7FA0armJRYkltpPWReYeyb9XUnFPEWQFL0M2U0FFoogsDJkXEzaLLwzacpFi3h6zW1a0G6FavwG6IS1GcRR5ny+jbJgSXUlu2vkfIIs5ZHZFPPjz+vn/+9YvP/VnKMU1SFVQxEwoFnpnqChggNlxxtk15mr8sS4w4vfOiL0zSg4i0pvhC7XNi+QA1HFKkHUGUxwx1zRQMLT3+oHY5mRZQpNCB4Ri3ffnWYR8qGcW8NOhzH3nuDkuL3QlCDW1MIcH3qKCzPsl/BOJiJkNrnL1dU+u3gGXiPk7gszAinLk5+P7hKCAFY8xBTegl+jZkJAZuCW4zmiNSjW9lJyFrQY/f9UCBvUxqJezcaIgqQh1IjQXlMzVqUsLV0HYV1L2FNuDGcFh2/ss2iLrHiiy0bn+R6e7MIqZDdZTHxe/A1dQnIubv2meQNWGNYquffdj04ewShQg1UY6dt7X+K3uDzKHtAQvrfa4FjYb14Pr4uZrpQt9Q5odoc1tAQmyBCV+kd8Xc743qiS1mu8HPkGV25eF1weX3jvkR43NRiqJ23JI38HlX2DpyVxq6DR0U8Riswo3fBtuIX5RmDy2Tk2rDaoc3TDiXIOz4OQ4KX6p5QpecxSopW2GR81FZBikYfa6uKqCjh0VmDNurh3PDolcyQuDIJeO9iY3cF67KTaORP3OpU9eBDGgKUoAPgBCACmVR8zVEp1hwHPFxMbUJsud3NhTCynoYqRu1U8sNpKIKQLSri9YebhODF6YGhh3txGRuTCeoTJylmjUV1HLk6ndTUC0qmKHat3O5GRKuUsp3By5KLLCNXcOmDGbkt9PQFLrEiqTsmudXTgLXU7Lh5aAOfgWpEf0srA0GQcpLzN6henwPBprc2+cmnRaFyrvIupOwoTu100+8tf1rDx5zqtFVlaTj06cgNqJqYwBNAglwMimEPzUdWDeKR3wpfLSbJODpgIdTL+cLCybx39N6cG2kpbiU4gIRT2FQiD/5JDGraiLrNJClyLx6XhQHagJBFUIUhpJxOqtdldjYK1PmD60PZZq4av66qs5Bp1htkY0kgY3XBEsC8ZH2WY46aI+D9/AJoZZxXzawln9py7kbxIi/N92/g+anc+uQN5Wn9rsntgSMZkDefCuwnrF0prHCvhoP/LQLcp5KQ7E6RadGa2O1VTPlQ/sdyNBddme8wMXhTpmQvGRZH+wdYKII1qzZ2YBQv55wGhuaSmD/KvBia2TY/Nm/xgkeKe75f6mAvqEzv4Cw0fUuX4/qPzX+oXl+ZsrsH1LrCNHdXYoRt2dXQF9rlKdUu/0iv0hX1Lqdqxfsr7lR+0GZcv+9JReN9snLRqOubXwFVF8lCWatI4I+2+d7nSVdxH9XPw5oZNd2VAD8PkXL196XwPxn/SeecxpLVmU6Z6f4QWcFkx+XhN0Brk5azfi89+j1vxcRaqWQLnPx6LnRpn+fMoDW+frLttd7AhaFqp1LGZRDo3U9weKHCimJ8QNhx5w2N8uDcpFOVFhFVIvCLrfz7pvbj1KpzKsRNIRQuvm6v0sUHo1BRY/vIVWUNSLghTwZDR9EaXjGyG3OOvN0j0VSNBhpWCZ2Gb6+Rbf8YT7UudMPUjkzFmZk81154BFU4pIAPw6MWliaL+ILQw7j3QhnRqfrcBj6L7wWLwSWYesEYxBuCmc/uCKVvCN2utVCu8DZRN/ThaPfHSNgo360/3Zc3bRQJx1uJdu/fuSXRMM2PfKq0NuZXrCqS8MKs5wLc96IlKh3bLoAgP0HropsP8DXRtjyfM3baF+zZwdqWdpV9CsMYJoPiHpTWUnjUKgujbiNsxJ0kMRW0W7qEujpZJ0YgHNVYmBSc1kdTmAPj2Sp8tI7Tj3/XNK/fb1S9e3/qg9wNx44V5q8k43AM7xszkJoxOISTHEWKpUHkuOoRASCXEiiLNpqslRHJWAj4+jwikyKZwWSyHEkxJEjrZzjnLPoOuSRIVD2RH7vY5qqet5lxCGRHWhqbiCEdt8uvM9bRdYOdGZzDLc424Gtu87W/9vyRf2+w9cuSYYNE1YR96OFI+8aRejB5A8Agt4LZwxqvMdZddHsGxUk562WEHIZ2GB1fLuUgs0eD46bYXOMpqJhMuP5gPPe0nrCsBPfP4lc8H9aqjPpPvMNU6riCKye35Mum72ZHtbDp1I21QAiJMlC4+rhARsUANO60gicmYOM4Dwl4OranEvi59GSMVDa6WaEEj1JDySKKNLGpxlqA13beqY3qAgELWoGF4M18bEnnv743j7+rh6OpFEdG8mAOaPVSdxAKMlSUhIJiTCeXAW1JTLAsUTLpZBjXIeXIBPJqRuWns66hL2ycRIIpIMWgAFRpI37arDSMD+CcWCPZEVK3GUcDsoYJQT8sn5rS/kvUZCYQOVOiWwzRvD3ycBZRcpFJ0tj5pHAXXO/KFDJQnHa5lVBNbk44+gT9qWwDysrT2I6Nqti4BJcNLhVR/Jnhze7Odv68p68rVCJ0WysZDINJrZwON7+pXZxVO5KVynj4nTL3lykhXlH/tHZmJX18A5P57NsHWTqU0QsBWl/37TggavZIhVblSHmc7Pim4R71u6irosr684juLUjypH/AnTgBz/kj1hepc9+rHrz5jN0KZPXma9qnicOetZy0bzcAwg0hfGwefURaXd+dUTZsaZi7dqjEksXiwp+dq8SVGzu+a1LUSalh0XwSx4/GuvjMyb38GT9ceyLPqKq2Dahnf9BrRp6ru+IrR5rws6YfFUylifuBi0j70rkSJnF7cVN4Lygy8wL90JLTN2v2m97vGEFqJXji6+ucbplNMszYvvsxdGqpL112t/IBy7AQe1+0jiNrujLG6tPa3U9VP62qcy/I1Cm169fmVBW96/fg+cFTChKyGUUFvEALVEHoHfAxM4k+6X/PtkJywovprIe+HrPPOK0aww1uBJxmK9pHglAZdfd/N1a18wF3KdcD6MRiRXy/V6WrJTmhoo0CMDBUeM/AqLFpGLOFT0KeYRSr31duntDWqAJHve5eEkDDbTuFQNMt6+sH5I1atRQiRvpC2DnsFQgSTfHmv361gVio5ifnZ9ZzR/ncgNojGzpHL5ymc1qjcXMEGU7onlGGABKveUYpQv9l+OzS87r7MuDfVL5IgW33p1y3QL73xP0wVuXjDVE5exVky2abNpa+hANybzMh9sRllvHXzf9sAtM3oV6Efl/UoyPdPSYejIs1PB9Zuan4f6dJB0YgaQSESkkgceN98cmOp2uC3r9vKU5GkMgKQdqtFACrlyaUWx+hm6BG1FBwX2TnWmpU3iWDmYgTpUn5VR1KasYv1L9Bvx1KmejGklInlaAxDsScQhPX7GT8YyoDGKH8mYykIejgdp5/CPXKM57RAy1QfGlG8w+ghB5iWnODB+VJ2HEQBY6ctaJ2sUGUe0AiuJUS+1Q4OcH0qKIBiFDBuejiO5VVdPWtDGqUNenUEk4mrJRrmRXEgEdqXP9NYb7R3XK3qeP5m6LleoqfCtnucfP68sefBIa9rkovBPTtDYAt/v/VCw3/YFQdDh3uOCSEE8JAReOYPYaiK8fAxgzhfPLikgKIAErByG5BpVS4e4kWctMOVih6iw//5NQ+W1WPFJk9+iodNMFo6Goy5WgzUo/TfgJNr9pm1gjQT82ZKARyLcc7vBGvLu3qvk3FocW0Sgz0Ni7CARuEC3cL6D/g2uiBNRyAKGkyPtB9U5RzqgsuyIjq3eQfGg0XU2fJQTtVqv1vXU8qf4LYS4c7+nZ/xRDSKrl5E86Jy6fYi0NHaNSkcKDNo0keVkwsJf/u+D9gmuXvvCkpXzHBNWiR+41QNWoX2HU/exXSf759pbKW/D1U4ZBFc4RiTJwLObo8rVipxeNkME4nQObbtbUtY1JIC/g72oy79fMV3vkUHDC7l8/D56YOp94rWTRY+Ma9/RiohJjvMA+JPqReXW7QYZZJeFvMIStrGcn7hzbWQ1WWlSgvkoKIVg9VhUIF9EelGT60xzGvCjQ5gMbgD0kQO8HnLRK7aUda0BZyfkcKti+uyZKMzpaGu/+NQ2g41eHGeD5y/rTUcfeZoPL4PnH72agToyjwOVKFOL+rOdpjyFUiSoQsr1ZohqjqUlQ5WUmLZoAFVvbspoa0lJapmOBJKWpNZXbKwGPy+Ci/ffV0H8M40qo8VqWZ8wN4syfcsL8LvUyxZO0UP8YmXSxHgr5EmcUq1cb13fK5wCvdKa9U+rV/pYJTg8USCE6lT0WBY+6WVO7eCgcyNmRZ0lzRaqWNNuV4qpMMeGSeRUkpBlFLqrUCvm3h6NJxMaQDdbz9IvtRcX2ibxhVe8T3OpDMUXkEqBasMCOx2ux+AfgT8nKciBdkP1lwPdHYNNDXNPctTj4MGvP5z1Uwsp+STnqsmfitHAW3aPcb/4PmXRL3WaMNtP0ARyn23gIGFOxkLx3KzsObJxlOQJymea7+Qmuw4DpyfO7h/erfSZKGU/YT215PnXgjLm04XPbJPjK5g+28FhFKW7mSj5hLISFiAnJXOzCXPkOXOEcy3oviMpkxtpC1HAs4kLdEjH9gFI+Y+209SHlxiQwrZCKzULz7n4DkIesp4HVQONnS7H6NvkPe+734NNFiOkVPCX3WH2l69DX4xON/4Do7QWPYS2d4wCAogPK5+GUv/cBGHOb+OMcEdAt/WC/MsOmXXSSu89Ris5RofWd0yrPG89TXt/+CNeXWilZOMpm35Byc3nej50fQArzUbB7k2vzWjzZ9msT4XrCynbT4ohQMYOUxfkEHIH1OC6oR53Wua0Czk3dFTzRxM+x30kLXTTj5Wn424RC6PgvTgSthaE3NGjjiQlc4s2IsKziPVzBSCEJYzZSMz3S3Z1cXR2CrTPhli48wGfDxEV0/jAIWlvtxNrg1p5HcLo+NDYiGuZNwiuUQ6LtHNar29khs3xBex6ncDz9XbP2JAZau/Fd0P2ECn+MEenfMzL2aVFcgS3iBZxUdQSHOle3yYAoX2vSGeIubCYFVEQURGYNfGEynnvqc1P8i4cv3oXD3bAthkpG9IqsQVLpuBv/afSTG+Ebqf3qiFNQbPtCuxyWsCMATKHxB5wra9o6vEgcHHCGf+bXSCmJgvTDdSMKlr6c74onSiTIEmpBPumOmhzUGsGQSj5/cKuoc6hDki2W376kFBbwwAVBCae4VAvF4QTw/CmGnYNgYfnyfyxMJorjB6qwmHhBmVebhvWieTsQgdaJnZieupatoWI/v+UtVwKC734/NxeoQJMgLmozrmZVEpIXHcKvCDaVb0O5e56/pxp+hb2KVSWU3y0Z9GXCzq+L5B1LKjNLuDnwUWL53d8ny/rmF8DdMnXdfvqnfZvu6joVjQpVCeiU4eyoR8zkh3Sq8L4kcKNp5NCcjQHp0WLw4VQq8EWKY2SbGg36DYtihKHCVSrMV0O5HR2THIiM4aXyoztVWcKWc+EJyYzo3kpBOBNskguXTSOMFVhNjyfAWshLcHYYSzUEHkE7hSY5OqFsqDrA4E/EmrwPJjdl4U3zUaZuaa31ly06M4l4EDNrNSxQMOlgxtLyDZShXehBq8dzRgLNuO0VRsVG77cN19ToC8+iaqNISBWuhagaE8+SKAWWRNPwV3X21AnWDEkkBxRjuJkMOXe2NI8hTeaieZWO1UFctB0uVduaa7MO4Px7H+nSzxQsGEFkFL/2FiJLEXqW+aKGN1N1ahSIJ2AqSZzamIquVpl3qmMff+de89YuVyZz4aUeFdxcSrgtINIqZtCglP/6E1CYgm4Z7Oe4caHs1JqG8gxxAbjNliiJTySlhQwOySr4cOyCGwI5VV9eNwyG3egGbkUQWITI/NVs6cANwwm+f2Fea7p5bcEQwalJlKIFny9CdV/YXr5WuykIWJxyPw5/mlpcYhF21Ed8p7MJU2IOBzfdTifmBYHcx8NyUIh+cGfEhzW345yIzuRACF5RyXGLfLocLybk7nzQCSFg4/c1NM73/TuahV5Bnl1OjsddC47QLKbiKGg08zHlyYlpG0cgNTbryl777vpK+gzE0rcTmaRwTTe1Ypmq2eBDCfvbVdHM+Gss4QkfjuFSqZCGnAbDuEuX8hmeaQTbO2mVOL/NCiQsi6Wt4g9USwUp9KbfzmMgCIxgKauWQnT4yiodzoBTlZ5ibPg14A5C3WbZ0oTWLMlsqW60stTpXGs6TLt5lnSROYskWqlpuKvQUkCC5h6PeA60OPhZABOH/RDVRP88ZA4Dgx1EupCPnttmkdCOxnuwAVaA/zslxqIxZT/wN5XMsPkiuXZgPsg1FbOOkc1081g5S0oq9X0xypA3Q/RdmhsGoF2hz02RXIPkLnq0S+WL0w186lOOzlVSHi1H/CH2Xw2B/R15dGxrHoYRI6T/CKV6i9QY4bUNgk2oPT/daZ1kElEijnB1NCz+5w+VGEYP7kDlTnYwUaSoZ9yEMgFauHRZrtlBNNGv2CYtMLhvq7HZ80U9u93WXAV4QjTL6TjOBQfmFVYdKDWRdR2fC4hz5L1pn1vObKzmJpPx7YwNyz6/Pu6D88bqSWzdhwkIi2VDTFMMRBB2Qz2ajYQ6vl2MXMPAdg/d1i+DPbC2bqi3Dx+Av7DMc7sNaoh87IdBbOGerGj8JTK5dkNx0zJ7DVs4MJDosudpOEi4i3Ua8dXUFVDdrTlSXvetBjN6vZqovK45fbMng3ssE5ZZ1ymXVLj+pL6QoAdqMZVrnvi27e+8DDkGeB/PRB4pbzSBfhB7FSONUGmktVaazuVnS2F36g93KojWbb7Z9Yvc4lJY5Kb5U2aJs/MsfstByHXkWAPlJvMsc4f19DP6RH2eJfETQXo4yu5H+w3j2kTXvrvetN2w+MpHFgnJou5V5m4dcyLLPAVhTa/esVU+q/eZzx/mrFnAqfEzeWnzJcr+BXYgXp5yVe75WaiQwD1EwXp06J4LEFv9ssLz7GsChiQwwoJOqDQPL6uzZCWiHVoliP4C3U/polMppLNfk5MjxCGtz5YYRiauxKSubCdTp203HzFhu70mAfMnBNLipTIaakkRLw4TlgsV4ay9OMyKYXsZCKy3NxBuag+m5FDlz16hAsnRFKUtYLZIaRnT/M1GH42v7dJEEzpOHweCUNPXcc7sA69U9pC71EeX7EtecdpQHdwEkWFbo1g1EsjqOHUGbKl09Ko/En4L7KRVDlghEF0eU04z896AZiCzDn4gElPISbjS1DVGE5CrNN7h3wrOecfQFpQGDIREjw+EZLQ+vIQAO9cZtrSzMpyswAFkXXsi2xwm8EmZdaL5w9v7fZUD6gd1b+7b451v+/ynJX7PIFbRk0lrAwvLSZfHGo0Oqi/NAQ2iFVVLaWqahRr7lqTfgrW3r/5lXhe2W1fW0doKs66MH+n5o7mQC4HMk+gp+n2Nu92l9qkbgHNz8BNy618p3uqLvBVyDeUdcpw3VrIZrM2eL1xzi0TuLdOH7QlaOa+RmvtqZc7USZK/uV+uE+GLFeMUdJKT9EBlUZpVTQ2Qhp7IOXAq1xHcQp2g6IkixxP3dRsMu8CZrrHkHJ4RU4I2GCbtGXIgzVtZ6v73rB9Yf2WMyX6kJtC/etuCVQTNCtOJpQuSmK4EhZLYFIc4f7vOyCNocKZ5+5yu0lqknItbsa2JD9FL2En1wbJUE7ZnD8hxbHOVZ3zuXQArCWEioFKCpNIg3SWHjgIGE4iojBx7NOn9Pyqshw6hjaQaoYy5iwmCJFU6vMewZNsdBzUhfjGnlTxtyunZLhlp7H6r8oQaNxtlMy4fvUNoYKugRLiCOLySbhG6sN+a9BEKaxwO5nw/yI9+P5DafyEfw2wd8ovhg5/3sy3mdrF4w/4D3dB1q/8tu/kWvcCJo4L6luxjDx2AwyoYCR2pAzIrn8WAM/SU+M835NSVWrtaMesA/pQeXVdSFlhrUEABDj2XXjyFyCcsPH4PNtexfAcXsTZdGf9ksCQECeXFCd+nA0khNVtcwl1ckZsRorCdOZ/BRfiqHWLUg3AOk8vfJ9/pHPb8bJ9rbc24+F10X6+vmjyh2XdCNuBfe6bxtCCpdOVMYUe7tDVJ4YO/ELEiWyL0BAt6S8HzZs4j8N2ZWw11zN9wW+bUoODy+cNtbkcPQ73RHEEkl/kEp+Rx7+mq6y0+vnSInHR5hRrrDBeTEgjp0lncxRsxXrSG0hHzYCNTwhDBsuUOYkaHhqPg5UsdCkDCj6Q6K01BC6e2+XDCSdepsx5eSeqDEPMITYTdXasNC1BMU+ayG5smsiBW9IYmA0/PAqBfmYyZngabVq18N8rkKF3i/w8kqeGyl6Ut0JVL79+p85UhqiVBN+4FkB+ve4SODHle3r+Yvz+SQx6cp9PDUZ5C/ZXHGLJ+nIJveFTHa7RH6OD9j9VYM7sPofA3H6ixAxNuvudW6VQvh27MURvrgPQg1m6a5HnllB7WCxgUwxl0k5Ni64cyGU/32N6foWJNBKqDMGxg8cepdqOANqfEyXewk9Ly5hZ/qcfZHJ6zQfP8WtT2TJSuZlsCS9TWmiXAC44GnRgMslyEFAO/FLkrX+5sPwmdXWF/Lusu//dxHs68ZDH3Ck889vXSwN8/CSNIIX0gOtrFIsr4der6c6PtsxvOwEa1ks4Et+vipGVc49ONurLDXWKaCkvjLkzpp3EnDLkUBxz81ZzmYMspc/91EtpGjLoFDHHbcJyya/SMVh+kwPX/O20E0gvrm/zjZ6/PJziLnkZfWs0NnNNkOKp2dI6iwLgzwZStvn/gaIbuDhokuITl4z/N6VFYZJcL3hyJIm8zc1lWy4ACgqzHZ7vCGbdTNcXFbBqAgSx03YTM5rRptg4AfM7t7oTF8vcwKOeGwBK5PRDTC8qghVupnXpIRoE048bC1lBmRPxyRPs1adJVStoUkkXq23uRBI33qRZ0qFGSW6MUCWHPHTeJxJ13SVR91e5fM8W2Vh9qtp2sh25WLqTXlKTsn/8b8mQwyWiS2c0fayro8INMEsdsE+2zRLPekHds0TWPd2lJQ+usiNUsXKmKWwwEtCpM2cs0X+O4PxPZwp18TG4jgR0Af5eaCOQQqbWonQyq90n9DOrcD1ZzvE/4S0rnt9Z42dO0/nJTmRHvtQRWc1hvmc7swdNOmFgU9bXCKJ3oQOlTehO7QbfSahx2t4jmBujsdIsaQQm0IXKOf8ZBNFEwESGtFQ6D0Byw8DWQwcuJ/75DxYiR1NWH9h7jChWZiljvNAb2TCouvisty/LY4YFRb4e9KBIdbvvEE1uLEvjrvgHEQju5boQLEsgrNdpmf3OUjwozhWGqwhzc10IthJbnmrRq4g2uECBM1SswwxfVJIBCyIxT4fLMKdHLgABOll70EcHm8Yob+5f9bqaGiY0QtuLV1sPfo6hDGsjhrQMbX5iZYc1Fy1MExWCIjIuYEGH50CWMk3tsEGp3OfimGp9UlhefqweGnEaZHnTcq6VA5GTeq303GMHJugL5qs8P25LnebtMXPfUc3YHWf58CjgqrVE4NdtI++dUW6//Qxi4yU4/hP4V5f94VQgvRaUqv5OueEJUGa6aa60byBEU3FHMYiqZ/1HAGEtaae9ACFa5qZrzDFuvAW71GAxgM5OiqBOQKE63tsBApSvLcpeqPzsMoPw7QI9PeLF2y3qu2rBX96mTDzeHAHkn9DvMTlSm45G5ESF8w8Bbb7DKhTVNz82+mHupYUKnC/y+lWQO8jmkR7k3l/ITZ4E18YR31MqJgzky4PeC2iTVjZH/MysYswzl/4gptKZO+x3o0s0j4X8oFNdGGo2Zm/uL+TgfJBPxgHSc5uOWsTmy9viEf1jTOBvzKHIuZE7wUjgK+ZBIPxVrjMTZ+F4rU4UHk9kMbRjcQYDvx7KyJVtZWrjeVzvLT4RPjU0BNeCrc0igJkkdm6Hyt2CC4EOaDsLSW5tTG1dMdEOdfWNyAjKgifpcOVtUEIs01G9O56SB/RFHWiCMgIx0QaVE9w87yxMfkQqAwPAU2W6MG+0WFnikucr543zN5G5dcv0NHDEXSn3E8D7YNNlrMXjmzhVi6UShy2kfm4UH4rbmnOiG2ApzpP6GUsJcSbOwr2xJ8wTiAnISynvCqBvKK6SKfRYDhsrTYp0IDAgo7o8ZVnF+Gpn6L9/F3OiItGjxh7ofuOnb0fqynglldbqA4gJDAj0l41EMsBWvJOltHJ8VWdu75Gg5jRNwB4KzG8pJ8CJ7SdVbTNOSFnuQxTGAB8gBKgqG9MUVfBoBDBi4B0tpRUfV60fx7snEOJbjNKWd0c4spNalDnKuboaa26Aj2JDyQ91AsInYMPE1kqhr4ir7jho1YbxZwf7icW6/DaVKubPBQoF+kFF+98+dinr7+qeB8BDS/qyYafBrrOxBYrM4MxgQNCW5utdviYaQPMdkr/Qs5m+nTv7053KKjHKAiQYCyr7P1OsuR9gaVZEY2UX8L8vnIKafVpNiLGhVISjSGQSw263+omyY79c4uIEgoOxsQ43QiF4XUDz7LPwIAWRiTgs8Ve6ejZzJFh/pKk80MNz2MKDEuRBGt79V0aFgKBrgrhMXllqrGVxbiBY5JGsnKzhcK0kCuz21kbJlqaYJrW17XPHwjrApfM3LPxSKMh7p0qnR1QFlbn5lQc3N4+NAWA6cSoLTUNVWLmou6ASNK77WnxbcUO2cyZ6XzSIXCukCETqrZ7jA67UEhF6ICqFheoKnwEOfXsJbcoF3moSNUXJoscUzAFCMaUapZWBdgK6aMd/bGjn8D5jIWMBK5UG/p2qgEjko/3HhswP8Nkczjewtv0Wl/hTS6i627wtGyb8Y9wvgr/lWLxbnq/JZ0uXLTsuBLuG2FAtFVgLChFCqOzCjlST1iJz135lvVxXddUhnL05orLggxBD00JsqRYRFCyGQiQSJBgLIhV4bY7kF/OuPkN1AvrlLlh2s+f0dMGf437MmIM3BLgtvfMaLJfeE0+pqBAXqiUJgcNSvA3w0URfCRSvpCAs4lQs8BSiH9wd+UoAyWaNBBuMAJc+tOzDIYlQCq9v+0aolk2NhBiMKMxYfBNv/FlNgk4lw9GnT+IFJYcgDogkV5XE6WMatCFQ1HBB7FRhg1EbsUXs4YizatJq7LCTROwRGwk7q6at0TniVOtomn+0Yh8EAUqlxo2Jl2C3pgMTvZ5go9NCJNgiloZWIslqJWwFbrNhcN20ptKrOkwdgs4aAuW+ScUTWR3B+gaffcQbaHJbP1rjWD+jLkgGK8Z6fSEFWl2PhNsks+HUXSKrJX1VbYHz5xLSTx7ArYZc7NfzpFZGJP1TF8mJrZU+MKb1WZOHM3i1oC7X/YOyXP2/IYw0Eq6XGxvOXSfpal7CmvMPsOFi4kHj4xeJnkgmqU4F9MODConITiUlSk9X0kUJWvG5CubNd199gDVPJnANZKeSuMpuRvjg7VpbnqALGD19cYChBJZRe19veN3bBm+DN6HZU4MqafY0u9ghC7wx5PMQp71bdLaRTi9osdPe010y4vPi8OEBxulak57vMs4pF0zzzFxOVUs+PDcKysR5dx/xkj73+dYFWj/57D5pbbBkBWSj6mpV0rlqldt0AtKITz/30mOgrS0QmYyQZlONheCOzEdPoWY796fWXOamHjhXrUnGHJDaOiLRIn1rQKY/UYcllayruArzClMzwQ16SXP+olThL7BGlyUGfeED4Jy92NxvOntxop+6qPYaYTMdcF8jROGqV/qvrnxL84FZZ44enRZwzbxUJRxhZZs7dWHJrKMU7P/0nH1InwB7AMiSd0oAia1+aa5cejA8MLYsOwo9rgZKQBfT9F+KVwOqGICMzjEmswuTM14n4Ba7LRbc1s6TGuGSmcdeTNq9WdzSelffund9o3lj9H5r471W7519cOef+v0Kp8rR5loaJyp8uypuzv0UHkbPRyHKBfqYt7tiffMT4+INCWbbrP17YLCZaimmH7PWWT0vD4+Ptm1ZiQBs82iohXbP9PTA7uY4xztdnZRr4FTQ3eSNfjJeXdkGGiciK/Qcf7KNY8PNgt7aWpJMgM6NdGsILD1Mly//pK4TbKjb8GyaTj/nfQ60ue3ywSHF0qBz++oAuRUKPvHrj3Y0x2LbRA0iIg8pt5Ge2nnBJPlewTnnu0upHbvdQJ72kijtpmHsNYT6PdrXVBFiEbcXV/LsjA3l1WovF1qGDLyWvxeNmXlUqwQqjdHsNa80z7W+/OC3c01zzpVOr9PolLeekp2QN8kDhsMWT/1K+xEA2/0WT6uXZunuw0Bxttnpibbutk+QalGj3JiIJdbUrJSn/kHof237tZ2wF5iV9g23ZYU7vKLnnh0/OK5VdqSx0cY3ufToKqwkbV0bKSuxFR6Ab8ovMMr83xUfjWdhSeU60fQQFAbGs2818lxrG4fi3YbWuEFp7HAUvsatJ8bZUdv0VS9bisb0Vl4t59nsTppNg20cdRAeD+S1l/JqGckjHMeSEpRDbB6Py8mjAE43YtlWU7YRuA3NRs70SrMi6lS6cIUXVbRaGpNQOJUORdSo1DUpbtQQWZTokQUlQVrRKIsihpUyJtA3gRVREgeKCtCfFTex3EbQBIxd6MzpIH0ynBscKlp8uqnpNN4p4P7RRThQ1+NryFNjyJg3AcQ/mL3YH+l6nqoxvWlFrKbKxg+5WMld7jTPj8Z4FkBfI2irt4OotSv6wvVV2K63PN20r7z7Ceu4y5LPOolasffbQvrUojhlDH1hpV4m/fXH3szZtd4SckleBmxZldnaZNWg8VLUUeUoLYtryrAmDKi2b9RtnF7F2NYxZTYGM6ZN1nSrtxzrttu68ahC5V8AyeXyNVWkltPkRq4NYLU/lVZVkeEhGKVChgyqH/GYKumL+Cbhb0VJX9RCBoBT5etKsIgit+5jmi6VOpgnkRy6gPZCF9H46Nvjvlrl11Cfrp5IWPbonv/q5amC8OoDlSXRlefLRm8XOqpPKTySzZb3Ua38h4pS5CMOUaIBIE18Vbi9+KJs5faWYfJ9uJ6+jLjUtWdr8GLhL4pO7RNb8adessRThE3OPMice2u78gn1RlMTvo8ImfzpMswQQ58ot8UQoHgBMVQYEMPhFY0sytoQhHYgiHWfLRMClwXb+prKx8qD3EEjicWipn8Plo8BdkpArqFxnwfSzyVQeuqImJRIk8NxvUxw4ZAXjWZG7OO+M/RGzaUjmSS67qIpTrmW7WldYUQpXnRWFEbdayg3KFqVtWaE1sa5hJu0tkr4h04phVvsESA7WFOctLd8joyp05xMf89+YHa54WHu122SiL0LQUl1csIQMxizOhfcDAGuAnoN3ebpTs7rh3w+kgyJx8TNAWiTwR443AG/RUHsgw3iUfEhj3sDuXfeO1C9x7Nh8Sj8mt3pol+Anpu3niDL4VgXRMVwEpAQVl0Bj8HJN8H13Oh+N0uSUeglaBPdtBWsOVz/xQOz+R+PGh8tPGT+H3iXTZa3XL2isECdV3hMt79lIMzsbB+I+1ybN8hiuyVeROsL/Pr1YwMeT13d1s1sRLJttyT6+pk3BnY+HY4BVbSD4+PNTc0OeISDaTfG/WxD86DxtnrIP8PZKaP78HEzx3miXu7Oc0WfnuHA6Y/au4mu/CGaZV597cWNpkRaPCZ1LbNUaHNfadFbDLMjfPSQz4fOrHxtBu3x1fPN7N21+vErzXL+H9GlmRkWK0ke0B/3XhTgs04JpCgMBi2XDShNcw5bpUe7+jZcYbgb+Z1K66JfDUgmKx913PI0rdWex4Hh9+5KlpThVoRyZ7ke8NuGI7SlvK03p+FlzIhYWRb2vlTcXmYi4m0tEHlxD20R6SiqH4wR1QjQLWxu6+S8bvSOsOOe+15nZVWvK8d99yDsa4ZiFFXlPARCbncgkDobCtF01zPV1bW1wKRp3HUJMc75uStvrXfA2hy9N7Wso+fmisJU4mzXRvWNzzd+jgYKSWic9UNIirOhKp9KTMd0Ur+s7c4Rb/m1ZwUOUV3IttZkaLhtrzaqRO0PWWKDRnFm3iP3TNlmWdSKXvWxAH5BG6oToemklqbFpYzD9X+1KmpF3fF6x4ums9bLpnfJRowc7dgzWv5LqraCeloCb1oHB1AnVN3D6f3cXIjw7IV2Fu7Rb1+6W/VsSGCRZPGSWVr//gL1PSQtCzDoRZvTTCaW7RO0MckOlFudt0dWJcrPWayV6vzR1/p10MiK95lHBhdQRJcfCChKlxgdOghVwzuDT4SZNmcqquOcxjhb4XvKxs/uP0i6eT8dhkO5H9HlByBK4xtk4JCWICnRUEU1rqP7LCL0FBRRQ9hLM4FKP6BLnpZMWzzIwffW9h6jIbAz+v7DS/+OjY6BBTCo2i+Yg0B/1/6HPzzcD5AAHcsscP2ZucZmeCi5iYmyNgLplDTvn6caQ6VFhUGuML6neDuzepVm3CZGO8cyWAtQvVAVxmFSaPch6/IgjgAKO4py5aUmgCgWgISzd0dJkexEO9IE3eZaBVwEaoAGX9AcXy+qIhSe1T4UFcl+V7mSfkKQACce0teKRlWvE+tbIdMZQJ23MjgFIfEzDm1f6N5SvIzUzhYbyx883RSyD3+apJLkkMo1uB7EoBE4kJzCbKTvqoo3GyCuVE5ETbVrmgdUKpdPWlJpX7e98bxNQHcPVK8fuvXHrNoueha0dwxCuqkd4o2tPUMy6FSi25kN4O5WBjKrWNRDhnZnOFb9FL2J9nQr8Pw2+tK7OT3CLJNnVeQ44RFQgngt6ukyfZb6dmmJbbTz3tCEy47QitkD5SvGPCJAvfCdA34Q7E+6XOxo1Z2Drf/cePKKxajzXMkJuf1Ov9G9JnjkF4aW+MHPyOh1r+qzGiCqctjavG1tNtmb+JvNFfQ8L3oH7N3zM1rfWIl5BW2CQMO4vQtFjGsPURP7j2GERR2AGP3tJOmc75HpSoL/w3e7D7P7e+aO7Ad2Q++lj6CPGg1HPr4kuNRuTuSTCpId5KQYVEm6vp+DZmF4Td0SUJXMJvM05K+G2TwB0/61yKPEirpps+984g0V4tPtfBKEvwW7d4/Jtc81Gk2mjvY5m38RiySSUlAKESQ8oHsfFomnlYvF7PIKp0mdkt66kdrJLIEzB4mCiu3Nq4CMhjeROxe5IU/IkjGRrFxcvu56I22xern34U3w5v0oul1gcxJpxLvMIHDeuzcuKK6pEzjhSFj0jHTDoSXr8nNi1iTG8DwMWkeN26Z5JjgoSnBo/7wO2cyGKPJju7kEHISbH7EsEId/On40FseUxkosGVXF1N9eyTd1xICqdSS8o57eB3oFmzc3BAQvQwuG6qFl2rm5ssTkgtBW31fH/rfuRZErXLF16QlndkGpVOgUjDU2rK95WnAQqvf4GoZe3z0aR0t/YiAWOvsgUlJ8Lav6zSud0PToT+PMMV43MfYT6rv9x/ln63PgOrCcxmZNHdcIEKAn7XKPUGajrMzhI/PpQqH7xWjuTAJZvK8tx1m8OVUYfVqbxG1tHksIvzh/BY3+ofVT+G1yL/xSDXf363DzuvcSuFYplOX+gNNmJmjJcLA6JXEQRBJFk6IolnXHPEM7Ba+lsNJRLov5QNYP+fFuOI/6OjbVoSPDE6SKPV3lidmuEIRDo7n6tH89FIAkniZ6+JPiUQxylHOYe6Nk4Py6oz6fycdGQ56L5nSm6l5nKBtaPMI96MsLeP46b2Hu42o0NtYTDAD7qPkXI7StdU9Fei6JLUmwt0iu/saNd9vgzgrE3h/Yr3gFNvRsi/Ot3vYcaQjzlaNGBtVrUYxhVB1Lfy/FRmNMNlIHRVFhDbA3mguv7T8ojlDl6bF7oP2s1xsOf1DK2dBdgb6uyJuek6062hPvDB7znfvCGLz91vAZZ7fxZi7c+vYBCuMaEj2at5uYy3CitLXf0By9hyrjnVbyBfINp7st8q+/Bv7VeOuOLbQKaKbsel6iK7zOS5U8yhV8x4qUR9646eRZo0PdozmN9+SC33HEoTNsw+9Yl/PKBxNWbw/eVt3G19uu+/4W5f/bXaB76/Fjj599u+7tD95Sybd+0vZm4M1jn2x1qOo+bo6AJIrcROq/zvl6aFruxK/arlJy2yumAbtx4BVAp5sj+gHbQE19uUh201dvmJolSVfgmynLdg3Ygbovm5h5+ya0W/aaBjp1TXVxR0b7Enk2LJQNgUCj9c466yO2pOw04I02lL46/Z4bmTg5vafNnTp50T3MejkOvFxHVKPNO3UrwN3GcN+bhZvBrvLmgtoC17eD5z9jCzcurwXby9sKN39UHm68K+v4Bl5TVBtzPG0hzY7GhmLBsr4da9fRxRu+WeUHK0+GTxwo3Ny2rnl5rbZ25PnzfzujoZ8HIrjuicLNJ/Y/0fi9//AnxTX6DSBGtCPkGodfuOp36DcUbXgw5s8AM0Y1p4r+sxhYCQaiBKGeW5BDULmZpDDKpyElmoBP8fPeJMoanZSISX/5d6ympbsN1Mcxiai/w3C2UHD5MEWur9wB7PFvLrLJTBzoGJffb+dQmdtfWR+gWZaTW8wO4DrbZMOwDqlEfmL3LVVaAbAmv13cJJ6mtl3/Z2/GPT+u/vyPfvDd30Wm//x8jfl1+NXxxkkX+48FzgJ1fYFKdo0MpQPw5ArfGuqe1X9+769xSdygpo/8d+6Cek+B0eBPasJBWHbtgj23Y+uaesNHkBZgvgFDEGvdz6po9YWDjU0d3aE3JGH0iVBOzDB16jMNRamUWOPHa/9b7nkYT0Clsq1h0HGhighJS+qAyAJx7CQLIm/VJrICNELMIRYPpZOFAiJvbnFarqIL9v3XWKUL1Gz4KFhtS3X8RJnyg+s0f/sBNuOkx1v2Y1KdVJGGbfCvoSh+IJATUUVLEfcYFH00nt7dA/k9TY1AdVvo81FU285auoPKo6/s5jkndeU3GlP4uerq3eCpjbRKo17bidqJHhSI5qEoUU/66ksexK2vwGWPNQdETlFhM6sgH5pcgIKYVKDfL4tjleTKJHoU1Hy42ZbNpJ07SZzwQFWQhsPK3k8hpxyz42S+roPBa56joARCanmggnxegtuAJGL3B6EuzE4YO2iLauOP2OjNnvfhZsm56/Ae6AYPKM5rGO+Cq6sXzjP3qMzVKo1vair4saLRvTPHr8N8kuEm9GLHvQ07FC/jLtLfRC13q1wUSdJ7Siidbe432v0HlvlEmImuJI/KVGHiOU2ZLcPgRm0m8cxvSVNFfC8UA1p37GYFNq216SyoecGt3sVI3lF8Q+3wiGS/gF6F/k2x/q8F7236rzGfpODppXtVJ1sb9QW5HtSjCtqt+By0GXKLaOyQ5s9+KKWKqp5pWTyFUGayRQSoQTis8xTWuo2QLqYIMSzfW3yW9uBenDpAbWh0xqiuNoHSA/EWKdnFjhqt0mSmGYg8Xb/pnkVwJhi/TZofyQhFyKuvv5V2YG+jtJcqsYkgJbGt7I6862ppd/bBa8/TupQST/8Qf5mWGMtilWvV+4IBk4dls6iQ+1Pej6uawxrSgzlAMsWLdJfvbz42iksyaOVYvV2k1guhW9D6kiEJrdN6qwUPkxyIGELNaFxaKNuT/5TcPWQaNaz7YPYipeEEOErdhm2V+b/aL/jND4aYB9Ybxn79a0u0tWpAKxUkAT2NMD5VrMz9ltDbrvDm+wCp10OBKdc6s8+yzHrFsxArC8kaz4/FQMX3C6o/8T9ZfbLxwrGZYO9nsR172mpsv9vW8+E2wetyJ/q79R3tBw7U4JPfLdkomFfx68p52XWTe1Z9O2T3rTUeXRLfLGmQ7t4mUL4o3wN0UbVUTXzjMLY6pHDAco6zJIciUqv0apFYOT43ZY9MjkjF3HXIAbprobTzO4LVNMMaVw2z8LrzpesQjkf0fBjIgkjjtu08ImeleSM8YnPyrBlhOSM+sy2oOorEaaXj9mCe2g0t4YC1YTxr5FAzwnPyFRZElBxDDsOe6WAzy9kAiXIlk4I1p67o7tDdRSAphZuod6Q0/3oEK6+zcMQZK5ayPGE1820rzV2sMepXC/WlPdLHhROX5eTnkJ5p29d6RO+1eT0Wby/ha1ruNhpahkoBjLKrc7IIm5rLXl9lloL8CbORRZ3Va1mrmevEHVarSPuFil9rsWavt257w4C5YrM9qmje1Ws5xMyOlMcbtXqlOotkr2LeyPCSVv6DITPHzQn+7T9Ro3hX8y6xkeWSAuEa1rzykdXGf9ihtvKxGM+vUPMIysP9Wv4C+Q5Kq5RIZJIeKb4yi66Diq2U0211D3LZHMLsIdQ/E6vtqHw6vm9BgT2/Qm3ip/GNaiMfTNjzy9VF/GD3gHJ5U9VTwTx7YZ5azh/ny9QyfiSvTd32WNWh7gD1pExXV2N/kWxsH34IHt1GyDIIsPpr+UcrOaypP9Sgm8MS/eyB7t2Pgnuj3tmzCAJEfaqcIz/QMH6qmsM/4x6SuQcGdQd4WrUWwB5UN4ubxL18iprCl/Cp6rBVg7punkAt2K6SqCVAXy51X4f6ncgdrpXP+p7WN2/J3umV57r8ftn9OjqlnMA+e48OpK3lXMZV/zqnJqyn+RLmugnY/7P9SXvzxoztblVPm590F8j51KpQK/iBs0YbTPzVfrq9aQg55urMn6zm8Z0XZC33fLpodQZFTdukUmcZgcDxe8XiEg2AN+40W022raC7hBIdKxDKcm2g631znA72c0RsfptFhRXGCqOJTc7eVGyzlAixe/SsUWfWgF3Hi4tMhtMclWSExmDQwPzABAloUBvHt7KT8mF5meqbPDj0YGg+4NqPYJ8qIDT2KDYsNj82NhSH7vbM8QQp2QauoWvadyHAjcUQqnbCDFvSaJlF3Ekcjg1VP+GZ69l9QZW6Jw13xbkV1vvGMsBgs4pm2IYNy6ZjLEI1TX75HgUy7E67+DhiAkQDDpMRDYfGoNys/OzfPdaD7/58OZZY8Ejy+aAF2Fc5gFmhWZc9ykGdIrk+VJ6fHaXOeuTTNcBhF0daT7Vbw9UWDYIQFQddtTD/AS79O0YszM+e8CjPOVp5UpeR7Ju/0JpGA6YDNdsTPH7HIsIz6z2Kmz1kQQFzlF5aWYODFwpygzWfDOfQsegwAPk7GCAIxCK6PQWeKRf9uFgM3S/BPJl59aRaUNaf8/VGwPwKL3qme3Z0OCY5RH2FCMbTZfQew/rEmVBsf0La7HcrQTrEi55RuxtzFNuo7JhNVTGiIch2C7q1OWkueLDjkGRu7TFuRkkz/md1RAs4M+t2Y45gG1QdUByXnJZmWgzW7yraaA/mGGE+dYuBxQOSLK45Fr3bsC6pjG66xalwDHrGofaJh0MPaAzEbzesi5vZHssLJJnEqCB+GpQ3s247ZgjbIOuAkvO3REYK5g6erT1UKDlk3i60M63Drh/4qWuOHlY28HLppgtF0jaVLpoaqmWLSTnqP/+yW5EfeRR2FCdUTdVFq1qlEokU2JPTsMIscZkzXYAo+k8bcYETlerMFmcLbV32BiXHhHFVVVoPba2hkCwwgjWOYE04msYCZoQ8U2qASDdPqVDoKTIdDpnsGkLGF1HkWlxGQlQ4Aw3c2blZ4mypLEGbtEi6aPKoSMiUZopB6wJTpaniS8lXQ4WprGjxHzyWkLUNuPuY2/kcAffQbrdtQMLisedOF3D5nO1uwLXPZwWjZAnZUtReLDRWFFVMKLm6bUDMEnBc1XdqQaOK9flZGgcbt2Vo0cBMNkFNN5DP/WOPPv8H0dAIhaR1kSkFzdBPLIFrW9y04MhW3yxJ30nlE3GUU1PNXN2YkXXuB4r7X+7kwbsvlW7lD83fbzvc6gkGfHx+vzN4y/D85hlsgjOdbdDwAOGLOJl7OPRRKi/VihWJSVAlJIrOF9p2LqijXDqD9PUOcG6xZBRSKRzWrPZMbimeis8wpXGncnPoUsZMSrYgdypGEKEXqieyEq/mZZ35joHE51FwKIKUm2pTayIC6AhN+wS5FBk9h5vbpzbBFaDK4rbN1JKZZMblVVmgxOpySnJhrwtL5VSEDeyuhF0D2CWlytXOBVjATavVsgx7fJwBk83IgLFLUoaVqdOWk7EZSQIm7kJEsxqpNUwZ8CD0kJR5iK1MlDBt25MaG7fQga9eq86B3IO2Xk6etyW3G5Kc4BEf2EDDwK2W6STH+v0pfT3hO7AgNHPQiB71Dc894/T72ZwMlLuCgBue4gjSE78/1xxl7tUHbGrAWM/9XhDKhg1LURfRiBpdWHqqDQiLVUaXDPjyg0S52qaTfZcNO0z3uej7IAe76hXjMoAVrwNWLmEXI7gAfp+LlgEIIFPR2e3hMA4Gqx3hcLh9uIU5jhvSgCXD3rg4jAxoeJGRp/14k4D47MCuG7jhT8W8T4eboIvoVdusOZ3U96AenUna9C36cl5Pfz0nWSVe1YpadTTuwpKhvysqBQOW9JjnV/ESCDSP+qs61W+Q/MJzh9buLiRW6exCXYfDQiHVKbOAWq1qbkZd3dZDCfyQj3dK8c86rbJ55wlpBEjFyxzJ7IlqQSU7DjytD1N0rVSLDC+TwN9NccJ7WhWSWqSus6fbvqFYcvQCz77c7E/zjtuMciWTmt8Rmpp+VK9YX38fu6S2XChhVxtQzOIY/RV9vsCxRXq49J1e+ByopZAj/FzoAegyfMTw/A9cIbDF0PyBzMIK0ALvu3UDzd+zWQfpzYz1iuKW2BOsrq9+/c/SbY/HOzanCkKimpwcUxGNeT0ejvZqYGOoB/m5Ve+h/f2MCbZn0HgdFkSWDMhA1dofQ2N4m65IfynAeoYSGI9gCAy3Wuo+lToABlejmGCgYzRpNWUSb6VKHOmJj6PRxjqik3PZt42oElfrn/hoEhhtZEXdb4R0MCKIRDCQ26xQjJbVdfT2dvSER4iEw58QcnVw82AlmgwCS5GlZPRg5SawsxQ5uPqzchBdT2dwlVCtHASBOsrr2PxhEAlCVeRS5OrApsFKQOEEs9lwlNoHVssOxDwwR1NyZANtuJvYM+bLFDBLXQR5M9i1ORlg110LzE6xY/pjOU8JPSiX+XIgl6r1peq3mukqtgGbUQNtfqWSTW4P24St6XKDHFaaWWylPLMgby2N20eXIvtuznvdKTmwwRJ17MMNvGjW+YbQuD31Jbofe5HbPnw8TVuc2/aUAeQst1hhLGZjpw9Tf9RtaMqHs6zNHOl9/MVMNKc28qkVi9PiGAXlkZojet+/bi7RlRTTBotDrlF28Dk6TPqH6HMmH5jibbGUwz4cGNwC/yJhH5zcfPV7V169/OrfhN56RKlI/vKM4unQdWBpnoYcXQKujVY8e/2tWr7UmZHTezx6/fpzReOLH/vbF4CtEZFtj1QJhkWq5Aw327EMq/lSQGvs7kahcBjH41NTiQSOREIgrwqHQ4h060gEJxJTk2NxkG/iNidzL0JvdNeHoOkNozgVj2N2q34WH7GB7pstBmSYwX208Xwl9igDdeE000q2TZ8etS8M39ctbJF+Rthg+NenpVqaCnw/sAX7mm94FWe7BqsuAEtL2LXXjbrb7YIXeQNzb9swwawuf8vlT2MXMFvigb2o14UlXxSFUKPtAbsYazQQ03DcDn6ISzsFYD35spE9s+geYpl8EAVLnaQF5ivr1jctKCE5JuhORzc1rzlYkobvH94fvl01RTruL97vAHakqiSVMPIoVclMgvooF9Ddqoa3mP/rmCSTmY7/A9YlVKkqZfKZIfI9LsjXi5VwB2Fb72FviVlsXcxCAe03eWqvYYv1VYctDkLPvtVNKR9oS1jZ116zCBeGq1EDU+/K+SWamtij6KLCdnD5bqNKr1ZXLBbXrHbXr2kTWPLUw/z8hVDZ9LY6oYwvB/0KtB1rTpAm5IuSyjMXDk9ncnNZlRUsDimXDSKSCaYlT/7FkWJ1YC/U7DZOLiGOkR29nmAg1p6XtZi8Kjj5DXkqUBUbZm59CEPqYzH6g79nby9ZT7EA362j/6j1Jzkcu+Xk383//uDrmwUCuwJQ8w9CbwdPYlxf12lqpjNf1EvHVa0BQlIDWJXzNxv1d67s5BMyaP0vCO5v4v9omFe14YYbqO5aXlrsKBo47DhcJM6+B+UdcAwF8J6IswpBOhhwFJUW90KsZenSkrAaYk1fmQs2TeQMKxYK+ILoYkNzixqEXX0T9WYhTNM8f5vWen1YStww7HmljqiduD/6kn0DtfHK7aLo8j8LEFr5NFAi2MADzbUCoUBQdg56mHbPScMb4puk5hZNGHCY261+uJaoafoFcf1XAEMmpsDQeF4VEL/nxZFCW5INWPaY7L/ZTUfAuYKoTGQ6K1235wvenfBrEpjKcfxpRhawDLq3gTbW0Jr7VRR5tIzSdXLfI3eICss4kzpLsm+u3E7rICNlAlyVjHywEOV1JFsjhJaHiIxZCovsjF5eO7wlw+eblDNh8aMeGcG19PAszycxO2y8BFbh2lPfGVg/VReCsGgShB7nNBkN5wae4QwfNeAOUgAn7rgCfNPFh3cUnPOMfFq+xM7w1dwZ+0PI1tO4fFyEGIS+IG+pXNWPdl5jrZbRaOj8m4jejT96cG09re2ug2kuDLrVfELZ8G8mv9YU4zI56OHyaELGJ4mZf5PRI/LpktKwVJ/kPYqmiuadIHfxS3Lab2PEQl6DsqE6ZmyGLPi+saWVcl9bgJyUY4gWSTx8seluxSkN6oZKtKtz4VMtoGWG+E4Ol+Z3I31bRahUpWmoAHnFS/rPZ2Q61tfbCQJx9S8AS7XeVg7sjgVyV/PDZ8PD40giKcAe9G9JdPXa+Gbz3jeVjRWRYywyKzk2GUNCY5SiLBBaeS5pbQn2FqYVYfhdlWtN+iv9LqmYV2BMFoMPlReIFwD6hurkBeJg6/ITP/zwO/FK79fgWkt+/6h0YJmw5ET+wnl4qi5P3ZSTcrneGVs8t6Ji5kRsl15t3aniYn1xbHHbtIpZ74HWC1uMRMMpQ7KgTQtA+2GiN5CagsMuu+YXlhY7SSXO1aT/kONQDV/AE91ymC+cfgiskWXOquNz+eIbKD6vNnEzzgcOfjnc89NnJQk89AFbNHlHj4kzKFT/fPOpeIGHLmCrJlefBUKOIXe9/lU4x68IN43h2hLJ0PwGNL7x4nG6XIrlSK47TT5AelzOODrw6VpcCzilUgHr5WrrMRkkudK1v8lmF6cTZpuTPOf2qlVL1Wa5Vn9UMin58PUmJHjM7lAiSuZLsDK15NpujS0tprd+XfKhdBL0bd9OHKuQmIZEHS3aLyKL7m2TI3joCzDz203VuuiWBfOq57u/XOC2TWcXuAFy+BXY+nUbgk+udw83Ctw5MP16zqe1iE53vSvXL9jgz7fVcL992ytKzE8v2/mv65f/56e/XfyLs0C7fBOQ+CFHGZOGzvH9E1OxaHbJ4gb/6NdiQq4CSWszfFpVXYaqH80K8u7MZNSEVCFIltnfOe7MqSWoZg46pyMjq6/KeC2hzqApQlCe502NEXgT9P4BxijlURNRoD35zpHDLtXpvBfeJ+lbJ0yLKWuSOaT65WAjiHPw/aEdsvtrpY2SP67T22Q/FgrvHKq0YVg9kMREPo8F/uDAQUb5iJdXhqYDkvjBpPajWauqI6OWStVjemIyzFmhoAdNG1wJsxzM82cykhTWLJDym5sItUhS4f83sM8+NNxu9hhEJ1tv1wQgC3RAtp4VdiCEvAAk67MSVrSoWOdtfvLxdWVyaZF5jeyAZFz2bZmvWHoJPFn8OMxlGuR06O2x+bTQfSt6r8JoxVaH4D4ZGV2yFJdKRqF5kpeh4ytuSUdAMOlTLHhc+OqcQ+AH/vA9z/ofhK74PM0iFCe0udc7JLVO25igxlgnmoIimmhUg9kk56THBTXv6Wo1lEOKJ5VGrczXoag9kx4VwwkRYwvIFAEgC9G0JhhWiBZHIUl/GJUrnPDQffCc3cNmIdWhwu9pAv+6jofIOVpV/c+djITzCtU+mcpDkDzLweuhKjhkFWeThLXsPgM8bPV7iSy8mIG0s/MEer2QS5IjgwqSlSsmdR2zJMkniYvxuPpjeVELpbTtJX36QMT67Mw5hbUagu6rNq5eeatbcq5JqDZBpneDT4P15OHaLVmeIlV+8E4Mp3bejNb7F6wvBpqdPyqW1zdc2lDRsOUSuWHRVzi15YuoenK8YUYD3mlf7tzFdmyLuKZIttY8o58lwY9vabhE+UFRUMNnnanQO54AC6+uvslbJIjEwi/qsYSDwJIX8AYlr1x6Q8IjvAQ4Fd/HlPzNw/f3PYGGfMXMoual/Exu7gy/VMlLc46gCs/DMP/INWdTaZ/qFdcsM8iMhUcOyH4HfK0PDitmgPfQ9wJyZLiSyKGbIJeZMQUw+HclsLIOnxqzX7y9wYP63fjkQHF5xGDzE9XXHwnWdN8fLbxkjYRvyJzmRn2iNIu6bMXHPvfa1csU17hAsQZXF00D5SHX5pIxJLQSPXdBlKRjHxhlJGFxAhOCochFc7v2rJeT0BQMYDKRMkkZKgb6rfbqdEOaBDis0ASn96Iw/Dm7tZ9/ZCy8AVRxyPuRYTKVfnGxV1Z7NrxMiXrqc4f8Iigav2Bdfc4p2LW3Ehr2wKak7oQtz8IBBxTu2bJEThAWqDpXW30HqCJKCncaJjEFrdmxCLohCS4OlyASj2oXNKP/o2S7qAVFM4zzX74BKB/8XUVwMQ2poKxNCSZ5nEIx3c9jCiNGUAZX8ffnC3Szu17+cLfzcEp4Lxf6E5KTP0udpRWlNYc+GR0R9ygMqr/QZ0xpR5sD0LB7pfAENfCq/1Qkog5pugKepO2kg2Q+tzoSytWy+bcQDSoCbzjOKvxuRzFAX5MhWCdxQk2DgaJA8fKSkPrQMduxur/ZaX7F8YoNgk+3X4NSMf1HvfSzkJ7Ex7j9jqMyd8m3Sh9zvMWddYzLSLcngGrm3rkydAhXm9c+CR8QAgPlUoyNQL5Izih81fBkbodkYDlnwYCiXnWsBVtnVmyQedyasLCQODdr/CR7SZ+mFaBc9b2a6Vrnbmi21deXFF5+gV1dl+7JXNUznhi726OPeLpizGSiFgXs7jrzjQEFrO/Q9Hg3FfbE9I2mnkuGHv9VnzdhS0fe0h3Jf4JP9RPDlO7cSbbo0yLFibUq/rRe4UpX/8yM76Eve8X5Qn2f1bB79UVP9K6X1lQBXTw/0BXu7dXpu54vHo1kFDNrv7ExGGt4Z5tEsXR1L6lkCD9q1py28MCrKOvzs0EdorN06xE9UKnCqxn6uAKguFEO5x2bih4d27vEcFfu7Bkt6+hdtKIUdfQA5npNMNceMR+gg62J68b9gPvVGyjSzvRKvO0rdCTbLQeiNNPW6mF4kr7kOPYth6P+SLMvwsY9Cc/Nw4wKCQ1qOzJwbfgIT09eWf1rpIq/NnNzqFLAChZdz4r8NpEYDT0mZsVyiT8rfkvICsSijhY3pYp/LhjDSlFWKM7OiTbbxEKWgsUHH1si2TzHSaGp2KufOmcYMZhUD+NXgSLj7sxbaVOtSrFQKlbytsnF4w/GxVpeu+z6CBD4O2d4uKqUFaug1nCRkCOfx+0jqAM9A1oP21BeujKcqoyt0J1Z5g5ZdZyWc8a0UrPe7VgHK2akcrVSa9fbpLZRqVQt7ajtYuloQ77UJC4XKwuGlUqxXLoigqAI5kkgS3U80q96Tyw/RBkWxKBZq08P7DKBnJHDkhNmNdCzYLkCJiimJlmTd4ApMqcw1ia3KUaPvoNr1bxI8TJ9phDuykjvSCnWafpMOpM0AC3jpRIAbX+3YKs6Wnb1eP+hKSQ5+S7bRRba1ev5W5+qUqC/fUfuDqT5767inAZxUbaw5VhBa1NxRq1xIFvNo6zccQ99Pox76DDTEZjZBuVCmJBrWW5ZSoxQFcu6kipxfSp3pxmhBjZc/ubjT/8nf9bTutn6RSP1bf9W93rdLZteh07nJ3Pr5llPjiK3/aNrWCRVJFKlviRUJZVH76urL2FL55TUwgK6p3bcRw/Hlh0QvD62I6ghkjBB3VdrTXzLtvvq7mutf3Q8FvnVq19p4DzgAzx7Y03UWscl2+5ru7oT8AX6B6PNQrRJMAsY68Hh8FuRdywCdqzjavAd9fXeYFC89qNrwR+JVzdBGK7v+B5ROrqDdjRkYeCuoJ75H7WZUXvTmzKlY+tkGlL7EQ8P/FAJ1MxuUpdC2tiMWMmFzTvH05WjaT6FzLmAGLTxBLjpsN2hK0YrS4PaaaQjqyMXCsiHWKunJRHbSUz6xffazObMdIaxIaUnbDeLtmZZZ8LobGY6PC2VsN3OFwYlXll1Li5vtqwzTnSM41U7iekAUGlyVBlcHSz+ZbLrgEO29fxGUNN74MqDxcHVCjkif6Go42+71T9UuhKVhzVy/6SrkvZwhXX8l+I1Nn7F/HiTCny+3UA7kdxPThhyRmGcb/jYxKAYFZQzaiFmVHE9WCmIhT3BjBTwUVRJ9pc+0l/ineq7z53VnZnA6NqJpmc6jMlneeXs5GuFX8y4RuxAHZHZijgiY2W67HVPZskc0PuEEQ6nG1SzfFi7rh7kTVkqRBg2opKyWFcdsu5G3nzb4ao9xAVbydusMVfs2yL3Jr6AdUDtrzqsvJle1LPrGhnWvK0CvB3m27yoGzvwBQ83Fft2zAhcQN498gccJhX/YeCtDB4pgFIIZyqBQ/9bBI8U5YFHxdHCPGSrJpAmwblUBXcr6WrKjmMlpyY++ah+2c48UI0sAXHf4g+palW29RFm+vuOFlKuJ20bLBmZ0J3BD7XxxRAVffBI5f6uu8H3g3o7KvoP/OPaVxfL0NmVB4+gok2j+w9U9LQ/CL4XtKeT5wHNVVzpk+hHuU12UVEdZfm1Wm0VPb23ImzKhhKZeTTFe54c/EIoeseIIyk4ySC0NFHUxErpPyhO1NaKzQv5/i/ItK+RtlL7Gm9hML7ZFlNQwMQyXjx5uyi8/f7lM1XxWTtMtRSbs1KrL50prnrFYidQbEm84hV7Zc2U7ltANlZMbELwzB5yB7TaLZIlgyYlssZmrMKZNHFjIwitJKc9jd3kPt6FGl8eS5KL6OrFj2oyouYHKn/XqkUyYf876SvBPC6TLekThthbk+JEIruDUrQU1D7a55dRVsrmGCUGoqmhSSRow/S3/1ENkCW7gOuWSruQE0ER621d57sx0KJlNDnV9Zz1auoO5NJpS1NcA2O58gLCBx20G3kh1waIHNpW2xsw3kaLvm59ujtyrqG1dhwKzHpfl7DGrXW++y6w5TWRoKsb4/acW1H5Sa29p0ABk7iLeYnU7paIN/wzUhSspMtTeOGF7/3U5cI6YaNuQydgloZ/ufq4RHd66QMWdtxxO9nsq1cvoqtO1HmbArx44hYaWhxCfQW+f+sERE6S7CmKNM11ECOfTQGbvLV8awv+fgiYJBUHMNuBUnQTQbhtsfwZ3K5skLj/hKsNkymC2+wh77WiKpdibGx8ZzB/qlsVTMpKAtZgs//a5oAKwSXn0gJnk9/1CYLXzWefZS9fbb6j8s+6aZfRZ+j6XMMZYFUd9qfej/DP4acapA6JqP4M8F515nqoJdRX7JNojx2Ofax6WfbjPp6rGX6qw0Q9pZZ23OFWJrFPE4uvo+tcikMFsLHFHJphb6PCnl0dmUyQvNHbowo0Hm+jT/8mnZbjztnZdCmdnjcml2Z/42PT881mljo2ERPZQBvDaHgDWJeLaGQBe16Aa5hUcD32g2vvdL5z7QewyrN4E93cCMgUtttiqiiZwnaITUFTZKN+o5VrqQ7Vbag1G9HSMlreyNN6gqk9tNcOzaegKvKsp79+oyVa0vjo65DeHnHXq3TGZEQDA0bnEJrq9k1q/JP30Qne0YI6dPY2VHfEj6RPIBXvaBfN8oXqWyziPTTuSYhH6jbQsiVwPy65Y4uYHkXtvEPjip/4HH3eblenkExM0+8PJfodTnmnARN9Iy9UzM42qyC0DgSYXV5637uBVp63tpmdFV5oNEgmn7MW6OmcF5z6SasgbNQTbOh0yv0OVZ/BtP8tY0dABfMpN551DVaDNu/Op2YGXfIiQK3johkXWkZRiiyZQvhmaRe1DeMwHpiku09vXMxKpoO/e5ubOyD8Bk8kBUuHH7mDlVGiIu7t55IurampQjRN8CP07RdifXVtTxcN57X1oBuouTSOxjlhDI01ByodgbOpvq1+fBftArNRvy7IndoMsvGZsPTQxbJwSEipJwgJsUXFWhfmu9YUi+/O3ERyw+W/pZ62yKkzP2x74nFo3k1pqHlJcIFO+zSzBzBmrwovlq54iSD0ZLmsZ2WjujULDJ1F2dfvPFVQtkcQtrF1L74IvmDiOKkBKTiwhCt5WBdlL7RMvDqz/L2Bt9VvjRd9+4pVff2KTe84MD7FYu5jQ9EqGc5IVrGQz/OxEo/FfHJG+djXH7pOGbvsdapwqZyQPuvjBV8mmMGb+BbeAxYflMvisvgHMd1qaTJtKWAmleAfJNvlMk2vlXS6C1iCnU6XQuNz6XQRCrUMjZZRZuYo5QsENc+EL3n1CKzZmLnGZk9ls9eMq6Jcd+YC0DOTsPLCUo8xE8R/k0m2F1hx52ijtWOF0CvBdr+/McEbPqCBXtgQrnnWwQMT22t+bCHs6NC5dgmtae12sFijWEt5OI1+f3sb3zoF8vRaj/Ai8YMHiCCIa9xa7yStadasPG5txLyV+XvShIneRLBpbd8oX7qamH2mj8dHay9+q2DMAux0cqNYt/TlXmX+I8klP5yraUftqRqYSwK7i4ayQzad9xSePIpGjUSJn/U9QIlEXYlVqbYyTetAd3DVwgUukJ4h6gGXQik2kOhYr6q7lnM0ma0cigh0MPObCtcTC51dBjo8V0GS3ND2sCaEJ7iuB8pehA8uZy2j9+bE5XJPjxwfTEU+eM5v2uMNVUmLP3VTSaBfr6+k1XGGXwHK7PJirxPc10HdZL7nF9eSTOnIDxn3WeuY7nWOY0yRfLjx31fIia9IzbB3lw/XrX22Ul3HfAdK9fP5iLAd3G2HVI2DVUy8iGxToheuUCl7TCOEoiJ8FElxCoRJMgQEZ/arL5FLGhgu7559hEH4HAmnOUO10Wt9eoTCCsGkkZOJfzPs/DaLoF51/wCFuIDGNE44klj+r9zD6n49auSCGnWQy3tj+QPIoR51/zj3z+/mDahF2S2wUgfq/j8YwJH/3JfPLjY4gWXOWWJa07rjxAV0b9FgSf1Nh+6883+TF2+obRrecxzZKYE0sYeysyYI0RJP4uAgJ5onkTGOde6C/eedLKmYI2Hkh+Q3ppur/dwCMrhkb55BlvSSnfI3T3e7hUiFdcZY2jKTr+FRHVDrbEAtIs4TgX8EH5UhhdKJ/BqG0ZgxPuKIG3URemSmuTrArTiv8iYfzdvdVR7Og9SByeZ1hzEOSNb5FXJOfzQtqAMle2k2ovNwsJ6WYZXQoForZnUBUZE72XNVcGBUrBXYoIx8ACdLmaqMZMnJO50CD9Mn7/7xnlAwDKy041H6/Twi2xomheeicpj8PojxOE+c88XJ7DVkdrJal3zANEAVOjhZugvhW5J1v1tldnm4/HrhiU9ePn55Y1X7xuhnA5915bXwxA9sx7bUkdWBVXv1JrUIWbvUT37vGvq37yxIY8ls9Tnz6L0DDTw7w1aMkCUfK3RKowsTndXlibKowtIbQiqo6H06zmoKamKNj3JYoxMsdjyF/pqnbNbE6L6gmZEJJqC9grGnLEB477a0iMMpguOpTU3UjpKKEPBgCB5edDsGHYTOPWACFXHcOTARnE2A2pm9mfHWJo1dYKA3G5SEr6G7B/TSw4Sbt28FbzqBX9LYff9LSbz9MQ6c65xrKDBa2732JR7b7GkqMRTMnWuwpr5if+LxW1tjO4rzFfmqas+cao+VPsZofajLV4Q/Lx4gNwnYvd0paM6VPXC2y61JUmW+arpHznQFKSn5VWVdg1SBuwHIfbuMvXtj+FBTvxdPf9fk7BZMbduV2CuT14kutY+N94hxjye7N0/1EsaL14lN5I/EqbdL69j5UukTF8bR39qjIWW71/FAypeMkVux/+5LTyOkTy5DSk35uj1ckAR3FP0U+19/WXRUxsQTSDa4lAWOrEYZP1bqendJUMnv+utLPFwgOKFWTLl/P/ZBIfmg3yCTCwI3fxcDJDD7Ndt2szF7Z4WPzkdd+DVQ99ipD7olb7yusgCUGN6EmzdQpPWTp63d6GDC2IETjbrL5MdOcr5AsXE9/F9SnhL0mO/F7T22N+4eMCgu6EkGEjM3l+k9cBH9BZI+2vCUzdYRdNGX7FAXxWaNRhtJ+qKSaB1Rz2SOGqPP06cKu/LFHR1dpR1zAI19e7s6Ojr37+3oCkOtKyVzPZbzQU4hx2N0o/C91dlMPNUxpWEcgr07zpcUSSChbFIGFUErNCxK7VbyeSLTkzpo3DTiPXnqmuvxyVa5iT0ljq4wt5MtAh7VIo+Po0ly4uzKo2lI5t79QJN4SWW8PR1F/qRtXTV/M4nD5/Raeu0YvzF2XKScjUdXiCRmFGDZ3aGVEZ1Uy2fBKFTcLM/ljTtiVVpqJNTXLUf+1LV1UbwwX/YrDxZcCSC/wc8ucYLEQLP+QxP+lRWl4+isFra99Qyf8+aeUCg0CAz1czoXUlgkVq4eSP5HP9gQo4qc5sHNUQZpoZtyAdFcFq6L0lL+UwWbpFb2eShmIO1ERgYpV8AVv3IqpAlR9i8vb0dmN/anYzGImLHa9nhxRWzc7y9C7FP/2uHgVfFZ7/341wpv9520FEz8XzAA3Z3v4dltjN0/6ZoK6X9c2YvD6zLtzSkC3pufIp6BKNA3dHcsIHPILDOgI2/C14EWtU5F3kRigxxc2TpuKretM5WZyuLzoKyTNTq7UtlQNlfCOjXLYM+e4hfqFwZN2pF1SvISvu6gSjRhJVnTgSU5+Io5bAgZrabGL7CSeFLSUDMrZtfpPr/jxeYbsYbBRdFzEwZFNf7oZjZSP/lgouMyYiG7b9LYleKYz5+/QBRAHgoY1kU0iSDO7s+5q9MZBjFwNk5AX4tpncuVykoU1t5vbflB26Y9JDQf3avuPUPbwsD0NiKsa/HVVW2mppCpGTEFhZ6QPLV3XPZhd7ff8i2OTSNhWRv7xTKLRbufKkXm0GBXZwQxKgXq0fnTirTb0By7o+/z8Fi2WLjiMoFj6upahGQiWWLe8rvqinYFMT+Tw9wQa4iZmHtZiSNyCkKMQebOdz7OrrRiEUEpQdg9hdCjeseyST11RPYze6FBmn3vZ3IuNj0O/Md4qM1HuoXqZw+PTef+0x+ekVDLQPrXi2l+Srh7FyUkJBiQJv6sfZJ9C2KyPzyWiVczJaIjK0icNEoaqXMRkoVgCgDOvYGoKjX4gsYUCoSGUlMSFshJPAm5eZAdc3L55qaBWAznRqxeudeth9JDOTaa1TxuXXdbKBPK5Ujop2apVODYKbBU1HokJLj1aGnp9iCbkLIt5TzT4r/bWWpPoqeytc/UpS0t3mITElS6vbT1CLLiAcHl0TbvYBhYRoBXcGMWKyCIKERDWWfOwamc9Oi43indKRxR7bRta04pjUuNJE5KrTg2S6jPnCfKIJnJ1Yqc2eO5aRfeIQXZtCymRlNjvbJD1diV5kDnl2xlmKhoMgbg0Zu8js4vtKQUz6mza0/OSjEOqfqR9U+OarS6E+UnMMLI8/7WHBWCa2w9+0Lccg7Jnq/LwXCYAn3WvkYqTcYgYBtXg/Kqcty9j61fZjhzuraKSWNQXPhs795/oWY4TpJpWPqICKV0NgakubMjGb8tSiVDyPbjTuvOJOpKq8vziRQSSQ2U09QMFbDlEtvCt1QBdbOUol1a/MZxPIUYShmyLKFZTjLLliTPTZzr9IgLLIcQYiENTcUo6+cwHXITzYpdOwzmOd0KTY7Unuj+2o2aQ0b9WbiGzM5GfH/UW8CwBw89s7iE2MpMCh7lT8r+TAYxlk+FmOoVMooAZ7JMrdG6XG7ECDLkziYVyQh3+kqeYU7NZp5ZlEqBUOzG/ltzRq/PLwAqI1tNMVPN0Mxc4iSfWV0bZpGsJDtKyoGEIEibEqtVx6bMyNabDp46gVTrwloPV8PUJ06l694K86zZDHeyN+rxNk6p1nZJ9FJhysvLZnsQvVCPB6tPg4zHD6+bOBhiv+PGWtQYJD33RbwynX/ntnbz1UiKQ3yH0pvpLby4KIel+mymqU4pqyRL0onDlFSbR7BZm0UCmZSAGBxKQlwfpjLl4s9fA63ADor2cG63LrXKNbM67wNj0T6lLRG2W1Q89RuCdUl86TXlwXnNMVZ4PKa3XS+K9bz+Oop9+8+q+gxKBpUL2NjidGJLZvq7f1i0PRsg8dNlvpZA1ftuce5u54THKK3ArCxkPDxF4Hj3s2IMSInO6fnfm2yTF0DDUwoXl+dDKTASERChZenyvRIXPpP1f/a0pRvOA1aBUmSqIpPB6UL4vIgR0sRDOSdLNBY2Erko54Vh48w5Dnbf6y2OTPrpmbvz1giNKMXOnsBqMGQ+LBsWH8lJgWgGzfZJf04AFPGLG3ye4x/S+gKhvTDTKpzf3lPRIUIZSWeWA3G3XvkzPUXodEcaw1TSF/BhM19SAjNd0t/tWwTwMxh4Sn9fRUEqOZVEkqTLEIq91V48jmjz/x8zq5jefpKhgJ4nL/ZsBLC3nZaUSq/x5EpSafm9+lObHNVoXp6cK39RA7lhRXLgyzvOJIJaV+XTdT8QdPN3JwJBfurT//LWydXduO3KQV/ipWyj+Y8HxWG1j5fWUeoaACpop+zYwTWxDQLC18cFYrIIyZbyrvyZA9b0KMRk7wiI/XFPfuP35Jz1iGrMj43LH4+IyWtg1OUBNrdlYiuGwxVZsvmkDFIOuV6Ra/MsF/7PG6SYRCUwTLqawtmrQNXar/cbjbtsOdPIwDLRfCCGVguOr1VEx5IwPI24OJCXBk4e2vz0mFarP1F2giKIvbiMHCNZWnG9N8ubul7A4r5Qm4thc/hG8sR6Cq0ujxjb15+wEJTflhvkffzvbCMRS0IDNXVsKpMiYEChlYsMBFGYn7/hQqza2TxF6Ddkl9ufk2lkGNVu1PnUiyTj5EBpIZFEJhuAquHdW4oDuCBhKx4LQteFiXU11gNwcgeeAWCcjqeOpAxal4hyrrJqlif2Jw06P6F5RPXn28bJxyOROSo9cLs9UKls7GI45CSZFPX5enNNNyBR5crsiep/XAFJQkS3lxHpADHz8ZMs2IWHSIRoXnh5ZnhYRtSe8VcKMzb8ppwkwlQt/CHBPBaMgV0HWGtkaKWzKd2IRZL5FGC6KZXEwERGxPGglFSy/cS30y+6ihr6yvNJVCpJW87SslTA5ktciyCnrlE3TaBDflQ0oo7ygAdRVmsfb1FQhUYq2kxlQGRAHYI1gVEVRmvdKaC6QI8zWAFzrjFTCxw8iLfgTDHuqmaO0usu5wmAXuaJSZx4WENeq8fxrt53uE8enQdYnbDjnrH4yzkuqreAnl8n9qCt30E0EQ2AsMtKRnPIRGVRjQIaAphVODPWVDef7xi5MKfwQXR26bBHoSniRxyWVxmYhntEtLqFpcGy8TROGmkGHpz2CpNCwqHh0gaWbCP8LKCLRFpDjAhQNMt3E0oBK3/0X5EmNXP5LNWWCdvOCPcbeXqMreWesJxw4f15kUVl0a7vM818mJPc3+d+/ECilKWsrM6mESgaoEGkQnOOixMVzUzsewVDhSWqx7r88jm50kaq/G5zS+5fR2GOVEHIaWqPE6EiIvPV1OaQXofANcxkMP/e66riMiSZBxgKFHj57ht4A9lkAYp2iil1fXZx6hA3WV0BjN4zVqDkWInbv9EepdgZ+HDskGTMP2cuyzIV3RM9cOPFJHTC4T2j52h4FErRKIO/ezxvudxYEb30x0sdKS0VE0ASS7IYNjT/mXmpiQeXuCMeP2kh2e/EKqjysVqzvnZGA/VnlzHZKhOmSwCJn6/MlHu5f7ysekWEqdxnTUDS3sVEWteCIQSJkY7tcwgZkWcIeW9fV+WjqGgSz9S0bdcNgpFszLVcndbUOWLBtco0PaICBFOKsbz+yW4a7dH9M9AuFQYpJ7dPaVG+zFBvTb1+KJaUoZr69QKD6Rg5kIN035FpRBiOHbYe2pGuR+gOH0frn26MAkkBSWB1x8StvW2svM7U3h1/sYSmVLE1nDQebKO/TXMFXYaDiEqYFTmp7nUZJmciJk+F6TMpxP4K91+/lhJNkml3rwzRISGmMJl0+wl9WuNtO30ak5uL4aI53UNkEUVcb8mUoQDtoXocgewTM7iHxB6+rHZsqa+ILxBUG2hkDIsDZ6jKFKpdp8gAbmc6T8S4NoN6UPwgWXD8TO5QD4VPFulZ1Cx79XBDmmXYnpaCthAyKD4+BIwUBch0hJxdQuzXvGVVLAGHD/T3MYVMUU5B1UiDlybfSXJihor/mcSQ4P+Q/ss6+zobocSc53mRE8zXUdV7rysh1YHK9xEcC73SVHm9/jpP88lvMbwmwl9obn8nmofl56iHovXRZRezSEW4jYWX/FBUegZbTApA0cK7FTmBu3ysGp+0bAmY/Uc8VWTzOeEl1+aHPPs0z/mitIbbDhXHR3uQ04+MDRImEfY55uj2pnkn9Sg2HwXIemTYEkKlLCJSYlaYnEdGyHx3eoMfBlfy4K0Bqt6QhDN3s0j12eftVtbGmCWeEZTOqEixzCOSlO67kyELg0CUVutud8qzb9uLU9yunn/lpfNPiNjxRkr9oo2N21PCHK95Kn5zFna0BjZmSRbbk+KyhOEimuzbj/UUV6J2H0t5tcZYiT19J+KH+ZgDyIQ5IMwubESRq5u+X1wnpwsMqXErhzYsPAdjMbbsDkvAFXX3cjsmvP3s/xxhbzdHtNcnK5euVFOtx7IZUrWKU7Tci8A+L8j6aNpsJ00S5+G4aB7QM50qoYvMdAbBVvtppXcWt9B4qDWDSfbtGNQ9HBRzs0btjalMXn4WP5MPDPbQJDShUcSg2K3VffzihcNRfCqycNwClYGSs+dBmRyKAZAL/7Z5MSy+MSDfOTABz2k1NNw/HgnLcN25q9BcMZELW7TAJup42dmFkNC2i6T2fy9FMktLtFYRCcOkpGFSqmpCQZGfHHuvFXVyixrWrHx0PoEzr/yXPZjrtWUzZ4LFGoWDx0LTkgWmBSGI6vaQVH8lNeB9K9TAeLdk3f3iWgV9Myxu9pjrtGaU2VmECEuItAbTy42nMpv0EBfb63Z72FJng0/1MWTQDCqlGlmOSoUGLHC0Z6VFxYw6kiaVeTGAOlvsnefF1GWgUq2lyHnYAE8OU4p6aNk0g99eYgcJZNMu8HrPTmL5kN+tPfbz8vxw5S3TITuCO1i1KJ7DvTgmqfaZdO7hGeDCAF2vv9yXNvwgrTEn3JIy5LAxukYWXnOOGyr58XYZBbUFsk0k3wXfDTNIfgvCTF1sfCq7pcN+xKQF+fbBvrSsDY2Jzr9a9geUJ/UdTu4rIuxNSnEZLSjQ3ktTE+bOO2jfKCwQnNpj1GQwywBW7Nbl7ewGcZtM0CZ+SfCSKsYcuVmS3dnB5SRoVBoo1OX/YqjXdso0CzpYJMRmJl8XxKhHgZbM4ZLYFGdWFJPahRQjNu7XSLVSAA2fjFGOWvKx9xzv7OJvYoSfQ/lx4QXB+XsbPkWWVMdhsBndnTw2n1NrYVC3/ovjzF5TqbevlCBvVRdyz36h5Fcs60CF136/XtLeePX7izWxf5GiphTICEmqwugYiAR0Ai3RzjytmL/zOlrIqECBit/Znnldt+XqOVLVop986eo/ZJ1HCo+8aeBxQESBqoz/gU32sSb9f1UBxuchbvPtU5u076GOrPewd28Jeq4PMdsWbYnC19h79ObdNYMKtkbi24l5YyjtLvK8uKQqGpvOth+aW1XZ54DKae/cWITG3qXoseQolJaKbn6Oyt5I8xM5e2+d7NBkjvKoq7hVn7afKAS+fa/WtIj4uiYyTdMkFAk08EY/3v+YFYQ+jWcGMYNibaCS6ZTqKiqFRqvNFyDJak+QKnZgPfSMTq3G0tcC7CJs4eFvv0RIGndLjt1cXlce33O3qvGc/HyhbaITxMAmNcu5SDqboLCBdnd5RiCz573pzzDRWQ3SAj4ZRSalkxKfRYYQoCteU4J+JeHpRUv1/R4OqMOrlduUa44gA4zMpPtfkTaE8MSzimcneYictK9wK/wna1tAGd8huum7fbHnKNehaH8AENdZ6FeQ4mDXSU1bZPDheDECsx0UTjGcTT+XbB+yYabg7ODwayW7BxiS7BtUy8REd/VR7+UKC/EqCtQKn3G72rCy842YB2B7yAfGPTy2rGLCcaVHdVTd+zf2B70/nsXXpR3FTm4UlGd2Xt+/6aw9pKg26ymVfnqNk6jpowxF8Gn7qWzO9m7zVyDkNjwrAjzHkVmGigoXG3pkGgl8TwjnUpnJ3MeMBgeLKy25Tj7gSXA6oxl6WMnYIw6LiMGKQZhZSBfkyQ0vXgkYCaIOQp04efG2Uk1Qg10hCohTK2VUPkD+d+JbLGJ2BwazfUdqEheTogF6hJNZ3esMkhf2V7N/cHuVwYxaO6IzI65xizARPDLsMIcJVggrhIWFaoW1mCWiGpnu/NeU3Wkpb/8kJK1/sTEpKVSk7AUOuMUV3n41nvTA81kIAiAlcmlcuAKOJBGIsXLlA9F5OqW1lkYo8CU1cJbMsJNFIrgvH2lGQxv64P6Sq5O/MgHCYkONTKOkYFdv2I5Z0bfQ7O5wQthYzQ1WDjiwdxNrxt5KH0FP7I6L/yVDDBpe3EZFbfKewP/eIT78Fxj03881P3+xWPJPSly9F0ngFRQRM18xBExPVIY8fBcEevgf6v4/jkFumkDGNm6wQmDft9HUtXj+fX3Oigyy/oFONGRF8V7F4Qh/x25XYj7JEtpUS++yPZQrCKZkKTojzPgructSySl49GUH+YOUJbExl11YXqIPi1TZXSisHXsjewS9fjMmDgYZP3AVHBRVpaYiR4Hi0h1IGouRVFHpiBF1JKWYKp3RRaYdfqyJcaK22FUG0yurFIYXL4mYc/aMKt7F+DQKoU6UcHYb9w9+dMZU2pHeZbCqV2uUhmIS9rFdQ4zTmitJtG3CpLj5y51a/sj33IVZnIlIEiM7NNCLvdU9A8558SeYwaUiepUIPNTj0A+h140bNSJvuzNnEdC0bAKjqcc7OuTefR+3Rf/0FpBE76rV6yPKK4OQXJLewJJrrOvflkHpcstJzDUzzNtIRtCfnjNzAYDRuOi9/An0+Gp+0iMHWSOjw+4gZPZwbmqrUWYei66wi6nGHZN31tzxGQuacmrUKcf9iu0Dy9KPc5DHg4vt/MsgxyXGmvyUGVC+XYA1eUYnzBhoajxesdOQTE+2Px9L15QdrNtvgDB09jwtAz2PcTcsTOFFRlxz/EjUhWUq0p6EMLOD/cqUFdSMPbLerkByLGlHHxubYLuA5VRP+M5fl2gItcVJR3Dc+TJpWAaGdfxVZbd3VI9e7Jh25DLIOZ5fMJt79LE++Qp3mkBs8SRZFbH2k5DTnnQoExBOZpWFZOXRtVlKQ9zJyx+u+XWf3hXDHpyiyqkS+R1IdKJTUi6MCCWVtaB2Jt3OTApiIFZ3HLHju0loa2rZQhIVciU18jkQI9zqG/v308mxMvlnPP0jlquHjMtv9Ws1vVg+llSzncG4UMpjLRyfd5Zpj82qhGhWbmfYLM74+tmSxaTw446tB5V27q5/dkTFFKigsMJGIE+ZQqGwUFe7FW0nPd7OE7NZWaFfjiJszPcOp8FPp5bwxShWBmd+J5ycTuLwWe7tYalRZkhyMlafy2cxa42O08HmEAO7kIhVXibmhpqDrdDueyzdzvx5hyAVo+wfM7Pre0hZe/pILCLSTqAHZDityIK9Tq1yiP30WR353d8OlR8S+zgeE7rocsbarHftOv/49Dgvddu1CMlCsRd0pJPgFC55xcUVpQVNTXZHjPDTMI0xIhITlApJxAUx3Trd2EPq/c4MpT72BoYTO9A0s3yXDburmSwl8uQLEijqDAg1hVLQ+JrBhVKQ1uXyRKkAbRGmU7ifBObceGmcoqNDHvtHexIMoCRAhqAE13o2kq6tS7rmdDd1d8/paq49fcXh1lTV1ACcupqaam5N9cFxqHaqpKysFF1WUlqGZjVLlvJrWVlpQ/W6EjLPYx4PpO8+hlTjO0tpPDzNMWVqHTRzf0ucLwFFzaDn66vTajhGGWP5rcwOO80gL36Dyi0Rx5SnrwCypSZFPBLIbdomsEOJaiH6+V503dq9ZWQzicVn7ZbZZQDybMAJN70711RzAJyWVv/CuKvG41uM1ewVLHM5xvPOmQrbBQgPXIjbsNgVOjCRiudaDVjRWofLKunKBdiQO1uR/rs9C8hsMitHWzrmaI62Vxc5zoXnxFpE1o5F38EMxTGmSAsO/TyRr6jvd5dNz7ATGBnkeCdO+l9/EQwBog2SaKBVJiK2tnsFOOKPvyifnHXwaeUeOJeQlLEYzYRmJDj+Cxx24z6w0rj+yRRgABjH4OHtTUV8TvA7UeiFfLf9bg+RQ2GZAH1lPrev4qvX8cj1J9mgZLf5qtGuDigLwuougHXUcejU8RnHhQooSFLlw2Y2hA0MhofusTMjAuHxn4ydNzlgjwZUPa2l3wBBhP/pP7bV81puAMPdRbzhjEgLzXx2bLvJadZ0oWzqJaud2kVpJ3WK8mZqxjabe9lq53b3XcKdLsBUZ8MDm04vxKBC6bGeRGFxJGR8+pCPwYUD/sgyqA2H7Bi3OJ2gURBBMcd64O274C/jmTx7YEEx1c1srWaZ8PP4ixQYfFTh50b8Zk3mBuy8JvYoJZokvnDeFigN5fwKFGAOXPH+dG7BX1huGumYYhmO0xcpLUcd/IERNZLRejPBo5L1JEkZSBrl6crJQuBGskLKkRar/LncnbnMUxBBv0bYkSDxG2vU0IAPX6vjiVELokZCppWXPHniwKfFsWXaO6TlEpMkBAHlUmzR/MKyXcUdiWn5AUmJBS/8BEWiKZ4XRpb9HQJGjGa/aKEtkWZHNXuWxIAEkw0UZnNAxJOWFqC6F1nLDL4EIsmn09NTSvWUpUxOpGGAzPDArZHSqYEKcSVkDM5cP5kgC6gOPQ1TmNzMsBIrR5mJSYp6A9rr+DB9GEb3F//FcwGx939+zmCosIEaRH1AgdlfRQM3uPUBB7hlGavpIBl6wwWdkx8LQjXmy4r8aZCMyCumWFtyslGTLWxKS7V4kEHFML9NTJPbDlIgqdiriQ56JnqjIO8GH6yjPM9yDqKbk0Qm4+FUhuct7kvnkfKYJwyS5l0hSCQmKIGgP6PllUQROROwY+5NB3+AIB7S9ETRS272IU0qFAo1wqjbocyMIadIa8KLDJIgaWFuvI2LfiRERnBDGL36MlyYTJ2qLFaVLU1NLeL1+Y+ZOK+fMyzeocV1L1/ueE7Pc45z/ly0IqV/v8l5x8kZMl2XL4SCmgiD142Nr0Whs1CdXPMhW95HLBs0CVGt3qsv2aPLOi578svJ9+HRFQs2g6jmETJXCi/yw2IqXmuN7RLFqZvs6TqzXLwGz3nWZsbgmuzn8c1FW8mGcddsMWgwa42o1zUgumVuBU9da1IwcApX5v4j/hpYW2+5ISbyS2vtLKBuq4bbglUQ/vSS9SWmaBWsW0NIGCQsD/7LPDR4mvHDD9K0OodGvOmIIH2kRwRBvBn/z3gvY7eOEA8CXjcQd/WRy9Ll4AOBcIN0AcaRjuN/Ax4aNIs0gFf1vgqikbUmZpbzBh5cZ8w2+nvmz1Y/AyO1rMdEPwcIti9cD3bYx7bohrmselg3j4a9WYQRGGdu5FCQ7Riy19w+BvLo2jc5T883zsvssmn+49rVpmnTTZMw7WxpvNlomzbeNMYp0PzScpYy6CiZqdHuNxlRTJhpNDXKGhuh32RA7NKM0WSUGRuh32TA6/Ui9tNUmFE/0ay2/eFwbSzWT1GPKVX9ySTxdv1KZS1F9cditeFwPzAsF2NxM9TMXqcKU8nwjVj/mu3vV1TH8XytRKQMJY3bViVDxLydzd7hbTyvLUq5bF61WAjz5h1CzhPM8xbJYmly7mcf8ALPe2a6+CqjoG0sMgwaV8/U3LS0RoG5jLEfGmp0uId38V32GjAq35t6z50fZLvSgtbt7XZsqWG5IcXeOLwBA9uw7QRldvnWMnHerB31hJ/UxX7XUPku7J6RPw9F+J2S97Y2yZ5V/PxDaNpcCOQD3qUcLIrLQRfeTu0b87G8Q+ty4EkNBWDeHpfjxsCYqdOtGlKJWNBCRYQz//+J4hG48fB/LdeVn/z5HGvAzP50IeBiXGxTTA5KMbW/DS3EiiM/BDoxkNN8XV4e/8idkKK5WQmDJ2kJbgM1VLEmJ6X3xdAzgRF3SgsUchpmQItvcEejFuzikSPA7fOej/tYz77V1QXqNn3IkcDWH9pB1cyU6FAj0gxU4VvGkXalgIkD4+GPe/uef753nNT38eXeXqfzHWfL5cS63nVPNXz/PfxSBQo/TaEsy2G/Ooa/LXz76G/wWatsisfm+ASMvbQt+1oj6ksHZLrWpe88s4LB4rRlrEPOslCKQKRUf0dlMjAIjzC3PNOWNZGlf80mE6IAx6Szc+hcBs+QC1Lz/pnB5kR+ispEQ0AWDZLOO2cB/4FAjckhy4KNrJ6lsj982DvH0ZGcj5N/Og2995tc6SbqJHu8+bkYNfiHf3ewWcp30d+UmqZvfOL553ue/4/LpvyPfsybrYtC3S/VYOu2bVuB9TUR1BXXfsl219F/HvrQRx99eVB6ePy5548cSfQcea73d+nnjpgXP9LxJ7+KeO9eD2+vfLHeY96uOcaP9dSnlPtwXt5e/Kfg07MSzbEnB4vWBaosdQF+2ON1Qj7AUivXIEMS4dFmHS9BJEg9wvyNIu82d3JdHNvFcntHRKGSRyiy2sdLLCBkRlAe2KJjbWN6O0t/Ybu6hEdncvR8CaA5qOrHDMl/SgVOapDbpC6zCnhM3VQ7rm5MHkh9BK6mAotQdwzQkj2APMaUW+oZVerHOsD2TU5+6o5/ekOAUPic+0UQvvlRyV3ubtXfcSB3ID3b5erqpPNPNxnesU/1o0Ymjh0zJvv74XWOHxsvZfd3jrWMgdALL3a9GezC5J6Ltrn/kcumVQOgEXf4DWYsQ/+wTscsJ3NWeYJ/f46nuzwKogxUu4hMpMhwWF/LvmBzi9HTCqT+tLWNycBYxcA1xbzowDhN8a7x6ABFh6pBHhi98SDy8xcJVyT5GmAmBHSW9pjQKZo0lGrQNBB76dv0O4KdfvriJBcb5sVDYqFSMwpTolaCogeVj+kOmtTJBdKjEwO6HlWKi/K9nMDxgaWBhMkXDE2s7xaznzKG7snG6VzlHyH6VpAUXSnKOqwPEYcJBIp62s8z+7X/tUTlrxqFbO7n92e789SYBLsop8a6ucXKbVHrWHRRXpjT+sKqyKoJTYPgM452zYRDhjED2PJ+78Td0a9eo3IDixEtvd83fzfR0524awCTayse54T9/d0FFku3UwY0oeLpmUyDM08Q6ypKT+743WK+uM+fduj+BAqkmkrGmBQ59mTIXkv+0l+XRO6URv8I1RJSXLhOvGJLvI/ot3c7DWP/wC0Nxd4hsyWMVzsIH6r6Z+vm9n2dhlmxS23rPbGpmuAQZ/ORS4jAo2nJklTcqx3ZURZt43y1D4J1/jZngdF/6UjpGuBzSA2SdODNslfZY44FfbXECmBbAqBxscVf8cRHs+0thGIFY3NyWWUAN/Yw+WMx5bttdk6gknOo9bV67wywF1mee0GEoFuVEFN6WqufzI0urRP+TSusWF1CP1K1P21mBSVrmb+2dm6Be1uB6/DwkXSgxXWB7IA/gABQOnw84KDXwX8Y5OpGaY6WcynhajznTrKxNoMb+Oe34UuHQelywjR2ipp9ydXT4PIGVgrIKpbN3DrhyF5jtSH+vbJR17xnpZhFOfCn9257U0aNSNaMC4/qHpKn9Yj59N93XOX7yLn5sPGmTedZBL5LoIXNAKb9tqyHBTgFltbB1eWGkf+vCg6tbilfYMrHi0NDjO7b1TyISoKyciW6w8ZOOz6DqQbgxhNKBIwGgw+MHzCeiEfA4MhjE1UFOCnuw9staZadwHbGXltr9srcwgsuIS1dj1796uzy9dX9Z/p74zdXXVj8Q5saj51QuSPGZ1uw18YRxGtHCRYDcy4m47NYzMS4idHyxOx6XLYSd99x/znHA9jEOAIfxL/VsNfI7Ie1xd5ypEgRbXVHSsvTCoQ8spXnywKGtTWRMFssiSLdH0rCwJ53/Exvof+wBTsUvTcPsMEHeAHfBqkzYWpXIiaNqTBq4OQfIN+UFBB0opcCI1bQssWTU3PTF5VN0pvdKBMUSrOr6WnDyBlI7mP1p9zn6pMzISOjc2rqtmBw7FJN6vTFpXqmcrfWU8dpOuHEoaSG0TPJ6uqvlE/V/TIhw6PKzgGihKPxMQpLW0Lep3Z/Uc3x3eC0/S4G2VWdmqpS2RtcTnq28FNDl+QMBp1ebGFNCctsBS/aq4z7o9dhqRn+s/EXvBvcHaoOtjdYfVxc1P5kJT2y9cquO88/LmK1xH47tbeN7rny5Nju/966WwwNxnEH32MsZhvpcRtP+J6oTyxp/m6uBtPHouOcfDlZiLRAg0/9l51YeckpAc5XxsKo3hDCrnEKcVZFEBR7HrPBPmyUeB0Z+ncPTOqA8q9TPMTr0/8u7BT4wWP8b2CrL59OPwzMRuunwFC5mxfOXbrquPwjQW7QCeyMEtIuKBJfweDfR+8NFOSDdVSLISWtpOVggGoWSbl6HEdQzcVfeC9qfJa59cUeG9MLK7LPY6V+rME6sdLYOB2HE4eLKTA1S6TEdPiEBS5pKr5JBvG4wQkP4uxxnNVHo8XjiytpUbsPpUa2xTIjH9387NWnd0e53jp/tWpt4WdEAf/QwAc47NXrmzsnkXBB3hbVt2ccxOU70/kVjTTOfK5BRIJQ4FMRMK/65vCUf+9b13tZDTyQbHEmRJ7HO4Y4W42nHU3jreZ9W7l9tDw1xOWr9sRHYSEfIHUfVVqv+7OwE51USues94TSgzIwkUhdT8CePrFVCR4+kq51JMIeDVqYo9b9S6VuT5AGEGYnqMTzs17v5yzQ1RN4gpRa3/S6z8mbRtsez/UnjD9xppyfxZq/n7D6f/XOQ3yac0H14zQfdfnV6bJWgZWgeuv4m8s6xL2fx85HuwE96u7ioctIz58cjxXETqmOf38mgH0ffaDKB4nbm7JDMy+6dffxzIRoKiW7CWp3PBrHjT6zy80nZv4x+z8/dT66+6HpsOnDbnTH5hk8PifWIyw/Kfdi6zhuxn4XQ2Sk07yJEeFmM5UWA0voOSE6AUK2754iBm5KUUgBlgN0QYUhH155ZldQv+UJvJrDngMRDBJ68o49TGZxIVgU9fVD5FBQ3vrMwpNvd/jRJQQDNDtapTkeqVx34yBDUnosclkBRGlbpkjNtjJzjNoVQaUO5BCiSY9cAU0W68m4G38lpQ1qW3k80k5Decz359KNaGswHfADz/lw6aiAjvlVVeN5KP/rGX8698G4i+9dvOBa276w5fTlYADyGVw2vCO7qbEpPMNIHDui8Z95X+5M1vz810qsEg+TUU+shaE7HUCt3YejhytKv9lwxbcKZA2KktQHmWdyz9xuh//GXtQWuEwh3RsIeFGidz4GAU40G6fpiXJ2yrd3KlZqUYErfbcbd+vbXJMKtg+BcL5A0McBP5wzb52cTV4JXCp0aA4/Wc6F89x67BZ0yWlvkql4y+SkQY76Hvvg1hSrFrcXEZkMWtB+SDZNMpOnrqFcCnmJlD32T31Gq2TS5FX/v2aE+SWlCzaV6pyzWfW3UsF0zyfuv2QA7Ool7RxudOeF4ytK/1kxb72uZuLshxMObjmhaG7oqhN6ShZTkdRsXlG7eNnevuHb9SJBs5HYul6f5pjmCmieQSbLYZOo+Ft1trMEve76JyLFoffS3Qqt1qhJw2PellKBWDoGFPc6cxlz6OaN7B4qes7tAkBZQoxxAkGAEeNCK6NvS5OhirYHWH6HKQXmdj5OAUMZEIAc6oXp5rRtFxhfgEBMDOEAR3KwnYobZbMh2ePZ92MjFrQAiFgxDI+yrLSZ+mENq7A2DhP85PecNaj3PNjXGNKZJbyaMPBmQulc4T9vjo94WsimQQm9bPs6/+UWaRxVhhrbh0YmKz9fmx8yHKuOxAMyUQrxTcQvjP4oBiTNywNBCHwVTczizjbWYv/iFn8EhAMOXh1obY5bnjRL4h31oX2oC30xLdxH7tr7WauqvmPl08t3DdBCQNkHcJdZmV1Ubx+dYwpBc1xAB8gFONPB7Yu6xZ4e38PYphxAi3AhGKqQuTMgAj5r9p1DVwfWBFOElWHjwIDaQLO7qWxA82+7FvmKM0WpHmVi1E4SIMlcgEpMzdzp89zrFwjbb272l31cUOCJ18wibqQ6ln1wbcF9+ay3Jw4du9NyKgOGa2sBSvTfnsyNkEGNwnCFkjTT1pbasLZ36XEd4laoysNrs/rUx4TMzumqEG8b4yyLjn+X1bqD7XQqZFU30/fbmxoUFVHxTma3LOX/VSLLTvQfyHTt+lYYIUACcvnzJsw/BHLGkgkCeLtgjrWLuYKKJnNoY1gOMuIAQe40EwHgT0KPTaunW1GvStAMdoLbKFPE9buTChz+3RJgn0HXG9b0WxkMEwgDO4n1L/robOMsbhQBzV6Vz5tXAEpHxy4W4b4IhUZnYJGx6jNF+Ws/r1ee/b2ga+/6D1HeWZI8aY5bLepALEqk8VkZ0rqwWi33CZ8GowTQlUnfX3nanSUe2uzl5OI7fZ4/ipZRsVHS1R7rti/ztETf/fj2jZ8EWFxtAc1dP/FmJuiqsKK5dgfUsfDglCVgcqg/svrl/amPpU1Q+g2F3ExZ6VEWDIsBr31zCm4DSmUymzYAHAVkY8w7whB9Nad2niyiHyYhTCOr6GEtB5HgRqD+NQz+zrM1qu4BF4whQIcLmhNionNWsb6i1rvaYu633NlxZMhZWXfiFw9ZGnVsJKHR6yjLNTzRJ1zqd+m3Sd3Atts87kxTkxjFzUwSJEgHKvYoFaWJM8ELrFHamhqJphPyFCHUJIvIvX/cGUj/HhNr4Y6aPapmiN4qstvCC9AHw6dVW7wkTVCruDMu/V1twg3BXEENCLrzDeAXKZQQ4XL4N4+wxIfXa085sY63Okru/WGAGIBSgG/2XaBdnf7bQTBWOHIQ62lceMHy6GnrdEaQmhEsiElpfWnAeHmovU2Q4mmUlrqHU5+2eceLnA12DgOdd/0wMcn0pHNpvHDedulY60td5p1DMBbHVR2HIFBE352D43W5PC+jsQb5Sw3S9N379nXUoDBI/JIxU6EDRLszq8o7RA/Emf0ijAzR1MtvYsYNuQXM+eXK/V46MCYrlNK619jw90NUltJDj21SSvwQ3RuxMGMJUdG+zKz+sGCEuj7SVIDpQJQnbnhhgr97gzt4buWlKXhKV6PUwsxLv0fSh1qVDUq0uqZd36U7M/pZPC9DXspg+aW7UYLUNboamaJvlJZUYdugXZlO9OJ5rAPU1FsxiVzq+Tw4TWJmXQ++1DaaL0UYGAi7CPL1s21MorzupNZIsuaY7nnNjIQBNcemXGIvCzogM7nnx8+2sYi6I+psjQmI+ZXBPYDqybazwWVUvp4tRhI8yR0z0gRGbU4MSpD1UY4ZoAsiGYBsOkyxtar1BkqYBLnZdTaCXAJUg45sEBxdV7AqQsqiYKczEpUU4TQtWdPthXBXnPl+l/5+QM9GfagEmW7PbBAJFN0jILXEFjcdloTxnvPUUc9f9HjLwUDxgfqMtaRI/OnlvVKICZHSCGnHnPbtFGNJxnrlzUM4YSvPBpt5RgazMHjFdynUmYw4odfTC51zwwINKTN2DF553S2zpu9nFSRPP2Y1FJC5GyosooMUqhzJsN4oLTOjG872fr9j06oDrPX1JzoTU8su0wjTRLpgCIuNyLEBMQW5lMJpgnIwIaOoAuvSCOvASkGRoEIoFLiBAJoApAVy03LdII1WJJwsyiTFFExzUUyACfuyP1dexuDJuaxcSoyay2ouWdOvgVyUeRCz2DbaKaIgscf+3bpz5OZN3+/Y3wu/ZcdyURqBOCSIQjDOhelEbgbTyEJoyAURYwMBMBdiwyzhINRpjjh0sCVPyuAgixpvRsVnSLVirpJTFDL81eyd8+KlLwKnckhjgj4bI5jRUY4siYaEedJ82Dqw9TuTnc0wabJj2usYrPqGBN5MOO1ArXlqFPmixsIMR2YGdGbahnm79wLTdg5tvZ6OWbDEUE8mQytKUK+zUcTflTEeGpIxOXiQLDYSOE0C76+I2OFjq4f59W+6Y7/roojshpU7InZ415cj/Prto5nfzSOJ7AYKeGGkv9qzgtesr+x4d8o35NSf63vGE/2/6hzETHc2fspzjLcfvXcqJPjUvR2NOKSTixc3XUeEdzRc7zqWRQPMgWNdXTkyQKFZZEeOH81iJs5WZCUNrJW4x85HaqMSLd99yYpQL2u58gNCBgV9bd9W+iBGbx/h7SfqyNOBTREJEsqqGgZ+3tLee31qVqiN5QsGvt/mwH98G9u4ub6K1/f1/RWD4ZVuh3GC7l+IXnBEa/9rdAp+uouXHGx99/YsFSkuSff3r/exhjoJVtPzMun75WQ0ZOk0Ut/Lc2xJLcz5TOKC9ZqLVly5LkjCS4oSRKKu2NAuq5V/Gi1P70Sx1fECXe2IhAWZew2o07XlDDpIwUAhCEEgCmEgRCuug9kb/nDReQaYu+tPeGEc2b+3Vnzm0H/8h5mx98wOrSTwl6dzEC4JooAREaE8Y9fyu0REUEXBq9J41a+Mkf+rfv7e4ITfrGmqkvg/f0fPPn/ZodrwyQzXnxjtF1+NNV8455Hm5rf5muefEIsmyebbxCRMK66dm9b83qiPa/x20psPbD3LSJFGba5hjS3x1r0VXSgHRTDQ1QXhhg6M+AGa9aJe3AliBaXkmMTVp3OfWzTsaPdMp/o0odcJPvkfd72NxBdbZoNcINaDgwIVii+yuqn4ACoT6gM4/JpMMY7Zoh9dozzRNl0Zh6QUq7ZjMPDZhSnlGONJN6JgsTOyYQQDQb0qvRtDVQCmyMuenV5OkA0VjqOnhpS73saLT2ygubffwhQbl9HcH0/m/jvRyGHvO5n7T1cFhze0u3NoxtpkGR8Wagqz7bLzYayG2QQ5yAy71tBub0oCNXwNSNmnfrbLMTik4S7rZOTu3suml3fhpjt+TAMufH8cRK3cFbyyTgbFIRUczmr/Q+PgetTcDwWw0pmb/35GVZCxTRMUJqxAgNe2fYtXMDTujwNxQP7q0W+JoGwCz+YGLCqHe4RP/97hiS76V6gW7PK4d9/5YMi1M+7OWDsDv3nkBgbIXcrcbBI/MACnw4TCUzf26KJU7u8P2lDin7/7NWoROmmRsdLzq//pK1swn8myTAbMBbtJO8DkLhMWq7FsUgBTMy4bbgs+SPfwosTa3eBRgBjNrXfx23T/0o7li0iUKbvRBSGhpKiskIEOlyc+XA3//b8bwV5oXcxJAoeg+xQd/2lSGHlAbRZJ9fFrPKG7P/B/a3Y7BuP8+runFYTtpZ7nVnOqJVxJJaeSe5Zzdnk+U27Me0gbnBCweA48X77WZdlsq4Q3tq1hziYgRKCQXsHvH2Vmt7MkqtWLXdeO6IwqtULNybZrR6Z+4SzP9NIyJVcqvWMxx8CCbw85YhcXVvQjjsTFlWl5yJK4urKiHrHX65cuLGCZmXruRrc9Ctl4/MkpIz0/fJ2KJZjjEfmkXHtnnefZwKMNvd3dCwILm7t7Bpp35saVrbvjLO2u9/r+savM8EWDSj81t7MZRtd13zr7tXxmwgL7Bc3TleTOYlWtKr4TbOpKWtWgSZ142k1dyqPeG43jxMuxonBZfMnu526Zpd2rVnPy/CJ8fS/kmhMdWEWIJhn9f2IO5n80HqsO0dpj7Vmn9UIiYeyMpGV9wfbF26XYwEkT6840jCrIZguCyvLvsiJvP55WNfdvT1HWWrU89Ecjn1jTuEfGpyAf/xcJrPa7bt768jWDQj0iAPdZmBIuCxEBbgpHe+giE39Hf+HlyRTtmlWWVcOc0jsvBoGNtfEbd6Yuanmxh0nbtxcws/51e8x2rTmfQ0ktdA9AQr9avmTUGJS2w0P7ZmKDZ5X98jKXWv5mLerhp2NB86JgdTA3X/cJ0twVECEnKMC9VdxKCff8ZWRLaHhz+btkSk/1pnPDvPYihHshogw/34Zv+xD4HclaFMok+QwQpGjXA0vIxNmlLy5KErs0Dr4LCPMGyMd9G94lZR6ZnfW+YlawPwOqnJ/u40WzcxvscOiP9pL5aLqfTyL0iOT4ocOPVT4+6pX0PmdT5OIfmFTDRgehI6kJL283z/5piVimWrTk8yD2YFgY1af3Q0HCXhvulqKax5vmKRUoEiUp2RifCIZQmx6b0MpaQodWjmrLn8XUJI6coWldnB2ChL/6cTeRY+ctWWIKiY9SXh9vG0qM/kRhpbds3JTGSuGIxPQU78iVRf5z8kntKeJyLAe3ozW8+SSYbk5+MdXcHEV3NPudKltQME58Ta3v/v4shLrzLQE5uITOhrFTs06NdVfSJgabzt6Zyvrw+OPth6iLv5LpBk2KMyrwt0tuv3Or7z+8//UjGsvHL2SQMxtKXS88iNw3Cgat4nBBOL+wkK9jLAfUMFYo2yWCu2GJS6lqik5PUVNvWayjYFPVQc7lTme5cykYLk4MZ5+YQlgBzJYVlGFlFLU3KtDpulsJPCvZ/q9XlOLwuwYiTgz5YSzBsPSpbjTDEWXnjcPxum47IW2I15FzIcdeFqR9V3YAYSFIlLW05KYsxKiAvNgEpW2b4nlRAnci8r/lCiCG7B5PmhbtqXtUXJpEyBzfc+QZamlOh5xDIh4t9iwTreila3vZU1nOyCE7lYku073T+1Zkcu/2sTpfhfHyNS1ieY6fROoUbV8sLOWXtj9a90cRchGJWjTUnLzqvlXSu4uuSdlgxdJFnkLBDK8jDFa+GR03gT451V7n20E4CzOd3PYe7xaZuYJ/IO2X0+UzyizJ4f6r/YIpz47G0kN2y3N9/OZsz9u5kz07Jvb283O+y8qZzg4Piy8HNIauru5edSC0NIvFZLGutrfLZSw2k20FxWzW0oZIXwBiY6K+nr9lB0gnSV7sORK8+b91cy19hOdRnrXZWF7yrYSXStJCOqOdSUsmsGRRXmZxAvKSPpd0Ghlj7xAfWdHj6MPhnPYJ2UESbQoKnZG9L525bT1Pwmv59CIpMANZJ5vGAFxQ7aZvkXxzRk/Cm5XNqw2RNeGbLXGr3Vb+HkRkSA8/u1O5M/OI8KCkL4slyn/UrcUkWbstS1gxySPAnNZZtNl4SQLuwob/Dtz3HBzYdjFXHEoOo8E+0sNZIRwgAb1DFivK38hTJeHdsTystrjvXtQi7OH3tMahGQx4fFQ5OhWFmTmeleCZijr85NHBB8++gBa759cuXB0HthLT0W19VoTXaH34O0wCQrwnlnNvP0uBSwQIZFRiCfbiWTYAl6ySxPMZwbTQz57hlMvx0pRFk0j7o9ukDQc3tx+6+nn924hSXGYJ6r3H0qOXMv+7aGUc2+4bt2EU8K0J7dh68kwDYsVWpOzl2xk1LnTVsb5FNYfeke+/lyyevBpNj058e6vB91hzXt+p57NmeqTAvm6+CqnNUe/d4HJquetA3U0lHT3yCkbxFIuwXvCqf6mNB6+SHi+ZHx+6mRh3+J10qvcimLmuBGt5XpntChOZQiPrjT09JlkGkcPz1LqrwaHqUP3Vmr7xyvE+XKZIVA3sfU4Fh9JDwWCWCtx5SRJdNpFM2GUPEImAWsTmCjxK6+nZF84VEJSKlvPnWs6dB+0th6hUMtVA3uPl8Z9q3qj2H0+PpgQjOQMf1QToCRTQKmxDXyZOLMKhB/tq+xqB7Yu4p7MLiHyiUtH2HA/FrVSNTy7Kx2fRYW7sDNKbu8P3WbUUBrPt5N6/HpAoXuh/T79U3VStByFyDsukMu3k7Pze5WPdgD3xNiTQNq0xApOJmhV90wti2Bm1LBEcKTXP0zn0NBIyn19zi3g0anmyyB+rc5w5zSgdwi2e9Ph4baMrQWUE2y/xlXWvkNs+XnyH83jpnY3xCa/hb/xt6QEXhQSUTc3qVnIHWgn48gEEqXFNZEir0vVWyWvHD4t/K5HDC2Rr9F4XYwI//iieb2UG+hNSdu3uRuDpfFDxm//D6HKUmX+Tyr1/OUdrpvx67rLAbHAx5wpHj4483EG9fvNfQsY4B2B9nWqcKkdw4Zwi1uJKhYtiKXuBIc/Qxe5S5LuuX2xnIzlwnowKXC79nrN47vX7SA6Nnqknx/k/SS94rZNq213l+Qd+zGvbCYH6z5ivzhsukvPtUSE+6sWhiXs1nn323bFtu0MIsblZ149Sr9KyYrChCeOBTEgC6rYP8EjdzVO/GndiIs/sx4XvV7LnauYyvjuZm7z1ZCRmp5frH4M9RMGaLr2rBE7JHXcMi4sFm3r5PrhCzwB499XkRxUD1eAo5TaE+R9nzWBnlOUqzsPP0M+C5tIo3efUg2P4AE+DwofPIYjWfVEsB5syPxVvdvncPsRrfvvkh7oIRmYiweW3hUEZW2fgpBCyR1jDHL+kKMcP73Y6KrmIjaS1yR7//zuWEXWl1e30tEM/Fk6IHvmXZvn+ZnTUmZucVP/3ReCtexb912lgLlCefzltzrKXItXEzb+//sWp5vz+SaJjTjF2n53DReeJ6m4t8vj7CSc9jXPv04vRcfWpjk9Rx50pW+ExJq2/adJ5tUDA+pFwcNKpnUp3ymz4K4OovJBVoRsvcTGs4CDVyQur42HMQD7FIbimd319KjWKGvX8L1jS7nSy9E3csc9Tbox0DBd9mA5jwXg+j4oZX94ALppGcDmtiEuKXmv31uAFGT88p3MOi+O2kyPEQm8hzqbzeYRvTtvof39kRzAa/SNqN/mGbK2Ld+5MbtaP+dc1nc6IBwL/NP5ORfCg4lR9E4bGTEkL1a4e8e9dAZZurdLQlqIiM0wLN7LDXbMa+Iqga0sAn40MWyTIwL7SZ7iqc+J4aDupEsMaTBHOqJDwIkxNHn6J5BZKnLxnWnl+ZOb6TVM7ktKQ6cmyL1uhwrEPqfmxnH2n2XfVcfThKYB8N0+l3P4v/dqnVzcCxMXofl9ugON7btPK/peJ8ljXRK4pI7hHT2yptg0FwUkkwvJrLnlT8IVcJDxCc8E9AGnHWZam5bbp4hpRihpUfnSgfdaBrtypZC65uOWa5pDeB+0lj4uf/6R3oW+jSuMlUF5/UJJ3re7R7VpMQ0roUmqmjxhQsjNwpZz9xP64LhsLMTJy4N9gv6fS/nQcj8nJpdGw2cfeSmvZV5O3HfjUOyeEePomDZV0yi52r0WacxYR19zt7cjzPRkG3IcqPraswg921X7EzFxjpU07Oj8Jf8SCfYrFgDrLNZXzHU6Myy9/mzq/COuxtpmAUCCYnuwZRpdp1QlbMzwZlOnLNp25xvqaqdfc2PNoKtn4S9zlM8PdU0DI0M6a10S4HTm+YfqRL6tHW6eEfgKJWNCkXQxmpr940d050dXJ5Ws4x2hHqCaRqLd3onfZtzgBYd1Mt82pp5fYfuzLjh5GK3P/Id2pozd/fvh21xtCll6HHbZ8/cUrZ0Oq1D6QCAWmzYhAHwbai9jxOoOYy+/Z10eJF1rJzwN43rwxsTYdqzr7au8/ypDdNK7j7OA4oRmfOPAY2AiXbyLy+rf0p2EHqgYyVDcZWT0VPdi5W1T25KT3bupVVuexAjaxiIsctkhn80XTHHbegm0XzuCJZzluHSOO2WmkwnAJgioyIlQYKLLT/MPOn6qZolRamChYZK8ClnyOXKsgfd7QHBkaEMfR/Pmgo26V6e3dtYHOCbsqXN2XmMCtQ38K3Q9PF/+fJXJWTN35Ortih9wtVCqzHdnItqLdqIgBWYEew0uIYiQ4JA+JQrIoitVHo92YmR5qaGf8f7Yny89dcGhWmBfRzWubpI/9dPPdF1r3eTPkglzNJ+mlActrhqlz7m1IW28u6NMAsocrkcpzdAPYnMCoy0ICAseZgzlIYLd/FSzFBwhZFVyeC/bWgDzEcc5cBIXq04CPqqhW0Pr6hVBtaDthNUIqu3NhGNxmUMswLKLalHFpIDMjKwLDkpE2hVXmHVZ82E00SZRRdvqUh0MgL/oC0/z56IUvcgKAyi3utKSOps31rvWXGjuSCjm8+fuOVPUJxvq3zm62h5ikaUk99kv1HDZN3DR9EBGfOiNKvRv89u/lU1J26rSmpWvqXdu+qexILqSlQ6eFwW9T7xr29/I5hdOa7Tfq2XTbJXtHYZrM5Nm4oWJtv2Csqu/Ivnn8QiBZbc5tm5uqY8YOCumoGrjEYnhwxxMYqUgpojeVIElIPGPcg3s5WrgDVU1JQS6uHXaZfSnNWt/EZDXFbXbuIxU8Hc2NfN4tGMsYYIwhE0DlbnpsjTvIKpWN80dNZothNBrknZOUqg/4jxpGjaO20Vggfdz/nBdcM4y5Gsfo/BtHS42lw37KfiBtzBBlNo6rsRqdHLXqQs9zaow1o8bIiMBx6xijzLSW3dHk1LSUzVlnlzYuFbeZ+b1sYlGKRA7lcqU8wtVloUtTFZs62kSzm7dLyvebBb3SA3yz8CnrU/b6JknHUpqztPFE6/TtHNrMU5DOffwVrJ4p8dnGpfJ2e69jLXCVj/UyMjM2k3EeTYs7kIfJx4x6Z2IqD8Sn086jGPFMchk3GpGAIMWstF3dt7I5CduBlWA7sYlJX7kjQaGZu9GjFj6fzn8Cl5FnL1ZB7eyG6noTux4kVMb2dX49tmaDzApP2t6vruhHFy/z99by1xwf+MG4g50D5XxPv+Xo3nF2zYw1cVGqjt7K4JsnYrudNBi0VVQ35LHd8/hR49mgxv4bxyu0ViLNK3FlcP/2oKeCE62DKFEBFNafEbAT+ZSxWHpudGVgNJHWVNDd9zjynDXJCf8S7voXPNeeyuZg/TXftE0LtnBvHnWHRug+eoTqwyM2uvrHlYmcBx78+XBT96KyOJ3cZcHXUuf3fh0B96fyuftOa0+fWl4w54r/uxMfXcLndGkzkS2rsmzpfQxs7MIvmZu2INdjLoaFXhyQqc7xxpDSwFJkjCyFD3BUSA3IT3vCRpUZOaqcjI8Q5LzqvPkCd2pr/Y2yPpymt+N9zH66nz22qOX23NUvzYRTaY13+pfjAYPA5dVEt/0BMEgyczy+1Lee5l5WbQCeeQJEuQVzGzsOp2+xgAKII2bAqqfcjAawQslRqcCsodZ5Zj2fIWW66LOjT2KGlu01DpAXOK6P5e3injVlVlKqnad13gw5E5ZzGRbTlWpFRMLDwebTwFtjNT9dj/t4ssvy+7+nAx/6/M9lPT3UY98HlgvyvLmjLlr13Nt31NTNo/2rFz9V1Gdy2pc6iXL+YK1fP+YJp/gp+Oof7hS0XJzWfOyOmhC5aj8zyAkn0knmEuBW1fzdtzODroLNAbxm4HnbHZPL28itu3gcoMmRXGjRImTTylpdt+4iCK97p5/HxAAZWdMvCj22gevQ0DvBX5uOX2rx3roXU0f7K2oVBKpESnUImNv2U4Ya5oIQhLh8AorFCBdtL4qL/+HiFtPAH0t2LvqsPEnp7OvmCLkMKhA5CrkilJOYYCUL4/gxAJ7jJ0YO79FgLrCaYEy5u6aeho802uJ1Eh4ihfcs5+CAAGblAlKZ3E81P8xMi9rr7xkdfJzvMP1e0UiGeK/gcvxImXzC7f/ZQYDq5XPcpK4EYYZ2nloJceovuWdXMyAJYiiYGsh7X3aAcfmBFKx4MFR3kNlkBy5zPppDdu4l7guyUTY61JmhF6AqZfcQ4LwpmPVZT9XO+TOFB87c9Cz7CWHjLMGljZ0lFt6F2S+/6tJJ/CW6rq/Yw0xONodJTWRP7ES6KiLcgN3GjMk+vNo8irV3/5DPf73i7WAZT7Nmt7P7570EdGH1ccxcmGsRmYwko8nwqWYOl8PpY89rksjtzs4Vc7VmawG9c18tGURzuXGIL58uy/jbOCRsWevATxzJ/54jo9s2f71Vke+iIBWUiqLa1z0/2x7cFhJETS0cB4Ggx6if76jHGNnPVIP9F8//IlJaxyVAjNVf4I5uAs+9usqfEIDjwRHhxvHhWrhsIcGBHtcj5jaOBQQDAOuv+PNfS9JkWQx3u2MLzSbEnx4HwemMchUTX+IWjyshQxJPEH/vInWgdNouuwrq2g3dmXBKZV6J0t/vaN39JKXpc425AkXtSNsYp/nfrYFagft39VLFoew/3u+ZYv0yM/790swmTp6x7drg9S0f/iFCd1ItRpksj89vr6hT4u+FebGhpia1L0JK2cDuPcYHDXpwd4M0jeSDbkia7Czqo5wamyhWzIBzH2sCkaI7zWABcWOHgU+osdFeuB+mvg6BIcaelvWNwxNXCibUo1ywN6iBFLPZLrE3OY2Lm+2y5WaeWSh7tONippArl4oddjZju4OkmrbzjtbsZSgoHZNyeszdvK5cO7KYL6SNTb2MHX6ruYKQr+keVmUTi6JFnXYm68X+CkUs6uP1HbAdmLp0/SKW/zXRwb1TT8rP93P66N6KtiCTqFPyc/f2Iwrt5l5r4YbBJxA1pXhn5891l21w8fR4T3HR5gEPdZVhcLxZk9bgVfBZZOuG+BBx6fuEJU2Pr5UbM9GSwZlFjJ11Fv5j6zhI08xz0m/K1uTvlKb3/9rWvrIaPKS0hL9leyJJQdXuEb4xoGrRNSoXWtRtfZ3Jku5LkjP2K9R9jkIukqz5OU5yhDf15ifzK3dyp7Z4rRyD9zCnZVjfIvZ5+nztjS2/7VPmd7On/5v2bU2f7U0oVPIzY3gP57bsWJQN8njjPMChtaLQOV8947e6YPEtd5RvYEZ3/aUdjW8go/ukIBfSp//clgtaV27AVcT2vVrAotY/lu+arqyRkUucboEyd22DYG1P+ZOFq1VGX82JZ07ndBefSj6clt55S/XI8/0N373diXo8MrztwmtvrVO8Sf+bQLzl7tK5S8Te3mhnP1NSavz7bb/bDTffU0ht7l1tF57709M5UmHxekr2l9UToid4j3hma+0VbNY7OJUY7h4Z4JorynhzhQXFLohEfshRFpOQDOwXddY38A7zVCHQLKq53+siutjyh3su2l1d92venZoJRkPRRqp+e3ryK09AVH//EJyxW1lbEzpQ9mogx9ZjBaqApkUTh+ZEqCBKgQZ2J1AbOnFJZ01QlubKA2yMqNlP1pPYbvGfMogN/Wgjvt9QgU+V2X8jgeAwtTjQLHt8VW5YPgRHEo4Kg73BjRoG/5D+6qWcraapHq2BBrvrv49JHGVQTTnlBSv5wnEE5Ud3Y69AScivFfjnJcsHWoHeylm9J6aCiQC7wLOTWGuotuJ6tiVr+i9L9L/IdHrqbPZSuQDngGDJ5bslNpTziuPY3KQPojyLfbEnL4aoCt9mG1uqctr4Mx+TNlfcDAUq9thSBOS3FI9lcGrUPI5aCStvXBUsK0XjTtKOAx4x8zYnScyUsom7GSYJB175rjDet15aHtaCLZvbrDutdgsmbAWb/Ls05U5Jsd72htC8VlobfS/YvyGihbb1YaEmf+EV+mGcYuzowV7+6OILL/ILnKLsaCc4VRLab2oO4FFS4x1iIjoslA8JgNuzBIfos94FwoLhF3SRVn0jtUrO3cn7FmCAUJrtT54ERvAI2TDkGOwK7gY5G3v0UX4dCo9MoaCoTmF+YV4cb/CIjYZvFtHydAjZCQ3nS57Q6tbXp7i6I1HCGZe6IhbNJNN4s9xQ/z7Fdx6RXx7wVzgy88Upf+8AswtS2BU5J16UZzkmfH+dqeGxudyPEhPaEda0TxiLGJPuQDh8+T+QXuSKfbrGmU6evPw0uPCiF7hdbBq1uw2Q7uSxx8Kw67zHxTa7jDbb260Ug6Hr8XYY+bfHR0rRUt4mlANpt60lnrPIgHlVXfVuNCKGc0FpqolU+TY9/zI+00+Piu9125D687+VHqUcXfwzrYJdjuviWyrJQvThy4vLUwClJXN48s4z2PxMRlnvq0paUYb/i2YOfs+Xvjkaj6rCaMT+4y6NwBR1GU0riMxI4XigUeOU8JU7jUhzwQBI7ytpjAyI1gpDQ1f27xzh4VqGhvo+OOogl185fOlucn/1pbO+SdHPMgf91LQ1w8KjIwfJCrOQTfiWBR35+VSMl7/CnhRG7PO2JVYXHm5s2hSK336Q61q6ELW67XRxBkj7Al9X9B3zjwn589qthRD48cmfu33jC8gt9aINjk4XL4LH4RCErnFpP/TDv6oT0Jy4hdrhy5UIWKovEWHyfeLgCBy9u6puXoUMfOjB3aubEv+mlUCtskBxT7ciEbr+TtCauwn1ecyibcjHjzSmfv+c6mKwvNXN2JwyhWfOVJA2aGvvX7yQdTW7KN9OC/WR2p3lGPN2maPTT+2lVNbFrNlbGy7ved5isisEignnXx7aN9TjezZn7M+qA4YwjPr+SXfrwfGunPDfGRmbWvD51ZlngobwZu1bV/6vqz+CyhMcnLAxMUV7Whl+uPHpTseWmtNbxhX2fh/2cmFqxmvPbL4/eH9o88FLRjBsJPPNHl9tpWpHuNrY1z+Pfn/0zsOzEIWyujaeHutD+Kq5+qZKHgfPPvf6dHZvWJevjW0WnLxcXoAx+7B0V7s0V1no9GamzeqivS6ssqcTc0THnu1u9OZ4Y3O1dTY74V6E9SBMFnHrQc5cUbCxceI+lAWeLlAW5BcXR2rn5N5Sh7tz0q8Wz1avgcNCKeTogp0+7v+imNeEa6na8TL1yMs6Ng8X3nn34EpofDy81vorxfOzMLVfLJJLHNdRvQsLTzeLxSqVXY363GRt6w/VQWHWBV1tNK0WCdt4jjAMphe05+RWlM5X/0Jj2jStxqkKur+yUqXr1d4PbWoqLQ3tahaJZbJGWK9e9TSZDKagdieJi1vHaBKOTk5i/CALh5v+sdH3eXLd6GEzz5kzHI+Zyw+ZjZym4ISMe2m+9j0kL0/7sXb+SzLOP6BveWDxIKZBdp7xtgcM3jbG5z330o4djtFNxkScDjXnbhZ0FJnG/RMIKY6SSalUNDbHJzNK8Rwd+i/wP/NyJCk6NCcWi1AnbLeQmTGRVJpEychCs39yr1lr3NQiokOAO3G69zQja76+cs7mzl1zve/akNBK5Z65+xIxZ+HSXJv4S+k9QjwgXXvDalqSNeH9zUBHFzWvaO/MU2ZhlVlBYqs7Nhf6++NxJokl1Ui74nHDTiJrmOeD2sgamm5u4sZ12zvvGWy6AIp6nWm6HN4N+bKfvvYuqhVKWVyNjpKC9szBVytz3Mv3cOk4i3VYl358VWM1UGhSRzNSbPc7D+zFjrxzaKDSHoZZ4ddybVnHvfORvPgCbXFe53fI55Gx0EJtUGf47fhvv8biPffX7hrL2dRa/DJpKGpdthWXqOdYBtfvAlH/fNoQzAgIVOZb4hn0BaMY6wtx4kx2dqHkIumLe7SZQVhZC7w+Rf1x1CeLisaCJ6L+GcvGA7qyffTCRTLF9cVyVDhXX9A6fWFdxfmnhvVphjmZ+msBa92wZkvg5OBcWkNKUVI3VlDxO2bdWgnX3Uz0bRQtW7VBJXLLSvYlMzSGUzaJ7oe1Jo57Cppgk46YQ32/RJOJiGZwqEbjbfweJ0GA9w8MYiczX6nH5RUHonlm1YK+obvQoCLOmuiEMt5pUCkSN4wTqklj0FZ75fbVwbZ5BZWJzBhbHJj0zivZ22y59iki/sm8ld1oUiQjvwGwiT4p8RF24FGdDXfeDD8/e06EEt2BcU11k+6uD24OHh/g8kodveLDlFQ2yTlSWXTs/OX6Y+PvrTlGKSjfsTXvR7Ov7CkpefqVE37NJmgDRGp8AyEco2gQnA49ceLuyYVmFRZPc3EJER+6O4iiJ6hE3CRLjNdDWJMiUnphLv3dY3qlbmof9EZY45/8azGkJp4KXGGaeUY3kbiR/GNg8s0IWapxGByiBs+QWJwdWBwBABeEqO4p/BVcZLDO9P4rIrp1eDMsvkDgs6k2mGFTGB7nmJAIe8WO9kgqx66Y9hd6qgoHN/09s1Mks/X43CHIXoolraUVxcjs7sM+DYaFIPdBd02GeP3Lx1/HzITes9/MVQI8AdV1oWsZojuDXUEOiqruW1ZWTWO8H9Y46vP9iuznXnWGKjWWYRIYcioJa90CpgJHeVrLqq0Tn0IKsnX3vPTE8gEXGJrWZ3mptf1XzxRvxOYdzNv3QqbtoC+E3G2EUJIcvv32NxuOZliOSXKplOkX92WAYZCfnjhkDRZbLblV8s0ppTRJsFv9E6f+vxq3zXZ3VDrqKLL28aqnjxwb/6B2PYNenbTXQmRiHCQoo0Gv43VWy7xeZzTwhhhggEumzp1Lqs8BZKtSEemLqYugrFm99eP/rLtXHRQTZ464To2VoUJqJYs9urXN2UDBC0c47HAhK8BSHSIx2hDZPcDcyh4Tlv2QTH6Z92DW0VDatOPYlheJ9ltEHZ3au8BWCq70W6nOnuCQKmhbeycnMj80/zEYZ8RxZFPtE2+f3VhDlM2HO1BUJmNZTkx7+kce37uFizOcQSjyl9liF+IXCjeUXWCz3JYtz+zYt8YFD3IRA4oKv8p0JxzGxc+2xJcqmDw62Nv70mCXx8GXB79ndw7mDnZu7+zN7e08GenYPnAfHHQcgBtg9PjLw0OAePYzJHQD5zVva+oH6tHbKNXZ1Qkjx18CgGfJyr0V4Asd78+55+Y65hbdi1BMLE9MrNjtl1pstuXRnts+u8Kgi0x0u7vHu8Yn3BMTwIorAxMrEwOHrGuly8/ij3cNjA1MjE8MsGJHP53kcMdwr7sXpGQIqCjd8X6fVNpwP+VWblLX3M912b7+cajWxEGHtkiFDfc+j4I0lNdCMm4hBdW+EUymwiPJF2FO/Zcg7C8k+lQdOINNYAzO6E74TpzynEB2SubDI6lstGuKE2mYwSdsYTGgL6qfiwp8G9SUymFX0RoXVvFjQm8kkjih8Wk2lRNu1UbtGp83qfVA0aKkZ/kGVZWgUuFUbVyH44jVGH9gtWjcqtqqCaY48xktnwGxaAl/gbGyMO5y2ROsldrNz0hvYFa6J2HPOEpmkY73+RJrlkFrGJBczsr9GTuRsCJ8HJMkMZHThcOi6SSeBbEgXHc0PT0tmR1jkoSVwR/Z7Y+YXuJ+acUewZ2ZSifauHmooDQYK4eoBG5ePvjJTZSEMGYusbei5DzhcAtaswTySDRUDRzTpGQG05vifwA90YJSVG19IJZjpbMDmlKrbqYHgnrm/5tvANEoMVS9ykVl2da7YPF7ml6VBgl1MyjU0wOh6qWlA8uYLKMW5uo1EIPjHfzosmvaHqx3wXcV4mWAynqx3pujMjUBqQosjLrctjSEapU9a2V3RBm5lsfU+QOoNiufKHY2gdQRXWsovEP3vOGFUHNb67OFz+raQllOhh5ddzDYFgH9YemzqtZoeJeiQ6qKhZ7cFTu0TPqCLhavD+RHMuy1PVlrPK7ZbEH9qgHtwBq/3zKgGVT5rGt82tdUg+hmHwoS13x1kYxIyXRTHAoYqHJ0J8pT07PlpFMqzATYXJWTdV9v+prlaxAR3/vii+e/2GwRxWvir9976I03RNFMLcVtu0uxQkwzxe/bd29IiGzqaLt2gOMapGo6oN7Jl/N+tVlxJsjzOWy0F6q0uhpXhY03kw6QNpuQznd/85l35kYYnv5OFa+XHOCSIsCSUZRSNvZo+njazsZupIeay0vRAI/M2aEt51fIYoqbloz8VKST/6eEDwQJkbJcHjgCJEZxVuCOksdJK2c0FtQVUxgQRCyYp4U0Mpe6V4fle502Lio6QBCAd5CPxW1oN+Vij2aPZz1sOlGIRdQlrpQcsot2v7vKU6wRNqNau++v4KwdIx/rkZY9T5TeFyhXTRoXR0S5jR25MTtkLudrKTID20jHVzBZVQgMpCOWD1M77xtcG3HEioFiyhoiq5uDAksJLUfZBLvAQAE1QWD9sxBMQ84oQSQHaWdCYHmgHMvSID1LCyVOkszmICScejt1tMlvHlF2PW0vH/FbDBult9FHZR6mbXpVUFZVXtTQHJfZ2clwFti6zI6fJwlRKW+aq4PFAjaXm8orGBd3zDvNuLCCmyY8FXCwkDRnGsSGpWLSpQsWPnP9KqDjRK2oelU3rw1W88WCKynqzEv5hFMrKlJaWMj8+0j6dQ/PgJ0rwoJElaTVHseL8VW0x2qzU/xYq05KpOPKTEiU0nGZd+TyHRSVlu/uMMrER7yu2tlgYeZ0Pxu5Y+Rz0ZguJ5uRmDF3x/izkXDu+p8xoTvyIYpxfX0kRE8fyn2IvpEBiYBRBgv5UCYbFQgm01x6cllHs0SIF8IyozGEIZ6IZlEBN6kdS/ORDB8SymDuVHSSS5AxE8IRPn2TzUHhbBSOiiADL34vmYFMsfOX6yqTLfpcUpTu5FH0/NfTj+vSVFlNI4RnknOHwcCKfZoN1UrJ1hmtCZ+GNXosP6dZOYfPELfs5IBwcYsyn+lTOHTiL4XKD3mUbEDbuUESwNDFT89lkngmgXkGrI/mMFxt5M5bUbSTkv+xRg1SV/Xxu2fI3Ht2VX4Fit3rbF+58FneJKFLH2bR5iOrK4oM+tuQRs0fdJb8q9LcGRuehG81ebWWdvHK9gfWuWTlEoLlEOpum07Wy+uknOzaBx9Ee1ZXFq1SfQurtPHpwpLvKldj6e/4SmjqRr4m8WL2dAEanwFPMtqC0rhWzTIgdWt/GZpcGnkQS6We/DxlRUWkzJ7/XBgpMKGZ7Sds8ZR06YdbvT8XLz+QZr5qxYAx+fMHMCxNvTs/XQ7p4koL+/sce9n1MtnTl/FkvgThxMqy6mkojWBXMFSNfwXWAGg2Jc5/L5v+aaVmf9wVP7DcmPz/jxeBE5m86vpXSfCv2ZmE2sJOAC7Zbtzw7kStyLnALKoRzY33iWrpil/e6xxcphxNl3+5TXNR48PYdAbf8uUTWq8kVTXmQ09h5EfRSyGDbMa+SOA+OEouIEV4W/2i21MJAS1xi1OYWiW5tOrVbcXjKlJXOfMld8uXy16oUKxXVp9mMqn07PmCacXVd514Jj8w/qG7JRmnRPWSyM8V878aLlDUqGqtQjQ0f61qy0eINSFgWQGtxaRPHJlJakkySeFvL/zDbyNLpun/hYgrfg5UiXyLHuKgm1t4ECZM5nw/qVCQyfhdR4/1wkApMfGRHfbPzWEHSfXwQnMEFx1cWPJRMh1eYowv3OeKn1/tzDwYrYoeWJO3z9oh3pdXOXMlosSEEmj2CrXOaCrJCx/783l++erZuPXSmpR1zez+EitFgcQl9wOaQHPeaeYRbiu7Dw9thIJZvHRs0ahJ3qoKfHAAxa+qFm9cQGo/HK2ESDYouzqYElGi2nu7LiPYcdw0nuVJMbHtH0cytnJD90BASdF+XQanplWyBL8LTMo2LCbtvnwzblltRVNOOY5THBuKop67syduDT8bxIlcPRzwhMRyKPDKyxhBxDNx5urDVZ1dzhSRgTJzhhX/d/Uak0U96eTaH3EKt0zhqF+mo/CMX0dTFJ3OJLE4IrGvds1XsmkQjxr2j3bOFiEcmmGy4St7vSkLiWeS6GzRytnO0UvVxQfePXx/lW4/bNEnMJxjzCyPWlYbeQ5dV3H43QPva9mjp5Rhg4D1yWJKe0wmzzLo3g8wkJ/Toi8ofuV9+iU9D7UYUMxT8jOrlKZFEjVWaHYJmdUtUktRd2hLzi/VaFzruCNYuUPIGEhu/tuLVGnp0k6GMuXubbFI+JN9GM9Me7JY5QzYtl64m39lnW4HTMp862bT8u5zo6plsi2jVsPOtWZ2HE1aWbn5DgDvzYt1T7hOyR5frE6m5clUUpkn24qyuki3LzTfQPJKOStXM7ucRlQYMvG83nzHmOG2FK22hNK8HuxCtXpe0mIRo7UWCauUdyH5gzozRdqoxzVXf/MJ40oxMXlYH0e3yRarRIhMifPnF2+To6AveiKyOxzWwBF/T3T05fAvYsyJVyJhJib61Tv0vTpte/k5Yljrqlk+zI2QlEpHwyGooUvvBrW+R5AT2rjuA3IQCKebm0OxNSuZcnqYNtikh00rO+LyEZIcWUa7A27NMoocrqTeocX9rJACqWxExJOiT2qEwxICt2pz51dCQt2XeSpfJv3mFxNh+t39Yc9r9ShanVMy70UoD9MqAqdOtrxwKLJUy4B/99UXAp1A5K5caPZgtMi/EX5XJvl5jWTvAoFOwFlWdMT4xCULeZxwJjkBilqAHgXs24f3B7srdUuX+3b9DVWoE8DudsVDgzUxJEEF2X4MIgo/zUrleLS5W4CqDBXEq0I9mjzkejNXgWA4eVxoCmDZ/iwvkknxTds+5mYb1bPEkEQAFq604EFLlsH6ff1exsYHLS2YLoTBYT2c6PecilC4H+swdkxGeIQ61e+BE3o4HMJ0LVjQwjO2fm+/j8Gyz5MMt/QvmLzRTbJkt6efTifo3m4KOmmDBlgSGuzxpbsp4sipZMJztJuGhpgd7/OpuCAWJ6I4x1JwPEqI0iEc7okQ/QSUIOhgesLkoRAuGo7iUVI51qUru/CQLjGk8aNiPqSKh3S7cEsYl4VR7IQfbYvEszTZZeyiyWwk3ubHZKGycBhvODKoi59UBdDRzUlNIqhrEZhKKzZYZ9DKG+iLsq1uwRHYZfHY3gEaGlCly7jw1MMygfS8AP0q+NUVVCAWC9Gp6/X/D6B3UTfmO4WbBWu52XjMZfwdHbpcAENnsI2oGzpGRrAkw32lrxwrmkH14Z0oPHXDdebGlEAYg5wRekBm1cG2svki82+AQ4kLhYIbU7/cMXV3fvW0StZyGWjaixQKi8XdunulKQvBXrmCTnVPXUFPGldoc+/27jnmui9S9sudt2hC6pbpxe8fleuqLqJv3PKN+ZdpG35l4V9lvgtQ/QLX7iJtF09gd4CWH+qfmmKnLiiuHIPxP4kVdhzw//eTblJ3/DXwbF7OYgh8jFwdoBEwkkW5VFJ1hcWJeJ/nrXtl7y3Xp1WFRo7V42x0xVt9nq5Sgt2NMkuVanHWVGAe7fP2efpaCs5ctBS1Y+jYjCmMiAoRzrERaOUFzqhnL5Y6XzRRGkbZEvd/LV1qTSeVZf5VvvmjIcob71BdmZtqhJHRT2qUxlCsDaaoW0sZScfRD+okP3MdyWdSeMebYJIp/ttXX44a34u+kEA6vW5SrplUG6zTghN6ymDEtZoJeU1ScuKpxFKCT6OKiQ5Hx5sMwvGEwn6SkdHKCY02aRRZFRWxoszw6o6Oa5Fl888lYM/a74uey8wlzgkxzVU5zlmWyglEJX3RBVW+nMS5KIRmEQUJnUuwgquaJCp4NyPHibRWepODO0biWbW7oZBsID5CwZqr4qWzkEpHIhoU01wToolzuFZH8ljRg5H4/LJrGqmal4DY5VsgorOOXyVW2gw2PG49HvH3pO74s4EdobAyGAw1Qy8863s8FOmB3oaeiNPbwIl4U2NXrLGxo9YieigCSbgx1tXYFOsoVYm095k9jY3RUGXU9oiUFHGUlYsypRaRwPjY4ZSVsnevnyXqVqcujhJTTkAJ/sL5BRgUff6XzwHdQJu7g5WCviaXhzymbs5MQ3GlDh4uutduoXI3737qshSa+nfg4Jz4nMOV+cH/jL+aab8GoUycYLVa6UAVxljbL4BCJdQTcBePNClRblBMFvThPnS/uonU4RymRuf2lFhZHQVt/JFzNVloMx2mFM+tmHRxtzc0G5Jzd8Wn7T1wf5CSU9omqFp3QyFSa7UDVRMJDCcL+yw0eqhi8T4kfgMdIHt01vZ2cOXudrzK4zl+fDfXNZo4PX4Z92O+GNmDOWwPIENRKKU3JkQyFS2bYZHTTqNP0nyIou5KA2wXxh5ufA8oK532fx4SBKG5UZf7uTmPap/Mudj5wvrl9ZglTt6WbYSmpzCbnZijIGd6HJQphFnjbhVOmKqwTbATCsMkZR9uUsRZDsO4bCqk8Psj3QiezmyE/JjVhhUBVXvNoYC+btdAOIYdkB/i4oaAKYiN+wQUxP09Z4sg0Gd1tCz2yTIUNvrkAR/plbWqi+3gUhzynUsGTM2GMCfwQa4zd+rB49DVpMyn+sWBUnKi5V4lrfTnt1zeFwCNgkpnGAyq2paXu12o0yqsogVfd7IiVVd4hTER06gZVlrzlmVCVjObL3D8casLKpTJqir+rwg8PG+ByH57UrnYj2JrhBk+XbDw6acOd8DuF0RDe9j3t753zdfakbHUP0DTuMgjCvWgPk2cINDkSgskEqD43egC6Ug2keprgBLwyfSNiejltrcrxXpWbgCD3epeLZP6Gaoy2B1L/pdaKM2sX/rr//tDife1p4v1rPaS4R6GMmLuUh2t890goW4rSgrXhhFONP3sdMKw6j6sUWO7BSg+Y/hBq2YMVEo8XaDvmpjayIgInwkmkUVTG6CQCOvT+k3T8OxSI2RRo0L0wWN5H/JJwZNzcEC0L+ANep7eAnk6QOGl5xWKF3zWPn/0l30vXDaUU6TBkh0SX+IymiuRktvqn29wyImN7rgCBp6+oA3ewBw/mzgpc3EcDJPE/PudKI/7ptQumMppkZWLGEhfmyV2eRoJ2T5AYGRTdlKZ0IWjYM1awj5L4qufKBmJIHZRhVsd5/Ln8kl8quk7R+rUtiPoqD20oJfFGurPZZYDwuUr6iooxCYLY1Ees5/QUnzs1xNh6Vn/WkhZSD4NL3AT73q1o3KOgW0g8EVn73FEeBJQtqqDmqW8fk5qIbFIdNFvKCIFaU2HHXqYVA4UvEiv8pMWxOTG5TiNypzWRZuiLaYKRBs+aNQS+phbiiVZ8CMzrnZ8I4t0808uLd4BHy9BOFQYOFyCBGZaZgPvhZMndBzBpqYDs2o8EydhGaiSxBAEfLRuKG3vhD3qykV6nMqbcE9Wxp1/OPyldmUL5nzMb7w+oCrqnjOvs7ZXw0pH8pkZhya7qt3mZpPwxbUmYZku28H3wUWUwO51IDgpTA67rBDc9h4EM5n+ApsmgsXvKDb1snqNoNgincIC9RaQBv8zcmNb20bGIZvb2hgbE6TvvxfDpbFa7UZ6W5udC1hRW1Nbt2J5Q23aghWra6pqa1etHJ4MVedKrKtalQW6G8V321hZnOQyEc+Puq8OvHaCtXYqmpRFyXcfWJdBUyMVggQFUL39yWZmcVHUKRWfeNJRN1ZLxAj+l1VUfQh8+mINNImbJJI1IGJn765iyxASabwUSODxrf0jof1jq0midm6xqqrzx14qzb0pr07JVrar2jeztnyUVS11Z7NEHItlQg9jEPMHMtOHOB4YGvczbKgHpXj/i6v8PNhAAz14n+CBuztzhTh5C/YzHx9URRc4O9CGEgZ8tagMpaG+r6gCQ72gpOMIhOwcz/eE3N8gyQZ2UwO9Pns62cVou6qOMWhCuhacxwLuiEXGXYU8DwelEWXxajXwFwBCBm2qV2ViGWfxxlMHFyt4iG8pDSmvvRNe4UT2zBffjZ8qnx/L2/AmMCZ212V85u5LpXO1i6Kp6zMAc3l9/b5cEU7WQsD7CPBB44nVznb0QeVZtIqEVmryu86AAb9/wuIbYHYOeA+UZa2d9fW8AtHhYXRSPD2RIeBBEmjx9KTxb4vN4ABBIj3lQU2mKjYuRQjGySo4kkne+rNWC+9L2H9429ff/gFt278SycE064zYGRtOu6I655sQ4cbTXFXMmRHY3gfFfVxyiIO6tMuG7Qw4nfoAbWlXv3YyfMnYajwVbnA2OcCOm3nMb9md88qWD3o+OuyXlMdMUX1vvXJegx2erXp/Cpx+xdDydomYa+DhQ8M3y5s4N8HGzKvmG+dNYNU2XzffM7BZAmcI/KsGleEZgxGs2gx1hktdNRKzd0JkNTT5nWoGvG//rm63UCrcAr8jDrBNFLtL0WRbjrPn6sAW3dO4j+Mve9t9+4O4/ZII2SawBfa6m/NvVl3qwMhXOrzf9Ukd3Jq7BsaZAlOcgCDpGh1wRQWj+FpGkWYDdlujJ/pjiKzrhyYG5LxcP/DL1yhTJyRm6CcGcDHH+xkdw/dPUMNNSawg8gPppWHBmcqElgpuO75ptsXTI78yv/JziCQGurxLxd6UwE5R/t4TU+8kf4l7+k4MJHEaTN1qFhyNxy0WipJeNsRfmIOs/dMqAEWuiQqPS2ncYGCYo7dUWNvYHNVPndQ2K0C+9S+RlNSasrqASvFu4OOwoPpp/C+tFGNzRmXUSVkRk0NtXTgpVrraXBFT0ND2TDs12Jz+eHB7lDq8O2B40gTwZHzEprbFz+02nZsXK6H1ay09R7E+DOlhYRJP3YyPYCok0h/Sc5EBRKYjkHC/9Fx4AFkaDUHMFSMFpnl/6aaBKmhubsKbmEAjuR74i8lOYPZmS/G/uiwTjVLhiZaCOssTT1lckIYq72LmgOPG/7S92b1uTVVQ0zzZdK9rpu3J3cgpRLfqR53nJH6yUud+sFKDgIGr2bkwVD7x09w1+9A7QYTYrSwLhCpINp96BLS9t5czzDIVQ0QgN3jSYtoObcBTY51n3EwURK5KK7w5q258u8BD1M9lUBKia4mqSERq/+nVvyZtMbSnzbQPcsV5TrZcGIk4nQ1CMnccmAfzB/cTcUxxokm0me9rAG+k0APV/le5DR/WNR6rXMcm36hH46IAiEjmMqSNFvj6IlEpmuncn7Uf2GdZExewxCjLdRap4+QO8K7HaubmKuvBZiN/cs1mAGqjpod4JzzxGf59QsFj+NozOz+bZPQ+nbNhsX9xjUvvhzDlHEOQlr4XNd/9EacVSMWtv4EwE8eEVWsnB8NO3LFK9uSFKi+NSmiSICvogo3a/6Jdohra4iXGd934zW0gO+BJi+fwkYvAfqmwkwil5fn3MX9FSVns25y5P11KA3VFfVHBY89wQrlHNJBhz3hdiEqLt+98ntcqH2Zl8vJi4+/tak99gk2lMeu3ZkAlFnZ6ku3zbQd9XWXyjNZ7xizFWEQI4kRE0isfStUzqLog6n+8m9Fi6WACN5XrkEppKgUZBM4VpuVeiuGN96yANiBH5wisxsjqxcd65JDfw4w6pzsju9vxrBm90trQeCKbT2dVds+ci2Dh9WNbigTiHDgFUxKtNNrBKV2tst+7J06m+nuy3rWOx1OphoATxk4c4ql4vHVdtTnAB5Ibv2cfdlMO0mhWQKv/dvQK106ZiCkldAwNEzpzShUMB+4UM8KCrp01CP48dk2bkOGhNBAmxwJzwjrk7Djnr/7X1JxvWqpFZ+bMsn8IuBcug2/o95Nu0xRxAWr+1NT+KVOPHfmA1fNHj02Zn2FKXNlg1fHtDINhHAcdBupdJU25zy7dfXgqmmofAGF1TElVNsPLj1HHVFRVc3sAn79DDdkZLA3eCQFWXIWoL2KWeRKswOByalcAEVQVr280GKVsWwWg9Ov1/brxFdb1e/xGnWolA9lUap+VIgcG12L/g+7J5mrXxKYEV6v/cVkKscY1VQES518ayMMZPJW5+fvkZlYII4Ri0CyeHhnkExowfYeuwSHD0xsV8O5ZllNq7cr7XjgpJOZnSku+2sfJ7WJLDq2aUTmzC1dcUPZ3W1fm1vLWlrYNlmRRsoyTU5VaUy7rICdt+TvLThIRAvmN6P3NIpHfOJadbiXt2xsmDOMCui+dr6GvmLcBMR1XfG3+YgXx8fsSUoVfKFy0wIC8cui8hE9kCulrDoLWG2PeJXXDGw89uO9RnVcxX0K3LrKInn3dcbgmKpUxzJjdqTWgD17pqODT2ytAxvwpd6/Ojv6pUzs8PFBr7hRiVVl5FaGsqqqcENQD2hTsZ3VyzCnpvQAimJMZ7MdxPFAdfvtBHPrwui8OYb5/Hh6/Pu4CjzpUG/r25dv37BAqQ00BOW6tMP80wMCdnvq40mBx9r7Tdp0tufhuB3IswPHse3Zj9vs2EsjH8d1gg+wA2kGVmtmY0wIQGS2ZTXgOIEaVIU25543kNmY1K9kO6AMUYN1u0RZR8qbUTUk3J8Zn9VBoInCbgfPhJ1+OoQSHGiusr1kQMZn/OHZytAF56pMtbt5KNroxpzk59PEglGxvN98v0/gnauHs/D6wArIC203mGkGkjGFm3h+lMpsUA2wp9FnATnQ83u8TfDAv/CS8WDe0vfbr9grdvEuHDlZbxwzZY+m2g7VA8ln/M6jVDdktzT/Lr0t+sHoqvdnG9NnguPpkDEFJVBIe4WlEGtgQLsacVC28v8fowga/H36CFLhx90bCoHLdRaIQlWvn55JuTxwsbfwJJ6CzQewK9xw+DGvNnJAPMhL5jqZmxyH3yrU4gtx9AQ0wcyssvwlmAhIr01W6uHBvpotrQFOEgOvsTcEGj1tT/qfzuBPOm8h14ct33EW6ujC54evo/l2VeaFqnHyrDjMTDAAzZrajd6A8tPKO4rIC/cP6A7Vy8h7a7bAT+hHHjjqJxQfGO55E5qf1MaA7P2t84KMNpPkDEB/tkYCHrMSLQp9r9/19w6+Zp8TF21xG67jMQR+P9J1qjZlp+UjBcBQb9x7aCTUq/Q1k7xiDfkCZfxrh90U+11iJ70ZAxp2xvAzyL6h3afOLyN93PuJftJR6f/IQLVuXi3PtWXhssKTlk0xay7919BnCrIFS/tkLlk3xwqhv1u2t/ceQaDtTfyiFjkr2CJ47/su6zLJPn1j/l2HOesD0VqYRaqJJypQErn6WOh0tyShSITLUrRrB/MkvaKPv9ZbbZCTzHjSwFhGgKDScjgObFcoKxBGs6ZtcM3wzkepMOXEfZ2+ux3CG0kBEbaD9PST9NuV6szH1n+Wfn2Le13eq8cRgfvpAD/pajWgog0BATwTmaYdITBKUmcX8sojIJIJfTQcVT2t8aS1vskzWSdTMkLvs0EgecqZTF4a9qPPBo/TsWQRVjIz9Z8XuLemlW/RfrIA/4y6hTXOffBi9iRUaT42zZEdrk6raEVnNv3yvEnVXw5mP45kZeX8tEFwyrwGlVT6r0MIETXq9JJ4/PeZjsev8qW6RgjRu2iL35KLj+Wa2mUlN7t6pCqL7BiXaGePHbTkCQSJVnipP+8c5tCg+HlQ7va+i5z+TN2/eEnp23xagibxoqnixOwaUH/rn9MaD7t7jw3O70Gn+hIxWRI10gXCuoux5KuLGzhtT6BB/YA/4dkpIAYI00RwI0BsJihgvb0Am64ftvMdf1Z51QwZ5/3i7dMtr1/F0fs2SueAVJUjK8bpwJ1dMjsHMl0qN0jL6hgMsSRYRQ9JGFK8XrS/SF5lFZt4p5MxoHBdXpu3uba8iwNJeXpQwdiusmUCeEOsQ424GCL4W/zvHAb+uOI164veHU4AcFSsvI/PJovrEmfcUt9pt7acVp2vWkbbq2QZuTwNfwBdODwY+9iZTF/k2m55Np0aaewpRrWPbws4CWXG60JpHIKcUhDx6HtfdpgvHRxCiAqJxMSoVPLGxayCXjtVh9WBgUVIvGD5kiqT2wWfIm8fK18PXkdd/n5m2erwtWZYsSQn7PZLWWBSPHmZLuCKyhN5Aa9hwGrUCjAUe52qytJnAUDMGbXyWGaD8J3s56Hh0DRjnNHDruU+8k+4Nhe4WbBqPAJNuxD7QyPz5GDFv2D2oHTV99g0xXvPp5FQSuuesa/MjaNf9gt8FTA+cE8C7Zf/ob9k+ALELeHz99JGfd5PTKrzkeK9CFj3+n9PLt/l4W2ccnpHDPSMAM5QBV5x3pm67HwE+33m5F2IfHZLiw/DCp3t2ET55q7n+XOXiLT4sj389A0KOjL/eVSCiHvb+XzcPMaSvexP7sOw+EN4TnS0pKjktOl2xLKWJlcvGCA3n7tS5+spFLjhdDkKD40cTdrHuvaUL5w4DNu3uP+XB7TgCJYMizzcwUjPE0w+SvD294uEHZqNDSxa4AZSjPxqsA18VXxcKk8b4VA2tqIVJYlGHPQI05a4hKVzsjzflKejP8miiRE8rpBUAmZLFYNGnR278p5tKz1XYWM1cFK/j1teUgLCfOelmCRL+8LIj8KsXm1w8bUIDnxNov+vZyWtXedn5GVDt9+nadD1H0ZEZrS1NyfZ4PL7zjKVYgA2N/F97+d2OKMgOwWNXeDMzoyVcF1vtRFNuEpwIbVpLLoou/Z/iZQ6ieoPZP0TJWFukODFFaGuWIDCGeKY0KUXkP1DWy85+ijECszntojZRdQ7w8r2WYmjxsDuKOw6OQavmHc4ojp90MMms9ukwouIVw07+p3PUapuVB2HlkGwUZeheNpygwEqN+Cn4ZmDasz89e/zB/OYWHzdlu2/TwF0JO4OFGpGBBA6BHc9JVV326+pxuOt7FuuBKmtHHaLixAUKI2EKvmWHvvDTg1HQ0OzjXigQikfMMy0auJcr/Y5jiOI6xHHywVmH40B5bqe91clqj4BRyCI6SuhIm9TOTUCwE/m8+NngzGOL57voi7uYh4eO7CBxzhzY1C2nMBTqtkAdZV3r5nmF/N3LwIcwUVp2aSxHhEiQqaaJ05EKhEGcmqwaLc6R7lm5qCoW9RtudHlRy5rOq2dwwpMHt/QrabmqVOSrQuLqZkAr5p2xnlmhXTFz6BiUDv/SxZbIaM35jjfHtj4/vno9NBkQZ/LqPDJOHbFsuiv69BBdAHP+It8/VBlG5QdFKcma2NISQXA4N0yZUUXPODwTydk88J3jyS/9WZ7RnBkYCpIplbRGREnatTxvuDm0zyGZNJAMdM7Wa/UH/7YuWsDDtTUW4kajppIq3C2sz6gikk+JRx2TdbQ031YAEiNFKVibp8gjv7pFKUGkCdIbJwmlqd+g1+gPvBeN5OJaezcvqp9S5m5iEvl+5tHs2I1mQNaozAzcWvOmjmAv9ZSQnjk1U8Oot3AKuHnTIAWVCG+kOqBsEnZJu9HBccyO6XCw468nQ+c62WmV/VpA1BLeDAOmVgTifrRw4jlpKlK0AOnSBRwgTcYhx9j+xEFDdo1gGKJ2i3VXX5ogL01n8DRwQU3XsOot3AI+dlB7JgghDi7523ECdOx1dHTjRVrt7ekMegnUO9Okp/ASkGI4nRv/A9DupDKoWxDYpxtZ37nV+V7OzRZMUSz5QIW+Ujtrw5T1T06B9vvqNKQ4y6RJSVeXTNGk5+pSVZpUpDa1pRDvmFcGo6q+XirbsE4JKBVQEaAA7db2EEXI31P5Y5tXn/L3NKzzfnfHRQxBoL9PaSPSS367CiL/t4FUsOWTOLnzccUeiWxLpxTxj3VYamjznyiL2rBeJl8vIkc+UzyPlqnI/HsupxUvw6j3/d8VhtkzO8sThtAIZFY48JhIsu5HOpDAi5azRDMUql7h8GSLoHwmLpLt8TcyWN9aF+TjR81NHrluv8aOaCpVb1/xx1+Mlb2+zvpu39N+Lyvef6+89NJhQbYkLdUgToMBrvHygpNrIHvsb5uvy2zyUVutdZPDtLB4mBDF9uCy9E4GcK7MTBzeY78GkpFbULxy1hQni0hfZx2dksVvNa2HLwJRVkoUR+fonZDmmPmfICRCFCQ1hj9RWycNirP405rvEAVwvd52XYSDutOlC9uF3dRiM66l664uPCSy9Y531PD8y5LqBrJa3klFnu66XE/NMQlGhDHgevOAxfW2C+oNpbWFrs0hLZjNrYT4svYoGUgoAkXlbrk6vImJPHkHDVfkZlafWF1xP/gvvjdHHJxQ6iYVh6iAHMP0/bPBDuprIbeHrpKydlx94gMpKNLpK/zd1bMCSgel6ZL0ZYhh/Uaxj842j8AgHCJQDgyqqqSHbiyn5oNKcAwJkPAlm5MAJkPk3HiorERsdHD48f+60m9cDnHQkMUdvErMmv/is09KGUrzJqaHts6vaFCSLi0hfa5+Q7OnvMoloNmor8R4fxRYTqMwgAiN7v2ku97hhPLWfNDZR5RCcr1bUeXAbEYWG1dVa6XnMra1dYT4aJuCq1qZqUwowB04ONWn1iaK1oJ7gLgvVE4ChA/mcOOTxSJxmCGXbdGf9+G7MB2OLlwO6YveCSSGlXi3oCqGOZlYJTV5TPMWYEqb7jluDq4EOqiprFR+36ElLwOWNZIwCBDAD3xXNuDMUjgW/ZKHzssoV+NYFSUfsUBqL44/NcQdXwE4ybRzmL0MYE4TDcvALOyHsIEkOz/fVA0vPo6lVPBEMc9DeZshBD+XO7HSKd+tl9nLnl9Px9Iwo/0pHOBVfDFVRVG3YW2dnW8Zxw/5OxShIY4H+ys5BDapFc1yczdluRO2F6oL1ABuXJrC6bWReEAksno5JIGGypMlJnIih6rJKqoOXuLqfKNSHfS3L8JCug2d+uG68e7mDI6ruzHZnTlwZS9woqrLfSL3RvdO0ZzwfpY02rh4QqqeCJi/J9jdcCRk2WxRlpnQMLCjOGElEP0kVJqiwlJUXmVOLZGuhMjkCTCV77Sfhc0aYA6yFL2gqY3B7sZ9wWuAAfBq2j5L0lLw/VKfsI3QraN4IHsFi+tZDOUVYYrM2Rwu9ZGzpkpWkD9/pVI6Ul6EIwaOzjT6odpZui0bwko1biD9pi26Mxyv3I/96Nz/Ke+nxkgx7U0amOu3IXqiCNhRbjpqqt24YtQ7WvQj2pWi1BDdQj7RrW+Ba+4gUNgc6qlrjawfkaEkaADbZYa1Q1aHSgPYZt9QXQC1IoGiIakbdSCmXS81I2gpragAYOsUNOYPV35cTTZOlkpKJYojraEVCypGtIK8uR2mJHmihI0Lq/CT6vxB5vZDwk7GsS8B1fLUuB7fD4j5sDVKVSd36VRUYkCcDh1HEkdEiNPBHIA+en65ydGYy4jhxFB7yCqSCjih8eOq4GQKYTDLl1HWpSw1LzcaVICQgYtLGSsulQF51GRGSmHxy5wmrKWeSe5cobMUn/+wxPZoczysZ69d/OppqAEADlKt5/9k1ZAF9DZyxTxhvTPoaNRIdE8CM4neNIgQknUULdB/1vPb3e01pVWlG7epS5RFkx6TewZAa/cOqPVxpFi//8OpOVkBgcUBJUD+ddiOLGZGUQmTkUmE+k0frdg+CzSSY48rgRwykKvFThdM77g+fbiHsp7xSPP89hZAYmzGn59xB9LmSiweUNE0iBKVSxj4/VqyAFdawWAQKAt8tu7D6lot2/a4CrP1S7oWtr1g+9Ub83yENidfuQB0KagWuaUFtWQSwIP8GPCObCayqITBGDQFTB8Cqrdf1fC076syqoBcDXaacZeOP7Akk550bXPGEeA46giBwRz+2ZyNjMGmIzCImJHYt2978lrlllb8gc1EALoX8l7barESiYXE4qLyyQ0lNSQGiQV0n9Ze5mQNT69vx3IVFD7HO2m4bqVRo9esWSGXqCTAvGJkPiIPiEeDJXrQBWGuMMsdikFDnpTI2XKqnkQgEavnGU5yCP1rtnRl8jR0kdQHXmUcMkh0knXLlSKlZCIfYUXkGcS2HzVtZiuBWEQqBkqqNi4GOiJhJwVS1QR8P3Q/uWHt380S2ScfdVoQhrB5HIaMcQ9ELd42gQD+2+akV+ubHBiT2FBcNLUugMgsXobQUTOp6AqjAhajMSWm4ktK4WCkvHGmaQgGrR9T/Ouk9LRuyzysD8Pu3/pbUVDaLtN+dYJsDeDW6vDWpPc8uBCAC1FMEqN52M7YWV5hcf5RalMClMAlEQWOOziwfMD15jbYOH9erYhMKQ5iqUKi9U1SdVSMPNakCUssW1asScrdgj9qCMcc2HrSCErbZd6vSVBuAL5OKY9G6sOx7YtAdGHEKpdLY4CHMFl/Mf3XjiXFptfFE5lFy5AGGoaKLgPoN4pRW0T6pvKGxSMUxhk2LtoBF7RtBd5pMwYZg7POCPcagerNQrauWFqgKk/BoTOwTbXlg73HNzHk53evWSnk3CsPCCSJM+j9mwHuDZdpNMgcLQSqyu/rlCLd/wd0c3VFcOb0VizZvLgRMZC8PmwCqld2opwuduhQaUjkh5c6Lz8kkpwO4cWy8Eia+NuNC08D8ns27Bvap9l3n55aW8+kMNjBAWt3lM8sA2QcfmljxqXpZE3yULKefclHPSs8oMIZ0wSwZZW4JVMEIB1NEwdHK/354kDy3Fn17F02vLKGQRGKR/zW7ipfNgPI2WW6BuyydUnapLlJ+l0WlQaLIjOCFTucX4bKLdG1mkA38RSV2I2TRMD9hYfvHt9OEROVgZfJshJiY+IcZx5TH7/LQZRXMYQNC3J2ZIuSa2ivs0U9WJesTZ4bPekv7urMwMvlPMHIQA9ZEW5OOc0CS6swGze/fpd6c7oivzRAH1D1Wf/xaDV+sJnIKTDIMC7a1v7K4u3HgYJdYqqnUAOHu/RdVdPrTlAjMhgnniVBf7zs4h2+IADiI8VMAVMIGDQGipayzs1NwupA6af0AcfAZnuTzLZ4Y8Fuh5KsKCkSpiAlQYlvCNHvz1+v0jC3ZivKalbM+WPpDgdeZVSxnYfJfZ5dyqDS0iQYrnRZe8Yuq7omnghy6sa14022pj3aPf76KMtD94D5Dad267qQgmxm4lKJf9oWqf7RsX2gp897Tk1isGvlYZCIo/2x+sKqebS0Kcat1ix+C71Dk8kv568Yas9HHHUPcS/EpkZEIbAg+cfJRX6B8kBeVQpWgpOBmmVyg1S/xC9Q1+hGSiTSQSN/0wZulDG8YXrDjDIumpJJa7OlqVPlojxfenBlkZ+/4Yciviq7wY+Qtfp5hI4XnbHdupjbBXJtKjCHv+9APIrIKlgHvJK4Yqg9S9/PnxlvX5Suk0D5wdURUdVVMb4QtuZyRaAnPvAjDqxvqV2Wa8t/qHtiX2S8V/zYngVsbjSEzDdXnK2S+WYAqX6KWA/Qe3U0kuTM034lo5A7oN6XZ1MH23VhKyxFMcXEceRhcRDqTNiFjr/JoQK4rMZMO8kIg2auyogIogYrr3KCY1tAxAu1JfSssnUTJq+9vbiGiKfgqwGN7OGiP4Wl/dHXiYYTo2whxvqisD/MjfZimTiK9ZPqXRLMSSy8s/kcJ07bmGaK8yGmD8sis9aerUw4vg5cWGDRNjsSwt9W11KwlIIujfATS7gh6QINfFdmIJmfQ8OQuN52nh5vG4MYxcxSMF/1QXsYov98XWCu8mO03zyjOaAL6P4xAei+m8+C28qbFzgJk/ic/ukytpi1yiGQxeXqotAyUhBLmT/NQlaaz2Zqq4JwkZlLzCz9Rf3gnB5Zcc3bfNknBwH0Q9ZBiBI8Z0xeW53PajfxU8C+vbaCQsBg23KcPh2vzkGUAQqvNCUuMAdkFaUzXWZgz36JF27oL8HAmuPlVb23/wEyFQFNRLXmh34t387csx43wgkKRObkhbAAdmkvGxgVJc4BK5RQSoAiTBYuAYmTXTWMGuZD1aCbg67Hg755rVE7fJShjtXGifL1/mGrcrWfIz4A9Sp/HQ6coZDXEMYiwAiyitpnbF/xY2bdrDqUfRFSnl8hB5frpx1ggSptnbbBeU2xF2DlTLefG4+mtly/VxvPcqdAp1WDUG3jLcD3ZH9Nz2Xm1s21cYp5p+YzU1kIKfHdxbpmDJ0d1Yi2RfH6sKTEsIRbR80ADgrWfFxjRdRY8HGEBDTlwUPQWOjKZ/IjEBWKfrNnkkSSzUjo6ttGfHitLs3dwJIbMqyqeQ0eqPuXL1tL1MoMFqikOSOlpsG34PmKun8gKiEZ5IL7s0pYpczL+hY303TXYgB1NJKAbjv5tDWB5SSEtqkrgMpzbYfmdEeZDdQUz1wyWMgpYFYwr0bI1l8txBcCbe0meOkgRT53qEsXaSe2UQnWFolcMA1wRm8vL3JUp88jUXvJSqLy+EauRqDtVvHio7T0iGxFGjGN3LhA26zAUhMp8Xl5L83NDL6mjEkZ2mwwFd8GXMw5aFIGsWDFu4cHPG0WrkZx5fvlJF9a9ip3U7FehwBmLqBKaVKTiItnMWGpAu5XO3fXshSKgN5uB9+SmJ9Uwiqzj1sTPCdAJBJKKrHj6yKD7pxKyUsumvpKywe/iIiymOIFgNtMyDAfZ7IhMYTzyFAqlGMtx1dg78VYqVif5SERulZZzb13/mG6ilAC6cv9Q9uQpOhNsNdnQhHGzlAJtmVxo2okQpP+nRCfc7kRdPKxT24qNXYBcOADPlx4e9iuPvu2oUDcrUrmt+iK/Bc+XjjNLUqD+ueNhyPwt+PbAwOJx44onrCfECuiGGGIrtSOssBqD2dlu5dE4EqbVaLT3iApgzvmrZyrcpRUTgU6axf6DcxKIVKoaS1M8/v9mAwulovjFMrQDesEM8cUL4KJQGBthjEcWlbkBWzNJ63p9GnwzveLC1fQXHSS1N0EDp4jYVR1gXq8tDHS0CySlqzSvdXHdkuB+Ce+moHRwkkANWiQgPg/ONwxkHx0FSeLkwkYFi20jJl9A0LMP4IamY0Ma+vVdX6kMpa7/mHsccseYCxPcA5zVx+IvCU5w48JU6mi47wWTZ0E6OaV7e0a9Gf9M0WU/GbG4y75hCeZk6tz8tQwySHZPid9/U1XjlhhlADB8ngumEsWAckvlhYtbVW25m+BUeC0ebFRyoOQD6llgyPhaaT8Xzuts9sTp3Ldkpbv21uaXLeXYwBk+mlhGQaYSgtJS9rgpyGkSKsemm4CfJ/4eQuxn0ai7XCZitwYGaGMuBcHxBHPTTXr8k2z9XzJo8GyyuJydjYlk47rhWB012jAol+pRq1OdaGdI34xz1paXEknU7FUXH8KRnuNkvtVm0ar92IEOUiaVA1H1zQ9ECNuKt68UMIQ0VvapHQpc/Hq+tyo3Mq8XsDS0QII2YNLcuZatBZd9klzcO90474Cb1CkD1E4H4XLna3yqKQpchAP+H5F4api/CF3UQJp35Ur1MFyLB3LEKfihT3chFrn6+bUeAlYvK9gIUgZoHT9rZL7D7vZRooxIp+jZavyMJmKLXrkys2a0r1hFeG1eAqeWZKGUCsTQn4GmgIMgEPYUr8t0obMru5sZn8/K2FNeck6RvGQwhu4xC+Y3c89wN/VFsac3badDVv35722zWhQYGfK2Ozo9Ov8vaKspfyDAcX/Ua84XSdcGnJmEgjXcA7kHRCe+5EBtzY2zPwP25kU9iUb8OlazbedPvwWPnznL9B8+EkUpMevSBPzXYKAfN/ezdLOzbwhbopJIsdG62jyJsP6sEmS0M9nt4zJXWKvF+86Uw0Slxhszu1/lvFoWtzRII7RuWhmlLsEqJUNVuzFpf9akEm6rW8+fQG/AqflhKvXtiac1cjDSnbrRi3JlCGSFG464inOER4OGPj0DbI14g19Kn3rjgIau12HLfYrQN6DVOBqkUAiOl0xOukxDJmWK7QTrqIqNWajEjKSCi8t2nj8QnSXESF2uAR7cHUyCCFwKcAW/ii8n16/LZfOEuKMcMp0gsBwx1qVh0Y0EAR3K9Y2PJlmqC7Kc0H+naWvnlnpiqSLcJRgk4G6qNUV8dpHTz1TrwecIvqKDM6sOdwG/YlR4mQ0nobCgC6G+1xLNFxTIhw47tn6Gpl2VxO6mEAJN2Lmq9kN9quPnkamQR+sllVij7U2sagaJabIp9Bo8zRH1wO3UZL+gUODOTijTD9sw6amTSDR6MWyYYVy1xRvHexvlRhnOlOobKiA6pVY1jVuYVM18pwin2LUucI27d2bJzGIwzrAQg+I/wEm8w7xzscOeOEYKWYdtx7yJcW9QVwkxXRPWKhnY7q8JyAbul30N1I6uWl+am8hPEeMKeJUQz6nu24WVUtyelQYtWxcM0oQXT/KsnZLIvS9i11cIpeb1xWxcd0PXz34fEiTSzkQf4JTxeneXznySFT+I0+8xjoiPjsDzJkBiPb55ZzjnCs8d0p8KghU1VZU+5ohMw8YZXkn2pPjyLG7gzhPc8ZPnCGQDufEBuPjUPGxgabsdL2PT/2SRc5Z2tmis7+LTwVBiuqqar1NkZn7jbK9kFuKJce1BtHuL46Ij4DPLxbD/KNOK093ygnG8qiw7qquauWo0lxljRC/cCqGUyXtPi+dEeK3zhUw8KhHbuwbdbbzdHeWhZEsOVRZ01XNf5A/bE0k5CU4x1tFVoZ/btm9PzkjJd34Mcsw8WKzS9YIyXmrQxjQNFu6SxqxbnvX3vr2rqioodaunaPHXhcgU56ULN6zvyPuONBMkXAZr2jlswfP3jnyaHPn4c66rUwwuc6dZwdf5vfmQd6qzr6O+OO9M8lBH/wAsoc0v3W6ApatAZaojamMxOPWz/KvWCUZidUwo4Wmpqo1JDq/38gZ30f/tQycSrMnFmdY02yiDu0MBnKjHC6HHBsDnh3vH8d6mMYTJiuegJWeuWozTcMxyLJoggEje3wf40064Cid3bAYVZv2NAbKcO4ZSzwVZ4YvqZBfs6l0iJ3Oxajzhbju2G6RUaSvQVak7wvzz50MLoDkpDAkNElEbWTVgbaCFO4yxdniBGwPsL+nxCUSPzq2cJQKC7T0g/ISzIkUMo0WZ4w18ihSDSnybAyRkQIzeLlvfjJnsfJiUSJxFHAXhZgdvTdeSM6Z2rRsk0InDqUDPsVp5WlE1TZdKw5mWMsfYqcUOEw3Y7b19dMpcmV6BaoCSLyR+z2SrvjksJVF4Z5Fx7xr0uvgFM0kb4oGNywkrJMlWZ3X9mTtmNfDoiikmCp0pVeH1Qm+fsFIAXNec/MvgHMsGxyOTnHbA0yPh3zn+43AIvS9qc1+Fxx0Nov3VrFColqYBpqhN/RxFsmjCyyaDC5SBBCdzjpobCavGbFapNwcGWaYE0wgZpE9utZYNjkcqnM5Y5ytdWsmK6tUSTHAuZrXCDdgUOY7OOEahuvnRkb7Geb48iKFUWgikhio9Vdl5pkDIgtSNuUGRA8dXJMTkLw4sjvHP3oEePVfhaOTE7GPtmpAMij9EOmfuxxUkGxNHlwbVhtWc62lKBC6NPVQcWDGs7/GygMhU2nnS0CQ/cDj7nKnENai8bHF7GTfnJOh1YQqQsM7XcOojC6XHMIYVxiYPDf9QnEg7MTng+WgjJPgVX3IoB4CTWOWPsuvL9Zb9HtlBdK8g5AI83gCnpvJsZm/Fkh8QuLF61DnZLFJ1kcb9xuanMicsT0Qbgb2iAvk+ftTIswTiTh2Jsd2wVoAQomtSkZxZumxeeuyoJzDVQDtji41VYjKz3EMn9en/ykErrcrr0tJZf6rjcl/Jw+jH6oEEotXXai5oM5Xh35WNekabqeAc3aDmTq65lzoKmBqXdH2or9zy6jFAGfUstWCuNW7uEDcV0OVNBe1mDZN+RqTDB+FK0fqtXkMkkxJmF9SN5i8FjBuJE1UTYgsit55OXM0i0qpoirZiV6hsipyBe0UJCjnI2qbYae+sL0dSNnpEGEb2z9+kMSPLz2V2iwrZmeP4gd9bwM3/50pzltZA1J3DeeJAiqd4sZOyArSDnAB/m9IIZTflSamqosr5GXjG06isOZcSaT6CwdTHUhL+vN2jWPM6EltQdp+PrDzRVmU/A0zoTqQEvzjxdHslcvqlmxMrh0xG/fX7Y/tQIHFKDLCaSAHCYCLnlWypDRYXrgZV4yHr1efO6jwm/WAmv73fD5UkjcfiPkSmTtfU4qkoC5f6OZbEeXwlDRofrglszgzbaGqT+VwxQNqIr3+AsP11BHAjoqW+/+dPMEipQC8fJboxVnpWM7HXzTQaQvVm95Lgc6RdibqfmGehDL/6+VchBgpRmD60EhaIeD/FInMiCxTxcAlBFxDTWM9lNkLUuBy5xh7LkS4ZbT/VCoJLibgYLow9l55l49kHcwM2TbWNFoVLp7ZiReryOX0Zb4mWnOw60g3DIsQfzLb2dhY94coV/qRXxCzqnwwWiYhth7EOoXs45+ApdXOLfndft2rrJreff1+uXBay/zrYqGXFKbvMx3gH6emMWprUxyceNK+1OBmAV45qanu6R/NMBiehLY9YrSBoBfi6uH9VxaixdJDEzeXl5iF3WwC1Ddfud47+Ho6DXcyJPA6cXsQlRuGt7objOPwFnTQ60uQJSUubjJ2zC1plYusb3hNVgXB4qaXmeW6t0NGYk0IzoicUkdsW0R2ySNxM5KkmAtglfNGUfva4iNZItstfnGTDHBUbvoZmS5uaq8k27XbJZ5LC3JkjCxtCC4lI3Pkn7LaySBtLEYltUu8DuiFn3k2qwQw5W56Gekuzip48n8UGavXFh4522oU+EVnaVOXp0tN3Q7ncxJRCOVCytZ0x6Qh9J50u8ThmJnMJM50/wNfKQab6JuIxQD/AVlIcVJTVllZw7L4ioZt6f6Hfs6/JCjM2cWpCskoKjLGygAsyTOMl/xHfgFF5M4d0KN0KKx8kgIaENbTDW389HNNbk4GQF+LKURyUhtxKNQNXPGHapFzzq3cz1IHAY5a3eHPN1DLlMZobEoGFfqxZhkHL+40ddZoFnpckwR4v87bUa1Y107llVb3VLRMfWj04z2vB+rvlx3t1+8NuVVpXd8kB/0SXTVxp94cYDHMAXKTvdj+1k28X1fmjT3ck4DMQCQJV4b6sqlWXUK5o3/UwVxYVN+0NTLjNxvg9QVbjLD+U3+GUGZa4C8NzIon8VmkXLcoV4ZpbFu80L8ILoT9cjeR/usB5jHe4j/082f4mzA7CkFijZW17mObDpF7Q1wBnNpmKSo0/49eT7u++3/wN+BzMHj6D5lYdqoZwCp+1ItGO2jmH0YrorfHYAYmOIaiL0VGJ4SBCsgNSzbVwvAo6VdCmkhrAg8DUQs3J18D0he9khOvnS2C5YaIsbLGxqazKBjVseTmjdgyVIkjNsPFnx+fGML2TjfinwEOQbrsu9vqKlG1KPyUOCHlV9Y7SxRI/UD+NFJbbMaRgkCyePPmM79CDYX3jM6eGGUO3ZAB8QeTa9a5JKiEC9tY2lr3MjNLrwBoXAOrLq4+Lj0uvym9drz4eIj0gnxM34HKUfBCvchQpMr35HjGpdDZvJm5Ht1juJRzBeeKRLnAc58SghUbT3aN8IjQzGGTimjXfdnbPTNivSK18ntAyAr39LPJjfFewsMZXpHywCzhKl9oli/22PYj20DCRoY4D1XhtyT4nRT03UsTuZvyjguGfswfbN9qY2wQ90iV7LBXx+ga/+CYW4bT2LLLC0G62E2bb4PhXUdvaSVgVGAB+QH0oE+OZ1aJEk/XMdMTnZONev8QXoEzpUQwqRNchNxLrxTW7LDEpO7ABCX5J6lNvLKVsxX8zPVt6Gtih7SLIEN48Qg00NMJaiRmwZpLm+teilL08uvmeZPp2TF8zqpfweOqAUlfnF5rimsWorqgekgm4CbB8YLjYbKLssUGdkyGgdJLT/cUni0T5Xr+dmKnf66FNPhImCs4czWkMgifU7gqicHhzcjx6qkX1TL+tMwBWTsjOQnuSUS6JaXm6laaKfDlamT0iFqhFFPjKbBmaVZssjsGU0jGg08zopWetQ2sryUpGwmkhg4yqaMxvLEdJPSFHk7ul72YAee7oKpKRW6uMvdlVmWPS4MkZ0S1sjqg2pLmHOIPnSxz8Ul3SSXlKvhJTKO31xu6JLWyc9KgLJVwI0wBbFV6QFD+xR6cuiO5by3KoePn7zW9JrZnZFT7kGpXB0ZktFHaS7Q0rUQNnudqoVrFzcakjyJPZ+buyhaqPki4UzcFLK0a1YKFpzVgYkLmmPavqgMu2GHRjAK/eZBC76qc8sFN6XoqzVratW7X1lPxzglH4jY3tNTSBkFSW97bJxlvEqIyFmPOufPywAThT+Lb92dvrFWyCkPZeoGZO2XdA05CypmgDTkNct+A2ErZWJIIXgl28UrDWbSKgIiAfCwUMV0TlbzPTOy81wD4rsx295P1S05o2v8JX6xrQ4mioAne4h1xt9XddV8HajZurAYusVv9oueMzJkfHOpneBJw+5zHJQ9QmccqEBdIsy4T/g8e+yszS1KdM60C5uiVhtGVXV1cQUf3+Gq28J9qmJsDBfhayVqOnWuIJU6R5kXiFrJHtfHcyYzeY7vqiqtDdCFNojo+VOXiospJC0YiIksgOqCWqk8uukscNSXiImh8mJMTVJ1kN2J0ITnl+2Z5qt/sdt8echk4NDjf71S7rS3fxctTc9T5bnNgc1TWbV2kDlhdUf78VnGRtegJKMBwJIjLZfG2rptfV1IHwLJmxIl9U6nJJI+2MjfP/TqjXr/e7+G8kunVvhY/Y6tJFI9RuOze5+7qSEQYM4CfpZXpKzzNk408zJQezL40Tz2i++gLnBQPmiKLi/Q71uwA0EOPFQ2WWyKHIezfq32QniLvq/xLj/K+f5fGP3xU6AsXl7CYSa8A8hB9BPNly81HG57Npy6hXz589b+r/Gz3R/OdqN8t5gQacUlif6roGnwQfAB+IH4w7RqfeorKvwYfjNsP3w8ehF3jUSteF6ZWM2akmnatb0w+ygfpo7gzWydleO77SokGsjqcBdRxz2sx5EXlsmHmMH2aNS1UCpexltHnMufy1ngB9NU+CiV3NzzqhTmdoQFr4ue5yFRrfI1YIxJbmmA4UXUs/MHX5f7SeFkSmKSVNPaKHVuPl0Bh/GSOa1enbG+80zlHNi50K17UTbcjSBci/TfinL/1uPYnq5KUZkxgvWgdkPy8DFNWWleGLzvQfpAi3ArjxecfU05BJ2Ccm/8k4GPz4vL9rBXy+uvK62q5Wl4LJ51zkzncI+hAZdnelMwhNDRjRlOTWVNdU4OtYfQXy4tHiop1xb7VyRH6suApOec/321YajulNYNeXV7JTczkF5/tTJyLm5tKSR3DjSX2n63OYlDiez9irnq8P5wP1N8R3NwiHDoeBsQkzH/bcQQgffSaFh97Cnkq5sBsP4FYXdxc2HyssLow6NG51HNnVedSzh1LupJ85TISegWqHu0jUKBqVDQi1JBI4rRym9k8a4Knm9WZRWqb3RYzi5yNDX6net3wmfpx19QP7A8QHeRPhBryhvsmS5v1Z4EGuLX+Zp1pC/+oYokyvtRoMjaIzm4fzRofax8njz+at9WlOICEpybWgAWm8Dsk/+m0ULHopqgK7l5eDdXYx7sT5rLezex+vSez8iMxjmpPSZ8gxiQX45rUulzF8TI7v25Py6Nj3q+0ACQ5V3EE0lGVJ9/7AcylH5jcHYHdRdw9tnur6bHs8aNlD0WPP6TasQ5tq0GNqWzCBXbXTsZcba6OsF1ddqZy9C82HRRu+LZxZp8nM6HAqcOfsXEC84Dl7zcheh4VFfaBmuIxfU4sBbuWZn2HICoYHV914H7lMW3eul+qP4qxI+0w4IVEIYT6jeIZJHgnCNi/JzX5s2vsFzcXv5327bci+seyP80RlRqvvFJf/d/R4YCT/yGXVEJ+6rJU1bKUZV9SFqdol6Yu/aHz5TviIWF2zgG+Lf+sRhJtd/qGX88Kkvts/PCAHsOKHva6M1DlsurY4084L53TAxURQ1SQFUKMECh/kLWlmHcs6o4419PGeVbux6h0qkugB7oOngLp+WQnrJgc+AnPTKHIuBN7/84e7ytDalbgKX7SLLGqlHRTn4cSS5kwTnyTMV1wIIKqCoyXIsg8RD3fr30eC4/EkZ/JlK7qvwjFryJOXfvxP/+UbG23unuRzBp+M05NYVBIloOn02fKqvWU2rCl8e3xBp6FM5AS9bUt2khmy2ANy1WKeuDrpZMx9vaTThpMn5S69qQwHe4LCSw2ONFnuY4TXlK41748LN9euDlwpz3Z26anUrN1q27rChmrOHZc7+MegJfJG1HFVGVV355HxGV1eGYJtQezNZ/GHdHREB3pXSEH3xyyLoh05sEl/EcVn9T+AQqOx31m4CoMEy4gPJVGusn/pCEB7AkccQWxN1zReW6K8GDVkt3EPGLQTuIk0fvtGMpldP0YbOxr+hisP2sCPzEwhZ8K5Q+ElFUE/3EGxs1vxCxj3hhz3v0p9zz5HItkP+wOkD4H9bk6UrMdz+f7HBQVDx+U13zfYgmXd56cIjhYtEyEGaS4wz7t+5fdFKCOmagETwZA/Wu6d3QT84iA2Ivj7rcMaupYlihyfo232yBc7WzUeTtsN/h/8XISpthNxy6h2yh9qHze+/3eafIoiyic0gNlXXyN0SRIuNGGVZqGMgeDC5EYTG3y0sWFcTXfwUI3Y7Sfs2Lk4JMEedfaREm4KH3uKL0CX7lr3q77O3fN3/WIsRlDph2cn3S+mKuZD9I65a5sZd5/xYl/S8ak8mYYV7kfpR8LtYWvpa+5t4H0YwemowZLMwYzng1kD5SgBlCJFxnPBc+zDFn/F+izXgle0fAxriQS9jz0ZXooPZSoJPrR/dKfhD6B2ZDAjEz4/7So0M/y3DukjHHaEhJmnS7rqg6FXXQsz7DKAYB99lDkejqftt/mKKykY3iZiSIpEtvewgVQxzMHyAPdlAHK815S7xxyL5mKc+NRkiIJSADC/S78HQ/mg4u1xcH8YPxjIVxFJuwro/4ow/kABIJLReQ9k+WKwyo7UsUuB8uAzTjQwErn3XB+63DcUTnzgkYE0xIhFNyuBiVwe9srW+EWUxtW69Po0wwM55UoTcpW8dn3xgxLLcqCMpemW9L3lppRZlOtOcO8r7pNJ22HpGyoR5tyNslvWW7KJ9W6XNj0nhq4QlGQvTDjOOk4aihrKH0bZVsyz/2b9Npmn5wYBdV3DcYihxX4ksPm8MLLfaL/Jf1M31+uoqmAhfuEG0RXe8kbUS5ZTtUmF8wh341Ltwc07xbeibTIPAAfskx4YVcDeBU1sXJvEiXwR+td8bZdS6OLSxVQNRBT/5nq7bZo84xL6NkgcphgbZ2ZHq/npjPYkPS+GWW2IACmNHJWbVZgGcGUrHVWCgltwoXYE6MwDpbKd6W4xON2OMMup79gzzxUi884T8KMCEVCDf0RrWDDDHJ80M4WJZBV/VHyXfJlXPxd+mVC8l0mOdd9i7NH/Ez8G4hkPum3puWSIBBfMvT7rl1p1LA1ieQfUCKsaA5Zw0oz/atBUQ3D3O0bJBs2cTe5WEwCFIKC0JCq12qPHtRTkflDWcEeq8ig7g2CLSq5qmT7VtriwACsYLsdAMnXvRwi2hR73AV+kyJSsl15WfooeasfJbWGS2UgBgE/EuI68USUQGau0W/ORl4nR1Aqr3rfyULmirURosSx0hRpx9OxW9RfLT3XhX6Itoswt8fuTQaNDC7h++oPB6DyCErCZfplwlFalSmaE0JPpiWHv48d3UdK2kdlb0EVFQmKM+YEeCp/LsHmohYuDrnUEdxEXNXR9nDv13li1rDGe++5qwAbpMpTW+jIw6gqbwzsRmU6VgclKFZr5A9tMr1vpsPsi2pcGQHbQdYsFGBm68LFsWPWFHHH7R2PUxdCOnjG+gQVQxLTcia7JqUFqtEcZFf7osjkqCMQdvkm+SbzHhTtED9GkH+xi3lCKm6F/rahPt2Qu1q+nMYy4ZjuRJNs/mVKO21+u4FlWMRddIFBPDOk5KplTMDvSSTPh/TbvmXJzSs7aV42ZZoKsmdC9Y/D2dxYvNIqY8E6kNQhHi8HvbtR2auRaVqULXES1avFj2qeokqS5yWoop7GvtiMMxIOYYwYETqTntmxAy6Bt1JaCatteDUrhvZaX7jwI4SnJcaS57xrx1bmNFIbsyXZOwC/L+inhGPRYqmxxnhQZBfj7YPw8YbvSYVbJeoYHXiwIkXd8f7BssHK/t9rTktOz1XPTZdIZh/LtIq1QuWe2NYVpAwuQTAJ78hR5WW2BR442hdezKrgTqT87jAlrIz+bhB9vydrTEcfU3namM8Bp/uyKzLKK7Bip7wKX4GXkr9gil1WmvTI1QLf7CUVyRdkPoAaftbmTB9hLKMJG0FFG6YNv4FibwymXM7gqNrgmLtVSTQBXQrTqeBLml/+w1mj0qqW8DggpSvRL821OYZcC69HLF/wJ7N+XLg4abcXwvICNEPdRfwStGXPXo/VqTkZZG7+dv5qoKCoS5p2yXUYT+KlNFaNlGrDREsK9O+e2STey0c7y7i99F5U9X/bfjE3azGmJdNCqIumCFpmjPkvSV0xHn8upPCYSQuJ0+7XJblZC/NvaW8ZNcYn8kSpKIOlYEiBww9Mq3LQftsPqgsnS9eVBRGJ7Ah+0+kLjVkrh7d28Wv+8mSEJgsgfAc6RmISf2R3U4QLIhRxMYkoSV9v38I50+ypcXN8EWN/z/qEdqoofhU1VEd6DSpWFj9WPTYqjV/R036/VezFX3IS3a/Y7Ps0ZpMPLcbbhgLm9dfvYyROdHgMIBuka4SYfep9eOFib16klIgE8JePEugk3C4ztZR6NL2d2z4ibytr41Iu4LjwoA+TYuZE4sLVDa3NuR0Wm3CBzfiYtN+ZquTxvcCKGp6vA5UXT/XjlYuv6I36p+Jxng+xVwNE7qo/X18Hrr9ef6V62VWu8n1/prndvKld1u7LGCGY3MunxvEAvY9XE+uu6rNTy38MCuMT+ijjKOoa/RpVT31Of466yLgI/CuRLVSGSaEcUg7lCMwVSsWQ4spptPQzjPReuRS+FCHsTSCl0OIs4AJQbou854A8kNXIa+Le/7FlYEYRHClKpL1TWspiZ4fPZYkx6i8ZUr0orra7L6KJx1LZBAt8hA/kD+Yo57RjhZG+ysxcThi+CDi5SxjsSnbXcwOSxKjTB76tm+8ukFx/eylriLhQy1wjoBCQpgf1whXcFeynvKeG2EXmel5VupFq2+GKQLlqnvFesldxV9GYDk9c60wWIm5rH34MIryt2IL4LMt+5iiwOS4nIT/A1KBsvyO7Y1KacEemSzrZIlipRSryZkAl3BCk1IsaH+aRK0soNAXhSxsHAAzyYkNWXQHjNSTatseem7Qj0M/y1DnmRox3wZTd5v7xUBkjxOq/x5Z2866j3GqceVVIOqDLPm/EO58nYmgLGM1cNLfa97Y8iZ0F7VKDoH3t45XaSpH2CImUm/N25wXv5xXpNfwcrf4Pfc2aaYVzYK0NrcgD4O4pVXrALJ7iEl9PeV+pIlpTnqLRgeNkgET53HK2BEYgs2o+Kz9+mv9R9HHn36Xgpo9nS6SnhFDQLfZmbcznGHmhHy1uLtfuJZqur2Fz7WBjNIcbRSOJHwIE+TxcP7dr+XA8qT6QaB0sW8bKyCQmk9gEcjo5ow9GXCZNhvKzGKSOhz4jtPrSH9KLRVOiqWptdQ/1Y7JCEoZvMNQBgSKUKYFJySYROYlH3g5I9MOJ2ZsEKwQX72nD4ihENpVxFltMXXW8j+I9ahiNPu8N5ZOywRTCUYxx1DLKGTWN5p04OSDtkI/MFpGSAmH0uIZSgjqU3gxm0LPoBAF4yUcsEGEXKh6U2j3sYLXfwlYc/z+9iM5o0TNnuw7KL8l3c1XcO/d7w+cN25etcHPu3H+UMcFbfkT9yvw6rmUxEPwkRMqXOtxspNTfghYPRYD13hn5tPyiddIm6XyuhBv3rLmh+Xx9VUNV5emq2qobNc21zU1nrwcrYM3+Kv8qhDT89IxCQQWmPXVV/fFS9/KO6k77BtXGull1UZAwhSWMxBt8+AdHe6GKYKM+SJigMZ9f3aK+U3dUdbQdCCaFSKkS5cn1t6FFTl2Aq4SSb3kPU6V0kCvmnr7Trm65pe5ST3dpu66oW7SXLxz5eUQaJ4lLIhp+DaTrdnzckdbqLmIC3aMynqxlv3w/dw/H3bYbvo/mEb+yYiYn0E08myEJ0NjM9+v4q7a7N6ri23xIwj7v3QrvxPdzlSVlJfvLrGUhnIbI7s4C9+oszrPtQxSUY7nmovK2X/d/Qp74O+4Y/Tj6Puc+W89+xXmFvk2/DYBE4RJf3Mb6r2DjMjPLx9bmXUXxhlbX/R13kUDNpEuxnHk4fr7SmDmGYVoT6OK8zG0dqjGNUtOtwj/MLcrdWmQo8uTWRdaYBtxqvC0Sm8AhCcrBJjgnv+Y65ZMwTnwbs4a+JuM497hMJ7vEvZSxm74bCPuSbJ86d3rjkymd8yg2LEkQOINDJfEYpEQwlJXIoXHoSWRa4P+Vnb0yNIeV8IyK6mGF0uAay6/Q+ul7n0cgHUut9qs85TEeYn8hm81kCtO33GQmsql0SgpTHs7I0FyuV0a9p1OY5DO/WkYkwNaX/8r3yEsGHsSufn/YTeLbYCARQb4D8c5XE3wvhw5XXKu2VgbbAPuSd5WGyr/dUQ4oe6vOAXnOns2yhUGcHYacxAQZx0hi2Dbco9tiBCf/zbs5PSu2Qsh5UBTNa1f4ATta/Laxc853ZLO8TT4GoN4XtEdPzMph+m/1d6Annvws/kjUEv8kaogfpR+zddl/FmqB6nEEw+MDRYiHt3pufcFQoNbUCDrN8VQ3jHRVuDLRBjHBmshUZ/6Zr8H/YP0H0UD+RLDXlXMCa6sF1enkzK2RNSGDrbGrm9wcQwd6bBCoR9vQ29L/OIs+czNbgVac08358mrWtuMD2bkZXSNzzk3BFKOePW3/GITRHfx7ppdPd/p665/jjxc0Ps1u9Bv8TS3NxZzgsrMd4pmDKbzIGlhNJC9lkB2/LZ4zmMKLqk6tDuclDzLi9csV8K5P7YRMrcBj9wMAFNbn8Ko57sqSrfEnAcEHVjCx2s9y9PmjNbJ1szVh/K8fXsyetYHveevq3KuFV1iXKVcoD2HXlXHil9lttgJ6U7TF10O1N2wfNlGwpG+bYtvw8fyCsJ1Kz14fqvye9t4hxaHZjbJNQMCXPKYTO6qX387nDbND2Tc4oZw30Keip09o9QaICNm1oH/B/5ryxJ35u48+wVIomN8eznzLQDxfgV+ti34ar5ap/9ZvDnuYLpIk189lNFS+kGwtGRYO12nqerJ/OfiS0IxyWcUU8HkzPmuBkXTagPf/+91TI/60DqlxfosCyWzQb3R3igP9JR1hD3UrZw5yQANA91qbToXNhrm9K/SRqki0xq82hrlAEUv2KmVWQuNyR4BiT5KqxNqL0gM1a8RrqjXV4+Lxmq3S5R2jUuD+3Q9LLgeVyI7fTDGTmUSmi5nj4WjulL8hYHP6E95bv1GcXTmqZRnfVyO2FzbIGTVgYnFjiownZ1fD9G9LEiRMieFDPTUbUkr6WZILsidETT35HPSuBht9EiCbtjnMboBMQaRoc+kP12OOJqQ36293nRVmYMPJqK2tSmDl4bU7Vm9wWvuqcV7dw/7GftmxA2RLjHfMtB0jIJ2EpUdxdaCEtk1xm5IpmAPuW7f+wBmYGP1KtL5X7Ekh66loxJ3n/ziyCxujammyGuK2M4kQXBlx7VdYqDZRHCUne8j249iE3ecjPlNzmxSB4VRCznaHT7CnHjXzbrvchxlgqpQS8hZvFqWZxUgi4kuvHEAnhRMx1vpDMARp/c5bQa0Ns7zZ41TuLPdHsSQE08Ir65D0PlrzNH2pKmk2TUoiwU+LCtrYde1PRNsK54jmVKgqGlMdTudQU6S/IfLrK9uAUsHqXc+PRzat9lkZfDmzrLk4hsM6uiZYV5kIxGp9JXeIxpvCOURH3qfZJD+51p3CihmRjOnM0FqfGp+DImxjftaYqFyfKSIwM1U8BkKVzQQEpboBiTHrcXSBAz/Kx1YQ3oPoWVYbf+B0l7Uprp4o0+GDbohvlMUurKrzrAbJFrLtfBeJ3qH8pvg2JTwrrVNCY0H+yEBMBFwOVbnJ9uUGHEmF4rVslbVd1G5VW1upb8KpiuC0crK1DxjV/ciUcVlwlVA3FWLPz/FJQQfIaaV+4AnxhD4v2ntCnp6LrrVmTYga83ASAsuXWa4fFg/fI3yKNjmLov3smSzC9nCluybRN7qy4ULcvZCL/66ZWnBJWp0YQWnplL7IuSy5fEp76pjoWM5Nac3yxxt6pU8U56M4Fr3lgOSAAvCDn0fKnYrkSS3VIpjLEIb4qXtigZ0lQxOpiB8p1tDfatB4RHqj4xt+i7ZGBfajnTd49BTn+y57mHc+0s5xqjN1bkBB5fdn/v4pCdw73HxLTxlm85emUo/nOXMwtrcJc1EPgXNrtt7l72Q0xg9rOtAdBtICbaUJw8eQTpzEPR09kzCcbSWXPt28IWPjhjLt7vetFb3xr/OWs5R6WPiLJ7dUCJqMLtGj4lZZkEwFszpl0pE7d+rjnqPP3+hFc9jgn1nf6d+x9iG4ucAv01ll6dbE3VVV+9CyMr7xLdeegeT2edtPXiHv7quGzbUc/qxIsMRnO96N89f2nsTpjIMFbi6BXgf7dED6YVPQpn2NmzI2/ZsJkYCizHY2ddL3L/pa6j/t/4WXynQy4cHSm6WrA9e43XujbwVRrJAakv/JlC7OdGbU/5Z91v6Cjja/1cpcaS7WZSozr+Tbqh8PpYLpo3rFtv2QTTS0Ta0f9WLlSx6LjCJD30/P4ZfbH9HnWBCIRcrfUvFRcAiwdfK2Ge7lQNcLfUXCERYCKTirDhbPlwUpglkxTeLZoipBlaRKWP/p5KN8FFkICY+5MK7MuZN2Z77hTsYd6Z/FGTIvN3eoA2zJDC+iykhD6iB0VH1SUO8FTzJLHbU/d8LHRTqZ0Io1uBWxIHj+LhqJUnqhNneVpTKMKAdeRr0hJLYiq+KgKfrE1EujkJ9XxqwYN04wbJnMG+caapmnTJhWnOBHvLrZ7Ka4okjr21LWJBT5sNAo16sRRG/Rv5WOBM9YN5N27ys29Wvi2Ugqy9JK3r3N6DWDK1cafQSJyldImUuw1jUbs3HQoXYa3BGFmPViVQ28L/olydXPDo+HeIHseqBpHmQOOW6BOIOhbl/z43pjJDkKWZLtb5ll/pJWiBfv3Lzo1to9a98PmLWFNGk+nyJImnJWZN6HeQ723fSbK+9IquaiqvdKLEmYJZivJ7GHATJj7Ka3/t5bl12eZMJwec9r90yDhuee8XVVZNDRWO+mr3Bz61xpVf856TZv5oJtsqOPeWcDU+rtykLV/uTI5NVkbbYuJ9Yw9d3wdqJRFyGkC2hk5ivNWc9k9PY4LXU1468jQTkA4RNMPc+ZQH2Yw8fXhaM3FPiqGr0PpTaTWwpF64hapvCW15Li0DlPwklCvNrG89TZhn5o7NnReQMbWbG9zIAICvPsDrhJcvN4r6xkOJLh0D/8oR2NPraPEwpRCiJqixWsjZknz9ZUqfeVph4++nHY0lJK3qjyHGHWXu/OQiiGsxoQQOXprIT2gBWzGStBh5nkphu5+dMDxHIEjEx2EB3VN5+/nJslsnOa5UsJXP7FqYqwoh7txAvEkP1ojrrcIrnjrW9yPu5ZgcN4bIgLCRbG2hH34DehD4UeStvxYEdyeaORamTJWNMhGvoVKjbWJR94cCDtN8tp9LaQbdjrMAOukeCFoQ2hjQ4bGxRNnsfkekgX+A+qv3gC5XJlne6qLl+re6QbX69/5JoyeOyJNOVA5gFHecfNgbXRLOLL9T/u721wuJtIMq+vwGlHMwOHM4eBl6q7sFuXzyKxiNPpJLqHtiPa3vGci4ghNWFPPhZCg5FPXQJn5Lr6P8Wm3ONhfUMGeCiyzNeEDamwQBbBY6xZYGceKy9Dduf2jtVvB6SiPv83RXxUKd30xUQfB5A3zN1mgXivkNfhOEPfJ+wrnSmc6YnEbvN/WfWYzV4eEFFwzF00ldp0GyW9ti6EzPqL8bvtl+4nPEi/O3I3uXt9D6OnNRhtY6lYg4zB5oHklyPP018lvE2RR4GB8CWVi8IapcZCHKK2zG3Z2NyypGV1l31dyapEkrL9kdp/EUaZvyY6s2wPXZCzy0vjP4RRvI2mT/uWPuyZL3smztXrk8KIfkwP/1gn8bN6axgv7HRaxJMH2wHK5bmTF9HUzRLrLcktcaYwyHe+TO3kEaTgAgzcAH9i1AqOFkyhSkK7YyPPpEbptLQQdImy5KX8pVap9ZNFebD55dNrMZAHtX1+jebALq1EKYcriaL9FPs7xtJIXKY8iOvD5PSTeYw4Wrg4IFW+W85T9YO5xcJ4ghNZIAdloHV0ZpV8zrxzt2bJEm9033AaGv5nmJCYRhsiupRUViol3nfYNZvCZXFT1kTMEedSpVEzxMyWw9QQZYhL3uYmJkWNJ0qlQQmFcwoVgcN8NTL18NVNqX35K7k4Pi69IJ3Kp4K/P9El6rR2HWUKbA7aA2VC6zDQqfvxbZNbPxCXWfUkpJL5pUOl487S3aVuNjOXKalK7sCYy7q3UvFUQn1z7nzZb5BHfMlG+zN2ZVCnSTdYlfTtn6WTIU/dOUq5iSoFav1Ky7erkwD9+S8b1iZGrXcCmqeyFGev8/xT99kfpNQeTzK67jt7zFNcXequPSPJ9qqtrPJqjI/GRGCg4Zsb339zUfIXRGxxqgoWZhypafBJ8ts6T+WuzZXK9X4igxKNlLtgHchc+7N9NVlnwKdTOoWPuclsorKAJfAjK2rkp/F33VXepueqTaoD8Cjampy89A0q/7VLlsnPNqw9G2fv4bSQA7DnrbfZiTSPQ5TiDLr6SWjCDnYFe0mFtOLib5fnCxNMdmptdVu4wF34i9RP5Cf384H6l9kmbC9vPJ59WnSafqkGjHPXImvYnVf9vNDG+ACALWmykSxo0qnC0pJiERyBoKWHWwN6XEsELZMm2EeLGVK0w0L3/HxpPu2CDcQ7vLdyNDQ5MDsQ1Pa1cig3VV0o00YHgoM1NpiFcdUv4lfFUV5ZUXHLbejzV1Mhi1csvj9/wdjizMP+EGFiQ1wC8bDozwd+iaKV4d8Dn/5PUFnewnbW3idiac8655BkQUCCL2EVa1V2LqmT3EnNrQgRhCon5ybgUrY3FAYXfb/y6v0pZxQhjS4XBQUmk3OKHLkGPS6xRRQGW9g63+xrieFHiHdag7YSF6LbstrST8ynnz/saHaCbaU5Y58EKeiFwbQUCDGaAVKgC8Mrj1KzxImE/IiNAk8v9spzfEjA4sxynFIAMYA4ULQExxBAtg6N6OGzZHTxlmMey5ZGVgzj/8iFybo2kXfIpshN+kb/NSdRjSxInePT7Xy45ocW4EcljgLp82Avh/zUqLa93xdTNrOoMnACzK4ia1aWp3d28XXtJrCOEPguaqFw7SKyXWhUFzxw+YzptUhg7zfiUhotZAMuXX4lL2eU5SlnlD4l/jS2JA8aqYq194Q6AUeyD1FI8XNQMhnCmamwjYhmhewzG7HxPzijjMYSQpgjdLeZSCvjFNTTT/gqD/QwePWwvLjFD+NUiTn90HiNl7fBnxcKtG8/zjp+bPQY/3ji9aQJDa9zc6cGlGHTnZ0x1RbOiBBF8JOmk41hTR790/ceyPDB4mwV2/AOtXoQSoBLAFEbClYeUI58m5aj0Mo0sJ4nSpojXnFFJffoCWsdVk+DbDIDY2TAxJsHRcVfnfDqO8AEZmIch5xAdv8oX3H0ZEXax2jaW0Il8lvm53LUN9SlDqo/z9vZmoQ1Bk+E6J4pQ9UBD7NrQaUxtg5SiSmpl85D2OAgyNdRW90RLAibbSICSP1e4VZxOlaQek4Pd+ZCJA/JSBfHqxUX92p8duSofLbgDn1D4c9MB9p2ojHREdvGyNE4YfxHaKmNV6BHyOwVZEex+P85SMhzpWKmv9ZQ7AT/2+ECly+2pOcrHXx0gauJPonURRDGVs36jFVo0VxZGgtsTC4KMHUoe6+rrlelS3KhK9T+qa6D4u3vL+13C/Vwc3CGhbhBCRgB5LzEsK3lGBS1LsMGi+HVlacj6TXwLJkUqVqVvYaDzFzyW3ypo1x4SgDbPmCqcPXqufaYC8f/LJF5FJweY0L/Tj4lS2Pmltip9mzS2UtNGr7FlW8Ux33n20VyKRzj5alijh0S6gR18IcqCFCPZ6dFXOa1NuWvuON3y2vRt3T+jcGc6/K/SnZp74PtA+xKCwD2GwzvTB0aSWtD2OEwQhK6FoFg1EJ4P3wkPt5MqY9U+qwcshhFu3QKykv+9PTr2yJeck0uY7Mu0idapUax4hcoORtFC6RYy2rGmmUrmT0V7vL75TOSmXxD/jjtUgpPFU1t0hTvAFyfZwumK+FIRgUk6AELwzvE6ZNgNEvIzUh6Myoaw5N9gg+xhhoXshYGJ2duzfy3+KNYuAXkpbkOVsxntd/Obr6/KobOuc2yW8x9w/yQ/uzc48SOxiH2EE1G20pT0VaxVzV2JH489x71g/6Dr0AAq9KTJIjNL20v5lZZHxSdd6iMWVpJWtNJW0vTuoRbEsSJcwUi1p/crwwD40E2EflGkEYXysm3BUBj114uz/w8H/zZsFwX0JxSD5Ynt3B5C1VBuOaBCpVTQJmzjuIc1yu8kyXeAp2fO/9rmSwhNxfOVEFTmADqhJrM8cj6zyPf56bDQd/TvrDd/BiWIYgtAYcIL8yRBCK1npKCEFdJRbc2yTgoVQsTB9MpD4Cep84y+Dby7bcVVwbawm08lPBz+4DqkNl7NcrKU61KpbLtVIGy4NQaul9qAxFVUSHEncsT3gZbdIjp9E2Bn+2RpDVkcoIpQe+sxnVMGsV92U4CcNtANiY5mIPyKkboLfMHxBleTHc5S8REsmewly4Gnbl0f9spfO+bmQG2B5vvPd7b8W/9n0U5WeN0ReFROVJ+3KVeWscSAJmDgcWBzxhbvZuCzXsOHZWIwhGONdc1PUnQKkVzWUX+JpfqL6TV0rMSaYO0fqm8wcfy30fp5Kxqliqfk5nES04mTg1t9GWlFHuIrvz5eManFGN+1q4hzRAQ8iREqpS63WykNdyGFmtMYH1T2SRXyV0um69wqY2rpUQ+1kXoHvXu1u4mmAgHtQeBkCchUqXU7WYjreE2tFhjAuubyia5Su5y2XyfhbX02pnx/aoElVqsEBuS9fxlmmVAyJMQqVLqdrOR1nAbWqwxgfVNZZNcJXe5bL7Pwlp6bT5OPver/vNcGHXh2uWnHekloPrAdmAgnep3KMUKZbCaEXeSZoAgUrAYIXa+0Uisv5VYqIyONkqKB7gi7lxJ/saw63/c6HRM9ZFHm8l3DcjrSE3WsF/lwsHs2uxnNTXor4OKJe4qwjLF2b1+XzgQ/CREZK3LKRNVK8e5NvNcYKXl/3y589rOb9fWXvt/47WNaY7SHJa80KY/S61z3elNxDuHo2ivXKyN7JtQu9I4EIKHDYwHiGq+y5GUAkhJfXYJfjONlVBmrLHT5Y1fH23SBoLpQMCJMEmExOl2Q1bdxaQKO0S06RuzgVBL3i2hS2q5PC7817j6UjJpO5Kc+u3fk+7iszN8j0Z745+/5flAZULuM58OeLpjQ8tVSRRJsUoBZA7fozsz8eGvl+QjLGeObce/h3+ueK9TvuC/YLI2n39I/lrASeUrBjJ6/+6r7DrmRYXVsj/JUlsAO4dUcmZlb/SnCESss7ezMMYbTxorsmPlLGb+DE9NiJHZMDbWITYX8DBdBCEvlccfqF+ZgEs4djP3EOUQVUk9QTmB3URaSfpduD1ChqJiKZotoymbcyok7LJoS2ZNskSo47amdk98fyQkLVWsZ4lF6V+8dWks+RLqUYzQoV3g/JuLyomaUcp0IR2i7nKojv0Ga4lXsLMESVU8v0qpECjYOKfhr4hExoUple8dBNsjN+DK5evHjWtLDLMtapO6Z6tFvWeur7UrqNSvSAcB33Gi5OSjejjymqw5koJ0iQaih871oFcuAxkJpixMZZLVQDAT90T0tKwKFqdKYXFsnaJhxpFnd9R87UT2aEspqI8Rw7ELgTzh/wTwA35X1cCvL9PzjQo/G86ZZHXn5ALUaVTtafTpQwuzWedIKeLI2AxWZjKp0+M31c4NL2brVrLVa6FRyGByMCKVnipVldea71VMgSkhUNaFsiq9OGORGiTs+oeO40Qq1AHLjHnuA7s3hPdP0Lhqo/2dpa+rgwRBgcuDFEGyC3vO7FBEB4Eda92fZj9lPTktkgZzMuhhnBGi9k+w0AzJOPN0mxAi3mRKJnknih2VMX72klWyb+GE0HKhP3ktEK+QRuWwlqF+la9M2eBM1U2lqXGMDAnmwgsszblpYnxj0nD3OUS8myW8rometC4qoZJf4XjNOi+M8fu5jpHHS+kiFgmJCNTbHXPcq919xP6wnTtblqYQZt/6g5GuhXzzIkaGZkTBQ053DnnkqyGPAQXVwVteR8Vw3QICXe1CIBa9t8/PajE9sUjoe2RXarZkjR81xDbYgxrEskFnIrThJOSuqhJfLtxHmIRpwxJ/wSYvTkJkQTZXTCgKVdpVqUUMOq48MZosRyv4QY8k8CqPxgg1mQ+xkseYRKALwgG9wsClX44HCT4bHU7cj5vETy7GYCYx80P0CtS7UyMHVL2qR0rVoCoYz1NNyugoAwgaa+KZQyZD9f8pwxTBb+yfZZ9Qz6Orybo5IQ8i/Jnr42H0B/D3RYxUPFFPBA5Ywk8Rg5YkifArqzpVnR0sWadsjplHR6edeWSVZWsjJx/TdlpCOyP1ClpkXtLF4w8YRxr7ZYqCvyXf63X1nyAk6iVxsqKuvRxISc/2OcRNaXgzb5B8n3yvl3yfem8O6T7lMsZkaQzyRngv9jbDTBCsStXPIGw5H4eQmHPF/bY++SGPvBNj81xqC5MfVdKiB6PnAJRTXcYay5iDtl3rMWaqyekCAtCcOf26/lH96DHNsTl/dumOTBomJ3WTcwxzgIhu5kPxw2x9NqCQ8c1X4ldMHROgK4w/SnciIu5cz5mmT68jEKYJQyl5pOT2a7dYgl/PTn3SlZvDp8N1/mYwJ8C4rDy0NNnGrmUSO2GeQMT9h/eDqCN+QjrlECivOEGsLZKAaI0cL8ctZ+Pzp4pr8W5eu12tDF2CpVPNdkGwNOG+wJ8i+Xrx9AaENgpA1mwenxhK8t2QI0stS/iTiKIhbr9PxElwaYoJ8M/l+pYeOm+JyZHF/jtzKTOTrRPYY0y/62YfMh3K/NkypoFXw9nIPQXOM2bQ+b8SonjDxD986cLUck7DTw2Jv6kndebpaknlKnbBtf9yK6fsBckCWYAVSsgELHcEdh0XwI2HhOU2d5tSkazJtOZdCfdv1kmTpQ3x5i/66J56X31S1mH/hitBKRwQUJsh9hP7LmDZpcxeMUr8swQlkUaurFzZniAOFmOWakJ7Z2vEuXmcVukIXcGcba5iKFfDdcMFr8/xC1P91i27iJWFpaiR9AsXrvqf98kM/uXx7BpO1c0q0iS+RuJriBClpnx7dE07sXDTSfhzEFiaJFycLamWKkREHyFK5As7V3YqniXed1AYzs6tEdVwW0Wtn1Jxm4PwO37kk/P/KjzMOJ1xi3GLcv7q+djWOXXSOpFOtFlkFNVKa+fMjL199TblMeNxxk3GTbDjRKn+UIPYJm45ZC4loRjnvDdTzlHO5kz+V0j81s7jaTq8itGastf9n49nnpvDjCGGgPtvH3auoC7zcr7y/cy3h717ZoiaoDBBINuKbPBolFhe0GJobwXNMaRkYbKWsBLiBfqXSfyTeljysbN01mIVIwKnCGayY/0odw+9w3943/eO+EG8oWpxuSr8Q1SQ5otLu7rpt5Stiazdlnc/3EfHuqYOLZlqmVLSKzoq2g9Vd1S3H6zpqJkkfQCRvRB4wdL26Wt3r0f7IHyiN/49K7k7+SaXEq8WBuSkkXmvomm7AeSal2gew7Ph+Ia+P7bs3PiysQ+/4UbzNL9fdvx445mvG87mMVG0aK4WlNi27fqzajhxn+e1TX7inNAi/2ad9x9nHKkFBcgOKrXOXZs8tCsb425VVS0M5+xJZ5BSzjctfn3jZSwBdu9sLm0OqyutKznXWNr4ZQ1PKljKFwgFgVfTO9LbF8jlSHn8iut1Z6qmUheTFrtA3CIPUM8m7oNIvh5dPZqBYj7NoaEl5ejq5GYkxLiUugMeycJD6sSlhYj8PCVdyRayOzgSjpauzSuFrEKq2lE3FX5Bmki+GawKUGsCwsQxnB5Zb93rN6pGu5ZuBpBz/tZzV1/b1Zoo4fMJmIza0J1+nSBOzJWKmODABCH2YC3EZmp0TzevJ6bnZQprrnxfEMvhtm/TxSuRN1JuRD1JoYr3JuzdI9mbuFdR9XfhN03w3pB87c1zu7yHZqi4VclfvPALiV7Rvkmr05enel40J1xy4DByF7tQdXbusGPHJLsm6GnVab23o2Hsq5TgLA0zWPbzKCmcZ82kUBxez2a4pQwPKcJgKhgLD2R7f5B+ln4Yd0QTb5uJzg9ZdHtFF0Q7g0Hsff6T4TWvb4kZDzkPqRmSlinBVOFe6d430QYDxoOngzA8ms4KfcED2fK9awgculXik7jdWKIvXYuHhUzAlCa5+UMnD3YwbR9tSxa4lLnJlwY1k5cxESUAMgZ6m3F7kH6bCWcwbzCv99NuMFiZzeJmpV55YqYstyTkXnKjeDATZRkowl0n4a9czfz7rKvRZwMrS5OZ2CeOSF3+N3RZpGnYjnizwFn1xQx5h/T2b+Rx3ajfut/jF3OTCzngORJYxc8skA1urWSNr6faeMxxFZUjPbcGjlrjRsJNNbaUw1gndem8r0cslVZupapyeJ3GRjNju+CwaJtwnWr826jlUwcnw4yLHpGEJ6yuXS31Tm60Vef72Zm/KBaGCapDNIrITWcbtmJECdWNMJ0CmqQCNDu3NG+x6eSocIqYLaiVP17XvY3Q81g86p6CkwVh3HAehaVKf4tRdFMtGApaJxVRGrTaWqVc2cZuU07wh/jLlI308/OiP7rXOYjjsgprBp9xqcxQdnUvFUg9bXYIrKg4h/wMOfpr23UBgBBeUWZTIXmGCX72NgCcwD+RQMyp2oQLMmPVSrojV7ZJRxIvy0Jam3BZ7iRXWhO5skzSlnBBnhVZ+/TaWgAlqXd0JufHadMMLiUNNia8CK+t8vymihxIEMnNOVK3kuIShYeuOcepEEelsJrfU0ASpEaBVuWb1W6GYqc3LG95YjEJKLX8D9TXecIJEkCKIi1NeSWCSyfLABHwrpsEBJKBicSkvkmZvGda1H1aHtoFUrZfzyA9t3TKpXDi/8ALTyReCkihfg3dSunkhHCiHxCLF8/OqV8Anp7IfneMn3sW8reTHOyVjReeSnFvqJz2aGTHATrMgIN2rKSip+d56jgXU/Er3SqPz6Hk6rXn1vHzCnIIXq6vEdkECmzHTrcoYS08ntECwlYUVXQWaCEBlLql5FK8cVmThFOwdpulUIFTTZ+J05KUA4a1HJwZ8vPxqt0rP13DkcsAO6M/g6IsUAcXKCnqfuMoB2tcUo83U8rB4uXkMnzMuZGTD95NXi4/XZxAOVlh97cQcGkSKLv2dPmtpM7uH+U/wxZc5LDMLKKFaPBIs4ByyP/ewZ8AjNhIJ7hCgKzbWLd6KzUREgKy9kftke0BZdDfMP2XiHDwITT4/UcjATjb4QtVNkVQ+WfrukIRQTg8m8TH88GSzjX5QvwHKA+JiTwcuwyzcB2FoFQTGMA22tAgVsgEmWDef98qprYBwc0o0KfW5HMyIkh4y4IETE8sWylgUWHVeEkykUPs7aRgqDkQdd2SkXsXwGeRWi2HzJqNIaQWiLhDOmdYBa5JKGAWNHcTc8i5wIJKu+kxT1sfbWViWdiOTmYeE1sEq8KxndsE0i4eBB8uKdRDQPyHj7Xq2vXG9UsInS7hrU61DHBWp/VP6ThVbAna8VDSRqaQKPUNNBKVNBXUU3Lpuc5G3IbNqFzCFS0Y5ND3/yMl28CzCYwubBDCDiVnu+qisxubCqkEWkUdhU6l9oAOtogpAr3wS2WV5spzfa38wtfHQ2KUJ//iCVvL/gDdEwWWva2GBZdUIOzirAUefYjr7ZdN+QKckZHHzOuupecxcoGxgPhjw51br1L0lFxq7nt0eicuf+6oQDh3TkHo8haJOCi1i0ZnFeZk8/gMOp+HyQYbR1n5zkXs88/GuUNct4OAxv717ui4uJ8uoUnArNAHZSZz8WUQbovsU+uKXMpGv17lFae8c5MN+NNncJiAKo3MEC0jR3uEZ3oOMj+4ZoiwpGj3KIxFBqDX5aNyqLmj0OOuub7Sy3uZEV9bsdAKPhq4XEAjFx0ZhYyM1+oArz4ADelPVy7KWeLbTgDm+ehP6c+en+afoIL6Zl7iA5PTILpgBsByZnS2LDGBlh0Vky3RV8/yOBzwOeFFFkVdkFCYRi7c2MhqBNX0HGZOfTMli5QJlDqriIK5CTKAdWFVlSfK402JBgL+dJ4PhnGHpcRiBptn0EQMgSLT0UFsYTAIAgWnuJCPlxgLIOsZaW/qA6jknN8jtul8iVD6SlIokanKyjbmWkD7Co1KrxrVKzKIYXiUJa9ld1v8YhrQs5GVUTvsbjN8C0C+6GYK/War15e5ft/+yfg3zgYJ5PCCKP6rf9n7E/L3A+oEdsGUHihyX98bduQy/zzEKrtQterensOGfqx9FnJB7UnsXyE1Xu27iNhty/Ovg8VbCBz0Bm8pWGMtLjaDEqstZsxTyZyB/I/A5tti0QXVCf5U9pReCse/OgGHqU8GuR/emjcgCTYtKLeZSg032gzVqxg0FnXm4Krp86p1HLz5/I0mc9Pn2+aYD3uZFzxnmBlkcGWIYpSt2VJuKTPv3V1hK7dtGrXqSGwBxdLE4bD4XVNZbAa7Tz+5ZUcRwHxozF7jVTNRL1sjAx6t/skZlqcWXDLOBFB/uZWFkXLJU4CoFz9LkJ8rMVFYbBYE0CfqKhwUMwe94nIvt39rHB55VHL/Nc3+ywxyPkwLlQdJZ09aaQFUbiCZYgNnJ76bj/92poDj5Qu+DaWXJIiSRexk8+vvFCsvhZuawEviQ0oMFYmCZBEHwUu1lXARbESyIOGHFI30pRwxxWCyS3/E/9F9WPJRIxzTnkvIIQBr1CWlbRJDmxn9wYyDlNQQ8u+tiAyo87vsU+yd/ltiwPcy+i0Haco5yLI4zoNX+ssgETN2ddxOKuGmKDMT6EliYMmqTOLHMtVZZTrjI5SZccwkfvFqTCVZuC0qJCerKOZhnLAcU00WHjXBK4uij4RxgXRhhj3KOhlLnhlx/w9IRULWp3NLsrxc5rkeSbD4Rvze15j9b/TeDoIQiR2RQ1anfuGp2HmcvO4kSgQhKpaK3yoNhMK9L9TSSzOyU1qdG11MwUe/XnghT8PBMDEDidxwZjTKTIKV44W0OIv60uJiIJnQPfw9mbBInagFZXQy0hRNtv+4XEDiE6CNYM17nnOw0ZKkmV8c0DrxvOSZoDL+G8+cgie+TaNOhSdtZbQxZOe+CYaDLgXxz38Dpk/lw9ghbOXbkneVbduJo8QNq5WIs701quKKnw9khZi/HwClqwYiJvg+cUeo+4VEcC+aS3pA4k66AKDJ3OY7OqhOajxFgWGA0kDAmOSSwGD1606lx1GRr9e1AAxgAJBSf3a8vmocbETkxNKxGYItvcwUakaE67ZsktP7MSYobEQTtLNw+zdvOsoiQPW2EfAD8xZPWv0Y0pr7zB9+yNtdxzdLT0JVHkAd4tRVyKNwG1pJOLIlsiKciG1qheBTC9kjoQukqjnLZDUI7stUfq0EbOruUBLLNLmORtzHLVS5gAD6aGw6B0zxkDx//xceLisn5JFy7LW4EYsx6EmypcMaHw2Ao2Gd0TwStwHU4zEhlZHFUcS85ob+5aM+HVJV9zJpRSrzayqlDMjAMGQTupXBZLDbvYSEvj9uMEFT1xxod+qIBnvXfV4WFD5EJ2dn1nw7jdpAIRZKSK4ElQMR2Gn+be7GUCuKxWGBBIdBtc4/IUeBzKyQV4Cp5nxOEJdcGMx6lksuUrf5aK/qj+CJtoLSlj99kWRpNlNYIIkLCl+dhA4qib+oT/k76CtBlMBclcAQggLgOh0J/zAlCvlRHZKzwpg7ZppcDPJSb2cCsN2JBQ0rGg4Je/A4IuzxcOi5yWPbroKix4YhV6gOA2xk7W8kwnfKw8eTMb0HoKW1w4AfqWzQjaGZ0ZSClu508fFJNAPcgEBPNpRV5vzzAxcUmjuQ1eVlea5vKKAyjjpSCnA0WxKd2AouA8iVmopqzOsdTJDRWD85vQLEYWA8JTma8AQfIwK9bB7rJ4hNgn6zKQHxpIme2hvJk6P8Ru6cipfgU9c33dhjkO6xk6cDWahzXiT//1XWpCxUZdjaactSDWpTYWRmdknSH/9GiuYc+ff2BMEFILMqE7YiTgAwjxMcoY+LvC03xKbCOSEAQYblR4vC/shO0ANj2Aacfqfpen/aB0toMqYkaZ5FtHDuoWNAyHrYSAuCJ8ngBeMR0pjkKF4EsF3kw7MRwvhHy0zoIm+VKKIq74w/GLA8jo6Z06f04nrumttVmEzdetRccvzGr9WA1rfgq5EnD3pFbslV+PC8ThL5BjfWg3c2VnHzwdcBmE8ypyQGEZQeMA1o5drf+S4MaBzMVQ88hLCuXBTNe/5+l8k/adP+i4HHHTwTk1gooBBUBcn1pl8BLztrUJXzS+abV6FE9aNdo8I/UDmaoY4hMIQqP1V3qmGr/y5sTdN5mep3hM3AXwdqmmsdsnw8BjW72EvOf7ycX8gNE59aBc7kkOAFoZdiPSCLWIAp2AgyYDEubB3kEeQekHMKQPbjqXtWH3TSAc/DrQixsIQZgXp6s57o56ZEzBwzXCthqamkHyBX0gLdHB0h6YlxGf4r1JaVAeBaJ5ADoCqmhkI8Bw7lEFyYEEeTFbGCnfmdoVOCC9OXkHJ72kxRMyVavDnQTY2YmETFZpgepgI09zgzK99Cd4L90rSrf4yreGUrdjWXGGQcIchZ9+AL39QOAtM78zkAVR8x9CdMhOSoCpJaE5vb2xJnJDWrCjgiBCzoldrJT/A8JGd45M9ff97h8hC4i0sghn38tst/+x/xeEjE8GsX9z//QfAQ36uzSxJnJra2dSS2nNZSK4+LROx7FG6WEVwEsNDk3V1jzyaes9iTExxAGn+Ww4x7cl15alQxeir95ghgn96cpviHD7BFV7pFBrw2RLGiZjnLZ0Xls4jVXbUmMGjgD/RwQQxV7xlqBfIB02LvqoR9or370mrx+oaiyPT8NFFoj5qC9tZAFqAIyvgjUIcqOO0rouypECszsMtdWCaCHY22APErd9l3wZUjfJCfKQ5RqaSKxHIDi5hGtIv0xzVOTiob3WckAMbCbdgEVYJuE/uHSwr0zHZNe8fyxj/yncKlQAZEnf316nR1fX+bGtAG6Pam/CODqh/bM9ulKmkZ59WDlARnh4dwtaeHAYICQt/RlikcM0He7PTogBN874AVx2U++ZyLtBo9K4EBpZoCOmuSow/G+RA2pJBAFBBdhK85q/ZFvmOqgVw0du6h6mH/n8o8OWCGe0lpn8gxS8ibwcbCeuDz5YJ6omK+MGLbfmwddrrLMWc+7G0XmrEQL7gDY4i8RBysJ4tuJTUk5MSkgzE39LhAhDlCp3zC3FiwSaIigJxpht1yCDsqaYGx2ZQMdRnq+4CZ6dlMzPTg2n9clKRnxDzc3EipHkBv+2cVlMVbbmuF+siDUGVGObnQWVRGbc3IJ4ESunrdd9bvNg3djpfMw5r73meDGtmL/0C1u/lrWF9qh6kPtokHRJvo7V3FYyPGf1aZthcbi69o/30zlRlSCxn6j7eDcXsAVmgyDRcqO7rB3JgMcRojrSisJbzJ48FoaxURRNh7ucjJdqez+eCxnQ2up9inPgE7RdoNbYiqbyDGp3/EvQadBZz1rMBfGzpx3cAUMaTvNjnsrVzuDdus8XDfvNIHoujzdZuc9oYotvq4h1k9fSMO6AHydayLHvWOkD4Pc5HHrROtP8hcEaavX0jNme83x+2/4dC9oe0iabpA9wNwfh3vYkS8Uz0tAdbpvpRFXssLUhritfPMyaTG6IappoB59nViaZIXRD4EJO5mFYxgarsI7qdJMYISpAaph/ox896a3kit0qOmo/OOAgXBA2MP2hFcpu/WY+eRTYC4e0u4xhtiOxlI9WHaFQpcLrbDwrBChCmO6cDr5mnwSUsf3e2QWjocEd+Dt/GNMfWBp1wVbC/vG07dTp0sUT8w5NArG+QbxQO4TX9ZlGoodEt4f4Ld+jOAqEWCCihxOm8NiZXM2fs9mAdcigY8VbU3G47UZPx49+DB8r8N0X7mWdHv024BiZsWhFyLXAvCCyrSZUl6iFUVtuVklpfJKt8BfRY7aUEQc0MdmQERV1hdhjhJnNPDjcdJm92WF1sSUripvPAeQq/m6wgF5GP3b9yY1dowLVtdQzsAjm3QiRpF3zqJTy7oDyhXmDK2MAUMDKTr97FzkSHeUNQbzBvCUstlNC1P2Zy4DWuo35qTsS9Jfx6Ek+BrMOZa9sUHW4u2+66J15KtqpiGGN284RBeKMdn/inLxXN8n+dcRR4Asr2aICxqsclFtA7pEzAz7IIaRLzQFM04JwqMEQvxi9RecDnq7fAlegFxbZiOra1JcuBNvB1eIj42+BB8H1oTFBL63LgDaHtMP5q2HiY7yOV6KtTgo3LwEkPzwxXQqkGkWWIGOWJTyvygHjmXqF9QqWrJOwx0P7Wn7ljvbAA0i+HQpKc5obkitSHeOM8yMhoo5RSAWd4gx71wV2FPib3UDnb3NmkkXRkaWSGAuDGFM3emdiG2kixt6rXxja7o3eIGMh/ix3IkORUaWXubZTWQnqh7MasQpKvWDNgG1qshcifDufIah9Wyj2dDMFNF0Z3gT+NcZfa6oC36eT423NtNknI0/1i/AawAYp9oHT+wiTSh3p5TFHooE+9BbBIUYLThoUJ9TCfaHASihhstmHbn9tSjKD1nYeHy1N/oYDzVaQ+EXOxUjAq6EeBDPPwAq6Wgz/u5ZTlhdYSJb6yLX4G39M2j5XQHzdWCgLjjXhBSf6iRUJOnoID9FcCQOp25UX82WszZ3hspu9jvWZ4JYlTe5H3kI3oyOjN0E+W6Hg03n1xhWTFkHvpT9h3yKiVa72M71IXBFTE83o5frAxmQIkHLE/76EP8ibdtNwF9v3m3CoJ1esxObZVq+I/lJJH8A++mS6wiLnODO4dkTSjzMQC3hFBB9wX/vaRaH/uWw6xh/8BGb0jbv9dnTQZUz7AObKOtIqggC6PPdT6a7V5wfWnAUj2Q/1+8mU4phZlD8wI18pCUh86PdAXOQZaCUGWAnDaifQ4qht+JoJb4V/DFAyCalvJ/ELeKytNYbMMJaQu5F33SQMUPDnsdfDRqNqOayOFIo6XM6vxtda3daQrAO5pxQgnZoqFlMBlDGY1QP4LAMMtQ2NZt6n5QVtBRMPzgqenpnChYKBIJZRCJvwDbf80ZqHGeD+zeT7O7jqh3tmOL4kV6cQqD3YTZ1cNKwBt9471qfEG6u/lDgOfvzdyQcocZrFQlAKQ86KajsfcRIA1Zt/lAnpW0x7B2sROlKO8wQ8cMYq4xS+/eF+dunm4GYsQ75gZTVPgWGnbWMrQFbdqGtMBdM2dHMH1CWSjIC5SGe4Dg/9956fHpe8A19U9RmDpUPZPXvccrxrTe1V8UYZvnK6G8nvVr4NQ3gaKEeMshMTrLnFOGWO+rxXpBEa/Fjc6WASCAvlr9jGl+SXkJxHXVq4aRvMWbn8N3SNbVhpu2tYWeB8IZZRmVwCfjQx8AuxohLuCy+GYGStgvNNNZQl93NS8I5GdYq1s+jVoUYurogwgGeMMA5O7Gftdh6Rd1LkLFuNfDZctJcJUmGgh8kvToYXKCx3un5HsfhR8f5ILeXeL7f/zg7/fJw+usop/AP1s6uN6dq5hsWR4CgmDJ+W1O1XF1zW7cFDavuYHL4XEavJvp9c32ghQs66wMmKa2BaYaF+cQmaSoGLhHaFcLk+sAihInFnLwzKwmYFSYRyTiGLmCNScLE0P5DvznJZHpcZ9bwJSoP8X6n2MAwwCEfkWbhEym/HJoAKfWnis8yzhL3PxH2/TSk+8zjfZwWTSt+GT/VbuJiKWXfXYaXIZ4aor9dMGL7Al/+OjUXjrxIrt1/0ZfYlp+/SVMA9dQ6ENatiFXaGiFSx3CueJCkrgMH5dPiKskiM0MMfCgEyACQNXWypQTtZTy62q6+hitqtY4BdCU+cX8CfZocdl7iTKO6klk/y/XAgF6uvo6tbzOtLxIUC7WTNZgcpkEgLbzg0QZQ8vPTmAKJR+EELxxgHG5OGkDxCm8OisPYPfnc/nWOh4/rzaJlzm1kZAlk2VlzmwsXz27CcwzwICIj6jwB1E4uPuHrNSsh7DItb562NPZ+OQtyOhbvvz8A6tjUZHR9BhMbIxfdKSfb+zD6fQj4PW3+ckn1ibCoAj/Cw/tM64tWYzOtWAWYnJyMUvxCz1HFmZaZH9IsVMjGNm11WIiIin5iWV15lCmOLNfwxvM9KZYMEMYMaZfoziI0TyBZTr53fktGtYzim5FZ6Nb0H9qctiobEwrJrIF8ycCiDqR9/il2Lz/HNYkL9ZBKKZyMGFsEZspoERYXe7fDQw/8tgZee/KqY3wXIhVbk22gQ41QG5Ny1+sHdbOv56sTT6u1h5NNqSyZdGC6nCZ6IooU5lWnRtJqVpyVZ17HKlFftqS97cwksN4XBU5TqSzkYQ+Ta8msna6ELOMf/9OA8PG1UORNRXbneeXtRFehV9g2YghxAyqRIBofSXc4m0EtPB2iY9fdPocqnDx752k6Ee5WgQDwPv4wDOGedJNjjoHdBnv9/QKusCaL5al9eGRW6S/BE8G7U5JXyL9GOcF0Qbz8sNaPX8zebgLZ3g4yNEjcpshWOtQsKvwWohrK6c4wwzsnOJJvu9apmVKQq5txFxGX6pAXkYeyxqHa+CX4Vr4Qto2+Pa6R0XynpRKJC2UgzylzJP0h1Pt92VUDDXHPEw8aIwBk22+eLrnC7LRmmfNr498yBtiQG493U1HcGGMkIN35qQWaZ5y/kVPJfQgJ8Jku9vIBnLHbnnYGLKb0I3+H0z/nfxbHZHy8ZTte9R2VsIZP62el9dU3GCtwvy6/1FKtaXKQtWxCobqdiv3KowCc+aAdzu9oqCqEJCGXrNjFoOfr9qeHieijJZkH0UOZw1TldSFWQuRe7Nl1/ZTme+AEtxe9ChhVKfULSAsQO8hFC7FrdtsIwCpuC0fnKvx9II0Pyl1kIw9SY5pbOhbYs/SA8UaB9p31KRzybT1yORcDdYJ/FEU7mzvCIX6nuhz+dprts9qIDuQ5H1jHnU0WKtDa9BHQg88W+wriBOCs2LZxMlkQlqHEQG29MY32zDl/aEmntXZtjrDFsjaseZEsIFIIhJrEmbyDGHlPBDzKO+aOF5vSy/3C3aBlTLIt4HGHYtE9qmmU1dD+hAcNRVuv8DYIcVajE/FFHRulasuIVv4LhxxqUKmkdUr6n/pvz8CXZMtfnSrNVw8YbxeSyCtt3C5ZOYXFuYzyIf7iAHhg0rxoJj9OGOpijWPV8jH8zPnOS038/gEfta8kGfZw9FNgs0LBQvZtXk1zF5+r1Vonc+fz2zIa2CPQ++zQgBT9Z94E9nb2UfwMmapz32WKFE0EHI7ahEtdmSX3axdQH2UkBoSSgnOB+mBZ26Ot9kcBN2YzfuH9wJfTCEW9pXBiFDKRjO7qpxXXs+uFPWx+sLbWG3MSx2MDlvfAVof8sobngOS5wf+Dr2B90/Y/tiubpLHKoU+PtF1mojSeDGEw3fvIDHp9qYYi23FSSc7WIyDhyM0xikc2CNdvfqzEvJAnQJPd4KzmRhhcmNn+0BjtYWCwjYtX9uB+O8DHl8+YBVnCsmYFrkodd4gcegOJzqny4c7xlvl4sjayV1Pncucm72cq7j+gxaQSLzlNhgSRXSViaKpjRruimxKEE7dyt0BzdhfdUXxXLHuufy5yp0Yxs7iwsk6Q1KW5rSZgcz2m4h2EvCov/vJY1CM2SVN6vqVUzM+1I+ibODyyJEK3R7mBtEyOaipxFjSqugemTROsp5+Sfo0LV0ptZem17iIGUtVCIs66KjUOZ9PrqwJvTPAFiQpf3/gxnISBwPN3Sah6D8R3/Q/7/9sTbYjZ8Pn+bMmHj9IgCYc8BzbWkXKMMVqvtmckwT/j48Hp53ekc29RwOOP43MxdPJKcKBJuU/RxtMu3yuS5fJAxtzLcCexLqyusBaXt18+fx1wZQMr0IvOtuG8QPHyeKPQKgyVckAaW2lo86fBWWWIab+XM4KWDQgH65jJGylBMa6UOxR0RTkryFqbKWPe6ww2KlcGaC2r5Qfq1ZWn5adVmaVXS8Jhnjzo7MY56sD60cc3o/wD3wlJB6urZVX1qXf53tqRBS7T7Wvvn/Giamf9tPT9mKJ3Gg+K7IViDvQeqG1JaH1Zuut5Nt85UeY5s5/qgZNaNI59Tmbf1Sxmnc2fyvv3rjLiAmW43W0MGohcJpZLav+1ZMfVNqN4Emmg61K5aWmaYU/T26tm9HNZEuyTdE3ZqrWOc/TgKfncyCsfWjNLuVq+BSKb0ogbkosSbCC8lrkHdfk1wrkBRqh6eevV6o3qWRAlkil8YNPHqR7RyvMHEGIm84vnx2UXvSlWhDKnJ+jWUUgb8qImhYGBZNT2UmivZiJUoYgN0X9v3Q1ZCmEuf1uR2ROtC6grFhRfkd6R66Qg96k8Lbzutejin0Mavnnp4nyAGsqqfMbguhVTOfCS3m2HKJQbKk7t0o8Il26dUw89mcSeLC5RlBJwexJpX7627P0AnT2+IL0Wdhxy/2WInTXRWVRRyhCKcfzHxTVkmfTXSUM926Lamvlg5p/vPMsGrEJni6dVq8sZorSsawe3p6StWr3txcygPzH3YxwP26mihqcJZaSSsGldkVf2xSnrIEFdAZ02V8rt4usdaGbfZHbf2rk1e0TwcNRobIT6A1n/XKK/Vnx8fO4FZFlC3Lp+fbmFUFqNt02fgqFp8SMzIa988gjeYKEvYGrDd6I6R2rr3l8diouxGwPmDrG++oobI/21OexlKPOtGOKL3i/IWsVrypPllfDq7GOe9k6ccEjUOUm8Qr7bliuRgjsfsGI81ai8qhROEtl8ZfCBauOIqy7TEWgHa/djAxvbJUlTM6LlsDcSBaa1qQtEKGjqonC20Jc9SvBK4vO8lMwdyosRQeTpXX0lxEq6riNkAnvaJcdQV1Z1bgZ8D8H+wKrYPpMJH2FlfMOSPsrixbNggrb1jI6d61Cs+sEUEHkA0owBayedBGvGQquvupY6Nrw5p5lg7nLYp+yj+JAl0/s8+zpDFytcA23eCuOeslduVoMgN5aufWsfbLy3Ja6rdW6CulSafm/h0BrE9GBiLSGOmA1dap0B5QKbGa80a2t7+hZXrXt3lwanJuSDy1mj4cgkuPITa9kmoSilSqXBSZ3BJT7a+TFEFfBLA9ZcYzRK8H7bvhSQS7zFXGGOpN5in4KvmMFJzCV2v3mle7ownNK0PPbP3Jx5HCmJiDxBJ521OOsOBSTdpZ+NnMNdQ3xDbMqfrwAAbQqm6ebw+dd5boLG4Q+HfZEaHHdOt3KZwoSVCc0Xvc2hvlqJGgkTfE+lJKrDQny4kE7aq8++1pFdqGTHWuNZnLAO+25Goh7E3PbZ3+OR+qg3EJx/oPBJMC0S4Pg+fEdCc1A/AzKmw6bs/RZ32xvfc9/T9ATvpEG/nii3v1HzOUnDoTHO6eti+pcbkt7luSo2juXtkd2ax9+o1NSlZlmYu0Hn42bjFAiFMhEgYcXmR3mY+c94nbD3g3x3eNbNo6xPGKvl2tEfgSO9QG7RkGDj1VE04t9IKGL+pH7ka1jf2Vr2Z+5H6la6lcqY+5M7oxHzkDuTjW7ZNs87jyygjzD0XB2kjXkudy5C3hqKtwYY47N85ZyqkK0kBwoLfuK9hIz0wTLhRtDfOsVvrlJWjAjjc8dJ2lJK4D83kj5R7k3XhaJwTKyGOAtquAb15fsI0LM3aWDrJ1J01AeVflbmnz4t3MZdCQjls8Mci4GHaGQYKhjiB3OLsVeFmsmqkWOruTNo1mUvcIzQu2ZQ8jhIqZvONrDpXoywAXso2zXsZy+K0VXhnL2+itEyxliz0Kj5RrJ23uZVQFgjBBtlOCSmhmWXv6oRBLuVmnp4wTTey8XOOHz+UycSS1bEmLH/Sr6TXKA3Ny32D9uiXiJvijxHnLoy99tVsqEqMGSJcNSeA36+eL5DwmfYkyOoig/eyYnc3lUgQsrwTe+M2dv8YFsVfKQaqi/QF3Q3qKaLQZEfMNd5wUtLjNRM/5uYjw/y1UWlu8corMRegKC6+CLMAWODtPdfVeENCNWOUSFJjPKnEYlJkeJyIGy4phv9l1qDHVijBYF14Y/D7voyFIpPSPYrtQEkldaKbcohwdmFKzti0ZtbBQ3RB7gOz8UcW7YBFKiSDy9AbdIoDfB1bds6Lk5OdycHfT5EQUOvCd2yvuskeBcR3Gcn91tRaAua1iSZyeGSzJLeGIe8BddOM38gE+8/rWJlpOWz9QpXn4rDf44nCpLtCmSOXG0sgPH130pm3i8O9aPR3YHaWJlCLr66ar3DG6aJIG3K8VYZAy0hWDdNv1/8mtd/E2aKh5JRVBfVUllXuHfl2ZHi2K/FbCXjf/i6qOCo9I1Tu+xLBwniiKFcjOJaBIpKZnU9mMs18TYdnxQJSTLZL/vS3WoJ7ph3cNjvd8t9kFbfheEXI13acE32dnfx1w4nbMUzhRMFaUyUkMyqRLqtZBrDO8fI49YtHXsdcwXIuUkY5K2n4Orj9qr9pkI1k+Z2+KZpBkYJJ4jyjZtxm429SWOY44tGvegbqzt8Njm2cWb+Lk2bRNr5oaR3jObs8donW/6Nd2cO8mKEpzONoFes93c3sK3qWBQDE4Jc1PNGVTUhqo2wkdDrsJBunDGhVkgCYHKw6XRGjdaUbgzXa6MsQB2SQP/wviDe79HpOSJCS4Erh81aMybjx0+40hj09podfDYE20ltmzyXzu+FPIDhu0VifvXrocsyrmUJPhXtggsJyqIiZpvXwtfmc/+mkuSui4ITyNBqzrq9sxByWxE8snjIYhc3635JvzrZcVA8pcr5ZfBJadLfjtYcroQernw8oPDstY2nt/wiHXVlf6uwNbvn7SfWhQtJeXi8uNgWbPSoOyWpR6vFFeWAC6xUkMmOoLgqNzSFw668KFu35y00fd4d3FKBnVBJguL5jBxow8gBRLTBoTTTBlbRY5njg5XbrTeh/x77nnmjoattf+QXzs9QM2UCkhZAjpLhWEpjEi56jytCuVogj/bYcDBpd/qvzCb0GsgGvA3pItoq/LJGukudbkbfjF5KfY2+3asOvYB+wF2OXk5iu3IA7g/W2DfyMrM7vcO0ukq6Zp78gt5KDXqskobAVs0tvFENzAM59qZRIGAZDsu2cFdSQ+ND/clBjYGI39vd0A+qHeCR1/d79HGbqQiAXuB2jj9hkmlNxOr4vvyQAHMxCbDBQOw+egOmjcZ4Sv0E5usAeQA0q0/yCmVP/tF8QtsVWZcx9scEN8mim9n7PObHywzw3P/6LJbL2mVtSySt8pPpFY5VcX6UGoFHvhVvKG4YzxvXVZo1z8O3KZUEw4MInhwHarEZU2dnakGPxTi8Xdt4U52ZvKxtG2ebka1oBpIvbGWvZa5VqgW7mDu4O5g7cCoMWsxay63XFawE+Dy7JY9X+0T+0YnttU3Fa0oE4I2R9yZ27u77zmOzswBdQcOTaQBay+z/P6I+J7EqB7fkvtn7rHOJdtgwse2gy/qFm4PtUb9GWMIX741/x376OuHlMBz9Hp8LC0Wp6Uf9kuXhgTSya/9iTMmPwgl8wzdiEuiJeE76M/1AejmIcw+IHuFnZxOO6xdELcYEmrX31LrkpuZgxQjJhgSTdYJbh1VVBW9ys31fe84L87uMz/vm11Pvk0vwq9wue3FUnbHwudmvjpgcZRXd5SR+Eovurc4PUeT80jxSKfRuao0H3JM8RRbcZba02Z0uqM4npQgIavvZMkvO23wnYsoAnIzre5kt3WvWQRoC8JjqkcgYePpvnzuuRxybRll3nsjitRw9mUfJyW8LPGqUGkMXVaqdnYlSjqKnLMZC1kIzz92/l27o+r1/3MVO6Dqqp+qRSO1ptrVwJodxboTXQKTaOC8vlqKuOBMaH80ueuc5vSCfRdYIsTltFkKxN96P+TX2siu5bbMpvWO2jPzqFukp08B4kqv5PKzQ0fiLsRNh4vTFLAk/sfdh9YqC17GiMwDtEjPdO+yB9aKlf+8WBG48KRPF1mY/Lh+HhC3jx8rbApSSBKDjSXBuk26mH96tRDz7QXy01puInKOyE486TuaHLOPC9nVPDBkTN0lI6cXwUE/Pw2IlSPfk+aN7eP3qSoLbCK21bl9myrPRu8vAKmS2hjQZcWmG05qDw1VToRQZJGaqWtPasiDnfoe3Vp4tMlgAtDCr3toezxvLGWtnfb4ZrvsFRtQ0x05ABosSvrjmSOxMu9n6EHGQbvrC1kQwrfyy/40Sa//kl/ImpVOlCwrdqv+bz1+e+opRjlOSupjrSYc9ONm3FHFq8HiwOtGSYAkVgX+FCV9pt8p28kz8v4WGAS7ZLv0TwCkL08VC6cyiCwKA3pHTU2gYik4xkNFHJImpgmowlTe77wEDp6f7eDiK5XEOOR0DkZW5lW5/eBFRWjKEqJUyn+V9P9KLXmHNYeVaqUrJ89eWeKaJ9miAeO0VrVJVpLxlJObYuBpGUC2L1UF/oead42XWniTGN2dj7qljFnMZXEppNhbzey4m2RUkb0uUkPW0Jl0PVmfrafoaUya7uhkfXP9p724bMyfa7K1Ufl3rjQNLlXBntQXta4UwtKEgUfVmWrJ0ic/hteQ+zBDTt6QCBWEw+NygYRFuLe8txgd5muOFvOZ8xEXefZgPpUYexNGF8TqqvNzJhxPKKiRGnOYkBUl/HUGyuDbShzmwI45sWNsf2XnkjTUnJ470dR0b2Dd7ljc1zynizw7Px9MgMChnnB5fPSJw7CzI1t2zGPImzTtOFjEkIqx/x8SxVBVmFOHViQRebH6BpO+2cG1JCqcwgljCE3wFmKGV/clToYGndIlDoMvBjy6wtuGM28znORdm4hbZNOnAHmavt9/4amoIXbS3BuJWgk01bEAoL9SamizVFoNrXd+tIZy2oXW5BH8SLJbjiuiw64BiN6k2OoAjzKp1jRwdJzWNVpTDKTIQUceavRsweDOOc7Jo/jx5JQDdGLMoZ92JQHmX19B7WCjcqHxhcLw1PbvfisidPOIDn/C2B0FpN2y3TsJpdpin+nniSZ2Koz/cwMfXvfvB4D9/PgSgVSEXl+ByYgxgoi/lQ0iKwTO7Y0KynIHWZvJo34S72uxJ2WeTpuP5hT1kswF8IUg2/wGmIzv+KlSEfcHERVNDfIrfGn35wCQXTMQ+a2AEZDvW9AUvsipFubabMhoO1Wb7XUoupVdDkwXVMZ70erK84Dsys4OF4re/UNUkyvpdRRylynU7J3yXBxwY1A+OKubtSgtB/PDN4Q/gtQKtQQl/3p7zE1Lt55fGZvWWp2kEfO4+akO2cYEJhMP02AeddU9sJTooKPQSZfz3Yo5ruNqBxcgSXWihJoRYY3Y96NiVX2M4AeA3I66qxt4Dd2/X38+u/XVBZeXTnmTWfEocCkiHlHweWVkx3JbqijJUXF2hrpTfvoUodw1UWXBWlFHQtY9X+4riZPHtXwbzXPZ+HUHJ7d9a9SDqCNdUS9OnED7vnn5rdJv0QsA71aZG6ZF01KzdIdoB6u0kiFmKI1KpphZyXjVsE20TWqUrhCtaGiZw2QTlTATUhPcXWiIzsky4ZnMn8ZJJkuHM2TmxLaYrKEqpB5FIjAkIyXGkjFgTk86zR7O/E+1C70xUzg/PZWcYEwpCdDNUc69pbilU+pClvD+UnA0HVw9twHDigB9G202LKiWB282xYMlVQn7naB7xKrS96icEK0xktw1YFIp9/gaY84Ln8pU2k04bZzVGMNpPz9X0fAUiFWICkSLC8QFJ/adXMJZn8p+kEo9r5yCTsA4N//5MP2BVyvXCs4fGc+Zw/RlkVUe2OXyg8X1+0gHeAfIJys9Ue7yaSpK10Ufz8xGryRhegsgbSwyZIakgtMBfCuvq8dcrrwyQvw4zksOSxRyhRx1iZu0XFChQHmgxYDsDZr3rhWJoDVD3Ul6AS+rJhnO4LCitlqxwizzAsU2RpZyR9oJxBXE8MJDH/fp0IhMoRzhSYsFJH8XORRFgzMEWCaOPHMS/mSjdTk6wFUcEEZcaUOChlYHEBoJMN+ieTn1OCS1AeFQmC2gYGvgCEY7nCIV4U2jou1MvPYEf6FgrWB9e5NTVUmcAHKVEq4I1xg1EYqIlsEISvYPJ4E9cUYXcDMqb5Fx0SfpJ+BBAgNJXcdbKMzgd/cb0XwipiENQW9K8dUzwnFdXkUpkVJNj+eQq5si6h5Gj6WrmMmkcbdkQZxFEc6eh+Efg0oOCqOs+0pHG5z3PVnEjGU92KVwdHy6Cul91U1Rmk3KJXBU9BSSx94DXmEr/DU7NWrNWLLlYB0GRTUkUpG2Izq1YadBY5iSTmnS6YHC8ce8q8/SLaLI6gu5c0h2DCS8hx7pEkQKpgEnMrhw/HrKpAwunKpUoLngIjiKVpa+uYe8gry8U4dz1vfvUKCPhVZqbjW/mttFgRPBeWgUxZqe1lYgK+gR9vxCAUMAbn/toTrzvc2Ldef7yogl3fS/K0Q2YRQE3CyJZ9n4Q3y+LDzd7OZlWLpE/28SVuRT5lsEzFoAYL5k3fp5S9f9ZpNu8+c+/xZTiFeAJ311TVEjL/UtNYTv2fJuKIKH52LB6ijNouq+6OiIn1dDaq51I6MOHB7MU0VDYgAVXNykZYaTRW/tDkoOTgTkstGBjSKf0FEZgQKNXCgrlV3jG0Mqg2vmVMgqMDrg7DAjfBRjBB/79ewtR5PGEocSJNHMcSlCL7c9tQ9XuGxCMngetFxb+ybjOgQu6Rndi4xLjOMyPk+rn2/Y0AnuLH2641E13r5Yt8n9YOzD4IqcU7+fXYDkEqNPUGNKxHFtQfP3TQUpIe8I9Nzb3BYSSUDFywNP18j8SGkCZH3yAi69V+b+C3HtwtSpokBPvU4fkAMzB7a5o91a3UywnABdmt4hX7/Pfr5zeVYvi7s+eQ5Sf1fqa74rDiAi+RQe6PcU2JVIMbIhOSq5Blm2tHFguiT5J7jE4czlSBb7NznMF29dMDo5sDydjStwbcE+2xwWsEY5Ck4LL4twts3hDSUUqLKzhX5wsk/OIuvcfqOAmMb5Z/837U7evcuwG7L7ZFICPiFR+dr6t2eiP/aRr6Dyc+yU1Xml9bXFPNur/AXprh+AAMgVyqU2WxceydkCeiiJDyB7cmu79twm9uioid7rQtkv48Jd7IKtVkEV2t21cGSBC0vkdG0IyUuD8KC8SR6Ml3uhlAd4AGhLZgVChB2hjyMICee7mLsQ02+WpRThf5Xw5uvmyyeBhYPAE1iuBCstx8gw0sqAZbwCUyGqUOQoGkQNGNAiv0WjYb6bsyqQrOw+6qrML2gCtJG1FwN6sxJRRcbJ5Q/Udh+AzEvhj9rhbF1+J077pjcGneBEqAQYuKnjiqmqyFI0PYeJdZvpVhBVaBT/9g2ktjqQJ5LxEZwI3j6W63eSzTa3bTBRPDS05wUxkaWQjuY1MYpDNWpcVgND2zs7SUotlBHK95ka7rJcPad9YxWjDLjj/QezcN5nhxsLYwpRjiJs2oIfUoVwjyT0dNItvVGYUIwpLg6lNm+rMha8N0CF6Z/onshsMhdZqWxUN6q36130cQGGXx/F7Dr78HSP9rAe8vMaakE/FFiWyPuUS8hV3KbQAsTXEh71DzCMjnU1oV2oX2cSV7ZAJ0+aPKoE/r2+UWvs0HpW1qaP343/o4D10OG8Eys5kqnNxBqitKMqvLBuiaE4MPam0UUvzD3P66n+Sia7oV6QRmSH0Ql0esKmPfBr3tKkvRDvBtWz0EpFFf5v6dbewwyoeaH/HuYOQmmkv3kZe8nvPpMbWblGnz8mmfL3PudfMkO1/+7d289je5vFUMfiW6yKmQG4Yv6akO1gtIETzeXOZkdzlrDYUo5kiJPI/fPZ2AB3YIw7xtgl20X9OB8C4Fq3xQ9Te2Q9jDGBeZ7mO+EG/xA3g/HMogy9FPZtc5jOumn2Kv38VKc3ty/Xce1wrQia6ShKlxuVGEz1vbuh6o+yt3rTLDOLbg8bYZZsHaGXA8xsSgLTGjhMLnM2m8mZxmIzOYyhjTl3Vz/MLmbogV/I3U5GF7drIGbgMPcwo15WR22Pb5fHWF0fp25zLaQRysoEvoTYXu8wRnL31HKTn67rO0P31XbyEIPX2ax6q0ZxqhnftzLzxAmGkXGCzzGa0iwvwg+REzY2Qdm0kYj+7KNnkH1kI+RFrN/KM1/9HhHDE1fp3sxstSyJ8DMvjVvjqwS5+plx8qZ0erh0hwuBATUqXFkQUflV0Px+LPh5FvUU4Xd7nPCwpw98FG/VnTrphPOQ2OWEi458SsFvX9R/fjy/RcydVntEIPxRLmj6KhStJV2zz7nuE5cZ7hbN0+1rUbtYycQ+CbZ86fLv2+z697F0r+J/gL2H//fX0fQuByi1WO64/1V1rawjB9i3UgTWXLhlHtW6hPAQM06xiygWMRnzc44hQbwNKaolMiuWc8ySwDmerV5xSvU/5rgZeIWr1kzEmjhLO7cadS/2/28So0DOXQsnomms52DRRkK6Jwe9OiUyjKUHnUE2zFlB7hAQpJnwgRLixaxgAHGDQy2iDuIMIgw64knkKipJQk8E166UGYC94W5msSdQkIRGEnj2UEX6Vd/gTukcW3PFnVg2DizPY6451pg6iaxoLjQFSmjFsZTSl/Ch1i1ns0rzrMwDCW0VyhS1R2Egi3P1kXS/GHPGX0WTwc0lWF72K8pLmyVkDh+Xe4YXDK9/76hxqoi7xs3zPV63J5RmLaEXRh908950I/rpuW6NX+yUsXjbDabLyr70ugF7sXCkAgfLlru7caezDtH22M3f01QgpprcdKHLEFr7yexDJ0yXl0M/N9TUthXyyPUEDkhdlgrIe6MgFS9ezeBxMXaF0oRFPGcerDCRoakVQRhL57L3OVG0PZBhBDKGnAzmDyXbH3GkXg0d32rybB2fCb5nh9wl20tkZ0BPRY5WI2vLGpcozeT6Ep/rFYfdZMJOA2RYjjpp+x4+Pn440RAP2NfHJdE0zW7Js2kURdYY6CaZFsvAmK3IyDA+0gP77wsDqhWTZlZltIb6uI+qTRAEjtHrCpaZO7319R5NU0N6spzl1YRjSHUwI+4iieTrD5B7vHcTsjEtwQgxHYtkTsYT87u6luUcDG6krQhQrC4nuSMWXvuSebR5WVXauiDlxWRUczlN14+1iYpeTj8dNB1TiZiVJvCBijlPlV+vmF3muEfQPFi9HGhXjajQSokObtVT4FYuOlsesyhb7qZ7X5uEavKFll7eWhcdzeYRKmoZ2QM0jWiNldAp6GCSj6loHaJdt2AxZ75u7Xd6CR6bhtcFtkY2ViHmex3zJ09h4/Pre0dRWtDj3CzojnJGV+WJjqkP4HKqU0Vh7pKXK2VzTjC3c7E8/kFNf3Pr5ibZfKZ7ukriV3RMHlc2sud9dc1ib0bg/4bgyITL5YvKds68rKa0S1Yq9N9fU8LjvMh7OUyi6M2FpGmbyQn+33y6BHYxs00wtwnl4WMza0SmBqUjETSQFgVaVCJIHaK5n3yrI+ekprIhVlLqMj35G/28mnYK1kCWsaClOnoMyG66cimhFJhiu2Jc/DX2u/gwsZR8tXInlqXKEZse9NPKv4KgGv8R9HocjrfjVnw7EyQ4TgRt9367iUBbiiZN3i+ryCufxisJNT751fy79dZvEvPinZT5UcupcLtBbxW/2JqSxl5MaBLofiZei00xPzHSxre1R8Cf+jL57Wv/VNYmarxajmMkBl1G0Rtk197iSuE0YnCNHFew+aTRMpX975hUZCOJMXvRMX8zU5/PijX2xx9zgslk/iKnyaU7f5OBEjKT1E8t7wNrs/pNPCpxa0ciKi0Micq5stkeXQnXLGIOZCA9zHuxyb2ZVm8a5cYrQU9M+Zxa3RvPSWfeKjPNHHlsm6u0zd5kblRoTQGLeI1z7Hz20gBWTDMTFNn1/W9RH4jafoomd65cce+47pXWfR9mvXq/1N8lNDahZFu1TzGfzRQFfl07LNb52ECLej5fqetDGvuUy3pOst143ICTf5X3sf9/lSj2xxHktK70EdBKvTsbVvNuStwj02r8rioP/O8bkkx2d7phI6V5XB9boeTGZ/6JMUtN/tNnDolkhWx0tEQjL7lVrbUVuV6ZHRS6j5wW//+baU7yFgbvVWtb/ecxw33y3u1+MXqmy/MT7ZwmdS8ghbLGcOcTZQwi6LtTKX04Fpc8/Hk76b1cNL1BgfUke71701yu5/QV/6Q8dMzr35wOOppi0CL1P/ETRttVXj19B5yxKoefXDlm553ktW/jsZwkM8mbjCE57mDJjv79oZeTfvUymbaWHHqCp0M6uisY+n6r8I47rMBKkqc3ry8baEaaGUbnaJDQEBjcs3FFT6zqW1/Zbjt+9+Q6kjYXQtAAhX8gpAWIAPYAzQUSC+gCDOelhkL/dNnjXYM5e3OjTKC8oiIkU2FcRnJPZ6YXGS+DM1uv3CZPcsTSU9NUkcWrWpXTMbzC11oX06XW/p3UbIY3LWSpIZx8XtlrUb608ujs5s/TKqUD0G3EVCTRez9diNZLrsqMlfxZGVuIGWuuyJoGJNNmiBfOZqKdFu0Ib2pzpmnmKzdL8280W23M/WxmtHV2pm3Em1VphpayyNJGJ1Rybfm7rFags4lOTovo3olcXtMiz5rid3QQPUthhxG760AmsyIW+CBkBYF5cdEWVHS6ysB1MGCqoRLU0/ouVDSWhy/URhxOm7WgpGrsErJ7qsV1omP5cXO5rUEgi9lSLSxb2+P2CToQs3mJAnQqKtqClG5CEgL5WJqWYJOr4yx16S029fo2/bDeIoaDMPSiulaMit8FumNa611GRTEXpcDAciKay6V2vGofU9d7Vc9IzorjdeGNdfN87T8C4+o/s75RxyMUZ5YY8/YKaC1Lsy2iBB54yFVYGhPUpLJU5LCcpq0f4ExJelObYrFNFpeYWm+qykBGakTUcUxVjzr8hdq8L4jq6s2gkFHaSywxC02HliguporgGNSkuPOZVcqy41NZvW5j9YZHK6VQP5y+ROd9YuEQ05s3+PaI9BFgCL+DK0D6vmgNr4UOe7D41zrQlg55YmXnjt+fSGrv5lgcE+5gLFCmhL95pXsHS5XMciOeTotDny/aZA735s20NbdaNNbWR5MuxfLTbOKVEjpc07a3/xfoFC7wc28sgtJYP11ZVlguLGqpns4rTiktcbotUa6fj4cK7szVeTZl6s33y2NtmqLV1Kzn2qH8gRz34W2lpQzl94JYnPLFIXVRJa3aH6v9+UzCYs33y4Te8rGGU5l2JrmlkmMxy6y2L7TKa8alypC/IlBgCRyjFwg9j2016uAFsbRoJqp91Ev7V28tzZzYUKpjS5v3cltiD2TpuTpL7GFL5Fa/VZqQ5tWybCPByf1Xk0eaS5bZqI/fiL7iu5zjs/hmCDArdKS62nnx5XHwH5MZ/mMyvXlzm2JKmV7Gl6llzpXInH+lmRcpkNL7uK62I/UfWzS1FcF/6ZrtPhyK982bKw0civqYDXdAyxljSTzcdzPAnIGxqpyeP9CwIxhUOsq71P5LFC8bVuS65HVpqlmguzxgoJ8Nt6ap1QK17aDQlSbR0h2ZTO9ise77ZevW1pwXjdkstSOzILUjzbB1Y2aZ9bTrriqmjCx4iznMaoou41eWmvo9KUKmKVDuXMjDuGmghKBpklxpJZNV47qiEmZ9FC2Cby7R7Gfq6n5zE9ENz1Qg3tXxMFTa/8cRP13dlLi33oJbLaljGd11V1WjKaN6pfk9oaIgLsS12GFjeLpXc9TrE8qzpn9KGawp3S0xlGPxb9vLB/FiJN0XBev9VO4L88vK2BB7YnfXEX2he6YbL3DLt5JvN6YLVK9GQX8dyUOLw/E1snMwkeB3GV/hp6/zuztrWXdc9fVavhMl8BIfJ5Hu7rrEMHnCFfeiIKnsuhslc6++S5LzfWY3S0Uu28t7r4gV3tktq/eX6q8Go7/dAs/IYsvj9H1mzejS2n1aO3vXqMFeCZhQtndxfBa3+bHchRfu/Nrcl7aGhuv4dLfiaS/xVV0unWFoxG3q4hlzxYVWznLchMMc3JWGLoq8kJIarnteMOwGnqdy1WrXrat4r7S8VFpqoRYj3OeehyQDpW3phruwutHwnwsWU/pEFz0adSieToqMyDHCjSgthas/ti/cN9YdQ8BrglqZGXMWzxT9bpWWQli2iNWtUOgIWGp5DNTW/W1z0yaglGrpZcWsKPYtQ+v701KrJueoRVPSHfGzV3euDP/fEcPk1tKzckQYK5emkQvy0gwyW2XRzCGnFbijEJNudpJGmjNfTyoVg30SqRNkriG9jFHalN7AwDWx2AmSJyGWEjsyMcMqaAgpD1JL3ha3TEwcZE2UIt7mSZhKdhlQxEkkFpGRLFQ0moyVs6DfJJKKchbTBDKG2JgDFb3aUookX1NY2nung7VB3XAV1pQw0z8ZJuxgUCr60ozGkkr/kFGKJgDr0pjrm7jnQfsQytjkCQJD4lhT8UzMeInCklXKWwISoGvQA5NMFcnPoCDrp1sYk0xE8qj8w/DjTsm/2IORW6wZsqquCYKggmjoHZHMVQT5CIRNyvWBdWICH7SHqAWhqhJsaqUSP0HuVTBQpqC2SBlmt+ckNVw42zT+frqZwEv0piaS772bgs54wC0OKppZsbQJdBNjbUWCMWFNHdWQwGI6m8nuEtHK+F4S5iyea6Tx0TAQpUrWojs4sYa9SYNnEnXyxXET6ArFomnIHn2yluId7V+Gyc5LOIeJM+LMnbl2LY5+T+eVM7Ewvu/7UMybhWxI730owKL4b61pcq9bZiy5M0DtvfPAaBbNtf9k8w1jCRZa1ATqcgIk8gqVo+rq8VqBJpd3OAGjxwx42mItCZqV4GYGNcG7B4beb+Fug0vjlOkcMw45Ph3G0fO0hDIoqNR9yjvTl+r0VQb6VyXGYrDSwM4h9XEjMMrkg8dKXTKnZgwcteJxybUTV3Hx5xTUJ9/bdfuCx+Ln1txYCpwRyT/EY5toK1tWsaMQLB2yi2STEjPx3F8iiuIlTuy9tFm5KsAHYfaKdrIYaydvSBvl+mjxyNB7NTNExbwwzcdsInOCAmd2OWdmeG21MddIxXsI2IzFNFFVbXKSrnEXVywpcOcY5g5mLhFXUgwsCd2CZGPNoSCQ9l4ob7QGQ0MSSXDAl1qXQUoCzcv0k9hBl/+U9mfUNjtkQsWrOym7fyOprjGJI2XERmLwuQ6apHEzM++/wJJC0gtLjniGn3JmDowRy+GUIZOCWoN8ZCgZQEqK9SZmBFnGBhE1eaMEO/BGbyf5ORuzEw94iYZrjhurazUclIHFKuGBSehNbhvGAL3ho1KMogjf+1J1JvvhYDBWR0cfOf7za2v05cuuE+aT67r8Tfv4aq18eGdGCs1YL4q1WC3P0UrrK8ghHts57MNNIQU7ZcYoqMSEZXTxeFJIxIrLbrTEYSQfNxqseHCRmULrgjjJiZFkTIgkhZiJDy0n14nj0A276Qx7EEnB5a078UOAD7lRyr5lOP7/fX6uDy/WIwEGp0n1XhdGCTah2CjFFOqNMlw6jAj9G0dluNPHRuW4LFKjkXh9sXK7KLy8+E0OQigE3YwEMBq4On+OJg5ChdHC4zYl3T99dODtHhqdeNwPRo/4alHm+Sd8tLiCl8KeXVILqFl5O8gW8IaTS5V9YmjeJ1stBE2LmlTy+6CCsWf4UkvJuTW0gSQS9AVBCQ2n7VFvD1lQ3MuekcKT4l531xfqj+Rf7lBlDK5s3V2r493XeKjJjoPmDKOliCVntEYUlFB9A1TUCRe5yLUXJ4pm1NTcNAyuhPUHpIUgWfvFi6BehDuBkJgIoHLViG9y3H0qF/XcWmXWrjqHtDRuh57AQ/joDW+akFe1S+RIMLqBQL82OtCKEcSsDaC9K6nzN4zVU/A1XKuqmS1e/W0nt1Up2xsYN6sJoJ3i8xte4lJVK/h6YSB4h/HFy66ansOobBeIZRwho1hjufbDwLYI02gC76Ewe+PNMklgg5JC/73fShw89nu0EL98hukkfn1HU4mLX3fbDFdLbefvm4c0QQxzY1qFkOkmgqI25uugOOA5KNChPaGMIFWb+7PrKtYpSmHhywvojcbjcgKbvMq/JZDm0fO6mj3bzFFD2ZFmoPRrERoIB69gSUfhkKBXCAcrE/bOAfsrbDZ0z84nyOtqnW05fMq3VYkMnY/ctb8JdkW+5GmFck5twCcAP/ISMk/+phZkzZEiptSJDWnN1HvDBngZswMmm5L83YNIobehQ7JjWKLtr/pgR+TIKshR2xCIibnWkdGS4b76MPInR3E8eq0L1B/M6MBIthQzRFrZUpKHG1OatNDrTFAlMRAP7K8u4KnnFVzCq2athQ1qhxKClmjBdwjJIJpveuvmZ+iJZFpS7w3eN/44et4eJSibkdW+dpziIHTG2p5Kxw3eKr/267ajhNWH1/jh/Xh8Tn0kSqyKWlbKWJW8B268zlK+LfnoIL9uxE7DK2T7jf976Rfsas7UwyIQGsUKAN+OY2CDvkg6yuc/T3jSGUt9ZVsMZjBkrbHD5snvV+/YbNEUiAr6Ywr52SXvTWF/2ul3/ILfcJU9bnjcjQYxmG5DuGUu1z3lec941nO+NI9XveBFNxnOTzjoDa941QK+9a2dRo0kejyWMYxjvfFMZEL3d4hNZQrTmM431jOLmcxmLnM4boP5zKPLo77znXvn5ylJq3hUIirpP/z3AcYfur2+D8RwNN9qUZPpbL5YrtabKLY7/phmeVFWddNud/vD8eSk/elyvd0fz9f78/39gyGfiP4cicbiiWQqncnm8oWi/Q58Wq5Ua/VGs9X2j1ss+Uu31x8MR+PJdDZfLFfrzXa3Pxyd+u75cvWF7D+2/ujxfL0/39+/fwCEYATFcIKkaIbleEGUZEXVdMO0bMf1/CCM4iTN8qKs6qbt+mGc5mXd9uN0vlxv9zjuwBwKr/wGGosnkql0JpvLF4qlcqVaqzearXan2+sPhqPxZDqbL5YrumC92e72LDaHz+Adjqfz5Xq7P56v9+f7ExBgfFgsyYqq6YZp2Y7r+Y7r+UEYxUma5UVZ1Q3ChDIupNLGtl0/jNO8rNt+nNf9vN8PBIEhUBgcgUShMVgcnhDqJyRyaJ5TaXQGk8XmcHl8gVAklkhlcoVSpdZodXqD0WS2WG12h9Pl9nh9/fwBEIIRFMMJkqIZluMFUZIVVdMN07Id1/ODMIqTNMuLsqqbtuuHcZqXdduP0/lyvd0fAAjBCIrhBEnRDMvxgijJiqrphmnZjuv5QRjFSZrlRVnVTdv1wzjNy7rtx3ndzytiPiCASqMjg8lic7g8ku+4nh+EUZykWV6UVd0gTCjjQiptbNv1wzjNy7rtx3ndz/v9wVA4Eo3FE8lUOpPN5QvFUrlSrdUbzVa70+31B8PReGKU/sJsbpWx+Fez3/r0b0CfwL663qi+4cd/7w/H0/lydZOLqSKC3uP5en++vy6/+g8EQ+FINBZPJFPpTDaXLxRL5Uq1Vm80W+1Ot9cfDEeO/ptMZ/PFcrXebHf7w/F0vlxv98fT88vr2/tHIBgKR6KxeCKZSmeyuXyhWEL/q1Ll/bfeaLbanW6vPxiOxpPpbL5Yrtab7W4/jNO8rNt+nNf9vJ8XAYUGJRHCgBFMLOz/zX3t9PAd1/ODMIqTNMuLsqobhAllXEiljW27fhineVk3E96P87qf9/uBIDAECoMjkCg0BovDE4gkMoVKozOYik8U4ZO8OcTjC4QisUQqkyuUKrVGq9MbjCazxWqL7iOHM7lP3R6vr58/ICYwRv7/FwyBwuCIJEgUOiIGi8MTiCQyhUqjx2YwWWwOl8cXCEViiVQmVyhVao1WpzcYTeZkFqvN7nBydnF1c/cAAEFgCBQGRyBR4fyEwUaO4lc8gUgiU6g0OoPJYnO4PGr3gzCKkzTLi7Kqm7brh3Gal3Xbj/O6n/cDFpsgKQ6a4eTi5uHl43dc7594X/tFcZJmeVFWdYMwoYwLqbSxbdcP4zQv67Yf1uW87uf9fhCCERTDCZKiGZbjBVGSFVXTDdOyHdfzgzCKkzTT4PTH/7Kqm7brh3Gal3Xbj/O6n/f7+wMgBCMohhMkRTMsxwuiJCuqphumZTuu5wdhFCdplhdlVTdt1w/jNC/rth+n8+V6uz8AEIIRFMMJkqIZluMFUZIVVdMN07Id1/ODMIqTNMuLsqqbtuuHcZqXdduP87qf9/M4qNSCKGnIyh8Zv1beOrp6+o7r+UEYxUma5UVZ1Q3ChDIupNLGtl0/WKlxmpd124/zup/3+0EIRlAMJ0iKZliOF0RJVlRNN0zLdlzPD8IoTlKNUz96eFFWddN2/TBO87Ju+3Fe9/N+f38AhGAExXCCpGiG5XhBlGRF1XTDtGzH9fwgjOIkzfKirOqm7fphnOZl3fbjdL5cb/cHAAgCQ6AwOAKJQmOwODyBSOr4i0Kl0RlMFpvD5fEFQpFYIpXJFUqVWqPV6Ydxmpd124/zup/3Ew5giNVmV4fT5fZ4fabfcT0/CKM4SbO8KKu6QZhQxoVU2ti264dxmpd124/zup/3+0EIRlAMJ0iKZliOF0RJVlRNN0zLdlzPD8IoTtIsL8qqbtquH8ZpXtZtP87rft7v7w+AEIygGE6QFM2wHC+Ikqyomm6Ylu24nh+EUZykWV6UVd20XT+M07ys236czpfr7f4AQAhGUAwnSIpmWI4XRElWVE03TMt2XM8PwihO0iwvyqpu2q4fxmle1m0/zut+Xuv9gcttmJaH7Xh6efv4+sX5FSsbJ/F+xS8aESaUcSGVNrbt+mGc5mXd9uO87uf9fhCCERTDCZKiGZbjBVGSFVXTDdOyHdfzgzCKkzTLi7Kqm7brh3Gal3Xbj/O6n/f7+wMgBCMohhMkRTMsxwuiJCuqphumZTuu5wdhFCdplhdlVTdt1w/jNC/rth+n8+V6uz8AEIIRFMMJkqIZluMFUZIVVdMN07Id1/ODMIqTNMuLsqqbtuuHcZqXdduP87qf9xMNkEoHYZQRJ99OnVnZObl5+Y7r+UEYxUma5UVZ1Q3ChDIupNLGtl0/jNO8rNt+nNf9vN8PQjCCYjhBUjTDcrwgSrKiarphWrbjen4QRnGSZnlRVnXTdv0wTvOybvtxXvfzfn9/AIRgBMVwgqRohuV4QZRkRdV0w7Rsx/X8IIziJM3yoqzqpu36YZzmZd3243S+XG/3BwBCMIJiOEFSNMNyvCBKsqJqumFatuN6fhBGcZJmeVFWddN2/TBO87Ju+3Fe9/N+/9TL2N+MorUrhcQIi5VRKzlR8RIkSnJczw/CKE7SLC/Kqm4QVjChjAuptLFt1w/jNC/rth/ndT/v94MQjKAYTpAUzbAcL4iSrPyhY9J14890x5ntuJ4fhFGcpFlelFVtsMoFpvciPtb8oW49vPr1xJPaNdALd/n6n+I45gBklOAGvgg7MU+bfAr+oBVGT1wiQRgXJ8DymHoqvn9y4BX9HZuoz4d0kgbeI7dDY6TbmQd5X05beo2Z6iNojpem6Lhg4sClgMHxOjgcW66shV7yOK+R33pz2tJUb43M/lf5SRT0uot68YGiO+epzRqtE1rygsuaruQyoeCyRjr6cci+BpqPS/Xev3L1QdyfFr/qUBB5BZ7I2zX43tAqo0LvNNqcsZ5+UQO9nrWBVs7Ybgv4Oqj5m/7BgegZjxqS1FYkRVScg0IOLp82NS4X869zHjsHKH1bobezSYxtUalvg7m/iQ8J2tZrl3zikseybfK64Oxvyoci2PLeUFdzJ/KudkFrDa6W8MjUhTiY4KbP9YzkhODquehC8vileZPnyP/mXcf2+8zJLXH4vhhyu2aUcKg3Y02n+CnZh13bXr8HYUIZByGVbtOfiQd5Jd21n5ZrInz0nXD9gsDPH3Jn0tfBitkpmLCDECaUcRBSaePa9rofhAllHIRU2rg2VQMAAAAAAAAACCGEEEIIIYQQQkgppZRSSimllFIqpZRSSqnqKsYEkkHjHkBpwlgDDuIv82yt3HSqW9qtM9tgR37Nw9/btp9nSn0utGmvU0hlXJsi/4fPL2kiqdV7yXiwIakCeMgBKpU2qUlW00koYkqNPxdDhxeWepaEBSvVxJVDsqYId1PsBUvDFQlOPFVahXFbO97yQibB/infaG9Rfp6sGY8P+Ybhdv5OH6sR85v+iA3MHLYNarWV+lnVQH/HNxSsmSoGTT24YFaQEuzf72+fCYZNH7be+kqu8hmGHakiiikpbKAq6K4hF9QukkrtzV2lMr7X70Q2pnNlqiZXDqIVUiec9hhj+uTVxcpTJiLaR+2ukbgSHA6jW5HS8hCRHJ3K6MMLOXN3Sdko1t2NRuPdUB66C7OVHbJNIT40prVTJ/pxncoTUiczo3IC5vlefBP9YqlxeOnecpircVU1dUWZzNlyCto6ZWw7T2yF4BNxLvGBYBTDAVHTiiDIighQDAdETT+KoiiKoiiKrrgBB0St5xUcwAiK4YCoaSVWggAjKIYDoqafJEmSJEmyYl8YM2bMmDFjxowZM2YMdbGrAAAAAAAAAAAAACZ5GGFC2eEgIKTSxrVpslJKKaViDzGpJKWNayOttdZaa6211lprbYwxZgxY6Oge9wBhQhkHIZU+lHBtumCttTb2JzATpbSNlOd5nueNF9jrrturuyP3iU6vdlen68nj8P/y1ccXd9j7Ov+pLzvVo+eJ3RdbYGJ39r2vb5Xk9Y80qP+GAZjCxA7FUbQNIXxYRhkHIVXrQQeGi+nHgZbhOjcXFJOZnvp9GDIk/71R0+9TPdmS7PQ/1NCMxbR3nd+r973K8sfo7FhFi6lAXH/25/qnDqDz1iT00VPJtgAE7juoWkXPEGXGDweowDv9jZfJlds0J6m6yqZBQw8QJoyDaHlg1HEo4yCk0sa1abIQQoxQMA5CKm3cSD+xzt0Yq2WrRUP8mfMFfilyiZSpd3wM2HvIXQXJf6oPacrywYPXF/dQJt3Urad5jjqMY0IZByGVNq5t75/ofGUHl2sMvy0mQveuzpv/p1jpO/h5xrxifBAuvadTB/Qn1F/FsJ9wfw1W++S5Ra7lITUZfBgRykBIpc0P7ze6yJvEUnwweZpygDA50d2vSdsaKycQN/tr/nlnzT7v1gI7L2NjmDEHIW/Ud/+nehX/9fXo4Ro+3w8Hul0+Oqxym0HSCs45H67M8sr58ITSxrWRBgAAAAAAAAAQgoQ7B+3W6930Et9+ONpe0T8lWMH4bFV8nqYYQ3m0ubxwlFLKkcXauDb1U2oUg1DG7+LdqCl1zagkpY1rUwOttX6l9dMI/UOWRV1jeMkqVyCk0sa1qYMxxoxRMA5CKm1cS1RvMoIZxYXC2kemRjvd0aKR6QHfMxF8ZzooxzXmIKTSxrWZJNZaa6211pKObO3Qfnm7GNy+wE+85B5aIqeH6xf2LZ5d46e1x3seLvGNCmC1P3aHAYZUfKe+XJg2PlclUcNu2zhchRHBjNB9/yWa8Irnft0o15pRoaQ+GZPxam3V7+6L7b3T9bzQ58U+hV5shSi2GhPMTCj7lv9QZsmTnOirXfBO9SPppmwstO0ITj4pW6cBtw/jbEMAzPiHb9+p66W6psqYg5Dqh/3paMsm/lIXNuKU0rh9/4Hqd2PK4mMWlhKN4zehxdq4NqKMDWMEwxQsLyxGEDmjBABzPvET/498M82jTBM2Bg85ewQAAAAAAAAAAAAYpKAVARZTPozBRJwj+DNPY6dNZOo92vZr/oNTojoZEQbbkfKKl0pW2rg2jZIjCZjc1B+nZjdu1GSjJw/8zw+2YZGbPbMqWCptXJtGKKXU/dK71Wtvz/BfG6tUtrQ5z4QBJhYAAACYaGXGQUiljWsjbYwxs9nsq/5sk1tDxhhjjDHGdV13XGUWuK7ruq7rutZaa6211lprrbXeFx4dnRkOW7kHN/Pk90GFmJxHpUZOdru+IcUP0qFG+CWLFlTqITOZJFnaUSRJkuXMvb1Y5+2lyGFnAAAAAAAAAAAAAAAAAAA2DEIqbVzbXja6lmXl8DUAAAAAAAAAAAAAAAAAAAAAAMCGGLQ6CKm0cW172cgCAAAAAAAAAOQwuIjIhjgIqbRxv7TfMzWu/Xw1fSixWiVEGQch1UkP7QXDtaevcGUOIsKngtUwvsAqqXbyvz4IUI7XaT2an5a8cjEeDBZ5wkteWRhjQshSVjYhhBCylJUmhFBKs+M16xDjIKTSxrXbRWBp4/WIqXe1zPP2RLVeaUGq2OfZYbc1zcie5awRGlHPU8U8FE2hW9HvScj/Wrfr0J0/X3jjGkiSJEmSJGnR54ZkdbpSoHmPSV3G+GP4z51Uf+hPdYBrn3uf1t9Q/grQh7N+/j76lkfe9RC3YNY73wcyO+X15fr4Wkw5YyZbckmSZn12LOKvqfyd2jm37bBP/LBKCuuybS+GfM2aU38EcowWL1GUcRDnOWj3OG/Kgd01dZVtL4ZcmrfDsIsqYw7ido4d20RryD3bsVLSoZhvSZJmfeIkfUtjsp6G/4vRxYRLkiRJs06uAw3nZYRJFlhIpY1rl6/2crwGYUIZByGVNq6NNEIIDXKA0sa10Y0xxoMVjIOQURhjjAkhhBBCyCckv12fD55/VSY9kr5F3nh3oRTXZXv/fRz+b5I58/db6d+REkUZByGVNq5N2xljjDHG2LCE0iZv7EN7/3HD5nbaTvQF/nejRoq8o//pUNZUb0qS7fKAaTuU+CB/9qEfL/itnsPD6wKmP+e4j3Lt8j2LQ5hQDkIa10Z3lh8AmEBKjIOQShvXRhpjjDHGeHBCaePaSBJCCCGEZLkaEEUIyRsMCCillFJKKaU0q1NhNQKACeYspNLGTVeGEzChjDcUcBXxAAAGBq5N14QQIwSUcRBSaePaSEsppRwZkEob10ZCKaVUrD0AGCillMoTwIQmxoQyDkIqbdy9ZOUqKO9kUPO4gJVHAOTUx4gvUPVpA4QJZRyEVNq4tr1OB2FCGQchlTaujTS+KkCYUMZBm0gNJWBCGQchlTaHEra9YQcIE8o4CKm0cW173Q/ChDIOQiptXNtex0GYUMZBSKWNa9vrcRAmlHEQUmnj2vZ6HoQJZRyEVNq4tr1eB2FCGQchlTauba/3QZhQxkFIpY1r2+tzECaUcRBSaePa9vo9CBPKOAiptHFte30PwoQyDkIqbVzbXn8HYUIZByGVNq5dviJphBBCCCGEEEJojeGfd7z0BWfo7aNH0EF4rcnX5EykET+gKz17ygxEv8XHQysq1u7dGcZUQHJNTbGNvWc5BcBvf7/SnP7v//7/l6oqSn7jyKwIZRwOB5FKG9e2t3cNNoQwoYyDkEqbuq2Mbxk80bL7QZhQxkGEVgAAAAAA8Qqis+WSVMU4iOi38gBhQhmIMbQrz8Fo5Ltfzs1MVYyDCJ0HLTwZvcWydyWJR9leEYJ0LjoNGysdAAAAAAAAAPA0vQAAAOG/AMKEMg5CKm1c216vB2FCGQchlTauba+3gzChjIOQShvXttf7QZhQxkFIpY1r2+txECaUcRBSaePa9vp5ECaUcRBSaePa9vo4CBPKOAiptHFte30ehAllHIRU2ri2vf4kWVE1XRim5bLdkSx5Z7bKI449tPEScmO+k4lt27wFLTcsQJhQxkGEVikrBZSBGDouPwcYxKhYIHQ+CBPGW3Q5CBPK935blh4EKKWlwE98mL7Yeik7QJhQxkG07E6hyh1P1OCTTwE=) format("woff2"); font-display: swap; } ]]></style>' +
-                    foreignObject + '</svg>';
-            })
-            .then(function(svg) {
-                return 'data:image/svg+xml;charset=utf-8,' + svg;
-            });
-    }
+            // Least significant bit first, as deflate packs data elements
+            function bits(value, size) {
+                for (var i = 0; i < size; i++) {
+                    buffer |= ((value >> i) & 1) << count;
+                    if (++count === 8) flush();
+                }
+            }
 
-    function newUtil() {
-        return {
-            escape: escape,
-            parseExtension: parseExtension,
-            mimeType: mimeType,
-            dataAsUrl: dataAsUrl,
-            isDataUrl: isDataUrl,
-            canvasToBlob: canvasToBlob,
-            resolveUrl: resolveUrl,
-            getAndEncode: getAndEncode,
-            uid: uid(),
-            delay: delay,
-            asArray: asArray,
-            escapeXhtml: escapeXhtml,
-            makeImage: makeImage,
-            width: width,
-            height: height
-        };
+            // Huffman codes are packed most significant bit first
+            function huffman(code, size) {
+                for (var i = size - 1; i >= 0; i--) {
+                    buffer |= ((code >> i) & 1) << count;
+                    if (++count === 8) flush();
+                }
+            }
 
-        function mimes() {
-            /*
-             * Only WOFF and EOT mime types for fonts are 'real'
-             * see http://www.iana.org/assignments/media-types/media-types.xhtml
-             */
-            var WOFF = 'application/font-woff';
-            var JPEG = 'image/jpeg';
+            function align() {
+                if (count > 0) flush();
+            }
 
-            return {
-                'woff': WOFF,
-                'woff2': WOFF,
-                'ttf': 'application/font-truetype',
-                'eot': 'application/vnd.ms-fontobject',
-                'png': 'image/png',
-                'jpg': JPEG,
-                'jpeg': JPEG,
-                'gif': 'image/gif',
-                'tiff': 'image/tiff',
-                'svg': 'image/svg+xml'
-            };
-        }
+            function flush() {
+                if (length === bytes.length) {
+                    var grown = new Uint8Array(bytes.length * 2);
+                    grown.set(bytes);
+                    bytes = grown;
+                }
+                bytes[length++] = buffer;
+                buffer = 0;
+                count = 0;
+            }
 
-        function parseExtension(url) {
-            var match = /\.([^\.\/]*?)(\?|$)/g.exec(url);
-            if (match) return match[1];
-            else return '';
+            function result() {
+                return bytes.subarray(0, length);
+            }
         }
 
-        function mimeType(url) {
-            var extension = parseExtension(url).toLowerCase();
-            return mimes()[extension] || '';
+        function crc32(bytes) {
+            if (!crcTable) {
+                crcTable = new Int32Array(256);
+                for (var n = 0; n < 256; n++) {
+                    var c = n;
+                    for (var k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                    crcTable[n] = c;
+                }
+            }
+
+            var crc = -1;
+            for (var i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            return (crc ^ -1) >>> 0;
         }
 
-        function isDataUrl(url) {
-            return url.search(/^(data:)/) !== -1;
+        function adler32(bytes) {
+            var a = 1;
+            var b = 0;
+            for (var i = 0; i < bytes.length; i++) {
+                a = (a + bytes[i]) % 65521;
+                b = (b + a) % 65521;
+            }
+            return ((b << 16) | a) >>> 0;
         }
 
-        function toBlob(canvas) {
-            return new Promise(function(resolve) {
-                var binaryString = window.atob(canvas.toDataURL().split(',')[1]);
-                var length = binaryString.length;
-                var binaryArray = new Uint8Array(length);
+        function uint32(value) {
+            return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+        }
 
-                for (var i = 0; i < length; i++)
-                    binaryArray[i] = binaryString.charCodeAt(i);
+        function uint16(value) {
+            return [(value >>> 8) & 0xFF, value & 0xFF];
+        }
 
-                resolve(new Blob([binaryArray], {
-                    type: 'image/png'
-                }));
+        function concat(parts) {
+            var length = parts.reduce(function(length, part) {
+                return length + part.length;
+            }, 0);
+            var out = new Uint8Array(length);
+            var offset = 0;
+            parts.forEach(function(part) {
+                out.set(part, offset);
+                offset += part.length;
             });
+            return out;
         }
+    }
 
-        function canvasToBlob(canvas) {
-            if (canvas.toBlob)
-                return new Promise(function(resolve) {
-                    canvas.toBlob(resolve);
-                });
+    function newGif() {
+        var MAX_COLORS = 256;
 
-            return toBlob(canvas);
-        }
+        return {
+            encode: encode,
+            quantize: quantize,
+            impl: {
+                lzw: lzw,
+                nearest: nearest
+            }
+        };
 
-        function resolveUrl(url, baseUrl) {
-            var doc = document.implementation.createHTMLDocument();
-            var base = doc.createElement('base');
-            doc.head.appendChild(base);
-            var a = doc.createElement('a');
-            doc.body.appendChild(a);
-            base.href = baseUrl;
-            a.href = url;
-            return a.href;
-        }
+        /**
+         * @param {Array} frames - {data, width, height, delay} RGBA frames of the animation canvas size, delay in milliseconds
+         * @param {Object} options - Animation options
+         * @param {Number} options.loop - number of times to play the animation, 0 loops forever
+         * @return {Uint8Array} - The GIF file
+         * */
+        function encode(frames, options) {
+            var width = frames[0].width;
+            var height = frames[0].height;
+            var out = newByteWriter();
 
-        function uid() {
-            var index = 0;
+            out.string('GIF89a');
+            out.uint16(width);
+            out.uint16(height);
+            // No global color table, every frame has its own
+            out.bytes([0x00, 0, 0]);
 
-            return function() {
-                return 'u' + fourRandomChars() + index++;
+            // NETSCAPE2.0 application extension, the loop count
+            out.bytes([0x21, 0xFF, 11]);
+            out.string('NETSCAPE2.0');
+            out.bytes([3, 1]);
+            out.uint16(options.loop || 0);
+            out.bytes([0]);
 
-                function fourRandomChars() {
-                    /* see http://stackoverflow.com/a/6248722/2519373 */
-                    return ('0000' + (Math.random() * Math.pow(36, 4) << 0).toString(36)).slice(-4);
-                }
-            };
-        }
+            frames.forEach(function(frame) {
+                var quantized = quantize(frame.data);
+                var tableBits = Math.max(1, Math.ceil(Math.log(quantized.palette.length / 3) / Math.LN2));
+                var transparent = quantized.transparent >= 0;
 
-        function makeImage(uri) {
-            if (uri === 'data:,') return Promise.resolve();
-            return new Promise(function(resolve, reject) {
-                var image = new Image();
-                if(domtoimage.impl.options.useCredentials) {
-                    image.crossOrigin = 'use-credentials';
+                // Graphic control extension: frames with transparency are cleared before the next one is drawn
+                out.bytes([0x21, 0xF9, 4, (transparent ? 2 << 2 : 1 << 2) | (transparent ? 1 : 0)]);
+                out.uint16(Math.round(frame.delay / 10));
+                out.bytes([transparent ? quantized.transparent : 0, 0]);
+
+                out.bytes([0x2C]);
+                out.uint16(0);
+                out.uint16(0);
+                out.uint16(width);
+                out.uint16(height);
+                out.bytes([0x80 | (tableBits - 1)]);
+                var table = new Uint8Array(3 << tableBits);
+                table.set(quantized.palette);
+                out.bytes(table);
+
+                var minCodeSize = Math.max(2, tableBits);
+                out.bytes([minCodeSize]);
+                var data = lzw(quantized.indices, minCodeSize);
+                for (var offset = 0; offset < data.length; offset += 255) {
+                    var block = data.subarray(offset, offset + 255);
+                    out.bytes([block.length]);
+                    out.bytes(block);
                 }
-                image.onload = function() {
-                    resolve(image);
-                };
-                image.onerror = reject;
-                image.src = uri;
+                out.bytes([0]);
             });
+
+            out.bytes([0x3B]);
+            return out.result();
         }
 
-        function getAndEncode(url) {
-            var TIMEOUT = 30000;
-            if (domtoimage.impl.options.cacheBust) {
-                // Cache bypass so we dont have CORS issues with cached images
-                // Source: https://developer.mozilla.org/en/docs/Web/API/XMLHttpRequest/Using_XMLHttpRequest#Bypassing_the_cache
-                url += ((/\?/).test(url) ? "&" : "?") + (new Date()).getTime();
+        /**
+         * Reduces RGBA pixels to at most 255 colors plus a transparent one: exactly when they have that few, by median cut otherwise.
+         * @param {Uint8Array|Uint8ClampedArray} data - RGBA pixels
+         * @param {Number} maxColors - The palette size, defaults to 256
+         * @param {Boolean} alpha - Whether to keep the alpha of translucent pixels in their colors, GIF only has transparent pixels
+         * @return {Object} - {palette, indices, transparent}, palette being a flat RGB array (RGBA with alpha) and transparent
+         *          the palette index of transparent pixels or -1
+         * */
+        function quantize(data, maxColors, alpha) {
+            maxColors = maxColors || MAX_COLORS;
+            var channels = alpha ? 4 : 3;
+            var pixels = data.length / 4;
+            var transparent = false;
+            var colors = new Map();
+            var i;
+
+            for (i = 0; i < pixels; i++) {
+                if (isTransparent(i)) transparent = true;
+                else if (colors.size <= maxColors && !colors.has(color(i))) colors.set(color(i), colors.size);
             }
 
-            return new Promise(function(resolve) {
-                var request = new XMLHttpRequest();
-
-                request.onreadystatechange = done;
-                request.ontimeout = timeout;
-                request.responseType = 'blob';
-                request.timeout = TIMEOUT;
-                if(domtoimage.impl.options.useCredentials) {
-                    request.withCredentials = true;
-                }
-                request.open('GET', url, true);
-                request.send();
-
-                var placeholder;
-                if (domtoimage.impl.options.imagePlaceholder) {
-                    var split = domtoimage.impl.options.imagePlaceholder.split(/,/);
-                    if (split && split[1]) {
-                        placeholder = split[1];
-                    }
+            var available = maxColors - (transparent ? 1 : 0);
+            var palette;
+            var lookup;
+            if (colors.size <= available) {
+                palette = [];
+                Array.from(colors.keys()).forEach(function(color) {
+                    palette.push((color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF);
+                    if (alpha) palette.push(Math.floor(color / 0x1000000));
+                });
+                lookup = function(pixel) {
+                    return colors.get(color(pixel));
+                };
+            } else {
+                palette = medianCut(available);
+                lookup = nearestLookup(palette);
+            }
+
+            var transparentIndex = transparent ? palette.length / channels : -1;
+            if (transparent) palette.push.apply(palette, alpha ? [0, 0, 0, 0] : [0, 0, 0]);
+
+            var indices = new Uint8Array(pixels);
+            for (i = 0; i < pixels; i++) indices[i] = isTransparent(i) ? transparentIndex : lookup(i);
+
+            return {
+                palette: palette,
+                indices: indices,
+                transparent: transparentIndex
+            };
+
+            function isTransparent(pixel) {
+                return alpha ? data[pixel * 4 + 3] === 0 : data[pixel * 4 + 3] < 128;
+            }
+
+            // Alpha takes the bits above RGB, multiplied rather than shifted to stay clear of the sign bit
+            function color(pixel) {
+                var rgb = (data[pixel * 4] << 16) | (data[pixel * 4 + 1] << 8) | data[pixel * 4 + 2];
+                return alpha ? data[pixel * 4 + 3] * 0x1000000 + rgb : rgb;
+            }
+
+            // Colors are counted in 5 bit per channel bins, the boxes split at the median of their widest channel
+            function medianCut(count) {
+                var bins = {};
+                for (var i = 0; i < pixels; i++) {
+                    if (isTransparent(i)) continue;
+                    var key = 0;
+                    for (var channel = 0; channel < channels; channel++) key = (key << 5) | (data[i * 4 + channel] >> 3);
+                    var bin = bins[key] || (bins[key] = { key: key, count: 0, sums: [0, 0, 0, 0] });
+                    bin.count++;
+                    for (channel = 0; channel < channels; channel++) bin.sums[channel] += data[i * 4 + channel];
                 }
 
-                function done() {
-                    if (request.readyState !== 4) return;
+                var boxes = [Object.keys(bins).map(function(key) {
+                    return bins[key];
+                })];
+                for (var widest = widestBox(boxes); boxes.length < count && widest >= 0; widest = widestBox(boxes))
+                    boxes.splice.apply(boxes, [widest, 1].concat(splitBox(boxes[widest])));
 
-                    if (request.status !== 200) {
-                        if (placeholder) {
-                            resolve(placeholder);
-                        } else {
-                            fail('cannot fetch resource: ' + url + ', status: ' + request.status);
-                        }
+                var palette = [];
+                boxes.forEach(function(box) {
+                    var total = 0;
+                    var sums = [0, 0, 0, 0];
+                    box.forEach(function(bin) {
+                        total += bin.count;
+                        for (var channel = 0; channel < channels; channel++) sums[channel] += bin.sums[channel];
+                    });
+                    for (var channel = 0; channel < channels; channel++) palette.push(Math.round(sums[channel] / total));
+                });
+                return palette;
+            }
 
-                        return;
+            function widestBox(boxes) {
+                var widest = -1;
+                var widestSize = 0;
+                boxes.forEach(function(box, index) {
+                    var size = channelRange(box).size;
+                    if (box.length > 1 && size > widestSize) {
+                        widest = index;
+                        widestSize = size;
                     }
+                });
+                return widest;
+            }
 
-                    var encoder = new FileReader();
-                    encoder.onloadend = function() {
-                        var content = encoder.result.split(/,/)[1];
-                        resolve(content);
-                    };
-                    encoder.readAsDataURL(request.response);
-                }
+            function splitBox(box) {
+                var channel = channelRange(box).channel;
+                box.sort(function(a, b) {
+                    return component(a.key, channel) - component(b.key, channel);
+                });
+
+                var total = box.reduce(function(total, bin) {
+                    return total + bin.count;
+                }, 0);
+                var split = 1;
+                for (var seen = box[0].count; split < box.length - 1 && seen < total / 2; split++) seen += box[split].count;
+                return [box.slice(0, split), box.slice(split)];
+            }
 
-                function timeout() {
-                    if (placeholder) {
-                        resolve(placeholder);
-                    } else {
-                        fail('timeout of ' + TIMEOUT + 'ms occured while fetching resource: ' + url);
+            function channelRange(box) {
+                var widest = { channel: 0, size: -1 };
+                for (var channel = 0; channel < channels; channel++) {
+                    var min = 31;
+                    var max = 0;
+                    for (var i = 0; i < box.length; i++) {
+                        var value = component(box[i].key, channel);
+                        if (value < min) min = value;
+                        if (value > max) max = value;
                     }
+                    if (max - min > widest.size) widest = { channel: channel, size: max - min };
                 }
+                return widest;
+            }
+
+            function component(key, channel) {
+                return (key >> ((channels - 1 - channel) * 5)) & 31;
+            }
 
-                function fail(message) {
-                    console.error(message);
-                    resolve('');
+            function nearestLookup(palette) {
+                var cache = new Map();
+                return function(pixel) {
+                    var key = color(pixel);
+                    var index = cache.get(key);
+                    if (index === undefined) {
+                        index = nearest(palette, Array.prototype.slice.call(data, pixel * 4, pixel * 4 + channels));
+                        cache.set(key, index);
+                    }
+                    return index;
+                };
+            }
+        }
+
+        /**
+         * @param {Array} palette - A flat array of colors, as many channels each as the color has
+         * @param {Array} color - The RGB, or RGBA, channels of the color
+         * @return {Number} - The palette index of the color nearest to it
+         * */
+        function nearest(palette, color) {
+            var channels = color.length;
+            var best = 0;
+            var bestDistance = Infinity;
+            for (var i = 0; i < palette.length; i += channels) {
+                var distance = 0;
+                for (var channel = 0; channel < channels; channel++) {
+                    var delta = palette[i + channel] - color[channel];
+                    distance += delta * delta;
                 }
-            });
+                if (distance < bestDistance) {
+                    best = i / channels;
+                    bestDistance = distance;
+                }
+            }
+            return best;
         }
 
-        function dataAsUrl(content, type) {
-            return 'data:' + type + ';base64,' + content;
+        /**
+         * GIF flavored LZW: variable code sizes up to 12 bits, packed least significant bit first,
+         * with a clear code whenever the code table is full.
+         * @param {Uint8Array} indices - The palette indices of the pixels
+         * @param {Number} minCodeSize - The minimum code size, 2 to 8
+         * @return {Uint8Array} - The compressed image data, not yet split into sub-blocks
+         * */
+        function lzw(indices, minCodeSize) {
+            var clearCode = 1 << minCodeSize;
+            var endCode = clearCode + 1;
+            var out = newByteWriter();
+            var buffer = 0;
+            var count = 0;
+            var codeSize = minCodeSize + 1;
+            var nextCode = endCode + 1;
+            var table = new Map();
+
+            write(clearCode);
+            var prefix = indices[0];
+            for (var i = 1; i < indices.length; i++) {
+                var key = (prefix << 8) | indices[i];
+                var code = table.get(key);
+                if (code !== undefined) {
+                    prefix = code;
+                    continue;
+                }
+
+                write(prefix);
+                if (nextCode === 4096) {
+                    write(clearCode);
+                    table.clear();
+                    codeSize = minCodeSize + 1;
+                    nextCode = endCode + 1;
+                } else {
+                    // The decoder grows its code size one code later than it assigns it
+                    if (nextCode >= 1 << codeSize) codeSize++;
+                    table.set(key, nextCode++);
+                }
+                prefix = indices[i];
+            }
+            write(prefix);
+            write(endCode);
+            if (count > 0) out.bytes([buffer & 0xFF]);
+            return out.result();
+
+            function write(code) {
+                buffer |= code << count;
+                count += codeSize;
+                while (count >= 8) {
+                    out.bytes([buffer & 0xFF]);
+                    buffer >>= 8;
+                    count -= 8;
+                }
+            }
         }
 
-        function escape(string) {
-            return string.replace(/([.*+?^${}()|\[\]\/\\])/g, '\\$1');
+        function newByteWriter() {
+            var bytes = new Uint8Array(1024);
+            var length = 0;
+
+            return {
+                bytes: write,
+                uint16: uint16,
+                string: string,
+                result: result
+            };
+
+            function write(values) {
+                if (length + values.length > bytes.length) {
+                    var grown = new Uint8Array(Math.max(bytes.length * 2, length + values.length));
+                    grown.set(bytes);
+                    bytes = grown;
+                }
+                bytes.set(values, length);
+                length += values.length;
+            }
+
+            // Little endian
+            function uint16(value) {
+                write([value & 0xFF, (value >> 8) & 0xFF]);
+            }
+
+            function string(text) {
+                write(text.split('').map(function(character) {
+                    return character.charCodeAt(0);
+                }));
+            }
+
+            function result() {
+                return bytes.subarray(0, length);
+            }
         }
+    }
 
-        function delay(ms) {
-            return function(arg) {
-                return new Promise(function(resolve) {
-                    setTimeout(function() {
-                        resolve(arg);
-                    }, ms);
-                });
+    function newColorModes() {
+        // 8x8 Bayer matrix, the order in which ordered dithering turns pixels on
+        var BAYER = [
+            0, 32, 8, 40, 2, 34, 10, 42,
+            48, 16, 56, 24, 50, 18, 58, 26,
+            12, 44, 4, 36, 14, 46, 6, 38,
+            60, 28, 52, 20, 62, 30, 54, 22,
+            3, 35, 11, 43, 1, 33, 9, 41,
+            51, 19, 59, 27, 49, 17, 57, 25,
+            15, 47, 7, 39, 13, 45, 5, 37,
+            63, 31, 55, 23, 61, 29, 53, 21
+        ];
+        var DITHERS = ['threshold', 'ordered', 'floyd-steinberg'];
+
+        return {
+            reduce: reduce,
+            impl: {
+                luminance: luminance,
+                diffuse: diffuse
+            }
+        };
+
+        /**
+         * Reduces the colors of the image in place.
+         * @param {Object} image - {data, width, height} RGBA pixels, like ImageData
+         * @param {Object} options - Rendering options, @see {@link toSvg}: colorMode, dither, threshold and colors
+         * @return {Object} - The image
+         * */
+        function reduce(image, options) {
+            var reducers = {
+                'grayscale': grayscale,
+                '1bit': oneBit,
+                'palette': palette
             };
+            var reducer = reducers[options.colorMode];
+            if (!reducer) throw new Error('unsupported color mode: ' + options.colorMode);
+            var dither = options.dither || 'threshold';
+            if (DITHERS.indexOf(dither) === -1) throw new Error('unsupported dithering: ' + dither);
+
+            reducer(image, dither, options);
+            return image;
         }
 
-        function asArray(arrayLike) {
-            var array = [];
-            var length = arrayLike.length;
-            for (var i = 0; i < length; i++) array.push(arrayLike[i]);
-            return array;
+        function grayscale(image) {
+            var data = image.data;
+            for (var i = 0; i < data.length; i += 4) data[i] = data[i + 1] = data[i + 2] = Math.round(luminance(data, i));
         }
 
-        function escapeXhtml(string) {
-            return string.replace(/#/g, '%23').replace(/\n/g, '%0A');
+        function oneBit(image, dither, options) {
+            var data = image.data;
+            var pixels = data.length / 4;
+            var threshold = typeof(options.threshold) === 'number' ? options.threshold : 128;
+            var values = new Float32Array(pixels);
+            var i;
+
+            for (i = 0; i < pixels; i++) {
+                // Flattened on white, e-ink and paper have no transparency
+                var alpha = data[i * 4 + 3] / 255;
+                values[i] = luminance(data, i * 4) * alpha + 255 * (1 - alpha);
+            }
+
+            if (dither === 'floyd-steinberg') {
+                diffuse(values, image.width, image.height, 1, function(values, offset) {
+                    return [values[offset] >= threshold ? 255 : 0];
+                });
+            } else {
+                for (i = 0; i < pixels; i++) {
+                    var limit = dither === 'ordered' ? threshold + orderedOffset(i % image.width, Math.floor(i / image.width)) : threshold;
+                    values[i] = values[i] >= limit ? 255 : 0;
+                }
+            }
+
+            for (i = 0; i < pixels; i++) {
+                data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = values[i];
+                data[i * 4 + 3] = 255;
+            }
         }
 
-        function width(node) {
-            var leftBorder = px(node, 'border-left-width');
-            var rightBorder = px(node, 'border-right-width');
-            return node.scrollWidth + leftBorder + rightBorder;
+        // Translucent pixels keep their quantized alpha, written to the tRNS chunk of indexed PNG files
+        function palette(image, dither, options) {
+            var data = image.data;
+            var pixels = data.length / 4;
+            var quantized = gif.quantize(data, Math.max(2, Math.min(256, options.colors || 256)), true);
+            var transparent = quantized.transparent;
+            // The transparent entry is the last one, it is never the nearest color
+            var colors = transparent < 0 ? quantized.palette : quantized.palette.slice(0, transparent * 4);
+            var indices = quantized.indices;
+            var i;
+
+            if (dither !== 'threshold') {
+                var values = new Float32Array(data);
+
+                if (dither === 'ordered') {
+                    // Offsets spanning about the distance between neighbouring palette colors
+                    var spread = 1 / Math.cbrt(colors.length / 4);
+                    for (i = 0; i < pixels; i++) {
+                        if (indices[i] === transparent) continue;
+                        var offset = orderedOffset(i % image.width, Math.floor(i / image.width)) * spread;
+                        indices[i] = gif.impl.nearest(colors, [values[i * 4] + offset, values[i * 4 + 1] + offset, values[i * 4 + 2] + offset,
+                            values[i * 4 + 3]]);
+                    }
+                } else {
+                    diffuse(values, image.width, image.height, 4, function(values, offset) {
+                        var pixel = offset / 4;
+                        if (indices[pixel] === transparent) return Array.prototype.slice.call(values, offset, offset + 4);
+
+                        var index = gif.impl.nearest(colors, Array.prototype.slice.call(values, offset, offset + 4));
+                        indices[pixel] = index;
+                        return colors.slice(index * 4, index * 4 + 4);
+                    });
+                }
+            }
+
+            for (i = 0; i < pixels; i++) {
+                var color = indices[i] === transparent ? [0, 0, 0, 0] : colors.slice(indices[i] * 4, indices[i] * 4 + 4);
+                data.set(color, i * 4);
+            }
         }
 
-        function height(node) {
-            var topBorder = px(node, 'border-top-width');
-            var bottomBorder = px(node, 'border-bottom-width');
-            return node.scrollHeight + topBorder + bottomBorder;
+        function orderedOffset(x, y) {
+            return ((BAYER[(y & 7) * 8 + (x & 7)] + 0.5) / 64 - 0.5) * 255;
         }
 
-        function px(node, styleProperty) {
-            var value = window.getComputedStyle(node).getPropertyValue(styleProperty);
-            return parseFloat(value.replace('px', ''));
+        /**
+         * Floyd-Steinberg error diffusion: every pixel takes the levels chosen for it, the difference being spread to the next pixels.
+         * @param {Float32Array} values - The channel values of every pixel, replaced by the chosen levels
+         * @param {Number} width - The image width
+         * @param {Number} height - The image height
+         * @param {Number} channels - The number of values per pixel
+         * @param {Function} choose - function(values, offset) returning the levels of the pixel's channels starting at offset
+         * */
+        function diffuse(values, width, height, channels, choose) {
+            for (var y = 0; y < height; y++) {
+                for (var x = 0; x < width; x++) {
+                    var offset = (y * width + x) * channels;
+                    var levels = choose(values, offset);
+                    for (var channel = 0; channel < channels; channel++) {
+                        var error = values[offset + channel] - levels[channel];
+                        values[offset + channel] = levels[channel];
+
+                        var below = offset + width * channels + channel;
+                        if (x + 1 < width) values[offset + channels + channel] += error * 7 / 16;
+                        if (y + 1 === height) continue;
+                        if (x > 0) values[below - channels] += error * 3 / 16;
+                        values[below] += error * 5 / 16;
+                        if (x + 1 < width) values[below + channels] += error / 16;
+                    }
+                }
+            }
+        }
+
+        // Rec. 601 luma of the RGBA pixel at offset
+        function luminance(data, offset) {
+            return 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
         }
     }
 
-    function newInliner() {
-        var URL_REGEX = /url\(['"]?([^'"]+?)['"]?\)/g;
+    function newRecognizer() {
+        // Glyphs compared pixel by pixel at every position, out of those with the closest column ink profiles
+        var CANDIDATES = 8;
+        // Cost of every recognized character and of every column left out, the fewest characters winning between equal matches
+        var CHARACTER_COST = 0.5;
+        var SKIP_COST = 2;
+        // Vertical offsets tried to align the glyphs with the lines of the image, in pixels either way
+        var MAX_OFFSET = 3;
+        // Columns with less ink are blank
+        var MIN_INK = 0.5;
+        // Weight of the edge differences against the ink differences, converting images
+        var EDGE_WEIGHT = 1;
 
         return {
-            inlineAll: inlineAll,
-            shouldProcess: shouldProcess,
+            recognize: recognize,
+            convert: convert,
             impl: {
-                readUrls: readUrls,
-                inline: inline
+                inkMap: inkMap,
+                toneMap: toneMap,
+                recognizeLine: recognizeLine
             }
         };
 
-        function shouldProcess(string) {
-            return string.search(URL_REGEX) !== -1;
+        /**
+         * @param {Object} image - {data, width, height} RGBA pixels, like ImageData
+         * @param {Array} templates - {text, width, ink} glyphs, ink holding the darkness (0-1) of width x lineHeight pixels
+         * @param {Object} layout - {lineHeight, top, left} of the text in the image, in pixels
+         * @return {String} - The recognized text, one line per line of the image
+         * */
+        function recognize(image, templates, layout) {
+            var ink = inkMap(image);
+            var glyphs = templates.map(function(template) {
+                return withColumns(template, layout.lineHeight);
+            });
+            var offset = calibrate(ink, glyphs, layout);
+
+            var lines = [];
+            for (var top = layout.top + offset; top < ink.height; top += layout.lineHeight)
+                lines.push(recognizeLine(ink, glyphs, top, layout).text);
+            while (lines.length && lines[lines.length - 1] === '') lines.pop();
+            return lines.join('\n');
         }
 
-        function readUrls(string) {
-            var result = [];
-            var match;
-            while ((match = URL_REGEX.exec(string)) !== null) {
-                result.push(match[1]);
+        /**
+         * @param {Object} image - {data, width, height} RGBA pixels, like ImageData
+         * @return {Object} - {data, width, height}, data holding the darkness (0-1) of every pixel against the background,
+         *          the color of the top left pixel, transparent pixels being taken as white
+         * */
+        function inkMap(image) {
+            var pixels = image.width * image.height;
+            var luminance = new Float32Array(pixels);
+            for (var i = 0; i < pixels; i++) {
+                var alpha = image.data[i * 4 + 3] / 255;
+                luminance[i] = colorModes.impl.luminance(image.data, i * 4) * alpha + 255 * (1 - alpha);
             }
-            return result.filter(function(url) {
-                return !util.isDataUrl(url);
-            });
+
+            var background = luminance[0];
+            var contrast = 0;
+            for (i = 0; i < pixels; i++) contrast = Math.max(contrast, Math.abs(luminance[i] - background));
+
+            var data = new Float32Array(pixels);
+            for (i = 0; i < pixels; i++) data[i] = contrast ? Math.abs(luminance[i] - background) / contrast : 0;
+            return {
+                data: data,
+                width: image.width,
+                height: image.height
+            };
         }
 
-        function inline(string, url, baseUrl, get) {
-            return Promise.resolve(url)
-                .then(function(url) {
-                    return baseUrl ? util.resolveUrl(url, baseUrl) : url;
-                })
-                .then(get || util.getAndEncode)
-                .then(function(data) {
-                    return util.dataAsUrl(data, util.mimeType(url));
-                })
-                .then(function(dataUrl) {
-                    return string.replace(urlAsRegex(url), '$1' + dataUrl + '$3');
-                });
+        /**
+         * Draws the image with the glyphs matching its darkness and edges the best, line by line. Unlike recognition,
+         * no column is ever left out, so that the lines stay aligned.
+         * @param {Object} image - {data, width, height} RGBA pixels of the image at the size of the AA, in dots
+         * @param {Array} templates - {text, width, ink} glyphs, @see {@link recognize}
+         * @param {Object} layout - {lineHeight} of the AA in pixels
+         * @return {String} - The AA text
+         * */
+        function convert(image, templates, layout) {
+            var tone = toneMap(image);
+            var glyphs = templates.map(function(template) {
+                var glyph = withColumns(template, layout.lineHeight);
+                glyph.edges = edges(glyph.ink, glyph.width, layout.lineHeight);
+                return glyph;
+            });
+            var lineLayout = {
+                lineHeight: layout.lineHeight,
+                left: 0,
+                skip: false
+            };
 
-            function urlAsRegex(url) {
-                return new RegExp('(url\\([\'"]?)(' + util.escape(url) + ')([\'"]?\\))', 'g');
-            }
+            var lines = [];
+            for (var top = 0; top < tone.height; top += layout.lineHeight) lines.push(recognizeLine(tone, glyphs, top, lineLayout).text);
+            while (lines.length && lines[lines.length - 1] === '') lines.pop();
+            return lines.join('\n');
         }
 
-        function inlineAll(string, baseUrl, get) {
-            if (nothingToInline()) return Promise.resolve(string);
+        /**
+         * @param {Object} image - {data, width, height} RGBA pixels, like ImageData
+         * @return {Object} - {data, edges, width, height}, data holding the darkness (0-1) of every pixel stretched to the
+         *          full range, transparent pixels being taken as white, and edges the gradient magnitude (0-1) of the darkness
+         * */
+        function toneMap(image) {
+            var pixels = image.width * image.height;
+            var data = new Float32Array(pixels);
+            var lightest = 1;
+            var darkest = 0;
+            for (var i = 0; i < pixels; i++) {
+                var alpha = image.data[i * 4 + 3] / 255;
+                data[i] = (1 - colorModes.impl.luminance(image.data, i * 4) / 255) * alpha;
+                lightest = Math.min(lightest, data[i]);
+                darkest = Math.max(darkest, data[i]);
+            }
 
-            return Promise.resolve(string)
-                .then(readUrls)
-                .then(function(urls) {
-                    var done = Promise.resolve(string);
-                    urls.forEach(function(url) {
-                        done = done.then(function(string) {
-                            return inline(string, url, baseUrl, get);
-                        });
-                    });
-                    return done;
-                });
+            var range = darkest - lightest;
+            for (i = 0; i < pixels; i++) data[i] = range ? (data[i] - lightest) / range : 0;
+            return {
+                data: data,
+                edges: edges(data, image.width, image.height),
+                width: image.width,
+                height: image.height
+            };
+        }
 
-            function nothingToInline() {
-                return !shouldProcess(string);
+        // Sobel gradient magnitudes, the pixels around the values being blank
+        function edges(values, width, height) {
+            var out = new Float32Array(width * height);
+            for (var y = 0; y < height; y++) {
+                for (var x = 0; x < width; x++) {
+                    var horizontal = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+                    var vertical = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+                    out[y * width + x] = Math.min(1, Math.sqrt(horizontal * horizontal + vertical * vertical) / 4);
+                }
+            }
+            return out;
+
+            function at(x, y) {
+                return x < 0 || y < 0 || x >= width || y >= height ? 0 : values[y * width + x];
             }
         }
-    }
 
-    function newFontFaces() {
-        return {
-            resolveAll: resolveAll,
-            impl: {
-                readAll: readAll
+        function withColumns(template, lineHeight) {
+            var columns = new Float32Array(template.width);
+            for (var y = 0; y < lineHeight; y++) {
+                for (var x = 0; x < template.width; x++) columns[x] += template.ink[y * template.width + x];
             }
-        };
+            return Object.assign({ columns: columns }, template);
+        }
 
-        function resolveAll() {
-            return readAll(document)
-                .then(function(webFonts) {
-                    return Promise.all(
-                        webFonts.map(function(webFont) {
-                            return webFont.resolve();
-                        })
-                    );
-                })
-                .then(function(cssStrings) {
-                    return cssStrings.join('\n');
-                });
+        // The offset matching the first line with ink the best
+        function calibrate(ink, glyphs, layout) {
+            for (var top = layout.top; top < ink.height; top += layout.lineHeight) {
+                var best = { offset: 0, cost: Infinity };
+                for (var offset = -MAX_OFFSET; offset <= MAX_OFFSET; offset++) {
+                    var line = recognizeLine(ink, glyphs, top + offset, layout);
+                    if (line.cost < best.cost) best = { offset: offset, cost: line.cost, text: line.text };
+                }
+                if (best.text) return best.offset;
+            }
+            return 0;
         }
 
-        function readAll() {
-            return Promise.resolve(util.asArray(document.styleSheets))
-                .then(getCssRules)
-                .then(selectWebFontRules)
-                .then(function(rules) {
-                    return rules.map(newWebFont);
-                });
+        /**
+         * Finds the sequence of glyphs, by dynamic programming over the columns of the line, that matches its pixels the best.
+         * @param {Object} ink - The ink map of the image, @see {@link inkMap}
+         * @param {Array} glyphs - {text, width, ink, columns} glyphs, columns holding the ink sum of every column
+         * @param {Number} top - The first row of the line
+         * @param {Object} layout - {lineHeight, left} in pixels
+         * @return {Object} - {text, cost} of the line, the cost being the sum of the pixel differences
+         * */
+        function recognizeLine(ink, glyphs, top, layout) {
+            var lineHeight = layout.lineHeight;
+            var columns = new Float32Array(ink.width);
+            var x;
+            for (x = 0; x < ink.width; x++) {
+                for (var y = Math.max(0, top); y < Math.min(ink.height, top + lineHeight); y++) columns[x] += ink.data[y * ink.width + x];
+            }
 
-            function selectWebFontRules(cssRules) {
-                return cssRules
-                    .filter(function(rule) {
-                        return rule.type === CSSRule.FONT_FACE_RULE;
-                    })
-                    .filter(function(rule) {
-                        return inliner.shouldProcess(rule.style.getPropertyValue('src'));
-                    });
+            var end = ink.width;
+            while (end > layout.left && columns[end - 1] < MIN_INK) end--;
+            if (end <= layout.left) return { text: '', cost: 0 };
+
+            var widest = glyphs.reduce(function(widest, glyph) {
+                return Math.max(widest, glyph.width);
+            }, 1);
+            var costs = new Float64Array(end + widest + 1).fill(Infinity);
+            var steps = new Array(costs.length);
+            costs[layout.left] = 0;
+
+            for (x = layout.left; x < end; x++) {
+                if (costs[x] === Infinity) continue;
+
+                if (layout.skip !== false) step(x, x + 1, costs[x] + columns[x] + SKIP_COST, null);
+                var candidates = closestGlyphs(columns, glyphs, x);
+                for (var i = 0; i < candidates.length; i++) {
+                    var glyph = candidates[i];
+                    step(x, x + glyph.width, costs[x] + difference(ink, glyph, x, top, lineHeight) + CHARACTER_COST, glyph);
+                }
             }
 
-            function getCssRules(styleSheets) {
-                var cssRules = [];
-                styleSheets.forEach(function(sheet) {
-                    if (sheet.hasOwnProperty("cssRules")) {
-                        try {
-                            util.asArray(sheet.cssRules || []).forEach(cssRules.push.bind(cssRules));
-                        } catch (e) {
-                            console.log('Error while reading CSS rules from ' + sheet.href, e.toString());
-                        }
-                    }
-                });
-                return cssRules;
+            var last = end;
+            for (x = end + 1; x < costs.length; x++) {
+                if (costs[x] < costs[last]) last = x;
             }
+            if (costs[last] === Infinity) return { text: '', cost: Infinity };
 
-            function newWebFont(webFontRule) {
-                return {
-                    resolve: function resolve() {
-                        var baseUrl = (webFontRule.parentStyleSheet || {}).href;
-                        return inliner.inlineAll(webFontRule.cssText, baseUrl);
-                    },
-                    src: function() {
-                        return webFontRule.style.getPropertyValue('src');
-                    }
+            var text = '';
+            for (x = last; x > layout.left; x = steps[x].from) {
+                if (steps[x].glyph) text = steps[x].glyph.text + text;
+            }
+            return {
+                text: text,
+                cost: costs[last]
+            };
+
+            function step(from, to, cost, glyph) {
+                if (cost >= costs[to]) return;
+                costs[to] = cost;
+                steps[to] = {
+                    from: from,
+                    glyph: glyph
                 };
             }
         }
+
+        // The column ink sums differ no more than the pixels do, which makes them a cheap filter
+        function closestGlyphs(columns, glyphs, x) {
+            var closest = [];
+            var distances = [];
+            for (var i = 0; i < glyphs.length; i++) {
+                var glyph = glyphs[i];
+                var limit = closest.length < CANDIDATES ? Infinity : distances[distances.length - 1];
+                var distance = 0;
+                for (var column = 0; column < glyph.width && distance < limit; column++)
+                    distance += Math.abs((columns[x + column] || 0) - glyph.columns[column]);
+                if (distance >= limit) continue;
+
+                var index = closest.length;
+                while (index > 0 && distances[index - 1] > distance) index--;
+                closest.splice(index, 0, glyph);
+                distances.splice(index, 0, distance);
+                if (closest.length > CANDIDATES) {
+                    closest.pop();
+                    distances.pop();
+                }
+            }
+            return closest;
+        }
+
+        function difference(ink, glyph, x, top, lineHeight) {
+            var withEdges = ink.edges && glyph.edges;
+            var sum = 0;
+            for (var row = 0; row < lineHeight; row++) {
+                var y = top + row;
+                for (var column = 0; column < glyph.width; column++) {
+                    var inside = y >= 0 && y < ink.height && x + column < ink.width;
+                    var offset = y * ink.width + x + column;
+                    var index = row * glyph.width + column;
+                    sum += Math.abs((inside ? ink.data[offset] : 0) - glyph.ink[index]);
+                    if (withEdges) sum += EDGE_WEIGHT * Math.abs((inside ? ink.edges[offset] : 0) - glyph.edges[index]);
+                }
+            }
+            return sum;
+        }
     }
 
-    function newImages() {
+    function newPdf() {
+        // Page sizes in points, portrait
+        var PAGE_SIZES = {
+            a3: [841.89, 1190.55],
+            a4: [595.28, 841.89],
+            a5: [419.53, 595.28],
+            // JIS B sizes, the B4 and B5 of Japanese paper
+            b4: [728.5, 1031.81],
+            b5: [515.91, 728.5],
+            isob4: [708.66, 1000.63],
+            isob5: [498.9, 708.66],
+            letter: [612, 792],
+            legal: [612, 1008]
+        };
+        var colorContext = null;
+
         return {
-            inlineAll: inlineAll,
+            newDocument: newDocument,
+            pageSize: pageSize,
+            margins: margins,
             impl: {
-                newImage: newImage
+                toUnicode: toUnicode,
+                parseColor: parseColor
             }
         };
 
-        function newImage(element) {
+        /**
+         * @param {String|Array} size - 'a3', 'a4', 'a5', 'b4', 'b5' (JIS), 'isoB4', 'isoB5', 'letter', 'legal', [width, height]
+         *          in points or 'fit'
+         * @param {Number} fitWidth - page width in points for 'fit'
+         * @param {Number} fitHeight - page height in points for 'fit'
+         * @return {Array} - [width, height] in points
+         * */
+        function pageSize(size, fitWidth, fitHeight) {
+            if (Array.isArray(size)) return size;
+            if (size === 'fit') return [fitWidth, fitHeight];
+
+            var known = PAGE_SIZES[(size || 'a4').toLowerCase()];
+            if (!known) throw new Error('unsupported PDF page size: ' + size);
+            return known;
+        }
+
+        /**
+         * @param {Number|Object} value - margin in points, or {top, right, bottom, left} ones, defaults to 36 (half an inch)
+         * @return {Object} - {top, right, bottom, left} margins in points
+         * */
+        function margins(value) {
+            if (value === undefined) value = 36;
+            if (typeof value === 'number') return { top: value, right: value, bottom: value, left: value };
             return {
-                inline: inline
+                top: value.top || 0,
+                right: value.right || 0,
+                bottom: value.bottom || 0,
+                left: value.left || 0
             };
+        }
 
-            function inline(get) {
-                if (util.isDataUrl(element.src)) return Promise.resolve();
+        /**
+         * Pages are described top down in points, glyphs are embedded as subsets of the TrueType fonts they come from.
+         * @param {Object} info - Document information
+         * @param {String} info.title - The document title
+         * @return {Object} - {addFont, addPage, toBytes} PDF document builder
+         * */
+        function newDocument(info) {
+            var fonts = [];
+            var images = [];
+            var pages = [];
 
-                return Promise.resolve(element.src)
-                    .then(get || util.getAndEncode)
-                    .then(function(data) {
-                        return util.dataAsUrl(data, util.mimeType(element.src));
-                    })
-                    .then(function(dataUrl) {
-                        return new Promise(function(resolve, reject) {
-                            element.onload = resolve;
-                            // for any image with invalid src(such as <img src />), just ignore it
-                            element.onerror = resolve;
-                            element.src = dataUrl;
+            return {
+                addFont: addFont,
+                addPage: addPage,
+                toBytes: toBytes
+            };
+
+            /**
+             * @param {Object} font - A parsed TrueType font, @see {@link newFontData}
+             * @param {String} name - The font name
+             * @return {Number} - The font index to show text with
+             * */
+            function addFont(font, name) {
+                for (var i = 0; i < fonts.length; i++) {
+                    if (fonts[i].font === font) return i;
+                }
+                fonts.push({
+                    font: font,
+                    name: name.replace(/[^A-Za-z0-9-]/g, '') || 'AA',
+                    codePoints: {}
+                });
+                return fonts.length - 1;
+            }
+
+            function addPage(width, height) {
+                var page = {
+                    width: width,
+                    height: height,
+                    operations: [],
+                    fonts: [],
+                    images: []
+                };
+                pages.push(page);
+
+                return {
+                    fillRect: fillRect,
+                    drawImage: drawImage,
+                    showText: showText
+                };
+
+                function fillRect(x, y, width, height, color) {
+                    var rgb = parseColor(color);
+                    if (!rgb) return;
+                    page.operations.push(function() {
+                        return fillColor(rgb) + ' ' + [x, page.height - y - height, width, height].map(number).join(' ') + ' re f';
+                    });
+                }
+
+                /**
+                 * @param {Object} image - {data, width, height} RGBA pixels
+                 * */
+                function drawImage(image, x, y, width, height) {
+                    images.push(image);
+                    var index = images.length - 1;
+                    page.images.push(index);
+                    page.operations.push(function() {
+                        return 'q ' + [width, 0, 0, height, x, page.height - y - height].map(number).join(' ') + ' cm /Im' + index + ' Do Q';
+                    });
+                }
+
+                /**
+                 * @param {Number} fontIndex - @see {@link addFont}
+                 * @param {Number} size - font size in points
+                 * @param {String} color - CSS color
+                 * @param {Array} characters - {text, x, y} characters, y being the baseline
+                 * @param {Boolean} invisible - set to true for text that is only there to be selected and searched
+                 * */
+                function showText(fontIndex, size, color, characters, invisible) {
+                    var rgb = parseColor(color) || [0, 0, 0];
+                    characters.forEach(function(character) {
+                        fonts[fontIndex].codePoints[character.text.codePointAt(0)] = true;
+                    });
+                    if (page.fonts.indexOf(fontIndex) === -1) page.fonts.push(fontIndex);
+
+                    page.operations.push(function(subsets) {
+                        var font = subsets[fontIndex];
+                        var scale = size / font.unitsPerEm;
+                        var out = 'BT /F' + fontIndex + ' ' + number(size) + ' Tf ' + (invisible ? '3 Tr ' : fillColor(rgb) + ' ');
+                        var previous = null;
+                        var line = [];
+
+                        characters.forEach(function(character) {
+                            var glyphId = font.glyphIndex(character.text.codePointAt(0));
+                            if (previous && previous.y === character.y) {
+                                // Layout positions override the advance widths
+                                var expected = previous.x + font.advanceWidth(previous.glyphId) * scale;
+                                var adjustment = (expected - character.x) * 1000 / size;
+                                if (Math.abs(adjustment) > 0.5) line.push(number(adjustment));
+                            } else {
+                                if (line.length) out += '[' + line.join(' ') + '] TJ ';
+                                out += '1 0 0 1 ' + number(character.x) + ' ' + number(page.height - character.y) + ' Tm ';
+                                line = [];
+                            }
+                            line.push('<' + hex(glyphId, 4) + '>');
+                            previous = {
+                                x: character.x,
+                                y: character.y,
+                                glyphId: glyphId
+                            };
                         });
+                        if (line.length) out += '[' + line.join(' ') + '] TJ ';
+                        return out + 'ET';
+                    });
+                }
+            }
+
+            /**
+             * @return {Uint8Array} - The PDF file
+             * */
+            function toBytes() {
+                var objects = [];
+                var catalog = reserve();
+                var pageTree = reserve();
+
+                var subsets = fonts.map(function(entry) {
+                    var codePoints = Object.keys(entry.codePoints).map(Number).sort(function(a, b) {
+                        return a - b;
                     });
+                    entry.file = fontData.subset(entry.font, codePoints);
+                    entry.subset = fontData.impl.readSfnt(entry.file);
+                    entry.codePointList = codePoints;
+                    return entry.subset;
+                });
+                var fontRefs = fonts.map(writeFont);
+                var imageRefs = images.map(writeImage);
+
+                var pageRefs = pages.map(function(page) {
+                    var content = stream('', page.operations.map(function(operation) {
+                        return operation(subsets);
+                    }).join('\n'));
+                    var resources = '<< /Font << ' + page.fonts.map(function(index) {
+                            return '/F' + index + ' ' + ref(fontRefs[index]);
+                        }).join(' ') + ' >> /XObject << ' + page.images.map(function(index) {
+                            return '/Im' + index + ' ' + ref(imageRefs[index]);
+                        }).join(' ') + ' >> >>';
+                    return add('<< /Type /Page /Parent ' + ref(pageTree) + ' /MediaBox [0 0 ' + number(page.width) + ' ' +
+                        number(page.height) + '] /Resources ' + resources + ' /Contents ' + ref(add(content)) + ' >>');
+                });
+
+                objects[pageTree - 1] = '<< /Type /Pages /Kids [' + pageRefs.map(ref).join(' ') + '] /Count ' + pages.length + ' >>';
+                objects[catalog - 1] = '<< /Type /Catalog /Pages ' + ref(pageTree) + ' >>';
+                var infoRef = add('<< /Producer (dom-to-image-more) ' + (info && info.title ? '/Title ' + textString(info.title) + ' ' : '') + '>>');
+                return serialize(objects, catalog, infoRef);
+
+                function reserve() {
+                    objects.push(null);
+                    return objects.length;
+                }
+
+                function add(object) {
+                    objects.push(object);
+                    return objects.length;
+                }
+
+                function writeFont(entry, index) {
+                    var font = entry.subset;
+                    var head = new DataView(font.tables.head.buffer, font.tables.head.byteOffset, font.tables.head.byteLength);
+                    var toPdfUnits = function(value) {
+                        return Math.round(value * 1000 / font.unitsPerEm);
+                    };
+                    var baseFont = '/' + String.fromCharCode(65 + index % 26) + 'AAAAA+' + entry.name;
+
+                    var fontFile = add(stream('/Length1 ' + entry.file.length, entry.file));
+                    var descriptor = add('<< /Type /FontDescriptor /FontName ' + baseFont + ' /Flags 4 /FontBBox [' +
+                        [head.getInt16(36), head.getInt16(38), head.getInt16(40), head.getInt16(42)].map(toPdfUnits).join(' ') +
+                        '] /ItalicAngle 0 /Ascent ' + toPdfUnits(font.ascender) + ' /Descent ' + toPdfUnits(font.descender) +
+                        ' /CapHeight ' + toPdfUnits(font.ascender) + ' /StemV 80 /FontFile2 ' + ref(fontFile) + ' >>');
+
+                    var widths = [];
+                    for (var glyphId = 0; glyphId < font.numGlyphs; glyphId++) widths.push(toPdfUnits(font.advanceWidth(glyphId)));
+                    var cidFont = add('<< /Type /Font /Subtype /CIDFontType2 /BaseFont ' + baseFont +
+                        ' /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ' + ref(descriptor) +
+                        ' /W [0 [' + widths.join(' ') + ']] /CIDToGIDMap /Identity >>');
+
+                    var unicode = add(stream('', toUnicode(entry.codePointList.map(function(codePoint) {
+                        return {
+                            codePoint: codePoint,
+                            glyphId: font.glyphIndex(codePoint)
+                        };
+                    }))));
+                    return add('<< /Type /Font /Subtype /Type0 /BaseFont ' + baseFont + ' /Encoding /Identity-H /DescendantFonts [' +
+                        ref(cidFont) + '] /ToUnicode ' + ref(unicode) + ' >>');
+                }
+
+                function writeImage(image) {
+                    var pixels = image.width * image.height;
+                    var data = util.asBytes(image.data);
+                    var rgb = new Uint8Array(pixels * 3);
+                    var alpha = new Uint8Array(pixels);
+                    var transparent = false;
+                    for (var i = 0; i < pixels; i++) {
+                        rgb[i * 3] = data[i * 4];
+                        rgb[i * 3 + 1] = data[i * 4 + 1];
+                        rgb[i * 3 + 2] = data[i * 4 + 2];
+                        alpha[i] = data[i * 4 + 3];
+                        if (alpha[i] < 255) transparent = true;
+                    }
+
+                    var dimensions = '/Type /XObject /Subtype /Image /Width ' + image.width + ' /Height ' + image.height + ' /BitsPerComponent 8 ';
+                    var mask = transparent ? add(stream(dimensions + '/ColorSpace /DeviceGray', alpha)) : null;
+                    return add(stream(dimensions + '/ColorSpace /DeviceRGB' + (mask ? ' /SMask ' + ref(mask) : ''), rgb));
+                }
             }
         }
 
-        function inlineAll(node) {
-            if (!(node instanceof Element)) return Promise.resolve(node);
+        function stream(dictionary, content) {
+            var bytes = typeof content === 'string' ? latin1(content) : content;
+            return {
+                dictionary: '<< ' + dictionary + ' /Filter /FlateDecode',
+                data: png.impl.deflate(bytes)
+            };
+        }
 
-            return inlineBackground(node)
-                .then(function() {
-                    if (node instanceof HTMLImageElement)
-                        return newImage(node).inline();
-                    else
-                        return Promise.all(
-                            util.asArray(node.childNodes).map(function(child) {
-                                return inlineAll(child);
-                            })
-                        );
+        function serialize(objects, catalog, info) {
+            var parts = [latin1('%PDF-1.4\n%'), new Uint8Array([0xE2, 0xE3, 0xCF, 0xD3]), latin1('\n')];
+            var offset = parts.reduce(function(length, part) {
+                return length + part.length;
+            }, 0);
+            var offsets = [];
+
+            objects.forEach(function(object, index) {
+                offsets.push(offset);
+                var body = typeof object === 'string' ?
+                    [latin1((index + 1) + ' 0 obj\n' + object + '\nendobj\n')] :
+                    [latin1((index + 1) + ' 0 obj\n' + object.dictionary + ' /Length ' + object.data.length + ' >>\nstream\n'), object.data,
+                        latin1('\nendstream\nendobj\n')
+                    ];
+                body.forEach(function(part) {
+                    parts.push(part);
+                    offset += part.length;
                 });
+            });
 
-            function inlineBackground(node) {
-                var background = node.style.getPropertyValue('background');
+            var xref = 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n' + offsets.map(function(offset) {
+                return ('000000000' + offset).slice(-10) + ' 00000 n \n';
+            }).join('');
+            parts.push(latin1(xref + 'trailer\n<< /Size ' + (objects.length + 1) + ' /Root ' + ref(catalog) + ' /Info ' + ref(info) +
+                ' >>\nstartxref\n' + offset + '\n%%EOF\n'));
 
-                if (!background) return Promise.resolve(node);
+            var length = parts.reduce(function(length, part) {
+                return length + part.length;
+            }, 0);
+            var out = new Uint8Array(length);
+            var position = 0;
+            parts.forEach(function(part) {
+                out.set(part, position);
+                position += part.length;
+            });
+            return out;
+        }
 
-                return inliner.inlineAll(background)
-                    .then(function(inlined) {
-                        node.style.setProperty(
-                            'background',
-                            inlined,
-                            node.style.getPropertyPriority('background')
-                        );
-                    })
-                    .then(function() {
-                        return node;
+        /**
+         * @param {Array} mappings - {codePoint, glyphId} pairs
+         * @return {String} - A ToUnicode CMap mapping the glyphs back to their characters, for copying and searching the text
+         * */
+        function toUnicode(mappings) {
+            var seen = {};
+            var entries = mappings.filter(function(mapping) {
+                if (!mapping.glyphId || seen[mapping.glyphId]) return false;
+                seen[mapping.glyphId] = true;
+                return true;
+            }).map(function(mapping) {
+                return '<' + hex(mapping.glyphId, 4) + '> <' + utf16(String.fromCodePoint(mapping.codePoint)) + '>';
+            });
+
+            var blocks = [];
+            for (var i = 0; i < entries.length; i += 100) {
+                var block = entries.slice(i, i + 100);
+                blocks.push(block.length + ' beginbfchar\n' + block.join('\n') + '\nendbfchar');
+            }
+
+            return [
+                '/CIDInit /ProcSet findresource begin',
+                '12 dict begin',
+                'begincmap',
+                '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+                '/CMapName /Adobe-Identity-UCS def',
+                '/CMapType 2 def',
+                '1 begincodespacerange',
+                '<0000> <FFFF>',
+                'endcodespacerange'
+            ].concat(blocks, [
+                'endcmap',
+                'CMapName currentdict /CMap defineresource pop',
+                'end',
+                'end'
+            ]).join('\n');
+        }
+
+        /**
+         * @param {String} color - Any CSS color
+         * @return {Array} - [r, g, b] in 0-255, or null for transparent colors
+         * */
+        function parseColor(color) {
+            if (!color) return null;
+            if (!/^rgba?\(/.test(color)) {
+                if (!colorContext) colorContext = document.createElement('canvas').getContext('2d');
+                colorContext.fillStyle = '#000';
+                colorContext.fillStyle = color;
+                color = colorContext.fillStyle;
+                if (color.charAt(0) === '#') {
+                    return [1, 3, 5].map(function(index) {
+                        return parseInt(color.substr(index, 2), 16);
                     });
+                }
             }
+
+            var values = (color.match(/[\d.]+/g) || []).map(Number);
+            if (values.length < 3 || values[3] === 0) return null;
+            return values.slice(0, 3);
+        }
+
+        function fillColor(rgb) {
+            return rgb.map(function(value) {
+                return number(value / 255);
+            }).join(' ') + ' rg';
+        }
+
+        // Text strings are written as UTF-16BE with a byte order mark, which any title fits in
+        function textString(text) {
+            return '<FEFF' + utf16(text) + '>';
+        }
+
+        function utf16(text) {
+            var out = '';
+            for (var i = 0; i < text.length; i++) out += hex(text.charCodeAt(i), 4);
+            return out;
+        }
+
+        function hex(value, digits) {
+            return ('0000' + value.toString(16).toUpperCase()).slice(-digits);
+        }
+
+        function number(value) {
+            return String(Math.round(value * 1000) / 1000 || 0);
+        }
+
+        function ref(index) {
+            return index + ' 0 R';
+        }
+
+        function latin1(text) {
+            var bytes = new Uint8Array(text.length);
+            for (var i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+            return bytes;
         }
     }
+
+    /**
+     * The bundled "aahub" AA font as base64-encoded WOFF2, registered under the name "aahub" by default.
+     */
+    function aahubFont() {
+        return 'd09GMgABAAAAApBUAA8AAAAF6egAAo/1AAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP0ZGVE0cGh4bMByBXAZgAJ8qEQgKlLUcj7UoATYCJAPSDAvTFAAEIAWOZweBxG9bW3+0BJ5Onr33bWn/ut02BQBUug0B4K9SVTft2hHRydLCvqvqHFsIF+iUScZfQUsumar9AXWXwPDLZ5Rn////////////L046hlbAGkCx92tNkMLgZlq07inG3BoWS1heiVnMS8sWCKz6Aj1Wl0W2hrVYpwU21M0tbRtUd1iyq7I81L39gy73Y5WHW/IIh3Eolk3dII7TtJOdafaWTykCNIUbph6GqUnljFrnKgjnss1YDBx1cd6woqzZhbxs8MMTXsU15mXpLlz0GxftdnmntVX0u6N5aWV7ef04c31Z61X4xs7K/VpT+zSb1e7igcoK7PBRLvwElNRNPlFvk6SeMmWXSeGg1mXSwMJelkSTJlMSjZnCpMuUpDTS2iTpPdyEuzFkOJwKScqu9OJWtry8sqUYn0GxoCk8Zbi0U6I7gubNXHocGJxivZuLBnfRaGPfRRDRTTgxmFReCKdcIYJapwjmvkXzuAfRBPP0dBYDPEl35cXdjeQSNesMF7NRGJyM08O+Ns8psnTm9PfU2oapjQaSgjUYsXSy6cVLTS4RnTAQV4RJijBpkoIgQVBsmIFEd9iyHQ3DsrLCImPxIyfZKnLsa37iV8otmnbDel6vVkFxgaWdk4DjuTxVlrPgHleKvbUxBhypN5UVPKKdUIy3nGOGI/X3yTjBqzo+muo1pmrDhgz9qpic7kMdY4gOIqbr5ZzAxmgy6vtQx0jV6+yKpaWM6XZ1ln+qY3WMMeDo9X2puYjMhKPX961mRmbC0et9MfW7YnbNKuah+vOg/rI61901s7/6llT71y7Mqrt11dVOq+QN0Ti8L1gmlE4XWWSTQy75SFoNeYynZ6ufPjy/zT/33kd4h4qDj6gPeJS0YOSYLNQZUYtqf7XLrB/d/BoPX3PPey7sJnn8EYsgcXw1kZAkTC0Ly0KJ8sA/Xa939m8Ivsj+STmBVGibs6n8e6YkCiDA/9KlL9AZsNsvB+juvGFczWgDqB/gi0eVxuW5iuYkQ9G7KL0Bvs6IJVIZQIWhPsYe3dt3P0wK2CG1EhAkkC5LAhnhOhEmtWVhKhygZAptQJu2m8+jDQojQHiMw0gShHAERW5RL8c7qsJo/+tTtT+3e4asvbcbs6yiSYckb4ppegbAkBwCIARRWBmr4rpQEn4G/gRq/7AyFMqUlw4KdMi5gdl9IU7cC+yBAw8wsEQ7b2MgkQbyQf7dm2vf29yX87+c5vibKG5pJxazig0fZUuPZIRZQ8Km2EIARA+MFfUnCv6ecGovhTtyXderRMRLsrIlez+RXBFL8aqVElEgEckqkRsxIxJRSzNSKmoxFclii/LliEb0oCdSaOQZMRWt6EEO35CJfIWMaOTzlyMakYGpmMoTuCNTcYGrmCMTuMJVzOEbet4h2GYHBkY02qgIKiqKRKaEYETOqUvdfrpwkfHr/MX/ymXr/lc//0tn1ePj939rAcO9CCllbFlja0CWB4D3LUSOrRrrEFC9So/SuzAIAj9U9f8reDgYDAaBEEiJFEklW5bztW9IL6b//8YUy9RuWe92/Q5PuOk/vMilJppgIokmmEgCiSaag4tc5AIXuMhFLpJokFCDBgka2rgm5ZBDo8YWK7S4Yktb7OxqO/zFL65SQ43tscYOf+lq/+jm9v2df9Nf+uv+bJUSlbaxXgx03Ukc9+PfaTmjZyfpjF58nENI1uUjWDoq0GZA8tuNLeMhpxC1f/H1D5EMJdjU2V1MJZqGZll/2VRHbysgGR9CYWDd84aQP0IdhCP0PCYptNW1AcBA3r//V1fdK8GEc/Rgg2QTZjJ0SEzHSNOZxsY32HqNjRFgtpjM7tIz/nlv+u+96T9JNgKLZGNZtuVItmVbhuwg2zcQJtDDbv742tr/+1St77L+qkYbGyERIGKjEUkisxEySSGRvFWXRFsCSdjC2LQlz+rMkb38IazdF0jrT85RE5OkickywoYcBmhuXdTutt2i2IAVbKQMxjbojSpHpcBgwySltBFB+ffFRL/AasSsT1BB/TcKrE8V9NMcArd1uBYyRBQEBFwT1wYUZThxIaAyXSMxbTlzNCxLxZGWTc3SbKik1tvXZ5a2v9LWVmt/vwRpbeERmamFB9GyC3uC2la1Rd4TIqKbik439fNjYjz/6wHSP3+dccCM1hoYoLl1dI3KkRtjbGPBGIsOGFEltIhBiBiJhR2ob1S+1f+vX7qN/ed5LnF7it95ETTfN7XqsicHVfGhINlkOTiwwNhgxzPrwBzjwlW9++v+LWiQJTvuVqMkx5ZsiQN22DDjhkPwv9f5qbsK3rdENRdNihKnFywAlAE83u6c/E4wsXZZslOlskPscClLk6bO/+X066tmuGp7q25JMryXSGxIXhsSh/ABS6px63RniD7wNjl/Z2/tYAOFGyHJMAU+LHGz+MPzc+t9KhdsY+Q2NmLUAhj0qlgGG7EBEhJpASoSJiYYfYp1hxVYZ+WdZ4J659nU3alXxoDu7tOyEhHAAA5GbgtgwFPBpMXYj4NAiATfd8i/Jmn7xl8I9ljzSnBYRqiAFgR17JElEPG6WbsuejxCmKoVomNV3+yHrgclWOIYIjkg6ECkm3ZO0ucKEM/+3mxVbv5iiIVVByub1XUbrJBNrOH07knhnmGd4eV/P4F6/5MMP7Ng+Jn0TGdC95FVENOZBXuVBfQI1d2rTylZmdm1U1X0xZIFI2BUw8o+IbUlheFcnGFKx1KeMeufYVsHX2vP8o8/xYEpD7anayNbLkSDYcGQxF4Ek00wRKmKk3gJnw+EUm2xAUz9hKnq+iBdQFVQcoFKTuAUSEyh3ObS2hRPaVv9BxsAUjIKJfMBSgZIRSYp+fIPSjbgSoLNtZR/qOFBl39Ktv8pl3/QBU/JPryoxITlVjpdSqEzTB69rJkrQDcg3aVP2bKs2XJ7liG35/ZabveY/12W0g6YkbkJ9ztoiHyaP5q3q9Uppe85pRRUfxuN9DVzKa0BaJjHA3Ew2xdmmP+/VO3bFkgFqqPk3/PHPdG/f3RPiGdvqf1TWE6Kq7TGvfdVgS9UQRVAuqoASiiAlAGQkgCQkglQ6gIYugBSMin1d1P2bx9ZHUb2T+5wPO4/SQCpdlOy2/mH7j+TV7OaWez8Q1xNyLtVjMt49vPXfqklUkQuGc8e2IHQMeKQFoIFxv27/7+EtwTgiNxN5MlOjagllojGnpM1yvf/P3/6TjTAgLBoHypbYM2GCySgnSjBjq+oWdnCTgafH30+fwpkGOAAwzDHhw8v3jN6Jxpw8ET7tXyHl2CWCYlE7Dd7f7F96Py0kMQn/SOaLCYlXAqIVSLw1C+dTW7/3qPsDNL+xLrePrW43l3kHQqJkYzHITOxAp5/2vvv7CuzVP6kUBwaox/WvbZ/P+mTfim9OCQRDlC2qkgPD/kbC+k/guOHZjWUAPxjc+MoesFAtDR7EVE5kQLKkuGuhxJRMwx1Tv47dkFQLtQ5dbfv/3Oj+3gduIPcyqnIICISJIQgQUTsMPvux09LfHtj7rwF0ySFbPGL4yKHiAgRYhGCP2Ou96HeqruzXLkBAcFRmq159/c4/E2/AlSZOp74XQQrWb/2TCd/82vZJ9pVu9ISsUKBGCQO83/zMmf/bO3Yv9+uu+tSQUVhJ5BNwpgBdPDn8kuL9p7We8N2322GDGUlkEASMqb+vUHmdChoj63r6NVa5QQSCFfeN4G/Gg2no1cyEa+4xCDw307yM9z+X/tF/T+7bvQKGQs4Adpmo9lsePWcWYXmpOJA6/O/fgAEgNd/fzCKl8V3fimnJXejAugAKALBZyPoyKjZDcerJEHzvq4rFjXihyamz31FPHyI57Uo/ZhvkvuY+PN/aBVAJv1UgimrThK0/4m+IvEhFlTY4wkm+pBLJ+0s+dHqR6pfrH6h+sPqD6p/rP6BIwduOPGCM7dceMkdr3ngiUfe8Mw7xkRNBE/pgQMeYSaXPrTTiUAmk/la7mDOdlKClCJlSDlSgVQh1bQal/2shdHv5xf5gCLxCuZmsT2Ft/cfH0/qfzf2/0WENwFQ+TSXrA+RDx9O9D8Bx4PW9T26/P11QFP3VyBBAHIAA6QJdAmhFCCDyMreLUauxx7VNBh2uR0IQkUgNEKBxBE/RY96h6OH5p35NfqfmlRe6sl9Zl/c9/bLS7fPYSWshTy0wtmTZp973gWWtt4bGB4Pz4TXh/1AhyAo5QrCRCYjRchS5BLyPTKE/IH8jYQZv7JD4ruuka7trq/l9QpKoVUkKtIVNYoVin5lkDJUuVj5u2pCDakxNUfNU0vUSvWQ+oqb2s3s9sF9rftLDV8j1lRrES1Dmz9Vk7Wp2gxtjrZE69Cu0e7XnvE0eC71dENaZkN3eoxgSAXCZ3jGLjoNmvIRu8ZXNw//bn77YRYG3xFTcnb9p/UoMIyAIySgF1fxJ5eH/4IqybcvPQzdgp7CAKFeXAI7w2rYk/iR4L4GsmT3K+DNCIiwkXSkBFmJfIcMIsPIC+Q/xi84q+wI14Wur+Q1CkDBUeiq2KDoVQLFTOVKFdCPPlWhPpOn1B1w79UAGpFGqgW1mJap9SwyOTlPW6Zt1PZo+z0Rb135XJ31U+hK3syNOFK11DtReU1Gczbd7Bw6lbvr/3zmQf4H8omGXNS7vt62XIhGIeFQ/3d1ttssRi3KJ9VUWUnFFVUYpnSpkoVTU/LladHg/wdZ/mzb78XPvxzdBhet7vu/P54/2vj9vD549+3XXn3h3uvaDVOnv920bzv652hh+90pVpR3q5vtttxCA/umB99/MPOB5QF+78Md7Oa/t/+6PXEbpN/QYfoL+il9nx6he+il9GJ6Nl1Pz6BTaDNtoJU0h6ZonEZphKwl/UkdeXFFnf/Jf+ayXgVAhJDVc4DIuQQFSADzec/464FExcGALCwuAtLfvBiST+6Q90hB/++knvxFHhYbgFbirNuBdAA9/QM5DvQq9AbkBNDb9SdyBuh96APIWaBvQT+AnId+Dv0acu2nvWEC5DZMzsgDmFLIK7AeVQV5FRYt5HWYnvFA3oCJlIC8DbPSDuQDmKu6gXwM8wr5FOavASCfwdKEfAHLrr2BfAkbKOQ72JQ6Fcj3sFlGfoTNE/IT7In6HJCfYS8I+Qv2EjcACcM28S40EoFQBc0GIYoVQPNBqGIr0KdBaOdTQBeB0N2XX/ln4RrCdejPCLcQtK9+RbiP8C30d4QfENbJYl7/hRCGxUHEL6m/whIgKmTMALE/CDOC8eIixZS8mnkLmFn+tIqNA0zP6Rdf75bAlTAfSOv6wGuMlFO67lYFUoyNBuk5YWNAeonvABsL0mVeAfYMmKmnga0E8zlhr2K+g68Dew3ze/wRQcBC/QOhA6xGlm1dqEuQVYN1nclqwbrBZHVg3SayerDu5C6QNYD1av0WWRNYvzfZCLDtMdlIsF0jslFge5T/IRsNdvgxyDn2y9ffkK+diNkI8p9ki9kKCkF24LOgkOPIQ1G0giPJ5Sg6wbGKB0AxBByHnm8ARRc4biKKTeC4pd4Ois3guFsU28FxLx8GxQ5wPMZnQLEfHK/wI1AcA8dn/BwUb+C4wqug+AHX8TkBin87b5m3QfG//sJWQv7Cv1ESPAsuRckIMDtBKZfD5hQoHXLOXAClX67F/wFlCiT/vqL7z4QVLIIQjrAISthgEYywSSIEws64HI/DdRtdKN41DMY2w2KnIbhOcLghG/vQ3sQIeNGIOGwkvGc0OGFkBt4sNMOmCMXY81073XL2fHmb+f0YwIF4ltrvbPz3PHiavdz7rfZzv/4beBUd/M0FN6ND9uIWdMdnF7eix/oFbmOkwO2MFngikwTuYIrAncwVuMvWLXduFwncyyaB+9gp8CR2C9zPPoEHOCLwZM4LPIWbBJ7K/QJP40nh6TwvPIOXhGfyhvAsfnDxbPR4sfAcKgi8F5Vd8CD6Vzq8NyWE51JO4CEqC7wPtQXel4YC70cbgfcnCDyPfgLPZ5QXPGuWwAewVOCFrBZ4EVsEXuw56TsFvITrBF7GeYGXc6vAK7hT4JW8LLyKD714M3wqvIavhNfyjxij43VoOCc6Xo+Gi0THG9Bwieh4Ixqu3DJ4ExquOfJaAG9Gw32jg7ei4f7RwdvQ8JLo4O1o+Gh08A40/ELLeCcafm/k74MPRMO/HFB8sChABQCLigA8AIgiEciEmb+7SYEQL31H8eN9DI/9AQAE3+0BAMwnptLktHDG/nbZhvwjcBb4Apm4qpIYGgMTC1Zs2F1M3wg54oQzLsTQEw1aHkFHLHriiCcBEQNGTEiYsWDFhp1EHDhx4caDFx9J+AmQTAqppJFOBplkkU0OvQjSm1xC9KEv/ehPHvkUMIBCiiimhFLKKKeCSqqopoZa6qingUaaaKaFVtpop4NOBjKIpz3jOS9YbIV1Nttki2222m6n3XbZY6/99jngoMOOOuKYE44747Szzt1AkxnKMEbNYDPZaCJjJs90RjfxrFVdbEof7hELmNGZrWjZNm6Xscy1jB1OecwQxnfD9C6Tnmsc82a4wTzuKcun3JS/rtft+l6/63m9nPx4ykPT5ebekQt/JQKAFZs1va//jfSkFz3hJc/rtsBCL1tqGWCJNdZa7TdyT/SIVXlgHpyHXJhH5+G5F0AePny7r8CHIKD9krj3kKXvQkpzD6InlX/NIlPFSZ1IFAYKcWQryvQvJAJV6k9Qh0rYhy9UHh6J4DG1yveeOkPkOK1GIojPNQpdCEfoqM5671HeimQdtanK5jTMKdSykoQA+TDKIQkZDiGYzslsnT1CJ0YSu5qIB4sicrLL+kaErdUHJG4bIBYouBCdMjpiPQLfVFQkKWer6jwDaXiS8nYrcH6iCmOhSirGFEWxxhKJbvWoWiWCkCT9s5pMu8SYk7VsS2bo2RnSTpFJM6RtMoMuPmvL7gQzSIzUKs2DyHXo3fsRc0+cj8L8s/MslljFHyX8CCMNpKbJlmwLNWbsdHLnG4FICjPKe9XLKHZMV14KLNgCGs4wyNnRSzIT0JoSx16VQziAXy8NU34NFVCvmcmHxsR9iC0U1Fo5Xp402zHCDR3wiAPqFAShlsVv25iPlwoDy5NMhrlDmSq9qmaPzy1rnTOraX6giQuk7P6hJSxOI3bKliWOOHlDPkKrDjWFrrUHcl000LJml5fvX1q2iBhaZZipRGrXJBD2BHYuEO2Aa49Nz84lyGDW3ZhRAplyDKWPGdgDRH7MLhTj0Z6jIGjSxjK0i+0dxLlDZChhdi9fytb5/vpXq/pNItKLcmCxaUXFBC1EsmEccbqwXPhYgT2BWzkOQfHiK1oSaCQBdoT8Hx+RQdloPLdgwXOvH3KH/Sej84PxZRcUY8bsJCOkQeMVNvjihjGgsfLl3BRgbcZ5bC8QX55Gz6+6NPQGA7I/wvrhqxvZIbRbsVNpu+C03MN8DSf9HbaVTRl+MLeem0hMMmHK7g5WGLJf/lUhsIqVSgg/YcqtICypMNqsdkdYztvAVlBvore7H2QyjpwhilljxSFeJ4R9tL1NSLLpIfMRsE+qPTvZ04rrF5qP2IsfMEK7l92x7xnsJXWhkos1iOXPJJS9Ullh2OtaDKrohyXQJjEnRy1VjvhUQ8bwgyRh5elAD9H1g+WhGnFm/0K7TNm7FLMJsRcu+PDGBYkd9iP82onEHuvx3IINOwphHUlYUeBdqUvsb+Ewcu8urNihsU2Q2CslbMnDhazUVX7dbgjc7R7rOawuzsKQjeBwCaASskFc5417H2ZjyIQjZlgG053rOS1EIZH/j7nXGpVTkiK7rer685GFPZnhTcqthnhzMMOQJ0yhYSWk3CrifEC8Wo5w7FrqVMyKGKVoEwHE0Eigpq5WrLoRe+sWUnfBDo4Eq1Bp/XyAB0bUZ5SgKV7YuOzarB0icmPm5646G5KZQ9w0KZXEAG/jdyWusnN3yancqxYlL+vWu6lt3BvujVcrvGQD3Ljsb5x7Z4dD7BCa5HFox1RiF/ObIXPdjyz3uFvBy/Zyv1wCr3JZdN3xMtPYJ5bdKIhRcfgAZRkbjYlF4SrF7pVXPQauoGtGmzElY96n6q5RjD7BaAqT2pJkXrfQNUOfKSUQd9djlGn6FCwaeffGQdestptJqTJ8eOPlptlZgGadlGBlWaR03rS7MQE0SyN9xAKCtecZo5jNKWU03rO4kjrE1fmplivpdLnDDe7Mjb1LN9FPM8lln0vqVcvprOc722rc2aCys6Km2lP35hCnthkq92Eo3jdXTtV0pmDWGTsFoBsUFQTRiFabhFBMY7XxOjABoAYNLbCgiBhU0EKathHT2nbRHTAdemvnWscRy4sxXEVpHDIa1+SmcSbbNxgVzRv7pqH+PrlpBjZ5yHM/512PjP48t733OcYe8QT0ksUbb23BwKYo0DskiWLEps1j4cp0d5Ia2LE1Y7IDS/KA5DKiHwJStvnQOufZpHOIaLrDFeZRKEakCvNpGeJuwaPOGa7anJp0aI56GuOYRru19/bZ80+GcbgN+3AlhQ/txXNF0MmU8Hg8Pjs7F9PY1A+966Rtd4uxW0aN7ouLu8twOwxutRuMb+26zie92Gx2x+S9uEW/fqURK6V9urjoUxV3sdrU6RP74t1QrAVQZbM2apQzQIkjToA5A8foa2jPlJgVKcagYGMze2AgawBkERGRuMJyDEvvj0OLB8SEyNXCOUKlohiyqvECYGzYO892Ytb5QVO0Kaw9nqNFQpcQV3492lN6dt8mccnvivk88q26+HoZy8p2VjdPY0pdiiMvLSeuMW4I96910q2cu+JWinKuXAVX9Q9dYu3eiBTfeR1b9u6W272IaqcpOnVQd7dLyd24q7CwhiLtbPdapGVukrjEG86z99FXXgzi3P3w42dnU7gh3L5FQEpNGqSzs0de6PWxuNY9PmqldalKva821bE6VOYb++15O1jbWbtoF0AL5LHz/uOwWnXvLfXt2l3zkQ/7wj2RcAjj3KHD6xHx2FpdYlQoQthsXuUnYRVFRmVrSW1S6lAwrEp3JWe2LJytp9GuK9M0rPEpXO1vXOEqxY2HTNXNgO6PL2uZJcW1VGaJvmvd2vA6pdfH6xUBA3azjE2MY0yp8dSVKfgpKbbIaFPMATXboYuxpKROU1QHluV+TSar/J7HYRbYKC1Fn5JFxtqP8RkY1ouKADktZE5uQtMc3ktV9F5QMRbExspwqHdza0eGiFlYAwUa4GEt50gCVI9hF48hkpzzmDcQWdVhTGbn0yZpVdhmW+6fu2o/J7MJab7v7WIydJvvrkdUqNSWh+TutlF+VCn1iKe8utTUhDueTG1WWIz2zo5ncwibg50Q04jt/bl3so4d/TS/n1Svn05yuHohPOiukTx+EdQFsfd+f85OmlL8bvk4TNFx28mqAj/xrMSeb1+nh4e3SSXAv2j4q96u5ONv5Lb15qvdncRlcXgcfcxhP2qP0lX2CDZpH3GYQ3h0CvuC2YmDKhQopjRogIXRTI41aOOs9/AIo1weioBV1gCn8OgCRGvwOPSDYmTpjDk3551zfu262Y1uiYZTssWch3UeTilkJgzrlfZ6uwqqtVp2sALBZjbaqwtkltu6q+sZDyGFTIECeitNc3EcBgFkMQF0rUH3A+BqdUxagI4ZFap+IGpWa0MAZsVozx74xAscv2BXnWmvgUyGUFecMqWMx1X9tSfW/ryy+4J8yzEwvX3u/RsNQX1UL+J8imDEiOBjzML5zbOLvMpA3toNJZ9yvkWGGiCL+I72GBCU6jwQIzsAcNFBvhgBCxiAgE+BqpqBartsgDfAhRYAI6wlAhkmrxQyECs8xipWy9EA5eBQnVcEaqiqcUmIEYlkyaUd413b2aXr0I46C5ZOc6ud7VKnzND0EQlBQ4ALEcr4mA/hUwuwJ0ZYWc8AhANVMPQsbaq2wnI8O1Q0qi9Xa7+ORxQAGAR5hOqKqOsAL9kxVZXVkpiRRRaLtnRglZGn7AimMIZ0W6FtvatXWEFZmVYiksdVcKgWFRaoxGvwXvUEr3XtHKh763rO+VChY3nYZs2wIMI48XRzw0zU7ngKmrZ+kQvnwjRZbvDQZ8uhjSxODIyJ2uULhirP7FYT+lzLvVd2vXBTZVErGyuX1gLBi1i/tuLDY+is1REXeBbLNlmSU4TFWbsZSndgpQPX63R74IOVjopV3cRTZBd3MWyij31YRLeJgUf5OfYcT8ziYtwy6xij51jCECUO6eBNkpWzsrBx6RVUz2pnd14yAwh2SPUzGo1tUovlhQhoC/EGg+W+xsqZlb6IL1Z5epOTNVMYpiA8BfXcKcwTDSK1Y4nQVloGArq6+mGyWkhcdjw2T/zwQIEylATsCXZ2EnHhhVruwrR7onE1BSDbR6k0LTam9EmfEgGK156JckfTopMohnvo0CyeeDPxaWInwfMmN7HHniOVlzpNakangZ3COnoSF9SN4Zq/ctJBeDg1huIynwgrwToWRcwi44zfzVaqpwJNkgC2ZsfsooLhoqPBV4JXryAqhazznKoAwpzhP8fQPhIlgVU5YLMNFLqEMTyzCgzugQtuhWNU4gRITG1q3+xr0oRtw6pBWIytITmo1GwQoEmtMltmr5XWTnztYu90lWSPmMApqKYQNJ2+5wf+o9YvQoyy2QCIsdw8hqi/utn88rQ9jO/N00PAy2c8d59htoBqfapfJNWXMcj7y3X3tvvgWTt13Uevu25avv+inzbd/+N3/7PPVwk4LBbTi+dn92e+GcMH353Tp7n93y6otc75Ylu5nsedK+MXMn8yT/+X82d3gQL1C68a4V8ykRBxcMlpcMFBRudP6fYoD3w9D27wy/D47VfrTzr7M7+7uU/Png7D96dvt3j/N/JnYbHY/8TcLhfbzX8H3u/2SMjblDAuzu7+a1k9WXW69P/+R3atu9+QGAaVH99uz4+nZp7/29en470SAnv4EdyC6ZNq7P5OltNvWpGeaddl4G2/7PDwaiq5+MthQPKMEZ93Ja1CtJ/27fd/JzdN/EhSlJTlcxidwbM3uWF/6026hkSqg6k1UqxrkxBrneWPL26b0tP0o+9bgyFdnSbZz7SqqJ9xP/j8O3+RShJRETclihVWNQuSKW2VmiXOuqo0pdUnTVL5S9P8VvqnX1oUWfxg/KDvlt3w/jyOcT3063UkIBIB9AfWMYv9aAai/pGKqEZRaYC2DcDq16wTsc4c9tebyPvreOSJ9fTk5T2XtE7b7ZeX7mN3JSxrORfHMsngxMvQB+lFOIVFMiX1Bm7aJk1dVdJmkaZYkg05xZn7lh1DSSbEonDoV+tmYwDYwqwR32BKxlsz0vhkt4S1O5UFURS/OI7Hq8uP3hfxpRx9LjOX0fLrJlain1/SQpS0dPUMgDm46Fh7Phh7dHrJ2AXehp9aEa0CQRtlxupwh6r6/gtjneCola5QocPo1A35W+7nO0T0Dr3/Ea2I+pmJeEZLhHLzipYUsXMlOg/vf+h6V0SLdJxyPBGdcg72syYaeqJlnxRcnrPo07BtRnZEjr9ndWzqxLGYfUnWT4UXMhANg/otuzNix7fizuMreUXxmuX6nedHc0Ert44bmi79q/ni+jG4r0nfPSMqRHeDULtcOdaUiG4Apy54XxrVaToRXReisRupbYk40EwWsg6HifJAFxdeEwpENO1pmoKG5UiHboiBhcB4YwGWQ5t3cq4lavdOI3W8JRErhPaFJ37OiUTbdxlzK6LqoHBJa/hQ4DgTE+Vju3zYWMDUUhelKbKIiUJ653S6IVoWhcJn/yx9jTaAgM/P3gN2RADwQLTviJ6XCFxNw329/woAnp6oHevu7RkYqAHgU5gnehg4A4AwrQDASNw1sMIfEvCSTTIOIBCt9q4bwjVtzI8hP4TAwHEK3y4jgMNUd2xqXIF/NYGuAAKaVRnDkoh/6lRKBygRGaD+bgeHSbiHBS/hVAAgwfRVAlAK0xJoV0SDt3ixsWGBdt+W5+vPJsL0SQtcDvaH+pFIH+p6T7wk4CPuagOcT3dUf47ZI/FpAtypjjXwpI5AAMgLUJ8pBvUE3FFQo8bLQQITAWNd6wvRnuxLAL9IAM0APgEBSMfwDr5PCaCbib0Bt4WMTx+As60fvCvNpIAZ1QWqP+qksfZ1vQWW9Z0BagJORKn9koiMYfM2JCAkqIRHYuoa50xElojPvweLGqg3sIzkFFaFLes28MWpHUeIsOSabm/pFql++eK4AN4aAsJ7j8iMfKL6b2rhA7j08dyh1fmsWuKnL4FfUVs+h2U/JC9CAJ6ow1QJym+FHXdU10+JeBuW66cnoABsPgAQZuOEYK1saSnTQmEzze+fWM/giUbQiXCaInw4SaSpzbpERM5mfuWq45DMJsVtE4IuDWDi/JFnn0W3TlRm1eTJy9hGX2jOv70w3idEn9f4re2LK6QmJpUxrtbrJr8zzFqokQ/xspOMjYwuJFLGpui+iGo+YbyCTdazhzKMvHfSTnc+22mj2TXQFbBZRSfrppe161w+gGG8bUUbYNHEBHQSRGLi/pJWsoDQw0MNUswx7QSvNYc3DO15A2BP9icJ0G+73l3/5JFFidvcx7gfPPk9b7gw2okJWEdc4I8BKuTU0iORvdjzXfpjogjzbZpT3T1dsw6Qvw8e8VDq+iUVoGzh6iuMDdGKAnURdd/GXpJVL7VPbPMCHy+Jg1lLrfU71eMlrzeD75R0xhWgYyqgkUHv/YQhHVbQutZnRCJMj+ixwoVzi+TEFdD5B89pKQBeeR59elWvuEiJkuaG7fgceEpPFgl1RuRqo9x+OknC3tJar6g/QBd/ukhGWyD0NJm4hrWpNfRT5WbRjFDHNAs4o7l+uAr0wDTJGjVw4bX2P1YLvSK5KjU6HZpiDjt43A/FPuOWwnJwcrYiUdB+lRQIOKAYaRcBIKHz3MvAoi8azcwpg5wuZvU8bPRTMKDhLGUcKidAkCvu3Rpd8Ve26+HSHYnxTcrlrd32bV82e5/uWs7YtE+UuZtHmgRII0DPYrEbdJoHkfVPaT/WwcpCnaA6yzSVHgonrTf4GKnsJwRwOFLI9Cm3lnm4LeJK4rTv8bf7bY6VqBGlEgyOBoxbhBB/prbfBsBNJqj7IwLdR4u1PK6A/0pxzROsxggTKNASCCNqZEJzfQwK4sKVXKBIztREcHAmpEs5NGj4QvQj32TA1FkSB7ZOI67zbZkqyCzAxig/kbTjU21lwopSGGK8365MXO/QennrZGgTCJfuMK1sH66iMKaeIkqZjXUIom3KcAIrrTyzuYQExjx4+QPE3czHBi5rewUWjQ2ZQaQlsVeFA+C5NIMtpliM/qxxMCJtF0Nd3ohJuA5ofFsA0BEDhWNYXg8OmIocBwrTIeX3sOJ7VVgpIaTYEQbFxl2Bwpm+XcLlGdLhzvh7ZATuJWou8S/cgSiGlc7qMNp2S2ed3qtJwvRkPJEezbdOV+pP/1y2wL0xXEErerWgMLT+Rh/HikdMU2D4JwNQyv4k0+ooBkil0gjCY4nIKis/8/xE9hmaWWKVvuc+Cb1f3MHWi6Hfqt+7r07SiPQytxne37CvT3m9bQAIqLQ1itqUm3wz5UJcejGBPTbSeJ7PsFhmNNk4usXzoZBrKur+lAiWAzlI6ZVRtCvbxRmTz8uWGz1ZwmmgGtAKQ9maK9eR6/Y8U3o3cJnHC4luAltd1vCE80dCsRNoZ+x+GQP7xczE3JXtw41oTcjfQDjEvUkfYC1t5keHfYLP2yDIDcWv4goKXjfhOpqxqnACmtvVASX5PNSjmtsc5tAVYN2gLkAg47noBGL0OUZSw0vEo634fmF6edoR6LnhxXKa7T4aVGeUE4WuNThVqjEEmGw/YF0vUZTVeSAASXgZRTOUoJi4aUFsiExOq7OzJ+JKkY5stVtWsZ3PZd2xgMM13giYDB5+9GU73JHTahXakrkgAnZXks8b4IugQ1Hc+WhHIDiouOJB9WIEsIXCVND4gpyJ8dWJeE2pD9adzkP27IlYW/oGSsNrTWRsU9tWFGZrGfGQ6/M9XtmgJTVm+hKz4TQ73zWNHsBerqR8arGe3BtXCQIOmboSFDCQ6cMmbCkKbpGfkMazJ3QNN8Y9bLKaXKzWoF6FrB6FFOt6/wBkSG0xwQ4sEAg0yzwpQH/lMMllpC4Du2DMEMuZP0lUJtiP62QPUCGucOsxZWd5SJGBBlGz4f50GFbnbjdPEzihY9VQJjf7BF9nA3AEXT3b2K0fwc+Lep+tcbar4mg2J+hD5w3HzipKj4ZVG3fK6sp2dxFpOVi5PR/U7god/4ZwM8oLfN1xubI+PcysR7oQwXC8IZ9HEa6B6AygpFAcq9bHB5SgXyISTQAXzLWmbNyo+Mqs5sx4MGOX8JCWZk0HYkVq+ac4V/QUBBuXokM+9GbZxJ6hvd75AuGLRotjQi04iiy5Lc9weNlhpWMmCM/BxXwVheUnCGxxb0As9967go1CG1P6K7TMTi2xsJIjjclhRRX3bPYOwSf0OQ2lCd99TnXI2Qnd7flVfe2N/aujpmZDx7BvAl5U8HDKmDfatlty314ZMIQlw7ipmOprFbMEGFZtUBkRTsKmmSbkMwancPRlipfC9ukChjoYYb35Q3yBqe8AyvYMEYA+WlYpveioJks5sQv5Ax6I52nDUE4VG8Y/jEYLo7Nl4C2AcRr2hXUdBANLy9HGMTcKWB4wwvDQTu4CGYygCaowMKZAlZRM6kTbxFrSXm3xcKVCYlFF5EQ58Gzq7OLgDd3O7ODDaeHS8weNNW5/8fxqvPL2JOaerah/9CNtjRyCUgZoM8pjG3CIDbuLLAAjrysZhk2vZ2ndOT4v8IbsLCwDK7Bpag4vy6rtp0n+JnWScXteMgEJT5ZRZsl8Yrfm3mwW8IkNY86AbhQcMPv9Pp+Bj5LSpBHkvlOkBBdPwL+PzSadGW3v6BIsd5vHQJi3fMt66u/b17/pn/PvWFWUiokQ0Nyle0fKHe6FF6SA5A6b4wEqoCT+tm0n4+DyWkCQK0SIZMlDVtQGfpkpr9WzQa0alDqRvgGQmk8VvmfFRp9YXgiBOyCgUyr8ofavj7lHwIR3KbbPfWYGLGKBAxTdnuyxWP2WkFsqgRoKAxkdEBZXm1Yb2pB2Juw4WJ77iipRaif1dPqVHCz3WbBZglNKtVKpcTq2Vfu/F2TSG+eco367Wrk/HqGMMIMNj1JY75Xtec+2Vh5Mk1RnAcZNP67Q+pBq5ydA4O2Ds0oWJZZ8fsC0EbqeU5jqJWQgZQm93iKpDdKA0CFJWAHc6pPRKXoGJGWm3GgT4+eoj76UTQpE8vpFXNpSTHZEwDhnT6WbKsTSYNhm7M7bXmRs8iiPswMXzmDW2XA2QeCK7SFG7odSl4yhOdfIU3CFRvQrQmWmURg9nxSe/gA56QVtiB+NuZ42ZI2SurUWgoxuPNimfLFpTIa6HFjKoJQWtwuGdpwZK0iKPSWoBYiF0YUb1HJMgpQW1GXPmICw1n1pai5BtRFqMGOFyswQHgVUWwgjrW7nKb76LkI7kWCY+7bGfDVuXmdK/hxc5AprHollvY9Xhfrt/ui9xPEeDwnoF+aPNBzqZXJgevY0S9iqOMeU+90pNWVrYqK3cIheTwCKDsAm4vRrOZHYt3fP6dTWvn0PNZ8UcEzn6LWDrx6Q1MPuzyZBLLhhYxthEdQ1jHnRsa6lYZi7BmZCg0bCGK1HwkaMgEeT5SXO2I4rfvRJR7ts7WwoYImZTSXRxvYzSpBklZigCL158XhF4v3+PvDrVm7t/9/8e5Zp3Be8BxWefqEuCBZ8gxL1M8E2YucIQAstk/ApxVTkU0kIZTqo3qIeK+S+dkXf3mS0p2ObOBVP32JmpKb8WKyhkvhzN0ku4ltdLyZTY+TXv+ZuMoEyy1l0QN3lJ7HW3IjB5NOKkMBv/o4Q8to66vPfbRgEVV3vztOV69MRTj6ligrP/9AIBO9VKeGeltOVz+XC9KFXT45b+wSQMVpcbRMAAenGzUJrGq6it0E+1hT8D+gFENQlbW3pYBy3ogv9po0IxxMbmGUMBv+Y7d8r2vbLfW187yFYZ+/Fm6m9tgUCcjQyr2cgHHiDhJug1GmU2lFlcEnNdzyNjD97W1EGI+xJDxuHe2UnUEFXiMQGcIXnViG/huc+LAWCXQQZr9/Ml7RBlTqQQ3gBSoa+JoX6TnspWYILnpOfxBO8FTtyerlD/BWZ6PN5TD9b9IqdcrTtlDljTo/x0ei9+kfpQkDwZ0SXKHA+dTw8KgmqvJAsmfN5BmZY+8RPYmacl9K7LHwoSDYPfJPjMwyOPPdPIccpTfheHh0bZyE2mlriVBtXRHzRqPibWGf+wNoNCApT/5XcKgpjuMpALGqeHemEC2SMWSA0pPskj1+41Jc2VgPw6gs/B16JiH7Ixi4EyjjscXZDmxlfo8gLjfwaAQqRdlyjxpCMteJFH7UHI6FasaUjoPA67wf/NmjQu5VOesq76JBpIIyngQFEEvXLW2M9dm5RS+fMFntPJhQbZSPFU+pwEooSy5Nx2fJhncjlJCa5/W/erlnch1OwZqB4WLPGunhYQ4h/WXp3KRf1MX/oh9wcWwnu+J4HfSx14z/no8YeLOfgniH6j/vD2nNqI3/TL4OXRV6A12Q1lIyBjwYNUdfHzSTfst6wgHyTDhs34fiYvgiRrnPXzw8RRvdd8uVY+5X9iAC+pF0ZiEP53dAIG/yBCI/zPsoAbBvKLLjh28OZpGESoiDFk6mf/ZExcjoew2omFiLAONtqSfCSu/XRCGDn+9CjZA194U9eFwSTX0+iRCGuex5r9t7qy94aMnF3/EQWs3hPmm7k9JIDtCfzc5Jf3p9mHP1zJna5QNlJBAe7zQZ/l+VeTb6x7k/HJhEwEKpP9NuEzXlbfVAQEgSE9J654WaSZVrw54QsdOkMcp4kGrGaIVtdBCSIi2O9yrVYOigU0kJmgrJixjLjMtyhrOT5U72HL41qVyZCaRecDiOMd75LhZmSs7QRD6pd3mxyIZQvI7VHKMOM7+ntanp7UjUzF/0op6nNPL3NKg6dzMz0TbQK+RiHLc18hQN/qXap92pcJzf1f0NrZyNU3R4fcEjFqj5ZoMj8b7534oHDRJS8Awfdvt/S5ufHugSAOZKOGv15mrIQwuirFsALHeMrEVyukgkQRqTBSM1JAl4EOSDwqWf9FMoe6TUlpBSZcXUwqVf1OyIrdlc+CL5ovIBSAeUDSawkxguZHpZQ+pHbhUuNcbd5H2YQLdJIZ/bg0VAgBQgoUz6TgiDzsBp8h/+YxxBcrceMjwCY7ZaXNT/Y+bGNfQi14jZc0x4sZv9GyzA/E3HiIm9frX9OXxZNNJHr/vM+0tkqJ64i/PicROliP/VWBDcdAILe9E2xDHM2sLrymdbGxUMAG5toTHUUM0wrDMod/5uN8pn+Ln7usZ2TVNRjSGP4AaBrTH61a/UacpA5xGsga50KpB0/axovInjUTtRHvrovx7sHTB8LfOYpWJA+9RBKQoFXrhAsr1+MbOctUlI0ZW1vyhHUWJ9JMo8pnTBkIf/JSuXk4RzG7GEV/ickCBYqHY9qBPOL2SvAmwfWGTWpjZB4gcDZnncT7Rb4jQYgWHj9jfoShW0fakz13lvfidgzBYY9aSJBeDxTXZXe5ZymGeIVvxvEPMaZmabjTrtHqqO7bUPXucTj3R59kwpk/68ZnX0drmu7i3kDxYNMaYUYgLvPr+C7XGnpZd4s6T2iaiXmRMZ4OTomXYZCIjU7dh+diuDJrY+ftG7ZWCUFXZVNTPvcH4uTHYMrK3Wj3fUy165w+7H5TuWhs70Str5VB5eOeWzCIbl2uucoyjoH2YmB0qS+jNEDSIkqoRuX7HKFEWjWcloVbWdaJyZ92NWxTvyTod1qZiUwCON+4u69bR6ABpvsWBIyh2qrkluGmqVldo4SdsC+WTWh33NaD9McJaB8qJizrkR+sFtB3z1WH/KMQZhm0EK+dwxWWBMyGTdVKaRMgyylXR3ZNibUo7L2vWFAOiIChk8cfs/J71lKsWj3Cx6bRPeOYbhcv3hrXaQkDs+/YxZm5qEZ6Wn310s9jnaKRiRpS1umsqPx4k3HePfxiensF42B0Tn54i2qPx74VaAYnaOiVK9TFoN57yUS5fWK5a+2pI68HKOVge+3rGJItE8uG+uZdXzcL79c3jc861v5CZg7GFjAuBkL0NfMTkk2zZYZWsd5u7EN8P3SWsfinaHH96GPGhjwLiVDY9z9bAtFKH7IeqbskhpbYVBD3Xx+ZGRanGMbZDSpEszU6A7Bd7C5ZlSq39t1ywSK8i9X6U4c5PlXX/9e8a180oouX/NYzS2/+FvIAOM38m1VLK19HmJDtYJlZjnZxjQQxhNgz2thbyC2njibU2qBLF1eDQn43xtRVkzPUG6VZwQI3sqLqa4ylpjHymf/3ZtAC75g2tTgQZVSHy6VOTmyOzsouKST+1TvogpBOCye8A1hFZUn9N3umgZ390zSBh8S4YLdAEEZeTCsh6vPspCTQQi33MZWGQatQoaHRasxaQ78bfvYNMkTULEnDJ7LlqNQsdUKme64VbdTmlGUg4LpUBABegZ3jbqPlpzxv9jtBl7d/JrrxzcJub3P2H4ekIHbVNYIdGmi4gxj8MrRefMmUu3j+6AWPAQKdPVtuYeMUnMC5XC1KHqluNdXv86kNMFVTGWNKw7Yf0zZJ0uXN8iEThux6rtxldLFpiN1B4KLrGuftdDJcCCjvt4dIRFoqhHB6oypvsQOgUIlGsI6wh7BiRpvj21VnuoxhC5VjCgm8cYjwQmGoRjqm6iTjEOlz4ZGlBDfWWuZ8oMkleAmH3wT7LsvqSWWvHJSITJ9Aw42fdZHhXhNQOiE6a/cDoznij4fMm6aO9SxAXOynX3i26EgJs+nWhLE0C3aqKF/5vt1CV3pEC7ErZQxf5M9A8FWyDUxAUF8A/MUE2MIX2ajfZ44xBtmxdfArdmYBLi87C3smsGjN7kIe6ONu+bD4VOdMk4bBEbZD2lsVUPx7uAi1sr82cPhr9WKkjgKn3spQQ9/ggLLhcivayVRa9mgvs3Z7Smmw1WkH+QMk/MgrsFcFuve2HOxFjikgmkq4VtI0LEktpyRUvFzSnXeZ9R+kutpukGH8IB5dVOR50swJRJLyqmM6CXIMTvvM2ySgC/LvwSdIqW59HmtTQPDt+wlARzd0JTVi2Vyf0oNAj0XfihOK6vj4ZABgoXTm0uLxfTEsbgRWG0rlsJn+B+CWzyPAG5HuRYXEjLuRfHSCTWy+guSMC8UBxD9BRPfyEBeoTeeEvgenh/qO35Egi8wDIYWHxuhIxUghNWEc/RAT3NCO5bA0StnmFFfS5vQtrCTKTVyG3b0Jk/w+tY7tOCDwcnp1YGPiMPkKJDPUqif+4oydqH6qEgxb4GYFe5qAqUn0AoBa4i0RihiySG7ul9iLHCjKQeNoCqY865XylMXc4XEDDSe/uBb/HwIJWMfDPdIH5qBwsScl5+m0s61zgIX42ijigZJCPwv3J5y0oZnmSqlwve//Qv5N5slKrfC40Qq1vPYRhQU7d9C2P+UX+9NKFzm4YEQKjg0OCL6eaJgK+eFJcw0guMUJf9GFxbyk7M+X1YCMy5Hqs2iqST6dVdqAXAwgBgAGYA5MYySW0mKooMTiRMBH5O+NuKPaOr5/BCKICAmLwguWTVgViEOaadyKp2bkttFksGKbYzE2SALwAbGrya94AR9NRxT+n/LJlmVxwa2ka+PXIuq5Q8NU3cFy9b1daGZ5/dWS3r+TAjw2s2QEQJKZrtTfx+6TvJUQmWlgcWGJ3fKv8GbTuZDH34by+4CnRdaKBFYf0aep3SBrk3qdX7CiaM7Un6+QEVBpoZFzGWCLoqZEq0yO+BNVSmQS/IHtDRarZISTDVOSczUAXKiseCEXDCgGyoxPTG518xJfRcE2Dsh8UNPp2bCFzUUATMalhIK0VqqzslyWyYukZnIF6ajajPy0Bv+KWDp/rTHQg4LgmWS7vutZYoCVaIQyCFLWbxLzJzPosWAk2Qbvobvo7z47TgutQMniIUE7LiYJ+z7dO5wesaEwXZMGbmKczy/RkWrPFw97Jtva2vw7N9nOx0ZEITIbW+H8aYBQR3nSkYnqsGnLFF0xdmltoERloDzQqyd4mGbfKgaB2VP9mM/QUGGB2qZAgSBz28JqcGeEckZzfSy0s1E9/J6v48hFpLKqkUTEEyG6a7YKp+MH09e06pmZsZoXQet4bL7lYh6plGLBVqR5uiUVB1OUB+h8ZoIcOMUbhDZLObeHn48FKOBKYJQFxusNp7+khIcHy6aie/HbhZQ7MxiovQU441xZdBwXj7EoVIwjXQagjjUPOidFw2sUEZ3lNVsM8FqlgXiVTMwvt1oFekYPIkqaQURz/84PJlyniJTwwvUXVfiVp2dCBtM9N6zARGgw60zVtiTDradaYCgpXmFHE83lKMcZHudPuxYFO6k3LKrIxI1gupbzNx+IHPJK0vIgbxOORWZgNdR4gkh/4fsY36dT2KzCbIxC5m4q/keq4+WdQvjQO6VSjnSPGsA3tD40ds+l2ygVdrd2zNMHFMBqGlvUAgM17QLG1H5MAwsP7mC/lOkI+lGqP6ZUqcLuE0GxJuxgnrjwuzc00GJJoDrdP2+eJ+EgMQyO0f9mYGHMeHiL36C8eByLBx1nCdWX7ExxbQJ4GkZ7PdrSk1udDFC4oySUlesy+8whJa8Y6BkDgyfkb2HOPpDPzQ6AxQWcq1rhG9OlTZmTnDpa4B1iEsKW2H4m+ZdrtHYOPX2ITUsuqHcvX3OKn77D2Kqb+cY16rmt7OQ11IMs55C7hibPxtRMa7ymhabuCcPE9+Z95TDKKZYdEhL2IxxUlrHWPNnzwqcT/FSpE8KCZE55+Upi5GkUSPdIAer4XY0FcThB/xyGDrNJ9QTI1dhJ6ml8nFtnL4B2pMs5bYIz7PEdkmFOpbNoI3Up4o/hmqxU3O2eLhPMqeiVfF8bMvjOsPr9KWqIENVYBSBqnNb5KxLDzm4aosbsqnjZ+jd/sKygc/wxNdd+a1nGsspuLoI/WBq5SSCmYPnx/rbIuQDpIIffhdluI1thhl4pGvvMhBywK2tviV6L9HtiA5aMOQt5KzHzMDLH7bvAu7BEx8PyYqndf8mNhIfkg0PdHo20BEZ3tP+wDVe/T5j1fHDVT3/99Qpxvop+WfGNKrKj8noRWh/7ondKlRifrh2asbUr1ldATCPH4St2uumU6rCQYREga4nTp98Tp7oteeNrfIlBISGWJ0qLg6z+LiFI8loBaPB+PSwKZubrXxHts8Zi2q7xUf9CvbBYaKCKMyx5QunVVCUPBokB20D77rUaAs9PiaB2AJx8Ba0fNrkDpMEvlbYDp86XaAPDuYsWQwdGSd39EKPsWPuo6uiGLKLsCkZq+hjAuOIa/Up6MAxOWNhzElxIR/hl0Y0fCgWZvu/p4tI157lUd8b1Zw+HlZEZFmdHR/aKIvDz2h1lCsNU/+68JGXc2QfHPhjg0TzLdwl+MduWiZMDDtJ2bkiwSQIHZKG5dP4FvxOvPfvYXHCZ5iqLF6gFEoElYraNmxaczYNyiKOy7/bUKJIBcdIp9rIWcWSu2J7ZwEtFq11Z6c77fnRGzRUIKps65trP6mjJIG17sICwyl0hrSk1Vw/vAj3QjFzhWV76T5vzgoeVmcxPEOYcW+teYknAbzP1csQs233uP3qbabyDJzQ/AlIuN+tIEP3dHWWX/ZsMO+Ba/GIO8nx4uxTY7Sdghr+dDjb7mLgzQdLnj5R65yG8MfmNVDLrVNAzzquAS/xKqjwFiC6+qzY5a1GMOy2w2esbYz3LclK26RJ3brVQUeYCid2eqOfX1hYSeWsxbLXtLuZ0nu1/TbZjpC4/kzOnM4nq50Pilrs3g4Wj14e1gm2SJQW99Y552oDoFbiG2Ol+j1edfZqHzStNRDoLlitw6bDWXpIq+1d8J3F14gM56gsMa34+ScK1wZwiMgdNirHKhMqxsQF/AbIR10VwE6rZ5LBRt7IfmFPDq3Rgu1cZXFU/zJYwRaUt8JqVFJEASz6iHdy5pMGe3JXD4levVoGrpqWaKW27hzvgmO2ElelgiLGpzEP8phebOVnojxiAE8cWiMPftAUMvqeggkd2mKFQRqXHjBdW8rWUJre39LvtFK9G//uW184ku2ZB5DYNi4S4zYBcmRWyAMMX/zovTozKFdtJnkNifJShVQvMe0IQQBgV2dra7G9NouAV2ZQnJA5j1wQeE4lLBQ/81lBeTmDxkqlgm0qI9C5YVI21O1pyyWKG67DoC+5QFqbU79nEz7djsdtIaPARML0PJQQTPUgzLmL6xfbIFGUo/UJku6roVbJi4GMJfz3Y9Bi7TxzZYeZz2ct7iArm7bdcuRuOjpbuLtc+sBuEJEDvgoXJz31CvFmcMRn5ymuBAOXphmZWr67Ol2SVHYdik6rf0XrQIBSZtFw3FPUky5UQmt7NsIbTLOlaKk/+sDIOxbvX+FQkTU7OJ3HdC+IpVhmJwau6E8UGXR96hnPBcvOCyu4hGX1BqsDR8mMIhC9cx7S9Z4OuerjSntUhPSx89yPfIG/cMmz0d/AYs8lORoAeROgAORREqIychN12g7Eq2MTBsllnN23MGkf7vR7iCX9SRg7t6VZTe7co6w8Pmpjpd08gbPz5/a4lSFDxiqxRkDQlCEWts815VG/6EdmXU7xfIBCZQCQOf6S5Hm06DpB05eckGMPJ+6upBIbF3gfa3InZM7nhzRiSBtfjvvQn5+7XSXzVORmMHy/euNWZVTXRsAKx4GHy8Eq6fq6kA+Fv1TKOHXqo4e/eIW7z5ZsYx90zrTIVQ+MoAm9dMUNJJwyBNraqr4NkmkjO6Fk1ml3Z3gQi1NzpLo5ojXgB3+IYxH2PSQQggTmhmg6PR4eCBj1qsebSyxkvfq07ZXx1jKdZcDDmMR2XxosXmiiERRKC21seUOFx+QH/2DiaiUnqyrvBbhJEXE4LrhucuwlzV0djlZx+DJCWh+V2h0mFJp1aDFGtv4kEVDxcErUvAnDAYBtVxpW71uzXKxpUGJ0M8Tql0GOzxcI4XeK3OSI/HCwoHmkPWGOcBPqM+QD5Tne1YlpFRLhLg0na0xpA7ysXsTBrBH8ooehQjhzFHvBll3AbQresA3xA745h0lTDqfyubJ0lIyq507mATX3LBXcXxawgMubi271K9Jppnr9goDIGD9624vnoYVFhsQ6Bn7zgEnXgoeHLmhcV+VQflkJhGQ0nMiRKm7wjNOsqjn2pVWk43oPgbOD0CfW4wvqisN+wJR6K3XMREaBzWkQ7qvTvJO0hoVuo43thKw5YF6uoTUQdfuNNVPDHEm4M9LCsz4geCfp66xJBCkJNIqd/aHAI0spvXO3MV0cXkSfFpg/4dcpDeFAKNdHnGozAdMLdyOPFZrR/K3rtASVP5RUVsRSwaytkfAC6nUHrnec4eFrMIB3mFAPo4DDLYaMf+bMTa/KpdiqAVigRldmSQbc7nzVuxs6pKoaCMeN7WHJgns+P4Hhu4zGnJzbPiMAYWM4XAzADUlV1GJweMHPy3OUBeLRZQdcJI4wynHkCznHB18yzhKzPFJod3W3obOnbQ6JR+1EeNF1whyfQmHMaWA4BFAc/JHHJtaDdvfQP6LNY0BgNmwhRxity8IC6UqycqAgS2ia2cZ19mKwJXFZgmaimgbu15Onp9XaBK/OG5SPj56nzVzXGWJEtGxEzUwD7Ayod3tF7UFAYPcKn2liEHFx/QcEP+2y5ZxMOu0UUFSynBvoM1ABbzl8MCglHAP9ruMOaDMYYaIGRPz5F0QENyQ6v4OYvMXWyypNOd2nnCleYipR9htri7SVnC4rrI7J2uKivyWltsjsRbzjnqapwUKQX2RyCMLRTeRjxlaQrSclQCS2k5mDuI4N4sCg8pCzv2rVQN+K0KvOIzIeLspl/SDD5PLqZzLZ5pdkOl7cKkbHWse0k4cbaT+AveOwjKNXoM0Eo5OGUHdc4p+6WRROPOvJEgHN09GyD7ulLpcO03AFki7b61EVdJON4jKJqNeTtijvLo01n5J08Wu1qfd5OrVKh/ufwJhf/DThMyrJPIn0PUv4qZEU4AWJ65sZU1lQxmjcLYp/Tq5RPCUWSUmzZce2HKK6GDap/Km9TqdImV+G7MwTOSYwHABJJ3100hP9c4TwSXtXFO+Yb/qHsm9Gh7e9HDqf4ocCqCs0Qvv6rpHblbcy6xpTHcaI4WVv7JAQTr8rOfP79MpvMjazS+jEh/n9KURoSoeb4c58sOv7P3RtaIgdJvzvXeyvwuG8af1G1waaY6GExGK4vu5pZEvYffVE0prpG/aRj1Cu8TG6beWlZlL1YEcXhy0X3Xgesg+P87779TW1gD7my8u35+BMjC2GE91oR8hEsntWkl3Z2LuvlCiw55tZp4IfqlZ/e7NkBqDl/MOxbeEvtxfTnR4Jb0pcamWB9CFXVuQsgFSQhKCDI6I6Ti7C76mqsKwWYV6rsQ6JhwIo0dQnR9levn2xHrxtPuXHiAlX1wVAQzulw2KtqmRYmkZGqURYqYhQgJiYK3cGysoQOk7HLdAQtOABxVk9/PLowOclN+1eFP1NSrP514hNfD1eG6Qob5hTbBTI8YHu6ErquJTJVrf36TpGj/Y2zfC3GcRmp2tl4p/epTxTb2OcCQZpIvmR4+Mdm2Ookr0aN0ber3lYBd9nzrnbLDLlvevp954WVHBJM3vreYF9XgHWLElX4Z0CdWKdZaXDghrqSWweMZyMLTJ4AlWCyjLNRVidiKtd4pvauBYXtbdj3mY/DgdC9vH750ASEbv4qtlhLicnrng/3y99q+XS/qefzR0EOhcXqOUP2Nrnx4ydTOdTOZDMsviEd3+4UD9rlgp39MJowlJixIqJW1ZgcayozAtSFWmkUrZKahWuH7IKO6QzN68L0CW+o5oAIgoYLD2FmyNS6ovXV+2Wd62Fh8yZIwrAHQ686h7EwXDAbLffTYTI9BEeCf13Q0qTC7D0WsA1m5sO4ROV5ww1NA5rPRYOInReZWplm1gcJfT4ZiHJGw5k9KUYTjhB4mUmUz559fyw1eo+n8Ux+0NYp7TXAgp80mIB7k5whFOO2O5afTVB3WooF/DngjWANjrvKNHPs1pjhD3s8N2KxXR4s6zuQ0AGeBYIbM6OS9mXUZWMYUh21/MHhdgFc8utPPA1mSfg/D78phnNSXgd9pjaecD7wKlU/hY+wdgzaQSjREm1fF+GlJbQXu+FVtMzzzFo+QrnP1tLG+RSOEIhb+nBaXBmF6+/DCxAYNO5z89urGyfu11PzIQFbm0925Aar/nJP3mPAUkJ4t4OigsNV895W/8xlLUCdJX9V+HVwQVL316hOsOYcJkN9K1Yl5dQJSwsEAm7zeAYkU9xV4LZTWeUkMhuMoobf/dtaBCCGdipzDAjeW9x/+zOfWvgdE6qRAq7wT7oKraLgbxEP4g7Zcov+u9Qdmzee4ahA1sWZ+rBVYcRs/MZJbwidk2c81YwBuoJcsMttYBJtMprvbhoGhQffwIQPJK2XvL1ai5l4IHocu6dBxPuv5Of2sevnmAFY1OX2xhCiEy037L++bG78XbJ8aOyRIesqg0elV0aRejCVtfF62gJ/FQo/+CojkkyKap9n159c5wSLz1dzr0UiWfDPi8Kiad3KJ4Lk6GOjxjBHsfDQ7YlfwRPA/xCJTC4lilezTFGYZbuLezCdvQZ5j+o4Lmg5TXPEjEQO8dIZitu/gAAs1RmXWwgsbg8jdqaROIrqYXg6GNYJB2BHUaHIzu7qTXmdooSel0yRUC03u1Vmu3m7wcVcR5c1FT0tiNqtnJESyyZ0lABfq4T/5K9k6uMKtkH7niZ1dw7qJGJf989SIRgtIrks6ySGzy75UmpcFg4JEyaO6RuIEiHh6tFNPLJZitf03meW4WAuP7qUOZANJ+QYa0U/r5dWs6sF7nwgPd5eTJZEHdhKoDcvfRtFpYkSO4tdRunt82w2z6uTv7DZyUN758euSbgodyby6Y6y89K5T5ajsUT/g2ExNgW+XHQ8R086Xz3d+9BLP1l/jggrEc3nadeVRDJjJHRE6Fj+Ma6BqJu0ctJcAMjxuZgxNAyRZernw67xGmp0ARmnRdOXBUwqCn5eEnl15MxEtHwhtntc50j+sRxHrg0GftEJ71a07ofn4peeIlMjsmLQ0rp1IJ+uaZfXqzY0qBLAj4+XjCb5sQZ7HZO/8PxTd4nwYjD6Bq1xV+xodfWNvD4xjNWbqXUFDaSyi17AxRS4i4N4V7iXBvmDfpJOv+aJ4tW+xnHR4z8R71Op1wzuMvdQgHKbsxZ1GoYmg63JXmNy1oACul0yuyT28JGX6J6TdHTtocLt0koXLLsncQ1Gl3wMfAiLxMG1L7ASQlDZ8OpT/T4Hc3UZLQxqg2EnWNBZr/DzubrfigOGLf6s+wZfiv87vjOpvPSwetH/RYflKyDejitMRM1ohuocatLZwTuulXfEvfrZtNeO9+OT0k5o7TGJHzr5jOg/Lq9ti81Stgtlv41LQqoiVrYPZhg8pSyCGFlq5WLPtBNFLIGhbT+gTyGUGSSvkZG6OubNea2vbl33xuftu1/e9/e+yd3xx+cvn88X2m/JwiXlc7EIyAEHO7fe3nELS8Ytk0eP8XHaoTOn8+9Fpu/q7ObCr0BL69GeR5OJNTH13ZRRr0jJG5uBIPX6BCIb6PFeUV9Hd9UdBjY6/yN7MKOmw++2tj0SrJRSrFl+irt6dGn+rtnx25CBlTf7QD/thMXYUA5cg7W9lUTqt8S3KBeNY32yj6xN3v34IzD8rBebFQ7UVxtVKDOq+nxa/4P+tFfcMIYRt8DP12qlT6XyP1dHphiy2hhTY8MveAM7vSVdhuYG8RWx1IgDK+7+exrXbRROTmj4dwPfDEhMemA7F/F4hdw0J4QrY596Wua2GpH2ruj7/RvPhvaQv2puBtMiOG4Ts1TjQP2ntU17NPhjBCQeBQBiV0RPIyl7BK8y5EYn1Q70Qqy/Gkedl4/FcQd7k+86WOVoyKsIOiy8oLQdfORj4DLiA5yG1KQ2teQmkPRfRZvTc98V5PABxZxOdNt6W5NNPcKSNSPdfJ9a/uxYUFufDI0OFJqwI3H2PnOSsLJFaMXBOlLWsLxcsfH8DTYKpVTAPyYCTGRcyH0OIOa3d5CcxB9ETjVIjSjDlEwYGG54vjYT66hiyQKoaxhmYTd1hfhSIx14ZwSNm4bXcZ2uAR5RYAd0eArYitZF+lfeuTyUWWMJr9d4TGfqu9KFK/b3FHGrw80qXZnvo1If8tAw5FsBFcH/QFJ1oG5aZLA/GQ0LDWSznS2AEWWbuy8kbfj+Z7zbvTqeS2p2nl4u+6+g55yKE5WFKS7Xn1lpwHknE5hsUYKBycdLuuqBUpZtnFyUhsxGSZKA1UOwIoPnvG6UTWs9BYbhbd9qZ9Me7P5hN3SEOc7my7i552HhxYk7gbLJ9b4zmDJYhZD65AlJ6dtbvq2PROVFLxoC8fQK8QdCCSKajh/2Wa8PszCs3qXeiSqxrlp7ZI695UET4dILiONOXaJmxX+tmLNjNyhbNM6rnKLoHoB0qIGitB5YvFGUR3X9irtQtUEnS2WKrWiFH5DDS5hV+AyhXBaiBoPbc1KF4vQthzmtJBaPcuHsUMi4pumA1T2o3FzRq2gSOJlQKy58CaNnoOP0lixfbAy0VA9ae8RTZMvnp9QoVV6zEabObA5hVz0ZSUPBvItR7b5umQk59U4XS2oH7ltCo7kwEJzvdgMkQ+tba6DnJrw8KBGNK4WuzRihcDBHV8qIxT0h+Do9a/SRv6fUY+p5FbBCxSCQVraL99WD9M1u06nMKquN/2iQz9nrUqSFvM8Lyp2Ke1GCmvtArfnbP7ksZbOnkx9Ih+FFVNI29VLCc95hyXewG0rF7enRgsGYZxxS2DZHa3wXjp8iQIdMxcpqKzFSwqCxh7UoDNGML+T78x9pGbnXOyTOIZjAk8D52jhK5WC28yvCRg1jOqX5U4CGr2/EtT2osG83v49PJA8ZjDPj0RRE1I4IP8DNU5GQ3C/QcvDbChdT+uToURi/WxAOFGa6dP+NBQY7TCNQnrp3FJtgtAobXD4UC2w4/a8VkugjIXRS6OfjRFlilD0s00tB2UtbRnkRaNOE4WZ1heqkDwIOdZbY30B1B+ioueFx34/NV0oLddDjb6rLPkCGgTJAozWcX1HG2dCwBTd3+5vUoYPoptA5f45P1cl+NIEXbdyckT8jr08M8xTeax3ikk3TwjFcPkR6eNU0mgSB5SI27EWKJ/gwvLJHOud+hYhkTWJOgrJk0aMmH7FO2X8JBrOj5/oXljua4fod/vxmsmDdcJBnANOqTL4BpIOS8lO2LjdH1MmNNCsWdZxb3PSNDsMKEOxDAksgHYe1ymDpi/9Yf1Bev7WEq3J8aln3Fk7s3XltdX4z1aZl4/Nkc/iouSMqWVeocXJeeickCkQexxbmgnQSxvb0m+c08YDi+d9oZTJLF4zW4FdtCsohR7TnaibIUKP5nBkdY3bVWuiERTuC98Da6/kClJD8sijHJMYMDyF83FJWGR7KE8xrEYEzoJAlSYntlr0vW48Rd+pdCEbaGsUCIprxui83n4jKDjWeaKyXtpa8sAWUrq55vPSBvJCTXy3N/oNSl3zLvtu2qhP2RpuQvumbIIZ+9UmGFyEQ6FrmuQXUtpZRDkf6DsvM69Nzg7mO47lYK5eLbGDoNatLLrUZcLPrSQu8QAk7Jo0QYHHnfmwhschV2Dx62GokhJKPxEM6xbV2oWBH5thmPT4zfpZUqvaoMTMuOtJLNTGj+u9VeWCCHZtdYqJDzrHOCGxsP5LBXLlYobMcGcxM/sK54aVEiW8lnY2uY3dqVz4+O6IYHhTfGk7GlUQV/EDH+/2En51u8o8FkYoKi3OtNL0d2V3VEnUQ7wp3u7mtlfqhMAszFzcorgALqZSKvcC/ThFNr7EiT/UmJNhckB5KdpiAxFyPWZBcnwJpSYT5PUhwFq8O1UHXpT1ZlzhjV1tPtrVEQ8hGDMXrYT5XRMOuGYtNeo4TRn/X9ujLfidjiyuza+Duv07x/hjygpq6ckhd4Q6umR8fb2UBrjBsqfAd31AVE1uOOku4GC8Ha4p0TDIlp8pdLutud71VWcwk40kD/i2DbUyPZdh+yW3VxWQ00XGq8/QFt6EmFJ+sFWXvEFKpcKsBpAkLFS7dRcQlWFzwjtMPBAvNX/g3+hW4LVW3F/pNK8HJ1yXaNFIPgzs2jqHeMKVx7snswOsJlm94Nejj4XsIKknA8OGWAfvo2rdCIMldgfEVoecGufHVYXB4E8uahu4KD3kqsmYhfGdQeX9BDfxFOOUm1pzOc0pylEnd/Y0olEq9Wg8w2SdJ7XxblH37JbJsbWz/2a2oULbQ1aPLmRXtnk935K8wUpKaW9QMhFngvvfKXKfZ0/giovT5IPVQ7H0LXi70FlMYSDDxdMJdu3D1dyhOLXReSbR1mCHcTYKooSb5kYNtM+RtZsdQx4ZmwugvtxYbqq4ezI97hVqXL7KOBh7TQrIQtGlvEvfq16hbuFP6SAzimetEHz+E1vkVaanNI0vXNxTXpom0ueUGtnq8HrlNoYOxtCmc/Wb655otB9lJ5F0KIPZClOIBvw5QbJykanSVw2K8kKXFLh42Vt4I2/Bu8AaX3PR+199vLeVpA6ajtfDbm3Fvfcnx8qUck3UlZbiOQQ3lUwI6KCx8lPLt0UudxcNsZhuQ4Ak0CosThM5BTM6kOuJisvfiT9Q7flTMT17d8toAQHGvh+I7CdNF1LO1VJ4TXG61DIEpNp+hrYQ1RQIi0bIk83ednOuZQKMTavVFplVBQKyiy7bRlpyLcOA8DdzcJ4FdDVpgA6LcBdZg9GKCbs3PQ2YVnd3Fw3Mu4V5x5OLQOB+hsUKPLLhGLqRcGUFAgQBBWxe2K6RCDoyER32KhQEw6m0oqSH2CoUu0nhUGRQ25SEhNLN3FGebzgTmpYNvoJ0sVCzsAtbVvMZJ8OAuHXcmoYEtBIbcQJbmy5AcSWWz3VxhqYH5uiCmb+JyihLismC2INSrdwl4Tq1ywlTFsVWwYHEPcIHvB5xoRID0enlORt08W7Mrw51zxBgL6j1iy4DEGw0Srq10ew7N1J5eIUaQ9hkQWuuz25a8owShC0eNa+OZV91Fgba0M87y3vqZ5fHXT4BUvjlWA0jUHu6ftMWEuaAzh6CfM5hMcUeYAfpe+K83GJO+ake6wJxak8EzICPk0pfpjYNzElRrvlptNU28iQyPRP06tIxVMCywpDXbJCDsIWJE4LvvdOthTdJ1piv5sTALPfj2oMewinXXdmY+n6Qt8rKbMzwBObPEU4tJ1JMYQWZA7PfvO64AiDBhafVIdqE7bT/cOYhpY0b1PPom6SyZZy5rFVj2h4xHoZoDEHDC0SihSgh39KkS350ETVwXJU1NCECVG+RRtjaXTFJ5vTqvSSVJhMhMdX1f7wlw3QPSljNtLQGPvMWJN//EYl4e9rqHF3+CtT5lGZcKB9bcJdEFjOKfAc19CEHiHwKvd4m0GsyFMBcfLKSW2EK14f0t1RWnNpMV3+UIu70Agb3uRwkZ2dyeOSJSKCYgSH9N8M9WQiWnvOlVEFSUVjX+oTYJTgdlL7HFzJ8uF4r/92P+qvNTTX8wDyhGpRmv+tytIvs4JisQUO6Xrprtg9deFvJiRDo6zyPeWKDGY861Js4bujL50Psik/ej0TFGX9Uc6scu5wTDjbFHz+4nmeLUx2frv+soPiY8UMn/hDptRYO8SFBrdckPqr3wjUIHQ470UqJ2kJBeByNeMp2nKamsuvnOSsNdSQs+r+Fh/jIA1zA9aTYFVMsdO+vcWsXu/CAoBNyhg4v4ivc5Dpwnf1rTCNPVbe5SdGkg7vcJ6RDnalX3aY77HTHpgo2ekk0ofxbw1oen+NAhkEgC2wzWvHVh/wrppLrzZHu2v/ekNFzOvxeeMaPAwh5oeevkj3h47Ff6FlVIH/BLidK62Et2HRk2DIsUSXUR2nVW9vWMvoChOq0wxlsWGwaPHNT9lFrnsgkBut5EUV0MtnQkhv+Xw2RzclaKINPGqtGoyh2EAgkN62KXEEZXbZkcDgTp1XxhLxa6Jyt/QDF8hAl0u3UZ8qvCDx3DpWqphMvkk0pQOktSjKVfOtn1D3lIzNCSyyhRqVAe986sSvRyX0tIAECOPn3dv7PGgdelJvVlpOXOvDFgPHxWYPpICLmXpkfohr/nVWVsP4TcAhWb3PGlxCrSzRFuUEXf+bM8lZZjEv/ttAJL3wMOZ8Za4a62xqHVIlNXW3yeFXAKkKzK9eOTdoHNcL54ieuJ+emnEQmJISyTU6nPKbOGxKJ1hH+hh22xGFooZAlnBOFR35gl/2cAqWdx7Ypwa4GOPapuNi++yrmmg7RctsedZQS/D3sXLSF9iP/lTX3bmtHa0/Xmz9rC/EtWn1y8eRJF2s/5Eua6AyE5JNVTPnp8yne9RlghFWJI9jTRT9dom0ouDM819MkePjS2LZM8G8OdStwo82xkE8MBwXZsNseOZd99CsT62RrqKDeqI5tJic9LeF3HSZe4AmF1D7tBpzmlUvtUwldO66k5OplzLxh3ZEX0pAL6XlxrpzQFRkqYMcBL2Er13HvX2rA+xkFaTR4TBvtDH9D8Xt94MwvE+AVmfD9fUsg3LQzjtZWCzM97heRM8LpKymHu/MzBg8MQBzQMmpkZK5EyaakkAIgmtlpSIxrEkKZDZeAEhuqWQuMM3Sy+ZBBZPmJc04XxprJZcM6TZ3mDMXbl5SemEqwJkqDQnvuIQKGC6QMSnV661HDVhvvh0zgBijft9X2qH2yLqG8DVeI7Da5tZcHrhzaG5kG7VB2AfyMguDkwag8N/MdMMBwfzeesAW1oY6kUxHNPrehWM8HVa0VpieKXBfXwwUT8n2sZ4JCVZRn7/N2FjqT6BvKQs/ARyciNetoMEhruG3dF4w6SjI1jiDGPBRKa0sjyJ9cMbZGfUta1Bt7r+vmdpN10xrJuUFNuRBaW4XvlQPuvAHmp7Z+Jkj7bAcvlbxAmYKov7NO93MIclA61BlfMSY7YGImTozRZ5AmfM2w633AHGYH8/PSlkS/eiYr/jVOwpGy5xuNF70Q7cayuMG5/Vdy4gtGPhMWUFdv7bI44DlnvyoKEroi5KKvDbqZBtUmrp6JcU+evH3spCFtRiHRMU9tA9rqq9C3ejMPmZCWSOu6vrrzmtb2sXUAVw5AAYab3HqTFCKQy9sEr68M4glhzAiHByZIw9QeMY5jAHKWIx8NDDGQDcJMMBgMHYD2uzlGX8eW5RhNsUzo+BGYfNPVguJ6w0XUfquP3f5aaQBy1KF/XmZyENwz9+wPc00wMUKbA9LTvJ5SpchsGihlY6WZBIGPubuLjNTsSPd6OMgmD4IbN7mObkfZIA1Ud/VSVLCuoBZoO9jJpAU6+A0ICYDEcV1eDyN1vYxJn6JOmbxZM906OQGBNNxwnhLT6sbTHlIpU6Y2gk9ZjYxQFLgykSgG+Qmj0aSWJfN7VaUtXOd/o5VrkRPt4SzcyIX8IAe64E/Zt3+EA5JXG7Ze/UPod+W19Fbne+W2HxEnfIk1F36lj7JhD8Sd7tO8e188ngwD9hLsQ9UnYAqJJxgdbJnjldLdhnCLphLRsqX9iftVNI02K+dfAdJIuw14BotjxitdMOX6jaAov6a6+2e6f0VAePB2yAg2zcCdp4NAUHrg7v4hq1Fq3NGMPWtYdwxAcTFOxtiCvBzSlMUas1WH5ix2itXOZt/AiUiyAomyvZkuzFvV7FtGPvJMEFSsVelDCeNdyrJ/OkCVXHpB1q+qqqNUVX3nmR0UQfOafGI4PTlvAsa5KhSnK/j9TWW2zJ+7q6J7uesY4A3egjiy7l72VMeIDljvph1lP0Z18AHThspOmhDmgyasTj/igR4kyftJigIQWq8LvPHULDRErQ86MtJ8btYnGc6+HoymhSAH8XuUkfgba4Hjk/pYC16Qvrex5ZfZbKuYKwbN/bgwd3JW4tHCzxzrEiFyTMrjLxbDRfe+5C7l79+1tiYuvuFx3bSC0iDf5aflnru6fve9gWW+hhrtm3ly1yjMPihQCSvrv0Pg186gnhVGJQBInOXSK13EsDcs7Zwbvzqs54ZvCT/YW7W3+lwG2Zf/ZE6ORXIE47fRBxaRkYKRYFGR8FDSOIELhsxNSMU4UPGnOebgflNwlfJhFrhXM0Csj6qIKA1ioyqYMpqJyszk5vKV/Dt/lJmvPJ2d3lomi21uFiudpuHQCA+SrikYYwmXeM5FoQweRugrttR+/g3A57UUElaEnDa8FAxw7YE+rU2YlhJGGVmX4K/Hy6efeGM+rEw1Lt+r5wtCdscTndkltCCGWpLeqc4GYiORVbihTscZ6aofWGpb17LCtmsT3MibS9JH7a6MZ9Zmg7rc3FzUx9OuHj8Ju1S5H8NJTv5Fn49IWVsQjMkLHQ5+gpGu/Y0oblALXPxk5vL4gPpTQnjKQvb8lRu47OOnsWE4ytCGv5S2nXHDy7GZZHxGR33jKg3+XhtOqMxg+tK0dnXiHVn5i5uZuhGni0MLNboRBe/E7SKxW7b4EZEelqXFf1Y1lhH7Hif2uFLtH8Bba/NhZ5p+TK47lk1MbajEZedmsKnFFJX7OpmbLaHSjH34sNRj/tXQtIFSei3iQHiFpkncwCf0wt98M9+6j2sT6LZd0cbruTdrZD4nV5Mv0Dpgzbz9s1sbaBBJ/I/gta6+Ioee5M8Kv97P1QdUELj6Wf+rjd2PVj/syH/6Gjn9rVbIMdfhswdRs03eoGYWzw562hB9jVi+d6WlNU8FMxpSNL0T84/cZgYc8r/xJ7uvrR50MoBEiRU7/muAWs9xfJsh2Ew08BTW9BK+oZBuApa45i4Su3wRxulsbPK7Dlt9tfMf2oP0WPCk/MTnUxh+lcWaeoypN89TA4uRAOcpG93kMBpEmDgXI8r/QpBtrPfKrSSLdHipH9FRuPaL8TUPQlh4Z9zot0izeXYjcLHhXXVrqdjK/N/8WX2fZyO6e9a9eNoC4S/SAm/3rjvvA7ekdOXuPVG8o8Q8dFPi+meGYMUhwHrOABCeuq/6JUgn7j3b7D+WmUbzmipldU8qONIJltHf+RceaHwWfW8ZS57GspbiqpRA11/LpT0NVLd1XSUFSF2zAg1S55F/vBjcuClq9IJrfb5fXJSeMGg95MaQaLQgnzVZ3+F+nFFT3HVV3l+1l/4rZ+stqujqO1ZsJyDzNXByglLQOYZICkqdsqsOQoA/EQKXp/xQmp8AXI+up50hgzH9//WwWEjhU7z5f21w+fiPJw+QCxsNDkyVSii+jWDDR1CmmN4NGpXfHd/sHiKavRybYh90M1FkKF7Hi2c1WqrDxRHpUjHxg4HZJ09O7EX4+RSkeqWpjkSskmaiu7Okrpjtnc/E4+YEflA2P7M7M4QqkRV/9zvcqImskY+5mXLfF7myRzxJjGvoNRgiGv5Q5j2k+7OUxh/wrkgNfIpaWneW0eVF3KY9aK4f8pksgOSzvDm8uB8Hgkh9IgIwoosMVkD9TnGyS4/DBb88XHuYQ6xVTjE5b8hkx3KKz3oL5+ztDMmYmMZ0wjRsSEsPmBx1lKeZZOiTByr7hL+n4lnJUfCqE9UHDGzqS5BcuWwaEYw2UJNoYFKytIj7zwvxLmBLp96zg3Y856WW6JD5Tc0dT4Y1o4yqlxj0Mi4LnDGsGZ96QcN48qJe9cKvqD/oX7nMmrpdve9+eapSjSOsi+IHH/CnYUW+Lxic16vO7aHef9n3l8vlfsX5i9igf0HVS/ioDkcyfv+dDk7G/jDMeC7V/VxT1rJt0+SAL9zLYN6rnC4p9BUly/LeBRYgqwn5LJ03+Xkieu5wFsfVM0x2wRPv/XiKuJt09MJqsw/it/VKsJsPusv5oPZgC/zIJS9PzGqx1GZfTUpLKBF6wKrTCOYcGA3D37YXj8TrzFj7PRD5eGiy+aYxinf39te+RxfQvnj0h+yoYZnOpI/04+i4khwZdEhBHYQCQNxT+MFoiqWb+w/BUoY8AQZRvpr/++Mz0PrYAq0be3K+/0DOR56OnlrARkGNmetpCcwtUjp4/x2HkC2q+RNgywh77tKtADJx5DaVj3I584uIlg3WChLPRz4T+Xu/dUOhlDWNsGcqWrJ64NgzFVOZnzaLlM0oovJ0l5BF5UyRk0rMyAjbZPRxe9VhAhgjy0Bjx+n+nVvLAlTycxeX1c+ZNQYbfZ/vVdsxQTd9j2XZdnAMyDsQJRBEOlP56c6kLGQTqDgJ8qlJEauEeREVHIjiZMJ4vclKxCChGPcJ407I/X04fg7QQSKuk2C3OcaQY2xYSz9nVmRCO3mIGYU888B9nlZTvW2n93U9tS+W3WbJKu7WcpVGDPUqQNKsXOp20q5Qv0z0UpMVsJKYLtUeK0dQ8t8Oe4r3qwCgZNj/eXA3UZx4cZf+ZcXye+bJ2jFNeLZaZlVOc0l95wkow3Ux+zUwZvlB50RP4mJ+3M2tjGbqokF4U8gdhSr4aRgCdgOAiKrCjMLkEEEjgtQJBvowjsYU38DkMj7VGWJ0kMyKVgTBdU7JLgLgph8lPDc5hWsC4Jl+TqrGqh3yyCAfWLaPX4rlZWUQdtOgtWqJEp6YaqtUANPanBqleHJO3dQsZI3SFr0Nu/wxUpwmqeCtvdlcQvbCx2eUMzeV9avgoYqf4Sh6EQCcwrvsnwd/rz9J9zgAvdskTge9gUfclooSTu4Z+t/uTZZBbU82SkH23UIabk6frtFplNH3sgTdOM9B58O4QtmU48Ivt+ct1ZCh86EeGKabSyDQ51LPG8xxl1ceaDVf0D1x1c7x7rUnulcfb4eOIKyWRmzRT5nHj3rMQY/EtCepYuqWqtT0urfddXRlURNPyOl7noFYMcuDbvWD+eBhUfXMxE0Vj86WyIvc3NWhoKNhLUYCaiJhpnxnl4IhJEyDuPXHZzv33Ka7V/GGQokb024Xxn/S59W2lmNfOADnzKUdoQCNJrXodok1rri2ma8EsATBeioa+cZaFLLH42NWFtmaMNkfrWh0QPEmStizh2cXEQozIcWzziIaq0odhJQm5w1H5/5tfMcOi3H35JFMlX/BaOgOdjh5GtD2duX/dt3svKETbikLxuxm6a6JMMx4sAwhnO5L8Ha8e8HJpGOZByHsehKezzbwZse/yrpFJgAzEq9CMPJf2cZfrkv7Jpe/4dGf+z6TLaB8SAMjn73azRycH1F2asb0l8UGTeTGiYRryClHqVyDmGudQ2J7xGTJFz7vkzGU43sx+0GUb97/UCb/1L0oweSRREkmpySr92+IBs7iwSkX+ylFg3jguN4b0sxsJwgZDA55CVXWUrcVBq68zPeUGv09GiyT4zpytTwKzBQ7LnR4tr4oB7+ZpkdZhMPjB4cWXDIhZCEj/4pSxuH0KJpJLgOxSL+iZtQ1nWFBV9EgV/FDys710IIcuj18yMdnZUlMGLdfTwOmwmhoxuzfNlucO9sU9ewgACBnORPkx1OC5lmjfe3furXhDVe+6/rz0Xf31AZwO7C0MzbVRTON1fr6TR1noX03iEl8m1f2KPe/a7jxlc7xCnWP3tdhjN3FPa519UzUiOL907Jv46mgMiQq6xnKE8htIlYiDvWGFk5Jm7PkvchwN1hLX26eiPdoQT9K+b14170D9khyQLn0dZDq6tSTDYP8PGffnYx/UayDuFeals3DhTkK31s41JoEVCuXzAKSq0G8ALCPCqZUMAChrKzQKkTHpFOvtbaZXVv3CfSDqEUgg2+syhVyGI/1wWk9GKnwfVn2IAteJdpiQWJWxYQ6Tb52rimUsYNX/w0QkzLmdk/h5pLjLazCg+tor5Fg/zxFnooSleewIb9J0iVaTz4i19vZMfuHEBRcZ5qWAyGXiN3BtjwbDxwVg+aQrwjzG+dGiEMEatZJszZvz63Zn+D0+X89ehUGa4mPpl9qNV4gdynXPnEdQHw5uZOX56QAQuWeHtUNG6NP7+z25ibD+/8QLRv/ykgeLPuL/+ShAGWVeZ0FN0Gam5N5B6XBnMutuf5ip242UrHctRY35ti5/8X/gkwvlAZXwu3s36wDvw8NvWTrIzCq7hJL//8DJYKJaRfLKNHLXWw0nozloZJeKrzhstZwTPlYc2URlVWrab60017tvwjttfBdc1A679sNVGdcILYuDTmPvp5bW2PmtB94JRtIrXtJ4mQgs551A3Ho8f3ptIDR+D/e/7J1ywVMueBDCplPuMS0iF3GULwt6jgJ0d0SrdeVKGGWmShNBIb/iIWjtIHimxZifgtXJ+ifRLrp9kh5SPTLuXO2V1fMkBGNz27NhZKMi7hhNWAcngQtbdDD6c1k8YE//Zfx0f0pTR47fKJm3iNTSIX82iWsJWIBZSfwuDlzD7epe/6boLOOqURsAH2OD6z+lfhQ/4ZYaYlWzLM2B2KBr3/u8c3StHYXrA/YiCzBobwZbStFpUtDZQjE++YJtb+TR2pK75vfvN9HJ9MI3e6kpATI6g6dDYReomx9Pldb73IT8XIw5QNLtg1mtaCX7xc4ZJUTUDC1OoqrQmGQEnkd1CcpI9irQ6tJyaeoxSxzdauNRErVviVOhjFlNTvYDeddOdLi70WmWtPNpZPMLmP9IESziNsxLanfkTOnaHHIVZWaYDoT4U1RHmFqPaZ86V545h7lPZNpGGNA3u7VLjsRv2/cGKh+eYNGPHyI/t2vODtn7QoHA/ks7lgWEADPXCRflVs4YUxxfbHjJj6A/Cai6P+I8sxa8osFDmspfOFNtRS33Rgz2TBz7kGGF7kj6mcsC1hoCfUljmjCt4HFjK2CHtRVXOt6VwoWIjml7ewQJm/y0z4kZosdsc2KbdsPv7WAldNRPXVP6HZMhaJETkZsktAHT26r4pXc6qzeH2V88z7sZYN6RYR9i9Mw0lO1HXJG9aFxwTpSSSecNJ6tc+TDS4L+Hd344NTDEuGvJ/Cvf+rY5BJVtASzkTjPN0EdTy1WiE+yiGPWn6iRs+nIm7C4qHuMMVaaoKcpNSI39vJ+sB+Y1TyyGO0eqD2Qd1Gi9OcHhsU/acxu9KOsPvuxRMHrZrZGQ3efs8jkUB7zBb35WIJFK64IVk5x1nOlegDc0Kf3bCyhO4OOcuKPTyKImHkORyZQS1r01d0RiXls/ddktX/q52/ltSBuiGOnTeTouZVyIvkd2Zckkck8bSFowO9z2RESj7kMGKVyEOpfiVhC4+bvTG0CrLjkybSueQxcB9MFkkYibi51KW3IbBBKFuKHZUCNuMFYJqucu4uwD8xQWCUE5iNKZf6Q57AdEWyPJ3JuX7d/0w+/mzYUKRiupnsCd1xhR5R+C/Cz25FGFfQhyw1mn9sZigIO9goY/v7sOVRKq2469hzkyTewZwPyIANVtNpqlAaIfpgN8hPdG6gopQACizz5aRqDxpKWUexqKxjuR4UdaaUVIZPOGqFef7CG7ZQNLM6yi3PTg5i403uaceUArMlVAyUne/mXafUkJAhOP+1bkpetgOaPJ5IsWGxCE9oXVziBmQiRdifFLNL69yedAmZEvBkuK+9WZ/3S1SN/TGvVrDuryxbqJz/T8gwPt7nKtMSKCI6gs5YjY7jRP3UG+XC8aTpuoY2Z9mGJy1z1MSG58viBdFrt97Su1ucwYyxUxupEruZQc2fzp5MgsMly2JJOsKrlmnco51A3eeXDWKz3C4ug81AsRJXOMlpCu5o2Z4Gb5GoO/iv0fgyJyt/IKPMgpU0bBIB28evcpI0scfbqwWN6/wwHkqE0gTHibITkB8BkUroxkgdofE2LffQZWy994NJzn7gUuR94wiEghYn1XbOaD92Y+RxT9FErG62EPtzp/YZgddhNFJzEYbb5CSHyR9/pUe8fnXkjju6o6l5oYxPotsMZW1WZfPK5MRmvHp9zqrmNWwVNl6QamxtZ+oW/2f2HDSaZ46yRhfsIy1uyzNDzecFwJmdP3Kpym5+LmVI58NLH8420kQ4OdGNCfEPHP8fiPAo4gZlLtTZjOWJZd6CizdlKRCsZjm9/vsMyf33/UKktW/i6tdHW7TPtGAEzaFSC7cD4IHlmAb238/wZlirwDmBgzHPauFEb7Yj9foQLpKrLAmXmmZCx7M4jNGOFFNIvbII61dD/ggLz8mawmsdRqpuQ6qRq9AROsc+O52ImYwLqdUxGXLWprjxDoCdzu14ZhVEDiEzzx2wGXFL2DLH2Sj7EFpWhJSqspWVZ7ziXkfS+fKtrfEqpQMggo3m4yqOvKXZmGmuuoZrHUonsquPo0hl+vhwiCAMTMJeUazVnQZzystYVmqkqBiZmzeajdhkntXIUmCAUBY6TfO+pn1Jv5d2RVPW66T7vHueT6eT3FLhMFygb/kY/82DPKw7NdGKLFPmfFL7qmPMVt0bx21PfMHE7/xobedmv64E3HsvWXNU8NmavHQ4U7buR1vhQ8LVm1wPi31+lF5HDU8eGzIsXDqS1bF5SdjmsVwXS4vyTVlgz6zFaVNdgzTCgLsTHDcw2IpMD6is7t0wa8JidWQflUIryrqkFK0isOLHd2gWOTEKzds7emGsTnFvEH+q5urmf/wyuhsciLIJU6ryL5sICPA9PCQ59MGivFCWWHzpKTRqgwMIiliem858r0qLDJ49p9fN+kEoYDdWVZph/V3Shm4dPUT15wSLes2IxlrKKZrj+Phbl9yuBVEXisMdIoLs+874sJc9gr1VDj9dWyaI7+beP8UKDjZWilbcTcfkQYk/UjD4A3pT89ZO0RRe/b+C1TABybqU1HOZ3L58WcGEj6o3TFg7bvVYKAx74c1E0uWTeXwi6etEgZI+plyZFn8wUhSdheqSDhYLLNq5VMcoHkG3Z3PIxG4PPy/kJmzOQZOz9sW5Fwkh1Pt/rVYOZ6f7FEXwxrKyh3YmrDIC+G6v4ygWFREWOtQyzeeoTVXrA/jDk0dvRC6HNk9GilfAVW9fSNQOxdT5ZxpuC9lPrb+JpQfPc4oip/c4CcTY3zHZAeC9YYLmME78ybUw/a+n3nGQ9NL1/XKmU2ejbRtHPfdL4Onis0kxmny5bYY+GAl3ZDx2YAEnWxqTIv4tXhqwn7z04pJAFbRs3GgDLY8WXsWF7gHLSmj1T326PHVxeE0vdiWtsGOuIJtjVBAnsxWbujRqR9sfqZe5ec5BHCVE9Wh1yNvKBeaifHcTnSQAFmkEHJ0GmxdwMCtUpS45GFWM/FH596x1t8GEoxJqrRBKZFfneoLV8cgwHpKNDvS9UNERTffVyeqOlvilYISw+UB8GSjGYcu6Hy1ekqDEQVhLfQLYW5oDLPyikOaSpNK61Ntsm6J9z5C2cFOBN9Us1g9jCkVvaxTg7AUWAn3lTVF/gJCxrYhSDsj1gaYL0aHyOM4x+b0mvBP9e8GkU5E8OFybBbdWaGYY2Q1pDtNdmlJPHbYm6sRqQOOFiDLIDFDy4/pfXhHkC5Na+eUKY3+2eG/yW7EZAQmTb5jhCmWmgLBTkMxNhiG7ba4hquv86oHv8gweaZrOKvd4FJ/wP7DvUn2hT/Fnf+v8xqhW20+M+hgCnszP0eA3U/3PdawKRWmcq+xhoeFxpEghERhHxrJov3UQ28QqZQi3R8JzQubW5fb1TRIke7mLjf6/g304fB3NKcNKsAp3KXwbLa7gXjArWgvDswGUUdmcOSL7F8QsDB6R/fLzVASe55qpuQa6qn5w1XvFUH7DVoBBMzKD5DCZNziLAn0CgGLgBfGSGqHtWmOY5RKFqckgTklyjEbOFBmVPnn1Yi7Q8FR2+TkB8HsB+p/oV5xFV5ww2kT/7UnrV+Q68fznClUAPj/BDkjn9x8Dt7mVgMjyvgO84w5jhF2FR35wt6SwBxaVR9CwEHHq9GXPl6SzAiH5sNnWioD32gOdMI0JfUv3fVmVfFVvIQi2ArikT+kI62SyI8OyzgxHXHS/zGRpg5IlYthjwvjdCB91CC+7ihBJ09N3kYKT6cMsMwYySY53skAMpxCnXBn9tBQi/J+I0Ezjt/58vjjlfDvwvDt/rbgrs3zKDkryB1St+KQu/cAVOLpOjSw/DgLYpJi4JH8udwtbLKZgyKViTNGI1vBlaGbSwTq1sHY64bm5GDViNVvj3PCdae6A9KLxizI1Bf4zVM51wQHT+H+PT0g/mrPVE6F9rTAdzqaeDrxnqf+MBG7pKLbjf8pqunoyfN6vVXA+dCfumC4Oh1JofOR+9W2cNd6jVt1+oEze63Flldz29a15XnpiPxYFKpqObX1fmP8VSiBnnbEPlMY7GfRsjHHPJWFHw5ISGyIsIOpU8wSE7Fsyc3D6Gr4G//D3tYsnH7Busuawj0W37bpYfsJ4u+FgSREnT18bqOBbWzErTUJ3HSAFbThxxMzb43864SZ5i8Yh+9PyK3ac3jvs9c/I9nsp5/djxULX3W+bzZPfkp3bH/Z65+95uLOZ1ypQGWQfB7isf06RVFvAz49Fk3F2Oywf1LRVxbxK0Yg7CuejC6Uz0CDh2fiIQ6G4JNddJ/SZ5BUydUvz7ZPp1AW+vP+oOvm3rommcv2wZF+zUOb4CpVT7RKn5pOOVA1iq9jhn4tWM8Kxra74jNe3FKkofue17P2517VyPU2q2fatsggoetmeqR4weGIti2VSaY1YtpaV7Ml/kjT3Zwu5vwMP5Kg+deddfMvq7Yl7v9VgLS1+NZt+XS340H7lLrVCTy5R4nZi6v3fNBOLxAZ7UPw34RENAxU0mnxiMTHcMxTe91HmuZ3Fw/kMttHrtaoddT7dCqkKih+LjE7Zp0zQfXgA+9xYVL5h0p6i6q61pZzw4U39bTiJ2E3LH5aX98YkSP1vQIrVaIkF/TGQ7Vn9UJhFA+S00kD7y/LEsSmqL53yF6s0htjYCfGaRd66j5JUZCgUBAC8wMTBW5bciMrqPvVGLE3G7I+8rogGzIhrQP1wnyva2RRzMM0vWJawI9N2j00BgUuAKGLX/jM96LcBHIRQmJAwylTzj+Nn1HeAKlSp/iqMmxFV2WRWUKaB0yIlYyaLgIRQXm5in5V9r322FsYeD9e9VxacZaasQL6qXLyHTPoU6wYPNCIOowThu3OwCBmOp50Njl14uyA0W4LLJxGmeBhXEDw/Yghn9SqVG13GRLttqKcQDusGRhfxOi86PzMNZZ83AXs3Dr9J1OmzV8tUdw+VwlJ1hX0FRoJKVRWotKvgXOw7hc9neTuMmb8diod4a1roPjrcSix6kimu77vBb/pxwdHMhqRDeiXGhrwUu5wDE3Srs8xY7ICMonJ5g6BiwyNR509nSGiBe4pZjCVGnZg0828S/1ROdquN4SQZrmMAgMYGMPg8a3JH65RahEsIyGLBAKKxHYfLnpH0nWhOO3Bp9wVZ7hB0oUaYlu/VlVyXqDIWccoIE5we5UnLIZu2BedP+G1kgeRSFJSrOMsOCYNk16yaXHPZoLwL/WMfGapAx6c7a5GBGN3X9oJR0/YsYjxKsK6HjOYb3cBjURwxCgrtN37CU6RL+ZNuLG6S2hn3odxzExhaME/K/vatEcXO36eZREOZXW5zU+cFIt9OodWsutK+OLVagR5PnR7HldB+hRXnsbLu+q7TljxvrU8/uHqnsrtRxsckhvaX4nus17vLG79p67bHX+4SrbueMScm5EHIHAyEYg//s63o88o4bGKP2aUZ9qujcA9Pa2/i0om1lcfZdKbKT0esSFYNDCUBUEC7teX3xaQU0PPlPZCUneZ8uF4hohtrpVfcnqZCP+1tTnfOdIsPgvQZOPOcXFm/1pONGmlhO1F5SI/52OKTBhUoe/CU40PaGqKOw5+Wy7TKSUiFgW+z5XM7FDjFye2u4+LCh1/YyJJdhfrUsolNWdVEnb1uL9dSOL2CX93HZlHzBK0DB/IqYzo5Yh7gLLLyYK9rGIYsTdlwevDK1J89Vki8aHSz0ukuPVpfKWB0khXpFTP2aAMx8x8CGuiDwW24dDm2ekxDahekU9UUMNqoy5X0jvH2Xq51bMvAImxscKPoV43uOJZZrSgP63yJXk58hoVqkfZ31eG7Uyskl/Uqfe57bCaNK3UfpLCNZpYdtJ0pz2sgTmm3omIVHPJqEfNbWW7Jlfcu2XY1/zz8cW6qWWJO2wRTb9P1/iQ62sEzuL41KHUSHUbOowYYH92EW4OTWIPRFdDEnBrzLlt2v4Is27JAeRogoKH8PFn+85MBVm6aN0vY9SQbAiJPlNxeB04yx7yq7kke4j5qQQEWyN9lISTC+rRdLN83nqt7ASFoo7MeQe7nI/whSeP7nCRgmWPHk0tTyXZyX6/gv88TGR9Ak+Rgs2Z2LQ3ZJ0cBlPeN17fv9/a/vG7oWhrn9wq/zllTrrl+uNaJ+abRf2payIf87SPLWsJUbU6Ax3/YCmAr3eqsyhRtwHTHmZDZLXGx4CAMrL2Hm3e6l7oQyRTdPNVd/fe0Sra1hgUylib0c/6uPZxAxFBIQF+pwQeHISAaUFZJrRtQykXFtYWXqG52L4hN8xnRwegJoaL+Riwl5aNkiHHGZQXY3dl290UwvpKHZc+yvTzLUssHHLgktje77JLjE2V1JSJAJBpgVGdGP0NB787yDVPYAAwWVQwrdTR7C9ChRdWyvLjn75NItX43loIFVwXp/voIXetpA3+zc/1mhtSTsyr06ToVV7zUfpX1PmByo/aGuu/NZdRVNVqcrC5u7kV8jExErQt9O9dhN19btIiBEeDdDzg32nmgqKsS80WWdkC91gYK/FqKQ80Jy9mpQPbth5LkSJNbOtLF8bNqaXfnreyzwBbrweGmwFWPBkGBVeL4TChfxVYQJqcyPhpCYNjFJEq6mIxSwXAI4raNGZF3qPRg5RL4lpAcIFrjhADZJmFvMCK6RuczO+su8r3J09IbL/WA6oR/zEqsGrX9y0ybouHC7pflBVHh5K0c3SQcOe6CwOoNOoe5y0CEQEWwkii3FhkVMu6HbpCFOEtPx+jKWxXqKEeFWHwU/m573hWLgVNWGuKkOVJQZ/5TWtdhUrI1Q0J/HyeNkwDxrv5vRgwQc5DhbX0WYvxEKhen2KVhsyAehl+200SSKd9DPQkJ4yb5NhNG9obMjoOx165tumEE42hup2ixhfKXXqH44iEerSUSeXyQHOZzyW18+1aZgTm+h19y1hCTSdjmYNbfB99hMco15fepm5jC+Tj+qeO7oJKT2EDTL8i2+YLwkjmLI1627SJIyQj+ZF7cBv8DX2WDartuUGXHizfRM3ObEfuvyvWCI/o3cKuKqo60ohGGsx+ZHaeH6YcxFnw04wRCa+2xzQM4kwOdOGbcOeck12Eixo/1n4/avWQV6YgXMMdAvNszbFdvkNhXMwFtiVdVsqplgWwL3s5W8RqjKDHenjCkL09kLgXLOIeptEk6grsUilXoY2e6wI+ahQB85A6KOb/AZY20Vvt6IYt6jwlXvBbcZ7LwmS+8CA2fycI7PFtuCb3JI8XxuyjrZe9t/ORgPXqokA8UhG6BGbu36OH0FQf6oA35UHTnARhVCzi518u3XwBSuVnTQeyYqpl2IQqBCZMoO1DcMJN+eu1w+Z+n5tMMM7bO9Q1OroqmatmzpGtmtjbd2BRMUcI9p0WmPrh/5fbKqEURjObliqUHrVdatJqwXnUMK9VEFCnA+wfdWVwgN3TYhHPq0abJzWfjx4fOUtImmjCQgpmkTjMCLefVjU9fbBFaNG/iSwKpP8+nCpyCpCW1BbbvJFJFH5i3iiegtnDb56IsK9T+ndhhrOVZH1ZghbuxKcMbUgbPJE8NnLUkmmM5RuqtFstZC3B3+GNMO/Bu3JFEpPXh1jAt28onk/wK6F27KS3xBJtZW+DyvYg+j87Apc7cDPSQ4TGQ9oIvtM7JjgS5tJCZifZIhoSmlITPpdBy6JuQZ4D3wys/RnCLPdXjhcyU3eVtJ2NngmXTOzvT9tA+J1iYoqRS0fdAzyDefXztRscAks3oUo18dl6UscQU41WTKyoTXIxJbVWNZ5K71WxsF7KTfKTyf6tjBEhUU5+B/Fgvyq9f52Xwynmi3WGzstIaZi70K9cd4+M7E5OYTNG4/K84LiGs2mpzeehqCzkhf8PjiuVq5cRVzqvGYEigzt6hFPFeQlM9TO/8Zx00BFCy5jLpNUtP6gjBdUUId2sJGakRsHfYrH12lJZfry5mEJQzrkutZ/4ItGXhxdBuOFpk5LEr1pJrBlXWuEckGA88M8IqLSSwETLBFhRLmW9CcXn0io7w8g5g0aBXkhcdNoChJQ4hqyQD1NxDhRAKZ5+DK05mWYyWnF5zhR5tqrq+A8/uiiJ47+7Uf9LwCzl9VxmjvT3XoXVWJMIgJ6yJ3p6Hb5gHjZi+FIk+y43zgW5VIxAjLXV7+PSqj9Fafg1s+demz8iUpb/CU/4mXuGh2mmQAJWwpAA3wqtwEXHY8bp6erUpG04e3kqSsgLAQEoT6iBtk3WfskrWGxu13k1yMCJN9jc3ylvgQVjrB92SzaToCGe+lQ64Mb9XEgknvPZDkeC7NzyWXJ1hQ25sJo8/LPrdgnbVAE1yilEBwiX2hpSJzTR2XFfpvx+bj4KdaEVXrgXaO2v4HK0yHCBghVYojV3erBB6Hv5LHM/yl6pFeT/zz4LKvPKxIQlnnJZvEpzd95hX4jn006kC/BZA6lUFjtkOKnLAsCmOphVwAJUR94b3lPytegEZYaOHvcK7LgROMnGadb3XFIKX2IzXK8T5EHtUczMOlxAdSGgo4FOttF32oGCxH0d+toKbg8kiinuZO5rzeg7GIg9FJISUH4/rYwn7jRUSKwqg1GcgL9OXH2nho83ryZswn5K+KUlIa58QZCrAnp9ym27oVMUIepagzhmJ+WphtHm2WLlXM2HVdSi7PoRNqSenapx831sudN2APoHtLg5kasOknI4O6t1A6B7t4/sKlt1m1Wqs8Cvijk22qbBXqGRj/Y4go7H9USmS35DYlTc2K1wYQCgEpLQC00cAdIOaiuVZiNktVi8fxzSR82+VJmZcDVxCM/7ugIt6wmmHTTDem1eDFXj0Ee5IGaVM+7RI86RSjT5S8a6mLkfxVDglMVOISRmdNerT6LKZbQ/FGvoUc1G1dV47gle3DQD6AeZqVQWh8rV1+jckldOqy6YLOJsidjtq4jMKc0jfSsgHkDKVx6EboRkdjupZWvbNBUeCFeGMuwddFpG+EX4kaXrCktc09MR5R2TxVFrLDc4crKyaql2rUGFro1ipAUL35ZLp0B903+srnxMTy46Dd1JABxV3aJQsjgbY+cm1kTPPjkxFjA7ehMqOkzV/JAJDTHvjyAsmHihuUPtiNF2oa8mPqclkMNe0sdFLChTYoJYFSFyCpKU1m41lbj+q4z2JkqNR/tbF3G4qjDiCwljyyiP1LOabzNQ32T9E7PCs4pHw3eR1u03vXeRp+gsne85Mt673rnM2SJ/7tsBybBK/FJ+0CmQqtT5TS/0zn4+aPP+g+Q5D9xlRyJZC8epW6fPBJB88OePaAec3HrLy1mnKFHxfCjHDZ1qZP3F17DtK5OGATEVGWEOy49fWC8GNmsNgazmpEmnoskekUgeC0ekle6CZdPV476rQVPIEKpOopUPgQXVLmEBAyzU+gXJukXdGE86gdiYhBIEsyfUOakg2u3brNzrYm+wfW3PFKt/05j7GYdKdEwPzjk0vOB8mMYhmB4n5v7psab3HtU6x3egk+PLgmUXn99csAnq6q5/iMG5LphHaW3SECtFdSzoigJkE8F8ovyvbA5VIOmygxaRI4P/ke6Gj6HHjVIEnyeIp1PCxExhzkYuB/ATYHb/n5CG9kDAg9xRo+kaHCzqGriRzWXV+/iK8Nefvit0hxI1SMjFD2ZDtSvDk9iW/Gc4E8Cipzq5VDsaVjhWgp26DOWzzEnTTditJsbLbEMSGWSgPwhCO7kpHs71nNuolwXu5VbdDgvSkflL5CDl4iXKr5hCHeaw+EQ5TD9tFbkcSs1Gg2dB7jHFMDh5ra+hj8uWMopmDeyx05hcsTvQQD004JE6fA6hoeaNRNieWtyKsdWHc7Pcq0gRHTXwlkbNcA1cEk26Zu94mdA8eDPBHjj8JS4mu1uIkepGbQklVb4APrgqirqAiAr4z/mzQg2pb4bFguXJdGZs4kg5DURy1g8kISJbwIyEcd79Sw5KJG7Vdw/uPCUxlAolxTRnZJDDoKU54fTH/R3yl5vqE8rc/XfeZzYWzBVGdwg9oD+sXNpbtrjyF6uFlQK+lL7Tmr2Qamg5TTnyfw2Tg9oTQ6bzHaTCs0UEOxGWc2cJPZ2l4NUuNIwkgtWgtKwbVavWU+kL9UofydAgvcpCEQ2l/c0bCyaQWEWEWgu2MoWMAM1heh8GBG87gwL6XAH458z+fpJdj4bM+CQNEeVO0ATD+EQ7IH0gJkkBG2+YA/hk0QezxlTEyhjKJcHefZkz1gEHW4FJcs+61ypvY90Tz1NAdC9J551+wvurv0LCT1l1/QSWnY2FncERbxLBjR/IRXre8nT6V8Sbi47MceAMekfjLJ6vtVXZdubTylLC7t4swIoU6e/EazlZaebIObXKcyvs94uqlq5w9zxrX7fvBL2Wqv1l+4sZNp0wDOo/mojAo+dpt+UnSV+Q2zgUNS/gfNc5d0aYMm2m+2qwENwmdMySS/mmAFtxloLoFUmtyD5ym69TdCO9UOCqIZVtq3qnCDW9oczqgFeSuv2yqlRPwbda0kMxaLIYzNFTSSFF2E33YrirGHMj6LUMaUwpbTa0Yqjrtc+djHsiVom9xMAdgJiDQ8st3n8D5wqd7YupXCx8m/w4lIF/30tBCieintT6PW7AUSe3CiaCq+PZqmBoqLLO4GUo5wk3DClfiWieDN1NoXcKQV1GWsGw46lohEDkV2B/7aKLwLR9Oza5KTXzU5hAsNVBXC3h0//dZO5WoJKjYRnDuBEvPIwfjjq0LuUh9e9DvYDtCaeJv/Vow6j7PhXv6GBvAtYbJOTIloL4XhDuYgQLEXlYqN3UX93l1t7MPNLvC47seBI9Iyo1JKTphqE//Utq0SpVxL44HWdFBng89h/6+T/F5xKRpxRTjSVir9NmkIFlJUWKeyuQS9ysnOgK3DDN41ztyjUO44iJtodc4Iczhg+7AhjD7PubAv5vYmu1OcDzf4P6fmTALYFp8qsco/SSLzBtp+Y+SkgJ3Vtdl7vON/689rYOiMXWrQY0nXsxBYvLTbfGQCKW2ZFldPgU0XTOx9bwKuiWGxXlvGxjvfuZpHvcNWN+hBh8oK4cU2zfU4RbaxqNPczc7IkACiRrzmgrnainqsQ9mXUzQZV1zBZ6wYtdehW8DFG52RNn00VDjLnqut5TPMG8nEhgsgCcy4+oThVNhL2K0UJUQkeGCZBVX22eq0Gf1wz1HCPVqccVczrjo9vgIw/lAXNdIUgb6+Liz2VtpA12cz620a+zyPhwK5uyiCZoPrSKtvcmv6/PJ+QbbdFruimqqy345JM/Ykp9M+xGlhCFXljplptHaa8VyaAzbcA9qkvJSTVo5RQ18I/7LhgRHuzpUOjUUd2pTxQGhynjl97Wnnva8j+nz2eTR+weaekPeUGrI0JDOQjsOXRNCsdncFE2kkSLTdoHW1yFTUN0FxY1HCjk3CEKz+faxUtF1bVdC0jwKbDYWLH8Igwk2jbHlXxRNy002Z/de91fr1IS/xM1O3EAqbtjjtRxVq+31QsJMcwfuxwBJIMH4DoJ0YtoSvkNgl+gkGfDwcARfRs8hGX1xW6GqYG/r4UZ/XXWHY83P0xUWjzzPo1c5t6kPzx3s8xRORjc+V5s+NytWcY1ikjEspZWQH4cyrxm+UeZ0BvnQqzlBEZpWJA4yxPrwJkU9aRIKXBZxQ5IkKTJpBTIi0rVO+Q5MA9Q64twk1dZqbnGWRU3qWL6aF7dYoUPvFgGC+/erYXnQwMFCWTWCN6dy08g4NUQXpnDjxE5tQq2DBQQcUHARp6zAk65QcWHxH3LEEnjdB7/VY8pnpsRbkqtVxKRgvfQn4G4kVesPFTAVeNfr9Ll9y3GXiuNyI+32Sk7Mc6iiT7q0hmUOQmVdT8O1kR3LsEwT3UZoPCTVq8XweshQbO5MhnEtWg1r2YaljDWF1Hd/zm6ZGhg6xO6JLYPmzWu7WCzwD2ybzDMEYvoSFA4/ni2GLcp+0oYjgUj24YEvONgcK9rKDjI2JyeR67WzJBiG5hO6KTQKpYgl54oNvtlFEG1ADWUCYYl518TSkGXkj4xq2V7MElkcX9opceFVD8/k+L88Ppn84ii4am4JwNl6ozAxlT4kANZKU2jZW+SnKqo6g90rKIS93+ZotecmFCMaXVNHX92SziqjCO/aeNy9UBaO/K2IH0ZyzcNcz9tE2r8Tdh5TrmZ3v1tx0N87SQW/0kN/nuSkI5mkiY34Cu4JA67A88eidJxbiSgzDWfZoDpsGVXPIoCMssSwCA/Xr5Sf+s+SUJPVGjqvPSTtRnq3Eb9yMXfIlsY/EBvfpB9utrxr63p7U/wkZxRTc5o/6PrC2aQteWtFLRnTE0n0eIbmEMpTgwUIkRe67YxW3jJq0xpqcDaevrXfOURDcU+wOwVW8dJ6qZiO/zsySoQLdrgFzIHjyfsY0l82EgYFXQLtIOL6Fa0MJnX/11+GO0xQAfk3GPl7W9Iw/uewiSSkiutsTl6MdhPlTqYD1s7m8NH/S3KbE++zZwPj6Z/1hfAsRnL9zuPWkmOod16JpBe7r4YpWDj3h31P6+jrLEWQ55OO5A+zUVig0Kcozg9LH/C1bONZEZIUOX0ske/iok9Xc/CvZAnZF9oUQq5676Qo0kXU9iyzPWdUzvY5VbeTLijTRmmdQv4YXa01NTsJsCRYejUAySJ9whcwVFA3KjegdlRVSljt6iuxNQnIIQWJcHpgV7qVGeGcZCplrnUsV3bbRPrZrz1n5eQcbJGU1gZbkvkr8n2rqjFGIUkUvOsFOhf47PoEnmGNomaEQTbN8FihSlSl7oS2YDfaP6jKbm6hgOLo1031LtV8aaeJL6hlxazlUH1BthxlZfTA5nNEclsMoKv61/lHCScsP3KGuqFxr0qCvKo6T5qqoA3JyK8no5utEX60CHjJlcOfFFTI8i0RfVD+d+JJhvBdXretiwo2OJn4kWQG6JfePmoZzCmnAqzy4Cy6WCLjl8OV7h+17QREChVva4ivCIJP4aV+PLX1g9Q7sP2+qsF+tctZmpoBKuoaO+i9xyJsMDkJyFB/WFNO/Kz7cqSKQ3wvvZc8bmEzIgkwFVBOtDBSWl8C75VvFZ5s947oCYhPfc9ynaYPp1bA40zjXnGmPYWf68hBstlVlN7vecxSZkmubKaHKwQrhco4vZLGcb39tzxlpfwq3b10u2PZ8fcQfU73hlBQTyhU8qniWkwYtMZ58Zsw6qEv9ItO25f7XtFbYgdtsCZI2+mwUeOV7PCRoFl3UEFsFGNSYB/KmM3xTrfFG0cMSl/w5GVheu3luhGZ4O6VUcilF5vRUmybxwvhrh0tXYWBhp84LwqhAnvduKY3qsPItXkmf+ePexB5UPJMycgxHwJlU/GwpAPfdDB5wOivKvUR1Cx7K61hE37l845caCrx5K+87silcN54Wr+R1YlJAfNiJ0AgdRb6gzNHOoIiOSDP3yOafPjN/Eaq2pCre1Mal/mxLxkn86/4LCjcz2VF2bf1pvkWbZp9iSpvIpo+KRaxAv56VdKnHmznTSYFLE544aCR1qugoIzHlIVCZjwrydT4vZ7HKGkOXK3Zn5IDwzDAKLuWca13l0JF5CPA81ppofOxsLzLUWgevY5cvsr4whEL9vF2yG3Vomi6ZtqYFexJDJqlf5hZ7FDdUJKO3L4eEcOHzX86sskNKYccQsGTzT0nZp5ZR7FW2jcsxCsZUlm2/Lv/LteIE65dljQrKxxaKpb5NKv6Yz6eZZfTaWrmIHWkxV/J+bSlsH9zuk3gryVUK+5ZWPHmMqrDfWBXH1AFKPfZktRu50HuAg5Z+ZDqbclwuFZgLqGspU1v+9nGP+ShMe1o7vYDGRGuiPEGD1ubt2Ygdcss8x5LYYXxY/sA1fkeB21414qhS2dG9eoFCEtkcel+KOmrnAtnRha3Ab8sOAacKsoIbm6k9DPicrKbjrvvQ/z05XaVcY77kIWf7Tc0wLlQ2A4MyFrUQnGynUBsqn1WwYHXPAFurocLA6sZSMeEuN74yTOUM4bQxZkKq7DpijWYXbmin6SjgScJMk62ZYIkBZecC96bGpRSssfVy9aaaq3Y8kcEV8hPbTW5kddOsmypvHaLHZFgtL4tq/fEedSCdUCieoiBTtllwSQXjTR2A/BpwTJtkYYhuTnLHr1xfOF7QsdO3NMxovc9crqalevn5HsFgkdrXVcG5fK097nhly8BTu1hWUqXW68zkQkVev+UXri+Do6kpaeRynioFIXGPdWGhoePF9Wz/4iYNgyxeUek63ekSwcE5X2rzMEIfy2hl0yoNWIQCbJhDH1lAkhUaCjCNpk1Voi8l9MQksyKa7jWE5TtdjItFaMQ1nAUznvaC+C79FgMFw5zSZvop/Wv4lGvQMEXjoagPX5PBICRaVoYzqYsFFqEjPKvgWnk2bbhxRyV3k8zRKY3CbUo8X+WyjraL2IPCVeNEVc2wIO0NSihlXOtOHrpz6219qinY8SVYu3+vlELyI4yB7MnJBQkpJghQD+kmBQoE8NXInluEFJQiUCwNwPRUg7It3C3vZNfW1vhSiIXUW1jS8QyRqRcfl0dIL7w2G0pSCtkmg07HFFDxAfgGanXwyBpWj0JInXx49PctTN5H4PmCQb2ZPnSsOMDk+vPdyr9YC3Yx+fX8tm0KruTkHz2ZEVFYLVbD6luYucWyWx5SRdEL7iIMhESZQ+4tSerumcqOgH/vTerNLjaiFMNQPyDW1/OSpGmiYMEKMCGwI7wslAKauEyiaPoBHcvONveHdMkbtINB+bUmTiVDF5plHeihEZct0lysJ5lj1U8aemgXiC7Ib5CmWATWf66Y6WqooXVIHkVx/dFxKLDu9O1mVx9sD81qOnuF+87D0cp6NpCaSKExdeQGeVfda91WlOXdUd2rh8a9OrkndHetVx+c5lskLyX2+JoxF4NyZXRyPWtli3SOzPtifWIiWgqXxqyvtG8RN8TRkdgrmf46PnSQxzsB3iGmbFFYaVrBddsdkZX5JrunAkxLAXgqK8pVtRMhMVNecZTlF6SK45POmUUiWZa9YfXEtQjtgE+ya4tXD37QDVRVgAA9lUW4ohowTeYgwUPMqRgziX7jeMHJBQLH7Qs8wT3d7TqlXCspTZKpuJr3OkWq519Xo4DtjSVIopUqlYOeqcgL3psNk/vlsbiaNfs6g+1R8qA0F7wg3ZI5WgxfyEllXP0FyERKn9zqxhfamptvl+yFo2koS7MBXfRUWbef0cR2+lklt5MKgn4IiXfcFDArbL8me2UnvOJV2atxQsnYj4tKwsoOaocLv1kGkOpNVlKSWzDrzTSVLlVPreiIJ2dTV+P0kW7piRR/0xnS0EiiDTU7w0WiCYCPnSXaLzpdwAzKBu2du+lb/JhKl8bMuGJmKE4NaBfolGTtF3WtMn7L7FfLWwltiZ8ngGkdhOfanqxsEtD0KiOs00mucTngsLIh5bdJUJGkm7frhDOt5IxJ5f4heaToUFiX1STjuil2y6+QJwoS9OIdkiudKN+WFf8iaKlabjOGxprvdl8ZSc7pZOZje6B4cjiajNKjaif6ljIAF0fceI+rcJpFKI3Mh3mUdKU50hmUylc6TVJpcxlShGQ1CQl5qzyqziLfCfpc6P6W1h1hJFMDvvINxGTF6N7iXGwFNVzmDpwVt61GsUO/CPvBE75yLibBSEQmOkOwdCM7OljajaqVmimIk36BWJ2DpwxPxMQpA1Kw677Q6IJ46XjIzG0aUvWZqTh64IpCuUOfvUJfgVQulcOFHm+080kOSeyLzEaTU7eSZzwr7mjBCf3N+4OdAhAbogcwVpu+O2yPHrQjyVisi/ROmvsPSS0F8codeBP3suRG7ty4LZCJg0Ucp+Z4qsgVW8ZoueEjzdaCOE14yb7vCWChQ5+xEU3ez60OZ/a1OxS4PHTbunAG03e97dZXmpYnPAXwQedOQm9x49Tbv25kOMkcBjLe6O0CuaVLyv5kh/OhRx/V3CR8eM/n8dKLEWy0mgaTNHMc1uB0TcYFHuL05G46E+azFhPbOlfN8ZNaBl4VgzHTmvCG1B+ZvMGiElrkoRKhV4fu2/HuQiX7ocaTsVDwL/txcSvTeS1bWe/xefL3CaqzpSLfurY2dLS6y5U4N0UceiyySCsX0cYXH1baaRq+W4PHBpgt00Yxxrq/WvoCm/bI1fpwFE9+v7/5SkzbeHSslYsdSrdaYG6Ny8fhJFud8D1NoEFCJi7OihsV+jjlj9sY8foQB3GjYdYxQama2Ex1tWdovmAgW5fseeQjyRRyK9XtbkaizpKPldGsMZlvNIkeGVwfebsTmaW4jyscDwp6BHkBtjojQPv49kCfzCzUpx527V7bNDSRqTedKzG+1Q3lk8UAqFSCWsHKjUshlZcYJgbm6pC1fvClJ+Seuqp1mSp9DAPAMktUoFeNr405jcq04LWlrU0qY5vgHXNcjYUorEOpO+kHn+ljdzGlMtOhl7cp4Y2aylRnfLxTxzDJD2JGSlNMmzNNn5l8KTPEKcJmiiHzibMuEoKU6sxnb6zpJxUz4GD5N2hTV09ZeopVHD1sJV9sFFXF4qI0QlObb6DxeKaLrRz2JrjLl3X1VS7H2UIrQvUzLidJdOVWdeO2r3c1gQUn+ckD1Cwc1WdpNXOvnHs2lnyslkuWRtau9bjo+hhn/9mi3K97A8+hG2frg4oDllRKOkNt2MQKVinLLttdIW6OG0MPBLwxsy5zO0BkXePRJ1zQrLMdCsTJz5DIa+sJiqbh8fnvUYIUyoTMENgb7eegHLVI66nAWhMbuSbYhuG9Wpxj6M0AiV9lktSG+9ppnZC5XM+Ux4QCQpCHLRIge0IC1gUlbDcFaBWYrTL+MyFRLE5/xMQPuSqapDyGORWSMv7EpflAE+wZqZelfrhUbDlk4RVtm/Z44akTnu57uf+ZXt2Nx5OMp0Iv8PXMtxRGKHW5yAhD2ipuJwVm0ir7OKrx9c+C45GMZQ7HOTgYOyWKuctu9KoFzY84MmZVXPAeoaDkQTaABVc7dJVKMge3m4/amUHqLz9vNMN29hK/0qg9zlb86JmJiSeL69P01U2AfPt1ufWph1q8sYOIbb0m6kk3+I/lpnyq290KxJixelLTz7Q6lNWHk6Bj/xM8Co3lllGtIwSb8917eSEBNPsIDfJMKUAvk471LUwe8gMWecLB0PtAKwcI2pGVfpMxQpXMu+HTBm87IwTBGCaCLNRzmArImSwMQ+cWxZYq0NRo74G7w4w0kUIYDBIn0i6yhBXS/jSOhRcoV8Twov/dKrjvuovliOJerfs0OM6VB/b5o3xQAa7i6pVrWofFAeARWZGDZ+1O+FCErRJhES9VklCnDgzFQDUsCD+pCVNPBaOkiwseGeWjYtgL85XcpsyZAAwPGwK3W1EpS0kmsJ+RWmq6bD/kHzChM17DhoBh1lpFnf/49cp1X4paV8Nu2GwBB+torbDuTW6JikOdQipU0g9hf0r+D5d5kFxFefOZd2gi3TiLxcZkgQMdlkVFgxS7xcqAz5b5AUd9Tk0VpiO/O9VVUgO1Wfe2s0Hr6kg3RWd3MX0bd5Uvvh2DG/YaZKGU85NBQF4n1HEJYY2+Lubvcb2zZ+Jtj7NK6W+F1HricfQbLLOTPTE/2ERfk9CVcK6QdiyRZ7FZC5GgYIqZsSVkOmOXu4nloecY1KN05tDvrnCdrnM/piVwA8yGKUx3TxeP+NXsgcS1CZF2aYMuBb/atlyXJ124NQGVG0AJ15DPSr97uWmbz0tqTQhVONQtruDpErfdxZK12Nvoteiqd8yYqbkZhxQMrY9v95KMS9LP0MluabuqUGJ5cLxYMHFacwCu2p8wBQYs65DGlrLoYkm+NSeCDVXyaEG4s9C282ku99Nj2UqQW9zApMzrGne4ziWJobRv3ryePQAFqibMDgNtkJeNpEA1f0WHSn+WjrSHmdI7uc048O/U98sz4IWzdobSmPtr4VQnD3zf1VgutTRYLeTiex1DgLDvDpVOsmfIFgSWjdZ1dvfb3GNL7CAV5dcSH2s1SO0y45pr1oUcglyTDiQcoSQ1/fXRlLX1nfL82l9e//Na3zillutDfgV+eG+udDRDnbyWiEe1kusoR44ZsPqdCNkNyuI0N1x4dxNq2BMvt1MKoxMOtN35PFL2x1BNMiuKusbwupAFaq15TrmoaVWf8+0dbypAM0e4YNuWll9sgBOhlg1TIzm4Yc6ZgYJmNmO/8TPFctbtUW6DegiK3kPIScF9zCQNlW/uTZH/FkudsvH7Hm/dusQtp8Ke9rZanst0UPjcUldaJbaq3PAWruyiLgTx5lprJXtJL3Ir26ea56zJ8tbvjuc5Np3yPZ+Jm0zNZp0hnBiGHeotxMVMIaCv4M7ZpZFGqvIy0CXPwPkkKEDYUM11HJvNDQFw9FV5f9SwpK09f6wFiV6w9crHgNKqExPMdAlam4ObxfTJhAZbn0QPfMKlKu2DiY2X/EJyohaUJqAjkDVC3eSFFfTatgTYY9PaJY8d8xceaUSxA39Hu5f8YufcCCPD7iKbXmqoBZkOSyCOLKMXHOw5PxRX2FlZr/TMdOpftdXncH97hYd8Yz2dN8PqFP6/KilK3kJ/4zN2DSxiINX0r2to2ZqqUXFm1Kb0SGx79v+kFuFNjHHHsK/TlrFCN3nXR172pR+DrOq5D2xQ2PBkwMK+qR70rLvvzpgFC/Y5yR8UxcpLxXeokk3Xc+1MC1XwraNtThG/x4fOAHwxYtVbydbb+03GTz+g8Z77HsxBKabDyEA1nx0pY4+sCj+D76ZDKYOjcDRUOxdR9cY+/abzaEjYj5A6oDcvjh5dIQnLwCRPiCoNnOWmUb2v1ymjoSFZBLdtPWd0HSa+Om6tPZbyBWcyUM7yeDHdn32jESZj0D4/uwnjkpAtKn9qIS86849LGY+HoPTZyZStfLcPLenrrPt8D6bCT3RtuZHkxVXVt+0+qeVu4VuVGwu8c67ZyrCZ7I9zjS0qytIBPIDIhcpgx/DZZhiQx+lv3LdpleJpN1ic5XUpV23x0gUqOGYpwT9Adi2GyfoCQVVLPc7pu53b1RN7ELUmW5pCYkC1ZJjcyXqBSaA2B2fgj9I06L05cGVy2kvC13JPCz0mVOAtTmU4Fud+L2ZG+M4u7fUMSP10XbOhs0CHFMXp3tL0aiM1kWHWHwoKwREGfgZ+ye9IF4QDS6/ypeQT9g2BlDXV8wlWadkbtHRyy9Bd8T/osGlVgatq0eakZWL2x/u3XGTojhnLWAAZmDPh/KSXyk31ULWEBiNJwb1S8YZGH6Fv045KOACUM9VFpc8XIpHOW5KTp+GDhRmZDlNb2CpOOKRReMgPy51KvwydtjzA57et6Q9p60KlEkUZb7Rozy2UW76NAkl5jCtEhqZPHgEFlafu0I3uoi1DJ2tEOIVLNgF7RTc/LO1Y36Ock7oZ/GxU+iXoMxrAMn+7TRM2fGlasK45WJ5FR9LMLKPlwYShacsBlHAyAjTy5hrbnPtgGFayMDn/eWMpdNRyqCmv5j+yvyf+l4deyTZutO8GebgDfnGHakLjOE29OvABrp1HjW0IU4b/afB2YvMm13I29RoNHR4lPnkJy8Fjh1ZwMpZ+yJ37Zibsl2A9NhOxTPwL4MAMtLLFJNixfkv/chNmjRY1Wuez5P9l820L/uyPf3F/wvsaa30W3IkOR6Kn5qVtmJIWpXRef0NNHS8Ld7ZXG29tfkls8kre/sfNLkLM/cdxh+VTQ4WiGai/RBmp/ilyro8reWo9taLh5OwZfm9vukpD5XneNNeG3K+Qn8al3lhJwNoKm+2MWbdHI17U7CaPuz9EfK/wEK4+2ByoZCqmR63pR+QcD1SqRs8Oo9MO4XwxrTAYr9IWj9ty/yjs/v7K05Pg3jo24IGG1tyhuG1wPe7N14RT5QhLSvxXdRMXbPpXlbofrHr1SpPx1VBtzE/uZqd4NNpGjHfTtm6/2OnkHeLN87UUcvG0cH85R6/fA4RtD517tfri5VdE1bTbiPdevMLEJ89eYTLepUWCV7HwuseatRdtM0Fu9Okg9cTo3KtiG2D3fcz5M5ljTRPEB23NDpj/zx+qNWp4e0z8QLmlKjjYpFH8t8gFxq9aL6scipbDvF9UFcdYq3Uj/nmaxP5O7N/CzdAEWkFu5Wp3Ub2N7ofeMHBV/iLxdSN764cc8Ts7yjwgYTjQYnnlXsrz3uRS+9BU4beGImLxu7vsHtRm/7xxO/7ng3IX/uKJHZBKJW3nWLwndmhufZOCu5a6UsZTIrWsmP7UeXxb5J9lX+pYe9bsJSP/jJxhCr86CUJUnSZ/PX2+iSR0DBYO26UPytv9TDBoa6zjiIcNhO5yfX/NehTmJ0KzUwPF2q2Qtlp5+tApGwe9bjTv17QoId9SBFpU/jfJO84E76gYW5rSy+Etahp1SL/xFRH7szokehWfnMXCvrMWinfwmzPp122alUqhoIqR+CNBHVTkJqKL3Y5b6xukaEPS0wa1SFlOQK9JBFdregf+7WBgo5AZnuCqI0m4DEpOYSjMKjkbsHoDdFLG7zIEIEZlhju/uFmzqCWi/49D5TNFj+9D91yNpHXgroUDsXIWV/3LbXKdenE0B1jmqglEW00s2zw8xBJS6nna11MPzxlxxGgK/njmOdqhiKLr05tYQXu17UYo1zjCCl7lGaWXPcZOycFpPNoCSqEGA4x+BhUK1sqW2Xd8yBGW9UUW2UwUmGMdrxco97ZVrcHVA9Pu/DFXgDJOFmPkhqblpOMEG3Hb0CVYyQ8ruETkPamHeDrtf+4kDvVAUu5L7avBjq1ycnm0LlkkP5qEdrpSWxIPqI2Ho24S8ipOubUufh658p5cejQP8O4EOa/wHkbCVCy99k1dhNUntTwfcSRn+Ec/7oZfrBVNfmViyKG8PIDA1vHayrL6kAbaqQOA1T3SlpUropI+521zT7WTvlCPK5HA2+QhcmjqcwVzSoGGjJnDBN/KHTrRQRNfsUG00nNCvsfT2hWpqfvHOTPXsB1n2Gb51fz9z/58KxjOgc00InLUOz1ErkYbY50D5E7/72ZgH/qzUXAmz/pApovlBl5rhKJPQ4TUixb5+CSxPQagYLV2qvs8fQHuuUhflGvThOhTEmcpGDPuPLfpg/PRyJFDs9/CYJj0mPR9byHwtw1cWu1err6BNw/DdRyIIov9+dckgvRLo89sfpwdnEajcSuaZA65WhyZsTHjG1vS2JK7zRy6Oqdxeg5oDWtB5seIf5Cb+wa5klOis9c25NnpydoJPUTq8lEH4BhkduPaLdIBdRLzA9TkYaZ0pJxLoKzfDZPIpKQiOkpoxt/Tktld/0CM6GZiEYcnxAr1KIBMu91VHJmBNkvRV32HAefAp5usYzXG5k1SLzFz1Eu0e841JDO5ftOaC8YXqezOSVrFmMt2REkw0W6bLaO72/WZztnwv8i4bPnMj3HPEnhIWORfTalqgM01wuJuw0epwKRuPqa3AzAp3E/aWizb2P3DL2TfSXGwpOUh27hnckmU2R03yD04ZVa6pUfXjPzCPsIGx3LB/1D725A/+CP9dyW/nrkidcTnex4ysgmUV8XMzqb9pSPh4K+Z5Jbk63zxR7ERYpPoyIjI3VRHTcCymYlHx/zL4KpTdgT++fANcJ+pBdJtwmb4AblJFlOogO9yRXub/+aOKQvmhxWHeYkUcIzTnp0ss6LaZb4ojpJFHiX95p3ERCm/F5F612KWEjQYobognLi8cLIEHCb6ManKbu0b+jjL3pbbNo63FzHkx8s0hSKAyrJImOYj5aNP+ZudqIPiwnjZ5oNoygM1frET6P8pNWpoVhOJ5Tjh+7FOX0oFewS+otM10MJbjyZWS1ze9C8LtYB78sg43HiGb2Zt+SdY94pJcParb1FKShwkt7zFVKBR/UzXmKPU+qX6rQ3U/7VmDKaZ+U6ocWHjArm5MuAEfXRf6ErG6mXjgtpThI8WFtSHRZ+uRigsjF2l+OUYmhnwn1Qns/H8lPs3Q0hTbzsYNjurQzRBkTm5qY8Hh3FqrN4v2t5ajpYmu02U2Rf2CCYicmaejpDBsrfba2KtAE/ubJy88k/87z3EaCLtnirmgGOAtbw7myz1RJA0pv4sTuYRCovFIoWmVEv0UxrLpmwBxYav94iJUf/GcCk5yitMJy+hl3ihUY+pH7dCZMBe2FkQPfswAEKWLD4b5ZLAXmyTD1QwLVHrDn058t539Tt/6hvdt0bevcJdu2tbNQmc60670W/bwTpLzYwHKUbWhImHcrNo64n2PFZThXnrPOend4nUbNbcklAQ9HBDuSYbF66J282A1DbQCKW/BJAdE3xgZ9GJw9HfuQWMZgCJmbu6C7So2HZFwPRUY8JZGe80kXoB9bJV0JF/x6Lro8vI68qPcZbF2Woh0EryDshLw4WAk8qiy8Qmze2BAmxlo1HIXWa3z8Jr1uvU6PgLdpAHmK4KJKXnXBxyjGZ6vAE1CBry6iQ16+9SejML66vaq1sZw51E95qSRcePAh0YC/llLUBd4vqgRfCWGpMdRpnIHCw/MyrgeXMiPfz5XbTDnssfIjyvhQH/VWAEwq4sbef+89Q8KD7Fe6fETOagIIMivXNoRcTogR+WsQ384yRmlwL0ymsiUhxGN4vqONBtkt6GTdeoVcZpc2C96PO6ftN266XGlIUlgs/zO+XCEi3/GlEwWksSmAaNpCXa7Wlazxc+lP0tjHD1FIQ9MuyIQwnlWreZUFkZYzWCU+ovV032GyMvhyItoRpJoEkxLOLV1lwqiG5tlS2DTdMS9rSnMbwPO8+/5pdPpTP+9Z5J8MmW+SHv7cibaV2PFoCw7wm25w47mlKyTsemKKkOxQa948yxZSNMKoXORAZVPZ6CybxNn75qCtI5c4B8aYhJod1f7nAaKWrxaC2S28LGHkv+CCRa0HEiLVdXA3FRGR5ABMQGInIx/G8J8IxBp1kCEY7+PJoDEClqjkas3HOqL1B9+UUMtSOu7A508sKbqiwZawAtYej2V58FvS77MU6lMMx/JXQpcYDCcCexOK0doW2tM9/gvtIE2s0KxP0jzgiyVLoo/IA9ElzlVVvxA0euwWA4XrvJBuxDoSAIBL5pOGP3SYkr4g1epny7Ydu4TOpmQc46iH32fwmfvB2sOCGAVa1L/IP8g9zcb/g12SfUfUZAITk+IQDDIGjVeTqemu3Z6LOlhkypYqLbDMLiry0iU/jNDDPQQpd+E7u/01+cZjaVODY5kBmfRlepKELPqBmmzaD/+2v6sz3x8IxVgDwClEVAVv8b00Db6YbGECFlSncUpE5ef1rCYiyPsC0ywtCTjz+kNJACNOSuuN78vpgTirXWsae0oqfMWVuXwFMA7TDZI1jMQgaKXaFFeIp4iu/m79/EkrtFSnTAEQdSdjDpJ/Pp3pOLmQMkdzimdwM/4VrAUQ/nPkQssq+cJHTpvH3hLnSnjgj+iTerTbaV68Ixb0xCpqZ1dLA2qFAUVnyTeOXANc+EZypHiLI4aZqz6Do0vFGH/9v4JaBC390xsri0d4X7FhNI9o2SfEhStvgwowYcnjieIQEYVnB0E2Qqv+iREkHhTRGNE0kF084j0gBSljX8g4O/yzh/XxeIyUl5yearJY92GX8BL/KSgXUL6OfJPrB8VGrqiB+7gvjECkUmuh3a38d8jBz9M2GBitR9Zqrp1BLV0lCgESQx1H3b41g8fMY8rUfUAJFAe+1TwTN5ye1IUFe57CMpWM5kbI1udGZiiWihd3Kgo/mQxAO8L+p/uWsPIlwdkhHIZPHi8QGif8oCLRHvMLknnEuXr6+seFp2vcU1A+uKw5XQQX8PL7PLq3UDTFsJdXjyolDyylH8639sKC9bKKi0YMRfyYwC7vz/C8NyL4WTG49bZqTkk70kKt5nnQdQ6gIVpRINQpo3kThJfF91FiXN/8teAN9d+XsPgYG8sGYwCyPz/lJfQ1Gy51cP7JJh7cVnOKHuvvB3x7f55ZZvKRD91SmcnJYqhlticekcMsYd3lb3mXOqs5dXmGbnGx6tMP/1tCmwatOJVLwoMYVuodmM/CmDfmVfYGIyn97DVVmBnZNnQSz5iNk+V40YovLEXc7gvDmcJKQJw/J3iSHODZqkMvkUMogsmr7ZZ387cF9Hk5ipET1EY91wPLsWPtgTId4fQVeSoxokP8b07kimSlFHosd8zlOe4gqVAD4/jwnZLjl2gashu1gzE7LFqQot2zEzaZQbitYEO9Gw3uXYTLi06oPaaPMMEtRDkIw0d3JdYZKl0b9oUQMJSu7F9eMdB5L0HMLeseR3QheL/+hDni+tqnCK5cHh/OimDDUDlDnHH5qfIVZRTC5ZkaXnr5BoblttaLr65ypkfOdGmUQFDoQXmft4eJn/yaqO+J99lLwbxFx2v0wqA0rxM2iRsg89P5DskVBcJd/pHcih9eN4QY7dRUcnRNaoaS6oVRyZbORRl5ip4532kvkle+QM954UUnipNbRF/Ri/kZswa3yT1GjTKOKiZ/ZxvdIbRE/gNz7xOksaHSgtu7ek7WjtAoeVHfO4nR+zUwTwiETLGRVUffrXnfJR+go+Qyh1W/4MpiN1G7nJgUo2p2CihfAHs6Iw5OmAwRzXJOzmjuKDUMfzeHUgSNOYUDRXj9nVkrEUc1JQGGSxj5QgdlYkEsea8svngcVRfW0oo+XPklKEZcHh/FygW314rIGivrEir01D6vspaMnZB0wMNqfR9VoH384W7ipF/ygW5T5709Dv/HJneABO5o08PZGeV1C8+10k/hJetMFz+5QRcix2fD6ZKgW6OX3hEZvSlr64CuRrC/38rlyBPP3fHaCEq9sHtAUANkua9cJciGV1a29xjIBeeCwWwfZE/GKBUBPIR0nwzbsedME4aCvskKMk8tHemMEIsDkyb3ftMyQWYscB6/iuCuli28cO9DfgNx6161+1phcHxMuDlg/ldCROGbIFIUeM8YU2N17EpVNrqSwIyLdK6radjq3MeFpBIeezbu1iyMdy/LWh2Mc7efxn1hgoCiT+k6PmHnjricc3O6VBkenS6XKg5NZ/Dyjm2KlJ3CaU6kiZ0Z3yghxH4VKqOMPpW4ln7/ibuYyOsFzlCnRP3pDVjiaqhp2SXafSCagYDcc031flZPBklLaro+Ym3IbvaaY36btzMYYQcCg7QgzqAGnu1NlZmL7MnR8uZ2xuBezh0sZU9bNcFNqHpk9J6eTHAJVBM5Sv6WmsLhfkxfyDGC8ogZxFLIntCu4yZosVdpWruDgKacXoACO5+zKZ85helTVvUIPKVXt5QHydpFUIEUPkJWWqzkzlhcbnhRzu70tTedU74oH3pLdqce52DHQMZYGkRXcF+iDk1Mh4FBvzANvvD+3HbhBIxn5NqCvLOxDb/N1S5LMSsrJQALQ1Ixr0et7u3nqHPNfWBpYTESbfKxaIt7UCALx57Vv82ETAJ8KYwx6NXjSLD4FsJh2BIHy+o3FK050JtFlx3oOVsTmeBkW3xJIqXC1+ZKc/BouHucogL8D+T647MZe6oNb9bfkKCBl1JfI50Iv2iCi1QcK28ZVsfp0qZORblQZDzD1vH9RzPMkWvck9s7wAqEwKGgHRMkZMtygBhWC1xHoFPhY9iABFHFxMFUMWYT2S6RssbjQUNEu3dIR4zYitfQbr3EzkzZVZAnJPrvfp7YevWefH6uDTmcWPTonkVR/ys3ypfSHIKH5C7OLbs179QLLVqIuBJRh/ug0fVMGZSr0rcAyultmthBjJn3SZVbghKo9zwrxvcMD+HwLH37BLmaxOUi5fVwtlYsFDu2y5B1xsT/LIjF9Fa1Uq1dVCgsDcLac4CfZgDuyUXJzBShCx4GY9TpO7+2K/o5FP5BaCftZLhCQU9DEgDQb6fE8Jn+PUoLF4JfXfXYzMYpDkbqeSBge4N7//1kpVmeeFcLPDum8KRG656nwEmB5By2G3dD9JHlCYHnAFZX9xwWMpWSx2FnLBBLNxjXDdT5lK9WGaGOHin2Vd9myQLODNGJgNp+RPxoCdEp/qXc9Yolg+XRak9vuEpS9tuKuzYz7/2Urefh5o9mrkEy21Viw8q4fRLPUmWz7ajqNSGS11yAvcSyBs0wIvyjYYPhZY4b4W0Rr+zHUGN+82ZOdCifhM21ZjaOuFcLNBlF5JOC0qV+Yy73fhnWG0w/sy42P48Z27AeUcvXEAkVrq7lvK2OuBQa06aM5cYDrhlqb7hFxa+uigTd+0K1zJhEEVQviteuCdceSEWBo0ZnZsX3fK/IkFZnxeleKBm6vsUD9yN3v4fYBsaquYGPFitgtCDvLZbhz+Z/L1+tHdTSrijxF0WgAI6Jp9U+8suW6bg2ZmaHlm06/Q6ZGCfOHRnWgR8/EBkn0IqDg6p0TrQp6Ogx42cNxjnnrBPMFUXO4AA1+IOyeyQx6YqPqSvj+GPEe3j8RH89qn1WgQl7bAkWAzUIvdaGzcQeJMZpjWbeaC4i1DT1o59awC0Yun2OTu0WUW7SGxdOjpUNv43DtI7RBB5/sTa63GRCcyY0r55P4RIfAabufZuWjc4OquvuXtc0DUaqbLvGO1SWb53fYmYdFEPihGasrk2ECOjQAgb5fa4nYZY2DGeljEObUA2qaAqsFtduload6QZE+cw5ykxNi+mp2XDwLEpSKwwryBeXBailmoPYxmgTCt4egW9K8jXFTfLopcQAwX5yGrj+CDCs9FJorE5zmntXMnaPftOBpl5mQ3gMqrrwM4nIkX+O4ogo+eUXIxXovsjOtownYxXCa8zSbPZNUrOfjunXVAKYuEka+063bmlMhVCQekuS22KOCEOeBUqOkihcdZshjGL2uyFoYHfg0vS0irOrtiu511IqQZ4ojRGI0ys5twFncocZrNFXyqswPg6iVThtQhT1c5wSz/BoJX3RuQLaTQqgVkBDRm6V7bjBgS40fKydopUW0VmYX3SV22sStIhkskFsJpdyAOMX41FpMFQBdVq5yTcO5+nggl5GHtvNJEw2lAE4KdVOgJWDs9r3K6oXhK8V+iRgJCyV/sR0UdnCKYbIt89sW6PzBuBlsNcwzM7GgVqHbHbO6IEMeuxYVMwDVUrEH2wyPZqPfYeDeMsPI34UcvzgzLNG4m/PjmR+eSDXaO84uM0doRg/Fq1ULrY2rNQeEtZRu55N17IuRlw4D4YhuAGL6J/TihQ6q7n55e9IrjxczAqTiyPY+TjGsDxn2A6Lrb906XM/aNMIoFg7KfYJRy3PhykMBVQD1EM4ZjydDSKiNj4pRoNpZFD4hAYdYQNeTcNFjsqRaXt3WaB+03ip2BDM8VzqQ0zs6xiYKQCjH4zDNhV4Sl5mJB1YI3IE2kue1WCNAkY6uJUXN5dGPTyusRc1JUJcLrE5mJnr4IW3FRbMr3csuX5QcgF0VyXbFKCX94BD65/v4SgC6M83SJ38EFA7LyVEF3s3xnQ+jj2WhtzPPHscj4UtdFxXe/eMLczlEJbvOtcamX/FMBky/HgTTYWm5TCT/2ZkELBZTGmy+Y2cHHszkJiG7u08uAeDvaZpezVn3C+Z4ANAO+5QSE5DSUGosWdFnUhNgsT2aPGIc8X+XgOfNU7rs6giOqj2Qide7jCnYl/o+84mGfBVV1LGRNpKKiUrv1TXh+FkNWC4dvPicUFDdS7E+gN6MpZF+w/PJQyYGiPYB/4tNq01+cMYFqO+CqIIK0zDF9XhV5Ouilg82IY8WHwqwyd9fQ52kJn75rghDH1H0aQCs6oCEdRh/brryXEZ3aPJ+qiB26HE9RqMYT+HMwUJrgnHaszmKSlQqHBal3Wch3DNuNA/FuwHG4mOvhXZ1GPxX9Nt8GvOmTN/JyqYBEU8NpLfkWEeBNYTbDyhRtR92BFlDcdZQrUiA90LAGsiiRZxOlO4wIeMnP0H7j8zFo8L7mvgSQrv1i1BjJHdsQkD+lVP7A4rbLXSpPF5106A30MReL+fm/U3vi+p4xCI1bVRN2Mn7k+5E7mKvhI2Mr8N7FCykCAtZ9MjGPc/PyRyO+Oyv8KwO+u9owsJvFNRRwRBFCre+YAh09MZ2PnkasGRjKnlP5XvqZHhG1fn4uz20NA2Xv0JnlXFRqgBZLrcgeREXdZtN8NVIRgt9c4tggEFpla8cCo2wEOzOdNQoClb7FmWEoOebIyqQMn3kztJ0y1DHOmy975AY2JsaQvFcY/sgnBjDfMGT6/V1WST5DkCdx1qjWVA78XUBrECLmVTYizut93q533WlAT96JLk1t48qOpZN38vEx+dSCn2l43w5sJRu+Oye1pcKFcSmV/zocfGG08vqkxcFYKCVJC/Dj5uqPT4kP9VFG7Q7hM1q+YtE+HONsvwTkneAckj2EWVnAGTN9gXRk9J6Q0HlLA3nQjO4Sy1/4Fdzj4M0IeGVA8TUtnKevzCLnHqfYGMjCFRTai/lR0DAo7aK+n8043s/zD9Lk1eFNyrh06lK73Z6wM7gtUkAT+b66KMjsDc57AgbsXViREqFlfgSnrPsgps7zHKmkJXCAAgEPr5xHvIGIf5qjqZxqaRmD+G/+jZO5L6lUZP8+2wDmuPJFfN5F3LMCTnm/hHe3VDstS+2RPKUx7tHdaXmAeJSQRRoiJb6iKLfH6vZhQJLh/GUSvH6uLFPn0BEVu6t0CsMUbOBwZfc9niUwVtMk4dMKAwaex4FAdFU5JGUx903TmghDvcNpEgpoIbJL6J7ZgLGQ9htyhKhCchdhCLTcL5NzHOWTF5BgWLPqUPGJLSs3gkcjcJb85Iw5y39W7kB1BSY3gC506UT5nGKriVAn56Uzh6CSUyG0NbenDprrSodQQYmOf3Sya/PcrlPzQk+IN4nRz5cGVDPkxfsIQdILZL4F7wDKrtHEeyEfDUX7/ErMHovcfsl5a+Nt+HsbnuUfw4GBrWE4FfMhLhOs0RQqwJosm+G2qbMkjpQBwYoRO5cePgAIwERX4TeATWGe1ZZ/aWO8RRL75bSK6bdxfJQDJD6SreUB0Y6YjikCKqEW8Sk8G2GjBVLRzhXKEYec5yUhYjKgbC/JjEb31b82afnQb/LarO3jNK/rVLBj054y03D9Qrjmii8FxHSpf5AD2SLKzFbBZ14gaecdtIUTUTiQgOk4mFIKkfJPmrNfWtzmfST5a/nixGWaI7eVyHMdGYvPyAIKshnR0El4PKTEv6820h249M7pcJRbtXzNiFW8KLht5sgc0eJvSvfDC4VMAfOfaPjEnv+2LHRZ8EqNgdB0y4eaUyltHLDSztkRUm+WTEqEdaXpOxzc71K8y+qn8oAo+OHpC2RT8eQh+u4gHgydNKnXWCsylumPd0vI95z3hMB7N5fahQwKiiJ13WEzZ8Sidj3F24nWKbabrssZSAxQ7WjRvXRfsaNHCA2lAYhUw/PcqzDj9r4d8H3RC7WctcDtV+RoSMKWDihTtRojC2yPjjeSh5NVISQq5qZ8MrwznrCuuFKaEt9PdCjnN2eWWKmyPMTSAxOpbTft6L7Kp0tLSThjD6/062yOp19/nvpbnyZk/R4PvLY4xLSieCPcH0H3FdT9kBm/MDFya2cmknTkyyOAjfjjA0qz8cHvLJX9fY4rcLq0SGs7WMQqWMl34mWEdCPs8DImHiqj4kzgiZ0Hy6hcNghfa2wBv+OQaZ3dNpK3A0AQ/FL8JYZqrkFn649hVNogB80WCqRSVoJJS51IsaO8XeZ37w4NzuDYWYEldmpTFSKrT1dn8VSscNEppHJ8B2Z7Czh8eo02HKZA3I62borvU471Wul5Kjw+nf5Eordh1pRK0o2XFWr4Ku+FBQolpK4DC8DnhIRr0y701A2m8/uUcWq/CrR3TuKNHiSsvG1YIzAYVv7kU3AxuQYHSRnzfv8aFEOeRh7zLXxKmsokCSnDH4k6np55+Kq8p1NG4GLHEofztfKC+nMluHtE/c7b0y/aZ7+Gj+VUfLwLbTLLMmM9mjI+yKt340jrq/nHUFXIr+Vj+F+Iy90VB4pCCVWPrzDhR+UxUCzcbB/6BZlzX0whkz6o20s/B7Q2PqGZ2nQ6Lb5ncqChgpn3zPwKV5qYklYBfK8t55oyDYExswQKj1mCjVicj1IttHwrZ2Un29Rn3bLxu30GpZ69Vok5pHajyxqrnH1GVxF6X3H859GBbE12nZByHE4Tn7UrEk+io0KjO6fTjOqkF/865RZqdGokmuyaFtVI9We1WnZ5Q18dK9btP45QAllUvTrWkIJDDJC3IloyYgX7l22uN+eB063oZ7RS4W1SUDxyq8tR2nQcxHTSsBSY3Ta4aPCZMlhaQxY5EWXRas/mc89xHoMUcJ327OESJoOnv63UlZCQIobIL0VPSaOMJ/YCdmIO8jFwMTOsjIbgDaW2c2oO/nPPzmUSPOUqKUne3tEiQMpbe6qEp57eMGQTgfrxlY7m4uXVMyXJvZkXQQOfyDPpOuWAxIx3AySQ7fNZV6J1/4rGIAMSFMnTHghwD5tAQvOkc5AHt4VczuFWsA+6a95D9HZnLifI40Apbo5Mlz0x73kzJthhx4J1wZjzFi7lRjF4r+VDm9MYHxb1COW082JuraYhxpJxRGl25uPpMbYbYVbrWQvPqWBmYbmFnD53MBK7tWjzZpq+7ZSRtSSG3ylLn2qCjwbVH+FjqZckvCUrP4UHg1dSMCvP7uxYv1jMpeDnlAX30MOsPkxjQ4b3dtMp25pJXSNMcGJXy+RDGJdqg+xHRB7jZvJJ5MC0I0D8WYMSK6KTuC6k4wuEfVwyklG4DFP563OQWXd8yea57O+h85p4G96geC1iKU2QECNiNdj9CW+82aiKP3ViS0Qh+KR4odqct3Zyolfb0NjwCe3HxunXrSPfLYeIkbn/yT0EFhan181sH0T8vZL63+bDNxEz2t6PsTLCC4pn2cewSztlh3egJQQdOzJyhOyRPwXB+HvWqu4+DYOavJbz8LMXoQG8mrUperIfpRaHfsHsYdljJq/bEiKdG1sWUJwS0ZYEnAnk3S4J4cU0iiyzE4UXSorX7dqoSs0xd4267Zp9ENuuwv0DWUKsWRkeTTof64K4rNtpUqEqpkoQ2iA5dlXvyW613jJeIWkuzvL7MrK3pk1bzqfbyZ1y1xXfKG1NKwAfd1Qd23HNMSQ1nmwJo33W1MirS2cmc5wy91dYIoTpTrJsq/w2/OYNLwo8FR47laJFs6gWXV4FpZsVZfoL5wVu9cSvs45sVmL0fYs1T7003WkO2mx5spnnVx2X2aZO6XhElWsLsuqcCW0xho//OQFd5V+pz/thRXDTWReUPY+yEfJS9EdKuXfMOkouEDcAmS6cp4Q+6s9KFxWbcz0IaVtb1TQGLOQN2LEwNU/lcscLWfDmL1/0VXfwDSxrbSavehVMFquZwF7jURWtK9bKWFmS2I15u1LNf9WsE2MrajUbxsD1uyblmIrJqqFjjCyKj+13206ft9xKFMKiaf1d6keBbk2Eq9jukapO1IanvB5tbzAVW2NKS+HkSrlo6GRF+fKo7ZWBS5e8e2SIYHZoApkyFfGxzFCRASDTeTQWgIJoXGfGOM+lXzC3lu3cns91psJM/dUoQwEpCLEV4bVAYZWZlSGinHs7pllxgWmqA4jiSOZOW9JGjaw/tCinDDDoSXqycCl372jDxL74bFt+eQvGjUz05LQCsachPSQJcQdbUBRigu2t3C9NrPZ4Q/7jPputZzpu7rbwxxjHkKT3l9JDzv3U3sMfOOUTFJbJIRmPQOcp6cxyRfjbRpefFkof4PhgINl88hQMZG3ubk/OBF8pdf1gIdUIMuzc6btywtbtP8+dWz3CmccQdn4iv8WOy6zWluPMLUKCa+DFU6qBEk1cE7S5Fcj+0l/4TW0xxQkN6QkrsVX9tjSQc4+YBhytoSg9ZSSf5A7TjOG048f1Xx46eSAye1EtQPujDinXLuiRgDoliReXkwaa8Y48y1wqJQ6mp1FqfVeKvJas2f2smyutxF3gWHG0fSYOM+f+VnsdKUkl5KbsIPryMiMgxTpW4LnXD4tfU5yN/0X2q0DLHJhBc57lOezcaU6cnr+sw6V41M8NOag3vQLrCYYWu9fUQPEOhCaJzFd0YkJJIM89esSMpF9y6CnBt9Wi1QZY556PpfFO/e334jULX8V5i0eiH1ikqtJiGs5foNOB+/VvWLulj0G681sbuzqgJeyS6t7Wp52dorbYsGczfQmls5B7wCZAEmCKR/AbXQBnIgEZlH+I7kR1MJu6OqAsGJ8LSX8wLb0JtmUxoOgMPsOHMDmhppkxvwC9keDOlIcCzTTTHzyhJ2Q8d/udS9SDZxHw4QTOw56rtpwBv4Mrc6ZpnpXL5Uy0Lp1PCn/Onv9mqq1/28bdcwlm1CXcfn3S4vWE2lGuUHXtkQ2TeWeLgEmW+RG3GFNYasxDIFgOoqyvKt4oxfPZmGLdNidvFgQW/bJNHqT/YYLcGwS0ID1F8NtxhNzONCidwkQ684AsRrNUu3znMCxbpJ4SmR1MFH7xhCmUcZpdOte4eQiBFcv/KuWZ08RNBJn7Kqj0aGp1NMYTQ1wZcRYrIzCl6qLkhgbRRSRQdoqRgEcjCwoKa/DgT78jGD1zAKXWGDklsvlvEbHdluwhuw8KdHYlu+BW00OLRkWI6jU4rByNjOo4nhrDKcLHfbA8qjI6orlGNjyARIYjVncxypMKIOhyJ5kkVINb5cLAI2KImCmBgRJIJ+8oZ6T1/DHViGeiX6CmDYkUnHNxzr6cBi3zTYpzmSozthjG1Etp4kKS31464nckbk1uTAChCnGvfZoPrT5DSh7YtIXrpTEXQQARTr0JbYqx52ZqQgwyly8ZqoaRAZIhxGFy1Ja2TBCe+IB0ZqrkB2qEa0w7ZApHn3+Z4rnt9StvW/YsDnmuJ4Qit82LQ/Pm1WkQJ3dx8rl34eTeWbQ8C8HLZ+CGaOZi1Fy7MOWOMVr61hF5x7CR8tRNvlLxUxyJLE+VexR5MtkdHPReCfOt/N3bT4UII7EiLjVGmJvSVTw98hKlMlT1V7RkG80EQWPm+k4BxPCZ25KhTDIchRQuo7IG4pFaA4ZyAb/GdZ8nTfYsyegxiQqFbhFqFjnPMcnY5nuYTaCcfX7TGrkJnuaEbVLkR3GyhgrucO/M18ZXulpVdWcsIORBKdrmlea/OcXhJr/6AA44ZcPtGRJ+Z+6ZQFwEhYifxG8kmYJIdc92IlkJ59E8DaBQBrqwO8FXBqu2STOmgtni/sjLmb5vS6C7QgfcrYT9zmLWhXUaZe3swiInXGBxqJ8nHv9cuVQv7trsEdVS67jEqUxOHwVIXHX7zUoQrdLAYVUP+zWPtatsH5Wut17cHU2L9B+nCNYO6oU4lYzJVgU3FEqG2CCnFN5BDP5il2GhqBtZpK7J8+xS9QJNL9GpDFJlVyZu/mY4NB8ZHhl+gCdrkYnNw52KdYtP1XLXAmLv5819yoh+P3ZXa9yx79UbNSJxNg3+TvbRmxaQmHyroHEWnkKaUWeoRSfM4FxCb4BsdlPWEZQ7rUvB6HRiwKPZ/XbqbF4gKxnGUvCFgvkHwWmnyx5HSUSpxC7OAdng/8HgeNJJ7WR0ISfNnAygWbdGosDBRL8GIoLzF9Z2lt+uXfFRdG5uAl1C/lfUPMOAhsBcKJjuxeO/Gt+qkxgfkeGE+3b1WKfpjOVUKSJ5ZFJXx4C7ja4MZIJ4Ed+tULcjKzOHIBAIE3rTJfZwfB9gqbvTdJ3cBnbnm6127Qpza4TjhAvmbZWK9AOeUAOXfJp0LrLktOUnRAuFftIHkDhGPWh58sf0PYui1pmRduamHGMvWN+ogDQdBoq4yy7zRJbulTx5UNAIsiGvgM7IWqsXdwXBPGciqeAm5CkKV5Aj73+q7pC9qXvhMHZ3d1quFhXDhhMGLSZEcezhiFJvoTYoKlaXlN7bQkNp8GAQ3Ik56pPG2hlflEKSbp7sg1Zf6lDflyK+r67WnXfhQUGlJxC0J5hdUjedsLgFMgLRAn8FXkzv1Ehc0nDwzo7F5NI8cYmTAhwHXFT4lsWpXOu20E3j6rumetiqWcvBNwI/vF0FGjx0yT1p4OLZjNTShiaDG3QXC1YlMpJU8iyLvOCmsYFx4kUQoXQi4zyAWWr/WKyj6qotIjQ4yBtbD1kEnNLqlLNxbmaIoCK/LcHTp8qO5wBPHxhCoCAZRtPQBk0JOdPYsjAcHh/hH0rCkyoPoutaqVtOsjsNtibmy4m6mkpB/kkxdrw+ZLbPTngwuycMECcTmfK7w2hzjY8zHfLRZ9Fzk9l82rJTDpN4IPbOdfsLkFKxTpdj5syXQwc4ow1HW9Hoi8r1WyE6ldc9nUvwVkjq4u7lWKK8rejN8yk4h832zVmMSeMGZfB05bAmmedU3cntIqb9Lj0H+i7/zAwsav6zq/iu3gMutaZOqMx9blE+f+HeC59VYDBqb5SEYWUeLbFnTgoFX3gw8jQXH37kBoe5wo8n71CimSyeOMmeskSaOa0wbnXYFLko1xASklBoRuRf+3S5w8fzNS8Aptu70BZkTJBaprf1DyvJ1aGIrSHPGTn1zQ+Hq2rPoAqngyl+cZTY7CjLPeXC03f1TmTsvskQ0+4DH/ASPZSFjoEv8ziuYL5Z+olZNAwe2Ub1B/CF1nMFOtmDzgQ8QwqSrKk1b1+gWh0Sj2IRmw6Ox/HTuQK30S6+QL0cLBRytLOZaFVwxiX/Abue694TVi+8SjQtl+crx9hg4FVbXY8QTGtnpsf4ZRW8lD8pllX4REtH6kqCypMpqjUK9sj1LawBn/xYM6ZlFsw/RQdK87SCYw/Pdco2vV2f8/gXxKPwT3mJFe/uWMGWU5fR8y5+8sbHNuKgL7UfozLnddTFKQHepYOs2FGAU9fCKVxdJxXahWJtF2Pmp1Q0VQ12begNVC9tbM1wjk+jDBGLI1i+KFcothcRqMgWTVTWFFsoBPQaHsTeEc5/W6tcHcj5/Hwwt0+JtBs9+6n15HbO3G4lsXxElDZZCcXBanOkjDzKzNvqQghLqV0bcX6BvvFTr6qJlyWvBn7+OPYer/1RpEfkt4fXyVUnRmgZe8mwKLg2pVkdKwLW9h31vXeZT7nx0WqOvcE+x2kSmFvPbhzgeJxoskzm+h497DSZO50V2gb86OL5+y3/WNb04gv4VeBSMrzN9FkzSvmOaNokM/+OfVCpe+AVvYGPrn7uVcWzJcsxm1zw0yk/eAJCjrWshyehX3QdPwE6X/cSwl42h2OClsGWwk2GpMSIlNFHf0/PGZa1RsaiazYabrapZPV29VUF+uLa8DTvKOf4Ttls7ns6cmJ143DGwKK/0fmPZLhRYZEQiQHj2YVxPk568Yu0owtr+sVOA100dAJhl7+AMxfyCF8M1U+0uoLFIibkVHgnR4gRtZq0KG5pzfCk1ZhVAjh6io4wd42YfKu4S4yfsVR6diM/34pJKMcQptdhIklgv3AED/KAPFLcyc7MOY1HSSzfRj7a9hmfnT+A+3bLWuydKFhEHLcht3NvXTaLa6QzgXni3SY1k/CCElUk3i359K1v+tmghZ7ItHMQvvyCqQ/cq8Ix84K43PlDzd83++v7Y7kABWu6y0ukrn6mm3w2PsgXD8ejDSEeyaa0AXr0WxYfgJBRpn9Czq95BZY7xxRY1+e2gHfh6rZ1EbBp2EfPEXMh9acLkRwFUJYKTK+dUkFRVi0+e+Y/e0eCnS+oy8RObbvMI4pnXweyO1oXVaDgDuZjntMUnQEszKlLyCRq4oqMwISLmruPCAmPRQlxxoqglHZTWi8md1XgmcyCvz8E73T8Bn/MXf5LzAHZxt55gAfLfiVjZrjZ5XwFPK2Q6ZLfIh8wLwBPWuQag9yO+mzeHlJGBduIPvcME7p4z2FeYPI1Js43VzPZY5+ZCI4hX/wcpNCquV71Q+uowNyxvLKuZm0FDT4Lu9X2+re1JUmGDQTaDgVStYdc9L+buU67xoQjUP+qdZXdmiEVfYurLGALVQ2cMBImAarLJRNxkbUBQNcTVe5QUo+qs/swdSFnaBo6AJUioimkgFN5OXgOInQWe44TFb2dIWQTQu4YX+40ykllxCNLK7faMIOJ8OUwcBGJmQZOhaNibs/B2S8A0du8nm7Ofjyr2sZaZ2XkA/cwgreMJTbma/fLWdymwNwSowrB9y0wEg6AUMYTwLuh2d5O+Q1Q8nMvACQz4P6WjxfVOaMv+MWsNOusJT56rq6mrv3qvR8Z/smC9CsqHZH94GktqhsISIjWr+8+pF+fqqheUZ1X72MFAVf1lTkFgY64dXNXlDU2+JbNGT7widjuY/qbmbm1knrjvTKJA+uXAxAXlVws/LRlxxNZakqF4aJi//axzEOrwz1xnJTzmP+dMYCoN8IDttOXaUl7kmc/QL2WU49iOjv8/s5/GepfG3F8LI8fp8M18ycs5BxlWENxw16JBah+8VQpmzUJ8jyjfWHBpFN15yFG/puQ5bpFB3uX1mXTSay5AmEzdmKvKXKnM5E3v+fna0CveHN46jxFV+LLpVGMIEfNwQZfzy9XTCNch1iGOABc81cnGJu71CLPtPAJad+Y30geJgj55FyhlnR/7hVwa0p3JkI4IfpkSG1joc80CGaMJ7aUHD2jWC9nP4M4TeKp0BVAW5Gmgm+ajz8LX6jxzhVSWeCHIQclIjejIrVE92oQkRVm9tll1zxZu7qfKOUq3cv/c11rt1sO9zt2kBAxpW5CDc/b7iLfdOoXZbd+DpH++WNltJROnrZT86t6dvn1WhuJBeVq/RyPq3S4qvgxeQw/N8i+rNO51OqF3GCIMwwOnQOHH637fEUmAD+pHi2Je8lR4esavgbyutjcGVy4fx/2wxiTtyCnopDklFGDKGrfVaFV23G0mHCKKwVNLBJ3n4QIDg2aCfuyCRCLthtk/znd5MMFb5cuKm+cX03viQ7TSYx0oMz5gXet0c5JmHDkG3vlz/ZqL3oIHjLc6tvuwFKZlbb25RNllWmxo5MrwIYo3gjky3TWgb41rYLaAdR4qSp7OxrZ9cAWPwOIaZW7sXkMEcaxbNRCoAc46vVA0UROlVfKFC7w0fl8Xdk60B46LrCegLiMXE6WkWB75CsVXW/2rh6KAsb1XSjrWaLj2qyu4cdJTGx3UzcxqWaRFxSxxTACfP2XckALfJ8zuLWRUF1ccKWfklqq3gREqGGi8VxDzL0B2OKrrMYu+7RnACPAgSivVfcQZ3fg0gymhGDFatyVNb2gVDbWFKMbve+IT0PVnvM+PdATbduHAmXKHfoD05ZRKVdL/IajKHDT7zGjIJ+/YizOxFGQxWxXVxlZ+8UzMBmE5voyV2hAdB2qv/GuTUHJQvYXwWnEBhdlqyAlRu1b+H8/hSDShbSgzm7S8mfFN1cSWT+c1yYNuzpUVMUr4AlzD5tM0S8j27MIhvDLS5Ggl1u+DEQTm92MJKt4kbMao3G/dr5BiW8qQAGCd8EsWLcsngTCRtDjxLGIRvnIzfZkVJge1SleckfA0YXNn4uT2VSb2Pjtmn4YNJybpPbzDsJXJ2xEigTO+GMG3I6S/+/si3nEJokPpc/Q8tqOZkdKoG8DgonKhgHByXBrwhfOJWxkZfMdhKpFDQM+Y0cVMMugFp/LoMcPyA663lNrEat7UokyuCgz8Bdi1BHUNb26faAXuTYdwctJNp2BJJPneSmTipHVoRRfKV+h2pfzrYdJgNY5v2UmbIDagioEywzewEQHcCq5zNOY1HHKo8uOtcwMCvMtppm64RGrHzE55Fj2g+iAdefSSIwfA7Tnz/KbaB1iwhhc7e5kAtwSlH8S8lcyu32PboxGyX7bKqBgo4KUOxF/HTKDv7NMBdkpsfPWiSMfzqLM2KsPSxcjzLQBMr/PcgtdCBLKdCSrj04tHusxGGxm8f2n78OjM7yj7rwlcXWRxdKyNsP1o9GKuqLQp1b4QPN7N4sgBqafupgHHy92SMwYMPIiSueWObGPlzp34EI88eep6ACBan1yS6aSxGPnt+dnB+t+yLS7uTo5mttdPXhsu0s6B+nY3Rly1RP24loEBdjr0eU984d2zxU4TbHPXABiO2tVfvm8GRQypkHAfYgbfIEIxSSoCvDFobdtrHpE8MTax4WPqprugm/li7ahn8ZhpN5hbGdJfnL53JsXYD0CV3nw2dtyTdWoEN5NUsN5k7NTYKz2zlrR/4xzI8w8gJH+JLallYUcQunHVGLGEseb21jGFIw4bnxBrUhI7opeDr6Nc4Yk1xmV4AztWunsT8Ys3YRheZaLZnR/inDMPoU6IgQ2Cv7BerWnAjpsy4nkQky3MHPhPmJJi0PYxMPs3urEjthvci3o8GdalOwD0pNxHDBrVUXfsEl+a8zJLQ6/tkQZoDJxOYQLJV0gANSYeCFn1QkWa0IePeY2bIy+FP66fcFO43UsRb+p+ekYeV9EtptOSTJiA6yNxJdF8fbO7ukBZ2iRWAlq8vNO8prAoQotuWaQwKVma5hU80NXZO0MM93TB/pGSE7ZFrieaDwskIFPXWz7aiH9ejZrxZFSccCXCU0GiQgKOFB9SSZHddWFeqhupZY0YuukixfuF9xxruaJGI17LnIjeUWgB4aX/pQezu9LZnd5DIW3k9ocU4a+0hMZKHfOhWOnnHtd31ZPfnIB1Y4SeQRwgI8a3ZBViDHUwyAaCjVTj1PTMMpMikbhh/eOxlaJpbN9/UgasB6T0fMuUpODOwepL2RfbTdra1ZLZ1atAmqbxM14ewoCtacNvpjpdUMhQO28AR4cOgnyvAFZXzGy6PORouqRnp4REHpKGHGDFnlDoJ6G3SLT1ONub4bbwkiXlRiNNXhLiro04gadElmA3SIEqZJ8lIsqWkFSU/Q+ttlABxO1xpLAD4JwrX3QUCr1qcqqkvurWotIHkghSSRjmghjgVFvLlH52rI83ubBADchDAFwWCeD7AMvo7P3XBKKj+3NRrw4GvpKOFfbs8qiY0vx9I4b6BCt2xC5v3HhDsHJvXz0yx8Ai7uX189cpIuSRxt8vQc6nFLWNX70yQBpPxr/LKNjmx7/S5Qc+8imqlSUcEscc7h/xzQ6TI6D9ixJUU/9yK9l21HmDef/Di2IHrk6n55XkEsguL5GIAnPXg6vdolCoaPhwUyQdvrzeHRKgk6Grt9aN/wMApE4QcMjvULDQXBDO9qM0mlMZGbsgjRtojBRWt8Ae/E8rWEBE06WazEmtAUs0xfFMhN59TWJogSuRrWBBScrNVl6tPGjnWNMciWZBQduVxGCpSbHA8oAVw6EYK1krTgFnAo/JQgxCNAZzl8QXThkOHRXdBc4qn5PnY8KilOJkPWX/ui+gcFAQ1Ihn0C8znDNAPwx1189jYC8cw/5HxgjrwEpaj84yaIHDnD7z9Z1GSK0sKYazUcJlnSuThehhHU1aB6SXYRZWHZye92x06BstOH5ydycYzdBxj/fjPPbnBmD0eCeWrNFfccTRfBPSsDcOI/InnxGhRnwkro+o5bGUNc0jqy6ADaL1FTkBxOOhUobP+PipMfVs9pVektNMWqLVHbacplkbZ2u02xoMxT65zP2w2hG5vgZCCmMQFgGhiY+CtSC9ZL1ASRPF4dVG5mbQJ+O5R/TUVzs57PDHFeUTckkv8MQMaQSoKuudTTiKqzieURWbvA3DiORic36BkZOBOgCteCQzFmbw9ejqChaRV02HUMtBuYCUZ4I9MKvppbxKkf7fmDilNh9RHUmGZn74+0f4MFEoNveSpcFDBWYeSrHkDddEdQ/uaPAUtJyvMVmKtiRuz/IWhqsz7Vtcxg8lo99CuvhJ/mhkHGLd+pVbdJsn4ytwynJ26YdHQB2DdmlROMj8Sq4enZ6OSAxgvAzP3qRyqo3guHQ+ylmQfEKEGgLtkF1cvfM5Lxkp1hlDgWP+eHBSgQBcwwefzmQHBEfAeYFXPlQi1/jV3s8YuGBbF9seOR6FmS4931myHvORfPxKlTcc5r3Hj88Z/GcpYeB909FT9VPrjlIgFnRO3fx4e9qWloKBaKzv4LCVZEQQvxyOyKThAOowwuIgTbE/PKTEPFUs0gW66goYEp3koMfXVse+mQEFnplNPvqS+DrsO9CWBINPCwHYwQWRiYzK6ooRm0/xa7ch5RK4QHq2sSfk1GFoS9xHcrv2CxclQaepowQ+wLnec5kRRxjBpSPbcDKsOIWxmATnB/Nh5bBFRJ2KIcmY0cHO3JlgYK+7nvn9WZWNjMTboCrXW2F99eFeHnHnIa8bmHu8E3TwLbyFGbpDMiEIZRIUhTlnQVELpOfO1bONWevj516/e+PEJKjtb5ZufrnKpIBicV9THsfcq+HEFaAzglxooGg8xfMrTmWKHl4Oftr5kymnqlbTiuL4UTzCMmElKIuCoVIcW3CrZiLbKlEZEgnIvEd9IZUSjpJI55b5KHCgOcXk7eLmCl0RBwvlgux+ZXE8uP4zBRmkm5uGcZY1jQV0ubdiiHnkMCLPQbyv/W6B5N/6iofgpdrdBS6bfKBrv4DmGKBJBBCCcEloIScQkqN4cCVVA7zBoaWqRvDlkaF4/O9ah2tiCulnElLF0RXpBF68psyqcPi2HRqSV7LwlU6d8CcmLRKKVLbpA1HwYGd6zTZ7L/Y2S5TMPDQ3xZQ3tJqNC9cD4phNhz3mFv0hALuv1Typfbsgb8kxtYVLECsAtMTIxW6O5PA/2HaKfYx9qxJK+0IlXuUTLEB1sSkmZ6ZVTJZTMfkgKGh9PJIfqzwxyTHH1dMTHntJowWQG2GkhhJnOQ7PtVWQkC8cRdGCsyrMZ2ulEpRTHqqMKYSRWvCdCApQwJ4qjWDgCQCQdQWy4LJoK6wQjwOlFTh83+i6vy2sruFxELJCBWAhcPIsghOGKO02URljLbLskoIKW/d+DFCYM2qiBHEiPAIYqqtrCRMN1G0oHgVpi2dopeELyJEMZ0ZFEizqT2D2iWCq8XRlWlE8Glhxm73gknnNnPeG6CCHvfp7yVZXgfmua4i1tRhiUIkHQJO+pypjppma2sBeCpCHjGvVbql6+lkKKwELyzu5bHLC7KSEeeuYt8qFDNydSQMAdMhIYXjo774k7qUDUI+S8EvL7CzA/4fdEdGKkaO6MC7CTkoyydf/YvPcVg2jZTkiZAGsPg9b3CBUrO+hQOmTOzXHtJW/ZpQm00wZUKX0usgbkTYEMaxCXlTQr+NcngCLJtYF7LWvHm84Wl764bIzfim5+0vz4POiSU1S2sax/8OLQ99cBvAThlotZrPQh1JrvsbQBkvL/HeF3slXuC3fV1gXlPVzF5IXshZuFyxfJQzSh5lN38mYQHg8WSfIZhs/4v9IPDQ0PzsYWIjWivFEchg0DAA6guZt/mCFDT4VnAPingeXkzF9qONPHjaYLk+/cW3MZvtQJK6tt7JcUjv5Q0RfwjLasoDXoyyeUJK9m/HZwnQOIEnIU5daF4WV6PoiFVE6sKxCgPIkKHZXaG+FpXPR5wQzn0Zyxfmg3XdEaRUt18ZjkocXL64/jumHMvGcvo8RPuX+KXTgbLFaq/FlVg0FKTlFvqofVQgCg3ryuJncjVATAvRRyob9mObJpOfxe/yAYrVwCtLEMP8GkPhgXxQBFH5lOGZOFaHlyC3X51iBsUYejYdTE2VQRmFiwuhO27rs9aQY8+uS9/4Ap3h/4gkvbIjALv0dzlyDkqzYiU/9N8Me1WtyS82J88j0ya3AdKMRQFcQoE/fUMKRQ7oP30kVw24TIICoH3ftPmmkrPTmFTksxt54ZMUGQiqejUDBel/15BHimCuimZ8xAJnNBJeQJACIVjZDcmtM1XnLMjKgDt8o04XR4IhFMKMDuQ9DQ65Cuc8HnMO/f3rNmBCWZxF3kxKRBNBVbMz89hDR/uK4RCXh0/CIo7ThXX0KmCt/L38UBGpuPlz78HK/W8vUEBqpDkSbKmq1pWRBm0fKdGcP3RoZZpcqE/g6HybqlYC2/9o0FUSZVZUyoFZkEbTBxeQ5UAq2JrnrVEgBDhwNsacxzv99BoZxpeQgvH2PkRgxvJyOX0wyWcLNTd3rwKrorHZ0b5FUl+vnFxvX4MU3Mx1wnkz+pF8Ddfr6ZSd0oJAgT6dM9Wb3bj31caMlKm6v/JpUYQj0SQSwIKkFBiBxxzJ4OoBEwINUe7UPW648CbegOSN+jCbdn/fhEyZr/MRS8SdiSBggepi1ZfgVGH8sWVmtNE7RRyh7x/fBsk3l84geW9F+Hq6UEY/Rov0ZoGbmplYvIArQsIj8lcGUbyPAdZ3wMNdrhLmrR0vbXJ0UTK8ph5NS+7JgMJB/wHzgFVuZYVv7Q7z7OtWE4LhBf++oHM0cg1oDLMYlLtOWspN1gatKYY514gG7aie7o4x2xGU6CjqhhX1DNkMxTQUQzfdOp3ehpKzp1imgHqU+VTxqdLF/iuw+eXnSwSe4Mv7AJfFeqc1iWe/uWiarehTWO5Eo4fKIFHNYOjFryZPXRv329Sv2goAqSh2SZkL2cNaVFRPznehkZFLChiLDLcfh7p8eWBYxC49ctSFTmLF9UWxZ7shnQhA1f4//X+wvPqlP00Vzh8PcO82F0nDzgHo4YuF8wUoWqbFkAtQiJSq4aEoJsGzRE0pAKnhFTXhUTQ8wM8vcgyqrj2FejSBu/bx55SPIBsG/jq76D8ERM9T855vMt2kuqunA/ZO/i/SY2n3Wg9UpjnocCih1Ix3r6usk/qq55R723TDIt8aM3Atg1ji2kvUPuoUu+mbkfZ2xRkavkOL/R0+3wIMawcUsEo84/AiH7XjZb5dS68GeB7F4+6Lc69GFcbgCEvy0OMRZF8i/kFezqGQQm8sProxGmrCLsTmXd+f8Tf95b3Dy45GVUEgR85DXtFe3dVht07d2/rVDuqdF6kXKSXUc1Rw8Ys5h5mkQCe4uMZlPp4caAxVJDIUtGy3HydjZGQkLV3fSUNFsPHI4kLnxMTYl1pRUGlUDo0WSzY3q2ccDOP//FBsfpbxhBm1VsEKqoq7PCMr+vUxzaEjUYDhyeOP5lHA2zvoMwTyCRcOATcCQ+7o0j8DdMf8CiWQ8QmDLIsGgB+7kj1MSqQkcnjklk+KpcbThQKrOBopiZQsEhZ48hdH9finzxWCJPYDkuG1Kznu+8saAwFQCN0XCmaRWeUaIsEHjXfJc0mW6GPHCiFxGboyDvDGu6a9jqhEFxLadSDqYvjydC7aJ3bySUSsLsLNnYq6YOccKMik0gFlCeIc5E7MguZ4seK9czwBOSf0bxByN9qvrXQ5PDTaLj3jEHCPzu+w0GnqaF7RHtADXvsTUH6co8CLJXkgAT4VwnhaHI2SRE5c3CC4QTPRSBxHRn3mBcQLiWbVjKfGkbNF9BffSgw9wDjvzPfGV98ziWRA5Nf897r9s6kal5IEQ5337joXDXYgiRoQHqoVy8CffPS03/TfQsKxKItri4/6A8Uk7RsNYE1eFQqMpyIrxzNLWt7YQMLgnSGwIJoPEj4MwqJJAOPjlRWglY0FdMDWzEYPXXkz6gV4ZJ4zjKGCgH8l6N2I0UN0FHq8Hp0M4HU52yoGtA1eKrtUGrj5xXZACRCWDmOIeTjKYCuk0xh+tAEBMe6Z0wPNdSiDOeAZNVC/sbwPwumg+WkHypjcYoRTksIDL/KUiM1TAK6+dubQxRl0k5ZjpsT5CDH04Ow76QX3o8mlj3NXgXhXx5lF8TSdnyFoRA69MFCHQ/g7dFiWvF/gqd0AA4G5QEbwMC8YYvPuUYWjk2CAtN4+5ZLjGiwzCYay9oA4vRsOvrgUQDs70a8AA5rpElcpfB3DK4yt8hHlsfioJhAVBqaJl+02iLVsL3iZEGHN3SIFjQ0d7T6e/ZYmAb/jN9Mg2ORujta/72XqV57gqZdgunA78/IWXmDze8YTK7pVDIuPpnkkczjdph8GuZalX3Q07jhaCDHYen+YRY9NMgIGXD07Fw1Z5KSoNbvoIPiEOcMcsUQbgnCPzZnCmho+RdIwusngHEUvAXkw3dKhAJ0I0k3Z5eQ6eMxAjyvhHitED1tip8vWetx1LHV5CfJhEtzny97Np7N7A4w9GgeeOj08Zq8jJkC1iaTRxwzMXPEksVX7Uz1Xn18Qn655s9auZ2cO2wCVXq5tKySNHXYmTKstxdmbcKAoqDgo5+pzON3581MvfVoyDewftLMNjfQocE8Ca7ech/p531TxCYt12BlrpqKHp0LR/hM65N0bodinI7dAwrUl2sQcBnl3NbhmwgD2AHuAvvt4+9J8i7hXFjBJU/8r339LTprgTX77HBpNywPYtFHLZeYI4FVlNvd77vli2VPf9+GwNcXz1wgl6gkagvelDpeNsOei8EU1gPVm1u4/kKyl0FKD89yz98Y3evSVAcv738+DfaXZNoupDa0ewK2zKmV5XW5tbutaYKtQN69EnYuPGlK/qq/GOOG/gK1/d59s8o3/RjKsDD3mPvuFaDUYuFmbjEmbU5bPytVSwBfkJfltu/Iz/jgk5FZJySfjpRYp/0qxOF4QT1JEe/Jl0SqSXJhQQubetK4P+vJMTgYbmun3tDZOYHwRNS2nV03yUBPCKn37ll7XBEL6kC3XtSY0hnmCzVc/fGtNILeWb1ucoEGdQLXbiwK/4a83+prqGTn8l/fuwMMxPLLO1reKRVivUK/ue4w3xkuSFOKN9RYnYbyAl4rRHM0MurvGIjKn8lTUTwQueW6bn+uxbMiQVxYlJd85PutjyYv9pYFuwLRJ/nMMR5xXabLuFZcT811MPAK/U9BTUxknPk6c7Xhhc8kMMPX2bjkoDMA4d01xJE1b2MzCgC0XudaS2Qlf9W96qT/2iz5hnjc/35z580WOk5kzUtaxyfHOY6pnD1nLBY3xDWBxToYjqyYxqcCajIO0lt9/xQd7mBbex6vitOHNWeKkmP/eJFODbavaHz0Oo4fEBH964vlVjAqhBP0RnNZaHlcMYtkdFLRAWzIohd5hacdN6wpmDN6dT7n+G1TVG9+wCM0W6Pl6LNVRKGCgZ/DI2OA27pW3Ozn+Iytc/F7y7APP4kjJVwvh61RYf8LVUO5M8fACBX1rwS3g2YIS8/3Ij0jMmflCzO0hcdD+eTTl6/Zbmxhp0pSHDPi14kknU79NpceEYHF3zwJ2Cw7BgymHK5kzufr7jFIBEL69JVNVV1WXEFMWZT+n/PcK7VVEenJXninIXBV29IKms6aMwWGwQRPR4q7Mr+QJtBcIarZMJ288i1Mkl1eXKu/ERoXm/eaT6u01e8IbRCUpZmcEdjstknVJ2GLIRuwg/uwqLhmUQBrXPHVIXTG8oH99GVzbG18vcRsETy/QY8B9kY7Zt8AMmlhAoW/Lw0Sc3q++lfYwa3+3FvdRueqV5qT7Cqy+1OiU7HmfyIH6OpjWuErGGjPRp6eEiTkjUVC+PUz65rY8q64LXEzXDYeyU7QCXo3ixLvFUvbNwAyOYC1Guqky/5aVxSTL0cpwW2FDiI5nYaM/oULHPkWlcKrztXxmWwtakBihnjjfIHP/qThs8PSSq2920l7GEL+Prlk/XyQr0fY+Hb5nCOOfOtFPDo51kcOlnP/2WuQv7dw8rnAdFr/I4V94kYGDofM3yk7sNMc1Y37ewZY+fNPOHIreriAQv+1kGf7486zH+Bv/tQSGsVafSnNilsx795f49VhQuICicyP3jcDDgR90Zo9NLC1XsWrMHgzia97Ze0hRNEyxwsrdIkJSQUZkK26y8jue8rl0NPJrlsqvvNb5nV1u0ht9LkgqKevIO/E6IU36zixjS163JHXKoKRXYi5LtWDYXlFN+FC5ikAojLahAS+r6EIMq03ja57O2o9itih1YTKVZd51pn6o9nFeLr9X611opK6mmgYEAcJA98DVPocnKoSpccsTDBeai1AwmDQ0j+UlIRspGmUVRyaR491/ngq1kobHKSRcPKm+ZLtyn+kle9BQRYxmGpp3TXvmT6B/M4Ixol7lOmm7NqHwo+7Iul2/jjXlaQNhYwynrQBY/8ri4inWAFBOFnyRFDj1FIl6OuVmHuWpdMTaGWFGsHxNp6T9wl2YMkVeuLH+ydShiV8S5G7lwKJAXqYzjHYKZgh0PnxwYbMbcIzzMW0drf4tJUh3WMUkTBAizAYlMm0eNUkB1DgsmvzOyXQ2KEj74PJkqdsvMkWINBj5a2ECwcD8MrCcjOeoOcFvKKiM1Q8n60oaqU6LrOAVVS/frL3Fh+PNyQDSxsqetOpoOS/8C11kUUW7BieQo9S+O+gckADYJ6YbmWR/B4MWBoTFtebQM8YDgBX6O9tcLEDmE12tyHDyr5MInqrooPVTl3jDc2pfPO5anaLzPNa6md4YdhqeMkVNrbiabiI/thTqWmxSAHBLbs+QWbxNiEMabpjBAGSf7BN5ZiEMLU1LDC5udql8y7e3ZY8gq3LN4ftWYmNoBS0YOvlDrm4BtQXVIIqPMvBhABLM/+dJapnE84mIYhR75/rxS5kkicuJALEoxD6XtRc38H2c+B9Mp4adZxgklyszfj/vofl7C008aHDn+wkYXXRaM67saruvsfPT/THoiyH+xvuHNyQDSlTlrdlUISsouV7h8u1w0mq/JLduLY7TLYBg4o8cXY6vI0eiK/H9OeNK8RrJGvHrP28DCFcsi1tyWCYgh6ycAz8gxowyBdnjk990SYPCopA75OD5uoSlKTm5qr33E1wJCnLiqIrnuB0PNVdKXO86jkcPnDeDeies6XQnG4r9FppXIxyumvGr0zOKc3+86EMiA3NkFy0UGEobhxKZjpnADOuvOE0OhATGwV0OMk3fpm/ehoKQH1wds8PELXBLS265QizUylZskhpjXDgRhD5Ele1qmbnIsXtXlWfZrY9GRV7sDbeGwL1ojlplYoSh8zxXx/z5KCR0UmjLjDxzgaGZawvK4a2WkY2h31lQGIGt7YmvW4jxYVbB1++vIXy6rHJvTA7OXQXPwKSK/SJ4nd/71rMT8ZMyeumbqAtvZj2DTxL26Rhu9zZnZXMWfpBOevq2/45vXXnXGy4cWWGRjkgT4Yi37MPLFgbEA+foomPHbmxe7kX+QPSJDx7/H2AinZEhz83GHzsCHYM/j8No7zlGpjETfVdMfqrKBkZhV5veXKAcuQlB/e48bn94C+yZSJliK+uIQypsJ6UvZL+bgEuEkB8+wyHjhPE54b2Sgix5slcmsIARd8rmBp81L8IyBKy44ALCL9LWkchDKE1YukrXV21OXQ6OFbn9LPhlK6UAdifAIeqRoP6N/jrnLHZsCBMGV/kFHXqCjcuygzZdkYzQus2H/fQVjgzn4ASDMmvG8RhxonJhCZ3cbxbIgoJiOaGn1Zv993McEc+i5bV11TrNL/KwXBeRi1QTeDAb1/iQ/LNhfUZo8Z5sVVLp2pwoZhS5iGjvha4kihj1CgchXH9BjTY3764mCI2VnFRUV7uwLrO4rqaLnjvaL/4t2WVoORTdebpg2SGQvUxoW6/yzlS8vEgQ4vjGDcb5jCtecPmBKl3j068zPUsuTP6bnnw0jvaS5k5RHr0CTEvLACLQU3M1jK1iCwA58vqNqQ1f2kvT2QzWTLbOVZpoztVrHbEyGpvXxE28tvz0OIs8s21DbzDHaUrBM3NZqjKjhj3TLepnr0SMx6Z3Xvlb5lQjpb/pKX8/Dr0YmvVQSWDl/B80kU/shAlOv3fX7cu9Sszy7atqzMdJo+64pP8CC1u7kLIJkLhMHRTILUl01pGCQRCIsx7HZ5UDAynUii8nPeUg4A49r60q51Jqzx3QhUZDirjCNrNCtROLLwg4lXk2mYIUcNorOpYpWEKs+0fX95knGIx4Elbeq6oomErv76S7UFy8VLa0Vdyqjjvf5+x38aILo64lOvfoYYGeULOmNGmg00GB51mXyQB/Tcwf4ghk0Cl1bvWVU1srpNWDZ2xAO3ObUWa0WA3W7p1zr5SlWla9JUIS5tmlfpKUm6UoEa7R1EA9nJcP7WVLvl0NTSzJSQzw8OLmg+uYGsQ1z5iTQ+DhbkPTXRYdRNIuPzWRLmqorWZIyCYPHoPPFfWO89kVBXl4Dso4Na86c3aRYPg8HHF9Uog5OYmE9TCicNQillBSN51Hup1fXblGnSHSgtOWJYcISXHsTALvVcqSuPwC25/JGYqG6R3u1anL3WO5YrGwJqpQVu5UgSqS4l6JeCr7yELj+dmlTH3629okQyn7MfpMiUlh77Ur13FlN3K6RxZBttNKMeocJQu+sucrYx4WstMq15RFWSHjrhW5Vw+by0xbD8pDd8f46ctS0PIKoHsTbIoM1QTMg5E7DX3h39wX8mbYaiCEbncYJUnhbZX8mm6YNi1gZlFNYTIQdeJKOFh2iNbAJnPJRDlJAWwFe9k2ScECUEfJAca05memiBZvrR6td8TVobuqtPp5UEfo7nt/qHy9fRO0dI4JbLwwphibb55/6vNgPz7z53hwovCiltOzoQ/y60AUxZlXoAWrUpItE1BOfYXAzkRpJ0oY2Yw5mLzSE3e4h5Czal5ia3ri68O1EMEM6Og+lxqcH9io9x9bSnIaIKtwUW2RqvHz5mw0Utw6d1aOAIpwnXeJdDc2T5SDsgLu7Zc1EvfNgzwOm+nSApa/5w+0muPEaMJClsOxpcZAjadiWxH1Ao/tJ5ivSuOmZXHhe7YxYe9UPNiGSRZ65vePIHgzDtFFvHGeB6MRaO2vDC4jg4MYGKLAn6igC6cVyJM9DyF4Cw55asjfG2anQ8fKb9Ktc6X82k9yegDy1xXqxEIQenR+mWRiFx64qiB51aPgGyvY4IkFpMfNH4Oxk7dob7d8GHkXqfjTFixoZX7yyofJLo731V34Qtbpq7mJa2iD+Zu1SZjR/zci6mB0cJ7IKrCygmsXJs8mDsRKYAGXo3CkWPGsBD70G26HBa4sYAXJsmzZqhzXROEOlvnrKTNipukNHu1waMRaLafnQoq8v1qTHmR+Oqvc2Gotzauwk3R6SuTqLAhv6MQRdM2bYQMP7/zW/4m/957mQI+DW0zDr3psCMnRTIhck0wgOh1sIBk4E9n7MADaPyPAe+3gc/+LMnpeS0Fty+ZJst7Rt+DdaEIlT5YLrTeNqb4lszNWKOFauCa31P2rkEiOUcf0jiHGAmgTXIReWXnSUnmjx/g5+eYf9eB96ss0RYuWlqntFvld2gW4TJct33k/kuAGZF677Xgn+s1Chyvg21UA9WOJ5mvmxHtRZlgK0Zo+g8nWyPUute+vdbx3KHXHdrVTv6xXqcEIootAI804oQjUtOQxNTLD4mm7OpIDdwmV4+NnO945FDqwtAAAQyWFDmYuKG36KlarVsSaIG1nvw6oTD00kpXkQ5vo81gEfi2iqrlp6Wm7w4ZiT4wjVdkXT6bnMUdtUClwyJmAFSPyHgdAuo9Xy3aNw9MDx1Pci1A3aSy3wjwoEIPy/aQfv+vunGX4jTtBYkz1VwLO6sSd0iagRbCsx/EH8v9fgpiFNvsZyZys7jk/Qodmmr7wr2RyKkEASkdQljMYTGgo1hRe3QBErQz/u8iAo0VZPFvMTI1UXzGxbOFEv4FBMsnj41tAMTfaFI1RhHmDJGXi7wXD6MTZQY3JVku1MccLWlymA8Gyp0O14w6gAP8ZuYby5ZzKRQl8x4uyUmAiVLE7YZdkWQZNA9hc96adN4xAt47LA/cKWWNXE38rWjMOTzk5AcYfVHLY+MpZM3HmE2tArYMM4EhoGZnO3Xj3YhQupnOLS8fzmHF/rGfCHw/U/oYA6AvuVbbvqQyGcwByMArhEgLXzv/MkzxpEYeiE7alo7Wp48RE1h05tePf0uCap6WFxhP9VhHlXVLtxIA5aYIO9pQ7IkBurVKRkfFwadgDv8olLfyGdD5bG8XMIpGZJpCJGoejx7m/eggwXjsMi8ap2VBe7e49JAENFH0YvfHQK0+lqKuEvW9QC6lBx4dYLEAw49BYnIPnrkRznd+CAL9PTDOTWaT/4Thtl/NGeFrSAjfwGbcq3mRQp3D1tyoOA1OW7psbH3tHpOurzryid7UJqMilhUGNpPfwJNZZObkX4FYDNDrxu6WRh165agXAqjUjvI45fJjIKCiBp9EKHQ1l30bdqVzYv8Y7U+LMJwbhMCpdJBYRNi5HoMdXcIqwPcuFNhClpMazJlGYxZGLC+0SgMiOydQ+lNC3WVoA5LZOGRa6nYsbK24c4aWhTCjEeJkg7+Q4xf9eIWRXMHOnVzLzNPmaGH5lay0ojzOd1o6eG/39s86xOyH56/5FoGYs0bRKB41MaUaVidh7+uHIYqhIyWSNuItGZoSaNIyzRY4TibSv6xcCSGykDR+EqRTfGlc8rH30JsbcLxRNA5W/R3SluFub5bqJfLsDfowWco+PAXuvkv0BkcywCPT39Ql0czLvqt7R7z/objqvJ12Gk3Bl+9N6XYBdfiolfQqLj6X0mSClsUERBiKhol6u487GVvJtjq8vi2B+pBQyl9BNpJdcX/hbn5kqB7c37jElcmQqo0qZwTEnktdaUhKpj1HSt2BZlvpSHPag4QPbYqRyk0qRlWuiko8TifH009oxs6ZbDGqAYspAR8Acxf6wLY4AR0uVpA5GppK21j/jESXcHu41yt3vReG9dhGJifTHJnBiZZ2N/jf3M7fGVPOV8JvxZb2pHpzXoxWhIQQTSV8rdXV5uRksYSVID0oTohJ0B3UJYNfGqoC/AL9NZFECkiShR01CChzeNZvhfpP2Y+rRikIQdQTYlmZtkAX633NpdjjLPO7IOGiSxyerQ5MEbEGtvnYXtPpcll62CkOMOXx6IzQbwG7kvS5S7e42uDZ1BiSdPP9N09otXj/9kuJQDEWnpNAIbyyPZAfiuk3xJV9yEkspVPGN725NN4O4TRamaybGLVr6e9iYs1ibyWblKc2siKdLkTHOL/HRlpwI1gQ6gTcBNI3FpqPU8OHPliKiS8dJeFN2BG0CnegM8Aq3x4TpX8kg9x7kjU+symSzc0uuLW9pAxSsCet9M8LjXiRoQJAbJ1DDAoFAJlPDoCSlKR1voP9qUzrIecJoGDPkCPG6QnYoaHvyOyEFAJ4WB08q8R7t4X4xyj5WFG2tX/rIHEGCL1Ofi2neBeaee0uhmq7p38bGma+BwcN/q/4n6kU8s3oalzdSALTvOFxo2jTe7z/09RcQBD11zzIEeddP9XcEsC1zxp9r3KmzjmuH4h1fNbLycLr4SekF0YWOcTE9fCXDABuHNNVy+RqFEGBnlNbd1HTN00DVM/kpgWcTUnFO/oJvI4BOZF13tua3Rny5ip5Y8jdFHX96+9auqCryyEpOI6AgXbae3A5esxNeAV+cgGPsUvvyMnkmX4zRix0lzLJ5cSdzre66vKu+jisyf34VRboLsQc4qkx/EZaJ2PX/a9MZU8nLFMBVjbeMOGI61HbwivRkbBHR/FFMYlUBEAvaVaMX7T8Nmu0lmC66m9NfDKE1/c+ozMyGWGaw9XYvqutBFaTylqn4RSqLWd3Fy/qN/g0MCgHdfJKJ5E176hRXBKcHmbC6nn6jSdMDBpRB2QbtUCJBjYS7uiud0noWzXqTqQAUnv+lYIpz2dBXtsOOvU0bjwiOdjV165UzFUZHAVMvDsi2++e45TB/06GmHYel7iMg5ItFHw/XdmX4493QkY00MOGNab8Q6m5Ha+ZCDbNSp/IdjQjn7vGVAt4E2p8w4aWEhY5QeeQ0HsxeeqMnwN0IZ66N50CxnSQ3wF72y+C30OF/L29/Wo9xRRwC+P6CqWz9XIkGUepeAGdMKsNoY7T0OzoCGicS3ODdcNfyRbcH1BgnjAWe70zhw5sTJo+EX5PF11wQXYM7Jrrxd+u4Et0Y6ctaLlwZO83X5tcDmJ3LcHhPedAdj88xEZFrFyWuBWgpTyPhDDq8jMEX3XBaO6Q5uK3t4NjQG3WgLqMsGEk75YgnnAglESidQQkzPUwN3Pmc6OFAOG2ERtnKimQNuvARPc8jraF0smZgTJ3fP5nO4owIKMBhsMnUu0Kywv07KONLFGZtqQH30NXo3El1tScD3fGBsrWLhIvq0LivcMy6WiPuoad+/i5aq10EZrq/mJ5UgiemNFzJYc2sNFe++swaVUINMMV5SDVJxhJNxgpXCUi5l84Vi9jnhDADozI/ilpPwwN22cuLYMLzbBFXbJ/2dMQJiu/eAti5XmZSElyLY9Ec4poER5ApBJlct7BIKIJVOke4gHDu0tXiperl6uLLV0HsuW0/FFgyijJs9ozl1Lb4qsGpLdUC3JnfLxf1meQNxbdHWtdGsrIhmH7+RBTyy1vw48cnX8vHhlYMVd/7esEMPrP9TVja6GJm+lUKMlMSkPKN6STwlGir93iEx32kkbPg0NMXJm6QIFKyZdPzLAA05aiyTRabq2uXIFMA9eRs9eYKrVvTC4aPylkUYFllCtdNjxahtPGVZYGBJb4R8gLVl8JEJy5DdbdjHFwOhXEGfBwsBhYQhy65vXOeeus0qVsymw2oCXe/5tGLL3ZXjEDxsTfbi2wKGsYvwgYrbFyijpKuut3xAsRNTMqcmJgRfmhmGxq/gFzzYJ5bEeZJGMJVAa2RlQvWmZjM+wCJd4fwOR/Fbk3PIUsDk6kpANWeT8d7FCG5x8vaKf4l+XnEBwBKVXJGj8jgvH7JMgqNuXkp11LcPYhFHzluTRYmMCJt6W6pBTiMrMs9SQ78Mrf3+FdK7ldnlTOJu6bSvEYo2rmbyRwHd137usIcIDQYgoymYnhIqOeZBSccIrHjxDdmYE49MZbPvQ6oJC7vApfP597kcbm84iKQz8A5MPPGwRNXr191furDXc7V+Yf8PM+H3Z1IyLEESDuyAXjESILVzmIDStrN/211DoiWBmkSTCJAcZnT5hOg+eP2dUjLsH9Yv0WBm1h2j/ii+8hgimBsfMYTAFwP4DblN7XnY0z9QkEZKP//rlU0QKGOLuakraVYJpXPknI0va/abULK1hT/mf7rrSJ/8D0YOX/dfNG8//X+goum62A4M3LvSVL2ARx6ApYVhVCmltfb623raXZeCfE3YqyUruLgEvhUSn6WWMxm8bU0PFg4JzZlX1bVb95wKt6+YcogWQfyz/Pav4jBm0saTB51LCEjl3YJBP+bMQEnLIGKkn33hEY3HPLYjSVby50vxbOohjBDDeJlM+fy53q1W40uDy2yMOZfmzBBnRlW+9E6ZYEsHDT7u26mDkZFmxnAi7GYXRZHHivqYYoL+KpZ9Fa0krI70kGGMxT9Aj5oihz4yeJqEBZlb0RjsHYq8sAy0BfBByBH83bbTKC1Qteh7ahGf85BT4gTw6bE64fSZk27LUnMQR6w8sEnoLeTyRphcEoQltd+oq+nq13VL1riVCwWt2R2dv7c5VoQsfC/wiLq2qdoggNcBL0tj/tuLzFy98i1zUUdGZ4u75+YnGTNn1aeRaC0b/9lXKGEiKvPakF/DdXb23WJu3k4Yvc9g4HPW7jjoMQCfh6Rwf/7iZaQ07Q4S8lYD2jaKUh6tFMJEoJ7wPr7uqCKeL9v5J5SB9OXRVVe0nRTXZmJzAHzQLOo2RS6Y7zlCGFc0x01CsIYWGdgUucaOnkio4HhYZk9wJVooW4HnX0llEfixzzRI9q8jmsGwRiQatjegk86WWaH29RW0wJPSJhvRW0S9QvSegDrOF5Jc2RzyZbLJLcHpHBIXhJd/FFMeFygXoy4nzGy5eRwxsYvTBc/v445p1CF2JYX+vqyMV6cXgWeCUgMNIdjSJ9vN5431uxphS2DAcHdMZZOwOVxVwzu/4VzZqade+16OiBZgzbWuW7eiorkiCUPct6ahsco6dICNzZ4AmyTNg0HzkUMGR1gG2n/0UCrK2//mMphgpgBvH/Mxc15aZDMJFuI9lb3jQOHwdvaIminT4OCHejFCzw3nDk9amklsLII34zU/w0dff/7X/kx7T0uCjl3LYBYfMTQY0jEozm8ynrrHMElVuh7vHzmx/juEbvHx715fdVyfk6bRUP1PUdd++zzdMy474dQRsCmKtuaWXfSvvVkVt9JMErh4U2p/Q7OraGO3junWMBoB2Z1ni7PmwC+gxfl2PLHYQDQ94x6loi7AtDvf2AuGoafABoJKb9MbhI/V8tRszIBMA1dL9/aDxL39G1z9vyBDYWSYE9ztIcfH9YuLp5o+qMZMH7Vw/8LgxhQacdO6KCGT6AjCLETT6qxdKlhYajDYz9As9/0/Lw5ymgF5Y+upjyZ/hM4xtfs2Cdz8mRiZ9UHkFkqOlM4/Uq5+w3OuAJo3LLSfUT1qtd+1S2Ed8s3jSWAK7BmH+tax1pr8CYV0DGxUxBpdPTocywFjZHYhgHsQMOwhS19hSJvCxCJGrKDWpYjC9xAsR3ZtQ4eDuDfLkRiA9JxtgA4NQ5UbN+bTycGL13t37C0ojd7vIS3Ml7o5JL25nXV///N07Ch0ZP35yYy8agOhYFe+3r1pnY9poLh8GHFZ+WJa2HlrsBqZ+2OAzTUIju13LPe+0BHvLHYpeArOpRLoIzogoMwpOttC44HIapTC9Z6pfk0qqR5wYQ+tnk1hFePjDw5aa7bjzJy+ok/kkdkd8gc++QvJAV7EAKL41JDyBCatVKm92uo0Z7dOAuTuK1ZjzBGmlyb0tVmwhmTDZZqBOsi2KmHClk8JYO7FeZV167gHFTkmcNgZexZoHtIq51eDnSd3i0G5Sd/yKOD3w+ZeQOihJNqvkPnUwrBwGz3R0gXcoe52YpKWzS4FI8ZugEG25JOJgadBKxTiIWVLvP5BQ1qaT4e/aRFuzJ4+RH60UrXRS4Q5ovpDH76nLo/B4VvNcr2GQUUQdLCarzZkwUXinDVMmjck0EnhSX3w1UP1y7aRzkyLrhCIliOL7twQXTL4jIphfm3QGVSRu2DhcgmquG+4jJL6iYX8+TBFoWAL1ZrkXMkGjEcUhZdf3AiPm7jZLFfOSmKxPg3RjgpFA6bh2M53FyhJZPIGnsQL933B/0PoCaKQzkYRouA/7Goyux8pt95sNBdLFwqeIBFae5GpoUGW20kd0FCxDce60xPzOlI7vWiUfOLj2qINojslds4jecGWvSGz0VeuIFXSKewluZ4fGt9iQiK8skPwP9/TL6cd6Ja6tNeI/4y/gsa7vjn/Yzsik19n5dyCplZ2X9y72SO1FgSEukZ3l50EIxO6OSrp30E61AflDEfBOZb/nPAnj2FaX9bdLc+nrMVPgP/bmkX9FlhqjmcZts/IIP4cdIiNenKPlpxplzQvMnqZ+0NSqvGK/Hq/wkpZj271yia8srUKrwqSvM/KVVnZCeMkBR4uWOQ0eHCpbCN2kqncKCZPUbhU7h6YxIrmQ0y1/FTbxglpb51BGPfSPnCaIjE7eDEcbFMNa4f9O4bYGSi96nusW7Jx1LaI77sMZdXhpPUpEpJLV+LipEOTHU/2XbpCmcXbs21XbMBlHefSxVeTVD971DSGq9nxbMS8IooJbD1bCXRsOId6g3sBGYiXoFXO7f5BcJktkFHYVN5oBnTVtyjM2DonAUyoB//sI4oVpd9BL8UCy1XRdt3xOSxWKC4hpk5QmgIWs+uLWKzipuEALAXfh/RbPssehrzu7X6tc0OMmo+6sZXz1z9qw2wJnbUHapr/uiRyP71N8ic0PIhpooZhWN9hkoyiCw8616h5JCpyqQSovsbvVOuJLCjeZt/1AFtl9+1ajCVB6DPDq17d0cBLbDV3c8OA7KJtSFKmjlslWRP5B7J69m/co6ceMLz61itx0wL0vkN77sn9TxRcqLJn5XMFEOzJdOw+rkUbsALRGgpp6y4eL6LF3Z1fU8mEG7cV5fZTJAQhWMctn5ZqCBMBfi5Vu66o1w42mPv8EK8CLJEKUJVYcL2Ausf4C6Nq+Wn5Zh90xi07zTcnpJ0oYIacMe/hLbT4Ktblw0a1+UpgRGdQ50Z8gjYFML65hWUoWDg9JB79WoPsfKuFc9dGC+yA2OcMFoY0eaB6wpXitUlNojInWL+F1SG0FXPypFl61NH4AZlLqLT6hAn/RD4MVEGhUsL1xzenHotawe6BI1Qi6hiSsm08CRkPspsIZ59ONUfyImO55DLbJHJCKk4cc0RaB06VUNaWuK6rCTIJKiHA2Qc4CGUtVfEsQF9QXlw+fQ3jum/BhBZvlc9dI7W0lfGcuzVXTvyEW1TOacyLIi0HLGZI3pW1LpiFHZjIKFKZMttIL/VAhSgBrPMbppbygxoycDM72pKC5umx34IPDzygbkx85cEoe+4bwfKYB14esfDsNpd7L/flusuTBCdA5zh8DZ0eOeenY4CEEf5g/ksZHp7BO5cWY4+ZcTEkJ8HtMfuZBU9OSUwLvM8Nu2BPwrGwZSLc4W5FZp/45ZKN+w8unX5uZfZW04tXUqnHSg6Z9v6z6mJRNZ3Rz9f6mmaEvta6HbQhIpf/mz51FQkYWMucWtwIPg6E7kVyhi8ZuXdpGCKVrLCs+Kos/YXRjti8NwoHtrBhUkSmPHMLUy8pC5JmigLn4GGKXMFGUwmguBRZUAVIk3L2ll5QE1cEsBef6iKCd58KofCpEWrB0t6Yv2CaEy4WkwVURzl4TlIWRzlrcTbj1z6vGWd2jJ7JAwh8XBg9qVgFJnGRS0t+aurIsgERBNbAmmv7qpUc0cWS8hYFxO4gltDrDo62DUvt1bEeaH+/ARDsLCD+IiTf2EE66cLnjWkfd4zQAfrUZYZgzu5mjclgOOurBR8OYQpjd7ONkgNr0i6KC1+E7qUuIWll5leEfUkXfdKLsR1mh6aMefR+yt/ZUDisbWJ5JzcN48ABBz8F8iasxKfOiFrp5Wmvib992JWBHwfAejtHYSfhWmVjnb66lauLDXOqQ+oYxvTU1HR3v+2Jcbgf62vSYcjGs3geY5UjlRdekE3JAjt2x3z80y2teJsv8he6ZZjoB0VtX5p/VQWTZlLAxOc755mMq92DZ3f+Wz7t3/a5KL+raM3eSGrXCt+QGikNAm1me+uVBuVWxL5xwbXhDC3AKq/SWaGNI+yVwXHvAy/zr93v7ZcPvCf976ahL+vq4GzGA1XJLLjmb8zCSJQky5PkoXNQ8FVt7OvN0B2CcGxtUnyZjr11P00VCFC0/UTk00n/fJd/fyf2TnAvYeCsgpFzALL7FA0armJRYkltpPWReYeyb9XUnFPEWQFL0M2U0FFoogsDJkXEzaLLwzacpFi3h6zW1a0G6FavwG6IS1GcRR5ny+jbJgSXUlu2vkfIIs5ZHZFPPjz+vn/+9YvP/VnKMU1SFVQxEwoFnpnqChggNlxxtk15mr8sS4w4vfOiL0zSg4i0pvhC7XNi+QA1HFKkHUGUxwx1zRQMLT3+oHY5mRZQpNCB4Ri3ffnWYR8qGcW8NOhzH3nuDkuL3QlCDW1MIcH3qKCzPsl/BOJiJkNrnL1dU+u3gGXiPk7gszAinLk5+P7hKCAFY8xBTegl+jZkJAZuCW4zmiNSjW9lJyFrQY/f9UCBvUxqJezcaIgqQh1IjQXlMzVqUsLV0HYV1L2FNuDGcFh2/ss2iLrHiiy0bn+R6e7MIqZDdZTHxe/A1dQnIubv2meQNWGNYquffdj04ewShQg1UY6dt7X+K3uDzKHtAQvrfa4FjYb14Pr4uZrpQt9Q5odoc1tAQmyBCV+kd8Xc743qiS1mu8HPkGV25eF1weX3jvkR43NRiqJ23JI38HlX2DpyVxq6DR0U8Riswo3fBtuIX5RmDy2Tk2rDaoc3TDiXIOz4OQ4KX6p5QpecxSopW2GR81FZBikYfa6uKqCjh0VmDNurh3PDolcyQuDIJeO9iY3cF67KTaORP3OpU9eBDGgKUoAPgBCACmVR8zVEp1hwHPFxMbUJsud3NhTCynoYqRu1U8sNpKIKQLSri9YebhODF6YGhh3txGRuTCeoTJylmjUV1HLk6ndTUC0qmKHat3O5GRKuUsp3By5KLLCNXcOmDGbkt9PQFLrEiqTsmudXTgLXU7Lh5aAOfgWpEf0srA0GQcpLzN6henwPBprc2+cmnRaFyrvIupOwoTu100+8tf1rDx5zqtFVlaTj06cgNqJqYwBNAglwMimEPzUdWDeKR3wpfLSbJODpgIdTL+cLCybx39N6cG2kpbiU4gIRT2FQiD/5JDGraiLrNJClyLx6XhQHagJBFUIUhpJxOqtdldjYK1PmD60PZZq4av66qs5Bp1htkY0kgY3XBEsC8ZH2WY46aI+D9/AJoZZxXzawln9py7kbxIi/N92/g+anc+uQN5Wn9rsntgSMZkDefCuwnrF0prHCvhoP/LQLcp5KQ7E6RadGa2O1VTPlQ/sdyNBddme8wMXhTpmQvGRZH+wdYKII1qzZ2YBQv55wGhuaSmD/KvBia2TY/Nm/xgkeKe75f6mAvqEzv4Cw0fUuX4/qPzX+oXl+ZsrsH1LrCNHdXYoRt2dXQF9rlKdUu/0iv0hX1Lqdqxfsr7lR+0GZcv+9JReN9snLRqOubXwFVF8lCWatI4I+2+d7nSVdxH9XPw5oZNd2VAD8PkXL196XwPxn/SeecxpLVmU6Z6f4QWcFkx+XhN0Brk5azfi89+j1vxcRaqWQLnPx6LnRpn+fMoDW+frLttd7AhaFqp1LGZRDo3U9weKHCimJ8QNhx5w2N8uDcpFOVFhFVIvCLrfz7pvbj1KpzKsRNIRQuvm6v0sUHo1BRY/vIVWUNSLghTwZDR9EaXjGyG3OOvN0j0VSNBhpWCZ2Gb6+Rbf8YT7UudMPUjkzFmZk81154BFU4pIAPw6MWliaL+ILQw7j3QhnRqfrcBj6L7wWLwSWYesEYxBuCmc/uCKVvCN2utVCu8DZRN/ThaPfHSNgo360/3Zc3bRQJx1uJdu/fuSXRMM2PfKq0NuZXrCqS8MKs5wLc96IlKh3bLoAgP0HropsP8DXRtjyfM3baF+zZwdqWdpV9CsMYJoPiHpTWUnjUKgujbiNsxJ0kMRW0W7qEujpZJ0YgHNVYmBSc1kdTmAPj2Sp8tI7Tj3/XNK/fb1S9e3/qg9wNx44V5q8k43AM7xszkJoxOISTHEWKpUHkuOoRASCXEiiLNpqslRHJWAj4+jwikyKZwWSyHEkxJEjrZzjnLPoOuSRIVD2RH7vY5qqet5lxCGRHWhqbiCEdt8uvM9bRdYOdGZzDLc424Gtu87W/9vyRf2+w9cuSYYNE1YR96OFI+8aRejB5A8Agt4LZwxqvMdZddHsGxUk562WEHIZ2GB1fLuUgs0eD46bYXOMpqJhMuP5gPPe0nrCsBPfP4lc8H9aqjPpPvMNU6riCKye35Mum72ZHtbDp1I21QAiJMlC4+rhARsUANO60gicmYOM4Dwl4OranEvi59GSMVDa6WaEEj1JDySKKNLGpxlqA13beqY3qAgELWoGF4M18bEnnv743j7+rh6OpFEdG8mAOaPVSdxAKMlSUhIJiTCeXAW1JTLAsUTLpZBjXIeXIBPJqRuWns66hL2ycRIIpIMWgAFRpI37arDSMD+CcWCPZEVK3GUcDsoYJQT8sn5rS/kvUZCYQOVOiWwzRvD3ycBZRcpFJ0tj5pHAXXO/KFDJQnHa5lVBNbk44+gT9qWwDysrT2I6Nqti4BJcNLhVR/Jnhze7Odv68p68rVCJ0WysZDINJrZwON7+pXZxVO5KVynj4nTL3lykhXlH/tHZmJX18A5P57NsHWTqU0QsBWl/37TggavZIhVblSHmc7Pim4R71u6irosr684juLUjypH/AnTgBz/kj1hepc9+rHrz5jN0KZPXma9qnicOetZy0bzcAwg0hfGwefURaXd+dUTZsaZi7dqjEksXiwp+dq8SVGzu+a1LUSalh0XwSx4/GuvjMyb38GT9ceyLPqKq2Dahnf9BrRp6ru+IrR5rws6YfFUylifuBi0j70rkSJnF7cVN4Lygy8wL90JLTN2v2m97vGEFqJXji6+ucbplNMszYvvsxdGqpL112t/IBy7AQe1+0jiNrujLG6tPa3U9VP62qcy/I1Cm169fmVBW96/fg+cFTChKyGUUFvEALVEHoHfAxM4k+6X/PtkJywovprIe+HrPPOK0aww1uBJxmK9pHglAZdfd/N1a18wF3KdcD6MRiRXy/V6WrJTmhoo0CMDBUeM/AqLFpGLOFT0KeYRSr31duntDWqAJHve5eEkDDbTuFQNMt6+sH5I1atRQiRvpC2DnsFQgSTfHmv361gVio5ifnZ9ZzR/ncgNojGzpHL5ymc1qjcXMEGU7onlGGABKveUYpQv9l+OzS87r7MuDfVL5IgW33p1y3QL73xP0wVuXjDVE5exVky2abNpa+hANybzMh9sRllvHXzf9sAtM3oV6Efl/UoyPdPSYejIs1PB9Zuan4f6dJB0YgaQSESkkgceN98cmOp2uC3r9vKU5GkMgKQdqtFACrlyaUWx+hm6BG1FBwX2TnWmpU3iWDmYgTpUn5VR1KasYv1L9Bvx1KmejGklInlaAxDsScQhPX7GT8YyoDGKH8mYykIejgdp5/CPXKM57RAy1QfGlG8w+ghB5iWnODB+VJ2HEQBY6ctaJ2sUGUe0AiuJUS+1Q4OcH0qKIBiFDBuejiO5VVdPWtDGqUNenUEk4mrJRrmRXEgEdqXP9NYb7R3XK3qeP5m6LleoqfCtnucfP68sefBIa9rkovBPTtDYAt/v/VCw3/YFQdDh3uOCSEE8JAReOYPYaiK8fAxgzhfPLikgKIAErByG5BpVS4e4kWctMOVih6iw//5NQ+W1WPFJk9+iodNMFo6Goy5WgzUo/TfgJNr9pm1gjQT82ZKARyLcc7vBGvLu3qvk3FocW0Sgz0Ni7CARuEC3cL6D/g2uiBNRyAKGkyPtB9U5RzqgsuyIjq3eQfGg0XU2fJQTtVqv1vXU8qf4LYS4c7+nZ/xRDSKrl5E86Jy6fYi0NHaNSkcKDNo0keVkwsJf/u+D9gmuXvvCkpXzHBNWiR+41QNWoX2HU/exXSf759pbKW/D1U4ZBFc4RiTJwLObo8rVipxeNkME4nQObbtbUtY1JIC/g72oy79fMV3vkUHDC7l8/D56YOp94rWTRY+Ma9/RiohJjvMA+JPqReXW7QYZZJeFvMIStrGcn7hzbWQ1WWlSgvkoKIVg9VhUIF9EelGT60xzGvCjQ5gMbgD0kQO8HnLRK7aUda0BZyfkcKti+uyZKMzpaGu/+NQ2g41eHGeD5y/rTUcfeZoPL4PnH72agToyjwOVKFOL+rOdpjyFUiSoQsr1ZohqjqUlQ5WUmLZoAFVvbspoa0lJapmOBJKWpNZXbKwGPy+Ci/ffV0H8M40qo8VqWZ8wN4syfcsL8LvUyxZO0UP8YmXSxHgr5EmcUq1cb13fK5wCvdKa9U+rV/pYJTg8USCE6lT0WBY+6WVO7eCgcyNmRZ0lzRaqWNNuV4qpMMeGSeRUkpBlFLqrUCvm3h6NJxMaQDdbz9IvtRcX2ibxhVe8T3OpDMUXkEqBasMCOx2ux+AfgT8nKciBdkP1lwPdHYNNDXNPctTj4MGvP5z1Uwsp+STnqsmfitHAW3aPcb/4PmXRL3WaMNtP0ARyn23gIGFOxkLx3KzsObJxlOQJymea7+Qmuw4DpyfO7h/erfSZKGU/YT215PnXgjLm04XPbJPjK5g+28FhFKW7mSj5hLISFiAnJXOzCXPkOXOEcy3oviMpkxtpC1HAs4kLdEjH9gFI+Y+209SHlxiQwrZCKzULz7n4DkIesp4HVQONnS7H6NvkPe+734NNFiOkVPCX3WH2l69DX4xON/4Do7QWPYS2d4wCAogPK5+GUv/cBGHOb+OMcEdAt/WC/MsOmXXSSu89Ris5RofWd0yrPG89TXt/+CNeXWilZOMpm35Byc3nej50fQArzUbB7k2vzWjzZ9msT4XrCynbT4ohQMYOUxfkEHIH1OC6oR53Wua0Czk3dFTzRxM+x30kLXTTj5Wn424RC6PgvTgSthaE3NGjjiQlc4s2IsKziPVzBSCEJYzZSMz3S3Z1cXR2CrTPhli48wGfDxEV0/jAIWlvtxNrg1p5HcLo+NDYiGuZNwiuUQ6LtHNar29khs3xBex6ncDz9XbP2JAZau/Fd0P2ECn+MEenfMzL2aVFcgS3iBZxUdQSHOle3yYAoX2vSGeIubCYFVEQURGYNfGEynnvqc1P8i4cv3oXD3bAthkpG9IqsQVLpuBv/afSTG+Ebqf3qiFNQbPtCuxyWsCMATKHxB5wra9o6vEgcHHCGf+bXSCmJgvTDdSMKlr6c74onSiTIEmpBPumOmhzUGsGQSj5/cKuoc6hDki2W376kFBbwwAVBCae4VAvF4QTw/CmGnYNgYfnyfyxMJorjB6qwmHhBmVebhvWieTsQgdaJnZieupatoWI/v+UtVwKC734/NxeoQJMgLmozrmZVEpIXHcKvCDaVb0O5e56/pxp+hb2KVSWU3y0Z9GXCzq+L5B1LKjNLuDnwUWL53d8ny/rmF8DdMnXdfvqnfZvu6joVjQpVCeiU4eyoR8zkh3Sq8L4kcKNp5NCcjQHp0WLw4VQq8EWKY2SbGg36DYtihKHCVSrMV0O5HR2THIiM4aXyoztVWcKWc+EJyYzo3kpBOBNskguXTSOMFVhNjyfAWshLcHYYSzUEHkE7hSY5OqFsqDrA4E/EmrwPJjdl4U3zUaZuaa31ly06M4l4EDNrNSxQMOlgxtLyDZShXehBq8dzRgLNuO0VRsVG77cN19ToC8+iaqNISBWuhagaE8+SKAWWRNPwV3X21AnWDEkkBxRjuJkMOXe2NI8hTeaieZWO1UFctB0uVduaa7MO4Px7H+nSzxQsGEFkFL/2FiJLEXqW+aKGN1N1ahSIJ2AqSZzamIquVpl3qmMff+de89YuVyZz4aUeFdxcSrgtINIqZtCglP/6E1CYgm4Z7Oe4caHs1JqG8gxxAbjNliiJTySlhQwOySr4cOyCGwI5VV9eNwyG3egGbkUQWITI/NVs6cANwwm+f2Fea7p5bcEQwalJlKIFny9CdV/YXr5WuykIWJxyPw5/mlpcYhF21Ed8p7MJU2IOBzfdTifmBYHcx8NyUIh+cGfEhzW345yIzuRACF5RyXGLfLocLybk7nzQCSFg4/c1NM73/TuahV5Bnl1OjsddC47QLKbiKGg08zHlyYlpG0cgNTbryl777vpK+gzE0rcTmaRwTTe1Ypmq2eBDCfvbVdHM+Gss4QkfjuFSqZCGnAbDuEuX8hmeaQTbO2mVOL/NCiQsi6Wt4g9USwUp9KbfzmMgCIxgKauWQnT4yiodzoBTlZ5ibPg14A5C3WbZ0oTWLMlsqW60stTpXGs6TLt5lnSROYskWqlpuKvQUkCC5h6PeA60OPhZABOH/RDVRP88ZA4Dgx1EupCPnttmkdCOxnuwAVaA/zslxqIxZT/wN5XMsPkiuXZgPsg1FbOOkc1081g5S0oq9X0xypA3Q/RdmhsGoF2hz02RXIPkLnq0S+WL0w186lOOzlVSHi1H/CH2Xw2B/R15dGxrHoYRI6T/CKV6i9QY4bUNgk2oPT/daZ1kElEijnB1NCz+5w+VGEYP7kDlTnYwUaSoZ9yEMgFauHRZrtlBNNGv2CYtMLhvq7HZ80U9u93WXAV4QjTL6TjOBQfmFVYdKDWRdR2fC4hz5L1pn1vObKzmJpPx7YwNyz6/Pu6D88bqSWzdhwkIi2VDTFMMRBB2Qz2ajYQ6vl2MXMPAdg/d1i+DPbC2bqi3Dx+Av7DMc7sNaoh87IdBbOGerGj8JTK5dkNx0zJ7DVs4MJDosudpOEi4i3Ua8dXUFVDdrTlSXvetBjN6vZqovK45fbMng3ssE5ZZ1ymXVLj+pL6QoAdqMZVrnvi27e+8DDkGeB/PRB4pbzSBfhB7FSONUGmktVaazuVnS2F36g93KojWbb7Z9Yvc4lJY5Kb5U2aJs/MsfstByHXkWAPlJvMsc4f19DP6RH2eJfETQXo4yu5H+w3j2kTXvrvetN2w+MpHFgnJou5V5m4dcyLLPAVhTa/esVU+q/eZzx/mrFnAqfEzeWnzJcr+BXYgXp5yVe75WaiQwD1EwXp06J4LEFv9ssLz7GsChiQwwoJOqDQPL6uzZCWiHVoliP4C3U/polMppLNfk5MjxCGtz5YYRiauxKSubCdTp203HzFhu70mAfMnBNLipTIaakkRLw4TlgsV4ay9OMyKYXsZCKy3NxBuag+m5FDlz16hAsnRFKUtYLZIaRnT/M1GH42v7dJEEzpOHweCUNPXcc7sA69U9pC71EeX7EtecdpQHdwEkWFbo1g1EsjqOHUGbKl09Ko/En4L7KRVDlghEF0eU04z896AZiCzDn4gElPISbjS1DVGE5CrNN7h3wrOecfQFpQGDIREjw+EZLQ+vIQAO9cZtrSzMpyswAFkXXsi2xwm8EmZdaL5w9v7fZUD6gd1b+7b451v+/ynJX7PIFbRk0lrAwvLSZfHGo0Oqi/NAQ2iFVVLaWqahRr7lqTfgrW3r/5lXhe2W1fW0doKs66MH+n5o7mQC4HMk+gp+n2Nu92l9qkbgHNz8BNy618p3uqLvBVyDeUdcpw3VrIZrM2eL1xzi0TuLdOH7QlaOa+RmvtqZc7USZK/uV+uE+GLFeMUdJKT9EBlUZpVTQ2Qhp7IOXAq1xHcQp2g6IkixxP3dRsMu8CZrrHkHJ4RU4I2GCbtGXIgzVtZ6v73rB9Yf2WMyX6kJtC/etuCVQTNCtOJpQuSmK4EhZLYFIc4f7vOyCNocKZ5+5yu0lqknItbsa2JD9FL2En1wbJUE7ZnD8hxbHOVZ3zuXQArCWEioFKCpNIg3SWHjgIGE4iojBx7NOn9Pyqshw6hjaQaoYy5iwmCJFU6vMewZNsdBzUhfjGnlTxtyunZLhlp7H6r8oQaNxtlMy4fvUNoYKugRLiCOLySbhG6sN+a9BEKaxwO5nw/yI9+P5DafyEfw2wd8ovhg5/3sy3mdrF4w/4D3dB1q/8tu/kWvcCJo4L6luxjDx2AwyoYCR2pAzIrn8WAM/SU+M835NSVWrtaMesA/pQeXVdSFlhrUEABDj2XXjyFyCcsPH4PNtexfAcXsTZdGf9ksCQECeXFCd+nA0khNVtcwl1ckZsRorCdOZ/BRfiqHWLUg3AOk8vfJ9/pHPb8bJ9rbc24+F10X6+vmjyh2XdCNuBfe6bxtCCpdOVMYUe7tDVJ4YO/ELEiWyL0BAt6S8HzZs4j8N2ZWw11zN9wW+bUoODy+cNtbkcPQ73RHEEkl/kEp+Rx7+mq6y0+vnSInHR5hRrrDBeTEgjp0lncxRsxXrSG0hHzYCNTwhDBsuUOYkaHhqPg5UsdCkDCj6Q6K01BC6e2+XDCSdepsx5eSeqDEPMITYTdXasNC1BMU+ayG5smsiBW9IYmA0/PAqBfmYyZngabVq18N8rkKF3i/w8kqeGyl6Ut0JVL79+p85UhqiVBN+4FkB+ve4SODHle3r+Yvz+SQx6cp9PDUZ5C/ZXHGLJ+nIJveFTHa7RH6OD9j9VYM7sPofA3H6ixAxNuvudW6VQvh27MURvrgPQg1m6a5HnllB7WCxgUwxl0k5Ni64cyGU/32N6foWJNBKqDMGxg8cepdqOANqfEyXewk9Ly5hZ/qcfZHJ6zQfP8WtT2TJSuZlsCS9TWmiXAC44GnRgMslyEFAO/FLkrX+5sPwmdXWF/Lusu//dxHs68ZDH3Ck889vXSwN8/CSNIIX0gOtrFIsr4der6c6PtsxvOwEa1ks4Et+vipGVc49ONurLDXWKaCkvjLkzpp3EnDLkUBxz81ZzmYMspc/91EtpGjLoFDHHbcJyya/SMVh+kwPX/O20E0gvrm/zjZ6/PJziLnkZfWs0NnNNkOKp2dI6iwLgzwZStvn/gaIbuDhokuITl4z/N6VFYZJcL3hyJIm8zc1lWy4ACgqzHZ7vCGbdTNcXFbBqAgSx03YTM5rRptg4AfM7t7oTF8vcwKOeGwBK5PRDTC8qghVupnXpIRoE048bC1lBmRPxyRPs1adJVStoUkkXq23uRBI33qRZ0qFGSW6MUCWHPHTeJxJ13SVR91e5fM8W2Vh9qtp2sh25WLqTXlKTsn/8b8mQwyWiS2c0fayro8INMEsdsE+2zRLPekHds0TWPd2lJQ+usiNUsXKmKWwwEtCpM2cs0X+O4PxPZwp18TG4jgR0Af5eaCOQQqbWonQyq90n9DOrcD1ZzvE/4S0rnt9Z42dO0/nJTmRHvtQRWc1hvmc7swdNOmFgU9bXCKJ3oQOlTehO7QbfSahx2t4jmBujsdIsaQQm0IXKOf8ZBNFEwESGtFQ6D0Byw8DWQwcuJ/75DxYiR1NWH9h7jChWZiljvNAb2TCouvisty/LY4YFRb4e9KBIdbvvEE1uLEvjrvgHEQju5boQLEsgrNdpmf3OUjwozhWGqwhzc10IthJbnmrRq4g2uECBM1SswwxfVJIBCyIxT4fLMKdHLgABOll70EcHm8Yob+5f9bqaGiY0QtuLV1sPfo6hDGsjhrQMbX5iZYc1Fy1MExWCIjIuYEGH50CWMk3tsEGp3OfimGp9UlhefqweGnEaZHnTcq6VA5GTeq303GMHJugL5qs8P25LnebtMXPfUc3YHWf58CjgqrVE4NdtI++dUW6//Qxi4yU4/hP4V5f94VQgvRaUqv5OueEJUGa6aa60byBEU3FHMYiqZ/1HAGEtaae9ACFa5qZrzDFuvAW71GAxgM5OiqBOQKE63tsBApSvLcpeqPzsMoPw7QI9PeLF2y3qu2rBX96mTDzeHAHkn9DvMTlSm45G5ESF8w8Bbb7DKhTVNz82+mHupYUKnC/y+lWQO8jmkR7k3l/ITZ4E18YR31MqJgzky4PeC2iTVjZH/MysYswzl/4gptKZO+x3o0s0j4X8oFNdGGo2Zm/uL+TgfJBPxgHSc5uOWsTmy9viEf1jTOBvzKHIuZE7wUjgK+ZBIPxVrjMTZ+F4rU4UHk9kMbRjcQYDvx7KyJVtZWrjeVzvLT4RPjU0BNeCrc0igJkkdm6Hyt2CC4EOaDsLSW5tTG1dMdEOdfWNyAjKgifpcOVtUEIs01G9O56SB/RFHWiCMgIx0QaVE9w87yxMfkQqAwPAU2W6MG+0WFnikucr543zN5G5dcv0NHDEXSn3E8D7YNNlrMXjmzhVi6UShy2kfm4UH4rbmnOiG2ApzpP6GUsJcSbOwr2xJ8wTiAnISynvCqBvKK6SKfRYDhsrTYp0IDAgo7o8ZVnF+Gpn6L9/F3OiItGjxh7ofuOnb0fqynglldbqA4gJDAj0l41EMsBWvJOltHJ8VWdu75Gg5jRNwB4KzG8pJ8CJ7SdVbTNOSFnuQxTGAB8gBKgqG9MUVfBoBDBi4B0tpRUfV60fx7snEOJbjNKWd0c4spNalDnKuboaa26Aj2JDyQ91AsInYMPE1kqhr4ir7jho1YbxZwf7icW6/DaVKubPBQoF+kFF+98+dinr7+qeB8BDS/qyYafBrrOxBYrM4MxgQNCW5utdviYaQPMdkr/Qs5m+nTv7053KKjHKAiQYCyr7P1OsuR9gaVZEY2UX8L8vnIKafVpNiLGhVISjSGQSw263+omyY79c4uIEgoOxsQ43QiF4XUDz7LPwIAWRiTgs8Ve6ejZzJFh/pKk80MNz2MKDEuRBGt79V0aFgKBrgrhMXllqrGVxbiBY5JGsnKzhcK0kCuz21kbJlqaYJrW17XPHwjrApfM3LPxSKMh7p0qnR1QFlbn5lQc3N4+NAWA6cSoLTUNVWLmou6ASNK77WnxbcUO2cyZ6XzSIXCukCETqrZ7jA67UEhF6ICqFheoKnwEOfXsJbcoF3moSNUXJoscUzAFCMaUapZWBdgK6aMd/bGjn8D5jIWMBK5UG/p2qgEjko/3HhswP8Nkczjewtv0Wl/hTS6i627wtGyb8Y9wvgr/lWLxbnq/JZ0uXLTsuBLuG2FAtFVgLChFCqOzCjlST1iJz135lvVxXddUhnL05orLggxBD00JsqRYRFCyGQiQSJBgLIhV4bY7kF/OuPkN1AvrlLlh2s+f0dMGf437MmIM3BLgtvfMaLJfeE0+pqBAXqiUJgcNSvA3w0URfCRSvpCAs4lQs8BSiH9wd+UoAyWaNBBuMAJc+tOzDIYlQCq9v+0aolk2NhBiMKMxYfBNv/FlNgk4lw9GnT+IFJYcgDogkV5XE6WMatCFQ1HBB7FRhg1EbsUXs4YizatJq7LCTROwRGwk7q6at0TniVOtomn+0Yh8EAUqlxo2Jl2C3pgMTvZ5go9NCJNgiloZWIslqJWwFbrNhcN20ptKrOkwdgs4aAuW+ScUTWR3B+gaffcQbaHJbP1rjWD+jLkgGK8Z6fSEFWl2PhNsks+HUXSKrJX1VbYHz5xLSTx7ArYZc7NfzpFZGJP1TF8mJrZU+MKb1WZOHM3i1oC7X/YOyXP2/IYw0Eq6XGxvOXSfpal7CmvMPsOFi4kHj4xeJnkgmqU4F9MODConITiUlSk9X0kUJWvG5CubNd199gDVPJnANZKeSuMpuRvjg7VpbnqALGD19cYChBJZRe19veN3bBm+DN6HZU4MqafY0u9ghC7wx5PMQp71bdLaRTi9osdPe010y4vPi8OEBxulak57vMs4pF0zzzFxOVUs+PDcKysR5dx/xkj73+dYFWj/57D5pbbBkBWSj6mpV0rlqldt0AtKITz/30mOgrS0QmYyQZlONheCOzEdPoWY796fWXOamHjhXrUnGHJDaOiLRIn1rQKY/UYcllayruArzClMzwQ16SXP+olThL7BGlyUGfeED4Jy92NxvOntxop+6qPYaYTMdcF8jROGqV/qvrnxL84FZZ44enRZwzbxUJRxhZZs7dWHJrKMU7P/0nH1InwB7AMiSd0oAia1+aa5cejA8MLYsOwo9rgZKQBfT9F+KVwOqGICMzjEmswuTM14n4Ba7LRbc1s6TGuGSmcdeTNq9WdzSelffund9o3lj9H5r471W7519cOef+v0Kp8rR5loaJyp8uypuzv0UHkbPRyHKBfqYt7tiffMT4+INCWbbrP17YLCZaimmH7PWWT0vD4+Ptm1ZiQBs82iohXbP9PTA7uY4xztdnZRr4FTQ3eSNfjJeXdkGGiciK/Qcf7KNY8PNgt7aWpJMgM6NdGsILD1Mly//pK4TbKjb8GyaTj/nfQ60ue3ywSHF0qBz++oAuRUKPvHrj3Y0x2LbRA0iIg8pt5Ge2nnBJPlewTnnu0upHbvdQJ72kijtpmHsNYT6PdrXVBFiEbcXV/LsjA3l1WovF1qGDLyWvxeNmXlUqwQqjdHsNa80z7W+/OC3c01zzpVOr9PolLeekp2QN8kDhsMWT/1K+xEA2/0WT6uXZunuw0Bxttnpibbutk+QalGj3JiIJdbUrJSn/kHof237tZ2wF5iV9g23ZYU7vKLnnh0/OK5VdqSx0cY3ufToKqwkbV0bKSuxFR6Ab8ovMMr83xUfjWdhSeU60fQQFAbGs2818lxrG4fi3YbWuEFp7HAUvsatJ8bZUdv0VS9bisb0Vl4t59nsTppNg20cdRAeD+S1l/JqGckjHMeSEpRDbB6Py8mjAE43YtlWU7YRuA3NRs70SrMi6lS6cIUXVbRaGpNQOJUORdSo1DUpbtQQWZTokQUlQVrRKIsihpUyJtA3gRVREgeKCtCfFTex3EbQBIxd6MzpIH0ynBscKlp8uqnpNN4p4P7RRThQ1+NryFNjyJg3AcQ/mL3YH+l6nqoxvWlFrKbKxg+5WMld7jTPj8Z4FkBfI2irt4OotSv6wvVV2K63PN20r7z7Ceu4y5LPOolasffbQvrUojhlDH1hpV4m/fXH3szZtd4SckleBmxZldnaZNWg8VLUUeUoLYtryrAmDKi2b9RtnF7F2NYxZTYGM6ZN1nSrtxzrttu68ahC5V8AyeXyNVWkltPkRq4NYLU/lVZVkeEhGKVChgyqH/GYKumL+Cbhb0VJX9RCBoBT5etKsIgit+5jmi6VOpgnkRy6gPZCF9H46Nvjvlrl11Cfrp5IWPbonv/q5amC8OoDlSXRlefLRm8XOqpPKTySzZb3Ua38h4pS5CMOUaIBIE18Vbi9+KJs5faWYfJ9uJ6+jLjUtWdr8GLhL4pO7RNb8adessRThE3OPMice2u78gn1RlMTvo8ImfzpMswQQ58ot8UQoHgBMVQYEMPhFY0sytoQhHYgiHWfLRMClwXb+prKx8qD3EEjicWipn8Plo8BdkpArqFxnwfSzyVQeuqImJRIk8NxvUxw4ZAXjWZG7OO+M/RGzaUjmSS67qIpTrmW7WldYUQpXnRWFEbdayg3KFqVtWaE1sa5hJu0tkr4h04phVvsESA7WFOctLd8joyp05xMf89+YHa54WHu122SiL0LQUl1csIQMxizOhfcDAGuAnoN3ebpTs7rh3w+kgyJx8TNAWiTwR443AG/RUHsgw3iUfEhj3sDuXfeO1C9x7Nh8Sj8mt3pol+Anpu3niDL4VgXRMVwEpAQVl0Bj8HJN8H13Oh+N0uSUeglaBPdtBWsOVz/xQOz+R+PGh8tPGT+H3iXTZa3XL2isECdV3hMt79lIMzsbB+I+1ybN8hiuyVeROsL/Pr1YwMeT13d1s1sRLJttyT6+pk3BnY+HY4BVbSD4+PNTc0OeISDaTfG/WxD86DxtnrIP8PZKaP78HEzx3miXu7Oc0WfnuHA6Y/au4mu/CGaZV597cWNpkRaPCZ1LbNUaHNfadFbDLMjfPSQz4fOrHxtBu3x1fPN7N21+vErzXL+H9GlmRkWK0ke0B/3XhTgs04JpCgMBi2XDShNcw5bpUe7+jZcYbgb+Z1K66JfDUgmKx913PI0rdWex4Hh9+5KlpThVoRyZ7ke8NuGI7SlvK03p+FlzIhYWRb2vlTcXmYi4m0tEHlxD20R6SiqH4wR1QjQLWxu6+S8bvSOsOOe+15nZVWvK8d99yDsa4ZiFFXlPARCbncgkDobCtF01zPV1bW1wKRp3HUJMc75uStvrXfA2hy9N7Wso+fmisJU4mzXRvWNzzd+jgYKSWic9UNIirOhKp9KTMd0Ur+s7c4Rb/m1ZwUOUV3IttZkaLhtrzaqRO0PWWKDRnFm3iP3TNlmWdSKXvWxAH5BG6oToemklqbFpYzD9X+1KmpF3fF6x4ums9bLpnfJRowc7dgzWv5LqraCeloCb1oHB1AnVN3D6f3cXIjw7IV2Fu7Rb1+6W/VsSGCRZPGSWVr//gL1PSQtCzDoRZvTTCaW7RO0MckOlFudt0dWJcrPWayV6vzR1/p10MiK95lHBhdQRJcfCChKlxgdOghVwzuDT4SZNmcqquOcxjhb4XvKxs/uP0i6eT8dhkO5H9HlByBK4xtk4JCWICnRUEU1rqP7LCL0FBRRQ9hLM4FKP6BLnpZMWzzIwffW9h6jIbAz+v7DS/+OjY6BBTCo2i+Yg0B/1/6HPzzcD5AAHcsscP2ZucZmeCi5iYmyNgLplDTvn6caQ6VFhUGuML6neDuzepVm3CZGO8cyWAtQvVAVxmFSaPch6/IgjgAKO4py5aUmgCgWgISzd0dJkexEO9IE3eZaBVwEaoAGX9AcXy+qIhSe1T4UFcl+V7mSfkKQACce0teKRlWvE+tbIdMZQJ23MjgFIfEzDm1f6N5SvIzUzhYbyx883RSyD3+apJLkkMo1uB7EoBE4kJzCbKTvqoo3GyCuVE5ETbVrmgdUKpdPWlJpX7e98bxNQHcPVK8fuvXHrNoueha0dwxCuqkd4o2tPUMy6FSi25kN4O5WBjKrWNRDhnZnOFb9FL2J9nQr8Pw2+tK7OT3CLJNnVeQ44RFQgngt6ukyfZb6dmmJbbTz3tCEy47QitkD5SvGPCJAvfCdA34Q7E+6XOxo1Z2Drf/cePKKxajzXMkJuf1Ov9G9JnjkF4aW+MHPyOh1r+qzGiCqctjavG1tNtmb+JvNFfQ8L3oH7N3zM1rfWIl5BW2CQMO4vQtFjGsPURP7j2GERR2AGP3tJOmc75HpSoL/w3e7D7P7e+aO7Ad2Q++lj6CPGg1HPr4kuNRuTuSTCpId5KQYVEm6vp+DZmF4Td0SUJXMJvM05K+G2TwB0/61yKPEirpps+984g0V4tPtfBKEvwW7d4/Jtc81Gk2mjvY5m38RiySSUlAKESQ8oHsfFomnlYvF7PIKp0mdkt66kdrJLIEzB4mCiu3Nq4CMhjeROxe5IU/IkjGRrFxcvu56I22xern34U3w5v0oul1gcxJpxLvMIHDeuzcuKK6pEzjhSFj0jHTDoSXr8nNi1iTG8DwMWkeN26Z5JjgoSnBo/7wO2cyGKPJju7kEHISbH7EsEId/On40FseUxkosGVXF1N9eyTd1xICqdSS8o57eB3oFmzc3BAQvQwuG6qFl2rm5ssTkgtBW31fH/rfuRZErXLF16QlndkGpVOgUjDU2rK95WnAQqvf4GoZe3z0aR0t/YiAWOvsgUlJ8Lav6zSud0PToT+PMMV43MfYT6rv9x/ln63PgOrCcxmZNHdcIEKAn7XKPUGajrMzhI/PpQqH7xWjuTAJZvK8tx1m8OVUYfVqbxG1tHksIvzh/BY3+ofVT+G1yL/xSDXf363DzuvcSuFYplOX+gNNmJmjJcLA6JXEQRBJFk6IolnXHPEM7Ba+lsNJRLov5QNYP+fFuOI/6OjbVoSPDE6SKPV3lidmuEIRDo7n6tH89FIAkniZ6+JPiUQxylHOYe6Nk4Py6oz6fycdGQ56L5nSm6l5nKBtaPMI96MsLeP46b2Hu42o0NtYTDAD7qPkXI7StdU9Fei6JLUmwt0iu/saNd9vgzgrE3h/Yr3gFNvRsi/Ot3vYcaQjzlaNGBtVrUYxhVB1Lfy/FRmNMNlIHRVFhDbA3mguv7T8ojlDl6bF7oP2s1xsOf1DK2dBdgb6uyJuek6062hPvDB7znfvCGLz91vAZZ7fxZi7c+vYBCuMaEj2at5uYy3CitLXf0By9hyrjnVbyBfINp7st8q+/Bv7VeOuOLbQKaKbsel6iK7zOS5U8yhV8x4qUR9646eRZo0PdozmN9+SC33HEoTNsw+9Yl/PKBxNWbw/eVt3G19uu+/4W5f/bXaB76/Fjj599u+7tD95Sybd+0vZm4M1jn2x1qOo+bo6AJIrcROq/zvl6aFruxK/arlJy2yumAbtx4BVAp5sj+gHbQE19uUh201dvmJolSVfgmynLdg3Ygbovm5h5+ya0W/aaBjp1TXVxR0b7Enk2LJQNgUCj9c466yO2pOw04I02lL46/Z4bmTg5vafNnTp50T3MejkOvFxHVKPNO3UrwN3GcN+bhZvBrvLmgtoC17eD5z9jCzcurwXby9sKN39UHm68K+v4Bl5TVBtzPG0hzY7GhmLBsr4da9fRxRu+WeUHK0+GTxwo3Ny2rnl5rbZ25PnzfzujoZ8HIrjuicLNJ/Y/0fi9//AnxTX6DSBGtCPkGodfuOp36DcUbXgw5s8AM0Y1p4r+sxhYCQaiBKGeW5BDULmZpDDKpyElmoBP8fPeJMoanZSISX/5d6ympbsN1Mcxiai/w3C2UHD5MEWur9wB7PFvLrLJTBzoGJffb+dQmdtfWR+gWZaTW8wO4DrbZMOwDqlEfmL3LVVaAbAmv13cJJ6mtl3/Z2/GPT+u/vyPfvDd30Wm//x8jfl1+NXxxkkX+48FzgJ1fYFKdo0MpQPw5ArfGuqe1X9+769xSdygpo/8d+6Cek+B0eBPasJBWHbtgj23Y+uaesNHkBZgvgFDEGvdz6po9YWDjU0d3aE3JGH0iVBOzDB16jMNRamUWOPHa/9b7nkYT0Clsq1h0HGhighJS+qAyAJx7CQLIm/VJrICNELMIRYPpZOFAiJvbnFarqIL9v3XWKUL1Gz4KFhtS3X8RJnyg+s0f/sBNuOkx1v2Y1KdVJGGbfCvoSh+IJATUUVLEfcYFH00nt7dA/k9TY1AdVvo81FU285auoPKo6/s5jkndeU3GlP4uerq3eCpjbRKo17bidqJHhSI5qEoUU/66ksexK2vwGWPNQdETlFhM6sgH5pcgIKYVKDfL4tjleTKJHoU1Hy42ZbNpJ07SZzwQFWQhsPK3k8hpxyz42S+roPBa56joARCanmggnxegtuAJGL3B6EuzE4YO2iLauOP2OjNnvfhZsm56/Ae6AYPKM5rGO+Cq6sXzjP3qMzVKo1vair4saLRvTPHr8N8kuEm9GLHvQ07FC/jLtLfRC13q1wUSdJ7Siidbe432v0HlvlEmImuJI/KVGHiOU2ZLcPgRm0m8cxvSVNFfC8UA1p37GYFNq216SyoecGt3sVI3lF8Q+3wiGS/gF6F/k2x/q8F7236rzGfpODppXtVJ1sb9QW5HtSjCtqt+By0GXKLaOyQ5s9+KKWKqp5pWTyFUGayRQSoQTis8xTWuo2QLqYIMSzfW3yW9uBenDpAbWh0xqiuNoHSA/EWKdnFjhqt0mSmGYg8Xb/pnkVwJhi/TZofyQhFyKuvv5V2YG+jtJcqsYkgJbGt7I6862ppd/bBa8/TupQST/8Qf5mWGMtilWvV+4IBk4dls6iQ+1Pej6uawxrSgzlAMsWLdJfvbz42iksyaOVYvV2k1guhW9D6kiEJrdN6qwUPkxyIGELNaFxaKNuT/5TcPWQaNaz7YPYipeEEOErdhm2V+b/aL/jND4aYB9Ybxn79a0u0tWpAKxUkAT2NMD5VrMz9ltDbrvDm+wCp10OBKdc6s8+yzHrFsxArC8kaz4/FQMX3C6o/8T9ZfbLxwrGZYO9nsR172mpsv9vW8+E2wetyJ/q79R3tBw7U4JPfLdkomFfx68p52XWTe1Z9O2T3rTUeXRLfLGmQ7t4mUL4o3wN0UbVUTXzjMLY6pHDAco6zJIciUqv0apFYOT43ZY9MjkjF3HXIAbprobTzO4LVNMMaVw2z8LrzpesQjkf0fBjIgkjjtu08ImeleSM8YnPyrBlhOSM+sy2oOorEaaXj9mCe2g0t4YC1YTxr5FAzwnPyFRZElBxDDsOe6WAzy9kAiXIlk4I1p67o7tDdRSAphZuod6Q0/3oEK6+zcMQZK5ayPGE1820rzV2sMepXC/WlPdLHhROX5eTnkJ5p29d6RO+1eT0Wby/ha1ruNhpahkoBjLKrc7IIm5rLXl9lloL8CbORRZ3Va1mrmevEHVarSPuFil9rsWavt257w4C5YrM9qmje1Ws5xMyOlMcbtXqlOotkr2LeyPCSVv6DITPHzQn+7T9Ro3hX8y6xkeWSAuEa1rzykdXGf9ihtvKxGM+vUPMIysP9Wv4C+Q5Kq5RIZJIeKb4yi66Diq2U0211D3LZHMLsIdQ/E6vtqHw6vm9BgT2/Qm3ip/GNaiMfTNjzy9VF/GD3gHJ5U9VTwTx7YZ5azh/ny9QyfiSvTd32WNWh7gD1pExXV2N/kWxsH34IHt1GyDIIsPpr+UcrOaypP9Sgm8MS/eyB7t2Pgnuj3tmzCAJEfaqcIz/QMH6qmsM/4x6SuQcGdQd4WrUWwB5UN4ubxL18iprCl/Cp6rBVg7punkAt2K6SqCVAXy51X4f6ncgdrpXP+p7WN2/J3umV57r8ftn9OjqlnMA+e48OpK3lXMZV/zqnJqyn+RLmugnY/7P9SXvzxoztblVPm590F8j51KpQK/iBs0YbTPzVfrq9aQg55urMn6zm8Z0XZC33fLpodQZFTdukUmcZgcDxe8XiEg2AN+40W022raC7hBIdKxDKcm2g631znA72c0RsfptFhRXGCqOJTc7eVGyzlAixe/SsUWfWgF3Hi4tMhtMclWSExmDQwPzABAloUBvHt7KT8mF5meqbPDj0YGg+4NqPYJ8qIDT2KDYsNj82NhSH7vbM8QQp2QauoWvadyHAjcUQqnbCDFvSaJlF3Ekcjg1VP+GZ69l9QZW6Jw13xbkV1vvGMsBgs4pm2IYNy6ZjLEI1TX75HgUy7E67+DhiAkQDDpMRDYfGoNys/OzfPdaD7/58OZZY8Ejy+aAF2Fc5gFmhWZc9ykGdIrk+VJ6fHaXOeuTTNcBhF0daT7Vbw9UWDYIQFQddtTD/AS79O0YszM+e8CjPOVp5UpeR7Ju/0JpGA6YDNdsTPH7HIsIz6z2Kmz1kQQFzlF5aWYODFwpygzWfDOfQsegwAPk7GCAIxCK6PQWeKRf9uFgM3S/BPJl59aRaUNaf8/VGwPwKL3qme3Z0OCY5RH2FCMbTZfQew/rEmVBsf0La7HcrQTrEi55RuxtzFNuo7JhNVTGiIch2C7q1OWkueLDjkGRu7TFuRkkz/md1RAs4M+t2Y45gG1QdUByXnJZmWgzW7yraaA/mGGE+dYuBxQOSLK45Fr3bsC6pjG66xalwDHrGofaJh0MPaAzEbzesi5vZHssLJJnEqCB+GpQ3s247ZgjbIOuAkvO3REYK5g6erT1UKDlk3i60M63Drh/4qWuOHlY28HLppgtF0jaVLpoaqmWLSTnqP/+yW5EfeRR2FCdUTdVFq1qlEokU2JPTsMIscZkzXYAo+k8bcYETlerMFmcLbV32BiXHhHFVVVoPba2hkCwwgjWOYE04msYCZoQ8U2qASDdPqVDoKTIdDpnsGkLGF1HkWlxGQlQ4Aw3c2blZ4mypLEGbtEi6aPKoSMiUZopB6wJTpaniS8lXQ4WprGjxHzyWkLUNuPuY2/kcAffQbrdtQMLisedOF3D5nO1uwLXPZwWjZAnZUtReLDRWFFVMKLm6bUDMEnBc1XdqQaOK9flZGgcbt2Vo0cBMNkFNN5DP/WOPPv8H0dAIhaR1kSkFzdBPLIFrW9y04MhW3yxJ30nlE3GUU1PNXN2YkXXuB4r7X+7kwbsvlW7lD83fbzvc6gkGfHx+vzN4y/D85hlsgjOdbdDwAOGLOJl7OPRRKi/VihWJSVAlJIrOF9p2LqijXDqD9PUOcG6xZBRSKRzWrPZMbimeis8wpXGncnPoUsZMSrYgdypGEKEXqieyEq/mZZ35joHE51FwKIKUm2pTayIC6AhN+wS5FBk9h5vbpzbBFaDK4rbN1JKZZMblVVmgxOpySnJhrwtL5VSEDeyuhF0D2CWlytXOBVjATavVsgx7fJwBk83IgLFLUoaVqdOWk7EZSQIm7kJEsxqpNUwZ8CD0kJR5iK1MlDBt25MaG7fQga9eq86B3IO2Xk6etyW3G5Kc4BEf2EDDwK2W6STH+v0pfT3hO7AgNHPQiB71Dc894/T72ZwMlLuCgBue4gjSE78/1xxl7tUHbGrAWM/9XhDKhg1LURfRiBpdWHqqDQiLVUaXDPjyg0S52qaTfZcNO0z3uej7IAe76hXjMoAVrwNWLmEXI7gAfp+LlgEIIFPR2e3hMA4Gqx3hcLh9uIU5jhvSgCXD3rg4jAxoeJGRp/14k4D47MCuG7jhT8W8T4eboIvoVdusOZ3U96AenUna9C36cl5Pfz0nWSVe1YpadTTuwpKhvysqBQOW9JjnV/ESCDSP+qs61W+Q/MJzh9buLiRW6exCXYfDQiHVKbOAWq1qbkZd3dZDCfyQj3dK8c86rbJ55wlpBEjFyxzJ7IlqQSU7DjytD1N0rVSLDC+TwN9NccJ7WhWSWqSus6fbvqFYcvQCz77c7E/zjtuMciWTmt8Rmpp+VK9YX38fu6S2XChhVxtQzOIY/RV9vsCxRXq49J1e+ByopZAj/FzoAegyfMTw/A9cIbDF0PyBzMIK0ALvu3UDzd+zWQfpzYz1iuKW2BOsrq9+/c/SbY/HOzanCkKimpwcUxGNeT0ejvZqYGOoB/m5Ve+h/f2MCbZn0HgdFkSWDMhA1dofQ2N4m65IfynAeoYSGI9gCAy3Wuo+lToABlejmGCgYzRpNWUSb6VKHOmJj6PRxjqik3PZt42oElfrn/hoEhhtZEXdb4R0MCKIRDCQ26xQjJbVdfT2dvSER4iEw58QcnVw82AlmgwCS5GlZPRg5SawsxQ5uPqzchBdT2dwlVCtHASBOsrr2PxhEAlCVeRS5OrApsFKQOEEs9lwlNoHVssOxDwwR1NyZANtuJvYM+bLFDBLXQR5M9i1ORlg110LzE6xY/pjOU8JPSiX+XIgl6r1peq3mukqtgGbUQNtfqWSTW4P24St6XKDHFaaWWylPLMgby2N20eXIvtuznvdKTmwwRJ17MMNvGjW+YbQuD31Jbofe5HbPnw8TVuc2/aUAeQst1hhLGZjpw9Tf9RtaMqHs6zNHOl9/MVMNKc28qkVi9PiGAXlkZojet+/bi7RlRTTBotDrlF28Dk6TPqH6HMmH5jibbGUwz4cGNwC/yJhH5zcfPV7V169/OrfhN56RKlI/vKM4unQdWBpnoYcXQKujVY8e/2tWr7UmZHTezx6/fpzReOLH/vbF4CtEZFtj1QJhkWq5Aw327EMq/lSQGvs7kahcBjH41NTiQSOREIgrwqHQ4h060gEJxJTk2NxkG/iNidzL0JvdNeHoOkNozgVj2N2q34WH7GB7pstBmSYwX208Xwl9igDdeE000q2TZ8etS8M39ctbJF+Rthg+NenpVqaCnw/sAX7mm94FWe7BqsuAEtL2LXXjbrb7YIXeQNzb9swwawuf8vlT2MXMFvigb2o14UlXxSFUKPtAbsYazQQ03DcDn6ISzsFYD35spE9s+geYpl8EAVLnaQF5ivr1jctKCE5JuhORzc1rzlYkobvH94fvl01RTruL97vAHakqiSVMPIoVclMgvooF9Ddqoa3mP/rmCSTmY7/A9YlVKkqZfKZIfI9LsjXi5VwB2Fb72FviVlsXcxCAe03eWqvYYv1VYctDkLPvtVNKR9oS1jZ116zCBeGq1EDU+/K+SWamtij6KLCdnD5bqNKr1ZXLBbXrHbXr2kTWPLUw/z8hVDZ9LY6oYwvB/0KtB1rTpAm5IuSyjMXDk9ncnNZlRUsDimXDSKSCaYlT/7FkWJ1YC/U7DZOLiGOkR29nmAg1p6XtZi8Kjj5DXkqUBUbZm59CEPqYzH6g79nby9ZT7EA362j/6j1Jzkcu+Xk383//uDrmwUCuwJQ8w9CbwdPYlxf12lqpjNf1EvHVa0BQlIDWJXzNxv1d67s5BMyaP0vCO5v4v9omFe14YYbqO5aXlrsKBo47DhcJM6+B+UdcAwF8J6IswpBOhhwFJUW90KsZenSkrAaYk1fmQs2TeQMKxYK+ILoYkNzixqEXX0T9WYhTNM8f5vWen1YStww7HmljqiduD/6kn0DtfHK7aLo8j8LEFr5NFAi2MADzbUCoUBQdg56mHbPScMb4puk5hZNGHCY261+uJaoafoFcf1XAEMmpsDQeF4VEL/nxZFCW5INWPaY7L/ZTUfAuYKoTGQ6K1235wvenfBrEpjKcfxpRhawDLq3gTbW0Jr7VRR5tIzSdXLfI3eICss4kzpLsm+u3E7rICNlAlyVjHywEOV1JFsjhJaHiIxZCovsjF5eO7wlw+eblDNh8aMeGcG19PAszycxO2y8BFbh2lPfGVg/VReCsGgShB7nNBkN5wae4QwfNeAOUgAn7rgCfNPFh3cUnPOMfFq+xM7w1dwZ+0PI1tO4fFyEGIS+IG+pXNWPdl5jrZbRaOj8m4jejT96cG09re2ug2kuDLrVfELZ8G8mv9YU4zI56OHyaELGJ4mZf5PRI/LpktKwVJ/kPYqmiuadIHfxS3Lab2PEQl6DsqE6ZmyGLPi+saWVcl9bgJyUY4gWSTx8seluxSkN6oZKtKtz4VMtoGWG+E4Ol+Z3I31bRahUpWmoAHnFS/rPZ2Q61tfbCQJx9S8AS7XeVg7sjgVyV/PDZ8PD40giKcAe9G9JdPXa+Gbz3jeVjRWRYywyKzk2GUNCY5SiLBBaeS5pbQn2FqYVYfhdlWtN+iv9LqmYV2BMFoMPlReIFwD6hurkBeJg6/ITP/zwO/FK79fgWkt+/6h0YJmw5ET+wnl4qi5P3ZSTcrneGVs8t6Ji5kRsl15t3aniYn1xbHHbtIpZ74HWC1uMRMMpQ7KgTQtA+2GiN5CagsMuu+YXlhY7SSXO1aT/kONQDV/AE91ymC+cfgiskWXOquNz+eIbKD6vNnEzzgcOfjnc89NnJQk89AFbNHlHj4kzKFT/fPOpeIGHLmCrJlefBUKOIXe9/lU4x68IN43h2hLJ0PwGNL7x4nG6XIrlSK47TT5AelzOODrw6VpcCzilUgHr5WrrMRkkudK1v8lmF6cTZpuTPOf2qlVL1Wa5Vn9UMin58PUmJHjM7lAiSuZLsDK15NpujS0tprd+XfKhdBL0bd9OHKuQmIZEHS3aLyKL7m2TI3joCzDz203VuuiWBfOq57u/XOC2TWcXuAFy+BXY+nUbgk+udw83Ctw5MP16zqe1iE53vSvXL9jgz7fVcL992ytKzE8v2/mv65f/56e/XfyLs0C7fBOQ+CFHGZOGzvH9E1OxaHbJ4gb/6NdiQq4CSWszfFpVXYaqH80K8u7MZNSEVCFIltnfOe7MqSWoZg46pyMjq6/KeC2hzqApQlCe502NEXgT9P4BxijlURNRoD35zpHDLtXpvBfeJ+lbJ0yLKWuSOaT65WAjiHPw/aEdsvtrpY2SP67T22Q/FgrvHKq0YVg9kMREPo8F/uDAQUb5iJdXhqYDkvjBpPajWauqI6OWStVjemIyzFmhoAdNG1wJsxzM82cykhTWLJDym5sItUhS4f83sM8+NNxu9hhEJ1tv1wQgC3RAtp4VdiCEvAAk67MSVrSoWOdtfvLxdWVyaZF5jeyAZFz2bZmvWHoJPFn8OMxlGuR06O2x+bTQfSt6r8JoxVaH4D4ZGV2yFJdKRqF5kpeh4ytuSUdAMOlTLHhc+OqcQ+AH/vA9z/ofhK74PM0iFCe0udc7JLVO25igxlgnmoIimmhUg9kk56THBTXv6Wo1lEOKJ5VGrczXoag9kx4VwwkRYwvIFAEgC9G0JhhWiBZHIUl/GJUrnPDQffCc3cNmIdWhwu9pAv+6jofIOVpV/c+djITzCtU+mcpDkDzLweuhKjhkFWeThLXsPgM8bPV7iSy8mIG0s/MEer2QS5IjgwqSlSsmdR2zJMkniYvxuPpjeVELpbTtJX36QMT67Mw5hbUagu6rNq5eeatbcq5JqDZBpneDT4P15OHaLVmeIlV+8E4Mp3bejNb7F6wvBpqdPyqW1zdc2lDRsOUSuWHRVzi15YuoenK8YUYD3mlf7tzFdmyLuKZIttY8o58lwY9vabhE+UFRUMNnnanQO54AC6+uvslbJIjEwi/qsYSDwJIX8AYlr1x6Q8IjvAQ4Fd/HlPzNw/f3PYGGfMXMoual/Exu7gy/VMlLc46gCs/DMP/INWdTaZ/qFdcsM8iMhUcOyH4HfK0PDitmgPfQ9wJyZLiSyKGbIJeZMQUw+HclsLIOnxqzX7y9wYP63fjkQHF5xGDzE9XXHwnWdN8fLbxkjYRvyJzmRn2iNIu6bMXHPvfa1csU17hAsQZXF00D5SHX5pIxJLQSPXdBlKRjHxhlJGFxAhOCochFc7v2rJeT0BQMYDKRMkkZKgb6rfbqdEOaBDis0ASn96Iw/Dm7tZ9/ZCy8AVRxyPuRYTKVfnGxV1Z7NrxMiXrqc4f8Iigav2Bdfc4p2LW3Ehr2wKak7oQtz8IBBxTu2bJEThAWqDpXW30HqCJKCncaJjEFrdmxCLohCS4OlyASj2oXNKP/o2S7qAVFM4zzX74BKB/8XUVwMQ2poKxNCSZ5nEIx3c9jCiNGUAZX8ffnC3Szu17+cLfzcEp4Lxf6E5KTP0udpRWlNYc+GR0R9ygMqr/QZ0xpR5sD0LB7pfAENfCq/1Qkog5pugKepO2kg2Q+tzoSytWy+bcQDSoCbzjOKvxuRzFAX5MhWCdxQk2DgaJA8fKSkPrQMduxur/ZaX7F8YoNgk+3X4NSMf1HvfSzkJ7Ex7j9jqMyd8m3Sh9zvMWddYzLSLcngGrm3rkydAhXm9c+CR8QAgPlUoyNQL5Izih81fBkbodkYDlnwYCiXnWsBVtnVmyQedyasLCQODdr/CR7SZ+mFaBc9b2a6Vrnbmi21deXFF5+gV1dl+7JXNUznhi726OPeLpizGSiFgXs7jrzjQEFrO/Q9Hg3FfbE9I2mnkuGHv9VnzdhS0fe0h3Jf4JP9RPDlO7cSbbo0yLFibUq/rRe4UpX/8yM76Eve8X5Qn2f1bB79UVP9K6X1lQBXTw/0BXu7dXpu54vHo1kFDNrv7ExGGt4Z5tEsXR1L6lkCD9q1py28MCrKOvzs0EdorN06xE9UKnCqxn6uAKguFEO5x2bih4d27vEcFfu7Bkt6+hdtKIUdfQA5npNMNceMR+gg62J68b9gPvVGyjSzvRKvO0rdCTbLQeiNNPW6mF4kr7kOPYth6P+SLMvwsY9Cc/Nw4wKCQ1qOzJwbfgIT09eWf1rpIq/NnNzqFLAChZdz4r8NpEYDT0mZsVyiT8rfkvICsSijhY3pYp/LhjDSlFWKM7OiTbbxEKWgsUHH1si2TzHSaGp2KufOmcYMZhUD+NXgSLj7sxbaVOtSrFQKlbytsnF4w/GxVpeu+z6CBD4O2d4uKqUFaug1nCRkCOfx+0jqAM9A1oP21BeujKcqoyt0J1Z5g5ZdZyWc8a0UrPe7VgHK2akcrVSa9fbpLZRqVQt7ajtYuloQ77UJC4XKwuGlUqxXLoigqAI5kkgS3U80q96Tyw/RBkWxKBZq08P7DKBnJHDkhNmNdCzYLkCJiimJlmTd4ApMqcw1ia3KUaPvoNr1bxI8TJ9phDuykjvSCnWafpMOpM0AC3jpRIAbX+3YKs6Wnb1eP+hKSQ5+S7bRRba1ev5W5+qUqC/fUfuDqT5767inAZxUbaw5VhBa1NxRq1xIFvNo6zccQ99Pox76DDTEZjZBuVCmJBrWW5ZSoxQFcu6kipxfSp3pxmhBjZc/ubjT/8nf9bTutn6RSP1bf9W93rdLZteh07nJ3Pr5llPjiK3/aNrWCRVJFKlviRUJZVH76urL2FL55TUwgK6p3bcRw/Hlh0QvD62I6ghkjBB3VdrTXzLtvvq7mutf3Q8FvnVq19p4DzgAzx7Y03UWscl2+5ru7oT8AX6B6PNQrRJMAsY68Hh8FuRdywCdqzjavAd9fXeYFC89qNrwR+JVzdBGK7v+B5ROrqDdjRkYeCuoJ75H7WZUXvTmzKlY+tkGlL7EQ8P/FAJ1MxuUpdC2tiMWMmFzTvH05WjaT6FzLmAGLTxBLjpsN2hK0YrS4PaaaQjqyMXCsiHWKunJRHbSUz6xffazObMdIaxIaUnbDeLtmZZZ8LobGY6PC2VsN3OFwYlXll1Li5vtqwzTnSM41U7iekAUGlyVBlcHSz+ZbLrgEO29fxGUNN74MqDxcHVCjkif6Go42+71T9UuhKVhzVy/6SrkvZwhXX8l+I1Nn7F/HiTCny+3UA7kdxPThhyRmGcb/jYxKAYFZQzaiFmVHE9WCmIhT3BjBTwUVRJ9pc+0l/ineq7z53VnZnA6NqJpmc6jMlneeXs5GuFX8y4RuxAHZHZijgiY2W67HVPZskc0PuEEQ6nG1SzfFi7rh7kTVkqRBg2opKyWFcdsu5G3nzb4ao9xAVbydusMVfs2yL3Jr6AdUDtrzqsvJle1LPrGhnWvK0CvB3m27yoGzvwBQ83Fft2zAhcQN498gccJhX/YeCtDB4pgFIIZyqBQ/9bBI8U5YFHxdHCPGSrJpAmwblUBXcr6WrKjmMlpyY++ah+2c48UI0sAXHf4g+palW29RFm+vuOFlKuJ20bLBmZ0J3BD7XxxRAVffBI5f6uu8H3g3o7KvoP/OPaVxfL0NmVB4+gok2j+w9U9LQ/CL4XtKeT5wHNVVzpk+hHuU12UVEdZfm1Wm0VPb23ImzKhhKZeTTFe54c/EIoeseIIyk4ySC0NFHUxErpPyhO1NaKzQv5/i/ItK+RtlL7Gm9hML7ZFlNQwMQyXjx5uyi8/f7lM1XxWTtMtRSbs1KrL50prnrFYidQbEm84hV7Zc2U7ltANlZMbELwzB5yB7TaLZIlgyYlssZmrMKZNHFjIwitJKc9jd3kPt6FGl8eS5KL6OrFj2oyouYHKn/XqkUyYf876SvBPC6TLekThthbk+JEIruDUrQU1D7a55dRVsrmGCUGoqmhSSRow/S3/1ENkCW7gOuWSruQE0ER621d57sx0KJlNDnV9Zz1auoO5NJpS1NcA2O58gLCBx20G3kh1waIHNpW2xsw3kaLvm59ujtyrqG1dhwKzHpfl7DGrXW++y6w5TWRoKsb4/acW1H5Sa29p0ABk7iLeYnU7paIN/wzUhSspMtTeOGF7/3U5cI6YaNuQydgloZ/ufq4RHd66QMWdtxxO9nsq1cvoqtO1HmbArx44hYaWhxCfQW+f+sERE6S7CmKNM11ECOfTQGbvLV8awv+fgiYJBUHMNuBUnQTQbhtsfwZ3K5skLj/hKsNkymC2+wh77WiKpdibGx8ZzB/qlsVTMpKAtZgs//a5oAKwSXn0gJnk9/1CYLXzWefZS9fbb6j8s+6aZfRZ+j6XMMZYFUd9qfej/DP4acapA6JqP4M8F515nqoJdRX7JNojx2Ofax6WfbjPp6rGX6qw0Q9pZZ23OFWJrFPE4uvo+tcikMFsLHFHJphb6PCnl0dmUyQvNHbowo0Hm+jT/8mnZbjztnZdCmdnjcml2Z/42PT881mljo2ERPZQBvDaHgDWJeLaGQBe16Aa5hUcD32g2vvdL5z7QewyrN4E93cCMgUtttiqiiZwnaITUFTZKN+o5VrqQ7Vbag1G9HSMlreyNN6gqk9tNcOzaegKvKsp79+oyVa0vjo65DeHnHXq3TGZEQDA0bnEJrq9k1q/JP30Qne0YI6dPY2VHfEj6RPIBXvaBfN8oXqWyziPTTuSYhH6jbQsiVwPy65Y4uYHkXtvEPjip/4HH3eblenkExM0+8PJfodTnmnARN9Iy9UzM42qyC0DgSYXV5637uBVp63tpmdFV5oNEgmn7MW6OmcF5z6SasgbNQTbOh0yv0OVZ/BtP8tY0dABfMpN551DVaDNu/Op2YGXfIiQK3johkXWkZRiiyZQvhmaRe1DeMwHpiku09vXMxKpoO/e5ubOyD8Bk8kBUuHH7mDlVGiIu7t55IurampQjRN8CP07RdifXVtTxcN57X1oBuouTSOxjlhDI01ByodgbOpvq1+fBftArNRvy7IndoMsvGZsPTQxbJwSEipJwgJsUXFWhfmu9YUi+/O3ERyw+W/pZ62yKkzP2x74nFo3k1pqHlJcIFO+zSzBzBmrwovlq54iSD0ZLmsZ2WjujULDJ1F2dfvPFVQtkcQtrF1L74IvmDiOKkBKTiwhCt5WBdlL7RMvDqz/L2Bt9VvjRd9+4pVff2KTe84MD7FYu5jQ9EqGc5IVrGQz/OxEo/FfHJG+djXH7pOGbvsdapwqZyQPuvjBV8mmMGb+BbeAxYflMvisvgHMd1qaTJtKWAmleAfJNvlMk2vlXS6C1iCnU6XQuNz6XQRCrUMjZZRZuYo5QsENc+EL3n1CKzZmLnGZk9ls9eMq6Jcd+YC0DOTsPLCUo8xE8R/k0m2F1hx52ijtWOF0CvBdr+/McEbPqCBXtgQrnnWwQMT22t+bCHs6NC5dgmtae12sFijWEt5OI1+f3sb3zoF8vRaj/Ai8YMHiCCIa9xa7yStadasPG5txLyV+XvShIneRLBpbd8oX7qamH2mj8dHay9+q2DMAux0cqNYt/TlXmX+I8klP5yraUftqRqYSwK7i4ayQzad9xSePIpGjUSJn/U9QIlEXYlVqbYyTetAd3DVwgUukJ4h6gGXQik2kOhYr6q7lnM0ma0cigh0MPObCtcTC51dBjo8V0GS3ND2sCaEJ7iuB8pehA8uZy2j9+bE5XJPjxwfTEU+eM5v2uMNVUmLP3VTSaBfr6+k1XGGXwHK7PJirxPc10HdZL7nF9eSTOnIDxn3WeuY7nWOY0yRfLjx31fIia9IzbB3lw/XrX22Ul3HfAdK9fP5iLAd3G2HVI2DVUy8iGxToheuUCl7TCOEoiJ8FElxCoRJMgQEZ/arL5FLGhgu7559hEH4HAmnOUO10Wt9eoTCCsGkkZOJfzPs/DaLoF51/wCFuIDGNE44klj+r9zD6n49auSCGnWQy3tj+QPIoR51/zj3z+/mDahF2S2wUgfq/j8YwJH/3JfPLjY4gWXOWWJa07rjxAV0b9FgSf1Nh+6883+TF2+obRrecxzZKYE0sYeysyYI0RJP4uAgJ5onkTGOde6C/eedLKmYI2Hkh+Q3ppur/dwCMrhkb55BlvSSnfI3T3e7hUiFdcZY2jKTr+FRHVDrbEAtIs4TgX8EH5UhhdKJ/BqG0ZgxPuKIG3URemSmuTrArTiv8iYfzdvdVR7Og9SByeZ1hzEOSNb5FXJOfzQtqAMle2k2ovNwsJ6WYZXQoForZnUBUZE72XNVcGBUrBXYoIx8ACdLmaqMZMnJO50CD9Mn7/7xnlAwDKy041H6/Twi2xomheeicpj8PojxOE+c88XJ7DVkdrJal3zANEAVOjhZugvhW5J1v1tldnm4/HrhiU9ePn55Y1X7xuhnA5915bXwxA9sx7bUkdWBVXv1JrUIWbvUT37vGvq37yxIY8ls9Tnz6L0DDTw7w1aMkCUfK3RKowsTndXlibKowtIbQiqo6H06zmoKamKNj3JYoxMsdjyF/pqnbNbE6L6gmZEJJqC9grGnLEB477a0iMMpguOpTU3UjpKKEPBgCB5edDsGHYTOPWACFXHcOTARnE2A2pm9mfHWJo1dYKA3G5SEr6G7B/TSw4Sbt28FbzqBX9LYff9LSbz9MQ6c65xrKDBa2732JR7b7GkqMRTMnWuwpr5if+LxW1tjO4rzFfmqas+cao+VPsZofajLV4Q/Lx4gNwnYvd0paM6VPXC2y61JUmW+arpHznQFKSn5VWVdg1SBuwHIfbuMvXtj+FBTvxdPf9fk7BZMbduV2CuT14kutY+N94hxjye7N0/1EsaL14lN5I/EqbdL69j5UukTF8bR39qjIWW71/FAypeMkVux/+5LTyOkTy5DSk35uj1ckAR3FP0U+19/WXRUxsQTSDa4lAWOrEYZP1bqendJUMnv+utLPFwgOKFWTLl/P/ZBIfmg3yCTCwI3fxcDJDD7Ndt2szF7Z4WPzkdd+DVQ99ipD7olb7yusgCUGN6EmzdQpPWTp63d6GDC2IETjbrL5MdOcr5AsXE9/F9SnhL0mO/F7T22N+4eMCgu6EkGEjM3l+k9cBH9BZI+2vCUzdYRdNGX7FAXxWaNRhtJ+qKSaB1Rz2SOGqPP06cKu/LFHR1dpR1zAI19e7s6Ojr37+3oCkOtKyVzPZbzQU4hx2N0o/C91dlMPNUxpWEcgr07zpcUSSChbFIGFUErNCxK7VbyeSLTkzpo3DTiPXnqmuvxyVa5iT0ljq4wt5MtAh7VIo+Po0ly4uzKo2lI5t79QJN4SWW8PR1F/qRtXTV/M4nD5/Raeu0YvzF2XKScjUdXiCRmFGDZ3aGVEZ1Uy2fBKFTcLM/ljTtiVVpqJNTXLUf+1LV1UbwwX/YrDxZcCSC/wc8ucYLEQLP+QxP+lRWl4+isFra99Qyf8+aeUCg0CAz1czoXUlgkVq4eSP5HP9gQo4qc5sHNUQZpoZtyAdFcFq6L0lL+UwWbpFb2eShmIO1ERgYpV8AVv3IqpAlR9i8vb0dmN/anYzGImLHa9nhxRWzc7y9C7FP/2uHgVfFZ7/341wpv9520FEz8XzAA3Z3v4dltjN0/6ZoK6X9c2YvD6zLtzSkC3pufIp6BKNA3dHcsIHPILDOgI2/C14EWtU5F3kRigxxc2TpuKretM5WZyuLzoKyTNTq7UtlQNlfCOjXLYM+e4hfqFwZN2pF1SvISvu6gSjRhJVnTgSU5+Io5bAgZrabGL7CSeFLSUDMrZtfpPr/jxeYbsYbBRdFzEwZFNf7oZjZSP/lgouMyYiG7b9LYleKYz5+/QBRAHgoY1kU0iSDO7s+5q9MZBjFwNk5AX4tpncuVykoU1t5vbflB26Y9JDQf3avuPUPbwsD0NiKsa/HVVW2mppCpGTEFhZ6QPLV3XPZhd7ff8i2OTSNhWRv7xTKLRbufKkXm0GBXZwQxKgXq0fnTirTb0By7o+/z8Fi2WLjiMoFj6upahGQiWWLe8rvqinYFMT+Tw9wQa4iZmHtZiSNyCkKMQebOdz7OrrRiEUEpQdg9hdCjeseyST11RPYze6FBmn3vZ3IuNj0O/Md4qM1HuoXqZw+PTef+0x+ekVDLQPrXi2l+Srh7FyUkJBiQJv6sfZJ9C2KyPzyWiVczJaIjK0icNEoaqXMRkoVgCgDOvYGoKjX4gsYUCoSGUlMSFshJPAm5eZAdc3L55qaBWAznRqxeudeth9JDOTaa1TxuXXdbKBPK5Ujop2apVODYKbBU1HokJLj1aGnp9iCbkLIt5TzT4r/bWWpPoqeytc/UpS0t3mITElS6vbT1CLLiAcHl0TbvYBhYRoBXcGMWKyCIKERDWWfOwamc9Oi43indKRxR7bRta04pjUuNJE5KrTg2S6jPnCfKIJnJ1Yqc2eO5aRfeIQXZtCymRlNjvbJD1diV5kDnl2xlmKhoMgbg0Zu8js4vtKQUz6mza0/OSjEOqfqR9U+OarS6E+UnMMLI8/7WHBWCa2w9+0Lccg7Jnq/LwXCYAn3WvkYqTcYgYBtXg/Kqcty9j61fZjhzuraKSWNQXPhs795/oWY4TpJpWPqICKV0NgakubMjGb8tSiVDyPbjTuvOJOpKq8vziRQSSQ2U09QMFbDlEtvCt1QBdbOUol1a/MZxPIUYShmyLKFZTjLLliTPTZzr9IgLLIcQYiENTcUo6+cwHXITzYpdOwzmOd0KTY7Unuj+2o2aQ0b9WbiGzM5GfH/UW8CwBw89s7iE2MpMCh7lT8r+TAYxlk+FmOoVMooAZ7JMrdG6XG7ECDLkziYVyQh3+kqeYU7NZp5ZlEqBUOzG/ltzRq/PLwAqI1tNMVPN0Mxc4iSfWV0bZpGsJDtKyoGEIEibEqtVx6bMyNabDp46gVTrwloPV8PUJ06l694K86zZDHeyN+rxNk6p1nZJ9FJhysvLZnsQvVCPB6tPg4zHD6+bOBhiv+PGWtQYJD33RbwynX/ntnbz1UiKQ3yH0pvpLby4KIel+mymqU4pqyRL0onDlFSbR7BZm0UCmZSAGBxKQlwfpjLl4s9fA63ADor2cG63LrXKNbM67wNj0T6lLRG2W1Q89RuCdUl86TXlwXnNMVZ4PKa3XS+K9bz+Oop9+8+q+gxKBpUL2NjidGJLZvq7f1i0PRsg8dNlvpZA1ftuce5u54THKK3ArCxkPDxF4Hj3s2IMSInO6fnfm2yTF0DDUwoXl+dDKTASERChZenyvRIXPpP1f/a0pRvOA1aBUmSqIpPB6UL4vIgR0sRDOSdLNBY2Erko54Vh48w5Dnbf6y2OTPrpmbvz1giNKMXOnsBqMGQ+LBsWH8lJgWgGzfZJf04AFPGLG3ye4x/S+gKhvTDTKpzf3lPRIUIZSWeWA3G3XvkzPUXodEcaw1TSF/BhM19SAjNd0t/tWwTwMxh4Sn9fRUEqOZVEkqTLEIq91V48jmjz/x8zq5jefpKhgJ4nL/ZsBLC3nZaUSq/x5EpSafm9+lObHNVoXp6cK39RA7lhRXLgyzvOJIJaV+XTdT8QdPN3JwJBfurT//LWydXduO3KQV/ipWyj+Y8HxWG1j5fWUeoaACpop+zYwTWxDQLC18cFYrIIyZbyrvyZA9b0KMRk7wiI/XFPfuP35Jz1iGrMj43LH4+IyWtg1OUBNrdlYiuGwxVZsvmkDFIOuV6Ra/MsF/7PG6SYRCUwTLqawtmrQNXar/cbjbtsOdPIwDLRfCCGVguOr1VEx5IwPI24OJCXBk4e2vz0mFarP1F2giKIvbiMHCNZWnG9N8ubul7A4r5Qm4thc/hG8sR6Cq0ujxjb15+wEJTflhvkffzvbCMRS0IDNXVsKpMiYEChlYsMBFGYn7/hQqza2TxF6Ddkl9ufk2lkGNVu1PnUiyTj5EBpIZFEJhuAquHdW4oDuCBhKx4LQteFiXU11gNwcgeeAWCcjqeOpAxal4hyrrJqlif2Jw06P6F5RPXn28bJxyOROSo9cLs9UKls7GI45CSZFPX5enNNNyBR5crsiep/XAFJQkS3lxHpADHz8ZMs2IWHSIRoXnh5ZnhYRtSe8VcKMzb8ppwkwlQt/CHBPBaMgV0HWGtkaKWzKd2IRZL5FGC6KZXEwERGxPGglFSy/cS30y+6ihr6yvNJVCpJW87SslTA5ktciyCnrlE3TaBDflQ0oo7ygAdRVmsfb1FQhUYq2kxlQGRAHYI1gVEVRmvdKaC6QI8zWAFzrjFTCxw8iLfgTDHuqmaO0usu5wmAXuaJSZx4WENeq8fxrt53uE8enQdYnbDjnrH4yzkuqreAnl8n9qCt30E0EQ2AsMtKRnPIRGVRjQIaAphVODPWVDef7xi5MKfwQXR26bBHoSniRxyWVxmYhntEtLqFpcGy8TROGmkGHpz2CpNCwqHh0gaWbCP8LKCLRFpDjAhQNMt3E0oBK3/0X5EmNXP5LNWWCdvOCPcbeXqMreWesJxw4f15kUVl0a7vM818mJPc3+d+/ECilKWsrM6mESgaoEGkQnOOixMVzUzsewVDhSWqx7r88jm50kaq/G5zS+5fR2GOVEHIaWqPE6EiIvPV1OaQXofANcxkMP/e66riMiSZBxgKFHj57ht4A9lkAYp2iil1fXZx6hA3WV0BjN4zVqDkWInbv9EepdgZ+HDskGTMP2cuyzIV3RM9cOPFJHTC4T2j52h4FErRKIO/ezxvudxYEb30x0sdKS0VE0ASS7IYNjT/mXmpiQeXuCMeP2kh2e/EKqjysVqzvnZGA/VnlzHZKhOmSwCJn6/MlHu5f7ysekWEqdxnTUDS3sVEWteCIQSJkY7tcwgZkWcIeW9fV+WjqGgSz9S0bdcNgpFszLVcndbUOWLBtco0PaICBFOKsbz+yW4a7dH9M9AuFQYpJ7dPaVG+zFBvTb1+KJaUoZr69QKD6Rg5kIN035FpRBiOHbYe2pGuR+gOH0frn26MAkkBSWB1x8StvW2svM7U3h1/sYSmVLE1nDQebKO/TXMFXYaDiEqYFTmp7nUZJmciJk+F6TMpxP4K91+/lhJNkml3rwzRISGmMJl0+wl9WuNtO30ak5uL4aI53UNkEUVcb8mUoQDtoXocgewTM7iHxB6+rHZsqa+ILxBUG2hkDIsDZ6jKFKpdp8gAbmc6T8S4NoN6UPwgWXD8TO5QD4VPFulZ1Cx79XBDmmXYnpaCthAyKD4+BIwUBch0hJxdQuzXvGVVLAGHD/T3MYVMUU5B1UiDlybfSXJihor/mcSQ4P+Q/ss6+zobocSc53mRE8zXUdV7rysh1YHK9xEcC73SVHm9/jpP88lvMbwmwl9obn8nmofl56iHovXRZRezSEW4jYWX/FBUegZbTApA0cK7FTmBu3ysGp+0bAmY/Uc8VWTzOeEl1+aHPPs0z/mitIbbDhXHR3uQ04+MDRImEfY55uj2pnkn9Sg2HwXIemTYEkKlLCJSYlaYnEdGyHx3eoMfBlfy4K0Bqt6QhDN3s0j12eftVtbGmCWeEZTOqEixzCOSlO67kyELg0CUVutud8qzb9uLU9yunn/lpfNPiNjxRkr9oo2N21PCHK95Kn5zFna0BjZmSRbbk+KyhOEimuzbj/UUV6J2H0t5tcZYiT19J+KH+ZgDyIQ5IMwubESRq5u+X1wnpwsMqXErhzYsPAdjMbbsDkvAFXX3cjsmvP3s/xxhbzdHtNcnK5euVFOtx7IZUrWKU7Tci8A+L8j6aNpsJ00S5+G4aB7QM50qoYvMdAbBVvtppXcWt9B4qDWDSfbtGNQ9HBRzs0btjalMXn4WP5MPDPbQJDShUcSg2K3VffzihcNRfCqycNwClYGSs+dBmRyKAZAL/7Z5MSy+MSDfOTABz2k1NNw/HgnLcN25q9BcMZELW7TAJup42dmFkNC2i6T2fy9FMktLtFYRCcOkpGFSqmpCQZGfHHuvFXVyixrWrHx0PoEzr/yXPZjrtWUzZ4LFGoWDx0LTkgWmBSGI6vaQVH8lNeB9K9TAeLdk3f3iWgV9Myxu9pjrtGaU2VmECEuItAbTy42nMpv0EBfb63Z72FJng0/1MWTQDCqlGlmOSoUGLHC0Z6VFxYw6kiaVeTGAOlvsnefF1GWgUq2lyHnYAE8OU4p6aNk0g99eYgcJZNMu8HrPTmL5kN+tPfbz8vxw5S3TITuCO1i1KJ7DvTgmqfaZdO7hGeDCAF2vv9yXNvwgrTEn3JIy5LAxukYWXnOOGyr58XYZBbUFsk0k3wXfDTNIfgvCTF1sfCq7pcN+xKQF+fbBvrSsDY2Jzr9a9geUJ/UdTu4rIuxNSnEZLSjQ3ktTE+bOO2jfKCwQnNpj1GQwywBW7Nbl7ewGcZtM0CZ+SfCSKsYcuVmS3dnB5SRoVBoo1OX/YqjXdso0CzpYJMRmJl8XxKhHgZbM4ZLYFGdWFJPahRQjNu7XSLVSAA2fjFGOWvKx9xzv7OJvYoSfQ/lx4QXB+XsbPkWWVMdhsBndnTw2n1NrYVC3/ovjzF5TqbevlCBvVRdyz36h5Fcs60CF136/XtLeePX7izWxf5GiphTICEmqwugYiAR0Ai3RzjytmL/zOlrIqECBit/Znnldt+XqOVLVop986eo/ZJ1HCo+8aeBxQESBqoz/gU32sSb9f1UBxuchbvPtU5u076GOrPewd28Jeq4PMdsWbYnC19h79ObdNYMKtkbi24l5YyjtLvK8uKQqGpvOth+aW1XZ54DKae/cWITG3qXoseQolJaKbn6Oyt5I8xM5e2+d7NBkjvKoq7hVn7afKAS+fa/WtIj4uiYyTdMkFAk08EY/3v+YFYQ+jWcGMYNibaCS6ZTqKiqFRqvNFyDJak+QKnZgPfSMTq3G0tcC7CJs4eFvv0RIGndLjt1cXlce33O3qvGc/HyhbaITxMAmNcu5SDqboLCBdnd5RiCz573pzzDRWQ3SAj4ZRSalkxKfRYYQoCteU4J+JeHpRUv1/R4OqMOrlduUa44gA4zMpPtfkTaE8MSzimcneYictK9wK/wna1tAGd8huum7fbHnKNehaH8AENdZ6FeQ4mDXSU1bZPDheDECsx0UTjGcTT+XbB+yYabg7ODwayW7BxiS7BtUy8REd/VR7+UKC/EqCtQKn3G72rCy842YB2B7yAfGPTy2rGLCcaVHdVTd+zf2B70/nsXXpR3FTm4UlGd2Xt+/6aw9pKg26ymVfnqNk6jpowxF8Gn7qWzO9m7zVyDkNjwrAjzHkVmGigoXG3pkGgl8TwjnUpnJ3MeMBgeLKy25Tj7gSXA6oxl6WMnYIw6LiMGKQZhZSBfkyQ0vXgkYCaIOQp04efG2Uk1Qg10hCohTK2VUPkD+d+JbLGJ2BwazfUdqEheTogF6hJNZ3esMkhf2V7N/cHuVwYxaO6IzI65xizARPDLsMIcJVggrhIWFaoW1mCWiGpnu/NeU3Wkpb/8kJK1/sTEpKVSk7AUOuMUV3n41nvTA81kIAiAlcmlcuAKOJBGIsXLlA9F5OqW1lkYo8CU1cJbMsJNFIrgvH2lGQxv64P6Sq5O/MgHCYkONTKOkYFdv2I5Z0bfQ7O5wQthYzQ1WDjiwdxNrxt5KH0FP7I6L/yVDDBpe3EZFbfKewP/eIT78Fxj03881P3+xWPJPSly9F0ngFRQRM18xBExPVIY8fBcEevgf6v4/jkFumkDGNm6wQmDft9HUtXj+fX3Oigyy/oFONGRF8V7F4Qh/x25XYj7JEtpUS++yPZQrCKZkKTojzPgructSySl49GUH+YOUJbExl11YXqIPi1TZXSisHXsjewS9fjMmDgYZP3AVHBRVpaYiR4Hi0h1IGouRVFHpiBF1JKWYKp3RRaYdfqyJcaK22FUG0yurFIYXL4mYc/aMKt7F+DQKoU6UcHYb9w9+dMZU2pHeZbCqV2uUhmIS9rFdQ4zTmitJtG3CpLj5y51a/sj33IVZnIlIEiM7NNCLvdU9A8558SeYwaUiepUIPNTj0A+h140bNSJvuzNnEdC0bAKjqcc7OuTefR+3Rf/0FpBE76rV6yPKK4OQXJLewJJrrOvflkHpcstJzDUzzNtIRtCfnjNzAYDRuOi9/An0+Gp+0iMHWSOjw+4gZPZwbmqrUWYei66wi6nGHZN31tzxGQuacmrUKcf9iu0Dy9KPc5DHg4vt/MsgxyXGmvyUGVC+XYA1eUYnzBhoajxesdOQTE+2Px9L15QdrNtvgDB09jwtAz2PcTcsTOFFRlxz/EjUhWUq0p6EMLOD/cqUFdSMPbLerkByLGlHHxubYLuA5VRP+M5fl2gItcVJR3Dc+TJpWAaGdfxVZbd3VI9e7Jh25DLIOZ5fMJt79LE++Qp3mkBs8SRZFbH2k5DTnnQoExBOZpWFZOXRtVlKQ9zJyx+u+XWf3hXDHpyiyqkS+R1IdKJTUi6MCCWVtaB2Jt3OTApiIFZ3HLHju0loa2rZQhIVciU18jkQI9zqG/v308mxMvlnPP0jlquHjMtv9Ws1vVg+llSzncG4UMpjLRyfd5Zpj82qhGhWbmfYLM74+tmSxaTw446tB5V27q5/dkTFFKigsMJGIE+ZQqGwUFe7FW0nPd7OE7NZWaFfjiJszPcOp8FPp5bwxShWBmd+J5ycTuLwWe7tYalRZkhyMlafy2cxa42O08HmEAO7kIhVXibmhpqDrdDueyzdzvx5hyAVo+wfM7Pre0hZe/pILCLSTqAHZDityIK9Tq1yiP30WR353d8OlR8S+zgeE7rocsbarHftOv/49Dgvddu1CMlCsRd0pJPgFC55xcUVpQVNTXZHjPDTMI0xIhITlApJxAUx3Trd2EPq/c4MpT72BoYTO9A0s3yXDburmSwl8uQLEijqDAg1hVLQ+JrBhVKQ1uXyRKkAbRGmU7ifBObceGmcoqNDHvtHexIMoCRAhqAE13o2kq6tS7rmdDd1d8/paq49fcXh1lTV1ACcupqaam5N9cFxqHaqpKysFF1WUlqGZjVLlvJrWVlpQ/W6EjLPYx4PpO8+hlTjO0tpPDzNMWVqHTRzf0ucLwFFzaDn66vTajhGGWP5rcwOO80gL36Dyi0Rx5SnrwCypSZFPBLIbdomsEOJaiH6+V503dq9ZWQzicVn7ZbZZQDybMAJN70711RzAJyWVv/CuKvG41uM1ewVLHM5xvPOmQrbBQgPXIjbsNgVOjCRiudaDVjRWofLKunKBdiQO1uR/rs9C8hsMitHWzrmaI62Vxc5zoXnxFpE1o5F38EMxTGmSAsO/TyRr6jvd5dNz7ATGBnkeCdO+l9/EQwBog2SaKBVJiK2tnsFOOKPvyifnHXwaeUeOJeQlLEYzYRmJDj+Cxx24z6w0rj+yRRgABjH4OHtTUV8TvA7UeiFfLf9bg+RQ2GZAH1lPrev4qvX8cj1J9mgZLf5qtGuDigLwuougHXUcejU8RnHhQooSFLlw2Y2hA0MhofusTMjAuHxn4ydNzlgjwZUPa2l3wBBhP/pP7bV81puAMPdRbzhjEgLzXx2bLvJadZ0oWzqJaud2kVpJ3WK8mZqxjabe9lq53b3XcKdLsBUZ8MDm04vxKBC6bGeRGFxJGR8+pCPwYUD/sgyqA2H7Bi3OJ2gURBBMcd64O274C/jmTx7YEEx1c1srWaZ8PP4ixQYfFTh50b8Zk3mBuy8JvYoJZokvnDeFigN5fwKFGAOXPH+dG7BX1huGumYYhmO0xcpLUcd/IERNZLRejPBo5L1JEkZSBrl6crJQuBGskLKkRar/LncnbnMUxBBv0bYkSDxG2vU0IAPX6vjiVELokZCppWXPHniwKfFsWXaO6TlEpMkBAHlUmzR/MKyXcUdiWn5AUmJBS/8BEWiKZ4XRpb9HQJGjGa/aKEtkWZHNXuWxIAEkw0UZnNAxJOWFqC6F1nLDL4EIsmn09NTSvWUpUxOpGGAzPDArZHSqYEKcSVkDM5cP5kgC6gOPQ1TmNzMsBIrR5mJSYp6A9rr+DB9GEb3F//FcwGx939+zmCosIEaRH1AgdlfRQM3uPUBB7hlGavpIBl6wwWdkx8LQjXmy4r8aZCMyCumWFtyslGTLWxKS7V4kEHFML9NTJPbDlIgqdiriQ56JnqjIO8GH6yjPM9yDqKbk0Qm4+FUhuct7kvnkfKYJwyS5l0hSCQmKIGgP6PllUQROROwY+5NB3+AIB7S9ETRS272IU0qFAo1wqjbocyMIadIa8KLDJIgaWFuvI2LfiRERnBDGL36MlyYTJ2qLFaVLU1NLeL1+Y+ZOK+fMyzeocV1L1/ueE7Pc45z/ly0IqV/v8l5x8kZMl2XL4SCmgiD142Nr0Whs1CdXPMhW95HLBs0CVGt3qsv2aPLOi578svJ9+HRFQs2g6jmETJXCi/yw2IqXmuN7RLFqZvs6TqzXLwGz3nWZsbgmuzn8c1FW8mGcddsMWgwa42o1zUgumVuBU9da1IwcApX5v4j/hpYW2+5ISbyS2vtLKBuq4bbglUQ/vSS9SWmaBWsW0NIGCQsD/7LPDR4mvHDD9K0OodGvOmIIH2kRwRBvBn/z3gvY7eOEA8CXjcQd/WRy9Ll4AOBcIN0AcaRjuN/Ax4aNIs0gFf1vgqikbUmZpbzBh5cZ8w2+nvmz1Y/AyO1rMdEPwcIti9cD3bYx7bohrmselg3j4a9WYQRGGdu5FCQ7Riy19w+BvLo2jc5T883zsvssmn+49rVpmnTTZMw7WxpvNlomzbeNMYp0PzScpYy6CiZqdHuNxlRTJhpNDXKGhuh32RA7NKM0WSUGRuh32TA6/Ui9tNUmFE/0ay2/eFwbSzWT1GPKVX9ySTxdv1KZS1F9cditeFwPzAsF2NxM9TMXqcKU8nwjVj/mu3vV1TH8XytRKQMJY3bViVDxLydzd7hbTyvLUq5bF61WAjz5h1CzhPM8xbJYmly7mcf8ALPe2a6+CqjoG0sMgwaV8/U3LS0RoG5jLEfGmp0uId38V32GjAq35t6z50fZLvSgtbt7XZsqWG5IcXeOLwBA9uw7QRldvnWMnHerB31hJ/UxX7XUPku7J6RPw9F+J2S97Y2yZ5V/PxDaNpcCOQD3qUcLIrLQRfeTu0b87G8Q+ty4EkNBWDeHpfjxsCYqdOtGlKJWNBCRYQz//+J4hG48fB/LdeVn/z5HGvAzP50IeBiXGxTTA5KMbW/DS3EiiM/BDoxkNN8XV4e/8idkKK5WQmDJ2kJbgM1VLEmJ6X3xdAzgRF3SgsUchpmQItvcEejFuzikSPA7fOej/tYz77V1QXqNn3IkcDWH9pB1cyU6FAj0gxU4VvGkXalgIkD4+GPe/uef753nNT38eXeXqfzHWfL5cS63nVPNXz/PfxSBQo/TaEsy2G/Ooa/LXz76G/wWatsisfm+ASMvbQt+1oj6ksHZLrWpe88s4LB4rRlrEPOslCKQKRUf0dlMjAIjzC3PNOWNZGlf80mE6IAx6Szc+hcBs+QC1Lz/pnB5kR+ispEQ0AWDZLOO2cB/4FAjckhy4KNrJ6lsj982DvH0ZGcj5N/Og2995tc6SbqJHu8+bkYNfiHf3ewWcp30d+UmqZvfOL553ue/4/LpvyPfsybrYtC3S/VYOu2bVuB9TUR1BXXfsl219F/HvrQRx99eVB6ePy5548cSfQcea73d+nnjpgXP9LxJ7+KeO9eD2+vfLHeY96uOcaP9dSnlPtwXt5e/Kfg07MSzbEnB4vWBaosdQF+2ON1Qj7AUivXIEMS4dFmHS9BJEg9wvyNIu82d3JdHNvFcntHRKGSRyiy2sdLLCBkRlAe2KJjbWN6O0t/Ybu6hEdncvR8CaA5qOrHDMl/SgVOapDbpC6zCnhM3VQ7rm5MHkh9BK6mAotQdwzQkj2APMaUW+oZVerHOsD2TU5+6o5/ekOAUPic+0UQvvlRyV3ubtXfcSB3ID3b5erqpPNPNxnesU/1o0Ymjh0zJvv74XWOHxsvZfd3jrWMgdALL3a9GezC5J6Ltrn/kcumVQOgEXf4DWYsQ/+wTscsJ3NWeYJ/f46nuzwKogxUu4hMpMhwWF/LvmBzi9HTCqT+tLWNycBYxcA1xbzowDhN8a7x6ABFh6pBHhi98SDy8xcJVyT5GmAmBHSW9pjQKZo0lGrQNBB76dv0O4KdfvriJBcb5sVDYqFSMwpTolaCogeVj+kOmtTJBdKjEwO6HlWKi/K9nMDxgaWBhMkXDE2s7xaznzKG7snG6VzlHyH6VpAUXSnKOqwPEYcJBIp62s8z+7X/tUTlrxqFbO7n92e789SYBLsop8a6ucXKbVHrWHRRXpjT+sKqyKoJTYPgM452zYRDhjED2PJ+78Td0a9eo3IDixEtvd83fzfR0524awCTayse54T9/d0FFku3UwY0oeLpmUyDM08Q6ypKT+743WK+uM+fduj+BAqkmkrGmBQ59mTIXkv+0l+XRO6URv8I1RJSXLhOvGJLvI/ot3c7DWP/wC0Nxd4hsyWMVzsIH6r6Z+vm9n2dhlmxS23rPbGpmuAQZ/ORS4jAo2nJklTcqx3ZURZt43y1D4J1/jZngdF/6UjpGuBzSA2SdODNslfZY44FfbXECmBbAqBxscVf8cRHs+0thGIFY3NyWWUAN/Yw+WMx5bttdk6gknOo9bV67wywF1mee0GEoFuVEFN6WqufzI0urRP+TSusWF1CP1K1P21mBSVrmb+2dm6Be1uB6/DwkXSgxXWB7IA/gABQOnw84KDXwX8Y5OpGaY6WcynhajznTrKxNoMb+Oe34UuHQelywjR2ipp9ydXT4PIGVgrIKpbN3DrhyF5jtSH+vbJR17xnpZhFOfCn9257U0aNSNaMC4/qHpKn9Yj59N93XOX7yLn5sPGmTedZBL5LoIXNAKb9tqyHBTgFltbB1eWGkf+vCg6tbilfYMrHi0NDjO7b1TyISoKyciW6w8ZOOz6DqQbgxhNKBIwGgw+MHzCeiEfA4MhjE1UFOCnuw9staZadwHbGXltr9srcwgsuIS1dj1796uzy9dX9Z/p74zdXXVj8Q5saj51QuSPGZ1uw18YRxGtHCRYDcy4m47NYzMS4idHyxOx6XLYSd99x/znHA9jEOAIfxL/VsNfI7Ie1xd5ypEgRbXVHSsvTCoQ8spXnywKGtTWRMFssiSLdH0rCwJ53/Exvof+wBTsUvTcPsMEHeAHfBqkzYWpXIiaNqTBq4OQfIN+UFBB0opcCI1bQssWTU3PTF5VN0pvdKBMUSrOr6WnDyBlI7mP1p9zn6pMzISOjc2rqtmBw7FJN6vTFpXqmcrfWU8dpOuHEoaSG0TPJ6uqvlE/V/TIhw6PKzgGihKPxMQpLW0Lep3Z/Uc3x3eC0/S4G2VWdmqpS2RtcTnq28FNDl+QMBp1ebGFNCctsBS/aq4z7o9dhqRn+s/EXvBvcHaoOtjdYfVxc1P5kJT2y9cquO88/LmK1xH47tbeN7rny5Nju/966WwwNxnEH32MsZhvpcRtP+J6oTyxp/m6uBtPHouOcfDlZiLRAg0/9l51YeckpAc5XxsKo3hDCrnEKcVZFEBR7HrPBPmyUeB0Z+ncPTOqA8q9TPMTr0/8u7BT4wWP8b2CrL59OPwzMRuunwFC5mxfOXbrquPwjQW7QCeyMEtIuKBJfweDfR+8NFOSDdVSLISWtpOVggGoWSbl6HEdQzcVfeC9qfJa59cUeG9MLK7LPY6V+rME6sdLYOB2HE4eLKTA1S6TEdPiEBS5pKr5JBvG4wQkP4uxxnNVHo8XjiytpUbsPpUa2xTIjH9387NWnd0e53jp/tWpt4WdEAf/QwAc47NXrmzsnkXBB3hbVt2ccxOU70/kVjTTOfK5BRIJQ4FMRMK/65vCUf+9b13tZDTyQbHEmRJ7HO4Y4W42nHU3jreZ9W7l9tDw1xOWr9sRHYSEfIHUfVVqv+7OwE51USues94TSgzIwkUhdT8CePrFVCR4+kq51JMIeDVqYo9b9S6VuT5AGEGYnqMTzs17v5yzQ1RN4gpRa3/S6z8mbRtsez/UnjD9xppyfxZq/n7D6f/XOQ3yac0H14zQfdfnV6bJWgZWgeuv4m8s6xL2fx85HuwE96u7ioctIz58cjxXETqmOf38mgH0ffaDKB4nbm7JDMy+6dffxzIRoKiW7CWp3PBrHjT6zy80nZv4x+z8/dT66+6HpsOnDbnTH5hk8PifWIyw/Kfdi6zhuxn4XQ2Sk07yJEeFmM5UWA0voOSE6AUK2754iBm5KUUgBlgN0QYUhH155ZldQv+UJvJrDngMRDBJ68o49TGZxIVgU9fVD5FBQ3vrMwpNvd/jRJQQDNDtapTkeqVx34yBDUnosclkBRGlbpkjNtjJzjNoVQaUO5BCiSY9cAU0W68m4G38lpQ1qW3k80k5Decz359KNaGswHfADz/lw6aiAjvlVVeN5KP/rGX8698G4i+9dvOBa276w5fTlYADyGVw2vCO7qbEpPMNIHDui8Z95X+5M1vz810qsEg+TUU+shaE7HUCt3YejhytKv9lwxbcKZA2KktQHmWdyz9xuh//GXtQWuEwh3RsIeFGidz4GAU40G6fpiXJ2yrd3KlZqUYErfbcbd+vbXJMKtg+BcL5A0McBP5wzb52cTV4JXCp0aA4/Wc6F89x67BZ0yWlvkql4y+SkQY76Hvvg1hSrFrcXEZkMWtB+SDZNMpOnrqFcCnmJlD32T31Gq2TS5FX/v2aE+SWlCzaV6pyzWfW3UsF0zyfuv2QA7Ool7RxudOeF4ytK/1kxb72uZuLshxMObjmhaG7oqhN6ShZTkdRsXlG7eNnevuHb9SJBs5HYul6f5pjmCmieQSbLYZOo+Ft1trMEve76JyLFoffS3Qqt1qhJw2PellKBWDoGFPc6cxlz6OaN7B4qes7tAkBZQoxxAkGAEeNCK6NvS5OhirYHWH6HKQXmdj5OAUMZEIAc6oXp5rRtFxhfgEBMDOEAR3KwnYobZbMh2ePZ92MjFrQAiFgxDI+yrLSZ+mENq7A2DhP85PecNaj3PNjXGNKZJbyaMPBmQulc4T9vjo94WsimQQm9bPs6/+UWaRxVhhrbh0YmKz9fmx8yHKuOxAMyUQrxTcQvjP4oBiTNywNBCHwVTczizjbWYv/iFn8EhAMOXh1obY5bnjRL4h31oX2oC30xLdxH7tr7WauqvmPl08t3DdBCQNkHcJdZmV1Ubx+dYwpBc1xAB8gFONPB7Yu6xZ4e38PYphxAi3AhGKqQuTMgAj5r9p1DVwfWBFOElWHjwIDaQLO7qWxA82+7FvmKM0WpHmVi1E4SIMlcgEpMzdzp89zrFwjbb272l31cUOCJ18wibqQ6ln1wbcF9+ay3Jw4du9NyKgOGa2sBSvTfnsyNkEGNwnCFkjTT1pbasLZ36XEd4laoysNrs/rUx4TMzumqEG8b4yyLjn+X1bqD7XQqZFU30/fbmxoUFVHxTma3LOX/VSLLTvQfyHTt+lYYIUACcvnzJsw/BHLGkgkCeLtgjrWLuYKKJnNoY1gOMuIAQe40EwHgT0KPTaunW1GvStAMdoLbKFPE9buTChz+3RJgn0HXG9b0WxkMEwgDO4n1L/robOMsbhQBzV6Vz5tXAEpHxy4W4b4IhUZnYJGx6jNF+Ws/r1ee/b2ga+/6D1HeWZI8aY5bLepALEqk8VkZ0rqwWi33CZ8GowTQlUnfX3nanSUe2uzl5OI7fZ4/ipZRsVHS1R7rti/ztETf/fj2jZ8EWFxtAc1dP/FmJuiqsKK5dgfUsfDglCVgcqg/svrl/amPpU1Q+g2F3ExZ6VEWDIsBr31zCm4DSmUymzYAHAVkY8w7whB9Nad2niyiHyYhTCOr6GEtB5HgRqD+NQz+zrM1qu4BF4whQIcLmhNionNWsb6i1rvaYu633NlxZMhZWXfiFw9ZGnVsJKHR6yjLNTzRJ1zqd+m3Sd3Atts87kxTkxjFzUwSJEgHKvYoFaWJM8ELrFHamhqJphPyFCHUJIvIvX/cGUj/HhNr4Y6aPapmiN4qstvCC9AHw6dVW7wkTVCruDMu/V1twg3BXEENCLrzDeAXKZQQ4XL4N4+wxIfXa085sY63Okru/WGAGIBSgG/2XaBdnf7bQTBWOHIQ62lceMHy6GnrdEaQmhEsiElpfWnAeHmovU2Q4mmUlrqHU5+2eceLnA12DgOdd/0wMcn0pHNpvHDedulY60td5p1DMBbHVR2HIFBE352D43W5PC+jsQb5Sw3S9N379nXUoDBI/JIxU6EDRLszq8o7RA/Emf0ijAzR1MtvYsYNuQXM+eXK/V46MCYrlNK619jw90NUltJDj21SSvwQ3RuxMGMJUdG+zKz+sGCEuj7SVIDpQJQnbnhhgr97gzt4buWlKXhKV6PUwsxLv0fSh1qVDUq0uqZd36U7M/pZPC9DXspg+aW7UYLUNboamaJvlJZUYdugXZlO9OJ5rAPU1FsxiVzq+Tw4TWJmXQ++1DaaL0UYGAi7CPL1s21MorzupNZIsuaY7nnNjIQBNcemXGIvCzogM7nnx8+2sYi6I+psjQmI+ZXBPYDqybazwWVUvp4tRhI8yR0z0gRGbU4MSpD1UY4ZoAsiGYBsOkyxtar1BkqYBLnZdTaCXAJUg45sEBxdV7AqQsqiYKczEpUU4TQtWdPthXBXnPl+l/5+QM9GfagEmW7PbBAJFN0jILXEFjcdloTxnvPUUc9f9HjLwUDxgfqMtaRI/OnlvVKICZHSCGnHnPbtFGNJxnrlzUM4YSvPBpt5RgazMHjFdynUmYw4odfTC51zwwINKTN2DF553S2zpu9nFSRPP2Y1FJC5GyosooMUqhzJsN4oLTOjG872fr9j06oDrPX1JzoTU8su0wjTRLpgCIuNyLEBMQW5lMJpgnIwIaOoAuvSCOvASkGRoEIoFLiBAJoApAVy03LdII1WJJwsyiTFFExzUUyACfuyP1dexuDJuaxcSoyay2ouWdOvgVyUeRCz2DbaKaIgscf+3bpz5OZN3+/Y3wu/ZcdyURqBOCSIQjDOhelEbgbTyEJoyAURYwMBMBdiwyzhINRpjjh0sCVPyuAgixpvRsVnSLVirpJTFDL81eyd8+KlLwKnckhjgj4bI5jRUY4siYaEedJ82Dqw9TuTnc0wabJj2usYrPqGBN5MOO1ArXlqFPmixsIMR2YGdGbahnm79wLTdg5tvZ6OWbDEUE8mQytKUK+zUcTflTEeGpIxOXiQLDYSOE0C76+I2OFjq4f59W+6Y7/roojshpU7InZ415cj/Prto5nfzSOJ7AYKeGGkv9qzgtesr+x4d8o35NSf63vGE/2/6hzETHc2fspzjLcfvXcqJPjUvR2NOKSTixc3XUeEdzRc7zqWRQPMgWNdXTkyQKFZZEeOH81iJs5WZCUNrJW4x85HaqMSLd99yYpQL2u58gNCBgV9bd9W+iBGbx/h7SfqyNOBTREJEsqqGgZ+3tLee31qVqiN5QsGvt/mwH98G9u4ub6K1/f1/RWD4ZVuh3GC7l+IXnBEa/9rdAp+uouXHGx99/YsFSkuSff3r/exhjoJVtPzMun75WQ0ZOk0Ut/Lc2xJLcz5TOKC9ZqLVly5LkjCS4oSRKKu2NAuq5V/Gi1P70Sx1fECXe2IhAWZew2o07XlDDpIwUAhCEEgCmEgRCuug9kb/nDReQaYu+tPeGEc2b+3Vnzm0H/8h5mx98wOrSTwl6dzEC4JooAREaE8Y9fyu0REUEXBq9J41a+Mkf+rfv7e4ITfrGmqkvg/f0fPPn/ZodrwyQzXnxjtF1+NNV8455Hm5rf5muefEIsmyebbxCRMK66dm9b83qiPa/x20psPbD3LSJFGba5hjS3x1r0VXSgHRTDQ1QXhhg6M+AGa9aJe3AliBaXkmMTVp3OfWzTsaPdMp/o0odcJPvkfd72NxBdbZoNcINaDgwIVii+yuqn4ACoT6gM4/JpMMY7Zoh9dozzRNl0Zh6QUq7ZjMPDZhSnlGONJN6JgsTOyYQQDQb0qvRtDVQCmyMuenV5OkA0VjqOnhpS73saLT2ygubffwhQbl9HcH0/m/jvRyGHvO5n7T1cFhze0u3NoxtpkGR8Wagqz7bLzYayG2QQ5yAy71tBub0oCNXwNSNmnfrbLMTik4S7rZOTu3suml3fhpjt+TAMufH8cRK3cFbyyTgbFIRUczmr/Q+PgetTcDwWw0pmb/35GVZCxTRMUJqxAgNe2fYtXMDTujwNxQP7q0W+JoGwCz+YGLCqHe4RP/97hiS76V6gW7PK4d9/5YMi1M+7OWDsDv3nkBgbIXcrcbBI/MACnw4TCUzf26KJU7u8P2lDin7/7NWoROmmRsdLzq//pK1swn8myTAbMBbtJO8DkLhMWq7FsUgBTMy4bbgs+SPfwosTa3eBRgBjNrXfx23T/0o7li0iUKbvRBSGhpKiskIEOlyc+XA3//b8bwV5oXcxJAoeg+xQd/2lSGHlAbRZJ9fFrPKG7P/B/a3Y7BuP8+runFYTtpZ7nVnOqJVxJJaeSe5Zzdnk+U27Me0gbnBCweA48X77WZdlsq4Q3tq1hziYgRKCQXsHvH2Vmt7MkqtWLXdeO6IwqtULNybZrR6Z+4SzP9NIyJVcqvWMxx8CCbw85YhcXVvQjjsTFlWl5yJK4urKiHrHX65cuLGCZmXruRrc9Ctl4/MkpIz0/fJ2KJZjjEfmkXHtnnefZwKMNvd3dCwILm7t7Bpp35saVrbvjLO2u9/r+savM8EWDSj81t7MZRtd13zr7tXxmwgL7Bc3TleTOYlWtKr4TbOpKWtWgSZ142k1dyqPeG43jxMuxonBZfMnu526Zpd2rVnPy/CJ8fS/kmhMdWEWIJhn9f2IO5n80HqsO0dpj7Vmn9UIiYeyMpGV9wfbF26XYwEkT6840jCrIZguCyvLvsiJvP55WNfdvT1HWWrU89Ecjn1jTuEfGpyAf/xcJrPa7bt768jWDQj0iAPdZmBIuCxEBbgpHe+giE39Hf+HlyRTtmlWWVcOc0jsvBoGNtfEbd6Yuanmxh0nbtxcws/51e8x2rTmfQ0ktdA9AQr9avmTUGJS2w0P7ZmKDZ5X98jKXWv5mLerhp2NB86JgdTA3X/cJ0twVECEnKMC9VdxKCff8ZWRLaHhz+btkSk/1pnPDvPYihHshogw/34Zv+xD4HclaFMok+QwQpGjXA0vIxNmlLy5KErs0Dr4LCPMGyMd9G94lZR6ZnfW+YlawPwOqnJ/u40WzcxvscOiP9pL5aLqfTyL0iOT4ocOPVT4+6pX0PmdT5OIfmFTDRgehI6kJL283z/5piVimWrTk8yD2YFgY1af3Q0HCXhvulqKax5vmKRUoEiUp2RifCIZQmx6b0MpaQodWjmrLn8XUJI6coWldnB2ChL/6cTeRY+ctWWIKiY9SXh9vG0qM/kRhpbds3JTGSuGIxPQU78iVRf5z8kntKeJyLAe3ozW8+SSYbk5+MdXcHEV3NPudKltQME58Ta3v/v4shLrzLQE5uITOhrFTs06NdVfSJgabzt6Zyvrw+OPth6iLv5LpBk2KMyrwt0tuv3Or7z+8//UjGsvHL2SQMxtKXS88iNw3Cgat4nBBOL+wkK9jLAfUMFYo2yWCu2GJS6lqik5PUVNvWayjYFPVQc7lTme5cykYLk4MZ5+YQlgBzJYVlGFlFLU3KtDpulsJPCvZ/q9XlOLwuwYiTgz5YSzBsPSpbjTDEWXnjcPxum47IW2I15FzIcdeFqR9V3YAYSFIlLW05KYsxKiAvNgEpW2b4nlRAnci8r/lCiCG7B5PmhbtqXtUXJpEyBzfc+QZamlOh5xDIh4t9iwTreila3vZU1nOyCE7lYku073T+1Zkcu/2sTpfhfHyNS1ieY6fROoUbV8sLOWXtj9a90cRchGJWjTUnLzqvlXSu4uuSdlgxdJFnkLBDK8jDFa+GR03gT451V7n20E4CzOd3PYe7xaZuYJ/IO2X0+UzyizJ4f6r/YIpz47G0kN2y3N9/OZsz9u5kz07Jvb283O+y8qZzg4Piy8HNIauru5edSC0NIvFZLGutrfLZSw2k20FxWzW0oZIXwBiY6K+nr9lB0gnSV7sORK8+b91cy19hOdRnrXZWF7yrYSXStJCOqOdSUsmsGRRXmZxAvKSPpd0Ghlj7xAfWdHj6MPhnPYJ2UESbQoKnZG9L525bT1Pwmv59CIpMANZJ5vGAFxQ7aZvkXxzRk/Cm5XNqw2RNeGbLXGr3Vb+HkRkSA8/u1O5M/OI8KCkL4slyn/UrcUkWbstS1gxySPAnNZZtNl4SQLuwob/Dtz3HBzYdjFXHEoOo8E+0sNZIRwgAb1DFivK38hTJeHdsTystrjvXtQi7OH3tMahGQx4fFQ5OhWFmTmeleCZijr85NHBB8++gBa759cuXB0HthLT0W19VoTXaH34O0wCQrwnlnNvP0uBSwQIZFRiCfbiWTYAl6ySxPMZwbTQz57hlMvx0pRFk0j7o9ukDQc3tx+6+nn924hSXGYJ6r3H0qOXMv+7aGUc2+4bt2EU8K0J7dh68kwDYsVWpOzl2xk1LnTVsb5FNYfeke+/lyyevBpNj058e6vB91hzXt+p57NmeqTAvm6+CqnNUe/d4HJquetA3U0lHT3yCkbxFIuwXvCqf6mNB6+SHi+ZHx+6mRh3+J10qvcimLmuBGt5XpntChOZQiPrjT09JlkGkcPz1LqrwaHqUP3Vmr7xyvE+XKZIVA3sfU4Fh9JDwWCWCtx5SRJdNpFM2GUPEImAWsTmCjxK6+nZF84VEJSKlvPnWs6dB+0th6hUMtVA3uPl8Z9q3qj2H0+PpgQjOQMf1QToCRTQKmxDXyZOLMKhB/tq+xqB7Yu4p7MLiHyiUtH2HA/FrVSNTy7Kx2fRYW7sDNKbu8P3WbUUBrPt5N6/HpAoXuh/T79U3VStByFyDsukMu3k7Pze5WPdgD3xNiTQNq0xApOJmhV90wti2Bm1LBEcKTXP0zn0NBIyn19zi3g0anmyyB+rc5w5zSgdwi2e9Ph4baMrQWUE2y/xlXWvkNs+XnyH83jpnY3xCa/hb/xt6QEXhQSUTc3qVnIHWgn48gEEqXFNZEir0vVWyWvHD4t/K5HDC2Rr9F4XYwI//iieb2UG+hNSdu3uRuDpfFDxm//D6HKUmX+Tyr1/OUdrpvx67rLAbHAx5wpHj4483EG9fvNfQsY4B2B9nWqcKkdw4Zwi1uJKhYtiKXuBIc/Qxe5S5LuuX2xnIzlwnowKXC79nrN47vX7SA6Nnqknx/k/SS94rZNq213l+Qd+zGvbCYH6z5ivzhsukvPtUSE+6sWhiXs1nn323bFtu0MIsblZ149Sr9KyYrChCeOBTEgC6rYP8EjdzVO/GndiIs/sx4XvV7LnauYyvjuZm7z1ZCRmp5frH4M9RMGaLr2rBE7JHXcMi4sFm3r5PrhCzwB499XkRxUD1eAo5TaE+R9nzWBnlOUqzsPP0M+C5tIo3efUg2P4AE+DwofPIYjWfVEsB5syPxVvdvncPsRrfvvkh7oIRmYiweW3hUEZW2fgpBCyR1jDHL+kKMcP73Y6KrmIjaS1yR7//zuWEXWl1e30tEM/Fk6IHvmXZvn+ZnTUmZucVP/3ReCtexb912lgLlCefzltzrKXItXEzb+//sWp5vz+SaJjTjF2n53DReeJ6m4t8vj7CSc9jXPv04vRcfWpjk9Rx50pW+ExJq2/adJ5tUDA+pFwcNKpnUp3ymz4K4OovJBVoRsvcTGs4CDVyQur42HMQD7FIbimd319KjWKGvX8L1jS7nSy9E3csc9Tbox0DBd9mA5jwXg+j4oZX94ALppGcDmtiEuKXmv31uAFGT88p3MOi+O2kyPEQm8hzqbzeYRvTtvof39kRzAa/SNqN/mGbK2Ld+5MbtaP+dc1nc6IBwL/NP5ORfCg4lR9E4bGTEkL1a4e8e9dAZZurdLQlqIiM0wLN7LDXbMa+Iqga0sAn40MWyTIwL7SZ7iqc+J4aDupEsMaTBHOqJDwIkxNHn6J5BZKnLxnWnl+ZOb6TVM7ktKQ6cmyL1uhwrEPqfmxnH2n2XfVcfThKYB8N0+l3P4v/dqnVzcCxMXofl9ugON7btPK/peJ8ljXRK4pI7hHT2yptg0FwUkkwvJrLnlT8IVcJDxCc8E9AGnHWZam5bbp4hpRihpUfnSgfdaBrtypZC65uOWa5pDeB+0lj4uf/6R3oW+jSuMlUF5/UJJ3re7R7VpMQ0roUmqmjxhQsjNwpZz9xP64LhsLMTJy4N9gv6fS/nQcj8nJpdGw2cfeSmvZV5O3HfjUOyeEePomDZV0yi52r0WacxYR19zt7cjzPRkG3IcqPraswg921X7EzFxjpU07Oj8Jf8SCfYrFgDrLNZXzHU6Myy9/mzq/COuxtpmAUCCYnuwZRpdp1QlbMzwZlOnLNp25xvqaqdfc2PNoKtn4S9zlM8PdU0DI0M6a10S4HTm+YfqRL6tHW6eEfgKJWNCkXQxmpr940d050dXJ5Ws4x2hHqCaRqLd3onfZtzgBYd1Mt82pp5fYfuzLjh5GK3P/Id2pozd/fvh21xtCll6HHbZ8/cUrZ0Oq1D6QCAWmzYhAHwbai9jxOoOYy+/Z10eJF1rJzwN43rwxsTYdqzr7au8/ypDdNK7j7OA4oRmfOPAY2AiXbyLy+rf0p2EHqgYyVDcZWT0VPdi5W1T25KT3bupVVuexAjaxiIsctkhn80XTHHbegm0XzuCJZzluHSOO2WmkwnAJgioyIlQYKLLT/MPOn6qZolRamChYZK8ClnyOXKsgfd7QHBkaEMfR/Pmgo26V6e3dtYHOCbsqXN2XmMCtQ38K3Q9PF/+fJXJWTN35Ortih9wtVCqzHdnItqLdqIgBWYEew0uIYiQ4JA+JQrIoitVHo92YmR5qaGf8f7Yny89dcGhWmBfRzWubpI/9dPPdF1r3eTPkglzNJ+mlActrhqlz7m1IW28u6NMAsocrkcpzdAPYnMCoy0ICAseZgzlIYLd/FSzFBwhZFVyeC/bWgDzEcc5cBIXq04CPqqhW0Pr6hVBtaDthNUIqu3NhGNxmUMswLKLalHFpIDMjKwLDkpE2hVXmHVZ82E00SZRRdvqUh0MgL/oC0/z56IUvcgKAyi3utKSOps31rvWXGjuSCjm8+fuOVPUJxvq3zm62h5ikaUk99kv1HDZN3DR9EBGfOiNKvRv89u/lU1J26rSmpWvqXdu+qexILqSlQ6eFwW9T7xr29/I5hdOa7Tfq2XTbJXtHYZrM5Nm4oWJtv2Csqu/Ivnn8QiBZbc5tm5uqY8YOCumoGrjEYnhwxxMYqUgpojeVIElIPGPcg3s5WrgDVU1JQS6uHXaZfSnNWt/EZDXFbXbuIxU8Hc2NfN4tGMsYYIwhE0DlbnpsjTvIKpWN80dNZothNBrknZOUqg/4jxpGjaO20Vggfdz/nBdcM4y5Gsfo/BtHS42lw37KfiBtzBBlNo6rsRqdHLXqQs9zaow1o8bIiMBx6xijzLSW3dHk1LSUzVlnlzYuFbeZ+b1sYlGKRA7lcqU8wtVloUtTFZs62kSzm7dLyvebBb3SA3yz8CnrU/b6JknHUpqztPFE6/TtHNrMU5DOffwVrJ4p8dnGpfJ2e69jLXCVj/UyMjM2k3EeTYs7kIfJx4x6Z2IqD8Sn086jGPFMchk3GpGAIMWstF3dt7I5CduBlWA7sYlJX7kjQaGZu9GjFj6fzn8Cl5FnL1ZB7eyG6noTux4kVMb2dX49tmaDzApP2t6vruhHFy/z99by1xwf+MG4g50D5XxPv+Xo3nF2zYw1cVGqjt7K4JsnYrudNBi0VVQ35LHd8/hR49mgxv4bxyu0ViLNK3FlcP/2oKeCE62DKFEBFNafEbAT+ZSxWHpudGVgNJHWVNDd9zjynDXJCf8S7voXPNeeyuZg/TXftE0LtnBvHnWHRug+eoTqwyM2uvrHlYmcBx78+XBT96KyOJ3cZcHXUuf3fh0B96fyuftOa0+fWl4w54r/uxMfXcLndGkzkS2rsmzpfQxs7MIvmZu2INdjLoaFXhyQqc7xxpDSwFJkjCyFD3BUSA3IT3vCRpUZOaqcjI8Q5LzqvPkCd2pr/Y2yPpymt+N9zH66nz22qOX23NUvzYRTaY13+pfjAYPA5dVEt/0BMEgyczy+1Lee5l5WbQCeeQJEuQVzGzsOp2+xgAKII2bAqqfcjAawQslRqcCsodZ5Zj2fIWW66LOjT2KGlu01DpAXOK6P5e3injVlVlKqnad13gw5E5ZzGRbTlWpFRMLDwebTwFtjNT9dj/t4ssvy+7+nAx/6/M9lPT3UY98HlgvyvLmjLlr13Nt31NTNo/2rFz9V1Gdy2pc6iXL+YK1fP+YJp/gp+Oof7hS0XJzWfOyOmhC5aj8zyAkn0knmEuBW1fzdtzODroLNAbxm4HnbHZPL28itu3gcoMmRXGjRImTTylpdt+4iCK97p5/HxAAZWdMvCj22gevQ0DvBX5uOX2rx3roXU0f7K2oVBKpESnUImNv2U4Ya5oIQhLh8AorFCBdtL4qL/+HiFtPAH0t2LvqsPEnp7OvmCLkMKhA5CrkilJOYYCUL4/gxAJ7jJ0YO79FgLrCaYEy5u6aeho802uJ1Eh4ihfcs5+CAAGblAlKZ3E81P8xMi9rr7xkdfJzvMP1e0UiGeK/gcvxImXzC7f/ZQYDq5XPcpK4EYYZ2nloJceovuWdXMyAJYiiYGsh7X3aAcfmBFKx4MFR3kNlkBy5zPppDdu4l7guyUTY61JmhF6AqZfcQ4LwpmPVZT9XO+TOFB87c9Cz7CWHjLMGljZ0lFt6F2S+/6tJJ/CW6rq/Yw0xONodJTWRP7ES6KiLcgN3GjMk+vNo8irV3/5DPf73i7WAZT7Nmt7P7570EdGH1ccxcmGsRmYwko8nwqWYOl8PpY89rksjtzs4Vc7VmawG9c18tGURzuXGIL58uy/jbOCRsWevATxzJ/54jo9s2f71Vke+iIBWUiqLa1z0/2x7cFhJETS0cB4Ggx6if76jHGNnPVIP9F8//IlJaxyVAjNVf4I5uAs+9usqfEIDjwRHhxvHhWrhsIcGBHtcj5jaOBQQDAOuv+PNfS9JkWQx3u2MLzSbEnx4HwemMchUTX+IWjyshQxJPEH/vInWgdNouuwrq2g3dmXBKZV6J0t/vaN39JKXpc425AkXtSNsYp/nfrYFagft39VLFoew/3u+ZYv0yM/790swmTp6x7drg9S0f/iFCd1ItRpksj89vr6hT4u+FebGhpia1L0JK2cDuPcYHDXpwd4M0jeSDbkia7Czqo5wamyhWzIBzH2sCkaI7zWABcWOHgU+osdFeuB+mvg6BIcaelvWNwxNXCibUo1ywN6iBFLPZLrE3OY2Lm+2y5WaeWSh7tONippArl4oddjZju4OkmrbzjtbsZSgoHZNyeszdvK5cO7KYL6SNTb2MHX6ruYKQr+keVmUTi6JFnXYm68X+CkUs6uP1HbAdmLp0/SKW/zXRwb1TT8rP93P66N6KtiCTqFPyc/f2Iwrt5l5r4YbBJxA1pXhn5891l21w8fR4T3HR5gEPdZVhcLxZk9bgVfBZZOuG+BBx6fuEJU2Pr5UbM9GSwZlFjJ11Fv5j6zhI08xz0m/K1uTvlKb3/9rWvrIaPKS0hL9leyJJQdXuEb4xoGrRNSoXWtRtfZ3Jku5LkjP2K9R9jkIukqz5OU5yhDf15ifzK3dyp7Z4rRyD9zCnZVjfIvZ5+nztjS2/7VPmd7On/5v2bU2f7U0oVPIzY3gP57bsWJQN8njjPMChtaLQOV8947e6YPEtd5RvYEZ3/aUdjW8go/ukIBfSp//clgtaV27AVcT2vVrAotY/lu+arqyRkUucboEyd22DYG1P+ZOFq1VGX82JZ07ndBefSj6clt55S/XI8/0N373diXo8MrztwmtvrVO8Sf+bQLzl7tK5S8Te3mhnP1NSavz7bb/bDTffU0ht7l1tF57709M5UmHxekr2l9UToid4j3hma+0VbNY7OJUY7h4Z4JorynhzhQXFLohEfshRFpOQDOwXddY38A7zVCHQLKq53+siutjyh3su2l1d92venZoJRkPRRqp+e3ryK09AVH//EJyxW1lbEzpQ9mogx9ZjBaqApkUTh+ZEqCBKgQZ2J1AbOnFJZ01QlubKA2yMqNlP1pPYbvGfMogN/Wgjvt9QgU+V2X8jgeAwtTjQLHt8VW5YPgRHEo4Kg73BjRoG/5D+6qWcraapHq2BBrvrv49JHGVQTTnlBSv5wnEE5Ud3Y69AScivFfjnJcsHWoHeylm9J6aCiQC7wLOTWGuotuJ6tiVr+i9L9L/IdHrqbPZSuQDngGDJ5bslNpTziuPY3KQPojyLfbEnL4aoCt9mG1uqctr4Mx+TNlfcDAUq9thSBOS3FI9lcGrUPI5aCStvXBUsK0XjTtKOAx4x8zYnScyUsom7GSYJB175rjDet15aHtaCLZvbrDutdgsmbAWb/Ls05U5Jsd72htC8VlobfS/YvyGihbb1YaEmf+EV+mGcYuzowV7+6OILL/ILnKLsaCc4VRLab2oO4FFS4x1iIjoslA8JgNuzBIfos94FwoLhF3SRVn0jtUrO3cn7FmCAUJrtT54ERvAI2TDkGOwK7gY5G3v0UX4dCo9MoaCoTmF+YV4cb/CIjYZvFtHydAjZCQ3nS57Q6tbXp7i6I1HCGZe6IhbNJNN4s9xQ/z7Fdx6RXx7wVzgy88Upf+8AswtS2BU5J16UZzkmfH+dqeGxudyPEhPaEda0TxiLGJPuQDh8+T+QXuSKfbrGmU6evPw0uPCiF7hdbBq1uw2Q7uSxx8Kw67zHxTa7jDbb260Ug6Hr8XYY+bfHR0rRUt4mlANpt60lnrPIgHlVXfVuNCKGc0FpqolU+TY9/zI+00+Piu9125D687+VHqUcXfwzrYJdjuviWyrJQvThy4vLUwClJXN48s4z2PxMRlnvq0paUYb/i2YOfs+Xvjkaj6rCaMT+4y6NwBR1GU0riMxI4XigUeOU8JU7jUhzwQBI7ytpjAyI1gpDQ1f27xzh4VqGhvo+OOogl185fOlucn/1pbO+SdHPMgf91LQ1w8KjIwfJCrOQTfiWBR35+VSMl7/CnhRG7PO2JVYXHm5s2hSK336Q61q6ELW67XRxBkj7Al9X9B3zjwn589qthRD48cmfu33jC8gt9aINjk4XL4LH4RCErnFpP/TDv6oT0Jy4hdrhy5UIWKovEWHyfeLgCBy9u6puXoUMfOjB3aubEv+mlUCtskBxT7ciEbr+TtCauwn1ecyibcjHjzSmfv+c6mKwvNXN2JwyhWfOVJA2aGvvX7yQdTW7KN9OC/WR2p3lGPN2maPTT+2lVNbFrNlbGy7ved5isisEignnXx7aN9TjezZn7M+qA4YwjPr+SXfrwfGunPDfGRmbWvD51ZlngobwZu1bV/6vqz+CyhMcnLAxMUV7Whl+uPHpTseWmtNbxhX2fh/2cmFqxmvPbL4/eH9o88FLRjBsJPPNHl9tpWpHuNrY1z+Pfn/0zsOzEIWyujaeHutD+Kq5+qZKHgfPPvf6dHZvWJevjW0WnLxcXoAx+7B0V7s0V1no9GamzeqivS6ssqcTc0THnu1u9OZ4Y3O1dTY74V6E9SBMFnHrQc5cUbCxceI+lAWeLlAW5BcXR2rn5N5Sh7tz0q8Wz1avgcNCKeTogp0+7v+imNeEa6na8TL1yMs6Ng8X3nn34EpofDy81vorxfOzMLVfLJJLHNdRvQsLTzeLxSqVXY363GRt6w/VQWHWBV1tNK0WCdt4jjAMphe05+RWlM5X/0Jj2jStxqkKur+yUqXr1d4PbWoqLQ3tahaJZbJGWK9e9TSZDKagdieJi1vHaBKOTk5i/CALh5v+sdH3eXLd6GEzz5kzHI+Zyw+ZjZym4ISMe2m+9j0kL0/7sXb+SzLOP6BveWDxIKZBdp7xtgcM3jbG5z330o4djtFNxkScDjXnbhZ0FJnG/RMIKY6SSalUNDbHJzNK8Rwd+i/wP/NyJCk6NCcWi1AnbLeQmTGRVJpEychCs39yr1lr3NQiokOAO3G69zQja76+cs7mzl1zve/akNBK5Z65+xIxZ+HSXJv4S+k9QjwgXXvDalqSNeH9zUBHFzWvaO/MU2ZhlVlBYqs7Nhf6++NxJokl1Ui74nHDTiJrmOeD2sgamm5u4sZ12zvvGWy6AIp6nWm6HN4N+bKfvvYuqhVKWVyNjpKC9szBVytz3Mv3cOk4i3VYl358VWM1UGhSRzNSbPc7D+zFjrxzaKDSHoZZ4ddybVnHvfORvPgCbXFe53fI55Gx0EJtUGf47fhvv8biPffX7hrL2dRa/DJpKGpdthWXqOdYBtfvAlH/fNoQzAgIVOZb4hn0BaMY6wtx4kx2dqHkIumLe7SZQVhZC7w+Rf1x1CeLisaCJ6L+GcvGA7qyffTCRTLF9cVyVDhXX9A6fWFdxfmnhvVphjmZ+msBa92wZkvg5OBcWkNKUVI3VlDxO2bdWgnX3Uz0bRQtW7VBJXLLSvYlMzSGUzaJ7oe1Jo57Cppgk46YQ32/RJOJiGZwqEbjbfweJ0GA9w8MYiczX6nH5RUHonlm1YK+obvQoCLOmuiEMt5pUCkSN4wTqklj0FZ75fbVwbZ5BZWJzBhbHJj0zivZ22y59iki/sm8ld1oUiQjvwGwiT4p8RF24FGdDXfeDD8/e06EEt2BcU11k+6uD24OHh/g8kodveLDlFQ2yTlSWXTs/OX6Y+PvrTlGKSjfsTXvR7Ov7CkpefqVE37NJmgDRGp8AyEco2gQnA49ceLuyYVmFRZPc3EJER+6O4iiJ6hE3CRLjNdDWJMiUnphLv3dY3qlbmof9EZY45/8azGkJp4KXGGaeUY3kbiR/GNg8s0IWapxGByiBs+QWJwdWBwBABeEqO4p/BVcZLDO9P4rIrp1eDMsvkDgs6k2mGFTGB7nmJAIe8WO9kgqx66Y9hd6qgoHN/09s1Mks/X43CHIXoolraUVxcjs7sM+DYaFIPdBd02GeP3Lx1/HzITes9/MVQI8AdV1oWsZojuDXUEOiqruW1ZWTWO8H9Y46vP9iuznXnWGKjWWYRIYcioJa90CpgJHeVrLqq0Tn0IKsnX3vPTE8gEXGJrWZ3mptf1XzxRvxOYdzNv3QqbtoC+E3G2EUJIcvv32NxuOZliOSXKplOkX92WAYZCfnjhkDRZbLblV8s0ppTRJsFv9E6f+vxq3zXZ3VDrqKLL28aqnjxwb/6B2PYNenbTXQmRiHCQoo0Gv43VWy7xeZzTwhhhggEumzp1Lqs8BZKtSEemLqYugrFm99eP/rLtXHRQTZ464To2VoUJqJYs9urXN2UDBC0c47HAhK8BSHSIx2hDZPcDcyh4Tlv2QTH6Z92DW0VDatOPYlheJ9ltEHZ3au8BWCq70W6nOnuCQKmhbeycnMj80/zEYZ8RxZFPtE2+f3VhDlM2HO1BUJmNZTkx7+kce37uFizOcQSjyl9liF+IXCjeUXWCz3JYtz+zYt8YFD3IRA4oKv8p0JxzGxc+2xJcqmDw62Nv70mCXx8GXB79ndw7mDnZu7+zN7e08GenYPnAfHHQcgBtg9PjLw0OAePYzJHQD5zVva+oH6tHbKNXZ1Qkjx18CgGfJyr0V4Asd78+55+Y65hbdi1BMLE9MrNjtl1pstuXRnts+u8Kgi0x0u7vHu8Yn3BMTwIorAxMrEwOHrGuly8/ij3cNjA1MjE8MsGJHP53kcMdwr7sXpGQIqCjd8X6fVNpwP+VWblLX3M912b7+cajWxEGHtkiFDfc+j4I0lNdCMm4hBdW+EUymwiPJF2FO/Zcg7C8k+lQdOINNYAzO6E74TpzynEB2SubDI6lstGuKE2mYwSdsYTGgL6qfiwp8G9SUymFX0RoXVvFjQm8kkjih8Wk2lRNu1UbtGp83qfVA0aKkZ/kGVZWgUuFUbVyH44jVGH9gtWjcqtqqCaY48xktnwGxaAl/gbGyMO5y2ROsldrNz0hvYFa6J2HPOEpmkY73+RJrlkFrGJBczsr9GTuRsCJ8HJMkMZHThcOi6SSeBbEgXHc0PT0tmR1jkoSVwR/Z7Y+YXuJ+acUewZ2ZSifauHmooDQYK4eoBG5ePvjJTZSEMGYusbei5DzhcAtaswTySDRUDRzTpGQG05vifwA90YJSVG19IJZjpbMDmlKrbqYHgnrm/5tvANEoMVS9ykVl2da7YPF7ml6VBgl1MyjU0wOh6qWlA8uYLKMW5uo1EIPjHfzosmvaHqx3wXcV4mWAynqx3pujMjUBqQosjLrctjSEapU9a2V3RBm5lsfU+QOoNiufKHY2gdQRXWsovEP3vOGFUHNb67OFz+raQllOhh5ddzDYFgH9YemzqtZoeJeiQ6qKhZ7cFTu0TPqCLhavD+RHMuy1PVlrPK7ZbEH9qgHtwBq/3zKgGVT5rGt82tdUg+hmHwoS13x1kYxIyXRTHAoYqHJ0J8pT07PlpFMqzATYXJWTdV9v+prlaxAR3/vii+e/2GwRxWvir9976I03RNFMLcVtu0uxQkwzxe/bd29IiGzqaLt2gOMapGo6oN7Jl/N+tVlxJsjzOWy0F6q0uhpXhY03kw6QNpuQznd/85l35kYYnv5OFa+XHOCSIsCSUZRSNvZo+njazsZupIeay0vRAI/M2aEt51fIYoqbloz8VKST/6eEDwQJkbJcHjgCJEZxVuCOksdJK2c0FtQVUxgQRCyYp4U0Mpe6V4fle502Lio6QBCAd5CPxW1oN+Vij2aPZz1sOlGIRdQlrpQcsot2v7vKU6wRNqNau++v4KwdIx/rkZY9T5TeFyhXTRoXR0S5jR25MTtkLudrKTID20jHVzBZVQgMpCOWD1M77xtcG3HEioFiyhoiq5uDAksJLUfZBLvAQAE1QWD9sxBMQ84oQSQHaWdCYHmgHMvSID1LCyVOkszmICScejt1tMlvHlF2PW0vH/FbDBult9FHZR6mbXpVUFZVXtTQHJfZ2clwFti6zI6fJwlRKW+aq4PFAjaXm8orGBd3zDvNuLCCmyY8FXCwkDRnGsSGpWLSpQsWPnP9KqDjRK2oelU3rw1W88WCKynqzEv5hFMrKlJaWMj8+0j6dQ/PgJ0rwoJElaTVHseL8VW0x2qzU/xYq05KpOPKTEiU0nGZd+TyHRSVlu/uMMrER7yu2tlgYeZ0Pxu5Y+Rz0ZguJ5uRmDF3x/izkXDu+p8xoTvyIYpxfX0kRE8fyn2IvpEBiYBRBgv5UCYbFQgm01x6cllHs0SIF8IyozGEIZ6IZlEBN6kdS/ORDB8SymDuVHSSS5AxE8IRPn2TzUHhbBSOiiADL34vmYFMsfOX6yqTLfpcUpTu5FH0/NfTj+vSVFlNI4RnknOHwcCKfZoN1UrJ1hmtCZ+GNXosP6dZOYfPELfs5IBwcYsyn+lTOHTiL4XKD3mUbEDbuUESwNDFT89lkngmgXkGrI/mMFxt5M5bUbSTkv+xRg1SV/Xxu2fI3Ht2VX4Fit3rbF+58FneJKFLH2bR5iOrK4oM+tuQRs0fdJb8q9LcGRuehG81ebWWdvHK9gfWuWTlEoLlEOpum07Wy+uknOzaBx9Ee1ZXFq1SfQurtPHpwpLvKldj6e/4SmjqRr4m8WL2dAEanwFPMtqC0rhWzTIgdWt/GZpcGnkQS6We/DxlRUWkzJ7/XBgpMKGZ7Sds8ZR06YdbvT8XLz+QZr5qxYAx+fMHMCxNvTs/XQ7p4koL+/sce9n1MtnTl/FkvgThxMqy6mkojWBXMFSNfwXWAGg2Jc5/L5v+aaVmf9wVP7DcmPz/jxeBE5m86vpXSfCv2ZmE2sJOAC7Zbtzw7kStyLnALKoRzY33iWrpil/e6xxcphxNl3+5TXNR48PYdAbf8uUTWq8kVTXmQ09h5EfRSyGDbMa+SOA+OEouIEV4W/2i21MJAS1xi1OYWiW5tOrVbcXjKlJXOfMld8uXy16oUKxXVp9mMqn07PmCacXVd514Jj8w/qG7JRmnRPWSyM8V878aLlDUqGqtQjQ0f61qy0eINSFgWQGtxaRPHJlJakkySeFvL/zDbyNLpun/hYgrfg5UiXyLHuKgm1t4ECZM5nw/qVCQyfhdR4/1wkApMfGRHfbPzWEHSfXwQnMEFx1cWPJRMh1eYowv3OeKn1/tzDwYrYoeWJO3z9oh3pdXOXMlosSEEmj2CrXOaCrJCx/783l++erZuPXSmpR1zez+EitFgcQl9wOaQHPeaeYRbiu7Dw9thIJZvHRs0ahJ3qoKfHAAxa+qFm9cQGo/HK2ESDYouzqYElGi2nu7LiPYcdw0nuVJMbHtH0cytnJD90BASdF+XQanplWyBL8LTMo2LCbtvnwzblltRVNOOY5THBuKop67syduDT8bxIlcPRzwhMRyKPDKyxhBxDNx5urDVZ1dzhSRgTJzhhX/d/Uak0U96eTaH3EKt0zhqF+mo/CMX0dTFJ3OJLE4IrGvds1XsmkQjxr2j3bOFiEcmmGy4St7vSkLiWeS6GzRytnO0UvVxQfePXx/lW4/bNEnMJxjzCyPWlYbeQ5dV3H43QPva9mjp5Rhg4D1yWJKe0wmzzLo3g8wkJ/Toi8ofuV9+iU9D7UYUMxT8jOrlKZFEjVWaHYJmdUtUktRd2hLzi/VaFzruCNYuUPIGEhu/tuLVGnp0k6GMuXubbFI+JN9GM9Me7JY5QzYtl64m39lnW4HTMp862bT8u5zo6plsi2jVsPOtWZ2HE1aWbn5DgDvzYt1T7hOyR5frE6m5clUUpkn24qyuki3LzTfQPJKOStXM7ucRlQYMvG83nzHmOG2FK22hNK8HuxCtXpe0mIRo7UWCauUdyH5gzozRdqoxzVXf/MJ40oxMXlYH0e3yRarRIhMifPnF2+To6AveiKyOxzWwBF/T3T05fAvYsyJVyJhJib61Tv0vTpte/k5Yljrqlk+zI2QlEpHwyGooUvvBrW+R5AT2rjuA3IQCKebm0OxNSuZcnqYNtikh00rO+LyEZIcWUa7A27NMoocrqTeocX9rJACqWxExJOiT2qEwxICt2pz51dCQt2XeSpfJv3mFxNh+t39Yc9r9ShanVMy70UoD9MqAqdOtrxwKLJUy4B/99UXAp1A5K5caPZgtMi/EX5XJvl5jWTvAoFOwFlWdMT4xCULeZxwJjkBilqAHgXs24f3B7srdUuX+3b9DVWoE8DudsVDgzUxJEEF2X4MIgo/zUrleLS5W4CqDBXEq0I9mjzkejNXgWA4eVxoCmDZ/iwvkknxTds+5mYb1bPEkEQAFq604EFLlsH6ff1exsYHLS2YLoTBYT2c6PecilC4H+swdkxGeIQ61e+BE3o4HMJ0LVjQwjO2fm+/j8Gyz5MMt/QvmLzRTbJkt6efTifo3m4KOmmDBlgSGuzxpbsp4sipZMJztJuGhpgd7/OpuCAWJ6I4x1JwPEqI0iEc7okQ/QSUIOhgesLkoRAuGo7iUVI51qUru/CQLjGk8aNiPqSKh3S7cEsYl4VR7IQfbYvEszTZZeyiyWwk3ubHZKGycBhvODKoi59UBdDRzUlNIqhrEZhKKzZYZ9DKG+iLsq1uwRHYZfHY3gEaGlCly7jw1MMygfS8AP0q+NUVVCAWC9Gp6/X/D6B3UTfmO4WbBWu52XjMZfwdHbpcAENnsI2oGzpGRrAkw32lrxwrmkH14Z0oPHXDdebGlEAYg5wRekBm1cG2svki82+AQ4kLhYIbU7/cMXV3fvW0StZyGWjaixQKi8XdunulKQvBXrmCTnVPXUFPGldoc+/27jnmui9S9sudt2hC6pbpxe8fleuqLqJv3PKN+ZdpG35l4V9lvgtQ/QLX7iJtF09gd4CWH+qfmmKnLiiuHIPxP4kVdhzw//eTblJ3/DXwbF7OYgh8jFwdoBEwkkW5VFJ1hcWJeJ/nrXtl7y3Xp1WFRo7V42x0xVt9nq5Sgt2NMkuVanHWVGAe7fP2efpaCs5ctBS1Y+jYjCmMiAoRzrERaOUFzqhnL5Y6XzRRGkbZEvd/LV1qTSeVZf5VvvmjIcob71BdmZtqhJHRT2qUxlCsDaaoW0sZScfRD+okP3MdyWdSeMebYJIp/ttXX44a34u+kEA6vW5SrplUG6zTghN6ymDEtZoJeU1ScuKpxFKCT6OKiQ5Hx5sMwvGEwn6SkdHKCY02aRRZFRWxoszw6o6Oa5Fl888lYM/a74uey8wlzgkxzVU5zlmWyglEJX3RBVW+nMS5KIRmEQUJnUuwgquaJCp4NyPHibRWepODO0biWbW7oZBsID5CwZqr4qWzkEpHIhoU01wToolzuFZH8ljRg5H4/LJrGqmal4DY5VsgorOOXyVW2gw2PG49HvH3pO74s4EdobAyGAw1Qy8863s8FOmB3oaeiNPbwIl4U2NXrLGxo9YieigCSbgx1tXYFOsoVYm095k9jY3RUGXU9oiUFHGUlYsypRaRwPjY4ZSVsnevnyXqVqcujhJTTkAJ/sL5BRgUff6XzwHdQJu7g5WCviaXhzymbs5MQ3GlDh4uutduoXI3737qshSa+nfg4Jz4nMOV+cH/jL+aab8GoUycYLVa6UAVxljbL4BCJdQTcBePNClRblBMFvThPnS/uonU4RymRuf2lFhZHQVt/JFzNVloMx2mFM+tmHRxtzc0G5Jzd8Wn7T1wf5CSU9omqFp3QyFSa7UDVRMJDCcL+yw0eqhi8T4kfgMdIHt01vZ2cOXudrzK4zl+fDfXNZo4PX4Z92O+GNmDOWwPIENRKKU3JkQyFS2bYZHTTqNP0nyIou5KA2wXxh5ufA8oK532fx4SBKG5UZf7uTmPap/Mudj5wvrl9ZglTt6WbYSmpzCbnZijIGd6HJQphFnjbhVOmKqwTbATCsMkZR9uUsRZDsO4bCqk8Psj3QiezmyE/JjVhhUBVXvNoYC+btdAOIYdkB/i4oaAKYiN+wQUxP09Z4sg0Gd1tCz2yTIUNvrkAR/plbWqi+3gUhzynUsGTM2GMCfwQa4zd+rB49DVpMyn+sWBUnKi5V4lrfTnt1zeFwCNgkpnGAyq2paXu12o0yqsogVfd7IiVVd4hTER06gZVlrzlmVCVjObL3D8casLKpTJqir+rwg8PG+ByH57UrnYj2JrhBk+XbDw6acOd8DuF0RDe9j3t753zdfakbHUP0DTuMgjCvWgPk2cINDkSgskEqD43egC6Ug2keprgBLwyfSNiejltrcrxXpWbgCD3epeLZP6Gaoy2B1L/pdaKM2sX/rr//tDife1p4v1rPaS4R6GMmLuUh2t890goW4rSgrXhhFONP3sdMKw6j6sUWO7BSg+Y/hBq2YMVEo8XaDvmpjayIgInwkmkUVTG6CQCOvT+k3T8OxSI2RRo0L0wWN5H/JJwZNzcEC0L+ANep7eAnk6QOGl5xWKF3zWPn/0l30vXDaUU6TBkh0SX+IymiuRktvqn29wyImN7rgCBp6+oA3ewBw/mzgpc3EcDJPE/PudKI/7ptQumMppkZWLGEhfmyV2eRoJ2T5AYGRTdlKZ0IWjYM1awj5L4qufKBmJIHZRhVsd5/Ln8kl8quk7R+rUtiPoqD20oJfFGurPZZYDwuUr6iooxCYLY1Ees5/QUnzs1xNh6Vn/WkhZSD4NL3AT73q1o3KOgW0g8EVn73FEeBJQtqqDmqW8fk5qIbFIdNFvKCIFaU2HHXqYVA4UvEiv8pMWxOTG5TiNypzWRZuiLaYKRBs+aNQS+phbiiVZ8CMzrnZ8I4t0808uLd4BHy9BOFQYOFyCBGZaZgPvhZMndBzBpqYDs2o8EydhGaiSxBAEfLRuKG3vhD3qykV6nMqbcE9Wxp1/OPyldmUL5nzMb7w+oCrqnjOvs7ZXw0pH8pkZhya7qt3mZpPwxbUmYZku28H3wUWUwO51IDgpTA67rBDc9h4EM5n+ApsmgsXvKDb1snqNoNgincIC9RaQBv8zcmNb20bGIZvb2hgbE6TvvxfDpbFa7UZ6W5udC1hRW1Nbt2J5Q23aghWra6pqa1etHJ4MVedKrKtalQW6G8V321hZnOQyEc+Puq8OvHaCtXYqmpRFyXcfWJdBUyMVggQFUL39yWZmcVHUKRWfeNJRN1ZLxAj+l1VUfQh8+mINNImbJJI1IGJn765iyxASabwUSODxrf0jof1jq0midm6xqqrzx14qzb0pr07JVrar2jeztnyUVS11Z7NEHItlQg9jEPMHMtOHOB4YGvczbKgHpXj/i6v8PNhAAz14n+CBuztzhTh5C/YzHx9URRc4O9CGEgZ8tagMpaG+r6gCQ72gpOMIhOwcz/eE3N8gyQZ2UwO9Pns62cVou6qOMWhCuhacxwLuiEXGXYU8DwelEWXxajXwFwBCBm2qV2ViGWfxxlMHFyt4iG8pDSmvvRNe4UT2zBffjZ8qnx/L2/AmMCZ212V85u5LpXO1i6Kp6zMAc3l9/b5cEU7WQsD7CPBB44nVznb0QeVZtIqEVmryu86AAb9/wuIbYHYOeA+UZa2d9fW8AtHhYXRSPD2RIeBBEmjx9KTxb4vN4ABBIj3lQU2mKjYuRQjGySo4kkne+rNWC+9L2H9429ff/gFt278SycE064zYGRtOu6I655sQ4cbTXFXMmRHY3gfFfVxyiIO6tMuG7Qw4nfoAbWlXv3YyfMnYajwVbnA2OcCOm3nMb9md88qWD3o+OuyXlMdMUX1vvXJegx2erXp/Cpx+xdDydomYa+DhQ8M3y5s4N8HGzKvmG+dNYNU2XzffM7BZAmcI/KsGleEZgxGs2gx1hktdNRKzd0JkNTT5nWoGvG//rm63UCrcAr8jDrBNFLtL0WRbjrPn6sAW3dO4j+Mve9t9+4O4/ZII2SawBfa6m/NvVl3qwMhXOrzf9Ukd3Jq7BsaZAlOcgCDpGh1wRQWj+FpGkWYDdlujJ/pjiKzrhyYG5LxcP/DL1yhTJyRm6CcGcDHH+xkdw/dPUMNNSawg8gPppWHBmcqElgpuO75ptsXTI78yv/JziCQGurxLxd6UwE5R/t4TU+8kf4l7+k4MJHEaTN1qFhyNxy0WipJeNsRfmIOs/dMqAEWuiQqPS2ncYGCYo7dUWNvYHNVPndQ2K0C+9S+RlNSasrqASvFu4OOwoPpp/C+tFGNzRmXUSVkRk0NtXTgpVrraXBFT0ND2TDs12Jz+eHB7lDq8O2B40gTwZHzEprbFz+02nZsXK6H1ay09R7E+DOlhYRJP3YyPYCok0h/Sc5EBRKYjkHC/9Fx4AFkaDUHMFSMFpnl/6aaBKmhubsKbmEAjuR74i8lOYPZmS/G/uiwTjVLhiZaCOssTT1lckIYq72LmgOPG/7S92b1uTVVQ0zzZdK9rpu3J3cgpRLfqR53nJH6yUud+sFKDgIGr2bkwVD7x09w1+9A7QYTYrSwLhCpINp96BLS9t5czzDIVQ0QgN3jSYtoObcBTY51n3EwURK5KK7w5q258u8BD1M9lUBKia4mqSERq/+nVvyZtMbSnzbQPcsV5TrZcGIk4nQ1CMnccmAfzB/cTcUxxokm0me9rAG+k0APV/le5DR/WNR6rXMcm36hH46IAiEjmMqSNFvj6IlEpmuncn7Uf2GdZExewxCjLdRap4+QO8K7HaubmKuvBZiN/cs1mAGqjpod4JzzxGf59QsFj+NozOz+bZPQ+nbNhsX9xjUvvhzDlHEOQlr4XNd/9EacVSMWtv4EwE8eEVWsnB8NO3LFK9uSFKi+NSmiSICvogo3a/6Jdohra4iXGd934zW0gO+BJi+fwkYvAfqmwkwil5fn3MX9FSVns25y5P11KA3VFfVHBY89wQrlHNJBhz3hdiEqLt+98ntcqH2Zl8vJi4+/tak99gk2lMeu3ZkAlFnZ6ku3zbQd9XWXyjNZ7xizFWEQI4kRE0isfStUzqLog6n+8m9Fi6WACN5XrkEppKgUZBM4VpuVeiuGN96yANiBH5wisxsjqxcd65JDfw4w6pzsju9vxrBm90trQeCKbT2dVds+ci2Dh9WNbigTiHDgFUxKtNNrBKV2tst+7J06m+nuy3rWOx1OphoATxk4c4ql4vHVdtTnAB5Ibv2cfdlMO0mhWQKv/dvQK106ZiCkldAwNEzpzShUMB+4UM8KCrp01CP48dk2bkOGhNBAmxwJzwjrk7Djnr/7X1JxvWqpFZ+bMsn8IuBcug2/o95Nu0xRxAWr+1NT+KVOPHfmA1fNHj02Zn2FKXNlg1fHtDINhHAcdBupdJU25zy7dfXgqmmofAGF1TElVNsPLj1HHVFRVc3sAn79DDdkZLA3eCQFWXIWoL2KWeRKswOByalcAEVQVr280GKVsWwWg9Ov1/brxFdb1e/xGnWolA9lUap+VIgcG12L/g+7J5mrXxKYEV6v/cVkKscY1VQES518ayMMZPJW5+fvkZlYII4Ri0CyeHhnkExowfYeuwSHD0xsV8O5ZllNq7cr7XjgpJOZnSku+2sfJ7WJLDq2aUTmzC1dcUPZ3W1fm1vLWlrYNlmRRsoyTU5VaUy7rICdt+TvLThIRAvmN6P3NIpHfOJadbiXt2xsmDOMCui+dr6GvmLcBMR1XfG3+YgXx8fsSUoVfKFy0wIC8cui8hE9kCulrDoLWG2PeJXXDGw89uO9RnVcxX0K3LrKInn3dcbgmKpUxzJjdqTWgD17pqODT2ytAxvwpd6/Ojv6pUzs8PFBr7hRiVVl5FaGsqqqcENQD2hTsZ3VyzCnpvQAimJMZ7MdxPFAdfvtBHPrwui8OYb5/Hh6/Pu4CjzpUG/r25dv37BAqQ00BOW6tMP80wMCdnvq40mBx9r7Tdp0tufhuB3IswPHse3Zj9vs2EsjH8d1gg+wA2kGVmtmY0wIQGS2ZTXgOIEaVIU25543kNmY1K9kO6AMUYN1u0RZR8qbUTUk3J8Zn9VBoInCbgfPhJ1+OoQSHGiusr1kQMZn/OHZytAF56pMtbt5KNroxpzk59PEglGxvN98v0/gnauHs/D6wArIC203mGkGkjGFm3h+lMpsUA2wp9FnATnQ83u8TfDAv/CS8WDe0vfbr9grdvEuHDlZbxwzZY+m2g7VA8ln/M6jVDdktzT/Lr0t+sHoqvdnG9NnguPpkDEFJVBIe4WlEGtgQLsacVC28v8fowga/H36CFLhx90bCoHLdRaIQlWvn55JuTxwsbfwJJ6CzQewK9xw+DGvNnJAPMhL5jqZmxyH3yrU4gtx9AQ0wcyssvwlmAhIr01W6uHBvpotrQFOEgOvsTcEGj1tT/qfzuBPOm8h14ct33EW6ujC54evo/l2VeaFqnHyrDjMTDAAzZrajd6A8tPKO4rIC/cP6A7Vy8h7a7bAT+hHHjjqJxQfGO55E5qf1MaA7P2t84KMNpPkDEB/tkYCHrMSLQp9r9/19w6+Zp8TF21xG67jMQR+P9J1qjZlp+UjBcBQb9x7aCTUq/Q1k7xiDfkCZfxrh90U+11iJ70ZAxp2xvAzyL6h3afOLyN93PuJftJR6f/IQLVuXi3PtWXhssKTlk0xay7919BnCrIFS/tkLlk3xwqhv1u2t/ceQaDtTfyiFjkr2CJ47/su6zLJPn1j/l2HOesD0VqYRaqJJypQErn6WOh0tyShSITLUrRrB/MkvaKPv9ZbbZCTzHjSwFhGgKDScjgObFcoKxBGs6ZtcM3wzkepMOXEfZ2+ux3CG0kBEbaD9PST9NuV6szH1n+Wfn2Le13eq8cRgfvpAD/pajWgog0BATwTmaYdITBKUmcX8sojIJIJfTQcVT2t8aS1vskzWSdTMkLvs0EgecqZTF4a9qPPBo/TsWQRVjIz9Z8XuLemlW/RfrIA/4y6hTXOffBi9iRUaT42zZEdrk6raEVnNv3yvEnVXw5mP45kZeX8tEFwyrwGlVT6r0MIETXq9JJ4/PeZjsev8qW6RgjRu2iL35KLj+Wa2mUlN7t6pCqL7BiXaGePHbTkCQSJVnipP+8c5tCg+HlQ7va+i5z+TN2/eEnp23xagibxoqnixOwaUH/rn9MaD7t7jw3O70Gn+hIxWRI10gXCuoux5KuLGzhtT6BB/YA/4dkpIAYI00RwI0BsJihgvb0Am64ftvMdf1Z51QwZ5/3i7dMtr1/F0fs2SueAVJUjK8bpwJ1dMjsHMl0qN0jL6hgMsSRYRQ9JGFK8XrS/SF5lFZt4p5MxoHBdXpu3uba8iwNJeXpQwdiusmUCeEOsQ424GCL4W/zvHAb+uOI164veHU4AcFSsvI/PJovrEmfcUt9pt7acVp2vWkbbq2QZuTwNfwBdODwY+9iZTF/k2m55Np0aaewpRrWPbws4CWXG60JpHIKcUhDx6HtfdpgvHRxCiAqJxMSoVPLGxayCXjtVh9WBgUVIvGD5kiqT2wWfIm8fK18PXkdd/n5m2erwtWZYsSQn7PZLWWBSPHmZLuCKyhN5Aa9hwGrUCjAUe52qytJnAUDMGbXyWGaD8J3s56Hh0DRjnNHDruU+8k+4Nhe4WbBqPAJNuxD7QyPz5GDFv2D2oHTV99g0xXvPp5FQSuuesa/MjaNf9gt8FTA+cE8C7Zf/ob9k+ALELeHz99JGfd5PTKrzkeK9CFj3+n9PLt/l4W2ccnpHDPSMAM5QBV5x3pm67HwE+33m5F2IfHZLiw/DCp3t2ET55q7n+XOXiLT4sj389A0KOjL/eVSCiHvb+XzcPMaSvexP7sOw+EN4TnS0pKjktOl2xLKWJlcvGCA3n7tS5+spFLjhdDkKD40cTdrHuvaUL5w4DNu3uP+XB7TgCJYMizzcwUjPE0w+SvD294uEHZqNDSxa4AZSjPxqsA18VXxcKk8b4VA2tqIVJYlGHPQI05a4hKVzsjzflKejP8miiRE8rpBUAmZLFYNGnR278p5tKz1XYWM1cFK/j1teUgLCfOelmCRL+8LIj8KsXm1w8bUIDnxNov+vZyWtXedn5GVDt9+nadD1H0ZEZrS1NyfZ4PL7zjKVYgA2N/F97+d2OKMgOwWNXeDMzoyVcF1vtRFNuEpwIbVpLLoou/Z/iZQ6ieoPZP0TJWFukODFFaGuWIDCGeKY0KUXkP1DWy85+ijECszntojZRdQ7w8r2WYmjxsDuKOw6OQavmHc4ojp90MMms9ukwouIVw07+p3PUapuVB2HlkGwUZeheNpygwEqN+Cn4ZmDasz89e/zB/OYWHzdlu2/TwF0JO4OFGpGBBA6BHc9JVV326+pxuOt7FuuBKmtHHaLixAUKI2EKvmWHvvDTg1HQ0OzjXigQikfMMy0auJcr/Y5jiOI6xHHywVmH40B5bqe91clqj4BRyCI6SuhIm9TOTUCwE/m8+NngzGOL57voi7uYh4eO7CBxzhzY1C2nMBTqtkAdZV3r5nmF/N3LwIcwUVp2aSxHhEiQqaaJ05EKhEGcmqwaLc6R7lm5qCoW9RtudHlRy5rOq2dwwpMHt/QrabmqVOSrQuLqZkAr5p2xnlmhXTFz6BiUDv/SxZbIaM35jjfHtj4/vno9NBkQZ/LqPDJOHbFsuiv69BBdAHP+It8/VBlG5QdFKcma2NISQXA4N0yZUUXPODwTydk88J3jyS/9WZ7RnBkYCpIplbRGREnatTxvuDm0zyGZNJAMdM7Wa/UH/7YuWsDDtTUW4kajppIq3C2sz6gikk+JRx2TdbQ031YAEiNFKVibp8gjv7pFKUGkCdIbJwmlqd+g1+gPvBeN5OJaezcvqp9S5m5iEvl+5tHs2I1mQNaozAzcWvOmjmAv9ZSQnjk1U8Oot3AKuHnTIAWVCG+kOqBsEnZJu9HBccyO6XCw468nQ+c62WmV/VpA1BLeDAOmVgTifrRw4jlpKlK0AOnSBRwgTcYhx9j+xEFDdo1gGKJ2i3VXX5ogL01n8DRwQU3XsOot3AI+dlB7JgghDi7523ECdOx1dHTjRVrt7ekMegnUO9Okp/ASkGI4nRv/A9DupDKoWxDYpxtZ37nV+V7OzRZMUSz5QIW+Ujtrw5T1T06B9vvqNKQ4y6RJSVeXTNGk5+pSVZpUpDa1pRDvmFcGo6q+XirbsE4JKBVQEaAA7db2EEXI31P5Y5tXn/L3NKzzfnfHRQxBoL9PaSPSS367CiL/t4FUsOWTOLnzccUeiWxLpxTxj3VYamjznyiL2rBeJl8vIkc+UzyPlqnI/HsupxUvw6j3/d8VhtkzO8sThtAIZFY48JhIsu5HOpDAi5azRDMUql7h8GSLoHwmLpLt8TcyWN9aF+TjR81NHrluv8aOaCpVb1/xx1+Mlb2+zvpu39N+Lyvef6+89NJhQbYkLdUgToMBrvHygpNrIHvsb5uvy2zyUVutdZPDtLB4mBDF9uCy9E4GcK7MTBzeY78GkpFbULxy1hQni0hfZx2dksVvNa2HLwJRVkoUR+fonZDmmPmfICRCFCQ1hj9RWycNirP405rvEAVwvd52XYSDutOlC9uF3dRiM66l664uPCSy9Y531PD8y5LqBrJa3klFnu66XE/NMQlGhDHgevOAxfW2C+oNpbWFrs0hLZjNrYT4svYoGUgoAkXlbrk6vImJPHkHDVfkZlafWF1xP/gvvjdHHJxQ6iYVh6iAHMP0/bPBDuprIbeHrpKydlx94gMpKNLpK/zd1bMCSgel6ZL0ZYhh/Uaxj842j8AgHCJQDgyqqqSHbiyn5oNKcAwJkPAlm5MAJkPk3HiorERsdHD48f+60m9cDnHQkMUdvErMmv/is09KGUrzJqaHts6vaFCSLi0hfa5+Q7OnvMoloNmor8R4fxRYTqMwgAiN7v2ku97hhPLWfNDZR5RCcr1bUeXAbEYWG1dVa6XnMra1dYT4aJuCq1qZqUwowB04ONWn1iaK1oJ7gLgvVE4ChA/mcOOTxSJxmCGXbdGf9+G7MB2OLlwO6YveCSSGlXi3oCqGOZlYJTV5TPMWYEqb7jluDq4EOqiprFR+36ElLwOWNZIwCBDAD3xXNuDMUjgW/ZKHzssoV+NYFSUfsUBqL44/NcQdXwE4ybRzmL0MYE4TDcvALOyHsIEkOz/fVA0vPo6lVPBEMc9DeZshBD+XO7HSKd+tl9nLnl9Px9Iwo/0pHOBVfDFVRVG3YW2dnW8Zxw/5OxShIY4H+ys5BDapFc1yczdluRO2F6oL1ABuXJrC6bWReEAksno5JIGGypMlJnIih6rJKqoOXuLqfKNSHfS3L8JCug2d+uG68e7mDI6ruzHZnTlwZS9woqrLfSL3RvdO0ZzwfpY02rh4QqqeCJi/J9jdcCRk2WxRlpnQMLCjOGElEP0kVJqiwlJUXmVOLZGuhMjkCTCV77Sfhc0aYA6yFL2gqY3B7sZ9wWuAAfBq2j5L0lLw/VKfsI3QraN4IHsFi+tZDOUVYYrM2Rwu9ZGzpkpWkD9/pVI6Ul6EIwaOzjT6odpZui0bwko1biD9pi26Mxyv3I/96Nz/Ke+nxkgx7U0amOu3IXqiCNhRbjpqqt24YtQ7WvQj2pWi1BDdQj7RrW+Ba+4gUNgc6qlrjawfkaEkaADbZYa1Q1aHSgPYZt9QXQC1IoGiIakbdSCmXS81I2gpragAYOsUNOYPV35cTTZOlkpKJYojraEVCypGtIK8uR2mJHmihI0Lq/CT6vxB5vZDwk7GsS8B1fLUuB7fD4j5sDVKVSd36VRUYkCcDh1HEkdEiNPBHIA+en65ydGYy4jhxFB7yCqSCjih8eOq4GQKYTDLl1HWpSw1LzcaVICQgYtLGSsulQF51GRGSmHxy5wmrKWeSe5cobMUn/+wxPZoczysZ69d/OppqAEADlKt5/9k1ZAF9DZyxTxhvTPoaNRIdE8CM4neNIgQknUULdB/1vPb3e01pVWlG7epS5RFkx6TewZAa/cOqPVxpFi//8OpOVkBgcUBJUD+ddiOLGZGUQmTkUmE+k0frdg+CzSSY48rgRwykKvFThdM77g+fbiHsp7xSPP89hZAYmzGn59xB9LmSiweUNE0iBKVSxj4/VqyAFdawWAQKAt8tu7D6lot2/a4CrP1S7oWtr1g+9Ub83yENidfuQB0KagWuaUFtWQSwIP8GPCObCayqITBGDQFTB8Cqrdf1fC076syqoBcDXaacZeOP7Akk550bXPGEeA46giBwRz+2ZyNjMGmIzCImJHYt2978lrlllb8gc1EALoX8l7barESiYXE4qLyyQ0lNSQGiQV0n9Ze5mQNT69vx3IVFD7HO2m4bqVRo9esWSGXqCTAvGJkPiIPiEeDJXrQBWGuMMsdikFDnpTI2XKqnkQgEavnGU5yCP1rtnRl8jR0kdQHXmUcMkh0knXLlSKlZCIfYUXkGcS2HzVtZiuBWEQqBkqqNi4GOiJhJwVS1QR8P3Q/uWHt380S2ScfdVoQhrB5HIaMcQ9ELd42gQD+2+akV+ubHBiT2FBcNLUugMgsXobQUTOp6AqjAhajMSWm4ktK4WCkvHGmaQgGrR9T/Ouk9LRuyzysD8Pu3/pbUVDaLtN+dYJsDeDW6vDWpPc8uBCAC1FMEqN52M7YWV5hcf5RalMClMAlEQWOOziwfMD15jbYOH9erYhMKQ5iqUKi9U1SdVSMPNakCUssW1asScrdgj9qCMcc2HrSCErbZd6vSVBuAL5OKY9G6sOx7YtAdGHEKpdLY4CHMFl/Mf3XjiXFptfFE5lFy5AGGoaKLgPoN4pRW0T6pvKGxSMUxhk2LtoBF7RtBd5pMwYZg7POCPcagerNQrauWFqgKk/BoTOwTbXlg73HNzHk53evWSnk3CsPCCSJM+j9mwHuDZdpNMgcLQSqyu/rlCLd/wd0c3VFcOb0VizZvLgRMZC8PmwCqld2opwuduhQaUjkh5c6Lz8kkpwO4cWy8Eia+NuNC08D8ns27Bvap9l3n55aW8+kMNjBAWt3lM8sA2QcfmljxqXpZE3yULKefclHPSs8oMIZ0wSwZZW4JVMEIB1NEwdHK/354kDy3Fn17F02vLKGQRGKR/zW7ipfNgPI2WW6BuyydUnapLlJ+l0WlQaLIjOCFTucX4bKLdG1mkA38RSV2I2TRMD9hYfvHt9OEROVgZfJshJiY+IcZx5TH7/LQZRXMYQNC3J2ZIuSa2ivs0U9WJesTZ4bPekv7urMwMvlPMHIQA9ZEW5OOc0CS6swGze/fpd6c7oivzRAH1D1Wf/xaDV+sJnIKTDIMC7a1v7K4u3HgYJdYqqnUAOHu/RdVdPrTlAjMhgnniVBf7zs4h2+IADiI8VMAVMIGDQGipayzs1NwupA6af0AcfAZnuTzLZ4Y8Fuh5KsKCkSpiAlQYlvCNHvz1+v0jC3ZivKalbM+WPpDgdeZVSxnYfJfZ5dyqDS0iQYrnRZe8Yuq7omnghy6sa14022pj3aPf76KMtD94D5Dad267qQgmxm4lKJf9oWqf7RsX2gp897Tk1isGvlYZCIo/2x+sKqebS0Kcat1ix+C71Dk8kv568Yas9HHHUPcS/EpkZEIbAg+cfJRX6B8kBeVQpWgpOBmmVyg1S/xC9Q1+hGSiTSQSN/0wZulDG8YXrDjDIumpJJa7OlqVPlojxfenBlkZ+/4Yciviq7wY+Qtfp5hI4XnbHdupjbBXJtKjCHv+9APIrIKlgHvJK4Yqg9S9/PnxlvX5Suk0D5wdURUdVVMb4QtuZyRaAnPvAjDqxvqV2Wa8t/qHtiX2S8V/zYngVsbjSEzDdXnK2S+WYAqX6KWA/Qe3U0kuTM034lo5A7oN6XZ1MH23VhKyxFMcXEceRhcRDqTNiFjr/JoQK4rMZMO8kIg2auyogIogYrr3KCY1tAxAu1JfSssnUTJq+9vbiGiKfgqwGN7OGiP4Wl/dHXiYYTo2whxvqisD/MjfZimTiK9ZPqXRLMSSy8s/kcJ07bmGaK8yGmD8sis9aerUw4vg5cWGDRNjsSwt9W11KwlIIujfATS7gh6QINfFdmIJmfQ8OQuN52nh5vG4MYxcxSMF/1QXsYov98XWCu8mO03zyjOaAL6P4xAei+m8+C28qbFzgJk/ic/ukytpi1yiGQxeXqotAyUhBLmT/NQlaaz2Zqq4JwkZlLzCz9Rf3gnB5Zcc3bfNknBwH0Q9ZBiBI8Z0xeW53PajfxU8C+vbaCQsBg23KcPh2vzkGUAQqvNCUuMAdkFaUzXWZgz36JF27oL8HAmuPlVb23/wEyFQFNRLXmh34t387csx43wgkKRObkhbAAdmkvGxgVJc4BK5RQSoAiTBYuAYmTXTWMGuZD1aCbg67Hg755rVE7fJShjtXGifL1/mGrcrWfIz4A9Sp/HQ6coZDXEMYiwAiyitpnbF/xY2bdrDqUfRFSnl8hB5frpx1ggSptnbbBeU2xF2DlTLefG4+mtly/VxvPcqdAp1WDUG3jLcD3ZH9Nz2Xm1s21cYp5p+YzU1kIKfHdxbpmDJ0d1Yi2RfH6sKTEsIRbR80ADgrWfFxjRdRY8HGEBDTlwUPQWOjKZ/IjEBWKfrNnkkSSzUjo6ttGfHitLs3dwJIbMqyqeQ0eqPuXL1tL1MoMFqikOSOlpsG34PmKun8gKiEZ5IL7s0pYpczL+hY303TXYgB1NJKAbjv5tDWB5SSEtqkrgMpzbYfmdEeZDdQUz1wyWMgpYFYwr0bI1l8txBcCbe0meOkgRT53qEsXaSe2UQnWFolcMA1wRm8vL3JUp88jUXvJSqLy+EauRqDtVvHio7T0iGxFGjGN3LhA26zAUhMp8Xl5L83NDL6mjEkZ2mwwFd8GXMw5aFIGsWDFu4cHPG0WrkZx5fvlJF9a9ip3U7FehwBmLqBKaVKTiItnMWGpAu5XO3fXshSKgN5uB9+SmJ9Uwiqzj1sTPCdAJBJKKrHj6yKD7pxKyUsumvpKywe/iIiymOIFgNtMyDAfZ7IhMYTzyFAqlGMtx1dg78VYqVif5SERulZZzb13/mG6ilAC6cv9Q9uQpOhNsNdnQhHGzlAJtmVxo2okQpP+nRCfc7kRdPKxT24qNXYBcOADPlx4e9iuPvu2oUDcrUrmt+iK/Bc+XjjNLUqD+ueNhyPwt+PbAwOJx44onrCfECuiGGGIrtSOssBqD2dlu5dE4EqbVaLT3iApgzvmrZyrcpRUTgU6axf6DcxKIVKoaS1M8/v9mAwulovjFMrQDesEM8cUL4KJQGBthjEcWlbkBWzNJ63p9GnwzveLC1fQXHSS1N0EDp4jYVR1gXq8tDHS0CySlqzSvdXHdkuB+Ce+moHRwkkANWiQgPg/ONwxkHx0FSeLkwkYFi20jJl9A0LMP4IamY0Ma+vVdX6kMpa7/mHsccseYCxPcA5zVx+IvCU5w48JU6mi47wWTZ0E6OaV7e0a9Gf9M0WU/GbG4y75hCeZk6tz8tQwySHZPid9/U1XjlhhlADB8ngumEsWAckvlhYtbVW25m+BUeC0ebFRyoOQD6llgyPhaaT8Xzuts9sTp3Ldkpbv21uaXLeXYwBk+mlhGQaYSgtJS9rgpyGkSKsemm4CfJ/4eQuxn0ai7XCZitwYGaGMuBcHxBHPTTXr8k2z9XzJo8GyyuJydjYlk47rhWB012jAol+pRq1OdaGdI34xz1paXEknU7FUXH8KRnuNkvtVm0ar92IEOUiaVA1H1zQ9ECNuKt68UMIQ0VvapHQpc/Hq+tyo3Mq8XsDS0QII2YNLcuZatBZd9klzcO90474Cb1CkD1E4H4XLna3yqKQpchAP+H5F4api/CF3UQJp35Ur1MFyLB3LEKfihT3chFrn6+bUeAlYvK9gIUgZoHT9rZL7D7vZRooxIp+jZavyMJmKLXrkys2a0r1hFeG1eAqeWZKGUCsTQn4GmgIMgEPYUr8t0obMru5sZn8/K2FNeck6RvGQwhu4xC+Y3c89wN/VFsac3badDVv35722zWhQYGfK2Ozo9Ov8vaKspfyDAcX/Ua84XSdcGnJmEgjXcA7kHRCe+5EBtzY2zPwP25kU9iUb8OlazbedPvwWPnznL9B8+EkUpMevSBPzXYKAfN/ezdLOzbwhbopJIsdG62jyJsP6sEmS0M9nt4zJXWKvF+86Uw0Slxhszu1/lvFoWtzRII7RuWhmlLsEqJUNVuzFpf9akEm6rW8+fQG/AqflhKvXtiac1cjDSnbrRi3JlCGSFG464inOER4OGPj0DbI14g19Kn3rjgIau12HLfYrQN6DVOBqkUAiOl0xOukxDJmWK7QTrqIqNWajEjKSCi8t2nj8QnSXESF2uAR7cHUyCCFwKcAW/ii8n16/LZfOEuKMcMp0gsBwx1qVh0Y0EAR3K9Y2PJlmqC7Kc0H+naWvnlnpiqSLcJRgk4G6qNUV8dpHTz1TrwecIvqKDM6sOdwG/YlR4mQ0nobCgC6G+1xLNFxTIhw47tn6Gpl2VxO6mEAJN2Lmq9kN9quPnkamQR+sllVij7U2sagaJabIp9Bo8zRH1wO3UZL+gUODOTijTD9sw6amTSDR6MWyYYVy1xRvHexvlRhnOlOobKiA6pVY1jVuYVM18pwin2LUucI27d2bJzGIwzrAQg+I/wEm8w7xzscOeOEYKWYdtx7yJcW9QVwkxXRPWKhnY7q8JyAbul30N1I6uWl+am8hPEeMKeJUQz6nu24WVUtyelQYtWxcM0oQXT/KsnZLIvS9i11cIpeb1xWxcd0PXz34fEiTSzkQf4JTxeneXznySFT+I0+8xjoiPjsDzJkBiPb55ZzjnCs8d0p8KghU1VZU+5ohMw8YZXkn2pPjyLG7gzhPc8ZPnCGQDufEBuPjUPGxgabsdL2PT/2SRc5Z2tmis7+LTwVBiuqqar1NkZn7jbK9kFuKJce1BtHuL46Ij4DPLxbD/KNOK093ygnG8qiw7qquauWo0lxljRC/cCqGUyXtPi+dEeK3zhUw8KhHbuwbdbbzdHeWhZEsOVRZ01XNf5A/bE0k5CU4x1tFVoZ/btm9PzkjJd34Mcsw8WKzS9YIyXmrQxjQNFu6SxqxbnvX3vr2rqioodaunaPHXhcgU56ULN6zvyPuONBMkXAZr2jlswfP3jnyaHPn4c66rUwwuc6dZwdf5vfmQd6qzr6O+OO9M8lBH/wAsoc0v3W6ApatAZaojamMxOPWz/KvWCUZidUwo4Wmpqo1JDq/38gZ30f/tQycSrMnFmdY02yiDu0MBnKjHC6HHBsDnh3vH8d6mMYTJiuegJWeuWozTcMxyLJoggEje3wf40064Cid3bAYVZv2NAbKcO4ZSzwVZ4YvqZBfs6l0iJ3Oxajzhbju2G6RUaSvQVak7wvzz50MLoDkpDAkNElEbWTVgbaCFO4yxdniBGwPsL+nxCUSPzq2cJQKC7T0g/ISzIkUMo0WZ4w18ihSDSnybAyRkQIzeLlvfjJnsfJiUSJxFHAXhZgdvTdeSM6Z2rRsk0InDqUDPsVp5WlE1TZdKw5mWMsfYqcUOEw3Y7b19dMpcmV6BaoCSLyR+z2SrvjksJVF4Z5Fx7xr0uvgFM0kb4oGNywkrJMlWZ3X9mTtmNfDoiikmCp0pVeH1Qm+fsFIAXNec/MvgHMsGxyOTnHbA0yPh3zn+43AIvS9qc1+Fxx0Nov3VrFColqYBpqhN/RxFsmjCyyaDC5SBBCdzjpobCavGbFapNwcGWaYE0wgZpE9utZYNjkcqnM5Y5ytdWsmK6tUSTHAuZrXCDdgUOY7OOEahuvnRkb7Geb48iKFUWgikhio9Vdl5pkDIgtSNuUGRA8dXJMTkLw4sjvHP3oEePVfhaOTE7GPtmpAMij9EOmfuxxUkGxNHlwbVhtWc62lKBC6NPVQcWDGs7/GygMhU2nnS0CQ/cDj7nKnENai8bHF7GTfnJOh1YQqQsM7XcOojC6XHMIYVxiYPDf9QnEg7MTng+WgjJPgVX3IoB4CTWOWPsuvL9Zb9HtlBdK8g5AI83gCnpvJsZm/Fkh8QuLF61DnZLFJ1kcb9xuanMicsT0Qbgb2iAvk+ftTIswTiTh2Jsd2wVoAQomtSkZxZumxeeuyoJzDVQDtji41VYjKz3EMn9en/ykErrcrr0tJZf6rjcl/Jw+jH6oEEotXXai5oM5Xh35WNekabqeAc3aDmTq65lzoKmBqXdH2or9zy6jFAGfUstWCuNW7uEDcV0OVNBe1mDZN+RqTDB+FK0fqtXkMkkxJmF9SN5i8FjBuJE1UTYgsit55OXM0i0qpoirZiV6hsipyBe0UJCjnI2qbYae+sL0dSNnpEGEb2z9+kMSPLz2V2iwrZmeP4gd9bwM3/50pzltZA1J3DeeJAiqd4sZOyArSDnAB/m9IIZTflSamqosr5GXjG06isOZcSaT6CwdTHUhL+vN2jWPM6EltQdp+PrDzRVmU/A0zoTqQEvzjxdHslcvqlmxMrh0xG/fX7Y/tQIHFKDLCaSAHCYCLnlWypDRYXrgZV4yHr1efO6jwm/WAmv73fD5UkjcfiPkSmTtfU4qkoC5f6OZbEeXwlDRofrglszgzbaGqT+VwxQNqIr3+AsP11BHAjoqW+/+dPMEipQC8fJboxVnpWM7HXzTQaQvVm95Lgc6RdibqfmGehDL/6+VchBgpRmD60EhaIeD/FInMiCxTxcAlBFxDTWM9lNkLUuBy5xh7LkS4ZbT/VCoJLibgYLow9l55l49kHcwM2TbWNFoVLp7ZiReryOX0Zb4mWnOw60g3DIsQfzLb2dhY94coV/qRXxCzqnwwWiYhth7EOoXs45+ApdXOLfndft2rrJreff1+uXBay/zrYqGXFKbvMx3gH6emMWprUxyceNK+1OBmAV45qanu6R/NMBiehLY9YrSBoBfi6uH9VxaixdJDEzeXl5iF3WwC1Ddfud47+Ho6DXcyJPA6cXsQlRuGt7objOPwFnTQ60uQJSUubjJ2zC1plYusb3hNVgXB4qaXmeW6t0NGYk0IzoicUkdsW0R2ySNxM5KkmAtglfNGUfva4iNZItstfnGTDHBUbvoZmS5uaq8k27XbJZ5LC3JkjCxtCC4lI3Pkn7LaySBtLEYltUu8DuiFn3k2qwQw5W56Gekuzip48n8UGavXFh4522oU+EVnaVOXp0tN3Q7ncxJRCOVCytZ0x6Qh9J50u8ThmJnMJM50/wNfKQab6JuIxQD/AVlIcVJTVllZw7L4ioZt6f6Hfs6/JCjM2cWpCskoKjLGygAsyTOMl/xHfgFF5M4d0KN0KKx8kgIaENbTDW389HNNbk4GQF+LKURyUhtxKNQNXPGHapFzzq3cz1IHAY5a3eHPN1DLlMZobEoGFfqxZhkHL+40ddZoFnpckwR4v87bUa1Y107llVb3VLRMfWj04z2vB+rvlx3t1+8NuVVpXd8kB/0SXTVxp94cYDHMAXKTvdj+1k28X1fmjT3ck4DMQCQJV4b6sqlWXUK5o3/UwVxYVN+0NTLjNxvg9QVbjLD+U3+GUGZa4C8NzIon8VmkXLcoV4ZpbFu80L8ILoT9cjeR/usB5jHe4j/082f4mzA7CkFijZW17mObDpF7Q1wBnNpmKSo0/49eT7u++3/wN+BzMHj6D5lYdqoZwCp+1ItGO2jmH0YrorfHYAYmOIaiL0VGJ4SBCsgNSzbVwvAo6VdCmkhrAg8DUQs3J18D0he9khOvnS2C5YaIsbLGxqazKBjVseTmjdgyVIkjNsPFnx+fGML2TjfinwEOQbrsu9vqKlG1KPyUOCHlV9Y7SxRI/UD+NFJbbMaRgkCyePPmM79CDYX3jM6eGGUO3ZAB8QeTa9a5JKiEC9tY2lr3MjNLrwBoXAOrLq4+Lj0uvym9drz4eIj0gnxM34HKUfBCvchQpMr35HjGpdDZvJm5Ht1juJRzBeeKRLnAc58SghUbT3aN8IjQzGGTimjXfdnbPTNivSK18ntAyAr39LPJjfFewsMZXpHywCzhKl9oli/22PYj20DCRoY4D1XhtyT4nRT03UsTuZvyjguGfswfbN9qY2wQ90iV7LBXx+ga/+CYW4bT2LLLC0G62E2bb4PhXUdvaSVgVGAB+QH0oE+OZ1aJEk/XMdMTnZONev8QXoEzpUQwqRNchNxLrxTW7LDEpO7ABCX5J6lNvLKVsxX8zPVt6Gtih7SLIEN48Qg00NMJaiRmwZpLm+teilL08uvmeZPp2TF8zqpfweOqAUlfnF5rimsWorqgekgm4CbB8YLjYbKLssUGdkyGgdJLT/cUni0T5Xr+dmKnf66FNPhImCs4czWkMgifU7gqicHhzcjx6qkX1TL+tMwBWTsjOQnuSUS6JaXm6laaKfDlamT0iFqhFFPjKbBmaVZssjsGU0jGg08zopWetQ2sryUpGwmkhg4yqaMxvLEdJPSFHk7ul72YAee7oKpKRW6uMvdlVmWPS4MkZ0S1sjqg2pLmHOIPnSxz8Ul3SSXlKvhJTKO31xu6JLWyc9KgLJVwI0wBbFV6QFD+xR6cuiO5by3KoePn7zW9JrZnZFT7kGpXB0ZktFHaS7Q0rUQNnudqoVrFzcakjyJPZ+buyhaqPki4UzcFLK0a1YKFpzVgYkLmmPavqgMu2GHRjAK/eZBC76qc8sFN6XoqzVratW7X1lPxzglH4jY3tNTSBkFSW97bJxlvEqIyFmPOufPywAThT+Lb92dvrFWyCkPZeoGZO2XdA05CypmgDTkNct+A2ErZWJIIXgl28UrDWbSKgIiAfCwUMV0TlbzPTOy81wD4rsx295P1S05o2v8JX6xrQ4mioAne4h1xt9XddV8HajZurAYusVv9oueMzJkfHOpneBJw+5zHJQ9QmccqEBdIsy4T/g8e+yszS1KdM60C5uiVhtGVXV1cQUf3+Gq28J9qmJsDBfhayVqOnWuIJU6R5kXiFrJHtfHcyYzeY7vqiqtDdCFNojo+VOXiospJC0YiIksgOqCWqk8uukscNSXiImh8mJMTVJ1kN2J0ITnl+2Z5qt/sdt8echk4NDjf71S7rS3fxctTc9T5bnNgc1TWbV2kDlhdUf78VnGRtegJKMBwJIjLZfG2rptfV1IHwLJmxIl9U6nJJI+2MjfP/TqjXr/e7+G8kunVvhY/Y6tJFI9RuOze5+7qSEQYM4CfpZXpKzzNk408zJQezL40Tz2i++gLnBQPmiKLi/Q71uwA0EOPFQ2WWyKHIezfq32QniLvq/xLj/K+f5fGP3xU6AsXl7CYSa8A8hB9BPNly81HG57Npy6hXz589b+r/Gz3R/OdqN8t5gQacUlif6roGnwQfAB+IH4w7RqfeorKvwYfjNsP3w8ehF3jUSteF6ZWM2akmnatb0w+ygfpo7gzWydleO77SokGsjqcBdRxz2sx5EXlsmHmMH2aNS1UCpexltHnMufy1ngB9NU+CiV3NzzqhTmdoQFr4ue5yFRrfI1YIxJbmmA4UXUs/MHX5f7SeFkSmKSVNPaKHVuPl0Bh/GSOa1enbG+80zlHNi50K17UTbcjSBci/TfinL/1uPYnq5KUZkxgvWgdkPy8DFNWWleGLzvQfpAi3ArjxecfU05BJ2Ccm/8k4GPz4vL9rBXy+uvK62q5Wl4LJ51zkzncI+hAZdnelMwhNDRjRlOTWVNdU4OtYfQXy4tHiop1xb7VyRH6suApOec/321YajulNYNeXV7JTczkF5/tTJyLm5tKSR3DjSX2n63OYlDiez9irnq8P5wP1N8R3NwiHDoeBsQkzH/bcQQgffSaFh97Cnkq5sBsP4FYXdxc2HyssLow6NG51HNnVedSzh1LupJ85TISegWqHu0jUKBqVDQi1JBI4rRym9k8a4Knm9WZRWqb3RYzi5yNDX6net3wmfpx19QP7A8QHeRPhBryhvsmS5v1Z4EGuLX+Zp1pC/+oYokyvtRoMjaIzm4fzRofax8njz+at9WlOICEpybWgAWm8Dsk/+m0ULHopqgK7l5eDdXYx7sT5rLezex+vSez8iMxjmpPSZ8gxiQX45rUulzF8TI7v25Py6Nj3q+0ACQ5V3EE0lGVJ9/7AcylH5jcHYHdRdw9tnur6bHs8aNlD0WPP6TasQ5tq0GNqWzCBXbXTsZcba6OsF1ddqZy9C82HRRu+LZxZp8nM6HAqcOfsXEC84Dl7zcheh4VFfaBmuIxfU4sBbuWZn2HICoYHV914H7lMW3eul+qP4qxI+0w4IVEIYT6jeIZJHgnCNi/JzX5s2vsFzcXv5327bci+seyP80RlRqvvFJf/d/R4YCT/yGXVEJ+6rJU1bKUZV9SFqdol6Yu/aHz5TviIWF2zgG+Lf+sRhJtd/qGX88Kkvts/PCAHsOKHva6M1DlsurY4084L53TAxURQ1SQFUKMECh/kLWlmHcs6o4419PGeVbux6h0qkugB7oOngLp+WQnrJgc+AnPTKHIuBN7/84e7ytDalbgKX7SLLGqlHRTn4cSS5kwTnyTMV1wIIKqCoyXIsg8RD3fr30eC4/EkZ/JlK7qvwjFryJOXfvxP/+UbG23unuRzBp+M05NYVBIloOn02fKqvWU2rCl8e3xBp6FM5AS9bUt2khmy2ANy1WKeuDrpZMx9vaTThpMn5S69qQwHe4LCSw2ONFnuY4TXlK41748LN9euDlwpz3Z26anUrN1q27rChmrOHZc7+MegJfJG1HFVGVV355HxGV1eGYJtQezNZ/GHdHREB3pXSEH3xyyLoh05sEl/EcVn9T+AQqOx31m4CoMEy4gPJVGusn/pCEB7AkccQWxN1zReW6K8GDVkt3EPGLQTuIk0fvtGMpldP0YbOxr+hisP2sCPzEwhZ8K5Q+ElFUE/3EGxs1vxCxj3hhz3v0p9zz5HItkP+wOkD4H9bk6UrMdz+f7HBQVDx+U13zfYgmXd56cIjhYtEyEGaS4wz7t+5fdFKCOmagETwZA/Wu6d3QT84iA2Ivj7rcMaupYlihyfo232yBc7WzUeTtsN/h/8XISpthNxy6h2yh9qHze+/3eafIoiyic0gNlXXyN0SRIuNGGVZqGMgeDC5EYTG3y0sWFcTXfwUI3Y7Sfs2Lk4JMEedfaREm4KH3uKL0CX7lr3q77O3fN3/WIsRlDph2cn3S+mKuZD9I65a5sZd5/xYl/S8ak8mYYV7kfpR8LtYWvpa+5t4H0YwemowZLMwYzng1kD5SgBlCJFxnPBc+zDFn/F+izXgle0fAxriQS9jz0ZXooPZSoJPrR/dKfhD6B2ZDAjEz4/7So0M/y3DukjHHaEhJmnS7rqg6FXXQsz7DKAYB99lDkejqftt/mKKykY3iZiSIpEtvewgVQxzMHyAPdlAHK815S7xxyL5mKc+NRkiIJSADC/S78HQ/mg4u1xcH8YPxjIVxFJuwro/4ow/kABIJLReQ9k+WKwyo7UsUuB8uAzTjQwErn3XB+63DcUTnzgkYE0xIhFNyuBiVwe9srW+EWUxtW69Po0wwM55UoTcpW8dn3xgxLLcqCMpemW9L3lppRZlOtOcO8r7pNJ22HpGyoR5tyNslvWW7KJ9W6XNj0nhq4QlGQvTDjOOk4aihrKH0bZVsyz/2b9Npmn5wYBdV3DcYihxX4ksPm8MLLfaL/Jf1M31+uoqmAhfuEG0RXe8kbUS5ZTtUmF8wh341Ltwc07xbeibTIPAAfskx4YVcDeBU1sXJvEiXwR+td8bZdS6OLSxVQNRBT/5nq7bZo84xL6NkgcphgbZ2ZHq/npjPYkPS+GWW2IACmNHJWbVZgGcGUrHVWCgltwoXYE6MwDpbKd6W4xON2OMMup79gzzxUi884T8KMCEVCDf0RrWDDDHJ80M4WJZBV/VHyXfJlXPxd+mVC8l0mOdd9i7NH/Ez8G4hkPum3puWSIBBfMvT7rl1p1LA1ieQfUCKsaA5Zw0oz/atBUQ3D3O0bJBs2cTe5WEwCFIKC0JCq12qPHtRTkflDWcEeq8ig7g2CLSq5qmT7VtriwACsYLsdAMnXvRwi2hR73AV+kyJSsl15WfooeasfJbWGS2UgBgE/EuI68USUQGau0W/ORl4nR1Aqr3rfyULmirURosSx0hRpx9OxW9RfLT3XhX6Itoswt8fuTQaNDC7h++oPB6DyCErCZfplwlFalSmaE0JPpiWHv48d3UdK2kdlb0EVFQmKM+YEeCp/LsHmohYuDrnUEdxEXNXR9nDv13li1rDGe++5qwAbpMpTW+jIw6gqbwzsRmU6VgclKFZr5A9tMr1vpsPsi2pcGQHbQdYsFGBm68LFsWPWFHHH7R2PUxdCOnjG+gQVQxLTcia7JqUFqtEcZFf7osjkqCMQdvkm+SbzHhTtED9GkH+xi3lCKm6F/rahPt2Qu1q+nMYy4ZjuRJNs/mVKO21+u4FlWMRddIFBPDOk5KplTMDvSSTPh/TbvmXJzSs7aV42ZZoKsmdC9Y/D2dxYvNIqY8E6kNQhHi8HvbtR2auRaVqULXES1avFj2qeokqS5yWoop7GvtiMMxIOYYwYETqTntmxAy6Bt1JaCatteDUrhvZaX7jwI4SnJcaS57xrx1bmNFIbsyXZOwC/L+inhGPRYqmxxnhQZBfj7YPw8YbvSYVbJeoYHXiwIkXd8f7BssHK/t9rTktOz1XPTZdIZh/LtIq1QuWe2NYVpAwuQTAJ78hR5WW2BR442hdezKrgTqT87jAlrIz+bhB9vydrTEcfU3namM8Bp/uyKzLKK7Bip7wKX4GXkr9gil1WmvTI1QLf7CUVyRdkPoAaftbmTB9hLKMJG0FFG6YNv4FibwymXM7gqNrgmLtVSTQBXQrTqeBLml/+w1mj0qqW8DggpSvRL821OYZcC69HLF/wJ7N+XLg4abcXwvICNEPdRfwStGXPXo/VqTkZZG7+dv5qoKCoS5p2yXUYT+KlNFaNlGrDREsK9O+e2STey0c7y7i99F5U9X/bfjE3azGmJdNCqIumCFpmjPkvSV0xHn8upPCYSQuJ0+7XJblZC/NvaW8ZNcYn8kSpKIOlYEiBww9Mq3LQftsPqgsnS9eVBRGJ7Ah+0+kLjVkrh7d28Wv+8mSEJgsgfAc6RmISf2R3U4QLIhRxMYkoSV9v38I50+ypcXN8EWN/z/qEdqoofhU1VEd6DSpWFj9WPTYqjV/R036/VezFX3IS3a/Y7Ps0ZpMPLcbbhgLm9dfvYyROdHgMIBuka4SYfep9eOFib16klIgE8JePEugk3C4ztZR6NL2d2z4ibytr41Iu4LjwoA+TYuZE4sLVDa3NuR0Wm3CBzfiYtN+ZquTxvcCKGp6vA5UXT/XjlYuv6I36p+Jxng+xVwNE7qo/X18Hrr9ef6V62VWu8n1/prndvKld1u7LGCGY3MunxvEAvY9XE+uu6rNTy38MCuMT+ijjKOoa/RpVT31Of466yLgI/CuRLVSGSaEcUg7lCMwVSsWQ4spptPQzjPReuRS+FCHsTSCl0OIs4AJQbou854A8kNXIa+Le/7FlYEYRHClKpL1TWspiZ4fPZYkx6i8ZUr0orra7L6KJx1LZBAt8hA/kD+Yo57RjhZG+ysxcThi+CDi5SxjsSnbXcwOSxKjTB76tm+8ukFx/eylriLhQy1wjoBCQpgf1whXcFeynvKeG2EXmel5VupFq2+GKQLlqnvFesldxV9GYDk9c60wWIm5rH34MIryt2IL4LMt+5iiwOS4nIT/A1KBsvyO7Y1KacEemSzrZIlipRSryZkAl3BCk1IsaH+aRK0soNAXhSxsHAAzyYkNWXQHjNSTatseem7Qj0M/y1DnmRox3wZTd5v7xUBkjxOq/x5Z2866j3GqceVVIOqDLPm/EO58nYmgLGM1cNLfa97Y8iZ0F7VKDoH3t45XaSpH2CImUm/N25wXv5xXpNfwcrf4Pfc2aaYVzYK0NrcgD4O4pVXrALJ7iEl9PeV+pIlpTnqLRgeNkgET53HK2BEYgs2o+Kz9+mv9R9HHn36Xgpo9nS6SnhFDQLfZmbcznGHmhHy1uLtfuJZqur2Fz7WBjNIcbRSOJHwIE+TxcP7dr+XA8qT6QaB0sW8bKyCQmk9gEcjo5ow9GXCZNhvKzGKSOhz4jtPrSH9KLRVOiqWptdQ/1Y7JCEoZvMNQBgSKUKYFJySYROYlH3g5I9MOJ2ZsEKwQX72nD4ihENpVxFltMXXW8j+I9ahiNPu8N5ZOywRTCUYxx1DLKGTWN5p04OSDtkI/MFpGSAmH0uIZSgjqU3gxm0LPoBAF4yUcsEGEXKh6U2j3sYLXfwlYc/z+9iM5o0TNnuw7KL8l3c1XcO/d7w+cN25etcHPu3H+UMcFbfkT9yvw6rmUxEPwkRMqXOtxspNTfghYPRYD13hn5tPyiddIm6XyuhBv3rLmh+Xx9VUNV5emq2qobNc21zU1nrwcrYM3+Kv8qhDT89IxCQQWmPXVV/fFS9/KO6k77BtXGull1UZAwhSWMxBt8+AdHe6GKYKM+SJigMZ9f3aK+U3dUdbQdCCaFSKkS5cn1t6FFTl2Aq4SSb3kPU6V0kCvmnr7Trm65pe5ST3dpu66oW7SXLxz5eUQaJ4lLIhp+DaTrdnzckdbqLmIC3aMynqxlv3w/dw/H3bYbvo/mEb+yYiYn0E08myEJ0NjM9+v4q7a7N6ri23xIwj7v3QrvxPdzlSVlJfvLrGUhnIbI7s4C9+oszrPtQxSUY7nmovK2X/d/Qp74O+4Y/Tj6Puc+W89+xXmFvk2/DYBE4RJf3Mb6r2DjMjPLx9bmXUXxhlbX/R13kUDNpEuxnHk4fr7SmDmGYVoT6OK8zG0dqjGNUtOtwj/MLcrdWmQo8uTWRdaYBtxqvC0Sm8AhCcrBJjgnv+Y65ZMwTnwbs4a+JuM497hMJ7vEvZSxm74bCPuSbJ86d3rjkymd8yg2LEkQOINDJfEYpEQwlJXIoXHoSWRa4P+Vnb0yNIeV8IyK6mGF0uAay6/Q+ul7n0cgHUut9qs85TEeYn8hm81kCtO33GQmsql0SgpTHs7I0FyuV0a9p1OY5DO/WkYkwNaX/8r3yEsGHsSufn/YTeLbYCARQb4D8c5XE3wvhw5XXKu2VgbbAPuSd5WGyr/dUQ4oe6vOAXnOns2yhUGcHYacxAQZx0hi2Dbco9tiBCf/zbs5PSu2Qsh5UBTNa1f4ATta/Laxc853ZLO8TT4GoN4XtEdPzMph+m/1d6Annvws/kjUEv8kaogfpR+zddl/FmqB6nEEw+MDRYiHt3pufcFQoNbUCDrN8VQ3jHRVuDLRBjHBmshUZ/6Zr8H/YP0H0UD+RLDXlXMCa6sF1enkzK2RNSGDrbGrm9wcQwd6bBCoR9vQ29L/OIs+czNbgVac08358mrWtuMD2bkZXSNzzk3BFKOePW3/GITRHfx7ppdPd/p665/jjxc0Ps1u9Bv8TS3NxZzgsrMd4pmDKbzIGlhNJC9lkB2/LZ4zmMKLqk6tDuclDzLi9csV8K5P7YRMrcBj9wMAFNbn8Ko57sqSrfEnAcEHVjCx2s9y9PmjNbJ1szVh/K8fXsyetYHveevq3KuFV1iXKVcoD2HXlXHil9lttgJ6U7TF10O1N2wfNlGwpG+bYtvw8fyCsJ1Kz14fqvye9t4hxaHZjbJNQMCXPKYTO6qX387nDbND2Tc4oZw30Keip09o9QaICNm1oH/B/5ryxJ35u48+wVIomN8eznzLQDxfgV+ti34ar5ap/9ZvDnuYLpIk189lNFS+kGwtGRYO12nqerJ/OfiS0IxyWcUU8HkzPmuBkXTagPf/+91TI/60DqlxfosCyWzQb3R3igP9JR1hD3UrZw5yQANA91qbToXNhrm9K/SRqki0xq82hrlAEUv2KmVWQuNyR4BiT5KqxNqL0gM1a8RrqjXV4+Lxmq3S5R2jUuD+3Q9LLgeVyI7fTDGTmUSmi5nj4WjulL8hYHP6E95bv1GcXTmqZRnfVyO2FzbIGTVgYnFjiownZ1fD9G9LEiRMieFDPTUbUkr6WZILsidETT35HPSuBht9EiCbtjnMboBMQaRoc+kP12OOJqQ36293nRVmYMPJqK2tSmDl4bU7Vm9wWvuqcV7dw/7GftmxA2RLjHfMtB0jIJ2EpUdxdaCEtk1xm5IpmAPuW7f+wBmYGP1KtL5X7Ekh66loxJ3n/ziyCxujammyGuK2M4kQXBlx7VdYqDZRHCUne8j249iE3ecjPlNzmxSB4VRCznaHT7CnHjXzbrvchxlgqpQS8hZvFqWZxUgi4kuvHEAnhRMx1vpDMARp/c5bQa0Ns7zZ41TuLPdHsSQE08Ir65D0PlrzNH2pKmk2TUoiwU+LCtrYde1PRNsK54jmVKgqGlMdTudQU6S/IfLrK9uAUsHqXc+PRzat9lkZfDmzrLk4hsM6uiZYV5kIxGp9JXeIxpvCOURH3qfZJD+51p3CihmRjOnM0FqfGp+DImxjftaYqFyfKSIwM1U8BkKVzQQEpboBiTHrcXSBAz/Kx1YQ3oPoWVYbf+B0l7Uprp4o0+GDbohvlMUurKrzrAbJFrLtfBeJ3qH8pvg2JTwrrVNCY0H+yEBMBFwOVbnJ9uUGHEmF4rVslbVd1G5VW1upb8KpiuC0crK1DxjV/ciUcVlwlVA3FWLPz/FJQQfIaaV+4AnxhD4v2ntCnp6LrrVmTYga83ASAsuXWa4fFg/fI3yKNjmLov3smSzC9nCluybRN7qy4ULcvZCL/66ZWnBJWp0YQWnplL7IuSy5fEp76pjoWM5Nac3yxxt6pU8U56M4Fr3lgOSAAvCDn0fKnYrkSS3VIpjLEIb4qXtigZ0lQxOpiB8p1tDfatB4RHqj4xt+i7ZGBfajnTd49BTn+y57mHc+0s5xqjN1bkBB5fdn/v4pCdw73HxLTxlm85emUo/nOXMwtrcJc1EPgXNrtt7l72Q0xg9rOtAdBtICbaUJw8eQTpzEPR09kzCcbSWXPt28IWPjhjLt7vetFb3xr/OWs5R6WPiLJ7dUCJqMLtGj4lZZkEwFszpl0pE7d+rjnqPP3+hFc9jgn1nf6d+x9iG4ucAv01ll6dbE3VVV+9CyMr7xLdeegeT2edtPXiHv7quGzbUc/qxIsMRnO96N89f2nsTpjIMFbi6BXgf7dED6YVPQpn2NmzI2/ZsJkYCizHY2ddL3L/pa6j/t/4WXynQy4cHSm6WrA9e43XujbwVRrJAakv/JlC7OdGbU/5Z91v6Cjja/1cpcaS7WZSozr+Tbqh8PpYLpo3rFtv2QTTS0Ta0f9WLlSx6LjCJD30/P4ZfbH9HnWBCIRcrfUvFRcAiwdfK2Ge7lQNcLfUXCERYCKTirDhbPlwUpglkxTeLZoipBlaRKWP/p5KN8FFkICY+5MK7MuZN2Z77hTsYd6Z/FGTIvN3eoA2zJDC+iykhD6iB0VH1SUO8FTzJLHbU/d8LHRTqZ0Io1uBWxIHj+LhqJUnqhNneVpTKMKAdeRr0hJLYiq+KgKfrE1EujkJ9XxqwYN04wbJnMG+caapmnTJhWnOBHvLrZ7Ka4okjr21LWJBT5sNAo16sRRG/Rv5WOBM9YN5N27ys29Wvi2Ugqy9JK3r3N6DWDK1cafQSJyldImUuw1jUbs3HQoXYa3BGFmPViVQ28L/olydXPDo+HeIHseqBpHmQOOW6BOIOhbl/z43pjJDkKWZLtb5ll/pJWiBfv3Lzo1to9a98PmLWFNGk+nyJImnJWZN6HeQ723fSbK+9IquaiqvdKLEmYJZivJ7GHATJj7Ka3/t5bl12eZMJwec9r90yDhuee8XVVZNDRWO+mr3Bz61xpVf856TZv5oJtsqOPeWcDU+rtykLV/uTI5NVkbbYuJ9Yw9d3wdqJRFyGkC2hk5ivNWc9k9PY4LXU1468jQTkA4RNMPc+ZQH2Yw8fXhaM3FPiqGr0PpTaTWwpF64hapvCW15Li0DlPwklCvNrG89TZhn5o7NnReQMbWbG9zIAICvPsDrhJcvN4r6xkOJLh0D/8oR2NPraPEwpRCiJqixWsjZknz9ZUqfeVph4++nHY0lJK3qjyHGHWXu/OQiiGsxoQQOXprIT2gBWzGStBh5nkphu5+dMDxHIEjEx2EB3VN5+/nJslsnOa5UsJXP7FqYqwoh7txAvEkP1ojrrcIrnjrW9yPu5ZgcN4bIgLCRbG2hH34DehD4UeStvxYEdyeaORamTJWNMhGvoVKjbWJR94cCDtN8tp9LaQbdjrMAOukeCFoQ2hjQ4bGxRNnsfkekgX+A+qv3gC5XJlne6qLl+re6QbX69/5JoyeOyJNOVA5gFHecfNgbXRLOLL9T/u721wuJtIMq+vwGlHMwOHM4eBl6q7sFuXzyKxiNPpJLqHtiPa3vGci4ghNWFPPhZCg5FPXQJn5Lr6P8Wm3ONhfUMGeCiyzNeEDamwQBbBY6xZYGceKy9Dduf2jtVvB6SiPv83RXxUKd30xUQfB5A3zN1mgXivkNfhOEPfJ+wrnSmc6YnEbvN/WfWYzV4eEFFwzF00ldp0GyW9ti6EzPqL8bvtl+4nPEi/O3I3uXt9D6OnNRhtY6lYg4zB5oHklyPP018lvE2RR4GB8CWVi8IapcZCHKK2zG3Z2NyypGV1l31dyapEkrL9kdp/EUaZvyY6s2wPXZCzy0vjP4RRvI2mT/uWPuyZL3smztXrk8KIfkwP/1gn8bN6axgv7HRaxJMH2wHK5bmTF9HUzRLrLcktcaYwyHe+TO3kEaTgAgzcAH9i1AqOFkyhSkK7YyPPpEbptLQQdImy5KX8pVap9ZNFebD55dNrMZAHtX1+jebALq1EKYcriaL9FPs7xtJIXKY8iOvD5PSTeYw4Wrg4IFW+W85T9YO5xcJ4ghNZIAdloHV0ZpV8zrxzt2bJEm9033AaGv5nmJCYRhsiupRUViol3nfYNZvCZXFT1kTMEedSpVEzxMyWw9QQZYhL3uYmJkWNJ0qlQQmFcwoVgcN8NTL18NVNqX35K7k4Pi69IJ3Kp4K/P9El6rR2HWUKbA7aA2VC6zDQqfvxbZNbPxCXWfUkpJL5pUOl487S3aVuNjOXKalK7sCYy7q3UvFUQn1z7nzZb5BHfMlG+zN2ZVCnSTdYlfTtn6WTIU/dOUq5iSoFav1Ky7erkwD9+S8b1iZGrXcCmqeyFGev8/xT99kfpNQeTzK67jt7zFNcXequPSPJ9qqtrPJqjI/GRGCg4Zsb339zUfIXRGxxqgoWZhypafBJ8ts6T+WuzZXK9X4igxKNlLtgHchc+7N9NVlnwKdTOoWPuclsorKAJfAjK2rkp/F33VXepueqTaoD8Cjampy89A0q/7VLlsnPNqw9G2fv4bSQA7DnrbfZiTSPQ5TiDLr6SWjCDnYFe0mFtOLib5fnCxNMdmptdVu4wF34i9RP5Cf384H6l9kmbC9vPJ59WnSafqkGjHPXImvYnVf9vNDG+ACALWmykSxo0qnC0pJiERyBoKWHWwN6XEsELZMm2EeLGVK0w0L3/HxpPu2CDcQ7vLdyNDQ5MDsQ1Pa1cig3VV0o00YHgoM1NpiFcdUv4lfFUV5ZUXHLbejzV1Mhi1csvj9/wdjizMP+EGFiQ1wC8bDozwd+iaKV4d8Dn/5PUFnewnbW3idiac8655BkQUCCL2EVa1V2LqmT3EnNrQgRhCon5ybgUrY3FAYXfb/y6v0pZxQhjS4XBQUmk3OKHLkGPS6xRRQGW9g63+xrieFHiHdag7YSF6LbstrST8ynnz/saHaCbaU5Y58EKeiFwbQUCDGaAVKgC8Mrj1KzxImE/IiNAk8v9spzfEjA4sxynFIAMYA4ULQExxBAtg6N6OGzZHTxlmMey5ZGVgzj/8iFybo2kXfIpshN+kb/NSdRjSxInePT7Xy45ocW4EcljgLp82Avh/zUqLa93xdTNrOoMnACzK4ia1aWp3d28XXtJrCOEPguaqFw7SKyXWhUFzxw+YzptUhg7zfiUhotZAMuXX4lL2eU5SlnlD4l/jS2JA8aqYq194Q6AUeyD1FI8XNQMhnCmamwjYhmhewzG7HxPzijjMYSQpgjdLeZSCvjFNTTT/gqD/QwePWwvLjFD+NUiTn90HiNl7fBnxcKtG8/zjp+bPQY/3ji9aQJDa9zc6cGlGHTnZ0x1RbOiBBF8JOmk41hTR790/ceyPDB4mwV2/AOtXoQSoBLAFEbClYeUI58m5aj0Mo0sJ4nSpojXnFFJffoCWsdVk+DbDIDY2TAxJsHRcVfnfDqO8AEZmIch5xAdv8oX3H0ZEXax2jaW0Il8lvm53LUN9SlDqo/z9vZmoQ1Bk+E6J4pQ9UBD7NrQaUxtg5SiSmpl85D2OAgyNdRW90RLAibbSICSP1e4VZxOlaQek4Pd+ZCJA/JSBfHqxUX92p8duSofLbgDn1D4c9MB9p2ojHREdvGyNE4YfxHaKmNV6BHyOwVZEex+P85SMhzpWKmv9ZQ7AT/2+ECly+2pOcrHXx0gauJPonURRDGVs36jFVo0VxZGgtsTC4KMHUoe6+rrlelS3KhK9T+qa6D4u3vL+13C/Vwc3CGhbhBCRgB5LzEsK3lGBS1LsMGi+HVlacj6TXwLJkUqVqVvYaDzFzyW3ypo1x4SgDbPmCqcPXqufaYC8f/LJF5FJweY0L/Tj4lS2Pmltip9mzS2UtNGr7FlW8Ux33n20VyKRzj5alijh0S6gR18IcqCFCPZ6dFXOa1NuWvuON3y2vRt3T+jcGc6/K/SnZp74PtA+xKCwD2GwzvTB0aSWtD2OEwQhK6FoFg1EJ4P3wkPt5MqY9U+qwcshhFu3QKykv+9PTr2yJeck0uY7Mu0idapUax4hcoORtFC6RYy2rGmmUrmT0V7vL75TOSmXxD/jjtUgpPFU1t0hTvAFyfZwumK+FIRgUk6AELwzvE6ZNgNEvIzUh6Myoaw5N9gg+xhhoXshYGJ2duzfy3+KNYuAXkpbkOVsxntd/Obr6/KobOuc2yW8x9w/yQ/uzc48SOxiH2EE1G20pT0VaxVzV2JH489x71g/6Dr0AAq9KTJIjNL20v5lZZHxSdd6iMWVpJWtNJW0vTuoRbEsSJcwUi1p/crwwD40E2EflGkEYXysm3BUBj114uz/w8H/zZsFwX0JxSD5Ynt3B5C1VBuOaBCpVTQJmzjuIc1yu8kyXeAp2fO/9rmSwhNxfOVEFTmADqhJrM8cj6zyPf56bDQd/TvrDd/BiWIYgtAYcIL8yRBCK1npKCEFdJRbc2yTgoVQsTB9MpD4Cep84y+Dby7bcVVwbawm08lPBz+4DqkNl7NcrKU61KpbLtVIGy4NQaul9qAxFVUSHEncsT3gZbdIjp9E2Bn+2RpDVkcoIpQe+sxnVMGsV92U4CcNtANiY5mIPyKkboLfMHxBleTHc5S8REsmewly4Gnbl0f9spfO+bmQG2B5vvPd7b8W/9n0U5WeN0ReFROVJ+3KVeWscSAJmDgcWBzxhbvZuCzXsOHZWIwhGONdc1PUnQKkVzWUX+JpfqL6TV0rMSaYO0fqm8wcfy30fp5Kxqliqfk5nES04mTg1t9GWlFHuIrvz5eManFGN+1q4hzRAQ8iREqpS63WykNdyGFmtMYH1T2SRXyV0um69wqY2rpUQ+1kXoHvXu1u4mmAgHtQeBkCchUqXU7WYjreE2tFhjAuubyia5Su5y2XyfhbX02pnx/aoElVqsEBuS9fxlmmVAyJMQqVLqdrOR1nAbWqwxgfVNZZNcJXe5bL7Pwlp6bT5OPver/vNcGHXh2uWnHekloPrAdmAgnep3KMUKZbCaEXeSZoAgUrAYIXa+0Uisv5VYqIyONkqKB7gi7lxJ/saw63/c6HRM9ZFHm8l3DcjrSE3WsF/lwsHs2uxnNTXor4OKJe4qwjLF2b1+XzgQ/CREZK3LKRNVK8e5NvNcYKXl/3y589rOb9fWXvt/47WNaY7SHJa80KY/S61z3elNxDuHo2ivXKyN7JtQu9I4EIKHDYwHiGq+y5GUAkhJfXYJfjONlVBmrLHT5Y1fH23SBoLpQMCJMEmExOl2Q1bdxaQKO0S06RuzgVBL3i2hS2q5PC7817j6UjJpO5Kc+u3fk+7iszN8j0Z745+/5flAZULuM58OeLpjQ8tVSRRJsUoBZA7fozsz8eGvl+QjLGeObce/h3+ueK9TvuC/YLI2n39I/lrASeUrBjJ6/+6r7DrmRYXVsj/JUlsAO4dUcmZlb/SnCESss7ezMMYbTxorsmPlLGb+DE9NiJHZMDbWITYX8DBdBCEvlccfqF+ZgEs4djP3EOUQVUk9QTmB3URaSfpduD1ChqJiKZotoymbcyok7LJoS2ZNskSo47amdk98fyQkLVWsZ4lF6V+8dWks+RLqUYzQoV3g/JuLyomaUcp0IR2i7nKojv0Ga4lXsLMESVU8v0qpECjYOKfhr4hExoUple8dBNsjN+DK5evHjWtLDLMtapO6Z6tFvWeur7UrqNSvSAcB33Gi5OSjejjymqw5koJ0iQaih871oFcuAxkJpixMZZLVQDAT90T0tKwKFqdKYXFsnaJhxpFnd9R87UT2aEspqI8Rw7ELgTzh/wTwA35X1cCvL9PzjQo/G86ZZHXn5ALUaVTtafTpQwuzWedIKeLI2AxWZjKp0+M31c4NL2brVrLVa6FRyGByMCKVnipVldea71VMgSkhUNaFsiq9OGORGiTs+oeO40Qq1AHLjHnuA7s3hPdP0Lhqo/2dpa+rgwRBgcuDFEGyC3vO7FBEB4Eda92fZj9lPTktkgZzMuhhnBGi9k+w0AzJOPN0mxAi3mRKJnknih2VMX72klWyb+GE0HKhP3ktEK+QRuWwlqF+la9M2eBM1U2lqXGMDAnmwgsszblpYnxj0nD3OUS8myW8rometC4qoZJf4XjNOi+M8fu5jpHHS+kiFgmJCNTbHXPcq919xP6wnTtblqYQZt/6g5GuhXzzIkaGZkTBQ053DnnkqyGPAQXVwVteR8Vw3QICXe1CIBa9t8/PajE9sUjoe2RXarZkjR81xDbYgxrEskFnIrThJOSuqhJfLtxHmIRpwxJ/wSYvTkJkQTZXTCgKVdpVqUUMOq48MZosRyv4QY8k8CqPxgg1mQ+xkseYRKALwgG9wsClX44HCT4bHU7cj5vETy7GYCYx80P0CtS7UyMHVL2qR0rVoCoYz1NNyugoAwgaa+KZQyZD9f8pwxTBb+yfZZ9Qz6Orybo5IQ8i/Jnr42H0B/D3RYxUPFFPBA5Ywk8Rg5YkifArqzpVnR0sWadsjplHR6edeWSVZWsjJx/TdlpCOyP1ClpkXtLF4w8YRxr7ZYqCvyXf63X1nyAk6iVxsqKuvRxISc/2OcRNaXgzb5B8n3yvl3yfem8O6T7lMsZkaQzyRngv9jbDTBCsStXPIGw5H4eQmHPF/bY++SGPvBNj81xqC5MfVdKiB6PnAJRTXcYay5iDtl3rMWaqyekCAtCcOf26/lH96DHNsTl/dumOTBomJ3WTcwxzgIhu5kPxw2x9NqCQ8c1X4ldMHROgK4w/SnciIu5cz5mmT68jEKYJQyl5pOT2a7dYgl/PTn3SlZvDp8N1/mYwJ8C4rDy0NNnGrmUSO2GeQMT9h/eDqCN+QjrlECivOEGsLZKAaI0cL8ctZ+Pzp4pr8W5eu12tDF2CpVPNdkGwNOG+wJ8i+Xrx9AaENgpA1mwenxhK8t2QI0stS/iTiKIhbr9PxElwaYoJ8M/l+pYeOm+JyZHF/jtzKTOTrRPYY0y/62YfMh3K/NkypoFXw9nIPQXOM2bQ+b8SonjDxD986cLUck7DTw2Jv6kndebpaknlKnbBtf9yK6fsBckCWYAVSsgELHcEdh0XwI2HhOU2d5tSkazJtOZdCfdv1kmTpQ3x5i/66J56X31S1mH/hitBKRwQUJsh9hP7LmDZpcxeMUr8swQlkUaurFzZniAOFmOWakJ7Z2vEuXmcVukIXcGcba5iKFfDdcMFr8/xC1P91i27iJWFpaiR9AsXrvqf98kM/uXx7BpO1c0q0iS+RuJriBClpnx7dE07sXDTSfhzEFiaJFycLamWKkREHyFK5As7V3YqniXed1AYzs6tEdVwW0Wtn1Jxm4PwO37kk/P/KjzMOJ1xi3GLcv7q+djWOXXSOpFOtFlkFNVKa+fMjL199TblMeNxxk3GTbDjRKn+UIPYJm45ZC4loRjnvDdTzlHO5kz+V0j81s7jaTq8itGastf9n49nnpvDjCGGgPtvH3auoC7zcr7y/cy3h717ZoiaoDBBINuKbPBolFhe0GJobwXNMaRkYbKWsBLiBfqXSfyTeljysbN01mIVIwKnCGayY/0odw+9w3943/eO+EG8oWpxuSr8Q1SQ5otLu7rpt5Stiazdlnc/3EfHuqYOLZlqmVLSKzoq2g9Vd1S3H6zpqJkkfQCRvRB4wdL26Wt3r0f7IHyiN/49K7k7+SaXEq8WBuSkkXmvomm7AeSal2gew7Ph+Ia+P7bs3PiysQ+/4UbzNL9fdvx445mvG87mMVG0aK4WlNi27fqzajhxn+e1TX7inNAi/2ad9x9nHKkFBcgOKrXOXZs8tCsb425VVS0M5+xJZ5BSzjctfn3jZSwBdu9sLm0OqyutKznXWNr4ZQ1PKljKFwgFgVfTO9LbF8jlSHn8iut1Z6qmUheTFrtA3CIPUM8m7oNIvh5dPZqBYj7NoaEl5ejq5GYkxLiUugMeycJD6sSlhYj8PCVdyRayOzgSjpauzSuFrEKq2lE3FX5Bmki+GawKUGsCwsQxnB5Zb93rN6pGu5ZuBpBz/tZzV1/b1Zoo4fMJmIza0J1+nSBOzJWKmODABCH2YC3EZmp0TzevJ6bnZQprrnxfEMvhtm/TxSuRN1JuRD1JoYr3JuzdI9mbuFdR9XfhN03w3pB87c1zu7yHZqi4VclfvPALiV7Rvkmr05enel40J1xy4DByF7tQdXbusGPHJLsm6GnVab23o2Hsq5TgLA0zWPbzKCmcZ82kUBxez2a4pQwPKcJgKhgLD2R7f5B+ln4Yd0QTb5uJzg9ZdHtFF0Q7g0Hsff6T4TWvb4kZDzkPqRmSlinBVOFe6d430QYDxoOngzA8ms4KfcED2fK9awgculXik7jdWKIvXYuHhUzAlCa5+UMnD3YwbR9tSxa4lLnJlwY1k5cxESUAMgZ6m3F7kH6bCWcwbzCv99NuMFiZzeJmpV55YqYstyTkXnKjeDATZRkowl0n4a9czfz7rKvRZwMrS5OZ2CeOSF3+N3RZpGnYjnizwFn1xQx5h/T2b+Rx3ajfut/jF3OTCzngORJYxc8skA1urWSNr6faeMxxFZUjPbcGjlrjRsJNNbaUw1gndem8r0cslVZupapyeJ3GRjNju+CwaJtwnWr826jlUwcnw4yLHpGEJ6yuXS31Tm60Vef72Zm/KBaGCapDNIrITWcbtmJECdWNMJ0CmqQCNDu3NG+x6eSocIqYLaiVP17XvY3Q81g86p6CkwVh3HAehaVKf4tRdFMtGApaJxVRGrTaWqVc2cZuU07wh/jLlI308/OiP7rXOYjjsgprBp9xqcxQdnUvFUg9bXYIrKg4h/wMOfpr23UBgBBeUWZTIXmGCX72NgCcwD+RQMyp2oQLMmPVSrojV7ZJRxIvy0Jam3BZ7iRXWhO5skzSlnBBnhVZ+/TaWgAlqXd0JufHadMMLiUNNia8CK+t8vymihxIEMnNOVK3kuIShYeuOcepEEelsJrfU0ASpEaBVuWb1W6GYqc3LG95YjEJKLX8D9TXecIJEkCKIi1NeSWCSyfLABHwrpsEBJKBicSkvkmZvGda1H1aHtoFUrZfzyA9t3TKpXDi/8ALTyReCkihfg3dSunkhHCiHxCLF8/OqV8Anp7IfneMn3sW8reTHOyVjReeSnFvqJz2aGTHATrMgIN2rKSip+d56jgXU/Er3SqPz6Hk6rXn1vHzCnIIXq6vEdkECmzHTrcoYS08ntECwlYUVXQWaCEBlLql5FK8cVmThFOwdpulUIFTTZ+J05KUA4a1HJwZ8vPxqt0rP13DkcsAO6M/g6IsUAcXKCnqfuMoB2tcUo83U8rB4uXkMnzMuZGTD95NXi4/XZxAOVlh97cQcGkSKLv2dPmtpM7uH+U/wxZc5LDMLKKFaPBIs4ByyP/ewZ8AjNhIJ7hCgKzbWLd6KzUREgKy9kftke0BZdDfMP2XiHDwITT4/UcjATjb4QtVNkVQ+WfrukIRQTg8m8TH88GSzjX5QvwHKA+JiTwcuwyzcB2FoFQTGMA22tAgVsgEmWDef98qprYBwc0o0KfW5HMyIkh4y4IETE8sWylgUWHVeEkykUPs7aRgqDkQdd2SkXsXwGeRWi2HzJqNIaQWiLhDOmdYBa5JKGAWNHcTc8i5wIJKu+kxT1sfbWViWdiOTmYeE1sEq8KxndsE0i4eBB8uKdRDQPyHj7Xq2vXG9UsInS7hrU61DHBWp/VP6ThVbAna8VDSRqaQKPUNNBKVNBXUU3Lpuc5G3IbNqFzCFS0Y5ND3/yMl28CzCYwubBDCDiVnu+qisxubCqkEWkUdhU6l9oAOtogpAr3wS2WV5spzfa38wtfHQ2KUJ//iCVvL/gDdEwWWva2GBZdUIOzirAUefYjr7ZdN+QKckZHHzOuupecxcoGxgPhjw51br1L0lFxq7nt0eicuf+6oQDh3TkHo8haJOCi1i0ZnFeZk8/gMOp+HyQYbR1n5zkXs88/GuUNct4OAxv717ui4uJ8uoUnArNAHZSZz8WUQbovsU+uKXMpGv17lFae8c5MN+NNncJiAKo3MEC0jR3uEZ3oOMj+4ZoiwpGj3KIxFBqDX5aNyqLmj0OOuub7Sy3uZEV9bsdAKPhq4XEAjFx0ZhYyM1+oArz4ADelPVy7KWeLbTgDm+ehP6c+en+afoIL6Zl7iA5PTILpgBsByZnS2LDGBlh0Vky3RV8/yOBzwOeFFFkVdkFCYRi7c2MhqBNX0HGZOfTMli5QJlDqriIK5CTKAdWFVlSfK402JBgL+dJ4PhnGHpcRiBptn0EQMgSLT0UFsYTAIAgWnuJCPlxgLIOsZaW/qA6jknN8jtul8iVD6SlIokanKyjbmWkD7Co1KrxrVKzKIYXiUJa9ld1v8YhrQs5GVUTvsbjN8C0C+6GYK/War15e5ft/+yfg3zgYJ5PCCKP6rf9n7E/L3A+oEdsGUHihyX98bduQy/zzEKrtQterensOGfqx9FnJB7UnsXyE1Xu27iNhty/Ovg8VbCBz0Bm8pWGMtLjaDEqstZsxTyZyB/I/A5tti0QXVCf5U9pReCse/OgGHqU8GuR/emjcgCTYtKLeZSg032gzVqxg0FnXm4Krp86p1HLz5/I0mc9Pn2+aYD3uZFzxnmBlkcGWIYpSt2VJuKTPv3V1hK7dtGrXqSGwBxdLE4bD4XVNZbAa7Tz+5ZUcRwHxozF7jVTNRL1sjAx6t/skZlqcWXDLOBFB/uZWFkXLJU4CoFz9LkJ8rMVFYbBYE0CfqKhwUMwe94nIvt39rHB55VHL/Nc3+ywxyPkwLlQdJZ09aaQFUbiCZYgNnJ76bj/92poDj5Qu+DaWXJIiSRexk8+vvFCsvhZuawEviQ0oMFYmCZBEHwUu1lXARbESyIOGHFI30pRwxxWCyS3/E/9F9WPJRIxzTnkvIIQBr1CWlbRJDmxn9wYyDlNQQ8u+tiAyo87vsU+yd/ltiwPcy+i0Haco5yLI4zoNX+ssgETN2ddxOKuGmKDMT6EliYMmqTOLHMtVZZTrjI5SZccwkfvFqTCVZuC0qJCerKOZhnLAcU00WHjXBK4uij4RxgXRhhj3KOhlLnhlx/w9IRULWp3NLsrxc5rkeSbD4Rvze15j9b/TeDoIQiR2RQ1anfuGp2HmcvO4kSgQhKpaK3yoNhMK9L9TSSzOyU1qdG11MwUe/XnghT8PBMDEDidxwZjTKTIKV44W0OIv60uJiIJnQPfw9mbBInagFZXQy0hRNtv+4XEDiE6CNYM17nnOw0ZKkmV8c0DrxvOSZoDL+G8+cgie+TaNOhSdtZbQxZOe+CYaDLgXxz38Dpk/lw9ghbOXbkneVbduJo8QNq5WIs701quKKnw9khZi/HwClqwYiJvg+cUeo+4VEcC+aS3pA4k66AKDJ3OY7OqhOajxFgWGA0kDAmOSSwGD1606lx1GRr9e1AAxgAJBSf3a8vmocbETkxNKxGYItvcwUakaE67ZsktP7MSYobEQTtLNw+zdvOsoiQPW2EfAD8xZPWv0Y0pr7zB9+yNtdxzdLT0JVHkAd4tRVyKNwG1pJOLIlsiKciG1qheBTC9kjoQukqjnLZDUI7stUfq0EbOruUBLLNLmORtzHLVS5gAD6aGw6B0zxkDx//xceLisn5JFy7LW4EYsx6EmypcMaHw2Ao2Gd0TwStwHU4zEhlZHFUcS85ob+5aM+HVJV9zJpRSrzayqlDMjAMGQTupXBZLDbvYSEvj9uMEFT1xxod+qIBnvXfV4WFD5EJ2dn1nw7jdpAIRZKSK4ElQMR2Gn+be7GUCuKxWGBBIdBtc4/IUeBzKyQV4Cp5nxOEJdcGMx6lksuUrf5aK/qj+CJtoLSlj99kWRpNlNYIIkLCl+dhA4qib+oT/k76CtBlMBclcAQggLgOh0J/zAlCvlRHZKzwpg7ZppcDPJSb2cCsN2JBQ0rGg4Je/A4IuzxcOi5yWPbroKix4YhV6gOA2xk7W8kwnfKw8eTMb0HoKW1w4AfqWzQjaGZ0ZSClu508fFJNAPcgEBPNpRV5vzzAxcUmjuQ1eVlea5vKKAyjjpSCnA0WxKd2AouA8iVmopqzOsdTJDRWD85vQLEYWA8JTma8AQfIwK9bB7rJ4hNgn6zKQHxpIme2hvJk6P8Ru6cipfgU9c33dhjkO6xk6cDWahzXiT//1XWpCxUZdjaactSDWpTYWRmdknSH/9GiuYc+ff2BMEFILMqE7YiTgAwjxMcoY+LvC03xKbCOSEAQYblR4vC/shO0ANj2Aacfqfpen/aB0toMqYkaZ5FtHDuoWNAyHrYSAuCJ8ngBeMR0pjkKF4EsF3kw7MRwvhHy0zoIm+VKKIq74w/GLA8jo6Z06f04nrumttVmEzdetRccvzGr9WA1rfgq5EnD3pFbslV+PC8ThL5BjfWg3c2VnHzwdcBmE8ypyQGEZQeMA1o5drf+S4MaBzMVQ88hLCuXBTNe/5+l8k/adP+i4HHHTwTk1gooBBUBcn1pl8BLztrUJXzS+abV6FE9aNdo8I/UDmaoY4hMIQqP1V3qmGr/y5sTdN5mep3hM3AXwdqmmsdsnw8BjW72EvOf7ycX8gNE59aBc7kkOAFoZdiPSCLWIAp2AgyYDEubB3kEeQekHMKQPbjqXtWH3TSAc/DrQixsIQZgXp6s57o56ZEzBwzXCthqamkHyBX0gLdHB0h6YlxGf4r1JaVAeBaJ5ADoCqmhkI8Bw7lEFyYEEeTFbGCnfmdoVOCC9OXkHJ72kxRMyVavDnQTY2YmETFZpgepgI09zgzK99Cd4L90rSrf4yreGUrdjWXGGQcIchZ9+AL39QOAtM78zkAVR8x9CdMhOSoCpJaE5vb2xJnJDWrCjgiBCzoldrJT/A8JGd45M9ff97h8hC4i0sghn38tst/+x/xeEjE8GsX9z//QfAQ36uzSxJnJra2dSS2nNZSK4+LROx7FG6WEVwEsNDk3V1jzyaes9iTExxAGn+Ww4x7cl15alQxeir95ghgn96cpviHD7BFV7pFBrw2RLGiZjnLZ0Xls4jVXbUmMGjgD/RwQQxV7xlqBfIB02LvqoR9or370mrx+oaiyPT8NFFoj5qC9tZAFqAIyvgjUIcqOO0rouypECszsMtdWCaCHY22APErd9l3wZUjfJCfKQ5RqaSKxHIDi5hGtIv0xzVOTiob3WckAMbCbdgEVYJuE/uHSwr0zHZNe8fyxj/yncKlQAZEnf316nR1fX+bGtAG6Pam/CODqh/bM9ulKmkZ59WDlARnh4dwtaeHAYICQt/RlikcM0He7PTogBN874AVx2U++ZyLtBo9K4EBpZoCOmuSow/G+RA2pJBAFBBdhK85q/ZFvmOqgVw0du6h6mH/n8o8OWCGe0lpn8gxS8ibwcbCeuDz5YJ6omK+MGLbfmwddrrLMWc+7G0XmrEQL7gDY4i8RBysJ4tuJTUk5MSkgzE39LhAhDlCp3zC3FiwSaIigJxpht1yCDsqaYGx2ZQMdRnq+4CZ6dlMzPTg2n9clKRnxDzc3EipHkBv+2cVlMVbbmuF+siDUGVGObnQWVRGbc3IJ4ESunrdd9bvNg3djpfMw5r73meDGtmL/0C1u/lrWF9qh6kPtokHRJvo7V3FYyPGf1aZthcbi69o/30zlRlSCxn6j7eDcXsAVmgyDRcqO7rB3JgMcRojrSisJbzJ48FoaxURRNh7ucjJdqez+eCxnQ2up9inPgE7RdoNbYiqbyDGp3/EvQadBZz1rMBfGzpx3cAUMaTvNjnsrVzuDdus8XDfvNIHoujzdZuc9oYotvq4h1k9fSMO6AHydayLHvWOkD4Pc5HHrROtP8hcEaavX0jNme83x+2/4dC9oe0iabpA9wNwfh3vYkS8Uz0tAdbpvpRFXssLUhritfPMyaTG6IappoB59nViaZIXRD4EJO5mFYxgarsI7qdJMYISpAaph/ox896a3kit0qOmo/OOAgXBA2MP2hFcpu/WY+eRTYC4e0u4xhtiOxlI9WHaFQpcLrbDwrBChCmO6cDr5mnwSUsf3e2QWjocEd+Dt/GNMfWBp1wVbC/vG07dTp0sUT8w5NArG+QbxQO4TX9ZlGoodEt4f4Ld+jOAqEWCCihxOm8NiZXM2fs9mAdcigY8VbU3G47UZPx49+DB8r8N0X7mWdHv024BiZsWhFyLXAvCCyrSZUl6iFUVtuVklpfJKt8BfRY7aUEQc0MdmQERV1hdhjhJnNPDjcdJm92WF1sSUripvPAeQq/m6wgF5GP3b9yY1dowLVtdQzsAjm3QiRpF3zqJTy7oDyhXmDK2MAUMDKTr97FzkSHeUNQbzBvCUstlNC1P2Zy4DWuo35qTsS9Jfx6Ek+BrMOZa9sUHW4u2+66J15KtqpiGGN284RBeKMdn/inLxXN8n+dcRR4Asr2aICxqsclFtA7pEzAz7IIaRLzQFM04JwqMEQvxi9RecDnq7fAlegFxbZiOra1JcuBNvB1eIj42+BB8H1oTFBL63LgDaHtMP5q2HiY7yOV6KtTgo3LwEkPzwxXQqkGkWWIGOWJTyvygHjmXqF9QqWrJOwx0P7Wn7ljvbAA0i+HQpKc5obkitSHeOM8yMhoo5RSAWd4gx71wV2FPib3UDnb3NmkkXRkaWSGAuDGFM3emdiG2kixt6rXxja7o3eIGMh/ix3IkORUaWXubZTWQnqh7MasQpKvWDNgG1qshcifDufIah9Wyj2dDMFNF0Z3gT+NcZfa6oC36eT423NtNknI0/1i/AawAYp9oHT+wiTSh3p5TFHooE+9BbBIUYLThoUJ9TCfaHASihhstmHbn9tSjKD1nYeHy1N/oYDzVaQ+EXOxUjAq6EeBDPPwAq6Wgz/u5ZTlhdYSJb6yLX4G39M2j5XQHzdWCgLjjXhBSf6iRUJOnoID9FcCQOp25UX82WszZ3hspu9jvWZ4JYlTe5H3kI3oyOjN0E+W6Hg03n1xhWTFkHvpT9h3yKiVa72M71IXBFTE83o5frAxmQIkHLE/76EP8ibdtNwF9v3m3CoJ1esxObZVq+I/lJJH8A++mS6wiLnODO4dkTSjzMQC3hFBB9wX/vaRaH/uWw6xh/8BGb0jbv9dnTQZUz7AObKOtIqggC6PPdT6a7V5wfWnAUj2Q/1+8mU4phZlD8wI18pCUh86PdAXOQZaCUGWAnDaifQ4qht+JoJb4V/DFAyCalvJ/ELeKytNYbMMJaQu5F33SQMUPDnsdfDRqNqOayOFIo6XM6vxtda3daQrAO5pxQgnZoqFlMBlDGY1QP4LAMMtQ2NZt6n5QVtBRMPzgqenpnChYKBIJZRCJvwDbf80ZqHGeD+zeT7O7jqh3tmOL4kV6cQqD3YTZ1cNKwBt9471qfEG6u/lDgOfvzdyQcocZrFQlAKQ86KajsfcRIA1Zt/lAnpW0x7B2sROlKO8wQ8cMYq4xS+/eF+dunm4GYsQ75gZTVPgWGnbWMrQFbdqGtMBdM2dHMH1CWSjIC5SGe4Dg/9956fHpe8A19U9RmDpUPZPXvccrxrTe1V8UYZvnK6G8nvVr4NQ3gaKEeMshMTrLnFOGWO+rxXpBEa/Fjc6WASCAvlr9jGl+SXkJxHXVq4aRvMWbn8N3SNbVhpu2tYWeB8IZZRmVwCfjQx8AuxohLuCy+GYGStgvNNNZQl93NS8I5GdYq1s+jVoUYurogwgGeMMA5O7Gftdh6Rd1LkLFuNfDZctJcJUmGgh8kvToYXKCx3un5HsfhR8f5ILeXeL7f/zg7/fJw+usop/AP1s6uN6dq5hsWR4CgmDJ+W1O1XF1zW7cFDavuYHL4XEavJvp9c32ghQs66wMmKa2BaYaF+cQmaSoGLhHaFcLk+sAihInFnLwzKwmYFSYRyTiGLmCNScLE0P5DvznJZHpcZ9bwJSoP8X6n2MAwwCEfkWbhEym/HJoAKfWnis8yzhL3PxH2/TSk+8zjfZwWTSt+GT/VbuJiKWXfXYaXIZ4aor9dMGL7Al/+OjUXjrxIrt1/0ZfYlp+/SVMA9dQ6ENatiFXaGiFSx3CueJCkrgMH5dPiKskiM0MMfCgEyACQNXWypQTtZTy62q6+hitqtY4BdCU+cX8CfZocdl7iTKO6klk/y/XAgF6uvo6tbzOtLxIUC7WTNZgcpkEgLbzg0QZQ8vPTmAKJR+EELxxgHG5OGkDxCm8OisPYPfnc/nWOh4/rzaJlzm1kZAlk2VlzmwsXz27CcwzwICIj6jwB1E4uPuHrNSsh7DItb562NPZ+OQtyOhbvvz8A6tjUZHR9BhMbIxfdKSfb+zD6fQj4PW3+ckn1ibCoAj/Cw/tM64tWYzOtWAWYnJyMUvxCz1HFmZaZH9IsVMjGNm11WIiIin5iWV15lCmOLNfwxvM9KZYMEMYMaZfoziI0TyBZTr53fktGtYzim5FZ6Nb0H9qctiobEwrJrIF8ycCiDqR9/il2Lz/HNYkL9ZBKKZyMGFsEZspoERYXe7fDQw/8tgZee/KqY3wXIhVbk22gQ41QG5Ny1+sHdbOv56sTT6u1h5NNqSyZdGC6nCZ6IooU5lWnRtJqVpyVZ17HKlFftqS97cwksN4XBU5TqSzkYQ+Ta8msna6ELOMf/9OA8PG1UORNRXbneeXtRFehV9g2YghxAyqRIBofSXc4m0EtPB2iY9fdPocqnDx752k6Ee5WgQDwPv4wDOGedJNjjoHdBnv9/QKusCaL5al9eGRW6S/BE8G7U5JXyL9GOcF0Qbz8sNaPX8zebgLZ3g4yNEjcpshWOtQsKvwWohrK6c4wwzsnOJJvu9apmVKQq5txFxGX6pAXkYeyxqHa+CX4Vr4Qto2+Pa6R0XynpRKJC2UgzylzJP0h1Pt92VUDDXHPEw8aIwBk22+eLrnC7LRmmfNr498yBtiQG493U1HcGGMkIN35qQWaZ5y/kVPJfQgJ8Jku9vIBnLHbnnYGLKb0I3+H0z/nfxbHZHy8ZTte9R2VsIZP62el9dU3GCtwvy6/1FKtaXKQtWxCobqdiv3KowCc+aAdzu9oqCqEJCGXrNjFoOfr9qeHieijJZkH0UOZw1TldSFWQuRe7Nl1/ZTme+AEtxe9ChhVKfULSAsQO8hFC7FrdtsIwCpuC0fnKvx9II0Pyl1kIw9SY5pbOhbYs/SA8UaB9p31KRzybT1yORcDdYJ/FEU7mzvCIX6nuhz+dprts9qIDuQ5H1jHnU0WKtDa9BHQg88W+wriBOCs2LZxMlkQlqHEQG29MY32zDl/aEmntXZtjrDFsjaseZEsIFIIhJrEmbyDGHlPBDzKO+aOF5vSy/3C3aBlTLIt4HGHYtE9qmmU1dD+hAcNRVuv8DYIcVajE/FFHRulasuIVv4LhxxqUKmkdUr6n/pvz8CXZMtfnSrNVw8YbxeSyCtt3C5ZOYXFuYzyIf7iAHhg0rxoJj9OGOpijWPV8jH8zPnOS038/gEfta8kGfZw9FNgs0LBQvZtXk1zF5+r1Vonc+fz2zIa2CPQ++zQgBT9Z94E9nb2UfwMmapz32WKFE0EHI7ahEtdmSX3axdQH2UkBoSSgnOB+mBZ26Ot9kcBN2YzfuH9wJfTCEW9pXBiFDKRjO7qpxXXs+uFPWx+sLbWG3MSx2MDlvfAVof8sobngOS5wf+Dr2B90/Y/tiubpLHKoU+PtF1mojSeDGEw3fvIDHp9qYYi23FSSc7WIyDhyM0xikc2CNdvfqzEvJAnQJPd4KzmRhhcmNn+0BjtYWCwjYtX9uB+O8DHl8+YBVnCsmYFrkodd4gcegOJzqny4c7xlvl4sjayV1Pncucm72cq7j+gxaQSLzlNhgSRXSViaKpjRruimxKEE7dyt0BzdhfdUXxXLHuufy5yp0Yxs7iwsk6Q1KW5rSZgcz2m4h2EvCov/vJY1CM2SVN6vqVUzM+1I+ibODyyJEK3R7mBtEyOaipxFjSqugemTROsp5+Sfo0LV0ptZem17iIGUtVCIs66KjUOZ9PrqwJvTPAFiQpf3/gxnISBwPN3Sah6D8R3/Q/7/9sTbYjZ8Pn+bMmHj9IgCYc8BzbWkXKMMVqvtmckwT/j48Hp53ekc29RwOOP43MxdPJKcKBJuU/RxtMu3yuS5fJAxtzLcCexLqyusBaXt18+fx1wZQMr0IvOtuG8QPHyeKPQKgyVckAaW2lo86fBWWWIab+XM4KWDQgH65jJGylBMa6UOxR0RTkryFqbKWPe6ww2KlcGaC2r5Qfq1ZWn5adVmaVXS8Jhnjzo7MY56sD60cc3o/wD3wlJB6urZVX1qXf53tqRBS7T7Wvvn/Giamf9tPT9mKJ3Gg+K7IViDvQeqG1JaH1Zuut5Nt85UeY5s5/qgZNaNI59Tmbf1Sxmnc2fyvv3rjLiAmW43W0MGohcJpZLav+1ZMfVNqN4Emmg61K5aWmaYU/T26tm9HNZEuyTdE3ZqrWOc/TgKfncyCsfWjNLuVq+BSKb0ogbkosSbCC8lrkHdfk1wrkBRqh6eevV6o3qWRAlkil8YNPHqR7RyvMHEGIm84vnx2UXvSlWhDKnJ+jWUUgb8qImhYGBZNT2UmivZiJUoYgN0X9v3Q1ZCmEuf1uR2ROtC6grFhRfkd6R66Qg96k8Lbzutejin0Mavnnp4nyAGsqqfMbguhVTOfCS3m2HKJQbKk7t0o8Il26dUw89mcSeLC5RlBJwexJpX7627P0AnT2+IL0Wdhxy/2WInTXRWVRRyhCKcfzHxTVkmfTXSUM926Lamvlg5p/vPMsGrEJni6dVq8sZorSsawe3p6StWr3txcygPzH3YxwP26mihqcJZaSSsGldkVf2xSnrIEFdAZ02V8rt4usdaGbfZHbf2rk1e0TwcNRobIT6A1n/XKK/Vnx8fO4FZFlC3Lp+fbmFUFqNt02fgqFp8SMzIa988gjeYKEvYGrDd6I6R2rr3l8diouxGwPmDrG++oobI/21OexlKPOtGOKL3i/IWsVrypPllfDq7GOe9k6ccEjUOUm8Qr7bliuRgjsfsGI81ai8qhROEtl8ZfCBauOIqy7TEWgHa/djAxvbJUlTM6LlsDcSBaa1qQtEKGjqonC20Jc9SvBK4vO8lMwdyosRQeTpXX0lxEq6riNkAnvaJcdQV1Z1bgZ8D8H+wKrYPpMJH2FlfMOSPsrixbNggrb1jI6d61Cs+sEUEHkA0owBayedBGvGQquvupY6Nrw5p5lg7nLYp+yj+JAl0/s8+zpDFytcA23eCuOeslduVoMgN5aufWsfbLy3Ja6rdW6CulSafm/h0BrE9GBiLSGOmA1dap0B5QKbGa80a2t7+hZXrXt3lwanJuSDy1mj4cgkuPITa9kmoSilSqXBSZ3BJT7a+TFEFfBLA9ZcYzRK8H7bvhSQS7zFXGGOpN5in4KvmMFJzCV2v3mle7ownNK0PPbP3Jx5HCmJiDxBJ521OOsOBSTdpZ+NnMNdQ3xDbMqfrwAAbQqm6ebw+dd5boLG4Q+HfZEaHHdOt3KZwoSVCc0Xvc2hvlqJGgkTfE+lJKrDQny4kE7aq8++1pFdqGTHWuNZnLAO+25Goh7E3PbZ3+OR+qg3EJx/oPBJMC0S4Pg+fEdCc1A/AzKmw6bs/RZ32xvfc9/T9ATvpEG/nii3v1HzOUnDoTHO6eti+pcbkt7luSo2juXtkd2ax9+o1NSlZlmYu0Hn42bjFAiFMhEgYcXmR3mY+c94nbD3g3x3eNbNo6xPGKvl2tEfgSO9QG7RkGDj1VE04t9IKGL+pH7ka1jf2Vr2Z+5H6la6lcqY+5M7oxHzkDuTjW7ZNs87jyygjzD0XB2kjXkudy5C3hqKtwYY47N85ZyqkK0kBwoLfuK9hIz0wTLhRtDfOsVvrlJWjAjjc8dJ2lJK4D83kj5R7k3XhaJwTKyGOAtquAb15fsI0LM3aWDrJ1J01AeVflbmnz4t3MZdCQjls8Mci4GHaGQYKhjiB3OLsVeFmsmqkWOruTNo1mUvcIzQu2ZQ8jhIqZvONrDpXoywAXso2zXsZy+K0VXhnL2+itEyxliz0Kj5RrJ23uZVQFgjBBtlOCSmhmWXv6oRBLuVmnp4wTTey8XOOHz+UycSS1bEmLH/Sr6TXKA3Ny32D9uiXiJvijxHnLoy99tVsqEqMGSJcNSeA36+eL5DwmfYkyOoig/eyYnc3lUgQsrwTe+M2dv8YFsVfKQaqi/QF3Q3qKaLQZEfMNd5wUtLjNRM/5uYjw/y1UWlu8corMRegKC6+CLMAWODtPdfVeENCNWOUSFJjPKnEYlJkeJyIGy4phv9l1qDHVijBYF14Y/D7voyFIpPSPYrtQEkldaKbcohwdmFKzti0ZtbBQ3RB7gOz8UcW7YBFKiSDy9AbdIoDfB1bds6Lk5OdycHfT5EQUOvCd2yvuskeBcR3Gcn91tRaAua1iSZyeGSzJLeGIe8BddOM38gE+8/rWJlpOWz9QpXn4rDf44nCpLtCmSOXG0sgPH130pm3i8O9aPR3YHaWJlCLr66ar3DG6aJIG3K8VYZAy0hWDdNv1/8mtd/E2aKh5JRVBfVUllXuHfl2ZHi2K/FbCXjf/i6qOCo9I1Tu+xLBwniiKFcjOJaBIpKZnU9mMs18TYdnxQJSTLZL/vS3WoJ7ph3cNjvd8t9kFbfheEXI13acE32dnfx1w4nbMUzhRMFaUyUkMyqRLqtZBrDO8fI49YtHXsdcwXIuUkY5K2n4Orj9qr9pkI1k+Z2+KZpBkYJJ4jyjZtxm429SWOY44tGvegbqzt8Njm2cWb+Lk2bRNr5oaR3jObs8donW/6Nd2cO8mKEpzONoFes93c3sK3qWBQDE4Jc1PNGVTUhqo2wkdDrsJBunDGhVkgCYHKw6XRGjdaUbgzXa6MsQB2SQP/wviDe79HpOSJCS4Erh81aMybjx0+40hj09podfDYE20ltmzyXzu+FPIDhu0VifvXrocsyrmUJPhXtggsJyqIiZpvXwtfmc/+mkuSui4ITyNBqzrq9sxByWxE8snjIYhc3635JvzrZcVA8pcr5ZfBJadLfjtYcroQernw8oPDstY2nt/wiHXVlf6uwNbvn7SfWhQtJeXi8uNgWbPSoOyWpR6vFFeWAC6xUkMmOoLgqNzSFw668KFu35y00fd4d3FKBnVBJguL5jBxow8gBRLTBoTTTBlbRY5njg5XbrTeh/x77nnmjoattf+QXzs9QM2UCkhZAjpLhWEpjEi56jytCuVogj/bYcDBpd/qvzCb0GsgGvA3pItoq/LJGukudbkbfjF5KfY2+3asOvYB+wF2OXk5iu3IA7g/W2DfyMrM7vcO0ukq6Zp78gt5KDXqskobAVs0tvFENzAM59qZRIGAZDsu2cFdSQ+ND/clBjYGI39vd0A+qHeCR1/d79HGbqQiAXuB2jj9hkmlNxOr4vvyQAHMxCbDBQOw+egOmjcZ4Sv0E5usAeQA0q0/yCmVP/tF8QtsVWZcx9scEN8mim9n7PObHywzw3P/6LJbL2mVtSySt8pPpFY5VcX6UGoFHvhVvKG4YzxvXVZo1z8O3KZUEw4MInhwHarEZU2dnakGPxTi8Xdt4U52ZvKxtG2ebka1oBpIvbGWvZa5VqgW7mDu4O5g7cCoMWsxay63XFawE+Dy7JY9X+0T+0YnttU3Fa0oE4I2R9yZ27u77zmOzswBdQcOTaQBay+z/P6I+J7EqB7fkvtn7rHOJdtgwse2gy/qFm4PtUb9GWMIX741/x376OuHlMBz9Hp8LC0Wp6Uf9kuXhgTSya/9iTMmPwgl8wzdiEuiJeE76M/1AejmIcw+IHuFnZxOO6xdELcYEmrX31LrkpuZgxQjJhgSTdYJbh1VVBW9ys31fe84L87uMz/vm11Pvk0vwq9wue3FUnbHwudmvjpgcZRXd5SR+Eovurc4PUeT80jxSKfRuao0H3JM8RRbcZba02Z0uqM4npQgIavvZMkvO23wnYsoAnIzre5kt3WvWQRoC8JjqkcgYePpvnzuuRxybRll3nsjitRw9mUfJyW8LPGqUGkMXVaqdnYlSjqKnLMZC1kIzz92/l27o+r1/3MVO6Dqqp+qRSO1ptrVwJodxboTXQKTaOC8vlqKuOBMaH80ueuc5vSCfRdYIsTltFkKxN96P+TX2siu5bbMpvWO2jPzqFukp08B4kqv5PKzQ0fiLsRNh4vTFLAk/sfdh9YqC17GiMwDtEjPdO+yB9aKlf+8WBG48KRPF1mY/Lh+HhC3jx8rbApSSBKDjSXBuk26mH96tRDz7QXy01puInKOyE486TuaHLOPC9nVPDBkTN0lI6cXwUE/Pw2IlSPfk+aN7eP3qSoLbCK21bl9myrPRu8vAKmS2hjQZcWmG05qDw1VToRQZJGaqWtPasiDnfoe3Vp4tMlgAtDCr3toezxvLGWtnfb4ZrvsFRtQ0x05ABosSvrjmSOxMu9n6EHGQbvrC1kQwrfyy/40Sa//kl/ImpVOlCwrdqv+bz1+e+opRjlOSupjrSYc9ONm3FHFq8HiwOtGSYAkVgX+FCV9pt8p28kz8v4WGAS7ZLv0TwCkL08VC6cyiCwKA3pHTU2gYik4xkNFHJImpgmowlTe77wEDp6f7eDiK5XEOOR0DkZW5lW5/eBFRWjKEqJUyn+V9P9KLXmHNYeVaqUrJ89eWeKaJ9miAeO0VrVJVpLxlJObYuBpGUC2L1UF/oead42XWniTGN2dj7qljFnMZXEppNhbzey4m2RUkb0uUkPW0Jl0PVmfrafoaUya7uhkfXP9p724bMyfa7K1Ufl3rjQNLlXBntQXta4UwtKEgUfVmWrJ0ic/hteQ+zBDTt6QCBWEw+NygYRFuLe8txgd5muOFvOZ8xEXefZgPpUYexNGF8TqqvNzJhxPKKiRGnOYkBUl/HUGyuDbShzmwI45sWNsf2XnkjTUnJ470dR0b2Dd7ljc1zynizw7Px9MgMChnnB5fPSJw7CzI1t2zGPImzTtOFjEkIqx/x8SxVBVmFOHViQRebH6BpO+2cG1JCqcwgljCE3wFmKGV/clToYGndIlDoMvBjy6wtuGM28znORdm4hbZNOnAHmavt9/4amoIXbS3BuJWgk01bEAoL9SamizVFoNrXd+tIZy2oXW5BH8SLJbjiuiw64BiN6k2OoAjzKp1jRwdJzWNVpTDKTIQUceavRsweDOOc7Jo/jx5JQDdGLMoZ92JQHmX19B7WCjcqHxhcLw1PbvfisidPOIDn/C2B0FpN2y3TsJpdpin+nniSZ2Koz/cwMfXvfvB4D9/PgSgVSEXl+ByYgxgoi/lQ0iKwTO7Y0KynIHWZvJo34S72uxJ2WeTpuP5hT1kswF8IUg2/wGmIzv+KlSEfcHERVNDfIrfGn35wCQXTMQ+a2AEZDvW9AUvsipFubabMhoO1Wb7XUoupVdDkwXVMZ70erK84Dsys4OF4re/UNUkyvpdRRylynU7J3yXBxwY1A+OKubtSgtB/PDN4Q/gtQKtQQl/3p7zE1Lt55fGZvWWp2kEfO4+akO2cYEJhMP02AeddU9sJTooKPQSZfz3Yo5ruNqBxcgSXWihJoRYY3Y96NiVX2M4AeA3I66qxt4Dd2/X38+u/XVBZeXTnmTWfEocCkiHlHweWVkx3JbqijJUXF2hrpTfvoUodw1UWXBWlFHQtY9X+4riZPHtXwbzXPZ+HUHJ7d9a9SDqCNdUS9OnED7vnn5rdJv0QsA71aZG6ZF01KzdIdoB6u0kiFmKI1KpphZyXjVsE20TWqUrhCtaGiZw2QTlTATUhPcXWiIzsky4ZnMn8ZJJkuHM2TmxLaYrKEqpB5FIjAkIyXGkjFgTk86zR7O/E+1C70xUzg/PZWcYEwpCdDNUc69pbilU+pClvD+UnA0HVw9twHDigB9G202LKiWB282xYMlVQn7naB7xKrS96icEK0xktw1YFIp9/gaY84Ln8pU2k04bZzVGMNpPz9X0fAUiFWICkSLC8QFJ/adXMJZn8p+kEo9r5yCTsA4N//5MP2BVyvXCs4fGc+Zw/RlkVUe2OXyg8X1+0gHeAfIJys9Ue7yaSpK10Ufz8xGryRhegsgbSwyZIakgtMBfCuvq8dcrrwyQvw4zksOSxRyhRx1iZu0XFChQHmgxYDsDZr3rhWJoDVD3Ul6AS+rJhnO4LCitlqxwizzAsU2RpZyR9oJxBXE8MJDH/fp0IhMoRzhSYsFJH8XORRFgzMEWCaOPHMS/mSjdTk6wFUcEEZcaUOChlYHEBoJMN+ieTn1OCS1AeFQmC2gYGvgCEY7nCIV4U2jou1MvPYEf6FgrWB9e5NTVUmcAHKVEq4I1xg1EYqIlsEISvYPJ4E9cUYXcDMqb5Fx0SfpJ+BBAgNJXcdbKMzgd/cb0XwipiENQW9K8dUzwnFdXkUpkVJNj+eQq5si6h5Gj6WrmMmkcbdkQZxFEc6eh+Efg0oOCqOs+0pHG5z3PVnEjGU92KVwdHy6Cul91U1Rmk3KJXBU9BSSx94DXmEr/DU7NWrNWLLlYB0GRTUkUpG2Izq1YadBY5iSTmnS6YHC8ce8q8/SLaLI6gu5c0h2DCS8hx7pEkQKpgEnMrhw/HrKpAwunKpUoLngIjiKVpa+uYe8gry8U4dz1vfvUKCPhVZqbjW/mttFgRPBeWgUxZqe1lYgK+gR9vxCAUMAbn/toTrzvc2Ldef7yogl3fS/K0Q2YRQE3CyJZ9n4Q3y+LDzd7OZlWLpE/28SVuRT5lsEzFoAYL5k3fp5S9f9ZpNu8+c+/xZTiFeAJ311TVEjL/UtNYTv2fJuKIKH52LB6ijNouq+6OiIn1dDaq51I6MOHB7MU0VDYgAVXNykZYaTRW/tDkoOTgTkstGBjSKf0FEZgQKNXCgrlV3jG0Mqg2vmVMgqMDrg7DAjfBRjBB/79ewtR5PGEocSJNHMcSlCL7c9tQ9XuGxCMngetFxb+ybjOgQu6Rndi4xLjOMyPk+rn2/Y0AnuLH2641E13r5Yt8n9YOzD4IqcU7+fXYDkEqNPUGNKxHFtQfP3TQUpIe8I9Nzb3BYSSUDFywNP18j8SGkCZH3yAi69V+b+C3HtwtSpokBPvU4fkAMzB7a5o91a3UywnABdmt4hX7/Pfr5zeVYvi7s+eQ5Sf1fqa74rDiAi+RQe6PcU2JVIMbIhOSq5Blm2tHFguiT5J7jE4czlSBb7NznMF29dMDo5sDydjStwbcE+2xwWsEY5Ck4LL4twts3hDSUUqLKzhX5wsk/OIuvcfqOAmMb5Z/837U7evcuwG7L7ZFICPiFR+dr6t2eiP/aRr6Dyc+yU1Xml9bXFPNur/AXprh+AAMgVyqU2WxceydkCeiiJDyB7cmu79twm9uioid7rQtkv48Jd7IKtVkEV2t21cGSBC0vkdG0IyUuD8KC8SR6Ml3uhlAd4AGhLZgVChB2hjyMICee7mLsQ02+WpRThf5Xw5uvmyyeBhYPAE1iuBCstx8gw0sqAZbwCUyGqUOQoGkQNGNAiv0WjYb6bsyqQrOw+6qrML2gCtJG1FwN6sxJRRcbJ5Q/Udh+AzEvhj9rhbF1+J077pjcGneBEqAQYuKnjiqmqyFI0PYeJdZvpVhBVaBT/9g2ktjqQJ5LxEZwI3j6W63eSzTa3bTBRPDS05wUxkaWQjuY1MYpDNWpcVgND2zs7SUotlBHK95ka7rJcPad9YxWjDLjj/QezcN5nhxsLYwpRjiJs2oIfUoVwjyT0dNItvVGYUIwpLg6lNm+rMha8N0CF6Z/onshsMhdZqWxUN6q36130cQGGXx/F7Dr78HSP9rAe8vMaakE/FFiWyPuUS8hV3KbQAsTXEh71DzCMjnU1oV2oX2cSV7ZAJ0+aPKoE/r2+UWvs0HpW1qaP343/o4D10OG8Eys5kqnNxBqitKMqvLBuiaE4MPam0UUvzD3P66n+Sia7oV6QRmSH0Ql0esKmPfBr3tKkvRDvBtWz0EpFFf5v6dbewwyoeaH/HuYOQmmkv3kZe8nvPpMbWblGnz8mmfL3PudfMkO1/+7d289je5vFUMfiW6yKmQG4Yv6akO1gtIETzeXOZkdzlrDYUo5kiJPI/fPZ2AB3YIw7xtgl20X9OB8C4Fq3xQ9Te2Q9jDGBeZ7mO+EG/xA3g/HMogy9FPZtc5jOumn2Kv38VKc3ty/Xce1wrQia6ShKlxuVGEz1vbuh6o+yt3rTLDOLbg8bYZZsHaGXA8xsSgLTGjhMLnM2m8mZxmIzOYyhjTl3Vz/MLmbogV/I3U5GF7drIGbgMPcwo15WR22Pb5fHWF0fp25zLaQRysoEvoTYXu8wRnL31HKTn67rO0P31XbyEIPX2ax6q0ZxqhnftzLzxAmGkXGCzzGa0iwvwg+REzY2Qdm0kYj+7KNnkH1kI+RFrN/KM1/9HhHDE1fp3sxstSyJ8DMvjVvjqwS5+plx8qZ0erh0hwuBATUqXFkQUflV0Px+LPh5FvUU4Xd7nPCwpw98FG/VnTrphPOQ2OWEi458SsFvX9R/fjy/RcydVntEIPxRLmj6KhStJV2zz7nuE5cZ7hbN0+1rUbtYycQ+CbZ86fLv2+z697F0r+J/gL2H//fX0fQuByi1WO64/1V1rawjB9i3UgTWXLhlHtW6hPAQM06xiygWMRnzc44hQbwNKaolMiuWc8ySwDmerV5xSvU/5rgZeIWr1kzEmjhLO7cadS/2/28So0DOXQsnomms52DRRkK6Jwe9OiUyjKUHnUE2zFlB7hAQpJnwgRLixaxgAHGDQy2iDuIMIgw64knkKipJQk8E166UGYC94W5msSdQkIRGEnj2UEX6Vd/gTukcW3PFnVg2DizPY6451pg6iaxoLjQFSmjFsZTSl/Ch1i1ns0rzrMwDCW0VyhS1R2Egi3P1kXS/GHPGX0WTwc0lWF72K8pLmyVkDh+Xe4YXDK9/76hxqoi7xs3zPV63J5RmLaEXRh908950I/rpuW6NX+yUsXjbDabLyr70ugF7sXCkAgfLlru7caezDtH22M3f01QgpprcdKHLEFr7yexDJ0yXl0M/N9TUthXyyPUEDkhdlgrIe6MgFS9ezeBxMXaF0oRFPGcerDCRoakVQRhL57L3OVG0PZBhBDKGnAzmDyXbH3GkXg0d32rybB2fCb5nh9wl20tkZ0BPRY5WI2vLGpcozeT6Ep/rFYfdZMJOA2RYjjpp+x4+Pn440RAP2NfHJdE0zW7Js2kURdYY6CaZFsvAmK3IyDA+0gP77wsDqhWTZlZltIb6uI+qTRAEjtHrCpaZO7319R5NU0N6spzl1YRjSHUwI+4iieTrD5B7vHcTsjEtwQgxHYtkTsYT87u6luUcDG6krQhQrC4nuSMWXvuSebR5WVXauiDlxWRUczlN14+1iYpeTj8dNB1TiZiVJvCBijlPlV+vmF3muEfQPFi9HGhXjajQSokObtVT4FYuOlsesyhb7qZ7X5uEavKFll7eWhcdzeYRKmoZ2QM0jWiNldAp6GCSj6loHaJdt2AxZ75u7Xd6CR6bhtcFtkY2ViHmex3zJ09h4/Pre0dRWtDj3CzojnJGV+WJjqkP4HKqU0Vh7pKXK2VzTjC3c7E8/kFNf3Pr5ibZfKZ7ukriV3RMHlc2sud9dc1ib0bg/4bgyITL5YvKds68rKa0S1Yq9N9fU8LjvMh7OUyi6M2FpGmbyQn+33y6BHYxs00wtwnl4WMza0SmBqUjETSQFgVaVCJIHaK5n3yrI+ekprIhVlLqMj35G/28mnYK1kCWsaClOnoMyG66cimhFJhiu2Jc/DX2u/gwsZR8tXInlqXKEZse9NPKv4KgGv8R9HocjrfjVnw7EyQ4TgRt9367iUBbiiZN3i+ryCufxisJNT751fy79dZvEvPinZT5UcupcLtBbxW/2JqSxl5MaBLofiZei00xPzHSxre1R8Cf+jL57Wv/VNYmarxajmMkBl1G0Rtk197iSuE0YnCNHFew+aTRMpX975hUZCOJMXvRMX8zU5/PijX2xx9zgslk/iKnyaU7f5OBEjKT1E8t7wNrs/pNPCpxa0ciKi0Micq5stkeXQnXLGIOZCA9zHuxyb2ZVm8a5cYrQU9M+Zxa3RvPSWfeKjPNHHlsm6u0zd5kblRoTQGLeI1z7Hz20gBWTDMTFNn1/W9RH4jafoomd65cce+47pXWfR9mvXq/1N8lNDahZFu1TzGfzRQFfl07LNb52ECLej5fqetDGvuUy3pOst143ICTf5X3sf9/lSj2xxHktK70EdBKvTsbVvNuStwj02r8rioP/O8bkkx2d7phI6V5XB9boeTGZ/6JMUtN/tNnDolkhWx0tEQjL7lVrbUVuV6ZHRS6j5wW//+baU7yFgbvVWtb/ecxw33y3u1+MXqmy/MT7ZwmdS8ghbLGcOcTZQwi6LtTKX04Fpc8/Hk76b1cNL1BgfUke71701yu5/QV/6Q8dMzr35wOOppi0CL1P/ETRttVXj19B5yxKoefXDlm553ktW/jsZwkM8mbjCE57mDJjv79oZeTfvUymbaWHHqCp0M6uisY+n6r8I47rMBKkqc3ry8baEaaGUbnaJDQEBjcs3FFT6zqW1/Zbjt+9+Q6kjYXQtAAhX8gpAWIAPYAzQUSC+gCDOelhkL/dNnjXYM5e3OjTKC8oiIkU2FcRnJPZ6YXGS+DM1uv3CZPcsTSU9NUkcWrWpXTMbzC11oX06XW/p3UbIY3LWSpIZx8XtlrUb608ujs5s/TKqUD0G3EVCTRez9diNZLrsqMlfxZGVuIGWuuyJoGJNNmiBfOZqKdFu0Ib2pzpmnmKzdL8280W23M/WxmtHV2pm3Em1VphpayyNJGJ1Rybfm7rFags4lOTovo3olcXtMiz5rid3QQPUthhxG760AmsyIW+CBkBYF5cdEWVHS6ysB1MGCqoRLU0/ouVDSWhy/URhxOm7WgpGrsErJ7qsV1omP5cXO5rUEgi9lSLSxb2+P2CToQs3mJAnQqKtqClG5CEgL5WJqWYJOr4yx16S029fo2/bDeIoaDMPSiulaMit8FumNa611GRTEXpcDAciKay6V2vGofU9d7Vc9IzorjdeGNdfN87T8C4+o/s75RxyMUZ5YY8/YKaC1Lsy2iBB54yFVYGhPUpLJU5LCcpq0f4ExJelObYrFNFpeYWm+qykBGakTUcUxVjzr8hdq8L4jq6s2gkFHaSywxC02HliguporgGNSkuPOZVcqy41NZvW5j9YZHK6VQP5y+ROd9YuEQ05s3+PaI9BFgCL+DK0D6vmgNr4UOe7D41zrQlg55YmXnjt+fSGrv5lgcE+5gLFCmhL95pXsHS5XMciOeTotDny/aZA735s20NbdaNNbWR5MuxfLTbOKVEjpc07a3/xfoFC7wc28sgtJYP11ZVlguLGqpns4rTiktcbotUa6fj4cK7szVeTZl6s33y2NtmqLV1Kzn2qH8gRz34W2lpQzl94JYnPLFIXVRJa3aH6v9+UzCYs33y4Te8rGGU5l2JrmlkmMxy6y2L7TKa8alypC/IlBgCRyjFwg9j2016uAFsbRoJqp91Ev7V28tzZzYUKpjS5v3cltiD2TpuTpL7GFL5Fa/VZqQ5tWybCPByf1Xk0eaS5bZqI/fiL7iu5zjs/hmCDArdKS62nnx5XHwH5MZ/mMyvXlzm2JKmV7Gl6llzpXInH+lmRcpkNL7uK62I/UfWzS1FcF/6ZrtPhyK982bKw0civqYDXdAyxljSTzcdzPAnIGxqpyeP9CwIxhUOsq71P5LFC8bVuS65HVpqlmguzxgoJ8Nt6ap1QK17aDQlSbR0h2ZTO9ise77ZevW1pwXjdkstSOzILUjzbB1Y2aZ9bTrriqmjCx4iznMaoou41eWmvo9KUKmKVDuXMjDuGmghKBpklxpJZNV47qiEmZ9FC2Cby7R7Gfq6n5zE9ENz1Qg3tXxMFTa/8cRP13dlLi33oJbLaljGd11V1WjKaN6pfk9oaIgLsS12GFjeLpXc9TrE8qzpn9KGawp3S0xlGPxb9vLB/FiJN0XBev9VO4L88vK2BB7YnfXEX2he6YbL3DLt5JvN6YLVK9GQX8dyUOLw/E1snMwkeB3GV/hp6/zuztrWXdc9fVavhMl8BIfJ5Hu7rrEMHnCFfeiIKnsuhslc6++S5LzfWY3S0Uu28t7r4gV3tktq/eX6q8Go7/dAs/IYsvj9H1mzejS2n1aO3vXqMFeCZhQtndxfBa3+bHchRfu/Nrcl7aGhuv4dLfiaS/xVV0unWFoxG3q4hlzxYVWznLchMMc3JWGLoq8kJIarnteMOwGnqdy1WrXrat4r7S8VFpqoRYj3OeehyQDpW3phruwutHwnwsWU/pEFz0adSieToqMyDHCjSgthas/ti/cN9YdQ8BrglqZGXMWzxT9bpWWQli2iNWtUOgIWGp5DNTW/W1z0yaglGrpZcWsKPYtQ+v701KrJueoRVPSHfGzV3euDP/fEcPk1tKzckQYK5emkQvy0gwyW2XRzCGnFbijEJNudpJGmjNfTyoVg30SqRNkriG9jFHalN7AwDWx2AmSJyGWEjsyMcMqaAgpD1JL3ha3TEwcZE2UIt7mSZhKdhlQxEkkFpGRLFQ0moyVs6DfJJKKchbTBDKG2JgDFb3aUookX1NY2nung7VB3XAV1pQw0z8ZJuxgUCr60ozGkkr/kFGKJgDr0pjrm7jnQfsQytjkCQJD4lhT8UzMeInCklXKWwISoGvQA5NMFcnPoCDrp1sYk0xE8qj8w/DjTsm/2IORW6wZsqquCYKggmjoHZHMVQT5CIRNyvWBdWICH7SHqAWhqhJsaqUSP0HuVTBQpqC2SBlmt+ckNVw42zT+frqZwEv0piaS772bgs54wC0OKppZsbQJdBNjbUWCMWFNHdWQwGI6m8nuEtHK+F4S5iyea6Tx0TAQpUrWojs4sYa9SYNnEnXyxXET6ArFomnIHn2yluId7V+Gyc5LOIeJM+LMnbl2LY5+T+eVM7Ewvu/7UMybhWxI730owKL4b61pcq9bZiy5M0DtvfPAaBbNtf9k8w1jCRZa1ATqcgIk8gqVo+rq8VqBJpd3OAGjxwx42mItCZqV4GYGNcG7B4beb+Fug0vjlOkcMw45Ph3G0fO0hDIoqNR9yjvTl+r0VQb6VyXGYrDSwM4h9XEjMMrkg8dKXTKnZgwcteJxybUTV3Hx5xTUJ9/bdfuCx+Ln1txYCpwRyT/EY5toK1tWsaMQLB2yi2STEjPx3F8iiuIlTuy9tFm5KsAHYfaKdrIYaydvSBvl+mjxyNB7NTNExbwwzcdsInOCAmd2OWdmeG21MddIxXsI2IzFNFFVbXKSrnEXVywpcOcY5g5mLhFXUgwsCd2CZGPNoSCQ9l4ob7QGQ0MSSXDAl1qXQUoCzcv0k9hBl/+U9mfUNjtkQsWrOym7fyOprjGJI2XERmLwuQ6apHEzM++/wJJC0gtLjniGn3JmDowRy+GUIZOCWoN8ZCgZQEqK9SZmBFnGBhE1eaMEO/BGbyf5ORuzEw94iYZrjhurazUclIHFKuGBSehNbhvGAL3ho1KMogjf+1J1JvvhYDBWR0cfOf7za2v05cuuE+aT67r8Tfv4aq18eGdGCs1YL4q1WC3P0UrrK8ghHts57MNNIQU7ZcYoqMSEZXTxeFJIxIrLbrTEYSQfNxqseHCRmULrgjjJiZFkTIgkhZiJDy0n14nj0A276Qx7EEnB5a078UOAD7lRyr5lOP7/fX6uDy/WIwEGp0n1XhdGCTah2CjFFOqNMlw6jAj9G0dluNPHRuW4LFKjkXh9sXK7KLy8+E0OQigE3YwEMBq4On+OJg5ChdHC4zYl3T99dODtHhqdeNwPRo/4alHm+Sd8tLiCl8KeXVILqFl5O8gW8IaTS5V9YmjeJ1stBE2LmlTy+6CCsWf4UkvJuTW0gSQS9AVBCQ2n7VFvD1lQ3MuekcKT4l531xfqj+Rf7lBlDK5s3V2r493XeKjJjoPmDKOliCVntEYUlFB9A1TUCRe5yLUXJ4pm1NTcNAyuhPUHpIUgWfvFi6BehDuBkJgIoHLViG9y3H0qF/XcWmXWrjqHtDRuh57AQ/joDW+akFe1S+RIMLqBQL82OtCKEcSsDaC9K6nzN4zVU/A1XKuqmS1e/W0nt1Up2xsYN6sJoJ3i8xte4lJVK/h6YSB4h/HFy66ansOobBeIZRwho1hjufbDwLYI02gC76Ewe+PNMklgg5JC/73fShw89nu0EL98hukkfn1HU4mLX3fbDFdLbefvm4c0QQxzY1qFkOkmgqI25uugOOA5KNChPaGMIFWb+7PrKtYpSmHhywvojcbjcgKbvMq/JZDm0fO6mj3bzFFD2ZFmoPRrERoIB69gSUfhkKBXCAcrE/bOAfsrbDZ0z84nyOtqnW05fMq3VYkMnY/ctb8JdkW+5GmFck5twCcAP/ISMk/+phZkzZEiptSJDWnN1HvDBngZswMmm5L83YNIobehQ7JjWKLtr/pgR+TIKshR2xCIibnWkdGS4b76MPInR3E8eq0L1B/M6MBIthQzRFrZUpKHG1OatNDrTFAlMRAP7K8u4KnnFVzCq2athQ1qhxKClmjBdwjJIJpveuvmZ+iJZFpS7w3eN/44et4eJSibkdW+dpziIHTG2p5Kxw3eKr/267ajhNWH1/jh/Xh8Tn0kSqyKWlbKWJW8B268zlK+LfnoIL9uxE7DK2T7jf976Rfsas7UwyIQGsUKAN+OY2CDvkg6yuc/T3jSGUt9ZVsMZjBkrbHD5snvV+/YbNEUiAr6Ywr52SXvTWF/2ul3/ILfcJU9bnjcjQYxmG5DuGUu1z3lec941nO+NI9XveBFNxnOTzjoDa941QK+9a2dRo0kejyWMYxjvfFMZEL3d4hNZQrTmM431jOLmcxmLnM4boP5zKPLo77znXvn5ylJq3hUIirpP/z3AcYfur2+D8RwNN9qUZPpbL5YrtabKLY7/phmeVFWddNud/vD8eSk/elyvd0fz9f78/39gyGfiP4cicbiiWQqncnm8oWi/Q58Wq5Ua/VGs9X2j1ss+Uu31x8MR+PJdDZfLFfrzXa3Pxyd+u75cvWF7D+2/ujxfL0/39+/fwCEYATFcIKkaIbleEGUZEXVdMO0bMf1/CCM4iTN8qKs6qbt+mGc5mXd9uN0vlxv9zjuwBwKr/wGGosnkql0JpvLF4qlcqVaqzearXan2+sPhqPxZDqbL5YrumC92e72LDaHz+Adjqfz5Xq7P56v9+f7ExBgfFgsyYqq6YZp2Y7r+Y7r+UEYxUma5UVZ1Q3ChDIupNLGtl0/jNO8rNt+nNf9vN8PBIEhUBgcgUShMVgcnhDqJyRyaJ5TaXQGk8XmcHl8gVAklkhlcoVSpdZodXqD0WS2WG12h9Pl9nh9/fwBEIIRFMMJkqIZluMFUZIVVdMN07Id1/ODMIqTNMuLsqqbtuuHcZqXdduP0/lyvd0fAAjBCIrhBEnRDMvxgijJiqrphmnZjuv5QRjFSZrlRVnVTdv1wzjNy7rtx3ndzytiPiCASqMjg8lic7g8ku+4nh+EUZykWV6UVd0gTCjjQiptbNv1wzjNy7rtx3ndz/v9wVA4Eo3FE8lUOpPN5QvFUrlSrdUbzVa70+31B8PReGKU/sJsbpWx+Fez3/r0b0CfwL663qi+4cd/7w/H0/lydZOLqSKC3uP5en++vy6/+g8EQ+FINBZPJFPpTDaXLxRL5Uq1Vm80W+1Ot9cfDEeO/ptMZ/PFcrXebHf7w/F0vlxv98fT88vr2/tHIBgKR6KxeCKZSmeyuXyhWEL/q1Ll/bfeaLbanW6vPxiOxpPpbL5Yrtab7W4/jNO8rNt+nNf9vJ8XAYUGJRHCgBFMLOz/zX3t9PAd1/ODMIqTNMuLsqobhAllXEiljW27fhineVk3E96P87qf9/uBIDAECoMjkCg0BovDE4gkMoVKozOYik8U4ZO8OcTjC4QisUQqkyuUKrVGq9MbjCazxWqL7iOHM7lP3R6vr58/ICYwRv7/FwyBwuCIJEgUOiIGi8MTiCQyhUqjx2YwWWwOl8cXCEViiVQmVyhVao1WpzcYTeZkFqvN7nBydnF1c/cAAEFgCBQGRyBR4fyEwUaO4lc8gUgiU6g0OoPJYnO4PGr3gzCKkzTLi7Kqm7brh3Gal3Xbj/O6n/cDFpsgKQ6a4eTi5uHl43dc7594X/tFcZJmeVFWdYMwoYwLqbSxbdcP4zQv67Yf1uW87uf9fhCCERTDCZKiGZbjBVGSFVXTDdOyHdfzgzCKkzTT4PTH/7Kqm7brh3Gal3Xbj/O6n/f7+wMgBCMohhMkRTMsxwuiJCuqphumZTuu5wdhFCdplhdlVTdt1w/jNC/rth+n8+V6uz8AEIIRFMMJkqIZluMFUZIVVdMN07Id1/ODMIqTNMuLsqqbtuuHcZqXdduP87qf9/M4qNSCKGnIyh8Zv1beOrp6+o7r+UEYxUma5UVZ1Q3ChDIupNLGtl0/WKlxmpd124/zup/3+0EIRlAMJ0iKZliOF0RJVlRNN0zLdlzPD8IoTlKNUz96eFFWddN2/TBO87Ju+3Fe9/N+f38AhGAExXCCpGiG5XhBlGRF1XTDtGzH9fwgjOIkzfKirOqm7fphnOZl3fbjdL5cb/cHAAgCQ6AwOAKJQmOwODyBSOr4i0Kl0RlMFpvD5fEFQpFYIpXJFUqVWqPV6Ydxmpd124/zup/3Ew5giNVmV4fT5fZ4fabfcT0/CKM4SbO8KKu6QZhQxoVU2ti264dxmpd124/zup/3+0EIRlAMJ0iKZliOF0RJVlRNN0zLdlzPD8IoTtIsL8qqbtquH8ZpXtZtP87rft7v7w+AEIygGE6QFM2wHC+Ikqyomm6Ylu24nh+EUZykWV6UVd20XT+M07ys236czpfr7f4AQAhGUAwnSIpmWI4XRElWVE03TMt2XM8PwihO0iwvyqpu2q4fxmle1m0/zut+Xuv9gcttmJaH7Xh6efv4+sX5FSsbJ/F+xS8aESaUcSGVNrbt+mGc5mXd9uO87uf9fhCCERTDCZKiGZbjBVGSFVXTDdOyHdfzgzCKkzTLi7Kqm7brh3Gal3Xbj/O6n/f7+wMgBCMohhMkRTMsxwuiJCuqphumZTuu5wdhFCdplhdlVTdt1w/jNC/rth+n8+V6uz8AEIIRFMMJkqIZluMFUZIVVdMN07Id1/ODMIqTNMuLsqqbtuuHcZqXdduP87qf9xMNkEoHYZQRJ99OnVnZObl5+Y7r+UEYxUma5UVZ1Q3ChDIupNLGtl0/jNO8rNt+nNf9vN8PQjCCYjhBUjTDcrwgSrKiarphWrbjen4QRnGSZnlRVnXTdv0wTvOybvtxXvfzfn9/AIRgBMVwgqRohuV4QZRkRdV0w7Rsx/X8IIziJM3yoqzqpu36YZzmZd3243S+XG/3BwBCMIJiOEFSNMNyvCBKsqJqumFatuN6fhBGcZJmeVFWddN2/TBO87Ju+3Fe9/N+/9TL2N+MorUrhcQIi5VRKzlR8RIkSnJczw/CKE7SLC/Kqm4QVjChjAuptLFt1w/jNC/rth/ndT/v94MQjKAYTpAUzbAcL4iSrPyhY9J14890x5ntuJ4fhFGcpFlelFVtsMoFpvciPtb8oW49vPr1xJPaNdALd/n6n+I45gBklOAGvgg7MU+bfAr+oBVGT1wiQRgXJ8DymHoqvn9y4BX9HZuoz4d0kgbeI7dDY6TbmQd5X05beo2Z6iNojpem6Lhg4sClgMHxOjgcW66shV7yOK+R33pz2tJUb43M/lf5SRT0uot68YGiO+epzRqtE1rygsuaruQyoeCyRjr6cci+BpqPS/Xev3L1QdyfFr/qUBB5BZ7I2zX43tAqo0LvNNqcsZ5+UQO9nrWBVs7Ybgv4Oqj5m/7BgegZjxqS1FYkRVScg0IOLp82NS4X869zHjsHKH1bobezSYxtUalvg7m/iQ8J2tZrl3zikseybfK64Oxvyoci2PLeUFdzJ/KudkFrDa6W8MjUhTiY4KbP9YzkhODquehC8vileZPnyP/mXcf2+8zJLXH4vhhyu2aUcKg3Y02n+CnZh13bXr8HYUIZByGVbtOfiQd5Jd21n5ZrInz0nXD9gsDPH3Jn0tfBitkpmLCDECaUcRBSaePa9rofhAllHIRU2rg2VQMAAAAAAAAACCGEEEIIIYQQQkgppZRSSimllFIqpZRSSqnqKsYEkkHjHkBpwlgDDuIv82yt3HSqW9qtM9tgR37Nw9/btp9nSn0utGmvU0hlXJsi/4fPL2kiqdV7yXiwIakCeMgBKpU2qUlW00koYkqNPxdDhxeWepaEBSvVxJVDsqYId1PsBUvDFQlOPFVahXFbO97yQibB/infaG9Rfp6sGY8P+Ybhdv5OH6sR85v+iA3MHLYNarWV+lnVQH/HNxSsmSoGTT24YFaQEuzf72+fCYZNH7be+kqu8hmGHakiiikpbKAq6K4hF9QukkrtzV2lMr7X70Q2pnNlqiZXDqIVUiec9hhj+uTVxcpTJiLaR+2ukbgSHA6jW5HS8hCRHJ3K6MMLOXN3Sdko1t2NRuPdUB66C7OVHbJNIT40prVTJ/pxncoTUiczo3IC5vlefBP9YqlxeOnecpircVU1dUWZzNlyCto6ZWw7T2yF4BNxLvGBYBTDAVHTiiDIighQDAdETT+KoiiKoiiKrrgBB0St5xUcwAiK4YCoaSVWggAjKIYDoqafJEmSJEmyYl8YM2bMmDFjxowZM2YMdbGrAAAAAAAAAAAAACZ5GGFC2eEgIKTSxrVpslJKKaViDzGpJKWNayOttdZaa6211lprbYwxZgxY6Oge9wBhQhkHIZU+lHBtumCttTb2JzATpbSNlOd5nueNF9jrrturuyP3iU6vdlen68nj8P/y1ccXd9j7Ov+pLzvVo+eJ3RdbYGJ39r2vb5Xk9Y80qP+GAZjCxA7FUbQNIXxYRhkHIVXrQQeGi+nHgZbhOjcXFJOZnvp9GDIk/71R0+9TPdmS7PQ/1NCMxbR3nd+r973K8sfo7FhFi6lAXH/25/qnDqDz1iT00VPJtgAE7juoWkXPEGXGDweowDv9jZfJlds0J6m6yqZBQw8QJoyDaHlg1HEo4yCk0sa1abIQQoxQMA5CKm3cSD+xzt0Yq2WrRUP8mfMFfilyiZSpd3wM2HvIXQXJf6oPacrywYPXF/dQJt3Urad5jjqMY0IZByGVNq5t75/ofGUHl2sMvy0mQveuzpv/p1jpO/h5xrxifBAuvadTB/Qn1F/FsJ9wfw1W++S5Ra7lITUZfBgRykBIpc0P7ze6yJvEUnwweZpygDA50d2vSdsaKycQN/tr/nlnzT7v1gI7L2NjmDEHIW/Ud/+nehX/9fXo4Ro+3w8Hul0+Oqxym0HSCs45H67M8sr58ITSxrWRBgAAAAAAAAAQgoQ7B+3W6930Et9+ONpe0T8lWMH4bFV8nqYYQ3m0ubxwlFLKkcXauDb1U2oUg1DG7+LdqCl1zagkpY1rUwOttX6l9dMI/UOWRV1jeMkqVyCk0sa1qYMxxoxRMA5CKm1cS1RvMoIZxYXC2kemRjvd0aKR6QHfMxF8ZzooxzXmIKTSxrWZJNZaa6211pKObO3Qfnm7GNy+wE+85B5aIqeH6xf2LZ5d46e1x3seLvGNCmC1P3aHAYZUfKe+XJg2PlclUcNu2zhchRHBjNB9/yWa8Irnft0o15pRoaQ+GZPxam3V7+6L7b3T9bzQ58U+hV5shSi2GhPMTCj7lv9QZsmTnOirXfBO9SPppmwstO0ITj4pW6cBtw/jbEMAzPiHb9+p66W6psqYg5Dqh/3paMsm/lIXNuKU0rh9/4Hqd2PK4mMWlhKN4zehxdq4NqKMDWMEwxQsLyxGEDmjBABzPvET/498M82jTBM2Bg85ewQAAAAAAAAAAAAYpKAVARZTPozBRJwj+DNPY6dNZOo92vZr/oNTojoZEQbbkfKKl0pW2rg2jZIjCZjc1B+nZjdu1GSjJw/8zw+2YZGbPbMqWCptXJtGKKXU/dK71Wtvz/BfG6tUtrQ5z4QBJhYAAACYaGXGQUiljWsjbYwxs9nsq/5sk1tDxhhjjDHGdV13XGUWuK7ruq7rutZaa6211lprrbXeFx4dnRkOW7kHN/Pk90GFmJxHpUZOdru+IcUP0qFG+CWLFlTqITOZJFnaUSRJkuXMvb1Y5+2lyGFnAAAAAAAAAAAAAAAAAAA2DEIqbVzbXja6lmXl8DUAAAAAAAAAAAAAAAAAAAAAAMCGGLQ6CKm0cW172cgCAAAAAAAAAOQwuIjIhjgIqbRxv7TfMzWu/Xw1fSixWiVEGQch1UkP7QXDtaevcGUOIsKngtUwvsAqqXbyvz4IUI7XaT2an5a8cjEeDBZ5wkteWRhjQshSVjYhhBCylJUmhFBKs+M16xDjIKTSxrXbRWBp4/WIqXe1zPP2RLVeaUGq2OfZYbc1zcie5awRGlHPU8U8FE2hW9HvScj/Wrfr0J0/X3jjGkiSJEmSJGnR54ZkdbpSoHmPSV3G+GP4z51Uf+hPdYBrn3uf1t9Q/grQh7N+/j76lkfe9RC3YNY73wcyO+X15fr4Wkw5YyZbckmSZn12LOKvqfyd2jm37bBP/LBKCuuybS+GfM2aU38EcowWL1GUcRDnOWj3OG/Kgd01dZVtL4ZcmrfDsIsqYw7ido4d20RryD3bsVLSoZhvSZJmfeIkfUtjsp6G/4vRxYRLkiRJs06uAw3nZYRJFlhIpY1rl6/2crwGYUIZByGVNq6NNEIIDXKA0sa10Y0xxoMVjIOQURhjjAkhhBBCyCckv12fD55/VSY9kr5F3nh3oRTXZXv/fRz+b5I58/db6d+REkUZByGVNq5N2xljjDHG2LCE0iZv7EN7/3HD5nbaTvQF/nejRoq8o//pUNZUb0qS7fKAaTuU+CB/9qEfL/itnsPD6wKmP+e4j3Lt8j2LQ5hQDkIa10Z3lh8AmEBKjIOQShvXRhpjjDHGeHBCaePaSBJCCCGEZLkaEEUIyRsMCCillFJKKaU0q1NhNQKACeYspNLGTVeGEzChjDcUcBXxAAAGBq5N14QQIwSUcRBSaePaSEsppRwZkEob10ZCKaVUrD0AGCillMoTwIQmxoQyDkIqbdy9ZOUqKO9kUPO4gJVHAOTUx4gvUPVpA4QJZRyEVNq4tr1OB2FCGQchlTaujTS+KkCYUMZBm0gNJWBCGQchlTaHEra9YQcIE8o4CKm0cW173Q/ChDIOQiptXNtex0GYUMZBSKWNa9vrcRAmlHEQUmnj2vZ6HoQJZRyEVNq4tr1eB2FCGQchlTauba/3QZhQxkFIpY1r2+tzECaUcRBSaePa9vo9CBPKOAiptHFte30PwoQyDkIqbVzbXn8HYUIZByGVNq5dviJphBBCCCGEEEJojeGfd7z0BWfo7aNH0EF4rcnX5EykET+gKz17ygxEv8XHQysq1u7dGcZUQHJNTbGNvWc5BcBvf7/SnP7v//7/l6oqSn7jyKwIZRwOB5FKG9e2t3cNNoQwoYyDkEqbuq2Mbxk80bL7QZhQxkGEVgAAAAAA8Qqis+WSVMU4iOi38gBhQhmIMbQrz8Fo5Ltfzs1MVYyDCJ0HLTwZvcWydyWJR9leEYJ0LjoNGysdAAAAAAAAAPA0vQAAAOG/AMKEMg5CKm1c216vB2FCGQchlTauba+3gzChjIOQShvXttf7QZhQxkFIpY1r2+txECaUcRBSaePa9vp5ECaUcRBSaePa9vo4CBPKOAiptHFte30ehAllHIRU2ri2vf4kWVE1XRim5bLdkSx5Z7bKI449tPEScmO+k4lt27wFLTcsQJhQxkGEVikrBZSBGDouPwcYxKhYIHQ+CBPGW3Q5CBPK935blh4EKKWlwE98mL7Yeik7QJhQxkG07E6hyh1P1OCTTwE=';
+    }
 })(this);